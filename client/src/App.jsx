@@ -56,10 +56,34 @@ async function maybeShowBrowserNotification(alertData, options) {
   const symbol = alertData?.symbol || alertData?.coinSymbol || 'token';
   const target = Number(alertData?.targetValue);
   const hasTarget = Number.isFinite(target);
-  const title = alertData?.alertType === 'complex' ? 'Complex alert triggered' : 'Price alert hit';
+  const title = alertData?.alertType === 'complex'
+    ? 'Complex alert triggered'
+    : alertData?.alertType === 'indicator'
+      ? 'Indicator alert triggered'
+      : alertData?.alertType === 'wall'
+        ? 'Wall alert triggered'
+        : alertData?.alertType === 'listing'
+          ? 'New listing'
+          : alertData?.alertType === 'derivatives'
+            ? 'Funding / OI alert triggered'
+            : alertData?.alertType === 'liquidation'
+              ? 'Liquidation alert triggered'
+              : alertData?.alertType === 'spread' ? 'Spread alert triggered' : 'Price alert hit';
   const body = alertData?.alertType === 'complex'
     ? `${symbol} moved sharply.`
-    : `${symbol}${hasTarget ? ` @ ${target}` : ''}`;
+    : alertData?.alertType === 'indicator'
+      ? `${symbol}: ${alertData?.conditionText || 'indicator condition met'}`
+      : alertData?.alertType === 'wall'
+        ? `${symbol}: ${alertData?.conditionText || 'order-book wall event'}`
+        : alertData?.alertType === 'listing'
+          ? alertData?.conditionText || `${symbol} listing`
+          : alertData?.alertType === 'derivatives'
+            ? `${symbol}: ${alertData?.conditionText || 'funding / open interest condition met'}`
+            : alertData?.alertType === 'liquidation'
+              ? `${symbol}: ${alertData?.conditionText || 'large liquidation'}`
+              : alertData?.alertType === 'spread'
+                ? `${symbol}: ${alertData?.conditionText || 'cross-exchange spread above threshold'}`
+                : `${symbol}${hasTarget ? ` @ ${target}` : ''}`;
 
   try {
     new Notification(title, { body, tag: `alert-${alertData?.id || alertData?.alertId || Date.now()}` });
@@ -91,6 +115,7 @@ import Subscription from './pages/Subscription';
 import Listings from './pages/Listings';
 import WallScanner from './pages/WallScanner';
 import DensityScreener from './pages/DensityScreener';
+import SpreadScreener from './pages/SpreadScreener';
 import MarketMap from './pages/MarketMap';
 import Settings from './pages/Settings';
 import Instructions from './pages/Instructions';
@@ -295,6 +320,7 @@ function App() {
             <Route path="listings" element={<Listings />} />
             <Route path="wall-scanner" element={<WallScanner />} />
             <Route path="density-screener" element={<DensityScreener />} />
+            <Route path="spread-screener" element={<SpreadScreener />} />
             <Route path="profile" element={<Profile />} />
             <Route path="settings" element={<Settings />} />
             <Route path="formations" element={<Formations />} />
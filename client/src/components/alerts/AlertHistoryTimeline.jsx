@@ -0,0 +1,168 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import { History, ChevronLeft, ChevronRight } from 'lucide-react';
+import { cn } from '../../utils/cn';
+import Table from '../common/Table';
+import Button from '../common/Button';
+import LoadingSpinner from '../common/LoadingSpinner';
+import Badge from '../common/Badge';
+
+const formatWindow = (seconds) => {
+  const s = Number(seconds);
+  if (!Number.isFinite(s) || s <= 0) return '—';
+  if (s % 3600 === 0) return `${s / 3600}h`;
+  if (s % 60 === 0) return `${s / 60}m`;
+  return `${s}s`;
+};
+
+const formatValue = (value) => {
+  const n = Number(value);
+  if (value == null || !Number.isFinite(n)) return '—';
+  return n.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 8 });
+};
+
+const AlertHistoryTimeline = ({
+  triggers = [],
+  total = 0,
+  page = 1,
+  limit = 50,
+  loading = false,
+  onPageChange,
+  className,
+}) => {
+  const { t } = useTranslation();
+  const pageCount = Math.max(1, Math.ceil(total / limit));
+
+  const columns = [
+    {
+      key: 'triggeredAt',
+      label: t('Time'),
+      render: (value) => (
+        <span className="text-textSecondary">{new Date(value).toLocaleString()}</span>
+      ),
+    },
+    {
+      key: 'alertName',
+      label: t('Alert name'),
+      render: (value, row) => (
+        <div className="flex items-center gap-2">
+          <span>{value || '—'}</span>
+          <Badge variant="active">
+            {row.alertType === 'price'
+              ? t('Price')
+              : row.alertType === 'indicator'
+                ? t('Indicator')
+                : row.alertType === 'wall'
+                  ? t('Wall')
+                  : row.alertType === 'listing'
+                    ? t('Listing')
+                    : row.alertType === 'derivatives'
+                      ? t('Funding/OI')
+                      : row.alertType === 'liquidation'
+                        ? t('Liquidation')
+                        : row.alertType === 'spread' ? t('Spread') : t('Complex')}
+          </Badge>
+        </div>
+      ),
+    },
+    { key: 'symbol', label: t('Symbol'), render: (value) => value || '—' },
+    {
+      key: 'exchange',
+      label: t('Exchange'),
+      render: (value, row) => (
+        <span className="capitalize">{value} · {row.market}</span>
+      ),
+    },
+    {
+      key: 'price',
+      label: t('Price'),
+      render: (value, row) => (
+        <div className="flex flex-col items-start">
+          <span>{formatValue(value)}</span>
+          {row.targetValue != null && (
+            <span className="text-textSecondary text-xs">
+              {t('Target {{target}}', { target: formatValue(row.targetValue) })}
+            </span>
+          )}
+        </div>
+      ),
+    },
+    {
+      key: 'pctChange',
+      label: t('Change'),
+      render: (value) => {
+        const n = Number(value);
+        if (value == null || !Number.isFinite(n)) return '—';
+        return (
+          <span className={n >= 0 ? 'text-success' : 'text-danger'}>
+            {n >= 0 ? '+' : ''}{n.toFixed(2)}%
+          </span>
+        );
+      },
+    },
+    { key: 'windowSeconds', label: t('Window'), render: (value) => formatWindow(value) },
+    {
+      key: 'channels',
+      label: t('Delivered via'),
+      render: (value) => (
+        <div className="flex flex-wrap gap-1">
+          {(Array.isArray(value) ? value : []).map((channel) => (
+            <Badge key={channel} variant="expired" className="capitalize">{channel}</Badge>
+          ))}
+        </div>
+      ),
+    },
+  ];
+
+  if (loading && triggers.length === 0) {
+    return (
+      <div className="flex justify-center items-center h-64 bg-surface rounded-xl border border-border">
+        <LoadingSpinner size="lg" />
+        <p className="ml-4 text-textSecondary">{t('Loading history...')}</p>
+      </div>
+    );
+  }
+
+  if (triggers.length === 0) {
+    return (
+      <div className="flex flex-col items-center justify-center h-64 bg-surface rounded-xl border border-border p-4 text-center">
+        <History size={48} className="text-textSecondary mb-4" />
+        <h3 className="text-lg font-semibold text-textPrimary mb-2">{t('No triggers yet')}</h3>
+        <p className="text-textSecondary text-sm">{t('Every time one of your alerts fires it will show up here.')}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className={cn("bg-surface rounded-xl border border-border", className)}>
+      <Table columns={columns} data={triggers} />
+      <div className="flex items-center justify-between px-4 py-3 border-t border-border">
+        <span className="text-textSecondary text-sm">
+          {t('{{total}} triggers · page {{page}} of {{pageCount}}', { total, page, pageCount })}
+        </span>
+        <div className="flex items-center gap-2">
+          <Button
+            variant="outline"
+            size="sm"
+            disabled={page <= 1 || loading}
+            onClick={() => onPageChange?.(page - 1)}
+            aria-label={t('Previous page')}
+          >
+            <ChevronLeft size={16} />
+          </Button>
+          <Button
+            variant="outline"
+            size="sm"
+            disabled={page >= pageCount || loading}
+            onClick={() => onPageChange?.(page + 1)}
+            aria-label={t('Next page')}
+          >
+            <ChevronRight size={16} />
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AlertHistoryTimeline;
@@ -0,0 +1,114 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import { Info } from 'lucide-react';
+import Input from '../common/Input';
+import Select from '../common/Select';
+import { cn } from '../../utils/cn';
+
+const COOLDOWN_OPTIONS = [
+  { value: 'default', seconds: null, label: 'Default' },
+  { value: '30', seconds: 30, label: '30 seconds' },
+  { value: '60', seconds: 60, label: '1 minute' },
+  { value: '300', seconds: 300, label: '5 minutes' },
+  { value: '900', seconds: 900, label: '15 minutes' },
+  { value: '3600', seconds: 3600, label: '1 hour' },
+  { value: '14400', seconds: 14400, label: '4 hours' },
+  { value: '86400', seconds: 86400, label: '24 hours' },
+];
+
+// ISO string -> value for <input type="datetime-local"> (local time, minute precision)
+function toLocalInputValue(iso) {
+  if (!iso) return '';
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return '';
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+/**
+ * Cooldown / expiry / max fires / re-arm settings.  Values live in
+ * notificationOptions; `onChange(patch)` merges a partial update.
+ */
+const AlertLimitsFields = ({ options = {}, alertType, onChange }) => {
+  const { t } = useTranslation();
+  const isPrice = alertType === 'price';
+
+  const cooldownValue = options.cooldownSec != null ? String(options.cooldownSec) : 'default';
+  const cooldownOptions = COOLDOWN_OPTIONS.some((o) => o.value === cooldownValue)
+    ? COOLDOWN_OPTIONS
+    : [...COOLDOWN_OPTIONS, { value: cooldownValue, label: `${cooldownValue}s` }];
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-textPrimary mb-1.5 flex items-center gap-2">
+        {t('Limits')}
+        <Info
+          size={14}
+          className="text-textSecondary"
+          title="Cooldown is the minimum time between fires. The alert turns off when it expires or reaches the fire limit."
+        />
+      </label>
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className="block text-xs text-textSecondary mb-1">{t('Cooldown')}</label>
+          <Select
+            value={cooldownValue}
+            onChange={(e) => {
+              const opt = cooldownOptions.find((o) => o.value === e.target.value);
+              onChange({ cooldownSec: opt?.seconds ?? (e.target.value === 'default' ? null : Number(e.target.value)) });
+            }}
+            options={cooldownOptions.map((o) => ({
+              value: o.value,
+              label: o.value === 'default' ? t(isPrice ? 'None' : 'Default (30 seconds)') : t(o.label),
+            }))}
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-textSecondary mb-1">{t('Fire at most')}</label>
+          <Input
+            type="number"
+            min="1"
+            step="1"
+            value={options.maxFires ?? ''}
+            onChange={(e) => onChange({ maxFires: e.target.value === '' ? null : Number(e.target.value) })}
+            placeholder={t('Unlimited')}
+          />
+        </div>
+        <div className="col-span-2">
+          <label className="block text-xs text-textSecondary mb-1">{t('Expires at')}</label>
+          <Input
+            type="datetime-local"
+            value={toLocalInputValue(options.expiresAt)}
+            onChange={(e) => onChange({ expiresAt: e.target.value ? new Date(e.target.value).toISOString() : null })}
+          />
+        </div>
+      </div>
+
+      {isPrice && (
+        <div className="flex items-center justify-between py-2">
+          <span className="text-sm text-textPrimary">
+            {t('Re-arm when price returns across the level')}
+          </span>
+          <button
+            type="button"
+            onClick={() => onChange({ rearm: !options.rearm })}
+            className={cn(
+              'relative inline-flex h-4 w-8 flex-shrink-0 rounded-full transition-colors duration-200 cursor-pointer',
+              options.rearm ? 'bg-accent' : 'bg-gray-600'
+            )}
+            aria-label={t('Re-arm when price returns across the level')}
+          >
+            <span
+              className={cn(
+                'absolute top-0.5 h-3 w-3 rounded-full bg-white shadow transition-transform duration-200',
+                options.rearm ? 'translate-x-4' : 'translate-x-0.5'
+              )}
+            />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AlertLimitsFields;
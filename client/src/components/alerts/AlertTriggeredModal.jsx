@@ -23,7 +23,40 @@ function formatTimeframe(seconds) {
 function getWhatHappened(alert) {
   if (!alert) return null;
   const symbol = alert.symbol || alert.coinSymbol;
+    if (alert.alertType === 'indicator') {
+      const close = alert.currentPrice != null ? Number(alert.currentPrice) : null;
+      const closeStr = close != null && Number.isFinite(close) ? ` (close ${fmt(close)})` : '';
+      return `${symbol ? `${symbol}: ` : ''}${alert.conditionText || 'indicator condition met'}${closeStr}.`;
+    }
+    if (alert.alertType === 'wall') {
+      const mid = alert.currentPrice != null ? Number(alert.currentPrice) : null;
+      const midStr = mid != null && Number.isFinite(mid) ? ` (mid ${fmt(mid)})` : '';
+      return `${symbol ? `${symbol}: ` : ''}${alert.conditionText || 'order-book wall event'}${midStr}.`;
+    }
+    if (alert.alertType === 'derivatives') {
+      const mark = alert.currentPrice != null ? Number(alert.currentPrice) : null;
+      const markStr = mark != null && Number.isFinite(mark) ? ` (mark ${fmt(mark)})` : '';
+      return `${symbol ? `${symbol}: ` : ''}${alert.conditionText || 'funding / open interest condition met'}${markStr}.`;
+    }
+    if (alert.alertType === 'liquidation') {
+      return `${symbol ? `${symbol}: ` : ''}${alert.conditionText || 'large liquidation'} on ${alert.exchange || 'exchange'}.`;
+    }
+    if (alert.alertType === 'spread') {
+      return `${symbol ? `${symbol}: ` : ''}${alert.conditionText || 'cross-exchange spread above threshold'}.`;
+    }
+    if (alert.alertType === 'listing') {
+      return `${alert.conditionText || `${alert.coinSymbol || symbol} listing on ${alert.exchange}`}.`;
+    }
     if (alert.alertType === 'complex') {
+      // Multi-condition alerts may fire without a % move leaf (e.g. price cross AND volume)
+      if (alert.pctChange == null && Array.isArray(alert.matchedConditions)) {
+        const parts = alert.matchedConditions.map((c) => {
+          if (c.type === 'price_cross') return `crossed ${c.operator === 'below' ? 'down through' : 'up through'} ${fmt(Number(c.value))}`;
+          if (c.type === 'volume_24h') return `24h volume ${c.operator} ${fmt(Number(c.value))}`;
+          return null;
+        }).filter(Boolean);
+        if (parts.length > 0) return `${symbol ? `${symbol} ` : ''}${parts.join(' and ')}.`;
+      }
       const pct = alert.pctChange != null ? Number(alert.pctChange) : null;
       const direction = pct !== null ? (pct >= 0 ? 'up' : 'down') : '';
       const pctFormatted = pct !== null ? `${Math.abs(pct).toFixed(2)}%` : '—';
@@ -70,6 +103,12 @@ function getAlertTitle(alert) {
   const desc = (alert.description || '').trim();
   if (name) return name;
   if (desc) return desc;
+  if (alert.alertType === 'indicator') return 'Indicator Alert';
+  if (alert.alertType === 'wall') return 'Wall Alert';
+  if (alert.alertType === 'listing') return 'Listing Alert';
+  if (alert.alertType === 'derivatives') return 'Funding / OI Alert';
+  if (alert.alertType === 'liquidation') return 'Liquidation Alert';
+  if (alert.alertType === 'spread') return 'Spread Alert';
   return alert.alertType === 'complex' ? 'Complex Alert' : 'Price Alert';
 }
 
@@ -78,7 +117,7 @@ const AlertTriggeredModal = ({ isOpen, onClose, alert = null }) => {
   if (!alert) return null;
 
   const rawTitle = getAlertTitle(alert);
-  const title = (rawTitle === 'Complex Alert' || rawTitle === 'Price Alert') ? t(rawTitle) : rawTitle;
+  const title = ['Complex Alert', 'Price Alert', 'Indicator Alert'].includes(rawTitle) ? t(rawTitle) : rawTitle;
   const whatHappened = getWhatHappened(alert);
   const description = (alert.description || '').trim();
   const showDescription = description && description !== title;
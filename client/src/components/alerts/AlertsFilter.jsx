@@ -17,6 +17,9 @@ const filterOptions = {
     { value: 'gate', label: 'Gate.io' },
     { value: 'mexc', label: 'MEXC' },
     { value: 'bitget', label: 'Bitget' },
+    { value: 'kucoin', label: 'KuCoin' },
+    { value: 'kraken', label: 'Kraken' },
+    { value: 'htx', label: 'HTX' },
   ],
   market: [
     { value: 'all', label: 'All', icon: Filter },
@@ -27,17 +30,24 @@ const filterOptions = {
     { value: 'all', label: 'All', icon: Filter },
     { value: 'price', label: 'Price Alert' },
     { value: 'complex', label: 'Complex Alert' },
+    { value: 'indicator', label: 'Indicator Alert' },
+    { value: 'wall', label: 'Wall Alert' },
+    { value: 'listing', label: 'Listing Alert' },
+    { value: 'derivatives', label: 'Funding / OI Alert' },
+    { value: 'liquidation', label: 'Liquidation Alert' },
+    { value: 'spread', label: 'Spread Alert' },
   ],
 };
 
 const AlertsFilter = ({
   filters,
   onFilterChange,
+  categories = Object.keys(filterOptions),
   className
 }) => {
   return (
     <div className={cn("space-y-4", className)}>
-      {Object.keys(filterOptions).map((category) => (
+      {categories.map((category) => (
         <div key={category} className="flex items-center gap-2 flex-wrap">
           <span className="text-textSecondary text-sm font-medium capitalize w-20 flex-shrink-0">
             {category}:
@@ -6,6 +6,12 @@ import { cn } from '../../utils/cn';
 import Table from '../common/Table';
 import LoadingSpinner from '../common/LoadingSpinner';
 import Badge from '../common/Badge';
+import { formatIndicatorCondition } from '../../utils/indicatorConditions';
+import { formatWallCondition } from '../../utils/wallConditions';
+import { formatDerivativesCondition } from '../../utils/derivativesConditions';
+import { formatLiquidationCondition } from '../../utils/liquidationConditions';
+import { formatSpreadCondition } from '../../utils/spreadConditions';
+import { formatListingCondition } from '../../utils/listingConditions';
 
 const AlertsTable = ({
   alerts = [],
@@ -74,7 +80,7 @@ const AlertsTable = ({
       render: (type, row) => (
         <div className="flex items-center gap-2">
           <Badge variant="active">
-            {type === 'price' ? t('Price') : t('Complex')}
+            {type === 'price' ? t('Price') : type === 'indicator' ? t('Indicator') : type === 'wall' ? t('Wall') : type === 'listing' ? t('Listing') : type === 'derivatives' ? t('Funding/OI') : type === 'liquidation' ? t('Liquidation') : type === 'spread' ? t('Spread') : t('Complex')}
           </Badge>
           {row.triggered && (
             <div className="flex flex-col items-start">
@@ -97,6 +103,24 @@ const AlertsTable = ({
       render: (description, row) => {
         // Enhanced description for price alerts showing monitoring direction
         let displayDescription = description;
+        if (row.alertType === 'indicator' && !description) {
+          displayDescription = formatIndicatorCondition(row.conditions);
+        }
+        if (row.alertType === 'wall' && !description) {
+          displayDescription = formatWallCondition(row.conditions);
+        }
+        if (row.alertType === 'listing' && !description) {
+          displayDescription = formatListingCondition(row.conditions);
+        }
+        if (row.alertType === 'derivatives' && !description) {
+          displayDescription = formatDerivativesCondition(row.conditions);
+        }
+        if (row.alertType === 'liquidation' && !description) {
+          displayDescription = formatLiquidationCondition(row.conditions);
+        }
+        if (row.alertType === 'spread' && !description) {
+          displayDescription = formatSpreadCondition(row.conditions);
+        }
         if (row.alertType === 'price' && row.initialPrice != null && row.targetValue != null) {
           const init = Number(row.initialPrice);
           const tgt = Number(row.targetValue);
@@ -0,0 +1,165 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import { Plus, X } from 'lucide-react';
+import Input from '../common/Input';
+import Select from '../common/Select';
+import { COMPLEX_TIMEFRAMES, createCondition } from '../../utils/complexConditions';
+
+const TIMEFRAME_LABELS = {
+  '1m': '1 minute',
+  '5m': '5 minutes',
+  '15m': '15 minutes',
+  '30m': '30 minutes',
+  '1h': '1 hour',
+  '4h': '4 hours',
+};
+
+/**
+ * Edits complex alert conditions as OR-ed groups of AND-ed conditions.
+ * `groups` is an array of arrays of { type, value, timeframe?, operator? }.
+ */
+const ComplexConditionBuilder = ({ groups, onChange }) => {
+  const { t } = useTranslation();
+
+  const typeOptions = [
+    { value: 'pct_change', label: t('% move in timeframe') },
+    { value: 'volume_24h', label: t('24h volume') },
+    { value: 'price_cross', label: t('Price crosses') },
+  ];
+  const timeframeOptions = COMPLEX_TIMEFRAMES.map((tf) => ({ value: tf, label: t(TIMEFRAME_LABELS[tf] || tf) }));
+
+  const updateCondition = (groupIdx, condIdx, patch) => {
+    onChange(groups.map((group, gi) => (
+      gi !== groupIdx ? group : group.map((c, ci) => (ci === condIdx ? { ...c, ...patch } : c))
+    )));
+  };
+
+  const changeType = (groupIdx, condIdx, type) => {
+    onChange(groups.map((group, gi) => (
+      gi !== groupIdx ? group : group.map((c, ci) => (ci === condIdx ? createCondition(type) : c))
+    )));
+  };
+
+  const addCondition = (groupIdx) => {
+    onChange(groups.map((group, gi) => (gi === groupIdx ? [...group, createCondition('volume_24h')] : group)));
+  };
+
+  const removeCondition = (groupIdx, condIdx) => {
+    onChange(
+      groups
+        .map((group, gi) => (gi === groupIdx ? group.filter((_, ci) => ci !== condIdx) : group))
+        .filter((group) => group.length > 0)
+    );
+  };
+
+  const addGroup = () => onChange([...groups, [createCondition()]]);
+
+  const renderValueField = (condition, onValue) => {
+    if (condition.type === 'volume_24h') {
+      return (
+        <Input
+          type="number"
+          step="1000000"
+          min="0"
+          value={condition.value}
+          onChange={(e) => onValue(e.target.value)}
+          placeholder={t('e.g. 50000000')}
+        />
+      );
+    }
+    return (
+      <Input
+        type="number"
+        step={condition.type === 'pct_change' ? '0.1' : 'any'}
+        min="0"
+        value={condition.value}
+        onChange={(e) => onValue(e.target.value)}
+        placeholder={condition.type === 'pct_change' ? 'e.g. 5' : t('e.g. 50000')}
+      />
+    );
+  };
+
+  return (
+    <div className="space-y-2">
+      {groups.map((group, groupIdx) => (
+        <React.Fragment key={groupIdx}>
+          {groupIdx > 0 && (
+            <div className="flex items-center gap-2 text-xs font-semibold text-accent uppercase">
+              <span className="flex-1 border-t border-border" />
+              {t('or')}
+              <span className="flex-1 border-t border-border" />
+            </div>
+          )}
+          <div className="p-3 border border-border rounded-lg bg-surface/50 space-y-2">
+            {group.map((condition, condIdx) => (
+              <div key={condIdx}>
+                {condIdx > 0 && (
+                  <div className="text-xs font-semibold text-textSecondary uppercase mb-1">{t('and')}</div>
+                )}
+                <div className="flex gap-2 items-start">
+                  <div className="w-40 flex-shrink-0">
+                    <Select
+                      value={condition.type}
+                      onChange={(e) => changeType(groupIdx, condIdx, e.target.value)}
+                      options={typeOptions}
+                    />
+                  </div>
+                  {condition.type !== 'pct_change' && (
+                    <div className="w-28 flex-shrink-0">
+                      <Select
+                        value={condition.operator}
+                        onChange={(e) => updateCondition(groupIdx, condIdx, { operator: e.target.value })}
+                        options={[
+                          { value: 'above', label: condition.type === 'price_cross' ? t('Up') : t('Above') },
+                          { value: 'below', label: condition.type === 'price_cross' ? t('Down') : t('Below') },
+                        ]}
+                      />
+                    </div>
+                  )}
+                  <div className="flex-1 min-w-0">
+                    {renderValueField(condition, (value) => updateCondition(groupIdx, condIdx, { value }))}
+                  </div>
+                  {condition.type !== 'volume_24h' && (
+                    <div className="w-32 flex-shrink-0">
+                      <Select
+                        value={condition.timeframe}
+                        onChange={(e) => updateCondition(groupIdx, condIdx, { timeframe: e.target.value })}
+                        options={timeframeOptions}
+                      />
+                    </div>
+                  )}
+                  {(group.length > 1 || groups.length > 1) && (
+                    <button
+                      type="button"
+                      onClick={() => removeCondition(groupIdx, condIdx)}
+                      className="mt-2.5 text-textSecondary hover:text-danger transition-colors"
+                      aria-label={t('Remove condition')}
+                    >
+                      <X size={16} />
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+            <button
+              type="button"
+              onClick={() => addCondition(groupIdx)}
+              className="inline-flex items-center gap-1 text-xs text-accent hover:text-accent/80 font-medium"
+            >
+              <Plus size={14} /> {t('AND condition')}
+            </button>
+          </div>
+        </React.Fragment>
+      ))}
+      <button
+        type="button"
+        onClick={addGroup}
+        className="inline-flex items-center gap-1 text-xs text-accent hover:text-accent/80 font-medium"
+      >
+        <Plus size={14} /> {t('OR group')}
+      </button>
+    </div>
+  );
+};
+
+export default ComplexConditionBuilder;
@@ -5,18 +5,75 @@ import Button from '../common/Button';
 import Input from '../common/Input';
 import Select from '../common/Select';
 import TokenSelector from './TokenSelector';
-import { useMarketStore } from '../../store/marketStore';
+import ComplexConditionBuilder from './ComplexConditionBuilder';
+import AlertLimitsFields from './AlertLimitsFields';
+import SymbolWhitelist from './SymbolWhitelist';
+import IndicatorConditionFields from './IndicatorConditionFields';
+import WallConditionFields from './WallConditionFields';
+import ListingConditionFields from './ListingConditionFields';
+import DerivativesConditionFields from './DerivativesConditionFields';
+import LiquidationConditionFields from './LiquidationConditionFields';
+import SpreadConditionFields from './SpreadConditionFields';
+import { useMarketStore, DERIVATIVES_EXCHANGES, LIQUIDATION_EXCHANGES } from '../../store/marketStore';
 import { useAlertStore } from '../../store/alertStore';
 import { useAuthStore } from '../../store/authStore';
 import { fetchLivePrice } from '../../utils/fetchLivePrice';
+import { webhookService } from '../../services/webhookService';
 import { AlertCircle, ArrowUp, ArrowDown, Info, Lock, X } from 'lucide-react';
 import { cn } from '../../utils/cn';
+import { conditionsToGroups, groupsToConditions, areGroupsValid } from '../../utils/complexConditions';
+import {
+  MAX_INDICATOR_SYMBOLS,
+  createIndicatorCondition,
+  parseIndicatorCondition,
+  isIndicatorConditionValid,
+  toIndicatorPayload,
+} from '../../utils/indicatorConditions';
+import {
+  WALL_EXCHANGES,
+  MAX_WALL_SYMBOLS,
+  createWallCondition,
+  parseWallCondition,
+  isWallConditionValid,
+  toWallPayload,
+} from '../../utils/wallConditions';
+import {
+  LISTING_EXCHANGES,
+  createListingCondition,
+  parseListingCondition,
+  isListingConditionValid,
+} from '../../utils/listingConditions';
+import {
+  MAX_DERIVATIVES_SYMBOLS,
+  createDerivativesCondition,
+  parseDerivativesCondition,
+  isDerivativesConditionValid,
+  toDerivativesPayload,
+} from '../../utils/derivativesConditions';
+import {
+  MAX_LIQUIDATION_SYMBOLS,
+  createLiquidationCondition,
+  parseLiquidationCondition,
+  isLiquidationConditionValid,
+  toLiquidationPayload,
+} from '../../utils/liquidationConditions';
+import {
+  MAX_SPREAD_SYMBOLS,
+  createSpreadCondition,
+  parseSpreadCondition,
+  isSpreadConditionValid,
+  toSpreadPayload,
+} from '../../utils/spreadConditions';
+
+// Exchanges without a spot market on the server (KuCoin/Kraken futures)
+const FUTURES_ONLY_EXCHANGES = ['kucoin', 'kraken'];
 
 const DEFAULT_NOTIFICATION_CHANNELS = {
   soundEnabled: true,
   inAppPopupEnabled: true,
   browserPushEnabled: true,
   telegramEnabled: true,
+  emailEnabled: false,
 };
 
 function normalizeNotificationOptions(raw) {
@@ -30,6 +87,7 @@ function normalizeNotificationOptions(raw) {
       inAppPopupEnabled: toBool(channels.inAppPopupEnabled, DEFAULT_NOTIFICATION_CHANNELS.inAppPopupEnabled),
       browserPushEnabled: toBool(channels.browserPushEnabled, DEFAULT_NOTIFICATION_CHANNELS.browserPushEnabled),
       telegramEnabled: toBool(channels.telegramEnabled, DEFAULT_NOTIFICATION_CHANNELS.telegramEnabled),
+      emailEnabled: toBool(channels.emailEnabled, DEFAULT_NOTIFICATION_CHANNELS.emailEnabled),
     },
   };
 }
@@ -48,15 +106,22 @@ const CreateAlertModal = ({ isOpen, onClose, onSuccess, editingAlertId, editingA
   const [livePricePreview, setLivePricePreview] = useState(null); // live price for direction indicator
   const [whitelistInput, setWhitelistInput] = useState(''); // For whitelist tag input
   const [alertForMode, setAlertForMode] = useState('all'); // 'all' | 'whitelist'
+  const [webhooks, setWebhooks] = useState([]); // user's webhook endpoints, selectable per alert
   
   const [formData, setFormData] = useState({
-    alertType: 'price', // 'price' | 'complex'
+    alertType: 'price', // 'price' | 'complex' | 'indicator' | 'wall' | 'listing' | 'derivatives' | 'liquidation' | 'spread'
     name: '',
     exchanges: ['binance'],
     market: 'futures', // 'futures' | 'spot'
     notificationOptions: normalizeNotificationOptions({}),
     symbols: [],
-    conditions: [],
+    conditionGroups: conditionsToGroups(null),
+    indicatorCondition: createIndicatorCondition(),
+    wallCondition: createWallCondition(),
+    listingCondition: createListingCondition(),
+    derivativesCondition: createDerivativesCondition(),
+    liquidationCondition: createLiquidationCondition(),
+    spreadCondition: createSpreadCondition(),
     targetValue: '',
     condition: 'above',
   });
@@ -72,10 +137,6 @@ const CreateAlertModal = ({ isOpen, onClose, onSuccess, editingAlertId, editingA
         const symbols = editingAlert.symbols 
           ? (typeof editingAlert.symbols === 'string' ? JSON.parse(editingAlert.symbols) : editingAlert.symbols)
           : [];
-        const conditions = editingAlert.conditions
-          ? (typeof editingAlert.conditions === 'string' ? JSON.parse(editingAlert.conditions) : editingAlert.conditions)
-          : [];
-        
         const notifOptions = editingAlert.notificationOptions 
           ? (typeof editingAlert.notificationOptions === 'string' ? JSON.parse(editingAlert.notificationOptions) : editingAlert.notificationOptions)
           : {};
@@ -84,11 +145,20 @@ const CreateAlertModal = ({ isOpen, onClose, onSuccess, editingAlertId, editingA
         setFormData({
           alertType: editingAlert.alertType || 'price',
           name: editingAlert.name || '',
-          exchanges: editingAlert.exchanges || [editingAlert.exchange || 'binance'],
+          // Spread alerts are stored with exchange 'all'; their venues live in the condition
+          exchanges: editingAlert.alertType === 'spread'
+            ? ['binance']
+            : editingAlert.exchanges || [editingAlert.exchange || 'binance'],
           market: editingAlert.market || 'futures',
           notificationOptions: normalizedNotifOptions,
           symbols,
-          conditions: Array.isArray(conditions) && conditions.length > 0 ? [conditions[0]] : [{ type: 'pct_change', value: '', timeframe: '1m' }],
+          conditionGroups: conditionsToGroups(editingAlert.conditions),
+          indicatorCondition: parseIndicatorCondition(editingAlert.alertType === 'indicator' ? editingAlert.conditions : null),
+          wallCondition: parseWallCondition(editingAlert.alertType === 'wall' ? editingAlert.conditions : null),
+          listingCondition: parseListingCondition(editingAlert.alertType === 'listing' ? editingAlert.conditions : null),
+          derivativesCondition: parseDerivativesCondition(editingAlert.alertType === 'derivatives' ? editingAlert.conditions : null),
+          liquidationCondition: parseLiquidationCondition(editingAlert.alertType === 'liquidation' ? editingAlert.conditions : null),
+          spreadCondition: parseSpreadCondition(editingAlert.alertType === 'spread' ? editingAlert.conditions : null),
           targetValue: editingAlert.targetValue || '',
           condition: editingAlert.condition || 'above',
         });
@@ -109,21 +179,46 @@ const CreateAlertModal = ({ isOpen, onClose, onSuccess, editingAlertId, editingA
 
       // Reset form for new alert
       setFormData({
-        alertType: 'price',
+        alertType: initialData?.alertType || 'price',
         name: '',
         exchanges: [presetExchange],
         market: presetMarket,
         notificationOptions: normalizeNotificationOptions({}),
         symbols: presetSymbol ? [presetSymbol] : [],
-        conditions: [{ type: 'pct_change', value: '', timeframe: '1m' }],
+        conditionGroups: conditionsToGroups(null),
+        indicatorCondition: createIndicatorCondition(),
+        wallCondition: createWallCondition(),
+        listingCondition: createListingCondition(),
+        derivativesCondition: createDerivativesCondition(),
+        liquidationCondition: createLiquidationCondition(),
+        spreadCondition: initialData?.spreadCondition
+          ? parseSpreadCondition(initialData.spreadCondition)
+          : createSpreadCondition(),
         targetValue: presetTargetValue,
         condition: 'above',
       });
       setAlertForMode('all');
       setWhitelistInput('');
-      setStep(presetSymbol ? 3 : 1);
+      setStep(presetSymbol ? 3 : initialData?.alertType ? 2 : 1);
     }
-  }, [editingAlert, isOpen]);
+    // Callers pass a memoized or constant initialData, so this only re-runs on a new preset
+  }, [editingAlert, initialData, isOpen]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    let cancelled = false;
+    webhookService
+      .getWebhooks()
+      .then((data) => {
+        if (!cancelled) setWebhooks(data.webhooks || []);
+      })
+      .catch(() => {
+        if (!cancelled) setWebhooks([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen]);
 
   // Fetch tokens for selected exchange + market (so Bybit/Binance show correct list)
   useEffect(() => {
@@ -177,16 +272,29 @@ const CreateAlertModal = ({ isOpen, onClose, onSuccess, editingAlertId, editingA
     return () => { cancelled = true; };
   }, [step, formData.alertType, formData.symbols, formData.exchanges, formData.market, editingAlertId, binanceTokens]);
 
-  const isStep1Valid = formData.alertType === 'price' || formData.alertType === 'complex';
+  const isStep1Valid = ['price', 'complex', 'indicator', 'wall', 'listing', 'derivatives', 'liquidation', 'spread'].includes(formData.alertType);
   const isStep2Valid = formData.exchanges.length > 0 && formData.market;
   const isStep3Valid = 
     formData.alertType === 'price' 
       ? formData.symbols.length > 0 && formData.targetValue
-      : (alertForMode === 'all' || formData.symbols.length > 0) && (() => {
-          const c = formData.conditions?.[0];
-          const v = c?.value != null && c.value !== '' ? parseFloat(c.value) : NaN;
-          return Number.isFinite(v) && v > 0 && c?.timeframe;
-        })();
+      : formData.alertType === 'indicator'
+        ? formData.symbols.length > 0 &&
+          formData.symbols.length <= MAX_INDICATOR_SYMBOLS &&
+          isIndicatorConditionValid(formData.indicatorCondition)
+        : formData.alertType === 'wall'
+          ? formData.symbols.length <= MAX_WALL_SYMBOLS && isWallConditionValid(formData.wallCondition)
+          : formData.alertType === 'listing'
+            ? isListingConditionValid(formData.listingCondition)
+            : formData.alertType === 'derivatives'
+              ? formData.symbols.length <= MAX_DERIVATIVES_SYMBOLS &&
+                isDerivativesConditionValid(formData.derivativesCondition)
+              : formData.alertType === 'liquidation'
+                ? formData.symbols.length <= MAX_LIQUIDATION_SYMBOLS &&
+                  isLiquidationConditionValid(formData.liquidationCondition)
+                : formData.alertType === 'spread'
+                  ? formData.symbols.length <= MAX_SPREAD_SYMBOLS &&
+                    isSpreadConditionValid(formData.spreadCondition)
+                  : (alertForMode === 'all' || formData.symbols.length > 0) && areGroupsValid(formData.conditionGroups);
 
   const handleSubmit = async () => {
     setLoading(true);
@@ -229,6 +337,65 @@ const CreateAlertModal = ({ isOpen, onClose, onSuccess, editingAlertId, editingA
           notificationOptions,
           ...(currentPrice != null ? { currentPrice } : {}),
         };
+      } else if (formData.alertType === 'indicator') {
+        payload = {
+          alertType: 'indicator',
+          name: formData.name || '',
+          exchange: formData.exchanges[0] || 'binance',
+          market: formData.market,
+          symbols: formData.symbols,
+          conditions: toIndicatorPayload(formData.indicatorCondition),
+          notificationOptions,
+        };
+      } else if (formData.alertType === 'wall') {
+        payload = {
+          alertType: 'wall',
+          name: formData.name || '',
+          exchange: formData.exchanges[0] || 'binance',
+          market: formData.market,
+          symbols: formData.symbols,
+          conditions: toWallPayload(formData.wallCondition),
+          notificationOptions,
+        };
+      } else if (formData.alertType === 'listing') {
+        payload = {
+          alertType: 'listing',
+          name: formData.name || '',
+          exchange: formData.exchanges[0] || 'binance',
+          market: formData.market,
+          conditions: { events: formData.listingCondition.events },
+          notificationOptions,
+        };
+      } else if (formData.alertType === 'derivatives') {
+        payload = {
+          alertType: 'derivatives',
+          name: formData.name || '',
+          exchange: formData.exchanges[0] || 'binance',
+          market: 'futures',
+          symbols: formData.symbols,
+          conditions: toDerivativesPayload(formData.derivativesCondition),
+          notificationOptions,
+        };
+      } else if (formData.alertType === 'liquidation') {
+        payload = {
+          alertType: 'liquidation',
+          name: formData.name || '',
+          exchange: formData.exchanges[0] || 'binance',
+          market: 'futures',
+          symbols: formData.symbols,
+          conditions: toLiquidationPayload(formData.liquidationCondition),
+          notificationOptions,
+        };
+      } else if (formData.alertType === 'spread') {
+        payload = {
+          alertType: 'spread',
+          name: formData.name || '',
+          exchange: 'all',
+          market: formData.spreadCondition.mode === 'spot' ? 'spot' : 'futures',
+          symbols: formData.symbols,
+          conditions: toSpreadPayload(formData.spreadCondition),
+          notificationOptions,
+        };
       } else {
         payload = {
           alertType: 'complex',
@@ -236,7 +403,7 @@ const CreateAlertModal = ({ isOpen, onClose, onSuccess, editingAlertId, editingA
           exchange: formData.exchanges[0] || 'binance',
           market: formData.market,
           symbols: alertForMode === 'all' ? [] : formData.symbols,
-          conditions: formData.conditions.map(c => ({ ...c, timeframe: '1m' })),
+          conditions: groupsToConditions(formData.conditionGroups),
           notificationOptions,
         };
       }
@@ -338,7 +505,108 @@ const CreateAlertModal = ({ isOpen, onClose, onSuccess, editingAlertId, editingA
                   )}
                 >
                   <div className="font-semibold text-textPrimary">{t('Complex alert')}</div>
-                  <div className="text-sm text-textSecondary mt-1">{t('Notify when any token moves by X% in a timeframe.')}</div>
+                  <div className="text-sm text-textSecondary mt-1">{t('Combine % moves, 24h volume and price crosses with AND / OR.')}</div>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setFormData({ ...formData, alertType: 'indicator' })}
+                  className={cn(
+                    "p-4 border-2 rounded-lg transition-all text-left",
+                    formData.alertType === 'indicator'
+                      ? 'border-accent bg-accent/10'
+                      : 'border-border hover:border-accent/50'
+                  )}
+                >
+                  <div className="font-semibold text-textPrimary">{t('Indicator alert')}</div>
+                  <div className="text-sm text-textSecondary mt-1">{t('RSI levels, EMA crosses and Bollinger breaks on closed candles.')}</div>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setFormData({
+                    ...formData,
+                    alertType: 'wall',
+                    exchanges: WALL_EXCHANGES.includes(formData.exchanges[0]) ? formData.exchanges : ['binance'],
+                  })}
+                  className={cn(
+                    "p-4 border-2 rounded-lg transition-all text-left",
+                    formData.alertType === 'wall'
+                      ? 'border-accent bg-accent/10'
+                      : 'border-border hover:border-accent/50'
+                  )}
+                >
+                  <div className="font-semibold text-textPrimary">{t('Wall alert')}</div>
+                  <div className="text-sm text-textSecondary mt-1">{t('Large order-book walls appearing, getting eaten or approached by price.')}</div>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setFormData({
+                    ...formData,
+                    alertType: 'listing',
+                    exchanges: LISTING_EXCHANGES.includes(formData.exchanges[0]) ? formData.exchanges : ['binance'],
+                  })}
+                  className={cn(
+                    "p-4 border-2 rounded-lg transition-all text-left",
+                    formData.alertType === 'listing'
+                      ? 'border-accent bg-accent/10'
+                      : 'border-border hover:border-accent/50'
+                  )}
+                >
+                  <div className="font-semibold text-textPrimary">{t('Listing alert')}</div>
+                  <div className="text-sm text-textSecondary mt-1">{t('New futures / spot listings on an exchange and when they go live.')}</div>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setFormData({
+                    ...formData,
+                    alertType: 'derivatives',
+                    exchanges: DERIVATIVES_EXCHANGES.includes(formData.exchanges[0]) ? formData.exchanges : ['binance'],
+                    market: 'futures',
+                  })}
+                  className={cn(
+                    "p-4 border-2 rounded-lg transition-all text-left",
+                    formData.alertType === 'derivatives'
+                      ? 'border-accent bg-accent/10'
+                      : 'border-border hover:border-accent/50'
+                  )}
+                >
+                  <div className="font-semibold text-textPrimary">{t('Funding / OI alert')}</div>
+                  <div className="text-sm text-textSecondary mt-1">{t('Funding rate levels and flips, open interest spikes and OI / price divergence.')}</div>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setFormData({
+                    ...formData,
+                    alertType: 'liquidation',
+                    exchanges: LIQUIDATION_EXCHANGES.includes(formData.exchanges[0]) ? formData.exchanges : ['binance'],
+                    market: 'futures',
+                  })}
+                  className={cn(
+                    "p-4 border-2 rounded-lg transition-all text-left",
+                    formData.alertType === 'liquidation'
+                      ? 'border-accent bg-accent/10'
+                      : 'border-border hover:border-accent/50'
+                  )}
+                >
+                  <div className="font-semibold text-textPrimary">{t('Liquidation alert')}</div>
+                  <div className="text-sm text-textSecondary mt-1">{t('Single large long or short liquidations on futures, as they happen.')}</div>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setFormData({
+                    ...formData,
+                    alertType: 'spread',
+                    exchanges: ['binance'],
+                    market: formData.spreadCondition.mode === 'spot' ? 'spot' : 'futures',
+                  })}
+                  className={cn(
+                    "p-4 border-2 rounded-lg transition-all text-left",
+                    formData.alertType === 'spread'
+                      ? 'border-accent bg-accent/10'
+                      : 'border-border hover:border-accent/50'
+                  )}
+                >
+                  <div className="font-semibold text-textPrimary">{t('Spread alert')}</div>
+                  <div className="text-sm text-textSecondary mt-1">{t('The same pair priced apart across exchanges, or spot vs futures basis.')}</div>
                 </button>
               </div>
             </div>
@@ -361,37 +629,58 @@ const CreateAlertModal = ({ isOpen, onClose, onSuccess, editingAlertId, editingA
         {/* Step 2: Exchanges & Notifications */}
         {step === 2 && (
           <div className="space-y-4">
-            <div>
-              <label className="block text-sm font-medium text-textPrimary mb-2">
-                {t('Exchange')}
-              </label>
-              <Select
-                value={formData.exchanges[0] || 'binance'}
-                onChange={(e) => setFormData({ ...formData, exchanges: [e.target.value] })}
-                options={[
-                  { value: 'binance', label: t('Binance') },
-                  { value: 'bybit', label: t('Bybit') },
-                  { value: 'okx', label: t('OKX') },
-                  { value: 'gate', label: t('Gate.io') },
-                  { value: 'mexc', label: t('MEXC') },
-                  { value: 'bitget', label: t('Bitget') },
-                ]}
-              />
-            </div>
+            {formData.alertType === 'spread' ? (
+              <p className="text-sm text-textSecondary p-3 border border-border rounded-lg bg-surface/50">
+                {t('Spread alerts compare prices across exchanges — pick the venues and markets in the next step.')}
+              </p>
+            ) : (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-textPrimary mb-2">
+                    {t('Exchange')}
+                  </label>
+                  <Select
+                    value={formData.exchanges[0] || 'binance'}
+                    onChange={(e) => setFormData({
+                      ...formData,
+                      exchanges: [e.target.value],
+                      market: FUTURES_ONLY_EXCHANGES.includes(e.target.value) || ['derivatives', 'liquidation'].includes(formData.alertType)
+                        ? 'futures'
+                        : formData.market,
+                    })}
+                    options={[
+                      { value: 'binance', label: t('Binance') },
+                      { value: 'bybit', label: t('Bybit') },
+                      { value: 'okx', label: t('OKX') },
+                      { value: 'gate', label: t('Gate.io') },
+                      { value: 'mexc', label: t('MEXC') },
+                      { value: 'bitget', label: t('Bitget') },
+                      { value: 'kucoin', label: t('KuCoin') },
+                      { value: 'kraken', label: t('Kraken') },
+                      { value: 'htx', label: t('HTX') },
+                    ].filter((o) => (formData.alertType !== 'wall' || WALL_EXCHANGES.includes(o.value)) &&
+                      (formData.alertType !== 'listing' || LISTING_EXCHANGES.includes(o.value)) &&
+                      (formData.alertType !== 'derivatives' || DERIVATIVES_EXCHANGES.includes(o.value)) &&
+                      (formData.alertType !== 'liquidation' || LIQUIDATION_EXCHANGES.includes(o.value)))}
+                  />
+                </div>
 
-            <div>
-              <label className="block text-sm font-medium text-textPrimary mb-2">
-                {t('Market')}
-              </label>
-              <Select
-                value={formData.market}
-                onChange={(e) => setFormData({ ...formData, market: e.target.value })}
-                options={[
-                  { value: 'futures', label: t('Futures') },
-                  { value: 'spot', label: t('Spot') },
-                ]}
-              />
-            </div>
+                <div>
+                  <label className="block text-sm font-medium text-textPrimary mb-2">
+                    {t('Market')}
+                  </label>
+                  <Select
+                    value={formData.market}
+                    onChange={(e) => setFormData({ ...formData, market: e.target.value })}
+                    options={[
+                      { value: 'futures', label: t('Futures') },
+                      { value: 'spot', label: t('Spot') },
+                    ].filter((o) => o.value === 'futures' ||
+                      (!FUTURES_ONLY_EXCHANGES.includes(formData.exchanges[0]) && !['derivatives', 'liquidation'].includes(formData.alertType)))}
+                  />
+                </div>
+              </>
+            )}
 
             <div>
               <label className="block text-sm font-medium text-textPrimary mb-2">
@@ -496,6 +785,124 @@ const CreateAlertModal = ({ isOpen, onClose, onSuccess, editingAlertId, editingA
                   })()}
                 </div>
               </>
+            ) : formData.alertType === 'indicator' ? (
+              <>
+                <SymbolWhitelist
+                  tokens={binanceTokens}
+                  symbols={formData.symbols}
+                  onChange={(symbols) => setFormData({ ...formData, symbols })}
+                  loading={loadingBinance}
+                  maxSymbols={MAX_INDICATOR_SYMBOLS}
+                />
+
+                <div>
+                  <label className="block text-sm font-medium text-textPrimary mb-2">
+                    {t('Conditions')}
+                  </label>
+                  <IndicatorConditionFields
+                    condition={formData.indicatorCondition}
+                    onChange={(indicatorCondition) => setFormData({ ...formData, indicatorCondition })}
+                  />
+                </div>
+              </>
+            ) : formData.alertType === 'wall' ? (
+              <>
+                <SymbolWhitelist
+                  tokens={binanceTokens}
+                  symbols={formData.symbols}
+                  onChange={(symbols) => setFormData({ ...formData, symbols })}
+                  loading={loadingBinance}
+                  maxSymbols={MAX_WALL_SYMBOLS}
+                  emptyText={t('No tokens selected — all scanned symbols are watched.')}
+                />
+
+                <div>
+                  <label className="block text-sm font-medium text-textPrimary mb-2">
+                    {t('Conditions')}
+                  </label>
+                  <WallConditionFields
+                    condition={formData.wallCondition}
+                    onChange={(wallCondition) => setFormData({ ...formData, wallCondition })}
+                  />
+                </div>
+              </>
+            ) : formData.alertType === 'listing' ? (
+              <div>
+                <label className="block text-sm font-medium text-textPrimary mb-2">
+                  {t('Conditions')}
+                </label>
+                <ListingConditionFields
+                  condition={formData.listingCondition}
+                  onChange={(listingCondition) => setFormData({ ...formData, listingCondition })}
+                />
+              </div>
+            ) : formData.alertType === 'derivatives' ? (
+              <>
+                <SymbolWhitelist
+                  tokens={binanceTokens}
+                  symbols={formData.symbols}
+                  onChange={(symbols) => setFormData({ ...formData, symbols })}
+                  loading={loadingBinance}
+                  maxSymbols={MAX_DERIVATIVES_SYMBOLS}
+                  emptyText={t('No tokens selected — every perpetual on the exchange is watched.')}
+                />
+
+                <div>
+                  <label className="block text-sm font-medium text-textPrimary mb-2">
+                    {t('Conditions')}
+                  </label>
+                  <DerivativesConditionFields
+                    condition={formData.derivativesCondition}
+                    onChange={(derivativesCondition) => setFormData({ ...formData, derivativesCondition })}
+                  />
+                </div>
+              </>
+            ) : formData.alertType === 'liquidation' ? (
+              <>
+                <SymbolWhitelist
+                  tokens={binanceTokens}
+                  symbols={formData.symbols}
+                  onChange={(symbols) => setFormData({ ...formData, symbols })}
+                  loading={loadingBinance}
+                  maxSymbols={MAX_LIQUIDATION_SYMBOLS}
+                  emptyText={t('No tokens selected — every perpetual on the exchange is watched.')}
+                />
+
+                <div>
+                  <label className="block text-sm font-medium text-textPrimary mb-2">
+                    {t('Conditions')}
+                  </label>
+                  <LiquidationConditionFields
+                    condition={formData.liquidationCondition}
+                    onChange={(liquidationCondition) => setFormData({ ...formData, liquidationCondition })}
+                  />
+                </div>
+              </>
+            ) : formData.alertType === 'spread' ? (
+              <>
+                <SymbolWhitelist
+                  tokens={binanceTokens}
+                  symbols={formData.symbols}
+                  onChange={(symbols) => setFormData({ ...formData, symbols })}
+                  loading={loadingBinance}
+                  maxSymbols={MAX_SPREAD_SYMBOLS}
+                  emptyText={t('No tokens selected — every pair listed on at least two of the chosen venues is watched.')}
+                />
+
+                <div>
+                  <label className="block text-sm font-medium text-textPrimary mb-2">
+                    {t('Conditions')}
+                  </label>
+                  <SpreadConditionFields
+                    condition={formData.spreadCondition}
+                    onChange={(spreadCondition) => setFormData({
+                      ...formData,
+                      spreadCondition,
+                      market: spreadCondition.mode === 'spot' ? 'spot' : 'futures',
+                    })}
+                  />
+                </div>
+              </>
             ) : (
               <>
                 {/* Alert for: All coins or Whitelist */}
@@ -537,93 +944,24 @@ const CreateAlertModal = ({ isOpen, onClose, onSuccess, editingAlertId, editingA
                       </p>
                     </div>
                   ) : (
-                    <div>
-                      <label className="block text-sm font-medium text-textPrimary mb-2 flex items-center gap-2">
-                        {t('Whitelist')}
-                        <Info size={14} className="text-textSecondary" title="Add symbols to watch. Only these will trigger the alert." />
-                      </label>
-                      <div className="border border-border rounded-lg bg-surface p-2 min-h-[60px] flex flex-wrap gap-2">
-                        {formData.symbols.map((symbol) => {
-                          const token = binanceTokens.find((t) => (t.fullSymbol || t.symbol) === symbol);
-                          const displaySymbol = token?.symbol || symbol.replace(/USDT$/i, '');
-                          return (
-                            <div
-                              key={symbol}
-                              className="inline-flex items-center gap-1.5 px-2.5 py-1 bg-accent/10 border border-accent/20 rounded-md text-sm"
-                            >
-                              <span className="text-textPrimary font-medium">{displaySymbol}</span>
-                              <span className="text-xs text-textSecondary">{symbol}</span>
-                              <button
-                                type="button"
-                                onClick={() => {
-                                  setFormData({
-                                    ...formData,
-                                    symbols: formData.symbols.filter((s) => s !== symbol),
-                                  });
-                                }}
-                                className="text-textSecondary hover:text-danger transition-colors ml-0.5"
-                              >
-                                <X size={14} />
-                              </button>
-                            </div>
-                          );
-                        })}
-                        <div className="flex-1 min-w-[200px]">
-                          <TokenSelector
-                            tokens={binanceTokens}
-                            value=""
-                            onChange={(symbol) => {
-                              if (symbol && !formData.symbols.includes(symbol)) {
-                                setFormData({
-                                  ...formData,
-                                  symbols: [...formData.symbols, symbol].sort(),
-                                });
-                              }
-                            }}
-                            placeholder={t('Search and add tokens')}
-                            loading={loadingBinance}
-                          />
-                        </div>
-                      </div>
-                      <p className="text-xs text-textSecondary mt-1">
-                        {formData.symbols.length === 0 
-                          ? t('No tokens in whitelist.') 
-                          : t('{{count}} token(s) in whitelist.', { count: formData.symbols.length })}
-                      </p>
-                    </div>
+                    <SymbolWhitelist
+                      tokens={binanceTokens}
+                      symbols={formData.symbols}
+                      onChange={(symbols) => setFormData({ ...formData, symbols })}
+                      loading={loadingBinance}
+                    />
                   )}
                 </div>
 
                 <div>
                   <label className="block text-sm font-medium text-textPrimary mb-2 flex items-center gap-2">
-                    {t('Movement condition')}
-                    <Info size={14} className="text-textSecondary" title="Alert fires when price moves by this % in the selected timeframe." />
+                    {t('Conditions')}
+                    <Info size={14} className="text-textSecondary" title="Conditions in a group must all match; the alert fires when any group matches." />
                   </label>
-                  <div className="flex gap-3 items-end">
-                    <div className="flex-1">
-                      <label className="block text-xs text-textSecondary mb-1">{t('% move')}</label>
-                      <Input
-                        type="number"
-                        step="0.1"
-                        min="0.1"
-                        value={formData.conditions?.[0]?.value ?? ''}
-                        onChange={(e) => {
-                          const cond = formData.conditions?.[0] || { type: 'pct_change', value: '', timeframe: '1m' };
-                          setFormData({
-                            ...formData,
-                            conditions: [{ ...cond, value: e.target.value }],
-                          });
-                        }}
-                        placeholder="e.g. 5"
-                      />
-                    </div>
-                    <div className="flex-1">
-                      <label className="block text-xs text-textSecondary mb-1">{t('Timeframe')}</label>
-                      <div className="px-3 py-2 rounded-lg border border-border bg-surface text-sm text-textPrimary">
-                        {t('1 minute')}
-                      </div>
-                    </div>
-                  </div>
+                  <ComplexConditionBuilder
+                    groups={formData.conditionGroups}
+                    onChange={(conditionGroups) => setFormData({ ...formData, conditionGroups })}
+                  />
                 </div>
               </>
             )}
@@ -643,6 +981,12 @@ const CreateAlertModal = ({ isOpen, onClose, onSuccess, editingAlertId, editingA
                     disabled: !isTelegramConnected,
                     hint: !isTelegramConnected ? t('Connect Telegram in profile to enable.') : null,
                   },
+                  {
+                    key: 'emailEnabled',
+                    label: t('Email notification'),
+                    disabled: false,
+                    hint: t('batched into digests'),
+                  },
                 ].map((item) => {
                   const channels = normalizeNotificationOptions(formData.notificationOptions).channels;
                   const enabled = item.disabled ? false : Boolean(channels[item.key]);
@@ -686,8 +1030,67 @@ const CreateAlertModal = ({ isOpen, onClose, onSuccess, editingAlertId, editingA
                   );
                 })}
               </div>
+              {webhooks.length > 0 && (
+                <div className="mt-2 pt-2 border-t border-border space-y-1">
+                  <span className="block text-xs text-textSecondary">{t('Webhooks')}</span>
+                  {webhooks.map((webhook) => {
+                    const selectedIds = Array.isArray(formData.notificationOptions.webhookIds)
+                      ? formData.notificationOptions.webhookIds
+                      : [];
+                    const enabled = selectedIds.includes(webhook.id);
+                    return (
+                      <div key={webhook.id} className={cn('flex items-center justify-between py-1', !webhook.isActive && 'opacity-40')}>
+                        <span className="text-sm text-textPrimary truncate">
+                          {webhook.name}
+                          {!webhook.isActive && <span className="ml-1.5 text-xs text-textSecondary">({t('disabled')})</span>}
+                        </span>
+                        <button
+                          type="button"
+                          onClick={() => {
+                            setFormData((prev) => {
+                              const current = Array.isArray(prev.notificationOptions.webhookIds)
+                                ? prev.notificationOptions.webhookIds
+                                : [];
+                              return {
+                                ...prev,
+                                notificationOptions: {
+                                  ...prev.notificationOptions,
+                                  webhookIds: current.includes(webhook.id)
+                                    ? current.filter((id) => id !== webhook.id)
+                                    : [...current, webhook.id],
+                                },
+                              };
+                            });
+                          }}
+                          className={cn(
+                            'relative inline-flex h-4 w-8 flex-shrink-0 rounded-full transition-colors duration-200 cursor-pointer',
+                            enabled ? 'bg-accent' : 'bg-gray-600'
+                          )}
+                          aria-label={webhook.name}
+                        >
+                          <span
+                            className={cn(
+                              'absolute top-0.5 h-3 w-3 rounded-full bg-white shadow transition-transform duration-200',
+                              enabled ? 'translate-x-4' : 'translate-x-0.5'
+                            )}
+                          />
+                        </button>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
             </div>
 
+            <AlertLimitsFields
+              options={formData.notificationOptions}
+              alertType={formData.alertType}
+              onChange={(patch) => setFormData((prev) => ({
+                ...prev,
+                notificationOptions: { ...prev.notificationOptions, ...patch },
+              }))}
+            />
+
             <div className="flex justify-between gap-3 pt-4">
               <Button variant="outline" onClick={() => setStep(2)}>
                 {t('Back')}
@@ -0,0 +1,136 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import Input from '../common/Input';
+import Select from '../common/Select';
+import {
+  createDerivativesCondition,
+  MIN_DERIVATIVES_WINDOW_MIN,
+  MAX_DERIVATIVES_WINDOW_MIN,
+} from '../../utils/derivativesConditions';
+
+const METRIC_OPTIONS = [
+  { value: 'funding_rate', label: 'Funding rate crosses a level' },
+  { value: 'funding_flip', label: 'Funding flips sign' },
+  { value: 'oi_change', label: 'Open interest change' },
+  { value: 'oi_price_divergence', label: 'OI / price divergence' },
+];
+
+/**
+ * Edits one funding / open-interest alert condition
+ * ({ metric, operator, direction, value, pricePct, windowMin }).
+ */
+const DerivativesConditionFields = ({ condition, onChange }) => {
+  const { t } = useTranslation();
+  const update = (patch) => onChange({ ...condition, ...patch });
+
+  const changeMetric = (metric) => {
+    const defaults = createDerivativesCondition();
+    onChange({
+      ...defaults,
+      metric,
+      value: metric === 'funding_rate' ? defaults.value : '10',
+    });
+  };
+
+  const numberField = (key, label, props = {}) => (
+    <div>
+      <label className="block text-xs text-textSecondary mb-1">{label}</label>
+      <Input
+        type="number"
+        value={condition[key] ?? ''}
+        onChange={(e) => update({ [key]: e.target.value })}
+        {...props}
+      />
+    </div>
+  );
+
+  const windowField = () =>
+    numberField('windowMin', t('Window (minutes)'), {
+      min: String(MIN_DERIVATIVES_WINDOW_MIN),
+      max: String(MAX_DERIVATIVES_WINDOW_MIN),
+      step: '5',
+    });
+
+  return (
+    <div className="space-y-3 p-3 border border-border rounded-lg bg-surface/50">
+      <div>
+        <label className="block text-xs text-textSecondary mb-1">{t('Notify when')}</label>
+        <Select
+          value={condition.metric}
+          onChange={(e) => changeMetric(e.target.value)}
+          options={METRIC_OPTIONS.map((o) => ({ value: o.value, label: t(o.label) }))}
+        />
+      </div>
+
+      {condition.metric === 'funding_rate' && (
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label className="block text-xs text-textSecondary mb-1">{t('Condition')}</label>
+            <Select
+              value={condition.operator}
+              onChange={(e) => update({ operator: e.target.value })}
+              options={[
+                { value: 'above', label: t('Above') },
+                { value: 'below', label: t('Below') },
+              ]}
+            />
+          </div>
+          {numberField('value', t('Funding rate (%)'), { min: '-5', max: '5', step: '0.01' })}
+        </div>
+      )}
+
+      {condition.metric === 'funding_flip' && (
+        <div>
+          <label className="block text-xs text-textSecondary mb-1">{t('Direction')}</label>
+          <Select
+            value={condition.direction}
+            onChange={(e) => update({ direction: e.target.value })}
+            options={[
+              { value: 'any', label: t('Any') },
+              { value: 'to_positive', label: t('Negative → positive') },
+              { value: 'to_negative', label: t('Positive → negative') },
+            ]}
+          />
+        </div>
+      )}
+
+      {condition.metric === 'oi_change' && (
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label className="block text-xs text-textSecondary mb-1">{t('Direction')}</label>
+            <Select
+              value={condition.direction}
+              onChange={(e) => update({ direction: e.target.value })}
+              options={[
+                { value: 'any', label: t('Any') },
+                { value: 'increase', label: t('Increase') },
+                { value: 'decrease', label: t('Decrease') },
+              ]}
+            />
+          </div>
+          {numberField('value', t('OI change (%)'), { min: '0.1', step: '0.5' })}
+          {windowField()}
+        </div>
+      )}
+
+      {condition.metric === 'oi_price_divergence' && (
+        <>
+          <div className="grid grid-cols-2 gap-3">
+            {numberField('value', t('OI change (%)'), { min: '0.1', step: '0.5' })}
+            {numberField('pricePct', t('Opposite price move (%)'), { min: '0', max: '100', step: '0.1' })}
+            {windowField()}
+          </div>
+          <p className="text-xs text-textSecondary">
+            {t('Fires when open interest and price move in opposite directions by at least these amounts.')}
+          </p>
+        </>
+      )}
+
+      <p className="text-xs text-textSecondary">
+        {t('Funding and open interest are refreshed every 30 seconds. Conditions that are already true when the alert starts do not fire.')}
+      </p>
+    </div>
+  );
+};
+
+export default DerivativesConditionFields;
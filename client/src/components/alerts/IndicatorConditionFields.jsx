@@ -0,0 +1,113 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import Input from '../common/Input';
+import Select from '../common/Select';
+import { INDICATOR_INTERVALS, createIndicatorCondition } from '../../utils/indicatorConditions';
+
+const INTERVAL_LABELS = {
+  '1m': '1 minute',
+  '5m': '5 minutes',
+  '15m': '15 minutes',
+  '30m': '30 minutes',
+  '1h': '1 hour',
+  '4h': '4 hours',
+  '1d': '1 day',
+};
+
+/**
+ * Edits one indicator alert condition ({ indicator, interval, operator, ...params }).
+ */
+const IndicatorConditionFields = ({ condition, onChange }) => {
+  const { t } = useTranslation();
+  const update = (patch) => onChange({ ...condition, ...patch });
+
+  const operatorOptions = {
+    rsi: [
+      { value: 'crosses_below', label: t('Crosses below') },
+      { value: 'crosses_above', label: t('Crosses above') },
+    ],
+    ema_cross: [
+      { value: 'crosses_above', label: t('Fast crosses above slow') },
+      { value: 'crosses_below', label: t('Fast crosses below slow') },
+    ],
+    bollinger: [
+      { value: 'crosses_above', label: t('Close breaks above upper band') },
+      { value: 'crosses_below', label: t('Close breaks below lower band') },
+    ],
+  }[condition.indicator];
+
+  const numberField = (key, label, props = {}) => (
+    <div>
+      <label className="block text-xs text-textSecondary mb-1">{label}</label>
+      <Input
+        type="number"
+        value={condition[key] ?? ''}
+        onChange={(e) => update({ [key]: e.target.value })}
+        {...props}
+      />
+    </div>
+  );
+
+  return (
+    <div className="space-y-3 p-3 border border-border rounded-lg bg-surface/50">
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className="block text-xs text-textSecondary mb-1">{t('Indicator')}</label>
+          <Select
+            value={condition.indicator}
+            onChange={(e) => onChange(createIndicatorCondition(e.target.value, condition.interval))}
+            options={[
+              { value: 'rsi', label: 'RSI' },
+              { value: 'ema_cross', label: t('EMA cross') },
+              { value: 'bollinger', label: t('Bollinger bands') },
+            ]}
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-textSecondary mb-1">{t('Candle interval')}</label>
+          <Select
+            value={condition.interval}
+            onChange={(e) => update({ interval: e.target.value })}
+            options={INDICATOR_INTERVALS.map((iv) => ({ value: iv, label: t(INTERVAL_LABELS[iv] || iv) }))}
+          />
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-xs text-textSecondary mb-1">{t('Condition')}</label>
+        <Select
+          value={condition.operator}
+          onChange={(e) => update({ operator: e.target.value })}
+          options={operatorOptions}
+        />
+      </div>
+
+      <div className="grid grid-cols-2 gap-3">
+        {condition.indicator === 'rsi' && (
+          <>
+            {numberField('period', t('Period'), { min: '2', max: '100', step: '1' })}
+            {numberField('value', t('Level'), { min: '1', max: '99', step: '1', placeholder: 'e.g. 30' })}
+          </>
+        )}
+        {condition.indicator === 'ema_cross' && (
+          <>
+            {numberField('fastPeriod', t('Fast EMA'), { min: '2', max: '200', step: '1' })}
+            {numberField('slowPeriod', t('Slow EMA'), { min: '3', max: '250', step: '1' })}
+          </>
+        )}
+        {condition.indicator === 'bollinger' && (
+          <>
+            {numberField('period', t('Period'), { min: '5', max: '100', step: '1' })}
+            {numberField('stdDev', t('Std. deviations'), { min: '0.5', max: '5', step: '0.5' })}
+          </>
+        )}
+      </div>
+
+      <p className="text-xs text-textSecondary">
+        {t('Checked when each candle closes; fires at most once per candle.')}
+      </p>
+    </div>
+  );
+};
+
+export default IndicatorConditionFields;
@@ -0,0 +1,48 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import Input from '../common/Input';
+import Select from '../common/Select';
+import { MIN_LIQUIDATION_USD } from '../../utils/liquidationConditions';
+
+/**
+ * Edits one large-liquidation alert condition ({ side, minUsd }).
+ */
+const LiquidationConditionFields = ({ condition, onChange }) => {
+  const { t } = useTranslation();
+  const update = (patch) => onChange({ ...condition, ...patch });
+
+  return (
+    <div className="space-y-3 p-3 border border-border rounded-lg bg-surface/50">
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className="block text-xs text-textSecondary mb-1">{t('Liquidated positions')}</label>
+          <Select
+            value={condition.side}
+            onChange={(e) => update({ side: e.target.value })}
+            options={[
+              { value: 'both', label: t('Longs and shorts') },
+              { value: 'long', label: t('Longs') },
+              { value: 'short', label: t('Shorts') },
+            ]}
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-textSecondary mb-1">{t('Min liquidation size (USD)')}</label>
+          <Input
+            type="number"
+            value={condition.minUsd ?? ''}
+            onChange={(e) => update({ minUsd: e.target.value })}
+            min={String(MIN_LIQUIDATION_USD)}
+            step="50000"
+          />
+        </div>
+      </div>
+
+      <p className="text-xs text-textSecondary">
+        {t('Fires on every single liquidation at least this large, with a 1-minute cooldown per symbol.')}
+      </p>
+    </div>
+  );
+};
+
+export default LiquidationConditionFields;
@@ -0,0 +1,54 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import { cn } from '../../utils/cn';
+import { LISTING_EVENTS } from '../../utils/listingConditions';
+
+const EVENT_LABELS = {
+  new: 'New listing appears',
+  live: 'Announced listing goes live',
+};
+
+/**
+ * Edits one listing alert condition ({ events }).
+ */
+const ListingConditionFields = ({ condition, onChange }) => {
+  const { t } = useTranslation();
+
+  const toggleEvent = (event) => {
+    const events = condition.events.includes(event)
+      ? condition.events.filter((e) => e !== event)
+      : LISTING_EVENTS.filter((e) => e === event || condition.events.includes(e));
+    onChange({ ...condition, events });
+  };
+
+  return (
+    <div className="space-y-3 p-3 border border-border rounded-lg bg-surface/50">
+      <div>
+        <label className="block text-xs text-textSecondary mb-1">{t('Notify when')}</label>
+        <div className="flex flex-wrap gap-2">
+          {LISTING_EVENTS.map((event) => (
+            <button
+              key={event}
+              type="button"
+              onClick={() => toggleEvent(event)}
+              className={cn(
+                'px-3 py-1.5 text-sm rounded-md border transition-colors',
+                condition.events.includes(event)
+                  ? 'border-accent bg-accent/10 text-textPrimary'
+                  : 'border-border text-textSecondary hover:border-accent/50'
+              )}
+            >
+              {t(EVENT_LABELS[event])}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <p className="text-xs text-textSecondary">
+        {t('Listing feeds are checked every few minutes while you have a listing alert.')}
+      </p>
+    </div>
+  );
+};
+
+export default ListingConditionFields;
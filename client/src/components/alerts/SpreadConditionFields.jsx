@@ -0,0 +1,94 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import Input from '../common/Input';
+import Select from '../common/Select';
+import { SPREAD_EXCHANGES, MIN_SPREAD_PCT } from '../../utils/spreadConditions';
+
+const EXCHANGE_LABELS = {
+  binance: 'Binance',
+  bybit: 'Bybit',
+  okx: 'OKX',
+  gate: 'Gate.io',
+  bitget: 'Bitget',
+  mexc: 'MEXC',
+};
+
+/**
+ * Edits one cross-exchange spread alert condition ({ mode, minSpreadPct, minVolumeUsd, exchanges }).
+ */
+const SpreadConditionFields = ({ condition, onChange }) => {
+  const { t } = useTranslation();
+  const update = (patch) => onChange({ ...condition, ...patch });
+
+  const toggleExchange = (exchange) => {
+    const exchanges = condition.exchanges.includes(exchange)
+      ? condition.exchanges.filter((ex) => ex !== exchange)
+      : SPREAD_EXCHANGES.filter((ex) => ex === exchange || condition.exchanges.includes(ex));
+    update({ exchanges });
+  };
+
+  return (
+    <div className="space-y-3 p-3 border border-border rounded-lg bg-surface/50">
+      <div className="grid grid-cols-3 gap-3">
+        <div>
+          <label className="block text-xs text-textSecondary mb-1">{t('Compare')}</label>
+          <Select
+            value={condition.mode}
+            onChange={(e) => update({ mode: e.target.value })}
+            options={[
+              { value: 'all', label: t('All markets') },
+              { value: 'futures', label: t('Futures') },
+              { value: 'spot', label: t('Spot') },
+              { value: 'basis', label: t('Spot / futures basis') },
+            ]}
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-textSecondary mb-1">{t('Min spread (%)')}</label>
+          <Input
+            type="number"
+            value={condition.minSpreadPct ?? ''}
+            onChange={(e) => update({ minSpreadPct: e.target.value })}
+            min={String(MIN_SPREAD_PCT)}
+            step="0.1"
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-textSecondary mb-1">{t('Min 24h volume per leg')}</label>
+          <Input
+            type="number"
+            value={condition.minVolumeUsd ?? ''}
+            onChange={(e) => update({ minVolumeUsd: e.target.value })}
+            min="0"
+            step="100000"
+          />
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-xs text-textSecondary mb-1">{t('Exchanges')}</label>
+        <div className="flex flex-wrap gap-3">
+          {SPREAD_EXCHANGES.map((exchange) => (
+            <label key={exchange} className="flex items-center gap-1.5 text-sm text-textPrimary cursor-pointer">
+              <input
+                type="checkbox"
+                checked={condition.exchanges.includes(exchange)}
+                onChange={() => toggleExchange(exchange)}
+                className="accent-accent"
+              />
+              {EXCHANGE_LABELS[exchange]}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <p className="text-xs text-textSecondary">
+        {condition.mode === 'basis'
+          ? t('Fires when spot and futures on the same exchange diverge by at least this much, with a 15-minute cooldown per symbol.')
+          : t('Fires when the cheapest and most expensive venue for a pair differ by at least this much, with a 15-minute cooldown per symbol.')}
+      </p>
+    </div>
+  );
+};
+
+export default SpreadConditionFields;
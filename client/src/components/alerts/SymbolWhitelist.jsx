@@ -0,0 +1,67 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import { Info, X } from 'lucide-react';
+import TokenSelector from './TokenSelector';
+
+/**
+ * Tag list of symbols with a token picker, used by complex (whitelist mode),
+ * indicator and wall alerts.  `maxSymbols` hides the picker once the list is full.
+ */
+const SymbolWhitelist = ({ tokens, symbols, onChange, loading, maxSymbols = null, emptyText = null }) => {
+  const { t } = useTranslation();
+  const isFull = maxSymbols != null && symbols.length >= maxSymbols;
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-textPrimary mb-2 flex items-center gap-2">
+        {t('Whitelist')}
+        <Info size={14} className="text-textSecondary" title="Add symbols to watch. Only these will trigger the alert." />
+      </label>
+      <div className="border border-border rounded-lg bg-surface p-2 min-h-[60px] flex flex-wrap gap-2">
+        {symbols.map((symbol) => {
+          const token = tokens.find((t) => (t.fullSymbol || t.symbol) === symbol);
+          const displaySymbol = token?.symbol || symbol.replace(/USDT$/i, '');
+          return (
+            <div
+              key={symbol}
+              className="inline-flex items-center gap-1.5 px-2.5 py-1 bg-accent/10 border border-accent/20 rounded-md text-sm"
+            >
+              <span className="text-textPrimary font-medium">{displaySymbol}</span>
+              <span className="text-xs text-textSecondary">{symbol}</span>
+              <button
+                type="button"
+                onClick={() => onChange(symbols.filter((s) => s !== symbol))}
+                className="text-textSecondary hover:text-danger transition-colors ml-0.5"
+              >
+                <X size={14} />
+              </button>
+            </div>
+          );
+        })}
+        {!isFull && (
+          <div className="flex-1 min-w-[200px]">
+            <TokenSelector
+              tokens={tokens}
+              value=""
+              onChange={(symbol) => {
+                if (symbol && !symbols.includes(symbol)) {
+                  onChange([...symbols, symbol].sort());
+                }
+              }}
+              placeholder={t('Search and add tokens')}
+              loading={loading}
+            />
+          </div>
+        )}
+      </div>
+      <p className="text-xs text-textSecondary mt-1">
+        {symbols.length === 0
+          ? emptyText || t('No tokens in whitelist.')
+          : t('{{count}} token(s) in whitelist.', { count: symbols.length })}
+        {maxSymbols != null && ` ${t('Up to {{count}} tokens.', { count: maxSymbols })}`}
+      </p>
+    </div>
+  );
+};
+
+export default SymbolWhitelist;
@@ -0,0 +1,89 @@
+import React from 'react';
+import { useTranslation } from 'react-i18next';
+import Input from '../common/Input';
+import Select from '../common/Select';
+import { cn } from '../../utils/cn';
+import { WALL_EVENTS, MIN_WALL_SIZE_USD } from '../../utils/wallConditions';
+
+const EVENT_LABELS = {
+  appeared: 'Wall appeared',
+  removed: 'Wall removed / eaten',
+  approaching: 'Price approaching wall',
+};
+
+/**
+ * Edits one wall alert condition ({ events, side, minSizeUsd, maxDistancePct, minAgeSec, approachPct }).
+ */
+const WallConditionFields = ({ condition, onChange }) => {
+  const { t } = useTranslation();
+  const update = (patch) => onChange({ ...condition, ...patch });
+
+  const toggleEvent = (event) => {
+    const events = condition.events.includes(event)
+      ? condition.events.filter((e) => e !== event)
+      : WALL_EVENTS.filter((e) => e === event || condition.events.includes(e));
+    update({ events });
+  };
+
+  const numberField = (key, label, props = {}) => (
+    <div>
+      <label className="block text-xs text-textSecondary mb-1">{label}</label>
+      <Input
+        type="number"
+        value={condition[key] ?? ''}
+        onChange={(e) => update({ [key]: e.target.value })}
+        {...props}
+      />
+    </div>
+  );
+
+  return (
+    <div className="space-y-3 p-3 border border-border rounded-lg bg-surface/50">
+      <div>
+        <label className="block text-xs text-textSecondary mb-1">{t('Notify when')}</label>
+        <div className="flex flex-wrap gap-2">
+          {WALL_EVENTS.map((event) => (
+            <button
+              key={event}
+              type="button"
+              onClick={() => toggleEvent(event)}
+              className={cn(
+                'px-3 py-1.5 text-sm rounded-md border transition-colors',
+                condition.events.includes(event)
+                  ? 'border-accent bg-accent/10 text-textPrimary'
+                  : 'border-border text-textSecondary hover:border-accent/50'
+              )}
+            >
+              {t(EVENT_LABELS[event])}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3">
+        <div>
+          <label className="block text-xs text-textSecondary mb-1">{t('Side')}</label>
+          <Select
+            value={condition.side}
+            onChange={(e) => update({ side: e.target.value })}
+            options={[
+              { value: 'both', label: t('Both') },
+              { value: 'bid', label: t('Bid (support)') },
+              { value: 'ask', label: t('Ask (resistance)') },
+            ]}
+          />
+        </div>
+        {numberField('minSizeUsd', t('Min wall size (USD)'), { min: String(MIN_WALL_SIZE_USD), step: '50000' })}
+        {numberField('maxDistancePct', t('Max distance from mid (%)'), { min: '0.1', max: '10', step: '0.1' })}
+        {numberField('minAgeSec', t('Min wall age (seconds)'), { min: '0', max: '86400', step: '30' })}
+        {numberField('approachPct', t('Approach distance (%)'), { min: '0.05', max: condition.maxDistancePct || '10', step: '0.05' })}
+      </div>
+
+      <p className="text-xs text-textSecondary">
+        {t('Walls come from the density scanner (refreshed every 15–30 seconds). Walls that already exist when the alert starts do not fire.')}
+      </p>
+    </div>
+  );
+};
+
+export default WallConditionFields;
@@ -0,0 +1,291 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Webhook, Plus, Trash2, RefreshCw, Copy, Eye, EyeOff, History, Loader2 } from 'lucide-react';
+import Input from '../common/Input';
+import Button from '../common/Button';
+import Badge from '../common/Badge';
+import { useToastStore } from '../../store/toastStore';
+import { webhookService } from '../../services/webhookService';
+import { cn } from '../../utils/cn';
+
+const STATUS_VARIANTS = {
+  success: 'success',
+  pending: 'warning',
+  failed: 'danger',
+};
+
+function formatTime(value) {
+  if (!value) return '—';
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? '—' : d.toLocaleString();
+}
+
+const DeliveryLog = ({ webhookId }) => {
+  const { t } = useTranslation();
+  const [deliveries, setDeliveries] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    webhookService
+      .getDeliveries(webhookId)
+      .then((data) => {
+        if (!cancelled) setDeliveries(data.deliveries || []);
+      })
+      .catch(() => {
+        if (!cancelled) setDeliveries([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [webhookId]);
+
+  if (deliveries == null) {
+    return <p className="text-xs text-textSecondary py-2">{t('Loading...')}</p>;
+  }
+  if (deliveries.length === 0) {
+    return <p className="text-xs text-textSecondary py-2">{t('No deliveries yet.')}</p>;
+  }
+  return (
+    <div className="mt-2 max-h-56 overflow-y-auto border border-border rounded-md">
+      <table className="w-full text-xs">
+        <thead className="text-textSecondary bg-surface/50">
+          <tr>
+            <th className="text-left px-2 py-1">{t('Time')}</th>
+            <th className="text-left px-2 py-1">{t('Event')}</th>
+            <th className="text-left px-2 py-1">{t('Status')}</th>
+            <th className="text-left px-2 py-1">{t('Attempts')}</th>
+            <th className="text-left px-2 py-1">{t('Response')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {deliveries.map((d) => (
+            <tr key={d.id} className="border-t border-border">
+              <td className="px-2 py-1 whitespace-nowrap">{formatTime(d.createdAt)}</td>
+              <td className="px-2 py-1">{d.event === 'test' ? t('Test') : t('Alert')}</td>
+              <td className="px-2 py-1">
+                <Badge variant={STATUS_VARIANTS[d.status] || 'expired'} className="capitalize">{t(d.status)}</Badge>
+              </td>
+              <td className="px-2 py-1">{d.attempts}</td>
+              <td className="px-2 py-1 text-textSecondary break-all">{d.error || (d.responseStatus ? `HTTP ${d.responseStatus}` : '—')}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+/**
+ * Manage the user's alert webhook endpoints: add / remove, enable, rotate the
+ * signing secret, send a test event and inspect the delivery log.
+ */
+const WebhooksCard = () => {
+  const { t } = useTranslation();
+  const addToast = useToastStore((state) => state.addToast);
+
+  const [webhooks, setWebhooks] = useState([]);
+  const [maxWebhooks, setMaxWebhooks] = useState(5);
+  const [loading, setLoading] = useState(true);
+  const [name, setName] = useState('');
+  const [url, setUrl] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [revealedId, setRevealedId] = useState(null);
+  const [logId, setLogId] = useState(null);
+
+  const errorMessage = (err) => err.response?.data?.error || err.message || t('Error');
+
+  const load = useCallback(async () => {
+    try {
+      const data = await webhookService.getWebhooks();
+      setWebhooks(data.webhooks || []);
+      if (data.maxWebhooks) setMaxWebhooks(data.maxWebhooks);
+    } catch (err) {
+      addToast(err.response?.data?.error || err.message, 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [addToast]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await webhookService.createWebhook({ name: name.trim(), url: url.trim() });
+      setName('');
+      setUrl('');
+      await load();
+      addToast(t('Webhook added'), 'success');
+    } catch (err) {
+      addToast(errorMessage(err), 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const runAction = async (id, action) => {
+    setBusyId(id);
+    try {
+      await action();
+    } catch (err) {
+      addToast(errorMessage(err), 'error');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleToggle = (webhook) =>
+    runAction(webhook.id, async () => {
+      await webhookService.updateWebhook(webhook.id, { isActive: !webhook.isActive });
+      await load();
+    });
+
+  const handleRotate = (webhook) =>
+    runAction(webhook.id, async () => {
+      if (!window.confirm(t('Generate a new signing secret? The old one stops working immediately.'))) return;
+      await webhookService.updateWebhook(webhook.id, { rotateSecret: true });
+      setRevealedId(webhook.id);
+      await load();
+    });
+
+  const handleDelete = (webhook) =>
+    runAction(webhook.id, async () => {
+      if (!window.confirm(t('Delete this webhook?'))) return;
+      await webhookService.deleteWebhook(webhook.id);
+      await load();
+    });
+
+  const handleTest = (webhook) =>
+    runAction(webhook.id, async () => {
+      const result = await webhookService.sendTest(webhook.id);
+      if (result.sent) {
+        addToast(t('Test event delivered'), 'success');
+      } else {
+        addToast(`${t('Test event failed')}: ${result.error || ''}`, 'error');
+      }
+      await load();
+    });
+
+  const handleCopySecret = async (secret) => {
+    try {
+      await navigator.clipboard.writeText(secret);
+      addToast(t('Secret copied'), 'success');
+    } catch {
+      addToast(t('Could not copy'), 'error');
+    }
+  };
+
+  return (
+    <div className="bg-surface p-6 rounded-lg shadow-lg border border-border">
+      <div className="flex items-center justify-between mb-2">
+        <h2 className="text-xl font-semibold text-textPrimary flex items-center gap-2">
+          <Webhook className="h-6 w-6 text-accent" aria-hidden /> {t('Webhooks')}
+        </h2>
+        <span className="text-xs text-textSecondary">
+          {webhooks.length}/{maxWebhooks}
+        </span>
+      </div>
+      <p className="text-textSecondary mb-4 text-sm">
+        {t('Push triggered alerts to your own automation (trading bots, Discord or Slack incoming webhooks). Pick webhooks per alert under Notifications.')}
+      </p>
+
+      {loading ? (
+        <div className="flex justify-center py-6">
+          <Loader2 className="h-5 w-5 animate-spin text-textSecondary" aria-hidden />
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {webhooks.map((webhook) => {
+            const busy = busyId === webhook.id;
+            const revealed = revealedId === webhook.id;
+            return (
+              <div key={webhook.id} className={cn('p-3 border border-border rounded-lg', !webhook.isActive && 'opacity-60')}>
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-textPrimary truncate">{webhook.name}</p>
+                    <p className="text-xs text-textSecondary break-all">{webhook.url}</p>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    {webhook.lastDelivery && (
+                      <Badge variant={STATUS_VARIANTS[webhook.lastDelivery.status] || 'expired'} className="capitalize">
+                        {t(webhook.lastDelivery.status)}
+                      </Badge>
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => handleToggle(webhook)}
+                      disabled={busy}
+                      className={cn(
+                        'relative inline-flex h-4 w-8 flex-shrink-0 rounded-full transition-colors duration-200 cursor-pointer',
+                        webhook.isActive ? 'bg-accent' : 'bg-gray-600'
+                      )}
+                      aria-label={webhook.isActive ? t('Disable') : t('Enable')}
+                    >
+                      <span
+                        className={cn(
+                          'absolute top-0.5 h-3 w-3 rounded-full bg-white shadow transition-transform duration-200',
+                          webhook.isActive ? 'translate-x-4' : 'translate-x-0.5'
+                        )}
+                      />
+                    </button>
+                  </div>
+                </div>
+
+                <div className="mt-2 flex items-center gap-2 text-xs">
+                  <span className="text-textSecondary">{t('Signing secret')}:</span>
+                  <code className="font-mono text-textPrimary break-all">
+                    {revealed ? webhook.secret : `${webhook.secret.slice(0, 10)}••••••••`}
+                  </code>
+                  <button type="button" onClick={() => setRevealedId(revealed ? null : webhook.id)} className="text-textSecondary hover:text-textPrimary" aria-label={revealed ? t('Hide') : t('Show')}>
+                    {revealed ? <EyeOff className="h-3.5 w-3.5" /> : <Eye className="h-3.5 w-3.5" />}
+                  </button>
+                  <button type="button" onClick={() => handleCopySecret(webhook.secret)} className="text-textSecondary hover:text-textPrimary" aria-label={t('Copy')}>
+                    <Copy className="h-3.5 w-3.5" />
+                  </button>
+                </div>
+
+                <div className="mt-3 flex flex-wrap gap-2">
+                  <Button size="sm" variant="outline" onClick={() => handleTest(webhook)} disabled={busy || !webhook.isActive}>
+                    {busy ? <Loader2 className="h-3.5 w-3.5 mr-1 animate-spin" /> : null}
+                    {t('Send test')}
+                  </Button>
+                  <Button size="sm" variant="ghost" onClick={() => setLogId(logId === webhook.id ? null : webhook.id)}>
+                    <History className="h-3.5 w-3.5 mr-1" /> {t('Delivery log')}
+                  </Button>
+                  <Button size="sm" variant="ghost" onClick={() => handleRotate(webhook)} disabled={busy}>
+                    <RefreshCw className="h-3.5 w-3.5 mr-1" /> {t('Rotate secret')}
+                  </Button>
+                  <Button size="sm" variant="ghost" onClick={() => handleDelete(webhook)} disabled={busy} className="text-danger">
+                    <Trash2 className="h-3.5 w-3.5 mr-1" /> {t('Delete')}
+                  </Button>
+                </div>
+
+                {logId === webhook.id && <DeliveryLog key={webhook.lastDelivery?.id || 'none'} webhookId={webhook.id} />}
+              </div>
+            );
+          })}
+
+          {webhooks.length < maxWebhooks && (
+            <form onSubmit={handleAdd} className="grid grid-cols-1 md:grid-cols-[1fr_2fr_auto] gap-2 items-end">
+              <Input placeholder={t('Name (optional)')} value={name} onChange={(e) => setName(e.target.value)} maxLength={100} />
+              <Input placeholder="https://example.com/hooks/alerts" value={url} onChange={(e) => setUrl(e.target.value)} required />
+              <Button type="submit" loading={saving} disabled={!url.trim()}>
+                <Plus className="h-4 w-4 mr-1" /> {t('Add webhook')}
+              </Button>
+            </form>
+          )}
+
+          <p className="text-xs text-textSecondary">
+            {t('Each request carries X-Webhook-Timestamp and X-Webhook-Signature: sha256=HMAC(secret, "timestamp.body"). Failed deliveries are retried with exponential backoff.')}
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WebhooksCard;
@@ -4,8 +4,8 @@ import { registerCustomShapeOverlays } from './overlays/customShapeOverlays';
 import { cn } from '../../utils/cn';
 import LoadingSpinner from '../common/LoadingSpinner';
 import Button from '../common/Button';
-import { RefreshCw, AlertCircle, X, ChevronDown, Search } from 'lucide-react';
-import { useMarketStore } from '../../store/marketStore';
+import { RefreshCw, AlertCircle, X, ChevronDown, Search, Flame } from 'lucide-react';
+import { useMarketStore, LIQUIDATION_EXCHANGES } from '../../store/marketStore';
 import ChartToolbar from './ChartToolbar';
 import IndicatorsModal from './IndicatorsModal';
 import ChartSettingsModal from './ChartSettingsModal';
@@ -248,6 +248,19 @@ function savePersistedIndicators(configs) {
   }
 }
 
+// Liquidation markers (futures charts on exchanges with a liquidation feed)
+const SHOW_LIQUIDATIONS_KEY = 'kline-chart-show-liquidations';
+const LIQUIDATION_MARKER_GROUP = 'liquidations';
+const LIQUIDATION_MARKER_MIN_USD = 10000;
+
+function loadShowLiquidations() {
+  try {
+    return localStorage.getItem(SHOW_LIQUIDATIONS_KEY) !== 'false';
+  } catch {
+    return true;
+  }
+}
+
 // ===========================================================================
 // SymbolPickerDropdown — inline token search shown when user clicks symbol
 // ===========================================================================
@@ -430,6 +443,11 @@ const KLineChart = ({
 
   // Indicators state management
   const [indicators, setIndicators] = useState([]); // Store indicator configs: [{ id, name, params, visible, isStack }]
+  const [showLiquidations, setShowLiquidations] = useState(loadShowLiquidations);
+  const liquidationsAvailable = alertMarket === 'futures' && LIQUIDATION_EXCHANGES.includes(alertExchange);
+  const liquidationEvents = useMarketStore((state) => state.liquidationEvents[`${alertExchange}:${symbol}`]);
+  const subscribeLiquidations = useMarketStore((state) => state.subscribeLiquidations);
+  const unsubscribeLiquidations = useMarketStore((state) => state.unsubscribeLiquidations);
   const indicatorsRef = useRef([]); // Ref for cleanup access
   // Tracks user-pinned indicator configs (loaded from localStorage) so they
   // survive chart re-initialization when the symbol changes.
@@ -1271,7 +1289,7 @@ const KLineChart = ({
    * @param {boolean} options.visible - Visibility state
    * @returns {string|null} - Indicator ID if successful, null otherwise
    */
-  const addIndicator = (indicatorName, options = {}) => {
+  const addIndicator = useCallback((indicatorName, options = {}) => {
     if (!chartRef.current) {
       console.warn('[KLineChart] Cannot add indicator: chart not initialized');
       return null;
@@ -1350,14 +1368,14 @@ const KLineChart = ({
       console.error('[KLineChart] Error adding indicator:', error);
       return null;
     }
-  };
+  }, []);
 
   /**
    * Remove an indicator from the chart
    * @param {string} indicatorId - ID of the indicator to remove
    * @returns {boolean} - True if successful
    */
-  const removeIndicator = (indicatorId) => {
+  const removeIndicator = useCallback((indicatorId) => {
     if (!chartRef.current) {
       console.warn('[KLineChart] Cannot remove indicator: chart not initialized');
       return false;
@@ -1392,7 +1410,7 @@ const KLineChart = ({
       console.error('[KLineChart] Error removing indicator:', error);
       return false;
     }
-  };
+  }, []);
 
   /**
    * Update indicator parameters or settings
@@ -1928,6 +1946,46 @@ const KLineChart = ({
     }
   }, [candleUpColor, candleDownColor, isInitialized]);
 
+  const toggleLiquidations = useCallback(() => {
+    setShowLiquidations((prev) => {
+      try {
+        localStorage.setItem(SHOW_LIQUIDATIONS_KEY, String(!prev));
+      } catch {
+        // silently ignore
+      }
+      return !prev;
+    });
+  }, []);
+
+  // Follow this symbol's liquidation feed while markers are shown
+  useEffect(() => {
+    if (!liquidationsAvailable || !showLiquidations || !symbol) return;
+    subscribeLiquidations(alertExchange, symbol);
+    return () => unsubscribeLiquidations(alertExchange, symbol);
+  }, [liquidationsAvailable, showLiquidations, alertExchange, symbol, subscribeLiquidations, unsubscribeLiquidations]);
+
+  // Redraw liquidation markers whenever the event list changes
+  useEffect(() => {
+    const chart = chartRef.current;
+    if (!chart || !isInitialized) return;
+    try {
+      chart.removeOverlay({ groupId: LIQUIDATION_MARKER_GROUP });
+      if (!liquidationsAvailable || !showLiquidations) return;
+      for (const event of liquidationEvents || []) {
+        if (event.usd < LIQUIDATION_MARKER_MIN_USD) continue;
+        chart.createOverlay({
+          name: 'liquidationMarker',
+          groupId: LIQUIDATION_MARKER_GROUP,
+          lock: true,
+          points: [{ timestamp: event.time, value: event.price }],
+          extendData: { side: event.side, usd: event.usd },
+        });
+      }
+    } catch {
+      // ignore – chart may be mid-dispose
+    }
+  }, [liquidationEvents, liquidationsAvailable, showLiquidations, isInitialized]);
+
   // Auto-enable bottom volume indicator when requested (e.g. Market Map cards).
   useEffect(() => {
     if (!chartRef.current || !isInitialized) return;
@@ -2342,6 +2400,8 @@ const KLineChart = ({
               <RealtimeIndicator
                 isConnected={isRealtimeConnected}
                 isSubscribed={isRealtimeSubscribed}
+                exchange={alertExchange}
+                market={alertMarket}
               />
               {compact && onHeaderClick && (
                 <span className="text-[10px] text-textSecondary whitespace-nowrap ml-1">Click to change token</span>
@@ -2366,13 +2426,29 @@ const KLineChart = ({
                     </button>
                   ))}
                 </div>
-                <div className="ml-2 pl-2 border-l border-border flex items-center">
+                <div className="ml-2 pl-2 border-l border-border flex items-center gap-1">
                   <IndicatorsButton
                     activeIndicatorsCount={indicators.length}
                     onClick={() => setShowIndicatorsModal(!showIndicatorsModal)}
                     isOpen={showIndicatorsModal}
                     className="h-7 w-8 rounded-md"
                   />
+                  {liquidationsAvailable && (
+                    <button
+                      type="button"
+                      onClick={toggleLiquidations}
+                      className={cn(
+                        "h-7 w-8 rounded-md border flex items-center justify-center transition-all duration-150",
+                        showLiquidations
+                          ? "bg-accent/15 text-accent border-accent/40"
+                          : "border-transparent text-textSecondary hover:text-textPrimary hover:bg-surfaceHover"
+                      )}
+                      title={showLiquidations ? 'Hide liquidations' : 'Show liquidations'}
+                      aria-pressed={showLiquidations}
+                    >
+                      <Flame className="h-4 w-4" />
+                    </button>
+                  )}
                 </div>
               </div>
             )}
@@ -1,5 +1,5 @@
 /**
- * Custom klinecharts overlays: circle, triangle, rangeMeasurement.
+ * Custom klinecharts overlays: circle, triangle, rangeMeasurement, liquidationMarker.
  * Must be registered before chart init. Used by KLineChart.
  */
 import { registerOverlay } from 'klinecharts';
@@ -136,6 +136,42 @@ const rangeMeasurementOverlay = {
   },
 };
 
+const LIQUIDATION_LONG_COLOR = 'rgba(239, 68, 68, 0.75)';
+const LIQUIDATION_SHORT_COLOR = 'rgba(34, 197, 94, 0.75)';
+const LIQUIDATION_LABEL_MIN_USD = 500000;
+
+/**
+ * Liquidation marker: one point = (time, price) of a liquidation.
+ * extendData: { side: 'long' | 'short', usd }. Radius grows with size; red = longs
+ * liquidated, green = shorts. Created locked by KLineChart, never drawn by users.
+ */
+const liquidationMarkerOverlay = {
+  name: 'liquidationMarker',
+  totalStep: 2,
+  needDefaultPointFigure: false,
+  needDefaultXAxisFigure: false,
+  needDefaultYAxisFigure: false,
+  createPointFigures: ({ overlay, coordinates }) => {
+    if (coordinates.length < 1) return [];
+    const { side, usd = 0 } = overlay.extendData || {};
+    const color = side === 'long' ? LIQUIDATION_LONG_COLOR : LIQUIDATION_SHORT_COLOR;
+    const r = Math.min(14, 3 + Math.sqrt(usd / 50000) * 2);
+    const { x, y } = coordinates[0];
+    const figures = [
+      { type: 'circle', attrs: { x, y, r }, styles: { style: 'fill', color }, ignoreEvent: true },
+    ];
+    if (usd >= LIQUIDATION_LABEL_MIN_USD) {
+      figures.push({
+        type: 'text',
+        attrs: { x, y: y - r - 2, text: formatVolume(usd), align: 'center', baseline: 'bottom' },
+        styles: { color, size: 10, backgroundColor: 'transparent' },
+        ignoreEvent: true,
+      });
+    }
+    return figures;
+  },
+};
+
 let registered = false;
 
 export function registerCustomShapeOverlays() {
@@ -143,5 +179,6 @@ export function registerCustomShapeOverlays() {
   registerOverlay(circleOverlay);
   registerOverlay(triangleOverlay);
   registerOverlay(rangeMeasurementOverlay);
+  registerOverlay(liquidationMarkerOverlay);
   registered = true;
 }
@@ -5,6 +5,7 @@ import { cn } from '../../utils/cn';
 import { Download, ExternalLink, Loader2 } from 'lucide-react';
 import TOKEN_THRESHOLDS from '../../config/tokenThresholds';
 import { TOKEN_DEFAULTS } from './FilterPanel';
+import WallClassBadge from './WallClassBadge';
 
 // ---------------------------------------------------------------------------
 // Constants
@@ -14,6 +15,12 @@ const EXCHANGE_BADGE = {
   binance: { abbr: 'BIN', color: 'bg-yellow-500/15 text-yellow-400 border-yellow-500/30' },
   bybit:   { abbr: 'BYB', color: 'bg-orange-500/15 text-orange-400 border-orange-500/30' },
   okx:     { abbr: 'OKX', color: 'bg-blue-500/15 text-blue-400 border-blue-500/30' },
+  gate:    { abbr: 'GAT', color: 'bg-cyan-500/15 text-cyan-400 border-cyan-500/30' },
+  bitget:  { abbr: 'BTG', color: 'bg-emerald-500/15 text-emerald-400 border-emerald-500/30' },
+  mexc:    { abbr: 'MXC', color: 'bg-purple-500/15 text-purple-400 border-purple-500/30' },
+  kucoin:  { abbr: 'KUC', color: 'bg-green-500/15 text-green-400 border-green-500/30' },
+  kraken:  { abbr: 'KRK', color: 'bg-violet-500/15 text-violet-400 border-violet-500/30' },
+  htx:     { abbr: 'HTX', color: 'bg-sky-500/15 text-sky-400 border-sky-500/30' },
 };
 
 const MARKET_ABBR = { futures: 'F', spot: 'S' };
@@ -84,6 +91,30 @@ function getTradeLink(wall) {
       return market === 'futures'
         ? `https://www.okx.com/trade-swap/${originalSymbol || `${base}-USDT-SWAP`}`
         : `https://www.okx.com/trade-spot/${originalSymbol || `${base}-USDT`}`;
+    case 'gate':
+      return market === 'futures'
+        ? `https://www.gate.io/futures/USDT/${base}_USDT`
+        : `https://www.gate.io/trade/${base}_USDT`;
+    case 'bitget':
+      return market === 'futures'
+        ? `https://www.bitget.com/futures/usdt/${symbol}`
+        : `https://www.bitget.com/spot/${symbol}`;
+    case 'mexc':
+      return market === 'futures'
+        ? `https://futures.mexc.com/exchange/${base}_USDT`
+        : `https://www.mexc.com/exchange/${base}_USDT`;
+    case 'kucoin': {
+      const base = symbol.replace(/USDT$/, '');
+      return `https://www.kucoin.com/futures/trade/${base === 'BTC' ? 'XBT' : base}USDTM`;
+    }
+    case 'kraken': {
+      const base = symbol.replace(/USDT?$/, '');
+      return `https://futures.kraken.com/trade/futures/PF_${base === 'BTC' ? 'XBT' : base}USD`;
+    }
+    case 'htx':
+      return market === 'futures'
+        ? `https://www.htx.com/futures/exchange/${base.toLowerCase()}-usdt`
+        : `https://www.htx.com/trade/${base.toLowerCase()}_usdt`;
     default: return '#';
   }
 }
@@ -142,9 +173,21 @@ function WallRow({ wall }) {
         </span>
       )}
 
+      {/* × typical depth */}
+      {wall.depthMultiple != null && (
+        <span
+          className={cn('text-[11px] shrink-0', wall.depthMultiple >= 10 ? 'text-yellow-300' : 'text-textSecondary/70')}
+          title={wall.pctOfDailyVolume != null ? `${wall.pctOfDailyVolume}% of 24h volume` : undefined}
+        >
+          {wall.depthMultiple.toFixed(1)}×
+        </span>
+      )}
+
       {/* Spacer */}
       <span className="flex-1" />
 
+      <WallClassBadge wall={wall} compact />
+
       {/* Age */}
       <span className="text-textSecondary/70 shrink-0 text-[11px]">
         {formatAge(wall.wallAgeMs)}
@@ -243,6 +286,7 @@ const DensityCardGrid = () => {
     isFetching,
     exportCSV,
     tokenSettings,
+    filters,
   } = useDensityScreenerStore();
 
   // Build a lookup: "TICKER|exchange|market" → user's custom minWallSize
@@ -254,6 +298,9 @@ const DensityCardGrid = () => {
     return m;
   }, [tokenSettings]);
 
+  // A relative size filter replaces the hand-tuned per-token minimums
+  const relativeSizing = filters.minDepthMultiple > 0 || filters.minPctOfDailyVolume > 0;
+
   // Group walls by symbol, compute totals, sort groups by total volume desc.
   // Excludes stablecoins and walls below per-token thresholds.
   const groups = useMemo(() => {
@@ -271,7 +318,7 @@ const DensityCardGrid = () => {
         ?? TOKEN_DEFAULTS[userKey]          // per-exchange/market granularity
         ?? TOKEN_THRESHOLDS[baseTicker]      // flat per-token fallback
         ?? 0;
-      if (minSize > 0 && (wall.volumeUSD || 0) < minSize) continue; // below threshold
+      if (!relativeSizing && minSize > 0 && (wall.volumeUSD || 0) < minSize) continue; // below threshold
 
       const key = wall.symbol;
       if (!map.has(key)) map.set(key, { symbol: key, walls: [], totalVolume: 0 });
@@ -281,7 +328,7 @@ const DensityCardGrid = () => {
     }
 
     return Array.from(map.values()).sort((a, b) => b.totalVolume - a.totalVolume);
-  }, [walls, userThresholds]);
+  }, [walls, userThresholds, relativeSizing]);
 
   // ── Loading state ─────────────────────────────────────────
   if (loading && walls.length === 0) {
@@ -1,7 +1,9 @@
-import React, { useMemo } from 'react';
+import React, { useMemo, useState } from 'react';
 import { useTranslation } from 'react-i18next';
 import { useDensityScreenerStore } from '../../store/densityScreenerStore';
 import { cn } from '../../utils/cn';
+import WallHistoryTimeline from './WallHistoryTimeline';
+import WallClassBadge from './WallClassBadge';
 import {
   ArrowUpDown,
   ArrowUp,
@@ -10,6 +12,7 @@ import {
   ExternalLink,
   Loader2,
   EyeOff,
+  History,
 } from 'lucide-react';
 
 // ---------------------------------------------------------------------------
@@ -20,6 +23,12 @@ const EXCHANGE_COLORS = {
   binance: 'bg-yellow-500/10 text-yellow-400 border-yellow-500/20',
   bybit: 'bg-orange-500/10 text-orange-400 border-orange-500/20',
   okx: 'bg-blue-500/10 text-blue-400 border-blue-500/20',
+  gate: 'bg-cyan-500/10 text-cyan-400 border-cyan-500/20',
+  bitget: 'bg-emerald-500/10 text-emerald-400 border-emerald-500/20',
+  mexc: 'bg-purple-500/10 text-purple-400 border-purple-500/20',
+  kucoin: 'bg-green-500/10 text-green-400 border-green-500/20',
+  kraken: 'bg-violet-500/10 text-violet-400 border-violet-500/20',
+  htx: 'bg-sky-500/10 text-sky-400 border-sky-500/20',
 };
 
 const COLUMNS = [
@@ -28,6 +37,8 @@ const COLUMNS = [
   { key: 'side', label: 'Side', sortable: true },
   { key: 'price', label: 'Price', sortable: true },
   { key: 'volumeUSD', label: 'Volume USD', sortable: true },
+  { key: 'depthMultiple', label: '× Depth', sortable: true, hideMobile: true },
+  { key: 'pctOfDailyVolume', label: '% of 24h Vol', sortable: true, hideMobile: true },
   { key: 'percentFromMid', label: '% From Mid', sortable: true },
   { key: 'wallAgeMs', label: 'Wall Age', sortable: true },
   { key: 'link', label: 'Trade', sortable: false, hideMobile: true },
@@ -95,6 +106,30 @@ function getTradeLink(wall) {
       return market === 'futures'
         ? `https://www.okx.com/trade-swap/${originalSymbol || `${base}-USDT-SWAP`}`
         : `https://www.okx.com/trade-spot/${originalSymbol || `${base}-USDT`}`;
+    case 'gate':
+      return market === 'futures'
+        ? `https://www.gate.io/futures/USDT/${base}_USDT`
+        : `https://www.gate.io/trade/${base}_USDT`;
+    case 'bitget':
+      return market === 'futures'
+        ? `https://www.bitget.com/futures/usdt/${symbol}`
+        : `https://www.bitget.com/spot/${symbol}`;
+    case 'mexc':
+      return market === 'futures'
+        ? `https://futures.mexc.com/exchange/${base}_USDT`
+        : `https://www.mexc.com/exchange/${base}_USDT`;
+    case 'kucoin': {
+      const base = symbol.replace(/USDT$/, '');
+      return `https://www.kucoin.com/futures/trade/${base === 'BTC' ? 'XBT' : base}USDTM`;
+    }
+    case 'kraken': {
+      const base = symbol.replace(/USDT?$/, '');
+      return `https://futures.kraken.com/trade/futures/PF_${base === 'BTC' ? 'XBT' : base}USD`;
+    }
+    case 'htx':
+      return market === 'futures'
+        ? `https://www.htx.com/futures/exchange/${base.toLowerCase()}-usdt`
+        : `https://www.htx.com/trade/${base.toLowerCase()}_usdt`;
     default:
       return '#';
   }
@@ -148,6 +183,8 @@ const DensityTable = () => {
     updateFilter,
     fetchWalls,
   } = useDensityScreenerStore();
+  // Tracker id of the wall whose history row is open
+  const [historyKey, setHistoryKey] = useState(null);
 
   // Current sort from store
   const sortKey = filters.sort || 'volumeUSD';
@@ -187,6 +224,8 @@ const DensityTable = () => {
     data.sort((a, b) => {
       let aVal = a[sortKey];
       let bVal = b[sortKey];
+      // Walls without a relative size go last either way
+      if (aVal == null || bVal == null) return (aVal == null) - (bVal == null);
       if (typeof aVal === 'string') aVal = aVal.toLowerCase();
       if (typeof bVal === 'string') bVal = bVal.toLowerCase();
       if (aVal < bVal) return sortDir === 'asc' ? -1 : 1;
@@ -317,135 +356,187 @@ const DensityTable = () => {
                 if (wall.volumeUSD >= 5_000_000) volumeHighlight = 'bg-yellow-500/10';
                 else if (wall.volumeUSD >= 1_000_000) volumeHighlight = 'bg-yellow-500/5';
 
+                const showHistory = historyKey != null && historyKey === wall.id;
+
                 return (
-                  <tr
-                    key={`${wall.exchange}-${wall.symbol}-${wall.price}-${wall.side}-${i}`}
-                    className={cn(
-                      'group border-b border-border transition-colors',
-                      isBid
-                        ? 'border-l-4 border-l-green-500'
-                        : 'border-l-4 border-l-red-500',
-                      volumeHighlight ||
-                        (isEven ? 'bg-surface' : 'bg-surfaceHover/30'),
-                      'hover:bg-surfaceHover/60',
-                    )}
-                  >
-                    {/* Exchange */}
-                    <td className="px-4 py-3 whitespace-nowrap">
-                      <span
-                        className={cn(
-                          'inline-flex items-center px-2 py-0.5 rounded text-xs font-bold uppercase border',
-                          EXCHANGE_COLORS[exKey] ||
-                            'bg-gray-500/10 text-gray-400 border-gray-500/20',
-                        )}
-                      >
-                        {wall.exchange}
-                      </span>
-                      {wall.market && (
-                        <span className="block text-[10px] text-textSecondary mt-0.5 capitalize">
-                          {wall.market}
-                        </span>
+                  <React.Fragment key={`${wall.exchange}-${wall.symbol}-${wall.price}-${wall.side}-${i}`}>
+                    <tr
+                      className={cn(
+                        'group border-b border-border transition-colors',
+                        isBid
+                          ? 'border-l-4 border-l-green-500'
+                          : 'border-l-4 border-l-red-500',
+                        volumeHighlight ||
+                          (isEven ? 'bg-surface' : 'bg-surfaceHover/30'),
+                        'hover:bg-surfaceHover/60',
                       )}
-                    </td>
-
-                    {/* Symbol */}
-                    <td className="px-4 py-3 whitespace-nowrap">
-                      <span className="inline-flex items-center gap-1.5">
-                        <span className="font-semibold">{wall.symbol}</span>
-                        <button
-                          onClick={(e) => {
-                            e.stopPropagation();
-                            const current = filters.hiddenSymbols || [];
-                            if (!current.includes(wall.symbol)) {
-                              updateFilter('hiddenSymbols', [...current, wall.symbol]);
-                              setTimeout(() => fetchWalls(), 50);
-                            }
-                          }}
-                          className="opacity-0 group-hover:opacity-100 p-0.5 rounded hover:bg-red-500/20 hover:text-red-400 text-textSecondary/40 transition-all"
-                          title={`Hide ${wall.symbol}`}
+                    >
+                      {/* Exchange */}
+                      <td className="px-4 py-3 whitespace-nowrap">
+                        <span
+                          className={cn(
+                            'inline-flex items-center px-2 py-0.5 rounded text-xs font-bold uppercase border',
+                            EXCHANGE_COLORS[exKey] ||
+                              'bg-gray-500/10 text-gray-400 border-gray-500/20',
+                          )}
                         >
-                          <EyeOff size={12} />
-                        </button>
-                      </span>
-                    </td>
-
-                    {/* Side */}
-                    <td className="px-4 py-3 whitespace-nowrap">
-                      <span
-                        className={cn(
-                          'inline-flex items-center px-2 py-0.5 rounded text-xs font-bold',
-                          isBid
-                            ? 'bg-green-500/10 text-[#22c55e]'
-                            : 'bg-red-500/10 text-[#ef4444]',
+                          {wall.exchange}
+                        </span>
+                        {wall.market && (
+                          <span className="block text-[10px] text-textSecondary mt-0.5 capitalize">
+                            {wall.market}
+                          </span>
                         )}
+                      </td>
+
+                      {/* Symbol */}
+                      <td className="px-4 py-3 whitespace-nowrap">
+                        <span className="inline-flex items-center gap-1.5">
+                          <span className="font-semibold">{wall.symbol}</span>
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              const current = filters.hiddenSymbols || [];
+                              if (!current.includes(wall.symbol)) {
+                                updateFilter('hiddenSymbols', [...current, wall.symbol]);
+                                setTimeout(() => fetchWalls(), 50);
+                              }
+                            }}
+                            className="opacity-0 group-hover:opacity-100 p-0.5 rounded hover:bg-red-500/20 hover:text-red-400 text-textSecondary/40 transition-all"
+                            title={`Hide ${wall.symbol}`}
+                          >
+                            <EyeOff size={12} />
+                          </button>
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              setHistoryKey(showHistory ? null : wall.id);
+                            }}
+                            className={cn(
+                              'p-0.5 rounded transition-all hover:bg-accent/20 hover:text-accent',
+                              showHistory ? 'text-accent' : 'text-textSecondary/40 opacity-0 group-hover:opacity-100',
+                            )}
+                            title={t('Wall history')}
+                          >
+                            <History size={12} />
+                          </button>
+                        </span>
+                      </td>
+
+                      {/* Side */}
+                      <td className="px-4 py-3 whitespace-nowrap">
+                        <span
+                          className={cn(
+                            'inline-flex items-center px-2 py-0.5 rounded text-xs font-bold',
+                            isBid
+                              ? 'bg-green-500/10 text-[#22c55e]'
+                              : 'bg-red-500/10 text-[#ef4444]',
+                          )}
+                        >
+                          {wall.side}
+                        </span>
+                        <WallClassBadge wall={wall} className="ml-1.5" />
+                      </td>
+
+                      {/* Price */}
+                      <td className="px-4 py-3 whitespace-nowrap font-mono text-xs">
+                        ${formatPrice(wall.price)}
+                      </td>
+
+                      {/* Volume USD */}
+                      <td className="px-4 py-3 whitespace-nowrap font-semibold">
+                        {formatUSD(wall.volumeUSD)}
+                      </td>
+
+                      {/* × typical depth */}
+                      <td
+                        className="px-4 py-3 whitespace-nowrap text-xs hidden md:table-cell"
+                        title={wall.typicalDepthUSD != null ? t('Typical level within ±2%: {{size}}', { size: formatUSD(wall.typicalDepthUSD) }) : undefined}
                       >
-                        {wall.side}
-                      </span>
-                    </td>
-
-                    {/* Price */}
-                    <td className="px-4 py-3 whitespace-nowrap font-mono text-xs">
-                      ${formatPrice(wall.price)}
-                    </td>
-
-                    {/* Volume USD */}
-                    <td className="px-4 py-3 whitespace-nowrap font-semibold">
-                      {formatUSD(wall.volumeUSD)}
-                    </td>
-
-                    {/* % From Mid */}
-                    <td className="px-4 py-3 whitespace-nowrap">
-                      <span
-                        className={cn(
-                          'text-xs font-medium',
-                          wall.percentFromMid < 0
-                            ? 'text-[#22c55e]'
-                            : wall.percentFromMid > 0
-                              ? 'text-[#ef4444]'
-                              : 'text-textSecondary',
+                        {wall.depthMultiple != null ? (
+                          <span className={cn(wall.depthMultiple >= 10 ? 'text-yellow-300 font-semibold' : 'text-textPrimary')}>
+                            {wall.depthMultiple.toFixed(1)}×
+                          </span>
+                        ) : (
+                          <span className="text-textSecondary/40">—</span>
                         )}
+                      </td>
+
+                      {/* % of 24h volume */}
+                      <td
+                        className="px-4 py-3 whitespace-nowrap text-xs hidden md:table-cell"
+                        title={wall.dailyVolumeUSD != null ? t('24h volume: {{volume}}', { volume: formatUSD(wall.dailyVolumeUSD) }) : undefined}
                       >
-                        {wall.percentFromMid != null
-                          ? `${wall.percentFromMid >= 0 ? '+' : ''}${Number(wall.percentFromMid).toFixed(2)}%`
-                          : '—'}
-                      </span>
-                    </td>
-
-                    {/* Wall Age */}
-                    <td className="px-4 py-3 whitespace-nowrap text-xs text-textSecondary">
-                      <span className="inline-flex items-center gap-1.5">
-                        {formatAge(wall.wallAgeMs)}
-                        {isFresh && (
-                          <span
-                            className="relative flex h-1.5 w-1.5"
-                            title="Fresh wall (< 2 min)"
-                          >
-                            <span className="animate-ping absolute inline-flex h-full w-full rounded-full bg-green-400 opacity-75" />
-                            <span className="relative inline-flex rounded-full h-1.5 w-1.5 bg-green-500" />
+                        {wall.pctOfDailyVolume != null ? (
+                          <span className="text-textPrimary">
+                            {wall.pctOfDailyVolume < 0.01 ? '<0.01' : wall.pctOfDailyVolume.toFixed(2)}%
                           </span>
+                        ) : (
+                          <span className="text-textSecondary/40">—</span>
                         )}
-                      </span>
-                    </td>
-
-                    {/* Trade Link */}
-                    <td className="px-4 py-3 whitespace-nowrap hidden md:table-cell">
-                      {tradeUrl && tradeUrl !== '#' ? (
-                        <a
-                          href={tradeUrl}
-                          target="_blank"
-                          rel="noopener noreferrer"
-                          className="text-accent hover:text-accent/80 transition-colors"
-                          title={t('Open on {{exchange}}', {
-                            exchange: wall.exchange,
-                          })}
+                      </td>
+
+                      {/* % From Mid */}
+                      <td className="px-4 py-3 whitespace-nowrap">
+                        <span
+                          className={cn(
+                            'text-xs font-medium',
+                            wall.percentFromMid < 0
+                              ? 'text-[#22c55e]'
+                              : wall.percentFromMid > 0
+                                ? 'text-[#ef4444]'
+                                : 'text-textSecondary',
+                          )}
                         >
-                          <ExternalLink size={15} />
-                        </a>
-                      ) : (
-                        <span className="text-textSecondary/40">—</span>
-                      )}
-                    </td>
-                  </tr>
+                          {wall.percentFromMid != null
+                            ? `${wall.percentFromMid >= 0 ? '+' : ''}${Number(wall.percentFromMid).toFixed(2)}%`
+                            : '—'}
+                        </span>
+                      </td>
+
+                      {/* Wall Age */}
+                      <td className="px-4 py-3 whitespace-nowrap text-xs text-textSecondary">
+                        <span className="inline-flex items-center gap-1.5">
+                          {formatAge(wall.wallAgeMs)}
+                          {isFresh && (
+                            <span
+                              className="relative flex h-1.5 w-1.5"
+                              title="Fresh wall (< 2 min)"
+                            >
+                              <span className="animate-ping absolute inline-flex h-full w-full rounded-full bg-green-400 opacity-75" />
+                              <span className="relative inline-flex rounded-full h-1.5 w-1.5 bg-green-500" />
+                            </span>
+                          )}
+                        </span>
+                      </td>
+
+                      {/* Trade Link */}
+                      <td className="px-4 py-3 whitespace-nowrap hidden md:table-cell">
+                        {tradeUrl && tradeUrl !== '#' ? (
+                          <a
+                            href={tradeUrl}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="text-accent hover:text-accent/80 transition-colors"
+                            title={t('Open on {{exchange}}', {
+                              exchange: wall.exchange,
+                            })}
+                          >
+                            <ExternalLink size={15} />
+                          </a>
+                        ) : (
+                          <span className="text-textSecondary/40">—</span>
+                        )}
+                      </td>
+                    </tr>
+                    {showHistory && (
+                      <tr className="border-b border-border bg-background/60">
+                        <td colSpan={COLUMNS.length}>
+                          <WallHistoryTimeline symbol={wall.symbol} exchange={wall.exchange} market={wall.market} />
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
                 );
               })}
             </tbody>
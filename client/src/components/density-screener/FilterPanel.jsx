@@ -1,12 +1,19 @@
 import React, { useRef, useCallback, useState } from 'react';
 import { SlidersHorizontal, X, RotateCcw, Save, ChevronDown, ChevronUp, Settings } from 'lucide-react';
 import { useDensityScreenerStore } from '../../store/densityScreenerStore';
+import { WALL_CLASSES } from '../../utils/wallClasses';
 import TOKEN_THRESHOLDS from '../../config/tokenThresholds';
 
 const EXCHANGES = [
   { key: 'binance', label: 'Binance', color: 'yellow' },
   { key: 'okx', label: 'OKX', color: 'blue' },
   { key: 'bybit', label: 'Bybit', color: 'orange' },
+  { key: 'gate', label: 'Gate', color: 'cyan' },
+  { key: 'bitget', label: 'Bitget', color: 'emerald' },
+  { key: 'mexc', label: 'MEXC', color: 'purple' },
+  { key: 'kucoin', label: 'KuCoin', color: 'green' },
+  { key: 'kraken', label: 'Kraken', color: 'violet' },
+  { key: 'htx', label: 'HTX', color: 'sky' },
 ];
 
 const EXCHANGE_STYLES = {
@@ -22,6 +29,30 @@ const EXCHANGE_STYLES = {
     active: 'bg-orange-500/20 border-orange-500/60 text-orange-400',
     inactive: 'bg-surfaceHover border-border text-textSecondary hover:border-orange-500/40 hover:text-orange-400',
   },
+  cyan: {
+    active: 'bg-cyan-500/20 border-cyan-500/60 text-cyan-400',
+    inactive: 'bg-surfaceHover border-border text-textSecondary hover:border-cyan-500/40 hover:text-cyan-400',
+  },
+  emerald: {
+    active: 'bg-emerald-500/20 border-emerald-500/60 text-emerald-400',
+    inactive: 'bg-surfaceHover border-border text-textSecondary hover:border-emerald-500/40 hover:text-emerald-400',
+  },
+  purple: {
+    active: 'bg-purple-500/20 border-purple-500/60 text-purple-400',
+    inactive: 'bg-surfaceHover border-border text-textSecondary hover:border-purple-500/40 hover:text-purple-400',
+  },
+  green: {
+    active: 'bg-green-500/20 border-green-500/60 text-green-400',
+    inactive: 'bg-surfaceHover border-border text-textSecondary hover:border-green-500/40 hover:text-green-400',
+  },
+  violet: {
+    active: 'bg-violet-500/20 border-violet-500/60 text-violet-400',
+    inactive: 'bg-surfaceHover border-border text-textSecondary hover:border-violet-500/40 hover:text-violet-400',
+  },
+  sky: {
+    active: 'bg-sky-500/20 border-sky-500/60 text-sky-400',
+    inactive: 'bg-surfaceHover border-border text-textSecondary hover:border-sky-500/40 hover:text-sky-400',
+  },
 };
 
 const MARKET_TYPES = [
@@ -38,6 +69,24 @@ const VOLUME_PRESETS = [
   { label: '$5M', value: 5000000 },
 ];
 
+// Relative size: wall ≥ N× the average grouped level within ±2% of mid,
+// or ≥ N% of the symbol's 24h volume. 0 = off.
+const DEPTH_MULTIPLE_PRESETS = [
+  { label: 'Off', value: 0 },
+  { label: '3×', value: 3 },
+  { label: '5×', value: 5 },
+  { label: '10×', value: 10 },
+  { label: '20×', value: 20 },
+];
+
+const DAILY_VOLUME_PRESETS = [
+  { label: 'Off', value: 0 },
+  { label: '0.1%', value: 0.1 },
+  { label: '0.5%', value: 0.5 },
+  { label: '1%', value: 1 },
+  { label: '2%', value: 2 },
+];
+
 const SIDE_OPTIONS = [
   { key: 'Both', label: 'Both' },
   { key: 'BID', label: 'Bids' },
@@ -138,6 +187,15 @@ export default function FilterPanel() {
     handleFilterChange('side', side);
   };
 
+  // --- Wall class (none selected = all) ---
+  const toggleWallClass = (classKey) => {
+    const current = filters.wallClasses || [];
+    const next = current.includes(classKey)
+      ? current.filter((c) => c !== classKey)
+      : [...current, classKey];
+    handleFilterChange('wallClasses', next.length === WALL_CLASSES.length ? [] : next);
+  };
+
   // --- Symbols ---
   const handleTokenKeyDown = (e) => {
     if (e.key === 'Enter' && tokenInput.trim()) {
@@ -268,6 +326,40 @@ export default function FilterPanel() {
         </div>
       </div>
 
+      {/* Relative wall size */}
+      <div>
+        <SectionLabel>Relative Size</SectionLabel>
+        {[
+          { key: 'minDepthMultiple', label: 'vs. typical depth (±2%)', presets: DEPTH_MULTIPLE_PRESETS },
+          { key: 'minPctOfDailyVolume', label: 'vs. 24h volume', presets: DAILY_VOLUME_PRESETS },
+        ].map((row) => (
+          <div key={row.key} className="mb-1.5">
+            <div className="text-[10px] text-textSecondary mb-1">{row.label}</div>
+            <div className="flex flex-wrap gap-1">
+              {row.presets.map((preset) => {
+                const active = (filters[row.key] || 0) === preset.value;
+                return (
+                  <button
+                    key={preset.value}
+                    onClick={() => handleFilterChange(row.key, preset.value)}
+                    className={`px-2 py-0.5 text-[11px] font-medium rounded-md border transition-colors ${
+                      active
+                        ? 'bg-accent/20 border-accent/50 text-accent'
+                        : 'bg-surfaceHover border-transparent text-textSecondary hover:bg-accent/20 hover:text-accent'
+                    }`}
+                  >
+                    {preset.label}
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        ))}
+        {(filters.minDepthMultiple > 0 || filters.minPctOfDailyVolume > 0) && (
+          <div className="text-[10px] text-textSecondary">Per-token size thresholds are ignored while on</div>
+        )}
+      </div>
+
       {/* Side filter */}
       <div>
         <SectionLabel>Side</SectionLabel>
@@ -295,6 +387,33 @@ export default function FilterPanel() {
         </div>
       </div>
 
+      {/* Wall class filter */}
+      <div>
+        <SectionLabel>Wall Type</SectionLabel>
+        <div className="flex flex-wrap gap-1">
+          {WALL_CLASSES.map((cls) => {
+            const active = (filters.wallClasses || []).includes(cls.key);
+            return (
+              <button
+                key={cls.key}
+                onClick={() => toggleWallClass(cls.key)}
+                title={cls.description}
+                className={`px-2 py-1 text-xs font-medium rounded-lg border transition-colors ${
+                  active
+                    ? cls.color
+                    : 'bg-surfaceHover border-border text-textSecondary hover:bg-accent/10 hover:text-textPrimary'
+                }`}
+              >
+                {cls.label}
+              </button>
+            );
+          })}
+        </div>
+        {(filters.wallClasses || []).length === 0 && (
+          <div className="mt-1 text-[10px] text-textSecondary">All types shown</div>
+        )}
+      </div>
+
       {/* Token filter */}
       <div>
         <SectionLabel>Tokens</SectionLabel>
@@ -528,6 +647,16 @@ const EXCHANGES_MARKETS = [
   { exchange: 'bybit',   market: 'spot',    label: 'Bybit Spot',      color: 'text-orange-400' },
   { exchange: 'okx',     market: 'futures', label: 'OKX Futures',     color: 'text-blue-400' },
   { exchange: 'okx',     market: 'spot',    label: 'OKX Spot',        color: 'text-blue-400' },
+  { exchange: 'gate',    market: 'futures', label: 'Gate Futures',    color: 'text-cyan-400' },
+  { exchange: 'gate',    market: 'spot',    label: 'Gate Spot',       color: 'text-cyan-400' },
+  { exchange: 'bitget',  market: 'futures', label: 'Bitget Futures',  color: 'text-emerald-400' },
+  { exchange: 'bitget',  market: 'spot',    label: 'Bitget Spot',     color: 'text-emerald-400' },
+  { exchange: 'mexc',    market: 'futures', label: 'MEXC Futures',    color: 'text-purple-400' },
+  { exchange: 'mexc',    market: 'spot',    label: 'MEXC Spot',       color: 'text-purple-400' },
+  { exchange: 'kucoin',  market: 'futures', label: 'KuCoin Futures',  color: 'text-green-400' },
+  { exchange: 'kraken',  market: 'futures', label: 'Kraken Futures',  color: 'text-violet-400' },
+  { exchange: 'htx',     market: 'futures', label: 'HTX Futures',     color: 'text-sky-400' },
+  { exchange: 'htx',     market: 'spot',    label: 'HTX Spot',        color: 'text-sky-400' },
 ];
 
 const PER_PAGE = 20;
@@ -30,15 +30,29 @@ function formatMarket(market) {
   return first; // "F" for futures, "S" for spot, etc.
 }
 
+const EXCHANGE_NAMES = {
+  okx: 'OKX',
+  gate: 'Gate',
+  mexc: 'MEXC',
+  kucoin: 'KuCoin',
+  htx: 'HTX',
+};
+
 function exchangeDisplayName(exchange) {
   if (!exchange) return '';
-  return exchange.charAt(0).toUpperCase() + exchange.slice(1);
+  return EXCHANGE_NAMES[exchange] || exchange.charAt(0).toUpperCase() + exchange.slice(1);
 }
 
 const EXCHANGE_COLORS = {
   binance: 'text-yellow-400',
   bybit: 'text-orange-400',
   okx: 'text-blue-400',
+  gate: 'text-cyan-400',
+  bitget: 'text-emerald-400',
+  mexc: 'text-purple-400',
+  kucoin: 'text-green-400',
+  kraken: 'text-violet-400',
+  htx: 'text-sky-400',
 };
 
 // ---------------------------------------------------------------------------
@@ -0,0 +1,34 @@
+import React from 'react';
+import { cn } from '../../utils/cn';
+import { getWallClass } from '../../utils/wallClasses';
+
+/**
+ * Spoof / iceberg / genuine badge for a wall (nothing while unclassified).
+ *
+ * @param {object} wall - Wall with wallClass and classConfidence
+ * @param {boolean} [compact] - Three-letter label for dense card rows
+ * @param {string} [className]
+ */
+const WallClassBadge = ({ wall, compact = false, className }) => {
+  if (!wall.wallClass) return null;
+  const cls = getWallClass(wall.wallClass);
+  if (!cls) return null;
+  const confidence = Math.round((wall.classConfidence || 0) * 100);
+
+  return (
+    <span
+      className={cn(
+        'inline-flex items-center rounded border font-bold uppercase leading-none shrink-0',
+        compact ? 'px-1 py-0.5 text-[9px]' : 'px-1.5 py-0.5 text-[10px]',
+        cls.color,
+        confidence < 50 && 'opacity-60',
+        className,
+      )}
+      title={`${cls.label} · ${confidence}% confidence — ${cls.description}`}
+    >
+      {compact ? cls.short : `${cls.label} ${confidence}%`}
+    </span>
+  );
+};
+
+export default WallClassBadge;
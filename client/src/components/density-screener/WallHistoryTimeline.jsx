@@ -0,0 +1,230 @@
+import React, { useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Loader2 } from 'lucide-react';
+import { useDensityScreenerStore } from '../../store/densityScreenerStore';
+import { cn } from '../../utils/cn';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+const WINDOWS = [
+  { hours: 1, label: '1h' },
+  { hours: 6, label: '6h' },
+  { hours: 24, label: '24h' },
+  { hours: 168, label: '7d' },
+];
+
+const EVENT_STYLES = {
+  appeared: { label: 'Appeared', dot: 'bg-accent' },
+  resized: { label: 'Resized', dot: 'bg-textSecondary' },
+  partial_fill: { label: 'Partial fill', dot: 'bg-orange-400' },
+  refilled: { label: 'Refilled', dot: 'bg-yellow-400' },
+  touched: { label: 'Price touched', dot: 'bg-sky-400' },
+  bounced: { label: 'Bounced', dot: 'bg-green-500' },
+  filled: { label: 'Filled', dot: 'bg-red-500' },
+  pulled: { label: 'Pulled', dot: 'bg-gray-500' },
+};
+
+const MAX_WALLS_SHOWN = 20;
+
+// ---------------------------------------------------------------------------
+// Formatting helpers
+// ---------------------------------------------------------------------------
+
+function formatUSD(value) {
+  if (value == null) return '—';
+  if (value >= 1e6) return `$${(value / 1e6).toFixed(2)}M`;
+  if (value >= 1e3) return `$${(value / 1e3).toFixed(1)}K`;
+  return `$${value.toFixed(0)}`;
+}
+
+function formatDuration(ms) {
+  if (ms == null || ms < 0) return '—';
+  if (ms < 60000) return '< 1m';
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return minutes % 60 > 0 ? `${hours}h ${minutes % 60}m` : `${hours}h`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+function formatTime(iso) {
+  return new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
+
+function describeEvent(event, t) {
+  const style = EVENT_STYLES[event.type];
+  const parts = [`${formatTime(event.at)} · ${t(style?.label || event.type)}`, formatUSD(event.volumeUSD)];
+  if (event.previousVolumeUSD != null) parts[1] = `${formatUSD(event.previousVolumeUSD)} → ${formatUSD(event.volumeUSD)}`;
+  parts.push(`${event.percentFromMid >= 0 ? '+' : ''}${Number(event.percentFromMid).toFixed(2)}%`);
+  return parts.join(' · ');
+}
+
+// ---------------------------------------------------------------------------
+// One wall: summary line + event markers on a time track
+// ---------------------------------------------------------------------------
+
+function WallTrack({ wall, windowStart, windowEnd }) {
+  const { t } = useTranslation();
+  const span = Math.max(1, windowEnd - windowStart);
+  const position = (time) => Math.min(100, Math.max(0, ((new Date(time).getTime() - windowStart) / span) * 100));
+  const start = position(wall.firstSeenAt);
+  const end = wall.alive ? 100 : position(wall.endedAt || wall.events[wall.events.length - 1].at);
+  const isBid = wall.side === 'BID';
+
+  return (
+    <div className="space-y-1">
+      <div className="flex flex-wrap items-center gap-x-3 gap-y-0.5 text-xs">
+        <span className={cn('font-bold', isBid ? 'text-[#22c55e]' : 'text-[#ef4444]')}>{wall.side}</span>
+        <span className="font-mono text-textPrimary">{wall.price}</span>
+        <span className="uppercase text-textSecondary">{wall.exchange} {wall.market}</span>
+        <span className="text-textPrimary">{formatUSD(wall.volumeUSD)}</span>
+        <span className="text-textSecondary">
+          {t('max')} {formatUSD(wall.maxVolumeUSD)}
+        </span>
+        <span className="text-textSecondary">
+          {t('lived')} {formatDuration(wall.lifetimeMs)}
+        </span>
+        {wall.alive ? (
+          <span className="rounded bg-green-500/10 px-1.5 text-green-400">{t('Live')}</span>
+        ) : wall.outcome ? (
+          <span className="rounded bg-surfaceHover px-1.5 text-textSecondary">{t(EVENT_STYLES[wall.outcome].label)}</span>
+        ) : null}
+        <span className="text-textSecondary">
+          {t('Refills')}: {wall.refills} · {t('Partial fills')}: {wall.partialFills} · {t('Touches')}: {wall.touches} · {t('Bounces')}: {wall.bounces}
+        </span>
+        {wall.partial && (
+          <span className="text-textSecondary opacity-70">{t('Earlier events not shown')}</span>
+        )}
+      </div>
+      <div className="relative h-3">
+        <div className="absolute inset-x-0 top-1/2 h-px bg-border" />
+        <div
+          className={cn('absolute top-1/2 h-1 -translate-y-1/2 rounded', isBid ? 'bg-green-500/40' : 'bg-red-500/40')}
+          style={{ left: `${start}%`, width: `${Math.max(0.5, end - start)}%` }}
+        />
+        {wall.events.map((event, i) => (
+          <span
+            key={`${event.type}-${event.at}-${i}`}
+            className={cn(
+              'absolute top-1/2 h-2.5 w-2.5 -translate-x-1/2 -translate-y-1/2 rounded-full border border-background',
+              EVENT_STYLES[event.type]?.dot || 'bg-textSecondary',
+            )}
+            style={{ left: `${position(event.at)}%` }}
+            title={describeEvent(event, t)}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// ---------------------------------------------------------------------------
+// WallHistoryTimeline component
+// ---------------------------------------------------------------------------
+
+/**
+ * Lifecycle of one symbol's walls (GET /api/density-screener/history):
+ * when each appeared, resized, was partially filled / refilled, touched by
+ * price, bounced, and how it ended (filled or pulled).
+ *
+ * @param {string} symbol - e.g. BTCUSDT
+ * @param {string} [exchange] - Limit to one exchange
+ * @param {string} [market] - 'futures' | 'spot'
+ */
+const WallHistoryTimeline = ({ symbol, exchange, market }) => {
+  const { t } = useTranslation();
+  const fetchWallHistory = useDensityScreenerStore((state) => state.fetchWallHistory);
+  const [hours, setHours] = useState(24);
+  const [history, setHistory] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchWallHistory({ symbol, exchange, market, hours })
+      .then((data) => {
+        // The time track ends at fetch time
+        if (!cancelled) {
+          setHistory({ ...data, fetchedAt: Date.now() });
+          setError(null);
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.response?.data?.error || err.message || 'Failed to load wall history');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [fetchWallHistory, symbol, exchange, market, hours]);
+
+  const selectWindow = (next) => {
+    if (next === hours) return;
+    setHours(next);
+    setLoading(true);
+  };
+
+  const windowEnd = history?.fetchedAt || 0;
+  const windowStart = windowEnd - hours * 60 * 60 * 1000;
+  const walls = history?.walls || [];
+
+  return (
+    <div className="space-y-3 px-4 py-3">
+      <div className="flex flex-wrap items-center gap-2 text-xs">
+        <span className="font-semibold text-textPrimary">
+          {t('Wall history')}: {symbol}
+          {exchange ? ` · ${exchange} ${market || ''}` : ''}
+        </span>
+        <div className="flex gap-1">
+          {WINDOWS.map((option) => (
+            <button
+              key={option.hours}
+              type="button"
+              onClick={() => selectWindow(option.hours)}
+              className={cn(
+                'rounded border px-2 py-0.5 font-medium transition-colors',
+                hours === option.hours
+                  ? 'border-accent bg-accent/10 text-accent'
+                  : 'border-border text-textSecondary hover:text-textPrimary',
+              )}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        {loading && <Loader2 size={14} className="animate-spin text-textSecondary" />}
+        <div className="ml-auto flex flex-wrap gap-x-3 gap-y-1 text-textSecondary">
+          {Object.entries(EVENT_STYLES).map(([type, style]) => (
+            <span key={type} className="inline-flex items-center gap-1">
+              <span className={cn('h-2 w-2 rounded-full', style.dot)} />
+              {t(style.label)}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      {error ? (
+        <p className="text-xs text-red-400">{error}</p>
+      ) : !loading && walls.length === 0 ? (
+        <p className="text-xs text-textSecondary">{t('No wall history in this window.')}</p>
+      ) : (
+        <div className="space-y-3">
+          {walls.slice(0, MAX_WALLS_SHOWN).map((wall) => (
+            <WallTrack key={wall.wallId} wall={wall} windowStart={windowStart} windowEnd={windowEnd} />
+          ))}
+          {(walls.length > MAX_WALLS_SHOWN || history?.truncated) && (
+            <p className="text-xs text-textSecondary">
+              {t('Showing the {{count}} most recent walls', { count: Math.min(walls.length, MAX_WALLS_SHOWN) })}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WallHistoryTimeline;
@@ -1,6 +1,6 @@
 import React, { useState, useMemo, useRef, useEffect, useCallback } from 'react';
 import { useTranslation } from 'react-i18next';
-import { useMarketStore } from '../../store/marketStore';
+import { useMarketStore, DERIVATIVES_EXCHANGES } from '../../store/marketStore';
 import { useMarketFlags, FLAG_COLORS } from '../../hooks/useMarketFlags';
 import { ChevronUp, ChevronDown, Flag } from 'lucide-react';
 import { cn } from '../../utils/cn';
@@ -24,6 +24,18 @@ const HeaderTooltip = ({ text }) => {
   );
 };
 
+/** Column sort direction; shown on hover for unsorted columns */
+const SortIcon = ({ columnKey, sortConfig }) => {
+  if (sortConfig.key !== columnKey) {
+    return <ChevronUp className="h-4 w-4 text-textSecondary opacity-0 group-hover:opacity-100" />;
+  }
+  return sortConfig.direction === 'asc' ? (
+    <ChevronUp className="h-4 w-4 text-accent" />
+  ) : (
+    <ChevronDown className="h-4 w-4 text-accent" />
+  );
+};
+
 const BinanceMarketTable = ({ onTokenSelect, highlightToken }) => {
   const { t } = useTranslation();
   const {
@@ -37,7 +49,12 @@ const BinanceMarketTable = ({ onTokenSelect, highlightToken }) => {
     selectedWatchlist,
     watchlists,
     addTokenToWatchlist,
+    derivatives,
+    derivativesExchange,
   } = useMarketStore();
+  // Funding / OI / L/S columns only exist for perpetuals on exchanges the server covers
+  const showDerivatives = exchangeType === 'futures' && DERIVATIVES_EXCHANGES.includes(exchange);
+  const columnCount = showDerivatives ? 8 : 5;
   const tokenToHighlight = highlightToken ?? selectedToken;
   const handleRowClick = (token) => {
     if (onTokenSelect) {
@@ -58,6 +75,14 @@ const BinanceMarketTable = ({ onTokenSelect, highlightToken }) => {
   const scrollContainerRef = useRef(null);
   const [scrollTop, setScrollTop] = useState(0);
   const [containerHeight, setContainerHeight] = useState(600);
+  // Clock for the next-funding countdown
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!showDerivatives) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(timer);
+  }, [showDerivatives]);
 
   // Close popover on click outside
   useEffect(() => {
@@ -113,6 +138,38 @@ const BinanceMarketTable = ({ onTokenSelect, highlightToken }) => {
     );
   };
 
+  const formatFunding = (rate) => {
+    if (rate == null || !Number.isFinite(Number(rate))) {
+      return <span className="text-textSecondary opacity-40 text-xs">—</span>;
+    }
+    const pct = Number(rate) * 100;
+    return (
+      <span className={cn(pct > 0 ? 'text-green-400' : pct < 0 ? 'text-danger' : 'text-textSecondary')}>
+        {pct > 0 ? '+' : ''}{pct.toFixed(4)}%
+      </span>
+    );
+  };
+
+  const formatUntil = (timestampMs) => {
+    const ms = Number(timestampMs) - now;
+    if (!Number.isFinite(ms) || ms <= 0) return null;
+    const minutes = Math.floor(ms / 60000);
+    const hours = Math.floor(minutes / 60);
+    return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+  };
+
+  const formatLongShort = (ratio) => {
+    if (ratio == null || !Number.isFinite(Number(ratio))) {
+      return <span className="text-textSecondary opacity-40 text-xs">—</span>;
+    }
+    const value = Number(ratio);
+    return (
+      <span className={cn(value >= 1 ? 'text-green-400' : 'text-danger')}>
+        {value.toFixed(2)}
+      </span>
+    );
+  };
+
   const formatPrice = (price) => {
     if (!price || isNaN(price)) return t('N/A');
     return `$${price.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
@@ -150,7 +207,9 @@ const BinanceMarketTable = ({ onTokenSelect, highlightToken }) => {
   };
 
   // Numeric columns: always compare as numbers (same logic for Binance, Bybit, OKX)
-  const NUMERIC_SORT_KEYS = ['volume24h', 'priceChangePercent24h', 'natr'];
+  const NUMERIC_SORT_KEYS = ['volume24h', 'priceChangePercent24h', 'natr', 'fundingRate', 'openInterestUsd', 'longShortRatio'];
+  // A funding rate of exactly 0 is real data, not a missing value
+  const ZERO_IS_VALUE_KEYS = ['fundingRate'];
 
   const compareValues = (key, aValue, bValue, direction) => {
     const isNumeric = NUMERIC_SORT_KEYS.includes(key);
@@ -158,8 +217,9 @@ const BinanceMarketTable = ({ onTokenSelect, highlightToken }) => {
       const a = aValue != null && aValue !== '' ? Number(aValue) : NaN;
       const b = bValue != null && bValue !== '' ? Number(bValue) : NaN;
       // Treat 0 / null / NaN as "no data" — always push to bottom regardless of direction
-      const aValid = Number.isFinite(a) && a !== 0;
-      const bValid = Number.isFinite(b) && b !== 0;
+      const zeroIsValue = ZERO_IS_VALUE_KEYS.includes(key);
+      const aValid = Number.isFinite(a) && (zeroIsValue || a !== 0);
+      const bValid = Number.isFinite(b) && (zeroIsValue || b !== 0);
       if (!aValid && !bValid) return 0;
       if (!aValid) return 1;
       if (!bValid) return -1;
@@ -191,7 +251,20 @@ const BinanceMarketTable = ({ onTokenSelect, highlightToken }) => {
     }
     
     if (!tokensToSort.length) return tokensToSort;
-    const list = tokensToSort;
+    const list = showDerivatives && derivativesExchange === exchange
+      ? tokensToSort.map((token) => {
+        const row = derivatives[token.fullSymbol];
+        if (!row) return token;
+        return {
+          ...token,
+          fundingRate: row.fundingRate,
+          predictedFundingRate: row.predictedFundingRate,
+          nextFundingTime: row.nextFundingTime,
+          openInterestUsd: row.openInterestUsd,
+          longShortRatio: row.longShortRatio,
+        };
+      })
+      : tokensToSort;
     const { key, direction } = sortConfig;
 
     list.sort((a, b) => {
@@ -206,18 +279,7 @@ const BinanceMarketTable = ({ onTokenSelect, highlightToken }) => {
       return compareValues(key, aValue, bValue, direction);
     });
     return list;
-  }, [binanceTokens, sortConfig, sortByFlag, exchange, exchangeType, isFlagged, selectedWatchlist, watchlists]);
-
-  const SortIcon = ({ columnKey }) => {
-    if (sortConfig.key !== columnKey) {
-      return <ChevronUp className="h-4 w-4 text-textSecondary opacity-0 group-hover:opacity-100" />;
-    }
-    return sortConfig.direction === 'asc' ? (
-      <ChevronUp className="h-4 w-4 text-accent" />
-    ) : (
-      <ChevronDown className="h-4 w-4 text-accent" />
-    );
-  };
+  }, [binanceTokens, sortConfig, sortByFlag, exchange, exchangeType, isFlagged, selectedWatchlist, watchlists, showDerivatives, derivatives, derivativesExchange]);
 
   // Show loader only for exchanges (not watchlists)
   const showFullLoader = !selectedWatchlist && loadingBinance && binanceTokens.length === 0;
@@ -306,7 +368,7 @@ const BinanceMarketTable = ({ onTokenSelect, highlightToken }) => {
             >
               <div className="flex items-center gap-1">
                 {t('Instrument')}
-                <SortIcon columnKey="symbol" />
+                <SortIcon columnKey="symbol" sortConfig={sortConfig} />
               </div>
             </th>
             <th
@@ -318,7 +380,7 @@ const BinanceMarketTable = ({ onTokenSelect, highlightToken }) => {
               {hoveredHeader === '24h' && <HeaderTooltip text={t('24h % tooltip')} />}
               <div className="flex items-center justify-end gap-1">
                 {t('24h %')}
-                <SortIcon columnKey="priceChangePercent24h" />
+                <SortIcon columnKey="priceChangePercent24h" sortConfig={sortConfig} />
               </div>
             </th>
             <th
@@ -330,7 +392,7 @@ const BinanceMarketTable = ({ onTokenSelect, highlightToken }) => {
               {hoveredHeader === 'natr' && <HeaderTooltip text={t('NATR tooltip')} />}
               <div className="flex items-center justify-end gap-1">
                 {t('NATR')}
-                <SortIcon columnKey="natr" />
+                <SortIcon columnKey="natr" sortConfig={sortConfig} />
               </div>
             </th>
             <th
@@ -342,9 +404,49 @@ const BinanceMarketTable = ({ onTokenSelect, highlightToken }) => {
               {hoveredHeader === 'vol' && <HeaderTooltip text={t('Vol 24h tooltip')} />}
               <div className="flex items-center justify-end gap-1">
                 {t('Vol 24h')} ($)
-                <SortIcon columnKey="volume24h" />
+                <SortIcon columnKey="volume24h" sortConfig={sortConfig} />
               </div>
             </th>
+            {showDerivatives && (
+              <>
+            <th
+              className="px-4 py-3 text-right text-xs font-medium text-textSecondary uppercase tracking-wider cursor-pointer hover:text-textPrimary group relative"
+              onClick={() => handleSort('fundingRate')}
+              onMouseEnter={() => setHoveredHeader('Funding')}
+              onMouseLeave={() => setHoveredHeader(null)}
+            >
+              {hoveredHeader === 'Funding' && <HeaderTooltip text={t('Funding tooltip')} />}
+              <div className="flex items-center justify-end gap-1">
+                {t('Funding')}
+                <SortIcon columnKey="fundingRate" sortConfig={sortConfig} />
+              </div>
+            </th>
+            <th
+              className="px-4 py-3 text-right text-xs font-medium text-textSecondary uppercase tracking-wider cursor-pointer hover:text-textPrimary group relative"
+              onClick={() => handleSort('openInterestUsd')}
+              onMouseEnter={() => setHoveredHeader('OI')}
+              onMouseLeave={() => setHoveredHeader(null)}
+            >
+              {hoveredHeader === 'OI' && <HeaderTooltip text={t('OI tooltip')} />}
+              <div className="flex items-center justify-end gap-1">
+                {t('OI')}
+                <SortIcon columnKey="openInterestUsd" sortConfig={sortConfig} />
+              </div>
+            </th>
+            <th
+              className="px-4 py-3 text-right text-xs font-medium text-textSecondary uppercase tracking-wider cursor-pointer hover:text-textPrimary group relative"
+              onClick={() => handleSort('longShortRatio')}
+              onMouseEnter={() => setHoveredHeader('L/S')}
+              onMouseLeave={() => setHoveredHeader(null)}
+            >
+              {hoveredHeader === 'L/S' && <HeaderTooltip text={t('L/S tooltip')} />}
+              <div className="flex items-center justify-end gap-1">
+                {t('L/S')}
+                <SortIcon columnKey="longShortRatio" sortConfig={sortConfig} />
+              </div>
+            </th>
+              </>
+            )}
           </tr>
         </thead>
         </table>
@@ -357,7 +459,7 @@ const BinanceMarketTable = ({ onTokenSelect, highlightToken }) => {
           <tbody className="divide-y" style={{ borderColor: 'rgba(28,40,67,0.6)' }}>
             {/* Top spacer for virtualized rows above viewport */}
             {topPadding > 0 && (
-              <tr aria-hidden="true"><td colSpan={5} style={{ height: topPadding, padding: 0, border: 'none' }} /></tr>
+              <tr aria-hidden="true"><td colSpan={columnCount} style={{ height: topPadding, padding: 0, border: 'none' }} /></tr>
             )}
             {visibleTokens.map((token) => {
               const flagged = isFlagged(exchange, exchangeType, token.fullSymbol);
@@ -466,12 +568,35 @@ const BinanceMarketTable = ({ onTokenSelect, highlightToken }) => {
                       {formatVolume(token.volume24h)}
                     </span>
                   </td>
+                  {showDerivatives && (
+                    <>
+                      <td
+                        className="px-4 py-1 whitespace-nowrap text-right"
+                        title={token.predictedFundingRate != null
+                          ? `${t('Predicted')}: ${(Number(token.predictedFundingRate) * 100).toFixed(4)}%`
+                          : undefined}
+                      >
+                        <div className="leading-tight">{formatFunding(token.fundingRate)}</div>
+                        {formatUntil(token.nextFundingTime) && (
+                          <div className="text-[11px] text-textSecondary">{formatUntil(token.nextFundingTime)}</div>
+                        )}
+                      </td>
+                      <td className="px-4 py-1 whitespace-nowrap text-right text-textPrimary">
+                        {token.openInterestUsd != null
+                          ? formatVolume(token.openInterestUsd)
+                          : <span className="text-textSecondary opacity-40 text-xs">—</span>}
+                      </td>
+                      <td className="px-4 py-1 whitespace-nowrap text-right">
+                        {formatLongShort(token.longShortRatio)}
+                      </td>
+                    </>
+                  )}
                 </tr>
               );
             })}
             {/* Bottom spacer for virtualized rows below viewport */}
             {bottomPadding > 0 && (
-              <tr aria-hidden="true"><td colSpan={5} style={{ height: bottomPadding, padding: 0, border: 'none' }} /></tr>
+              <tr aria-hidden="true"><td colSpan={columnCount} style={{ height: bottomPadding, padding: 0, border: 'none' }} /></tr>
             )}
           </tbody>
         </table>
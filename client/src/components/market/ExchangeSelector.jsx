@@ -17,6 +17,10 @@ const MARKET_OPTIONS = [
   { value: 'bitget_spot', exchange: 'bitget', exchangeType: 'spot' },
   { value: 'mexc_futures', exchange: 'mexc', exchangeType: 'futures' },
   { value: 'mexc_spot', exchange: 'mexc', exchangeType: 'spot' },
+  { value: 'kucoin_futures', exchange: 'kucoin', exchangeType: 'futures' },
+  { value: 'kraken_futures', exchange: 'kraken', exchangeType: 'futures' },
+  { value: 'htx_futures', exchange: 'htx', exchangeType: 'futures' },
+  { value: 'htx_spot', exchange: 'htx', exchangeType: 'spot' },
 ];
 
 const ExchangeSelector = () => {
@@ -141,6 +145,10 @@ const ExchangeSelector = () => {
         <option value="bitget_spot">{t('Bitget Spot')}</option>
         <option value="mexc_futures">{t('MEXC Futures')}</option>
         <option value="mexc_spot">{t('MEXC Spot')}</option>
+        <option value="kucoin_futures">{t('KuCoin Futures')}</option>
+        <option value="kraken_futures">{t('Kraken Futures')}</option>
+        <option value="htx_futures">{t('HTX Futures')}</option>
+        <option value="htx_spot">{t('HTX Spot')}</option>
       </select>
       <ChevronDown className="absolute right-2 top-1/2 transform -translate-y-1/2 h-4 w-4 text-textSecondary pointer-events-none" />
     </div>
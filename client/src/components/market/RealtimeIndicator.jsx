@@ -1,14 +1,28 @@
 import React from 'react';
 import { cn } from '../../utils/cn';
+import { useMarketStore } from '../../store/marketStore';
+
+const FALLBACK_SOURCE_LABELS = {
+  rest: 'exchange REST',
+  ccxt: 'CCXT',
+};
 
 /**
  * RealtimeIndicator Component
- * Shows the real-time WebSocket connection status for kline data
- * 
+ * Shows the real-time WebSocket connection status for kline data, plus a
+ * warning when the server's ticker feed for exchange+market has failed over
+ * to polled snapshots (alerts run on REST / CCXT prices until it recovers).
+ *
  * @param {boolean} isConnected - Whether WebSocket is connected
  * @param {boolean} isSubscribed - Whether actively subscribed to a kline stream
+ * @param {string} [exchange] - Exchange whose price feed health to show
+ * @param {string} [market] - 'futures' | 'spot'
  */
-const RealtimeIndicator = ({ isConnected, isSubscribed }) => {
+const RealtimeIndicator = ({ isConnected, isSubscribed, exchange, market }) => {
+  const degradedFeed = useMarketStore((state) => (exchange
+    ? state.feedHealth.degraded.find((feed) => feed.exchange === exchange && feed.market === (market === 'spot' ? 'spot' : 'futures'))
+    : null));
+
   // Determine status and styling
   const getStatus = () => {
     if (isSubscribed && isConnected) {
@@ -18,7 +32,7 @@ const RealtimeIndicator = ({ isConnected, isSubscribed }) => {
         textClass: 'text-success',
       };
     }
-    
+
     if (isSubscribed && !isConnected) {
       return {
         label: 'Connecting...',
@@ -26,7 +40,7 @@ const RealtimeIndicator = ({ isConnected, isSubscribed }) => {
         textClass: 'text-warning',
       };
     }
-    
+
     return {
       label: 'Not live',
       dotClass: 'bg-textSecondary',
@@ -38,16 +52,24 @@ const RealtimeIndicator = ({ isConnected, isSubscribed }) => {
 
   return (
     <div className="flex items-center gap-2 text-xs">
-      <div 
+      <div
         className={cn(
           "w-2 h-2 rounded-full transition-colors",
           status.dotClass
-        )} 
+        )}
         title={`Real-time status: ${status.label}`}
       />
       <span className={cn("font-medium", status.textClass)}>
         {status.label}
       </span>
+      {degradedFeed && (
+        <span
+          className="rounded border border-warning/40 bg-warning/10 px-1.5 py-0.5 font-medium text-warning whitespace-nowrap"
+          title={`${exchange} ${degradedFeed.market} ticker stream silent since ${new Date(degradedFeed.since).toLocaleTimeString()}. Alerts are using ${FALLBACK_SOURCE_LABELS[degradedFeed.source] || 'polled'} prices until it recovers.`}
+        >
+          Price feed: fallback
+        </span>
+      )}
     </div>
   );
 };
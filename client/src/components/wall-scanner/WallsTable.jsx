@@ -22,6 +22,18 @@ const EXCHANGE_LINKS = {
     const [base, quote] = sym.split('/');
     return `https://futures.mexc.com/exchange/${base}_${quote}`;
   },
+  kucoin: (sym) => {
+    const [base] = sym.split('/');
+    return `https://www.kucoin.com/futures/trade/${base === 'BTC' ? 'XBT' : base}USDTM`;
+  },
+  kraken: (sym) => {
+    const [base] = sym.split('/');
+    return `https://futures.kraken.com/trade/futures/PF_${base === 'BTC' ? 'XBT' : base}USD`;
+  },
+  htx: (sym) => {
+    const [base] = sym.split('/');
+    return `https://www.htx.com/futures/exchange/${base.toLowerCase()}-usdt`;
+  },
 };
 
 const EXCHANGE_COLORS = {
@@ -31,6 +43,9 @@ const EXCHANGE_COLORS = {
   gate: 'bg-cyan-500/10 text-cyan-400 border-cyan-500/20',
   bitget: 'bg-emerald-500/10 text-emerald-400 border-emerald-500/20',
   mexc: 'bg-purple-500/10 text-purple-400 border-purple-500/20',
+  kucoin: 'bg-green-500/10 text-green-400 border-green-500/20',
+  kraken: 'bg-violet-500/10 text-violet-400 border-violet-500/20',
+  htx: 'bg-sky-500/10 text-sky-400 border-sky-500/20',
 };
 
 const COLUMNS = [
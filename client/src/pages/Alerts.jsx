@@ -2,22 +2,30 @@ import React, { useState, useEffect } from 'react';
 import { useTranslation } from 'react-i18next';
 import AlertsTable from '../components/alerts/AlertsTable';
 import AlertsFilter from '../components/alerts/AlertsFilter';
+import AlertHistoryTimeline from '../components/alerts/AlertHistoryTimeline';
 import CreateAlertModal from '../components/alerts/CreateAlertModal';
 import Button from '../components/common/Button';
+import Tabs from '../components/common/Tabs';
 import { Plus, Trash2 } from 'lucide-react';
 import { useAlertStore } from '../store/alertStore';
 import usePageTitle from '../hooks/usePageTitle';
 
+const HISTORY_PAGE_SIZE = 50;
+
 const Alerts = () => {
   usePageTitle('Alerts');
   const { t } = useTranslation();
 
   const { alerts, loading, fetchAlerts, deleteAlert, toggleAlert } = useAlertStore();
+  const { triggerHistory, triggerHistoryTotal, triggerHistoryLoading, fetchTriggerHistory } = useAlertStore();
 
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [editingAlertId, setEditingAlertId] = useState(null);
   const [selectedIds, setSelectedIds] = useState([]);
   const [filters, setFilters] = useState({ status: 'active', exchange: 'all', market: 'all', type: 'all' });
+  const [activeTab, setActiveTab] = useState('alerts');
+  const [historyFilters, setHistoryFilters] = useState({ exchange: 'all', market: 'all', type: 'all' });
+  const [historyPage, setHistoryPage] = useState(1);
 
   const editingAlert = editingAlertId ? (alerts.find((a) => a.id === editingAlertId) ?? null) : null;
 
@@ -44,10 +52,24 @@ const Alerts = () => {
     return () => document.removeEventListener('visibilitychange', handleVisibility);
   }, [filters, fetchAlerts]);
 
+  // Trigger history: load when the tab is open and keep it fresh on the same 30s cadence
+  useEffect(() => {
+    if (activeTab !== 'history') return undefined;
+    const load = () => fetchTriggerHistory({ ...historyFilters, page: historyPage, limit: HISTORY_PAGE_SIZE });
+    load();
+    const id = setInterval(load, 30000);
+    return () => clearInterval(id);
+  }, [activeTab, historyFilters, historyPage, fetchTriggerHistory]);
+
   const handleFilterChange = (category, value) => {
     setFilters((prev) => ({ ...prev, [category]: value }));
   };
 
+  const handleHistoryFilterChange = (category, value) => {
+    setHistoryFilters((prev) => ({ ...prev, [category]: value }));
+    setHistoryPage(1);
+  };
+
   const handleCreateClick = () => {
     setEditingAlertId(null);
     setIsModalOpen(true);
@@ -126,21 +148,51 @@ const Alerts = () => {
         </div>
       </div>
 
-      {/* Filters */}
-      <AlertsFilter filters={filters} onFilterChange={handleFilterChange} />
-
-      {/* Alerts Table */}
-      <AlertsTable
-        alerts={alerts}
-        loading={loading}
-        onToggleStatus={handleToggle}
-        onEditAlert={handleEdit}
-        onDeleteAlert={handleDelete}
-        onCreateClick={handleCreateClick}
-        selectedIds={selectedIds}
-        onSelectChange={setSelectedIds}
+      <Tabs
+        tabs={[
+          { id: 'alerts', label: t('Alerts') },
+          { id: 'history', label: t('History') },
+        ]}
+        activeTab={activeTab}
+        onChange={setActiveTab}
+        className="max-w-xs"
       />
 
+      {activeTab === 'alerts' ? (
+        <>
+          {/* Filters */}
+          <AlertsFilter filters={filters} onFilterChange={handleFilterChange} />
+
+          {/* Alerts Table */}
+          <AlertsTable
+            alerts={alerts}
+            loading={loading}
+            onToggleStatus={handleToggle}
+            onEditAlert={handleEdit}
+            onDeleteAlert={handleDelete}
+            onCreateClick={handleCreateClick}
+            selectedIds={selectedIds}
+            onSelectChange={setSelectedIds}
+          />
+        </>
+      ) : (
+        <>
+          <AlertsFilter
+            filters={historyFilters}
+            onFilterChange={handleHistoryFilterChange}
+            categories={['exchange', 'market', 'type']}
+          />
+          <AlertHistoryTimeline
+            triggers={triggerHistory}
+            total={triggerHistoryTotal}
+            page={historyPage}
+            limit={HISTORY_PAGE_SIZE}
+            loading={triggerHistoryLoading}
+            onPageChange={setHistoryPage}
+          />
+        </>
+      )}
+
       {/* Create/Edit Modal */}
       <CreateAlertModal
         isOpen={isModalOpen}
@@ -1,25 +1,55 @@
-import React, { useEffect } from 'react';
+import React, { useEffect, useState } from 'react';
+import { useTranslation } from 'react-i18next';
+import { LayoutGrid, Table2 } from 'lucide-react';
 import { useDensityScreenerStore } from '../store/densityScreenerStore';
 import usePageTitle from '../hooks/usePageTitle';
 import FilterPanel from '../components/density-screener/FilterPanel';
 import DensityCardGrid from '../components/density-screener/DensityCardGrid';
+import DensityTable from '../components/density-screener/DensityTable';
 import StatusBar from '../components/density-screener/StatusBar';
 
+const VIEW_STORAGE_KEY = 'density-screener-view';
+
+const VIEWS = [
+  { value: 'cards', label: 'Cards', icon: LayoutGrid },
+  { value: 'table', label: 'Table', icon: Table2 },
+];
+
+function loadView() {
+  try {
+    return localStorage.getItem(VIEW_STORAGE_KEY) === 'table' ? 'table' : 'cards';
+  } catch {
+    return 'cards';
+  }
+}
+
 const DensityScreener = () => {
   usePageTitle('Density Screener');
+  const { t } = useTranslation();
+  // Cards group walls per token; the table lists single walls with their history timeline
+  const [view, setView] = useState(loadView);
 
-  const { startPolling, stopPolling, fetchSymbols } = useDensityScreenerStore();
+  const { startPolling, stopPolling, subscribeWalls, unsubscribeWalls, fetchSymbols } = useDensityScreenerStore();
 
   useEffect(() => {
     // Fetch available symbols once on mount
     fetchSymbols();
-    // Start auto-polling (7s interval)
+    // Walls are pushed over the socket; polling (7s) covers status and socket outages
+    subscribeWalls();
     startPolling(7000);
 
     return () => {
       stopPolling();
+      unsubscribeWalls();
     };
-  }, [fetchSymbols, startPolling, stopPolling]);
+  }, [fetchSymbols, startPolling, stopPolling, subscribeWalls, unsubscribeWalls]);
+
+  const changeView = (next) => {
+    setView(next);
+    try {
+      localStorage.setItem(VIEW_STORAGE_KEY, next);
+    } catch { /* ignore */ }
+  };
 
   return (
     <div className="min-h-[100dvh] bg-background app-page md:px-4 md:py-4">
@@ -33,6 +63,26 @@ const DensityScreener = () => {
           <p className="text-textSecondary text-xs basis-full md:basis-auto">
             Order book walls across Binance, Bybit &amp; OKX
           </p>
+          <div className="ml-auto flex gap-1">
+            {VIEWS.map((option) => {
+              const Icon = option.icon;
+              return (
+                <button
+                  key={option.value}
+                  type="button"
+                  onClick={() => changeView(option.value)}
+                  className={`inline-flex items-center gap-1.5 rounded-lg border px-2.5 py-1 text-xs font-medium transition-colors ${
+                    view === option.value
+                      ? 'border-accent bg-accent/10 text-accent'
+                      : 'border-border text-textSecondary hover:text-textPrimary'
+                  }`}
+                >
+                  <Icon size={14} />
+                  {t(option.label)}
+                </button>
+              );
+            })}
+          </div>
         </div>
 
         {/* Main layout: sidebar + card grid */}
@@ -44,7 +94,7 @@ const DensityScreener = () => {
 
           {/* Card grid + status area */}
           <div className="flex-1 min-w-0 flex flex-col gap-3">
-            <DensityCardGrid />
+            {view === 'table' ? <DensityTable /> : <DensityCardGrid />}
             <StatusBar />
           </div>
         </div>
@@ -283,7 +283,7 @@ const Instructions = () => {
 
             <SubHeading>{language === 'ru' ? 'Поддерживаемые биржи' : 'Supported Exchanges'}</SubHeading>
             <div className="grid grid-cols-2 sm:grid-cols-3 gap-3 mb-6">
-              {['Binance', 'Bybit', 'OKX', 'Gate.io', 'MEXC', 'Bitget'].map((ex) => (
+              {['Binance', 'Bybit', 'OKX', 'Gate.io', 'MEXC', 'Bitget', 'KuCoin', 'Kraken', 'HTX'].map((ex) => (
                 <div key={ex} className="flex items-center gap-2 rounded-lg border border-border bg-surface/60 px-3 py-2 text-sm font-medium text-textPrimary">
                   <Globe className="h-4 w-4 text-accent shrink-0" />
                   {ex}
@@ -1,11 +1,16 @@
 import React, { useState, useMemo, useEffect, useCallback } from 'react';
 import { useTranslation } from 'react-i18next';
-import { ChevronUp, ChevronDown } from 'lucide-react';
+import { ChevronUp, ChevronDown, Bell } from 'lucide-react';
 import Card from '../components/common/Card';
+import Button from '../components/common/Button';
+import CreateAlertModal from '../components/alerts/CreateAlertModal';
+import { useToastStore } from '../store/toastStore';
 import { API_BASE_URL } from '../utils/constants';
 import usePageTitle from '../hooks/usePageTitle';
 
-const ALL_EXCHANGES = ['Binance', 'Bybit', 'OKX', 'MEXC', 'Bitget', 'Gate.io'];
+const ALL_EXCHANGES = ['Binance', 'Bybit', 'OKX', 'MEXC', 'Bitget', 'Gate.io', 'KuCoin', 'Kraken', 'HTX'];
+
+const LISTING_ALERT_PRESET = { alertType: 'listing' };
 
 const DEFAULT_SOURCES = ALL_EXCHANGES.map((exchange) => ({ exchange, count: 0 }));
 
@@ -16,6 +21,9 @@ const EXCHANGE_SYMBOLS = {
   MEXC: 'MX',
   Bitget: 'BG',
   'Gate.io': 'GT',
+  KuCoin: 'KC',
+  Kraken: 'KR',
+  HTX: 'HT',
 };
 
 // Exchange brand colours for toggle buttons
@@ -26,6 +34,9 @@ const EXCHANGE_COLORS = {
   MEXC:     { on: 'bg-cyan-500/20   border-cyan-500/50   text-cyan-400',   dot: 'bg-cyan-400'   },
   Bitget:   { on: 'bg-teal-500/20   border-teal-500/50   text-teal-400',   dot: 'bg-teal-400'   },
   'Gate.io':{ on: 'bg-red-500/20    border-red-500/50    text-red-400',    dot: 'bg-red-400'    },
+  KuCoin:   { on: 'bg-green-500/20  border-green-500/50  text-green-400',  dot: 'bg-green-400'  },
+  Kraken:   { on: 'bg-violet-500/20 border-violet-500/50 text-violet-400', dot: 'bg-violet-400' },
+  HTX:      { on: 'bg-sky-500/20    border-sky-500/50    text-sky-400',    dot: 'bg-sky-400'    },
 };
 
 const Listings = () => {
@@ -39,6 +50,8 @@ const Listings = () => {
   const [error, setError] = useState(null);
   // exchange toggles: Set of currently-enabled exchange names
   const [enabledExchanges, setEnabledExchanges] = useState(() => new Set(ALL_EXCHANGES));
+  const [showAlertModal, setShowAlertModal] = useState(false);
+  const addToast = useToastStore((state) => state.addToast);
 
   const toggleExchange = useCallback((exchange) => {
     setEnabledExchanges((prev) => {
@@ -163,7 +176,23 @@ const Listings = () => {
 
   return (
     <div className="space-y-6">
-      <h1 className="text-2xl font-bold text-textPrimary">{t('Listings')}</h1>
+      <div className="flex items-center justify-between gap-3">
+        <h1 className="text-2xl font-bold text-textPrimary">{t('Listings')}</h1>
+        <Button variant="outline" onClick={() => setShowAlertModal(true)}>
+          <Bell size={16} className="mr-2" />
+          {t('Notify me about listings')}
+        </Button>
+      </div>
+
+      <CreateAlertModal
+        isOpen={showAlertModal}
+        onClose={() => setShowAlertModal(false)}
+        onSuccess={() => {
+          setShowAlertModal(false);
+          addToast(t('Listing alert created'), 'success', 3000);
+        }}
+        initialData={LISTING_ALERT_PRESET}
+      />
 
       {/* Exchange toggle buttons */}
       <Card className="p-3">
@@ -17,6 +17,8 @@ import { debounce } from 'lodash';
 import { testBinanceApi, checkApiConfig } from '../utils/debugApi';
 import SEO from '../components/common/SEO';
 
+const DERIVATIVES_REFRESH_MS = 60 * 1000;
+
 const Market = () => {
   const navigate = useNavigate();
 
@@ -26,6 +28,7 @@ const Market = () => {
     searchQuery,
     setSearchQuery,
     fetchBinanceTokens,
+    fetchDerivatives,
     loadingBinance,
     binanceTokens,
     selectedToken,
@@ -206,6 +209,14 @@ const Market = () => {
     fetchBinanceTokens(exchangeType, searchQuery);
   }, [exchange, exchangeType]); // eslint-disable-line react-hooks/exhaustive-deps
 
+  // Funding / OI / long-short columns (futures only), refreshed every minute
+  useEffect(() => {
+    if (exchangeType !== 'futures') return undefined;
+    fetchDerivatives(exchange);
+    const timer = setInterval(() => fetchDerivatives(exchange), DERIVATIVES_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [exchange, exchangeType, fetchDerivatives]);
+
   // Debug helper - expose to window for console access (dev only, runs once)
   useEffect(() => {
     if (import.meta.env?.DEV && typeof window !== 'undefined') {
@@ -405,6 +416,8 @@ const Market = () => {
                       <RealtimeIndicator
                         isConnected={isRealtimeConnected}
                         isSubscribed={!!activeSubscription}
+                        exchange={exchange}
+                        market={exchangeType}
                       />
                     </>
                   )}
@@ -0,0 +1,295 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useTranslation } from 'react-i18next';
+import { Bell } from 'lucide-react';
+import Card from '../components/common/Card';
+import Button from '../components/common/Button';
+import Input from '../components/common/Input';
+import CreateAlertModal from '../components/alerts/CreateAlertModal';
+import { useMarketStore, SPREAD_EXCHANGES } from '../store/marketStore';
+import { useToastStore } from '../store/toastStore';
+import { formatLargeNumber } from '../utils/formatters';
+import usePageTitle from '../hooks/usePageTitle';
+
+const FILTERS_STORAGE_KEY = 'spread-screener-filters';
+
+const DEFAULT_FILTERS = {
+  mode: 'all',
+  exchanges: SPREAD_EXCHANGES,
+  minVolume: 1000000,
+  minSpread: 0.3,
+  limit: 200,
+};
+
+const MODES = [
+  { value: 'all', label: 'All markets' },
+  { value: 'futures', label: 'Futures' },
+  { value: 'spot', label: 'Spot' },
+  { value: 'basis', label: 'Spot / futures basis' },
+];
+
+const MIN_VOLUME_OPTIONS = [0, 100000, 1000000, 5000000, 20000000];
+
+const EXCHANGE_LABELS = {
+  binance: 'Binance',
+  bybit: 'Bybit',
+  okx: 'OKX',
+  gate: 'Gate.io',
+  bitget: 'Bitget',
+  mexc: 'MEXC',
+};
+
+function loadFilters() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(FILTERS_STORAGE_KEY) || 'null');
+    if (stored && typeof stored === 'object') {
+      const exchanges = Array.isArray(stored.exchanges)
+        ? stored.exchanges.filter((ex) => SPREAD_EXCHANGES.includes(ex))
+        : [];
+      return { ...DEFAULT_FILTERS, ...stored, exchanges: exchanges.length > 0 ? exchanges : SPREAD_EXCHANGES };
+    }
+  } catch { /* ignore */ }
+  return { ...DEFAULT_FILTERS };
+}
+
+function formatQuotePrice(price) {
+  return Number(price).toPrecision(6).replace(/\.?0+$/, '');
+}
+
+const Leg = ({ quote }) => (
+  <div className="whitespace-nowrap">
+    <span className="text-textPrimary">{EXCHANGE_LABELS[quote.exchange] || quote.exchange}</span>
+    <span className="ml-1 text-[10px] uppercase text-textSecondary">{quote.market}</span>
+    <div className="font-mono text-xs text-textSecondary">{formatQuotePrice(quote.price)}</div>
+  </div>
+);
+
+const SpreadScreener = () => {
+  usePageTitle('Spread Screener');
+  const { t } = useTranslation();
+  const spreads = useMarketStore((state) => state.spreads);
+  const subscribeSpreads = useMarketStore((state) => state.subscribeSpreads);
+  const unsubscribeSpreads = useMarketStore((state) => state.unsubscribeSpreads);
+  const addToast = useToastStore((state) => state.addToast);
+  const [filters, setFilters] = useState(loadFilters);
+  const [search, setSearch] = useState('');
+  const [alertPreset, setAlertPreset] = useState(null);
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(FILTERS_STORAGE_KEY, JSON.stringify(filters));
+    } catch { /* ignore */ }
+    subscribeSpreads(filters);
+  }, [filters, subscribeSpreads]);
+
+  useEffect(() => () => unsubscribeSpreads(), [unsubscribeSpreads]);
+
+  const updateFilters = (patch) => setFilters((prev) => ({ ...prev, ...patch }));
+
+  const toggleExchange = (exchange) => {
+    const enabled = filters.exchanges.includes(exchange);
+    // Cross-exchange spreads need two venues; basis works with one
+    if (enabled && filters.exchanges.length <= (filters.mode === 'basis' ? 1 : 2)) return;
+    updateFilters({
+      exchanges: enabled
+        ? filters.exchanges.filter((ex) => ex !== exchange)
+        : SPREAD_EXCHANGES.filter((ex) => ex === exchange || filters.exchanges.includes(ex)),
+    });
+  };
+
+  const rows = useMemo(() => {
+    const list = spreads?.rows || [];
+    const query = search.trim().toUpperCase();
+    return query ? list.filter((row) => row.symbol.includes(query)) : list;
+  }, [spreads, search]);
+
+  const isBasis = filters.mode === 'basis';
+
+  const openAlert = (symbol) => {
+    setAlertPreset({
+      alertType: 'spread',
+      ...(symbol ? { symbol } : {}),
+      spreadCondition: {
+        mode: filters.mode,
+        minSpreadPct: String(filters.minSpread || 1),
+        minVolumeUsd: String(filters.minVolume || 0),
+        exchanges: filters.exchanges,
+      },
+    });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h1 className="text-2xl font-bold text-textPrimary">{t('Spread Screener')}</h1>
+          <p className="text-xs text-textSecondary">
+            {t('Same pair across Binance, Bybit, OKX, Gate.io, Bitget and MEXC, ranked by spread.')}
+          </p>
+        </div>
+        <Button variant="outline" onClick={() => openAlert(null)}>
+          <Bell size={16} className="mr-2" />
+          {t('Spread alert')}
+        </Button>
+      </div>
+
+      <CreateAlertModal
+        isOpen={alertPreset != null}
+        onClose={() => setAlertPreset(null)}
+        onSuccess={() => {
+          setAlertPreset(null);
+          addToast(t('Spread alert created'), 'success', 3000);
+        }}
+        initialData={alertPreset}
+      />
+
+      <Card className="p-3 space-y-3">
+        <div className="flex flex-wrap gap-2">
+          {MODES.map((mode) => (
+            <button
+              key={mode.value}
+              type="button"
+              onClick={() => updateFilters({ mode: mode.value })}
+              className={`rounded-lg border px-3 py-1.5 text-xs font-medium transition-colors ${
+                filters.mode === mode.value
+                  ? 'border-accent bg-accent/10 text-accent'
+                  : 'border-border text-textSecondary hover:text-textPrimary'
+              }`}
+            >
+              {t(mode.label)}
+            </button>
+          ))}
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          {SPREAD_EXCHANGES.map((exchange) => {
+            const isOn = filters.exchanges.includes(exchange);
+            return (
+              <button
+                key={exchange}
+                type="button"
+                onClick={() => toggleExchange(exchange)}
+                className={`rounded-full border px-3 py-1 text-xs font-medium transition-all select-none ${
+                  isOn
+                    ? 'border-accent/50 bg-accent/15 text-textPrimary'
+                    : 'border-border text-textSecondary opacity-40 hover:opacity-60'
+                }`}
+              >
+                {EXCHANGE_LABELS[exchange]}
+              </button>
+            );
+          })}
+        </div>
+
+        <div className="flex flex-wrap items-end gap-3">
+          <div className="w-40">
+            <label className="block text-xs text-textSecondary mb-1">{t('Min 24h volume per leg')}</label>
+            <select
+              value={filters.minVolume}
+              onChange={(e) => updateFilters({ minVolume: Number(e.target.value) })}
+              className="w-full rounded-lg border border-border bg-surface px-2 py-1.5 text-sm text-textPrimary"
+            >
+              {MIN_VOLUME_OPTIONS.map((value) => (
+                <option key={value} value={value}>
+                  {value === 0 ? t('Any') : formatLargeNumber(value, { decimals: 0 })}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="w-32">
+            <label className="block text-xs text-textSecondary mb-1">{t('Min spread (%)')}</label>
+            <Input
+              type="number"
+              value={filters.minSpread}
+              onChange={(e) => updateFilters({ minSpread: Number(e.target.value) || 0 })}
+              min="0"
+              step="0.1"
+            />
+          </div>
+          <div className="w-48">
+            <label className="block text-xs text-textSecondary mb-1">{t('Search')}</label>
+            <Input value={search} onChange={(e) => setSearch(e.target.value)} placeholder="BTC" />
+          </div>
+          <span className="ml-auto text-xs text-textSecondary">
+            {!spreads
+              ? t('Connecting…')
+              : !spreads.warm
+                ? t('Warming up price feeds…')
+                : `${t('Updated')}: ${new Date(spreads.updatedAt).toLocaleTimeString()}`}
+          </span>
+        </div>
+      </Card>
+
+      <Card className="overflow-hidden p-0">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-border">
+            <thead className="bg-surfaceDark">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-textSecondary uppercase tracking-wider">{t('Pair')}</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-textSecondary uppercase tracking-wider">
+                  {isBasis ? t('Basis') : t('Spread')}
+                </th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-textSecondary uppercase tracking-wider">{t('Buy')}</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-textSecondary uppercase tracking-wider">{t('Sell')}</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-textSecondary uppercase tracking-wider">{t('Min leg volume')}</th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-textSecondary uppercase tracking-wider">{t('Venues')}</th>
+                <th className="px-4 py-3" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-border bg-background">
+              {rows.length === 0 ? (
+                <tr>
+                  <td colSpan={7} className="px-4 py-8 text-center text-textSecondary">
+                    {spreads ? t('No spreads match these filters.') : t('Loading…')}
+                  </td>
+                </tr>
+              ) : (
+                rows.map((row) => {
+                  const legVolumes = [row.buy.volume24h, row.sell.volume24h].filter((v) => v != null);
+                  return (
+                    <tr key={`${row.symbol}-${row.exchange || ''}`} className="hover:bg-surfaceHover/50">
+                      <td className="px-4 py-3 text-sm font-medium text-textPrimary">
+                        {row.symbol.replace(/USDT$/, '')}
+                        <span className="text-textSecondary">/USDT</span>
+                        {isBasis && (
+                          <div className="text-xs text-textSecondary">{EXCHANGE_LABELS[row.exchange] || row.exchange}</div>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-right text-sm font-mono font-semibold text-accent">
+                        {isBasis
+                          ? `${row.basisPct >= 0 ? '+' : ''}${row.basisPct.toFixed(2)}%`
+                          : `${row.spreadPct.toFixed(2)}%`}
+                      </td>
+                      <td className="px-4 py-3 text-sm"><Leg quote={row.buy} /></td>
+                      <td className="px-4 py-3 text-sm"><Leg quote={row.sell} /></td>
+                      <td className="px-4 py-3 text-right text-sm text-textPrimary">
+                        {legVolumes.length > 0 ? formatLargeNumber(Math.min(...legVolumes), { decimals: 1 }) : '—'}
+                      </td>
+                      <td
+                        className="px-4 py-3 text-right text-sm text-textSecondary"
+                        title={row.quotes.map((q) => `${EXCHANGE_LABELS[q.exchange] || q.exchange} ${q.market}: ${formatQuotePrice(q.price)}`).join('\n')}
+                      >
+                        {row.quotes.length}
+                      </td>
+                      <td className="px-4 py-3 text-right">
+                        <button
+                          type="button"
+                          onClick={() => openAlert(row.symbol)}
+                          className="text-textSecondary hover:text-accent"
+                          title={t('Spread alert')}
+                        >
+                          <Bell size={14} />
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })
+              )}
+            </tbody>
+          </table>
+        </div>
+      </Card>
+    </div>
+  );
+};
+
+export default SpreadScreener;
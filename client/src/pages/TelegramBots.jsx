@@ -5,6 +5,7 @@ import { useAuthStore } from '../store/authStore';
 import { useToastStore } from '../store/toastStore';
 import { telegramService } from '../services/telegramService';
 import usePageTitle from '../hooks/usePageTitle';
+import WebhooksCard from '../components/alerts/WebhooksCard';
 
 const TelegramBots = () => {
   usePageTitle('Telegram Bots');
@@ -188,6 +189,8 @@ const TelegramBots = () => {
           <p className="mt-3 text-sm text-textSecondary italic">{t('Coming soon')}</p>
         </div>
       </div>
+
+      <WebhooksCard />
     </div>
   );
 };
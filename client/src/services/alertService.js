@@ -55,11 +55,24 @@ export const alertService = {
     return response.data;
   },
 
-  async getHistory() {
-    const response = await api.get('/alerts/history');
-    const data = response.data;
-    if (Array.isArray(data?.alerts)) return data.alerts;
-    if (Array.isArray(data)) return data;
-    return [];
+  /**
+   * Get trigger history (one row per alert fire, newest first).
+   * @param {object} params - { page, limit, alertId, symbol, exchange, market, type, from, to }
+   * @returns {Promise<{ triggers: array, total: number, page: number, limit: number, hasMore: boolean }>}
+   */
+  async getHistory(params = {}) {
+    const query = {};
+    for (const [key, value] of Object.entries(params)) {
+      if (value != null && value !== '' && value !== 'all') query[key] = value;
+    }
+    const response = await api.get('/alerts/history', { params: query });
+    const data = response.data || {};
+    return {
+      triggers: Array.isArray(data.triggers) ? data.triggers : [],
+      total: Number(data.total) || 0,
+      page: Number(data.page) || 1,
+      limit: Number(data.limit) || 50,
+      hasMore: Boolean(data.hasMore),
+    };
   },
 };
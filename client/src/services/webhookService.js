@@ -0,0 +1,43 @@
+import api from './api';
+
+export const webhookService = {
+  /**
+   * GET /api/webhooks (auth required)
+   * @returns {{ webhooks: object[], maxWebhooks: number }}
+   */
+  async getWebhooks() {
+    const response = await api.get('/webhooks');
+    return response.data;
+  },
+
+  async createWebhook({ name, url }) {
+    const response = await api.post('/webhooks', { name, url });
+    return response.data;
+  },
+
+  /**
+   * PUT /api/webhooks/:id — { name?, url?, isActive?, rotateSecret? }
+   */
+  async updateWebhook(id, data) {
+    const response = await api.put(`/webhooks/${id}`, data);
+    return response.data;
+  },
+
+  async deleteWebhook(id) {
+    await api.delete(`/webhooks/${id}`);
+  },
+
+  /**
+   * Send a signed test event. Resolves with { sent, status, error } even when the endpoint rejects it.
+   * POST /api/webhooks/:id/test (auth required)
+   */
+  async sendTest(id) {
+    const response = await api.post(`/webhooks/${id}/test`);
+    return response.data;
+  },
+
+  async getDeliveries(id, limit = 20) {
+    const response = await api.get(`/webhooks/${id}/deliveries`, { params: { limit } });
+    return response.data;
+  },
+};
@@ -4,6 +4,9 @@ import { alertService } from '../services/alertService';
 export const useAlertStore = create((set, get) => ({
   alerts: [],
   history: [],
+  triggerHistory: [],
+  triggerHistoryTotal: 0,
+  triggerHistoryLoading: false,
   processedTriggerKeys: {},
   loading: false,
   error: null,
@@ -88,13 +91,17 @@ export const useAlertStore = create((set, get) => ({
     }
   },
   
-  fetchHistory: async () => {
-      set({ loading: true, error: null });
+  fetchTriggerHistory: async (params = {}) => {
+      set({ triggerHistoryLoading: true, error: null });
       try {
-        const data = await alertService.getHistory();
-        set({ history: Array.isArray(data) ? data : [], loading: false });
+        const data = await alertService.getHistory(params);
+        set({
+          triggerHistory: data.triggers,
+          triggerHistoryTotal: data.total,
+          triggerHistoryLoading: false,
+        });
       } catch (error) {
-        set({ error: error.message, loading: false });
+        set({ error: error.message, triggerHistoryLoading: false });
       }
   },
 
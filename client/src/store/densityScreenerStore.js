@@ -1,9 +1,10 @@
 import { create } from 'zustand';
 import api from '../services/api';
+import { subscribeWallStream, unsubscribeWallStream } from './marketStore';
 
 // Default filter values
 const DEFAULT_FILTERS = {
-  exchanges: ['binance', 'bybit', 'okx'],
+  exchanges: ['binance', 'bybit', 'okx', 'gate', 'bitget', 'mexc', 'kucoin', 'kraken', 'htx'],
   markets: ['futures', 'spot'],
   minVolume: 100000,    // $100K — lower default to surface more walls (matches stakan.live coverage)
   side: 'Both',
@@ -11,6 +12,9 @@ const DEFAULT_FILTERS = {
   hiddenSymbols: [],    // tokens to exclude from results
   minAge: 0,            // seconds — 0 = no minimum
   maxDistFromMid: 10,   // percent
+  wallClasses: [],      // genuine / iceberg / spoof / unclassified — empty = all
+  minDepthMultiple: 0,  // × typical book depth near mid — 0 = off
+  minPctOfDailyVolume: 0, // % of the symbol's 24h volume — 0 = off
   sort: 'volumeUSD',
   order: 'desc',
   limit: 1000,          // higher limit to accommodate deeper scanning results
@@ -38,6 +42,45 @@ function saveLastFilters(filters) {
   } catch { /* ignore */ }
 }
 
+// Server-side wall filters (same params as GET /walls; the server sorts + limits
+// the snapshot, the client re-sorts as diffs arrive)
+function toStreamFilters(filters) {
+  return {
+    exchanges: filters.exchanges,
+    markets: filters.markets,
+    minVolume: filters.minVolume,
+    side: filters.side,
+    minAge: filters.minAge,
+    maxDistFromMid: filters.maxDistFromMid,
+    symbols: filters.symbols,
+    excludeSymbols: filters.hiddenSymbols || [],
+    classes: filters.wallClasses || [],
+    minDepthMultiple: filters.minDepthMultiple || 0,
+    minPctOfDailyVolume: filters.minPctOfDailyVolume || 0,
+    sort: filters.sort,
+    order: filters.order,
+    limit: filters.limit,
+  };
+}
+
+// Streamed walls by id, plus the filters the server is streaming them for
+let streamedWalls = new Map();
+let streamFiltersKey = null;
+let streamAt = 0; // server time of the latest snapshot / diff — walls age against it
+
+// Walls without a relative size (no book / volume data) sort last either way
+function sortAndLimit(walls, { sort, order, limit }) {
+  const value = (wall) => (sort === 'percentFromMid' ? Math.abs(wall.percentFromMid) : wall[sort]);
+  return walls
+    .sort((a, b) => {
+      const left = value(a);
+      const right = value(b);
+      if (left == null || right == null) return (left == null) - (right == null);
+      return order === 'asc' ? left - right : right - left;
+    })
+    .slice(0, limit);
+}
+
 export const useDensityScreenerStore = create((set, get) => ({
   // ─── Data state ──────────────────────────────────────────
   walls: [],
@@ -54,6 +97,10 @@ export const useDensityScreenerStore = create((set, get) => ({
   pollIntervalId: null,
   isFetching: false,
 
+  // ─── Live stream state ───────────────────────────────────
+  // True once the socket delivered a snapshot; polling pauses while it holds
+  streaming: false,
+
   // ─── Token settings (per-user, per-token, per-exchange+market) ──
   tokenSettings: [],       // [{ id, ticker, exchange, market, minWallSize }, ...]
   tokenSettingsLoaded: false,
@@ -66,6 +113,11 @@ export const useDensityScreenerStore = create((set, get) => ({
    */
   fetchWalls: async () => {
     const state = get();
+    // Streaming: re-send the filters instead (unchanged filters only re-render)
+    if (state.streaming) {
+      state.subscribeWalls();
+      return;
+    }
     if (state.isFetching) return;
     
     set({ isFetching: true, error: null });
@@ -93,11 +145,20 @@ export const useDensityScreenerStore = create((set, get) => ({
       if (filters.hiddenSymbols && filters.hiddenSymbols.length > 0) {
         params.excludeSymbols = filters.hiddenSymbols.join(',');
       }
+
+      if (filters.wallClasses && filters.wallClasses.length > 0) {
+        params.classes = filters.wallClasses.join(',');
+      }
+
+      if (filters.minDepthMultiple > 0) params.minDepthMultiple = filters.minDepthMultiple;
+      if (filters.minPctOfDailyVolume > 0) params.minPctOfDailyVolume = filters.minPctOfDailyVolume;
       
       const response = await api.get('/density-screener/walls', { 
         params,
         timeout: 15000,
       });
+      // The socket took over while the request was in flight
+      if (get().streaming) return;
       
       set({
         walls: response.data.walls || [],
@@ -137,6 +198,16 @@ export const useDensityScreenerStore = create((set, get) => ({
     }
   },
 
+  /**
+   * Fetch wall lifecycle timelines for one symbol (not kept in the store).
+   * @param {{ symbol: string, exchange?: string, market?: string, hours?: number }} params
+   * @returns {Promise<{ symbol, since, truncated, walls: Array }>} walls[].partial — history starts after the wall appeared
+   */
+  fetchWallHistory: async (params) => {
+    const response = await api.get('/density-screener/history', { params, timeout: 15000 });
+    return response.data;
+  },
+
   // ─── Actions: Filter management ──────────────────────────
 
   /**
@@ -315,11 +386,65 @@ export const useDensityScreenerStore = create((set, get) => ({
     }
   },
 
+  // ─── Actions: Live wall stream (Socket.IO) ───────────────
+
+  /**
+   * Subscribe to pushed walls for the current filters. The server sends a
+   * snapshot, then after every scan only the walls added / updated / removed
+   * for these filters. Re-calling with unchanged server filters just re-sorts.
+   */
+  subscribeWalls: () => {
+    const streamFilters = toStreamFilters(get().filters);
+    const key = JSON.stringify(streamFilters);
+    if (get().streaming && key === streamFiltersKey) {
+      get()._publishStreamedWalls();
+      return;
+    }
+    streamFiltersKey = key;
+    subscribeWallStream(streamFilters, {
+      onSnapshot: ({ at, walls }) => {
+        streamedWalls = new Map((walls || []).map((wall) => [wall.id, wall]));
+        streamAt = at;
+        set({ streaming: true });
+        get()._publishStreamedWalls();
+      },
+      onDiff: ({ at, added, updated, removed }) => {
+        if (!get().streaming) return;
+        for (const id of removed || []) streamedWalls.delete(id);
+        for (const wall of [...(added || []), ...(updated || [])]) streamedWalls.set(wall.id, wall);
+        streamAt = Math.max(streamAt, at);
+        get()._publishStreamedWalls();
+      },
+      // Polling picks up again until the next snapshot
+      onDisconnect: () => set({ streaming: false }),
+    });
+  },
+
+  unsubscribeWalls: () => {
+    unsubscribeWallStream();
+    streamedWalls = new Map();
+    streamFiltersKey = null;
+    set({ streaming: false });
+  },
+
+  _publishStreamedWalls: () => {
+    const walls = [];
+    for (const wall of streamedWalls.values()) {
+      walls.push({ ...wall, wallAgeMs: streamAt - wall.firstSeenAt });
+    }
+    set({
+      walls: sortAndLimit(walls, get().filters),
+      lastUpdated: new Date().toISOString(),
+      loading: false,
+      error: null,
+    });
+  },
+
   // ─── Actions: Auto-polling ───────────────────────────────
 
   /**
    * Start auto-polling. Fetches immediately, then at interval.
-   * Only polls when document is visible.
+   * Only polls when document is visible; walls are skipped while streaming.
    */
   startPolling: (intervalMs = 7000) => {
     const state = get();
@@ -333,7 +458,7 @@ export const useDensityScreenerStore = create((set, get) => ({
     const timerId = setInterval(() => {
       // Only fetch if tab is visible
       if (typeof document !== 'undefined' && document.visibilityState === 'hidden') return;
-      get().fetchWalls();
+      if (!get().streaming) get().fetchWalls();
       // Fetch status less frequently (every 3rd poll)
       const now = Date.now();
       if (!get()._lastStatusPoll || now - get()._lastStatusPoll > 20000) {
@@ -365,7 +490,7 @@ export const useDensityScreenerStore = create((set, get) => ({
     const { walls } = get();
     if (!walls.length) return;
     
-    const headers = ['Exchange', 'Symbol', 'Market', 'Side', 'Price', 'Volume USD', '% From Mid', 'Wall Age (min)', 'Volume (coins)', 'Scans Seen'];
+    const headers = ['Exchange', 'Symbol', 'Market', 'Side', 'Price', 'Volume USD', '% From Mid', 'Wall Age (min)', 'Volume (coins)', 'Scans Seen', 'Class', 'Class Confidence', 'x Typical Depth', '% of 24h Volume'];
     const rows = walls.map(w => [
       w.exchange,
       w.symbol,
@@ -377,6 +502,10 @@ export const useDensityScreenerStore = create((set, get) => ({
       Math.floor((w.wallAgeMs || 0) / 60000),
       w.volume,
       w.scansSeen,
+      w.wallClass || '',
+      w.classConfidence ?? '',
+      w.depthMultiple ?? '',
+      w.pctOfDailyVolume ?? '',
     ]);
     
     const csv = [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
@@ -159,6 +159,12 @@ const __DEV__ = import.meta.env?.DEV ?? (typeof process !== 'undefined' && proce
 // ---------------------------------------------------------------------------
 let _klineSocket = null;        // Socket.IO instance
 let _klineSocketToken = null;   // auth token it was created with
+// `${exchange}:${symbol}` -> number of charts showing that symbol's liquidations
+const liquidationSubscriptions = new Map();
+// Filters of the open spread screener (null when no screener is mounted)
+let spreadFilters = null;
+// Density screener wall stream: { filters, onSnapshot, onDiff, onDisconnect } (null when not mounted)
+let wallStream = null;
 
 /**
  * Return (or create) a persistent Socket.IO connection for kline data.
@@ -182,6 +188,11 @@ const ensureKlineSocket = () => {
   if (_klineSocket) {
     _klineSocket.off('kline-update');
     _klineSocket.off('kline-error');
+    _klineSocket.off('liquidation');
+    _klineSocket.off('spreads');
+    _klineSocket.off('feed-health');
+    _klineSocket.off('walls-snapshot');
+    _klineSocket.off('walls-diff');
     _klineSocket.disconnect();
     _klineSocket = null;
   }
@@ -205,12 +216,19 @@ const ensureKlineSocket = () => {
       });
       if (__DEV__) console.log('[KlineSocket] \u267B\uFE0F Re-subscribed after reconnect:', sub);
     }
+    for (const key of liquidationSubscriptions.keys()) {
+      const [exchange, symbol] = key.split(':');
+      socket.emit('subscribe-liquidations', { exchange, symbol });
+    }
+    if (spreadFilters) socket.emit('subscribe-spreads', spreadFilters);
+    if (wallStream) socket.emit('subscribe-walls', wallStream.filters);
     useMarketStore.getState().setRealtimeConnected(true);
   });
 
   socket.on('disconnect', () => {
     if (__DEV__) console.log('[KlineSocket] Disconnected');
     useMarketStore.getState().setRealtimeConnected(false);
+    wallStream?.onDisconnect?.();
   });
 
   socket.on('connect_error', (err) => {
@@ -225,6 +243,21 @@ const ensureKlineSocket = () => {
     console.error('[KlineSocket] Kline error:', errorData.error);
   });
 
+  socket.on('liquidation', (event) => {
+    useMarketStore.getState().handleLiquidation(event);
+  });
+
+  socket.on('spreads', (snapshot) => {
+    if (spreadFilters) useMarketStore.setState({ spreads: snapshot });
+  });
+
+  socket.on('walls-snapshot', (snapshot) => wallStream?.onSnapshot(snapshot));
+  socket.on('walls-diff', (diff) => wallStream?.onDiff(diff));
+
+  socket.on('feed-health', (payload) => {
+    useMarketStore.setState({ feedHealth: { degraded: payload?.degraded || [], updatedAt: payload?.updatedAt || null } });
+  });
+
   _klineSocket = socket;
   return socket;
 };
@@ -234,12 +267,36 @@ const disconnectKlineSocket = () => {
   if (_klineSocket) {
     _klineSocket.off('kline-update');
     _klineSocket.off('kline-error');
+    _klineSocket.off('liquidation');
+    _klineSocket.off('spreads');
+    _klineSocket.off('feed-health');
+    _klineSocket.off('walls-snapshot');
+    _klineSocket.off('walls-diff');
     _klineSocket.disconnect();
     _klineSocket = null;
     _klineSocketToken = null;
   }
 };
 
+/**
+ * Stream density-screener walls over the persistent socket: a full
+ * 'walls-snapshot' on every (re)subscribe, then per-scan 'walls-diff' deltas.
+ * Calling again swaps the filters (the server answers with a new snapshot).
+ * @returns {boolean} false when there is no authenticated socket
+ */
+export const subscribeWallStream = (filters, handlers) => {
+  wallStream = { filters, ...handlers };
+  const socket = ensureKlineSocket();
+  if (!socket) return false;
+  if (socket.connected) socket.emit('subscribe-walls', filters);
+  return true;
+};
+
+export const unsubscribeWallStream = () => {
+  wallStream = null;
+  if (_klineSocket?.connected) _klineSocket.emit('unsubscribe-walls');
+};
+
 // ---------------------------------------------------------------------------
 // Tab visibility recovery — when the browser tab regains focus after being
 // backgrounded (alt-tab, minimised, phone screen off, etc.), browsers
@@ -844,6 +901,16 @@ const fetchBinanceFuturesKlinesDirect = async (
   return isSecondInterval ? resample1mToSeconds(klines, interval) : klines;
 };
 
+// Exchanges whose /market/:exchange/derivatives endpoint serves funding / OI data
+export const DERIVATIVES_EXCHANGES = ['binance', 'bybit', 'okx', 'gate', 'bitget', 'mexc'];
+
+// Exchanges with a server-side liquidation feed (futures only)
+export const LIQUIDATION_EXCHANGES = ['binance', 'bybit', 'okx'];
+const MAX_LIQUIDATION_EVENTS = 200;
+
+// Exchanges compared by the spread screener (/api/spread-screener)
+export const SPREAD_EXCHANGES = ['binance', 'bybit', 'okx', 'gate', 'bitget', 'mexc'];
+
 export const useMarketStore = create((set, get) => ({
   coins: [],
   prices: {}, // Map of coinId -> price
@@ -859,6 +926,20 @@ export const useMarketStore = create((set, get) => ({
   binanceError: null,
   activeTokensRequestId: null,
   selectedToken: null, // for token selection
+
+  // Funding / open interest / long-short, keyed by fullSymbol (futures only)
+  derivatives: {},
+  derivativesExchange: null,
+  derivativesUpdatedAt: 0,
+
+  // Recent liquidations per `${exchange}:${symbol}` for charts that show them
+  liquidationEvents: {},
+
+  // Latest spread screener push: { mode, updatedAt, warm, rows: [{ symbol, spreadPct, buy, sell, quotes }] }
+  spreads: null,
+
+  // Server price feeds currently on REST / CCXT failover: [{ exchange, market, since, source }]
+  feedHealth: { degraded: [], updatedAt: null },
   
   // Chart data state (single symbol for backward compat; multi-symbol in map)
   chartData: null,        // Array of candle data (last fetched, for selectedToken)
@@ -1098,6 +1179,107 @@ export const useMarketStore = create((set, get) => ({
     }
   },
   
+  fetchDerivatives: async (exchange) => {
+    if (!DERIVATIVES_EXCHANGES.includes(exchange)) {
+      set({ derivatives: {}, derivativesExchange: exchange, derivativesUpdatedAt: 0 });
+      return;
+    }
+    try {
+      const response = await api.get(`/market/${exchange}/derivatives`);
+      // The user may have switched exchange while the request was in flight
+      if (get().exchange !== exchange) return;
+      const rows = Array.isArray(response.data?.rows) ? response.data.rows : [];
+      const derivatives = {};
+      rows.forEach((row) => {
+        if (row?.symbol) derivatives[row.symbol] = row;
+      });
+      set({
+        derivatives,
+        derivativesExchange: exchange,
+        derivativesUpdatedAt: response.data?.updatedAt || Date.now(),
+      });
+    } catch (error) {
+      console.warn('[marketStore] derivatives fetch failed:', error.message);
+      if (get().derivativesExchange !== exchange) {
+        set({ derivatives: {}, derivativesExchange: exchange, derivativesUpdatedAt: 0 });
+      }
+    }
+  },
+
+  /**
+   * Start tracking liquidations for a chart: loads recent events over REST,
+   * then follows the symbol's Socket.IO room. Ref-counted per exchange+symbol.
+   */
+  subscribeLiquidations: async (exchange, symbol) => {
+    if (!LIQUIDATION_EXCHANGES.includes(exchange) || !symbol) return;
+    const key = `${exchange}:${symbol}`;
+    const count = liquidationSubscriptions.get(key) || 0;
+    liquidationSubscriptions.set(key, count + 1);
+    if (count > 0) return;
+
+    ensureKlineSocket()?.emit('subscribe-liquidations', { exchange, symbol });
+    try {
+      const response = await api.get(`/market/${exchange}/liquidations`, { params: { symbol } });
+      if (!liquidationSubscriptions.has(key)) return;
+      const loaded = Array.isArray(response.data?.events) ? response.data.events : [];
+      set((state) => {
+        // Keep socket events that arrived while the request was in flight
+        const live = state.liquidationEvents[key] || [];
+        const lastLoaded = loaded.length > 0 ? loaded[loaded.length - 1].time : 0;
+        const merged = [...loaded, ...live.filter((event) => event.time > lastLoaded)];
+        return {
+          liquidationEvents: { ...state.liquidationEvents, [key]: merged.slice(-MAX_LIQUIDATION_EVENTS) },
+        };
+      });
+    } catch (error) {
+      console.warn('[marketStore] liquidations fetch failed:', error.message);
+    }
+  },
+
+  unsubscribeLiquidations: (exchange, symbol) => {
+    const key = `${exchange}:${symbol}`;
+    const count = liquidationSubscriptions.get(key) || 0;
+    if (count === 0) return;
+    if (count > 1) {
+      liquidationSubscriptions.set(key, count - 1);
+      return;
+    }
+    liquidationSubscriptions.delete(key);
+    if (_klineSocket?.connected) _klineSocket.emit('unsubscribe-liquidations', { exchange, symbol });
+    set((state) => {
+      const { [key]: _removed, ...rest } = state.liquidationEvents;
+      return { liquidationEvents: rest };
+    });
+  },
+
+  handleLiquidation: (event) => {
+    const key = `${event?.exchange}:${event?.symbol}`;
+    if (!liquidationSubscriptions.has(key)) return;
+    set((state) => ({
+      liquidationEvents: {
+        ...state.liquidationEvents,
+        [key]: [...(state.liquidationEvents[key] || []), event].slice(-MAX_LIQUIDATION_EVENTS),
+      },
+    }));
+  },
+
+  /**
+   * Stream spread screener rows for these filters ({ mode, exchanges,
+   * minVolume, minSpread, limit }). Calling again just swaps the filters.
+   */
+  subscribeSpreads: (filters) => {
+    const changed = JSON.stringify(filters) !== JSON.stringify(spreadFilters);
+    spreadFilters = filters;
+    if (changed) set({ spreads: null });
+    ensureKlineSocket()?.emit('subscribe-spreads', filters);
+  },
+
+  unsubscribeSpreads: () => {
+    spreadFilters = null;
+    if (_klineSocket?.connected) _klineSocket.emit('unsubscribe-spreads');
+    set({ spreads: null });
+  },
+
   fetchChartData: async (symbol, exchangeType, interval = '15m', { forceRefresh = false } = {}) => {
     const isSecondInterval = ['1s', '5s', '15s'].includes(interval);
     // For sub-minute intervals, we fetch 1m candles from the API and resample them client-side.
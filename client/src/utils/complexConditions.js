@@ -0,0 +1,73 @@
+/**
+ * Complex alert condition helpers (client-side ES module).
+ *
+ * The server stores Alert.conditions as an AND/OR tree (see
+ * server/src/services/complexConditions.js).  The modal edits it as groups:
+ * conditions inside a group are ANDed, groups are ORed — which is exactly how
+ * "A AND B OR C" reads.
+ */
+
+export const COMPLEX_TIMEFRAMES = ['1m', '5m', '15m', '30m', '1h', '4h'];
+
+export const CONDITION_TYPES = ['pct_change', 'volume_24h', 'price_cross'];
+
+export function createCondition(type = 'pct_change') {
+  if (type === 'volume_24h') return { type, value: '', operator: 'above' };
+  if (type === 'price_cross') return { type, value: '', operator: 'above', timeframe: '1m' };
+  return { type: 'pct_change', value: '', timeframe: '1m' };
+}
+
+function flattenLeaves(node) {
+  if (!node || typeof node !== 'object') return [];
+  if (Array.isArray(node)) return node.flatMap(flattenLeaves);
+  if (Array.isArray(node.conditions)) return node.conditions.flatMap(flattenLeaves);
+  return [{ ...createCondition(node.type), ...node, value: node.value ?? '' }];
+}
+
+/**
+ * Stored conditions (JSON string, legacy array or tree) -> array of AND-groups.
+ * Always returns at least one group with one condition.
+ */
+export function conditionsToGroups(raw) {
+  let parsed = raw;
+  if (typeof raw === 'string') {
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      parsed = null;
+    }
+  }
+
+  let groups = [];
+  if (parsed && !Array.isArray(parsed) && parsed.op === 'or' && Array.isArray(parsed.conditions)) {
+    groups = parsed.conditions.map(flattenLeaves);
+  } else if (parsed) {
+    groups = [flattenLeaves(parsed)];
+  }
+
+  groups = groups.filter((group) => group.length > 0);
+  return groups.length > 0 ? groups : [[createCondition()]];
+}
+
+/** AND-groups -> tree payload for the API. */
+export function groupsToConditions(groups) {
+  return {
+    op: 'or',
+    conditions: groups.map((group) => ({
+      op: 'and',
+      conditions: group.map((c) => ({ ...c, value: Number(c.value) })),
+    })),
+  };
+}
+
+export function isConditionValid(condition) {
+  const v = condition?.value != null && condition.value !== '' ? parseFloat(condition.value) : NaN;
+  if (!Number.isFinite(v) || v <= 0) return false;
+  if (condition.type === 'volume_24h') return true;
+  return COMPLEX_TIMEFRAMES.includes(condition.timeframe);
+}
+
+export function areGroupsValid(groups) {
+  return Array.isArray(groups) && groups.length > 0 &&
+    groups.every((group) => group.length > 0 && group.every(isConditionValid));
+}
@@ -0,0 +1,117 @@
+/**
+ * Funding-rate / open-interest alert condition helpers (client-side ES module).
+ *
+ * Mirrors server/src/services/derivativesConditions.js: one condition per
+ * alert, evaluated against the derivatives feed of the alert's exchange
+ * (futures only).  Numeric fields are kept as strings while editing and
+ * converted by toDerivativesPayload().
+ */
+
+export const DERIVATIVES_METRICS = ['funding_rate', 'funding_flip', 'oi_change', 'oi_price_divergence'];
+
+export const MAX_DERIVATIVES_SYMBOLS = 50;
+
+export const MIN_DERIVATIVES_WINDOW_MIN = 5;
+export const MAX_DERIVATIVES_WINDOW_MIN = 240;
+
+export function createDerivativesCondition() {
+  return {
+    metric: 'funding_rate',
+    operator: 'above',
+    direction: 'any',
+    value: '0.1',
+    pricePct: '1',
+    windowMin: '60',
+  };
+}
+
+/** Stored conditions (JSON string or object) -> editable condition. */
+export function parseDerivativesCondition(raw) {
+  let parsed = raw;
+  if (typeof raw === 'string') {
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      parsed = null;
+    }
+  }
+  if (!parsed || typeof parsed !== 'object' || !DERIVATIVES_METRICS.includes(parsed.metric)) {
+    return createDerivativesCondition();
+  }
+  const out = { ...createDerivativesCondition(), metric: parsed.metric };
+  if (parsed.metric !== 'funding_rate') out.value = '10';
+  if (parsed.operator === 'above' || parsed.operator === 'below') out.operator = parsed.operator;
+  if (typeof parsed.direction === 'string') out.direction = parsed.direction;
+  for (const key of ['value', 'pricePct', 'windowMin']) {
+    if (parsed[key] != null) out[key] = String(parsed[key]);
+  }
+  return out;
+}
+
+function toNumber(value) {
+  return value != null && value !== '' ? Number(value) : NaN;
+}
+
+export function isDerivativesConditionValid(condition) {
+  if (!condition || !DERIVATIVES_METRICS.includes(condition.metric)) return false;
+  const value = toNumber(condition.value);
+  if (condition.metric === 'funding_rate') return Math.abs(value) <= 5;
+  if (condition.metric === 'funding_flip') return true;
+  const windowMin = toNumber(condition.windowMin);
+  const windowOk =
+    Number.isInteger(windowMin) &&
+    windowMin >= MIN_DERIVATIVES_WINDOW_MIN &&
+    windowMin <= MAX_DERIVATIVES_WINDOW_MIN;
+  if (!windowOk || !(value > 0 && value <= 1000)) return false;
+  if (condition.metric === 'oi_change') return true;
+  const pricePct = toNumber(condition.pricePct);
+  return pricePct >= 0 && pricePct <= 100;
+}
+
+/** Editable condition -> API payload (only the fields the metric uses). */
+export function toDerivativesPayload(condition) {
+  const { metric } = condition;
+  if (metric === 'funding_rate') {
+    return { metric, operator: condition.operator, value: Number(condition.value) };
+  }
+  if (metric === 'funding_flip') {
+    return { metric, direction: condition.direction };
+  }
+  if (metric === 'oi_change') {
+    return {
+      metric,
+      direction: condition.direction,
+      value: Number(condition.value),
+      windowMin: Number(condition.windowMin),
+    };
+  }
+  return {
+    metric,
+    value: Number(condition.value),
+    pricePct: Number(condition.pricePct),
+    windowMin: Number(condition.windowMin),
+  };
+}
+
+/** Short label, e.g. "Funding > 0.1%" or "OI ±10% in 60m". */
+export function formatDerivativesCondition(raw) {
+  const c = typeof raw === 'string' || !raw ? parseDerivativesCondition(raw) : raw;
+  switch (c.metric) {
+    case 'funding_rate':
+      return `Funding ${c.operator === 'below' ? '<' : '>'} ${c.value}%`;
+    case 'funding_flip':
+      return c.direction === 'to_positive'
+        ? 'Funding flips positive'
+        : c.direction === 'to_negative'
+          ? 'Funding flips negative'
+          : 'Funding flips sign';
+    case 'oi_change': {
+      const sign = c.direction === 'increase' ? '+' : c.direction === 'decrease' ? '−' : '±';
+      return `OI ${sign}${c.value}% in ${c.windowMin}m`;
+    }
+    case 'oi_price_divergence':
+      return `OI ${c.value}% vs price ${c.pricePct}% in ${c.windowMin}m`;
+    default:
+      return c.metric;
+  }
+}
@@ -130,9 +130,50 @@ async function fetchBitgetPrice(symbol, market) {
   return null;
 }
 
+async function fetchKucoinPrice(symbol) {
+  // Futures only: KuCoin contracts are XBTUSDTM-style
+  const base = symbol.replace(/USDT$/i, '');
+  const contract = `${base === 'BTC' ? 'XBT' : base}USDTM`;
+  try {
+    const data = await tryFetch(
+      `https://api-futures.kucoin.com/api/v1/ticker?symbol=${encodeURIComponent(contract)}`
+    );
+    const price = parseFloat(data?.data?.price);
+    if (Number.isFinite(price) && price > 0) return price;
+  } catch { /* ignore */ }
+  return null;
+}
+
+async function fetchKrakenPrice(symbol) {
+  // Futures only: perpetuals are PF_XBTUSD-style and quoted in USD
+  const base = symbol.replace(/USDT?$/i, '');
+  const productId = `PF_${base === 'BTC' ? 'XBT' : base}USD`;
+  try {
+    const data = await tryFetch(
+      `https://futures.kraken.com/derivatives/api/v3/tickers/${encodeURIComponent(productId)}`
+    );
+    const price = parseFloat(data?.ticker?.last);
+    if (Number.isFinite(price) && price > 0) return price;
+  } catch { /* ignore */ }
+  return null;
+}
+
+async function fetchHtxPrice(symbol, market) {
+  const base = symbol.replace(/USDT$/i, '');
+  const url = market === 'spot'
+    ? `https://api.huobi.pro/market/detail/merged?symbol=${encodeURIComponent(`${base}usdt`.toLowerCase())}`
+    : `https://api.hbdm.com/linear-swap-ex/market/detail/merged?contract_code=${encodeURIComponent(`${base}-USDT`)}`;
+  try {
+    const data = await tryFetch(url);
+    const price = parseFloat(data?.tick?.close);
+    if (Number.isFinite(price) && price > 0) return price;
+  } catch { /* ignore */ }
+  return null;
+}
+
 /**
  * Fetch current live price for a symbol from the given exchange and market.
- * @param {string} exchange  - 'binance' | 'bybit' | 'okx' | 'gate' | 'mexc' | 'bitget'
+ * @param {string} exchange  - 'binance' | 'bybit' | 'okx' | 'gate' | 'mexc' | 'bitget' | 'kucoin' | 'kraken' | 'htx'
  * @param {string} market    - 'futures' | 'spot'
  * @param {string} symbol    - e.g. 'BTCUSDT'
  * @returns {Promise<number|null>} - Live price or null if unavailable
@@ -158,6 +199,12 @@ export async function fetchLivePrice(exchange, market, symbol) {
         return await fetchMexcPrice(sym, market);
       case 'bitget':
         return await fetchBitgetPrice(sym, market);
+      case 'kucoin':
+        return await fetchKucoinPrice(sym);
+      case 'kraken':
+        return await fetchKrakenPrice(sym);
+      case 'htx':
+        return await fetchHtxPrice(sym, market);
       default:
         return null;
     }
@@ -0,0 +1,82 @@
+/**
+ * Indicator alert condition helpers (client-side ES module).
+ *
+ * Mirrors server/src/services/indicatorConditions.js: one condition per alert,
+ * evaluated on closed candles of `interval`.  Numeric fields are kept as
+ * strings while editing and converted by toIndicatorPayload().
+ */
+
+export const INDICATOR_INTERVALS = ['1m', '5m', '15m', '30m', '1h', '4h', '1d'];
+
+export const MAX_INDICATOR_SYMBOLS = 10;
+
+const DEFAULTS = {
+  rsi: { period: '14', value: '30', operator: 'crosses_below' },
+  ema_cross: { fastPeriod: '12', slowPeriod: '26', operator: 'crosses_above' },
+  bollinger: { period: '20', stdDev: '2', operator: 'crosses_above' },
+};
+
+export function createIndicatorCondition(indicator = 'rsi', interval = '15m') {
+  const type = DEFAULTS[indicator] ? indicator : 'rsi';
+  return { indicator: type, interval, ...DEFAULTS[type] };
+}
+
+/** Stored conditions (JSON string or object) -> editable condition. */
+export function parseIndicatorCondition(raw) {
+  let parsed = raw;
+  if (typeof raw === 'string') {
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      parsed = null;
+    }
+  }
+  if (!parsed || typeof parsed !== 'object' || !DEFAULTS[parsed.indicator]) {
+    return createIndicatorCondition();
+  }
+  const base = createIndicatorCondition(parsed.indicator, parsed.interval || '15m');
+  const out = { ...base, operator: parsed.operator || base.operator };
+  for (const key of Object.keys(DEFAULTS[parsed.indicator])) {
+    if (key !== 'operator' && parsed[key] != null) out[key] = String(parsed[key]);
+  }
+  return out;
+}
+
+function toNumber(value) {
+  return value != null && value !== '' ? Number(value) : NaN;
+}
+
+export function isIndicatorConditionValid(condition) {
+  if (!condition || !DEFAULTS[condition.indicator] || !INDICATOR_INTERVALS.includes(condition.interval)) return false;
+  if (condition.indicator === 'rsi') {
+    const period = toNumber(condition.period);
+    const value = toNumber(condition.value);
+    return Number.isInteger(period) && period >= 2 && period <= 100 && value > 0 && value < 100;
+  }
+  if (condition.indicator === 'ema_cross') {
+    const fast = toNumber(condition.fastPeriod);
+    const slow = toNumber(condition.slowPeriod);
+    return Number.isInteger(fast) && Number.isInteger(slow) && fast >= 2 && slow <= 250 && fast < slow;
+  }
+  const period = toNumber(condition.period);
+  const stdDev = toNumber(condition.stdDev);
+  return Number.isInteger(period) && period >= 5 && period <= 100 && stdDev >= 0.5 && stdDev <= 5;
+}
+
+/** Editable condition -> API payload (numbers only for the fields the indicator uses). */
+export function toIndicatorPayload(condition) {
+  const out = { indicator: condition.indicator, interval: condition.interval, operator: condition.operator };
+  for (const key of Object.keys(DEFAULTS[condition.indicator] || {})) {
+    if (key !== 'operator') out[key] = Number(condition[key]);
+  }
+  return out;
+}
+
+/** Short label, e.g. "RSI(14) 15m ↓ 30". */
+export function formatIndicatorCondition(raw) {
+  const c = typeof raw === 'string' || !raw ? parseIndicatorCondition(raw) : raw;
+  const arrow = c.operator === 'crosses_above' ? '↑' : '↓';
+  if (c.indicator === 'rsi') return `RSI(${c.period}) ${c.interval} ${arrow} ${c.value}`;
+  if (c.indicator === 'ema_cross') return `EMA${c.fastPeriod} ${arrow} EMA${c.slowPeriod} ${c.interval}`;
+  return `BOLL(${c.period}, ${c.stdDev}) ${c.interval} ${arrow}`;
+}
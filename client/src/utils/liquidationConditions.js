@@ -0,0 +1,59 @@
+/**
+ * Large-liquidation alert condition helpers (client-side ES module).
+ *
+ * Mirrors normalizeLiquidationCondition in server/src/services/liquidationAlertEngine.js:
+ * { side: 'both' | 'long' | 'short', minUsd } for the alert's exchange (futures only).
+ */
+
+export const LIQUIDATION_SIDES = ['both', 'long', 'short'];
+
+export const MAX_LIQUIDATION_SYMBOLS = 50;
+
+export const MIN_LIQUIDATION_USD = 10000;
+
+export function createLiquidationCondition() {
+  return { side: 'both', minUsd: '250000' };
+}
+
+/** Stored conditions (JSON string or object) -> editable condition. */
+export function parseLiquidationCondition(raw) {
+  let parsed = raw;
+  if (typeof raw === 'string') {
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      parsed = null;
+    }
+  }
+  if (!parsed || typeof parsed !== 'object' || parsed.minUsd == null) return createLiquidationCondition();
+  return {
+    side: LIQUIDATION_SIDES.includes(parsed.side) ? parsed.side : 'both',
+    minUsd: String(parsed.minUsd),
+  };
+}
+
+export function isLiquidationConditionValid(condition) {
+  if (!condition || !LIQUIDATION_SIDES.includes(condition.side)) return false;
+  const minUsd = condition.minUsd !== '' ? Number(condition.minUsd) : NaN;
+  return minUsd >= MIN_LIQUIDATION_USD && minUsd <= 1e9;
+}
+
+/** Editable condition -> API payload. */
+export function toLiquidationPayload(condition) {
+  return { side: condition.side, minUsd: Number(condition.minUsd) };
+}
+
+function formatUsd(value) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return '$—';
+  if (n >= 1e6) return `$${(n / 1e6).toFixed(n % 1e6 === 0 ? 0 : 1)}M`;
+  if (n >= 1e3) return `$${Math.round(n / 1e3)}K`;
+  return `$${n}`;
+}
+
+/** Short label, e.g. "Long liquidations ≥ $250K". */
+export function formatLiquidationCondition(raw) {
+  const c = typeof raw === 'string' || !raw ? parseLiquidationCondition(raw) : raw;
+  const side = c.side === 'long' ? 'Long liquidations' : c.side === 'short' ? 'Short liquidations' : 'Liquidations';
+  return `${side} ≥ ${formatUsd(c.minUsd)}`;
+}
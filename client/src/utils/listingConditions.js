@@ -0,0 +1,42 @@
+/**
+ * Listing alert condition helpers (client-side ES module).
+ *
+ * Mirrors normalizeListingCondition in server/src/services/listingAlertEngine.js:
+ * { events: ['new', 'live'] } for the alert's exchange + market.
+ */
+
+export const LISTING_EVENTS = ['new', 'live'];
+
+// Exchanges listingsService monitors
+export const LISTING_EXCHANGES = ['binance', 'bybit', 'okx', 'mexc', 'bitget', 'gate', 'kucoin', 'kraken', 'htx'];
+
+export function createListingCondition() {
+  return { events: [...LISTING_EVENTS] };
+}
+
+/** Stored conditions (JSON string or object) -> editable condition. */
+export function parseListingCondition(raw) {
+  let parsed = raw;
+  if (typeof raw === 'string') {
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      parsed = null;
+    }
+  }
+  if (!parsed || !Array.isArray(parsed.events)) return createListingCondition();
+  return { events: LISTING_EVENTS.filter((e) => parsed.events.includes(e)) };
+}
+
+export function isListingConditionValid(condition) {
+  return Array.isArray(condition?.events) && condition.events.some((e) => LISTING_EVENTS.includes(e));
+}
+
+/** Short label, e.g. "New listings + goes live". */
+export function formatListingCondition(raw) {
+  const c = typeof raw === 'string' || !raw ? parseListingCondition(raw) : raw;
+  const parts = [];
+  if (c.events.includes('new')) parts.push('New listings');
+  if (c.events.includes('live')) parts.push(parts.length > 0 ? 'goes live' : 'Listing goes live');
+  return parts.join(' + ');
+}
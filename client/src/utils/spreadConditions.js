@@ -0,0 +1,70 @@
+/**
+ * Cross-exchange spread alert condition helpers (client-side ES module).
+ *
+ * Mirrors normalizeSpreadCondition in server/src/services/spreadAlertEngine.js:
+ * { mode: 'all' | 'futures' | 'spot' | 'basis', minSpreadPct, minVolumeUsd, exchanges }.
+ */
+
+export const SPREAD_MODES = ['all', 'futures', 'spot', 'basis'];
+
+export const SPREAD_EXCHANGES = ['binance', 'bybit', 'okx', 'gate', 'bitget', 'mexc'];
+
+export const MAX_SPREAD_SYMBOLS = 50;
+
+export const MIN_SPREAD_PCT = 0.05;
+
+const MAX_SPREAD_PCT = 30;
+
+export function createSpreadCondition() {
+  return { mode: 'all', minSpreadPct: '1', minVolumeUsd: '1000000', exchanges: [...SPREAD_EXCHANGES] };
+}
+
+/** Stored conditions (JSON string or object) -> editable condition. */
+export function parseSpreadCondition(raw) {
+  let parsed = raw;
+  if (typeof raw === 'string') {
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      parsed = null;
+    }
+  }
+  if (!parsed || typeof parsed !== 'object' || parsed.minSpreadPct == null) return createSpreadCondition();
+  const exchanges = Array.isArray(parsed.exchanges)
+    ? SPREAD_EXCHANGES.filter((ex) => parsed.exchanges.includes(ex))
+    : [];
+  return {
+    mode: SPREAD_MODES.includes(parsed.mode) ? parsed.mode : 'all',
+    minSpreadPct: String(parsed.minSpreadPct),
+    minVolumeUsd: parsed.minVolumeUsd != null ? String(parsed.minVolumeUsd) : '0',
+    exchanges: exchanges.length > 0 ? exchanges : [...SPREAD_EXCHANGES],
+  };
+}
+
+export function isSpreadConditionValid(condition) {
+  if (!condition || !SPREAD_MODES.includes(condition.mode)) return false;
+  const minSpreadPct = condition.minSpreadPct !== '' ? Number(condition.minSpreadPct) : NaN;
+  if (!(minSpreadPct >= MIN_SPREAD_PCT && minSpreadPct <= MAX_SPREAD_PCT)) return false;
+  const minVolumeUsd = condition.minVolumeUsd !== '' ? Number(condition.minVolumeUsd) : 0;
+  if (!(minVolumeUsd >= 0)) return false;
+  const exchanges = Array.isArray(condition.exchanges) ? condition.exchanges : [];
+  return exchanges.length >= (condition.mode === 'basis' ? 1 : 2);
+}
+
+/** Editable condition -> API payload. */
+export function toSpreadPayload(condition) {
+  return {
+    mode: condition.mode,
+    minSpreadPct: Number(condition.minSpreadPct),
+    minVolumeUsd: condition.minVolumeUsd !== '' ? Number(condition.minVolumeUsd) : 0,
+    exchanges: SPREAD_EXCHANGES.filter((ex) => condition.exchanges.includes(ex)),
+  };
+}
+
+/** Short label, e.g. "Spread ≥ 1% (futures)" or "Basis ≥ 0.5%". */
+export function formatSpreadCondition(raw) {
+  const c = typeof raw === 'string' || !raw ? parseSpreadCondition(raw) : raw;
+  if (c.mode === 'basis') return `Basis ≥ ${Number(c.minSpreadPct)}%`;
+  const scope = c.mode === 'all' ? '' : ` (${c.mode})`;
+  return `Spread ≥ ${Number(c.minSpreadPct)}%${scope}`;
+}
@@ -0,0 +1,34 @@
+// Wall classes assigned server-side by the density scanner's WallClassifier
+// (wallClass / classConfidence on every wall). 'unclassified' = no class yet.
+export const WALL_CLASSES = [
+  {
+    key: 'genuine',
+    label: 'Genuine',
+    short: 'GEN',
+    description: 'Consumed by trades or held when price touched it',
+    color: 'bg-green-500/15 text-green-400 border-green-500/30',
+  },
+  {
+    key: 'iceberg',
+    label: 'Iceberg',
+    short: 'ICE',
+    description: 'Size restored after being traded into',
+    color: 'bg-sky-500/15 text-sky-400 border-sky-500/30',
+  },
+  {
+    key: 'spoof',
+    label: 'Likely spoof',
+    short: 'SPF',
+    description: 'Pulled or shrinking as price approaches',
+    color: 'bg-orange-500/15 text-orange-400 border-orange-500/30',
+  },
+  {
+    key: 'unclassified',
+    label: 'Unclassified',
+    short: '—',
+    description: 'Price has not interacted with it yet',
+    color: 'bg-surfaceHover text-textSecondary border-border',
+  },
+];
+
+export const getWallClass = (key) => WALL_CLASSES.find((cls) => cls.key === (key || 'unclassified'));
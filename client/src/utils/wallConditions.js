@@ -0,0 +1,93 @@
+/**
+ * Order-book wall alert condition helpers (client-side ES module).
+ *
+ * Mirrors server/src/services/wallConditions.js: one condition per alert,
+ * matched against walls found by the density scanner.  Numeric fields are
+ * kept as strings while editing and converted by toWallPayload().
+ */
+
+export const WALL_EVENTS = ['appeared', 'removed', 'approaching'];
+
+// Exchanges the density scanner covers
+export const WALL_EXCHANGES = ['binance', 'bybit', 'okx', 'gate', 'bitget', 'mexc', 'kucoin', 'kraken', 'htx'];
+
+export const MAX_WALL_SYMBOLS = 50;
+
+export const MIN_WALL_SIZE_USD = 50000;
+
+const NUMERIC_FIELDS = ['minSizeUsd', 'maxDistancePct', 'minAgeSec', 'approachPct'];
+
+export function createWallCondition() {
+  return {
+    events: ['appeared', 'removed', 'approaching'],
+    side: 'both',
+    minSizeUsd: '500000',
+    maxDistancePct: '2',
+    minAgeSec: '60',
+    approachPct: '0.5',
+  };
+}
+
+/** Stored conditions (JSON string or object) -> editable condition. */
+export function parseWallCondition(raw) {
+  let parsed = raw;
+  if (typeof raw === 'string') {
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      parsed = null;
+    }
+  }
+  if (!parsed || typeof parsed !== 'object' || !Array.isArray(parsed.events)) {
+    return createWallCondition();
+  }
+  const out = {
+    ...createWallCondition(),
+    events: parsed.events.filter((e) => WALL_EVENTS.includes(e)),
+    side: ['both', 'bid', 'ask'].includes(parsed.side) ? parsed.side : 'both',
+  };
+  for (const key of NUMERIC_FIELDS) {
+    if (parsed[key] != null) out[key] = String(parsed[key]);
+  }
+  return out;
+}
+
+function toNumber(value) {
+  return value != null && value !== '' ? Number(value) : NaN;
+}
+
+export function isWallConditionValid(condition) {
+  if (!condition || !Array.isArray(condition.events) || condition.events.length === 0) return false;
+  const minSize = toNumber(condition.minSizeUsd);
+  const maxDistance = toNumber(condition.maxDistancePct);
+  const minAge = toNumber(condition.minAgeSec);
+  const approach = toNumber(condition.approachPct);
+  return (
+    minSize >= MIN_WALL_SIZE_USD &&
+    maxDistance > 0 && maxDistance <= 10 &&
+    Number.isInteger(minAge) && minAge >= 0 && minAge <= 86400 &&
+    approach > 0 && approach <= maxDistance
+  );
+}
+
+/** Editable condition -> API payload. */
+export function toWallPayload(condition) {
+  const out = { events: condition.events, side: condition.side };
+  for (const key of NUMERIC_FIELDS) out[key] = Number(condition[key]);
+  return out;
+}
+
+function formatUsd(value) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return '$—';
+  if (n >= 1e6) return `$${(n / 1e6).toFixed(n % 1e6 === 0 ? 0 : 1)}M`;
+  if (n >= 1e3) return `$${Math.round(n / 1e3)}K`;
+  return `$${n}`;
+}
+
+/** Short label, e.g. "≥ $500K within 2% · age ≥ 60s". */
+export function formatWallCondition(raw) {
+  const c = typeof raw === 'string' || !raw ? parseWallCondition(raw) : raw;
+  const side = c.side === 'bid' ? 'BID ' : c.side === 'ask' ? 'ASK ' : '';
+  return `${side}≥ ${formatUsd(c.minSizeUsd)} within ${c.maxDistancePct}% · age ≥ ${c.minAgeSec}s`;
+}
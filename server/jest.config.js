@@ -1,5 +1,7 @@
 module.exports = {
   testEnvironment: 'node',
+  // Plain CommonJS: run sources as Node does, without Babel
+  transform: {},
   testMatch: ['**/__tests__/**/*.test.js', '**/?(*.)+(spec|test).js'],
   collectCoverageFrom: [
     'src/**/*.js',
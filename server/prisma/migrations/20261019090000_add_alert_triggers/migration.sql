@@ -0,0 +1,31 @@
+-- CreateTable
+CREATE TABLE "AlertTrigger" (
+    "id" TEXT NOT NULL,
+    "alertId" TEXT,
+    "userId" TEXT NOT NULL,
+    "alertName" TEXT NOT NULL DEFAULT '',
+    "alertType" TEXT NOT NULL,
+    "exchange" TEXT NOT NULL,
+    "market" TEXT NOT NULL,
+    "symbol" TEXT NOT NULL,
+    "price" DOUBLE PRECISION,
+    "targetValue" DOUBLE PRECISION,
+    "pctChange" DOUBLE PRECISION,
+    "windowSeconds" INTEGER,
+    "channels" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "triggeredAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AlertTrigger_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AlertTrigger_userId_triggeredAt_idx" ON "AlertTrigger"("userId", "triggeredAt");
+
+-- CreateIndex
+CREATE INDEX "AlertTrigger_alertId_triggeredAt_idx" ON "AlertTrigger"("alertId", "triggeredAt");
+
+-- AddForeignKey
+ALTER TABLE "AlertTrigger" ADD CONSTRAINT "AlertTrigger_alertId_fkey" FOREIGN KEY ("alertId") REFERENCES "Alert"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AlertTrigger" ADD CONSTRAINT "AlertTrigger_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
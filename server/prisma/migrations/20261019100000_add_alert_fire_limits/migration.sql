@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Alert" ADD COLUMN     "armedAt" TIMESTAMP(3),
+ADD COLUMN     "fireCount" INTEGER NOT NULL DEFAULT 0;
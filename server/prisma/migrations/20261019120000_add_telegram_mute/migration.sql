@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "telegramMutedUntil" TIMESTAMP(3);
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "Candle" (
+    "exchange" TEXT NOT NULL,
+    "market" TEXT NOT NULL,
+    "symbol" TEXT NOT NULL,
+    "interval" TEXT NOT NULL,
+    "openTime" TIMESTAMP(3) NOT NULL,
+    "open" DOUBLE PRECISION NOT NULL,
+    "high" DOUBLE PRECISION NOT NULL,
+    "low" DOUBLE PRECISION NOT NULL,
+    "close" DOUBLE PRECISION NOT NULL,
+    "volume" DOUBLE PRECISION NOT NULL,
+    "turnover" DOUBLE PRECISION NOT NULL DEFAULT 0,
+
+    CONSTRAINT "Candle_pkey" PRIMARY KEY ("exchange","market","symbol","interval","openTime")
+);
+
+-- CreateIndex
+CREATE INDEX "Candle_interval_openTime_idx" ON "Candle"("interval", "openTime");
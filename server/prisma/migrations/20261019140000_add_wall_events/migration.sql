@@ -0,0 +1,27 @@
+-- CreateTable
+CREATE TABLE "WallEvent" (
+    "id" TEXT NOT NULL,
+    "wallId" TEXT NOT NULL,
+    "exchange" TEXT NOT NULL,
+    "market" TEXT NOT NULL,
+    "symbol" TEXT NOT NULL,
+    "side" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "price" DOUBLE PRECISION NOT NULL,
+    "volumeUSD" DOUBLE PRECISION NOT NULL,
+    "previousVolumeUSD" DOUBLE PRECISION,
+    "percentFromMid" DOUBLE PRECISION NOT NULL,
+    "firstSeenAt" TIMESTAMP(3) NOT NULL,
+    "at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "WallEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "WallEvent_symbol_at_idx" ON "WallEvent"("symbol", "at");
+
+-- CreateIndex
+CREATE INDEX "WallEvent_wallId_idx" ON "WallEvent"("wallId");
+
+-- CreateIndex
+CREATE INDEX "WallEvent_at_idx" ON "WallEvent"("at");
@@ -51,10 +51,12 @@ app.get('/api/binance-klines', marketController.getBinanceFuturesKlinesProxy);
 app.use('/api/market', require('./routes/market'));
 app.use('/api/wall-scanner', require('./routes/wallScanner'));
 app.use('/api/density-screener', require('./routes/densityScreener'));
+app.use('/api/spread-screener', require('./routes/spreadScreener'));
 app.use('/api/watchlist', require('./routes/watchlist'));
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/alerts', require('./routes/alerts'));
 app.use('/api/telegram', require('./routes/telegram'));
+app.use('/api/webhooks', require('./routes/webhooks'));
 app.use('/api/subscription', require('./routes/subscription'));
 app.use('/api/activity', require('./routes/activity'));
 app.use('/admin', require('./routes/adminActivityPage'));
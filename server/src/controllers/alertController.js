@@ -2,11 +2,62 @@ const axios = require('axios');
 const prisma = require('../utils/prisma');
 const { createAlertSchema, updateAlertSchema } = require('../utils/validators');
 const priceService = require('../services/priceService');
-const { setInitialPrice, clearInitialPrice, getEngineStatus, refreshComplexAlertsCache } = require('../services/alertEngine');
+const {
+  setInitialPrice,
+  clearInitialPrice,
+  getEngineStatus,
+  refreshComplexAlertsCache,
+  refreshIndicatorAlerts,
+  refreshWallAlerts,
+  refreshListingAlerts,
+  refreshDerivativesAlerts,
+  refreshLiquidationAlerts,
+  refreshSpreadAlerts,
+  deliverAlertTrigger,
+} = require('../services/alertEngine');
 const { fetchExchangePriceSnapshot } = require('../services/priceSourceResolver');
+const { getExchangeAdapter } = require('../services/exchangeAdapters');
 const { processPriceAlerts } = require('../services/priceAlertEngine');
-const socketService = require('../services/socketService');
-const telegramService = require('../services/telegramService');
+const { listAlertTriggers } = require('../services/alertTriggerService');
+const { normalizeConditionTree, findUnsupportedTimeframe } = require('../services/complexConditions');
+const { normalizeIndicatorCondition } = require('../services/indicatorConditions');
+const { MAX_INDICATOR_SYMBOLS } = require('../services/indicatorAlertEngine');
+const { normalizeWallCondition, MAX_WALL_SYMBOLS } = require('../services/wallConditions');
+const densityScannerService = require('../services/densityScanner');
+const { LISTING_EXCHANGES, normalizeListingCondition } = require('../services/listingAlertEngine');
+const { normalizeDerivativesCondition, MAX_DERIVATIVES_SYMBOLS } = require('../services/derivativesConditions');
+const derivativesService = require('../services/derivativesService');
+const {
+  LIQUIDATION_EXCHANGES,
+  MIN_LIQUIDATION_USD,
+  MAX_LIQUIDATION_SYMBOLS,
+  normalizeLiquidationCondition,
+} = require('../services/liquidationAlertEngine');
+const { MAX_SPREAD_SYMBOLS, MIN_SPREAD_PCT, normalizeSpreadCondition } = require('../services/spreadAlertEngine');
+const {
+  getAlertLimits,
+  isAlertExpired,
+  isAlertSnoozed,
+  hasFiresLeft,
+  isLastFire,
+  sanitizeLimitOptions,
+} = require('../services/alertLimits');
+const { sanitizeWebhookIds } = require('../services/webhookService');
+
+function derivativesExchangeError() {
+  return `Funding/OI alerts are available for ${derivativesService.getSupportedExchanges().join(', ')} only.`;
+}
+
+// Indicator, wall, derivatives, liquidation and spread alerts store canonical USDT pairs so engine keys line up.
+function normalizePairSymbols(symbols) {
+  const list = Array.isArray(symbols) ? symbols : (symbols ? [symbols] : []);
+  return Array.from(new Set(
+    list
+      .map((s) => String(s || '').toUpperCase().trim().replace(/\.P$/, ''))
+      .filter(Boolean)
+      .map((s) => (s.endsWith('USDT') || s.endsWith('USD') ? s : `${s}USDT`))
+  ));
+}
 
 // ---------------------------------------------------------------------------
 // Helpers used by historical klines trigger check
@@ -141,6 +192,16 @@ async function fetchKlinesForHistoricalCheck(exchange, market, symbol, startTime
       return list.map((k) => ({ high: Number(k[2]), low: Number(k[3]) }));
     }
 
+    if (exchange === 'kucoin' || exchange === 'kraken' || exchange === 'htx') {
+      // Adapter klines are time-ascending with time in seconds
+      const minutes = Math.ceil((endTimeMs - effectiveStartMs) / CANDLE_MS);
+      if (minutes <= 0) return [];
+      const klines = await getExchangeAdapter(exchange).fetchKlines(sym, market, '1m', Math.min(minutes, 500), { maxAge: 5000 });
+      return (Array.isArray(klines) ? klines : [])
+        .filter((k) => k.time * 1000 >= effectiveStartMs)
+        .map((k) => ({ high: Number(k.high), low: Number(k.low) }));
+    }
+
     // Default: Binance
     const baseUrl = isFutures ? 'https://fapi.binance.com/fapi/v1' : 'https://api.binance.com/api/v3';
     const resp = await axios.get(`${baseUrl}/klines`, {
@@ -190,14 +251,26 @@ async function checkAlertHistorically(alert) {
   if (condition === 'above' && initial >= targetValue) return null; // was already above — no crossing possible
   if (condition === 'below' && initial <= targetValue) return null; // was already below — no crossing possible
 
+  const limits = getAlertLimits(alert.notificationOptions);
+  if (isAlertExpired(limits) || !hasFiresLeft(limits, alert.fireCount)) return null;
+  // Snoozed from Telegram: the sweeps must not fire what the fast path holds back
+  if (isAlertSnoozed(limits)) return null;
+  if (limits.cooldownSec && alert.triggeredAt &&
+    Date.now() - new Date(alert.triggeredAt).getTime() < limits.cooldownSec * 1000) return null;
+
   // Minimum age: 15 seconds.  Gives the 300ms real-time engine ~50 cycles to
   // catch it first.  The crossing guard above already prevents false positives,
   // so we don't need a long blackout.  Keeping it at 15s avoids stale-kline
   // issues immediately after alert creation.
-  const createdAtMs = alert.createdAt ? new Date(alert.createdAt).getTime() : 0;
+  // A re-armed alert only looks at klines since it was re-armed, otherwise the
+  // crossing it already fired for would fire it again.
+  const createdAtMs = Math.max(
+    alert.createdAt ? new Date(alert.createdAt).getTime() : 0,
+    alert.armedAt ? new Date(alert.armedAt).getTime() : 0,
+  );
   if (Date.now() - createdAtMs < 15_000) return null;
 
-  // Fetch klines from alert creation time (not +60s — crossing guard handles false positives).
+  // Fetch klines from alert creation (or re-arm) time (not +60s — crossing guard handles false positives).
   // Fetch klines for the EXACT market the alert was created for — NO cross-market fallback.
   // If this market has no klines for this symbol, we simply return null (no trigger).
   const resolvedKlines = await fetchKlinesForHistoricalCheck(exchange, market, symbol, createdAtMs);
@@ -214,11 +287,12 @@ async function checkAlertHistorically(alert) {
   // deduplication key produced by applyTriggeredEvent matches across sweptTriggers
   // and pendingNotifications (which returns the same DB-stored value).
   const triggeredAt = new Date();
+  const keepArmed = limits.rearm && !isLastFire(limits, alert.fireCount);
 
   // Atomically mark triggered — prevents double-fire with the background engine.
   const updateResult = await prisma.alert.updateMany({
     where: { id: alert.id, triggered: false, isActive: true },
-    data: { triggered: true, isActive: false, triggeredAt },
+    data: { triggered: true, isActive: keepArmed, triggeredAt, fireCount: { increment: 1 } },
   });
   if (updateResult.count === 0) return null; // already handled elsewhere
 
@@ -244,37 +318,14 @@ async function checkAlertHistorically(alert) {
     market,
     alertType: 'price',
     priceSource: `historical_${exchange}_klines`,
+    fireCount: (Number(alert.fireCount) || 0) + 1,
+    rearm: keepArmed,
     notificationOptions: normalizeNotificationOptions(alert.notificationOptions, null),
     ...(alert.initialPrice != null && Number.isFinite(Number(alert.initialPrice))
       ? { initialPrice: Number(alert.initialPrice) } : {}),
   };
 }
 
-async function sendAlertToTelegram(userId, payload) {
-  try {
-    const notifOpts = normalizeNotificationOptions(payload?.notificationOptions || null, null);
-    if (notifOpts?.channels?.telegramEnabled === false) return;
-
-    const user = await prisma.user.findUnique({
-      where: { id: userId },
-      select: { telegramChatId: true },
-    });
-    if (!user?.telegramChatId) return;
-
-    const symbol = payload?.coinSymbol || payload?.symbol || 'symbol';
-    const target = Number(payload?.targetValue);
-    const current = Number(payload?.currentPrice);
-    const targetStr = Number.isFinite(target) ? target.toLocaleString(undefined, { maximumFractionDigits: 8 }) : '—';
-    const currentStr = Number.isFinite(current) ? current.toLocaleString(undefined, { maximumFractionDigits: 8 }) : '—';
-    const condition = payload?.condition === 'below' ? 'below' : 'above';
-
-    const message = `${payload?.name || 'Price alert'}\n${symbol}\nPrice hit ${condition} ${targetStr} (current: ${currentStr})`;
-    await telegramService.sendMessage(user.telegramChatId, message);
-  } catch (error) {
-    console.warn('[alertController] sendAlertToTelegram failed:', error?.message);
-  }
-}
-
 async function sweepUserPriceAlerts(userId) {
   if (!userId) return [];
 
@@ -304,8 +355,7 @@ async function sweepUserPriceAlerts(userId) {
       onTriggered: async (alert, payload) => {
         triggeredIds.add(alert.id);
         triggeredPayloads.push(payload);
-        socketService.emitAlertTriggered(alert.userId, payload);
-        await sendAlertToTelegram(alert.userId, payload);
+        await deliverAlertTrigger(alert.userId, payload);
       },
     });
 
@@ -320,8 +370,7 @@ async function sweepUserPriceAlerts(userId) {
           if (!payload) return;
           triggeredIds.add(alert.id);
           triggeredPayloads.push(payload);
-          socketService.emitAlertTriggered(alert.userId, payload);
-          await sendAlertToTelegram(alert.userId, payload);
+          await deliverAlertTrigger(alert.userId, payload);
         } catch (error) {
           console.warn('[sweepUserPriceAlerts] historical check error alert=' + alert.id + ':', error?.message);
         }
@@ -384,6 +433,7 @@ function normalizeNotificationChannels(rawChannels) {
     inAppPopupEnabled: toBool(source.inAppPopupEnabled, true),
     browserPushEnabled: toBool(source.browserPushEnabled, true),
     telegramEnabled: toBool(source.telegramEnabled, true),
+    emailEnabled: toBool(source.emailEnabled, false),
   };
 }
 
@@ -394,6 +444,8 @@ function normalizeNotificationOptions(value, existing = null) {
   return {
     ...base,
     ...incoming,
+    ...sanitizeLimitOptions(incoming),
+    ...('webhookIds' in incoming ? { webhookIds: sanitizeWebhookIds(incoming.webhookIds) } : {}),
     channels: normalizeNotificationChannels({
       ...(base.channels || {}),
       ...(incoming.channels || {}),
@@ -483,6 +535,7 @@ function buildImmediateTriggerPayload(alert, currentPrice) {
     market: alert.market,
     alertType: 'price',
     initialPrice: alert.initialPrice,
+    fireCount: alert.fireCount ?? 1,
     notificationOptions: normalizeNotificationOptions(alert.notificationOptions, null),
   };
 }
@@ -518,13 +571,9 @@ async function getAlerts(req, res, next) {
 
     // Status filter: active (in work), triggered (archived), or all
     if (status === 'active') {
+      // Complex alerts and re-arming price alerts stay active after a trigger
+      // and must stay visible in "active"; one-shot price alerts go inactive.
       where.isActive = true;
-      // Price alerts are one-shot (triggered=false only).
-      // Complex alerts remain active even after trigger and must stay visible in "active".
-      where.OR = [
-        { triggered: false },
-        { alertType: 'complex', triggered: true },
-      ];
     } else if (status === 'triggered') {
       where.triggered = true;
     }
@@ -556,7 +605,6 @@ async function getAlerts(req, res, next) {
         userId,
         alertType: 'price',
         triggered: true,
-        isActive: false,
         triggeredAt: { gte: FOUR_HOURS_AGO },
       },
       orderBy: { triggeredAt: 'desc' },
@@ -628,13 +676,134 @@ async function createAlert(req, res, next) {
 
     // For complex "all coins" mode, force empty array — server uses WS history dynamically
     if (validatedData.alertType === 'complex') {
+      const unsupportedTimeframe = findUnsupportedTimeframe(validatedData.conditions);
+      if (unsupportedTimeframe) {
+        return res.status(400).json({
+          error: `Complex alert timeframe ${unsupportedTimeframe} is not supported (longest is 4h).`,
+        });
+      }
+      if (!normalizeConditionTree(validatedData.conditions)) {
+        return res.status(400).json({
+          error: 'Complex alert needs at least one valid condition.',
+        });
+      }
       if ((normalizedNotificationOptions.alertForMode || 'all') === 'all') {
         symbolsForStorage = [];
       }
     }
 
-    const conditionsStr =
-      validatedData.conditions != null && validatedData.conditions !== ''
+    let indicatorCondition = null;
+    if (validatedData.alertType === 'indicator') {
+      indicatorCondition = normalizeIndicatorCondition(validatedData.conditions);
+      if (!indicatorCondition) {
+        return res.status(400).json({ error: 'Indicator alert needs a valid indicator condition.' });
+      }
+      symbolsForStorage = normalizePairSymbols(
+        symbolsForStorage?.length ? symbolsForStorage : validatedData.symbol
+      );
+      if (symbolsForStorage.length === 0 || symbolsForStorage.length > MAX_INDICATOR_SYMBOLS) {
+        return res.status(400).json({
+          error: `Indicator alerts need between 1 and ${MAX_INDICATOR_SYMBOLS} symbols.`,
+        });
+      }
+    }
+
+    let wallCondition = null;
+    if (validatedData.alertType === 'wall') {
+      const scanned = densityScannerService.getScannedExchanges();
+      if (!scanned.includes(String(validatedData.exchange || '').toLowerCase())) {
+        return res.status(400).json({
+          error: `Wall alerts are available for ${scanned.join(', ')} only.`,
+        });
+      }
+      wallCondition = normalizeWallCondition(validatedData.conditions);
+      if (!wallCondition) {
+        return res.status(400).json({ error: 'Wall alert needs a valid wall condition.' });
+      }
+      // Empty list = every symbol the density scanner covers
+      symbolsForStorage = normalizePairSymbols(symbolsForStorage?.length ? symbolsForStorage : validatedData.symbol);
+      if (symbolsForStorage.length > MAX_WALL_SYMBOLS) {
+        return res.status(400).json({ error: `Wall alerts can watch at most ${MAX_WALL_SYMBOLS} symbols.` });
+      }
+    }
+
+    let listingCondition = null;
+    if (validatedData.alertType === 'listing') {
+      if (!LISTING_EXCHANGES.includes(String(validatedData.exchange || '').toLowerCase())) {
+        return res.status(400).json({
+          error: `Listing alerts are available for ${LISTING_EXCHANGES.join(', ')} only.`,
+        });
+      }
+      listingCondition = normalizeListingCondition(validatedData.conditions);
+      if (!listingCondition) {
+        return res.status(400).json({ error: 'Listing alert needs at least one listing event.' });
+      }
+      symbolsForStorage = [];
+    }
+
+    let derivativesCondition = null;
+    if (validatedData.alertType === 'derivatives') {
+      if (!derivativesService.supports(validatedData.exchange)) {
+        return res.status(400).json({ error: derivativesExchangeError() });
+      }
+      derivativesCondition = normalizeDerivativesCondition(validatedData.conditions);
+      if (!derivativesCondition) {
+        return res.status(400).json({ error: 'Funding/OI alert needs a valid condition.' });
+      }
+      // Funding and open interest only exist for perpetuals
+      validatedData.market = 'futures';
+      // Empty list = every perpetual on the exchange
+      symbolsForStorage = normalizePairSymbols(symbolsForStorage?.length ? symbolsForStorage : validatedData.symbol);
+      if (symbolsForStorage.length > MAX_DERIVATIVES_SYMBOLS) {
+        return res.status(400).json({ error: `Funding/OI alerts can watch at most ${MAX_DERIVATIVES_SYMBOLS} symbols.` });
+      }
+    }
+
+    let liquidationCondition = null;
+    if (validatedData.alertType === 'liquidation') {
+      if (!LIQUIDATION_EXCHANGES.includes(String(validatedData.exchange || '').toLowerCase())) {
+        return res.status(400).json({
+          error: `Liquidation alerts are available for ${LIQUIDATION_EXCHANGES.join(', ')} only.`,
+        });
+      }
+      liquidationCondition = normalizeLiquidationCondition(validatedData.conditions);
+      if (!liquidationCondition) {
+        return res.status(400).json({
+          error: `Liquidation alert needs a side and a minimum size of at least $${MIN_LIQUIDATION_USD.toLocaleString('en-US')}.`,
+        });
+      }
+      // Liquidation feeds cover perpetuals only
+      validatedData.market = 'futures';
+      // Empty list = every symbol on the exchange's feed
+      symbolsForStorage = normalizePairSymbols(symbolsForStorage?.length ? symbolsForStorage : validatedData.symbol);
+      if (symbolsForStorage.length > MAX_LIQUIDATION_SYMBOLS) {
+        return res.status(400).json({ error: `Liquidation alerts can watch at most ${MAX_LIQUIDATION_SYMBOLS} symbols.` });
+      }
+    }
+
+    let spreadCondition = null;
+    if (validatedData.alertType === 'spread') {
+      spreadCondition = normalizeSpreadCondition(validatedData.conditions);
+      if (!spreadCondition) {
+        return res.status(400).json({
+          error: `Spread alert needs a mode, at least two exchanges and a spread of at least ${MIN_SPREAD_PCT}%.`,
+        });
+      }
+      // Spreads compare several exchanges; the condition carries the list
+      validatedData.exchange = 'all';
+      validatedData.market = spreadCondition.mode === 'spot' ? 'spot' : 'futures';
+      // Empty list = every pair listed on at least two of the exchanges
+      symbolsForStorage = normalizePairSymbols(symbolsForStorage?.length ? symbolsForStorage : validatedData.symbol);
+      if (symbolsForStorage.length > MAX_SPREAD_SYMBOLS) {
+        return res.status(400).json({ error: `Spread alerts can watch at most ${MAX_SPREAD_SYMBOLS} symbols.` });
+      }
+    }
+
+    const typedCondition = indicatorCondition || wallCondition || listingCondition || derivativesCondition
+      || liquidationCondition || spreadCondition;
+    const conditionsStr = typedCondition
+      ? JSON.stringify(typedCondition)
+      : validatedData.conditions != null && validatedData.conditions !== ''
         ? typeof validatedData.conditions === 'string'
           ? validatedData.conditions
           : JSON.stringify(validatedData.conditions)
@@ -785,6 +954,7 @@ async function createAlert(req, res, next) {
 
       const shouldTriggerImmediately = Math.abs(delta) <= PRICE_TOLERANCE;
       if (shouldTriggerImmediately) {
+        const limits = getAlertLimits(normalizedNotificationOptions);
         const immediateAlert = await prisma.alert.create({
           data: {
             userId,
@@ -800,16 +970,16 @@ async function createAlert(req, res, next) {
             coinSymbol,
             condition,
             targetValue,
-            isActive: false,
+            isActive: limits.rearm && !isLastFire(limits, 0),
             triggered: true,
             triggeredAt: new Date(),
+            fireCount: 1,
             ...(initialPrice != null && Number.isFinite(initialPrice) ? { initialPrice } : {}),
           },
         });
 
         const immediatePayload = buildImmediateTriggerPayload(immediateAlert, initialPrice);
-        socketService.emitAlertTriggered(userId, immediatePayload);
-        await sendAlertToTelegram(userId, immediatePayload);
+        await deliverAlertTrigger(userId, immediatePayload);
 
         return res.status(201).json({
           alert: immediateAlert,
@@ -860,6 +1030,24 @@ async function createAlert(req, res, next) {
     if (alert.alertType === 'complex') {
       setImmediate(() => refreshComplexAlertsCache());
     }
+    if (alert.alertType === 'indicator') {
+      setImmediate(() => refreshIndicatorAlerts());
+    }
+    if (alert.alertType === 'wall') {
+      setImmediate(() => refreshWallAlerts());
+    }
+    if (alert.alertType === 'listing') {
+      setImmediate(() => refreshListingAlerts());
+    }
+    if (alert.alertType === 'derivatives') {
+      setImmediate(() => refreshDerivativesAlerts());
+    }
+    if (alert.alertType === 'liquidation') {
+      setImmediate(() => refreshLiquidationAlerts());
+    }
+    if (alert.alertType === 'spread') {
+      setImmediate(() => refreshSpreadAlerts());
+    }
 
     console.log('[createAlert] ===== SUCCESS =====');
     res.status(201).json({
@@ -930,6 +1118,50 @@ async function updateAlert(req, res, next) {
       }
     }
 
+    if (existingAlert.alertType === 'wall' && validatedData.exchange !== undefined) {
+      const scanned = densityScannerService.getScannedExchanges();
+      if (!scanned.includes(String(validatedData.exchange || '').toLowerCase())) {
+        return res.status(400).json({
+          error: `Wall alerts are available for ${scanned.join(', ')} only.`,
+        });
+      }
+    }
+
+    if (
+      existingAlert.alertType === 'listing' &&
+      validatedData.exchange !== undefined &&
+      !LISTING_EXCHANGES.includes(String(validatedData.exchange || '').toLowerCase())
+    ) {
+      return res.status(400).json({
+        error: `Listing alerts are available for ${LISTING_EXCHANGES.join(', ')} only.`,
+      });
+    }
+
+    if (existingAlert.alertType === 'derivatives') {
+      if (validatedData.exchange !== undefined && !derivativesService.supports(validatedData.exchange)) {
+        return res.status(400).json({ error: derivativesExchangeError() });
+      }
+      if (validatedData.market !== undefined) validatedData.market = 'futures';
+    }
+
+    if (existingAlert.alertType === 'liquidation') {
+      if (
+        validatedData.exchange !== undefined &&
+        !LIQUIDATION_EXCHANGES.includes(String(validatedData.exchange || '').toLowerCase())
+      ) {
+        return res.status(400).json({
+          error: `Liquidation alerts are available for ${LIQUIDATION_EXCHANGES.join(', ')} only.`,
+        });
+      }
+      if (validatedData.market !== undefined) validatedData.market = 'futures';
+    }
+
+    if (existingAlert.alertType === 'spread') {
+      // Exchanges live in the condition; market follows the spread mode
+      delete validatedData.exchange;
+      delete validatedData.market;
+    }
+
     const data = {};
     if (validatedData.name !== undefined) data.name = validatedData.name;
     if (validatedData.exchange !== undefined) data.exchange = validatedData.exchange;
@@ -943,15 +1175,113 @@ async function updateAlert(req, res, next) {
     if (validatedData.coinSymbol !== undefined) data.coinSymbol = validatedData.coinSymbol;
 
     if (validatedData.symbols !== undefined) {
-      data.symbols = Array.isArray(validatedData.symbols)
-        ? JSON.stringify(validatedData.symbols)
-        : validatedData.symbols;
+      if (existingAlert.alertType === 'indicator') {
+        const symbols = normalizePairSymbols(
+          typeof validatedData.symbols === 'string' ? parseSymbolsInput(validatedData.symbols) : validatedData.symbols
+        );
+        if (symbols.length === 0 || symbols.length > MAX_INDICATOR_SYMBOLS) {
+          return res.status(400).json({
+            error: `Indicator alerts need between 1 and ${MAX_INDICATOR_SYMBOLS} symbols.`,
+          });
+        }
+        data.symbols = JSON.stringify(symbols);
+      } else if (existingAlert.alertType === 'wall') {
+        const symbols = normalizePairSymbols(
+          typeof validatedData.symbols === 'string' ? parseSymbolsInput(validatedData.symbols) : validatedData.symbols
+        );
+        if (symbols.length > MAX_WALL_SYMBOLS) {
+          return res.status(400).json({ error: `Wall alerts can watch at most ${MAX_WALL_SYMBOLS} symbols.` });
+        }
+        data.symbols = JSON.stringify(symbols);
+      } else if (existingAlert.alertType === 'derivatives') {
+        const symbols = normalizePairSymbols(
+          typeof validatedData.symbols === 'string' ? parseSymbolsInput(validatedData.symbols) : validatedData.symbols
+        );
+        if (symbols.length > MAX_DERIVATIVES_SYMBOLS) {
+          return res.status(400).json({ error: `Funding/OI alerts can watch at most ${MAX_DERIVATIVES_SYMBOLS} symbols.` });
+        }
+        data.symbols = JSON.stringify(symbols);
+      } else if (existingAlert.alertType === 'liquidation') {
+        const symbols = normalizePairSymbols(
+          typeof validatedData.symbols === 'string' ? parseSymbolsInput(validatedData.symbols) : validatedData.symbols
+        );
+        if (symbols.length > MAX_LIQUIDATION_SYMBOLS) {
+          return res.status(400).json({ error: `Liquidation alerts can watch at most ${MAX_LIQUIDATION_SYMBOLS} symbols.` });
+        }
+        data.symbols = JSON.stringify(symbols);
+      } else if (existingAlert.alertType === 'spread') {
+        const symbols = normalizePairSymbols(
+          typeof validatedData.symbols === 'string' ? parseSymbolsInput(validatedData.symbols) : validatedData.symbols
+        );
+        if (symbols.length > MAX_SPREAD_SYMBOLS) {
+          return res.status(400).json({ error: `Spread alerts can watch at most ${MAX_SPREAD_SYMBOLS} symbols.` });
+        }
+        data.symbols = JSON.stringify(symbols);
+      } else {
+        data.symbols = Array.isArray(validatedData.symbols)
+          ? JSON.stringify(validatedData.symbols)
+          : validatedData.symbols;
+      }
     }
     if (validatedData.conditions !== undefined) {
-      data.conditions =
-        typeof validatedData.conditions === 'string'
-          ? validatedData.conditions
-          : JSON.stringify(validatedData.conditions);
+      if (existingAlert.alertType === 'complex') {
+        const unsupportedTimeframe = findUnsupportedTimeframe(validatedData.conditions);
+        if (unsupportedTimeframe) {
+          return res.status(400).json({
+            error: `Complex alert timeframe ${unsupportedTimeframe} is not supported (longest is 4h).`,
+          });
+        }
+        if (!normalizeConditionTree(validatedData.conditions)) {
+          return res.status(400).json({ error: 'Complex alert needs at least one valid condition.' });
+        }
+      }
+      if (existingAlert.alertType === 'indicator') {
+        const indicatorCondition = normalizeIndicatorCondition(validatedData.conditions);
+        if (!indicatorCondition) {
+          return res.status(400).json({ error: 'Indicator alert needs a valid indicator condition.' });
+        }
+        data.conditions = JSON.stringify(indicatorCondition);
+      } else if (existingAlert.alertType === 'wall') {
+        const wallCondition = normalizeWallCondition(validatedData.conditions);
+        if (!wallCondition) {
+          return res.status(400).json({ error: 'Wall alert needs a valid wall condition.' });
+        }
+        data.conditions = JSON.stringify(wallCondition);
+      } else if (existingAlert.alertType === 'listing') {
+        const listingCondition = normalizeListingCondition(validatedData.conditions);
+        if (!listingCondition) {
+          return res.status(400).json({ error: 'Listing alert needs at least one listing event.' });
+        }
+        data.conditions = JSON.stringify(listingCondition);
+      } else if (existingAlert.alertType === 'derivatives') {
+        const derivativesCondition = normalizeDerivativesCondition(validatedData.conditions);
+        if (!derivativesCondition) {
+          return res.status(400).json({ error: 'Funding/OI alert needs a valid condition.' });
+        }
+        data.conditions = JSON.stringify(derivativesCondition);
+      } else if (existingAlert.alertType === 'liquidation') {
+        const liquidationCondition = normalizeLiquidationCondition(validatedData.conditions);
+        if (!liquidationCondition) {
+          return res.status(400).json({
+            error: `Liquidation alert needs a side and a minimum size of at least $${MIN_LIQUIDATION_USD.toLocaleString('en-US')}.`,
+          });
+        }
+        data.conditions = JSON.stringify(liquidationCondition);
+      } else if (existingAlert.alertType === 'spread') {
+        const spreadCondition = normalizeSpreadCondition(validatedData.conditions);
+        if (!spreadCondition) {
+          return res.status(400).json({
+            error: `Spread alert needs a mode, at least two exchanges and a spread of at least ${MIN_SPREAD_PCT}%.`,
+          });
+        }
+        data.conditions = JSON.stringify(spreadCondition);
+        data.market = spreadCondition.mode === 'spot' ? 'spot' : 'futures';
+      } else {
+        data.conditions =
+          typeof validatedData.conditions === 'string'
+            ? validatedData.conditions
+            : JSON.stringify(validatedData.conditions);
+      }
     }
     if (validatedData.notificationOptions !== undefined) {
       const normalizedOptions = normalizeNotificationOptions(
@@ -967,6 +1297,12 @@ async function updateAlert(req, res, next) {
     });
 
     if (updatedAlert.alertType === 'complex') setImmediate(() => refreshComplexAlertsCache());
+    if (updatedAlert.alertType === 'indicator') setImmediate(() => refreshIndicatorAlerts());
+    if (updatedAlert.alertType === 'wall') setImmediate(() => refreshWallAlerts());
+    if (updatedAlert.alertType === 'listing') setImmediate(() => refreshListingAlerts());
+    if (updatedAlert.alertType === 'derivatives') setImmediate(() => refreshDerivativesAlerts());
+    if (updatedAlert.alertType === 'liquidation') setImmediate(() => refreshLiquidationAlerts());
+    if (updatedAlert.alertType === 'spread') setImmediate(() => refreshSpreadAlerts());
     res.json({ alert: updatedAlert });
   } catch (error) {
     if (error.name === 'ZodError') {
@@ -1006,6 +1342,12 @@ async function toggleAlert(req, res, next) {
     });
 
     if (existingAlert.alertType === 'complex') setImmediate(() => refreshComplexAlertsCache());
+    if (existingAlert.alertType === 'indicator') setImmediate(() => refreshIndicatorAlerts());
+    if (existingAlert.alertType === 'wall') setImmediate(() => refreshWallAlerts());
+    if (existingAlert.alertType === 'listing') setImmediate(() => refreshListingAlerts());
+    if (existingAlert.alertType === 'derivatives') setImmediate(() => refreshDerivativesAlerts());
+    if (existingAlert.alertType === 'liquidation') setImmediate(() => refreshLiquidationAlerts());
+    if (existingAlert.alertType === 'spread') setImmediate(() => refreshSpreadAlerts());
     res.json({ alert: updatedAlert });
   } catch (error) {
     next(error);
@@ -1048,6 +1390,24 @@ async function deleteAlert(req, res, next) {
     if (existingAlert.alertType === 'complex') {
       setImmediate(() => refreshComplexAlertsCache());
     }
+    if (existingAlert.alertType === 'indicator') {
+      setImmediate(() => refreshIndicatorAlerts());
+    }
+    if (existingAlert.alertType === 'wall') {
+      setImmediate(() => refreshWallAlerts());
+    }
+    if (existingAlert.alertType === 'listing') {
+      setImmediate(() => refreshListingAlerts());
+    }
+    if (existingAlert.alertType === 'derivatives') {
+      setImmediate(() => refreshDerivativesAlerts());
+    }
+    if (existingAlert.alertType === 'liquidation') {
+      setImmediate(() => refreshLiquidationAlerts());
+    }
+    if (existingAlert.alertType === 'spread') {
+      setImmediate(() => refreshSpreadAlerts());
+    }
 
     res.json({ message: 'Alert deleted successfully' });
   } catch (error) {
@@ -1056,22 +1416,25 @@ async function deleteAlert(req, res, next) {
 }
 
 /**
- * Get triggered alerts history
- * Get all triggered alerts for user
+ * Get alert trigger history (one entry per fire, newest first)
+ * Query params: page, limit, alertId, symbol, exchange, market, type (alertType), from, to (ISO dates)
+ * Returns { triggers, total, page, limit, hasMore }
  */
 async function getHistory(req, res, next) {
   try {
-    const userId = req.user.id;
-
-    const alerts = await prisma.alert.findMany({
-      where: {
-        userId,
-        triggered: true,
-      },
-      orderBy: { triggeredAt: 'desc' },
+    const { page, limit, alertId, symbol, exchange, market, type, from, to } = req.query;
+    const result = await listAlertTriggers(req.user.id, {
+      page,
+      limit,
+      alertId,
+      symbol,
+      exchange,
+      market,
+      type,
+      from,
+      to,
     });
-
-    res.json({ alerts });
+    res.json(result);
   } catch (error) {
     next(error);
   }
@@ -3,8 +3,13 @@
  * 
  * All handlers read from the in-memory DensityScannerService singleton.
  * No database queries, no exchange API calls — pure CPU filtering.
+ * The same filters drive the Socket.IO wall stream ('subscribe-walls').
  */
 const densityScannerService = require('../services/densityScanner');
+const { normalizeWallFilters, matchesWallFilters, sortWalls } = require('../services/densityScanner/wallFilters');
+const { getWallHistory } = require('../services/wallHistoryService');
+
+const MAX_HISTORY_HOURS = 7 * 24;
 
 /**
  * GET /api/density-screener/walls
@@ -12,7 +17,7 @@ const densityScannerService = require('../services/densityScanner');
  * Main data endpoint — returns filtered, sorted walls.
  * 
  * Query params:
- *   exchanges   — comma-separated: binance,bybit,okx (default: all)
+ *   exchanges   — comma-separated: binance,bybit,okx,gate,bitget,mexc,kucoin,kraken,htx (default: all scanned)
  *   markets     — comma-separated: futures,spot (default: both)
  *   minVolume   — minimum wall volumeUSD (default: 100000)
  *   maxVolume   — maximum wall volumeUSD (optional, no default)
@@ -21,93 +26,24 @@ const densityScannerService = require('../services/densityScanner');
  *   excludeSymbols — comma-separated symbols to HIDE, e.g. BTCUSDT,ETHUSDT (optional)
  *   minAge      — minimum wall age in seconds (default: 0)
  *   maxDistFromMid — maximum |percentFromMid| (default: 10)
+ *   classes     — comma-separated wall classes: genuine,iceberg,spoof,unclassified (default: all)
+ *   minDepthMultiple — minimum wall size as a multiple of typical book depth near mid (default: 0 = off)
+ *   minPctOfDailyVolume — minimum wall size as % of the symbol's 24h volume (default: 0 = off)
  *   depth       — not used for filtering (scanning uses server default), but kept for compatibility
- *   sort        — field to sort by: volumeUSD, wallAgeMs, percentFromMid (default: volumeUSD)
+ *   sort        — field to sort by: volumeUSD, wallAgeMs, percentFromMid, price,
+ *                 depthMultiple, pctOfDailyVolume (default: volumeUSD)
  *   order       — asc or desc (default: desc)
  *   limit       — max results (default: 500, max 2000)
  */
 async function getWalls(req, res, next) {
   try {
-    // Parse query params with defaults
-    let exchangeFilter = req.query.exchanges
-      ? req.query.exchanges.split(',').map(e => e.trim().toLowerCase()).filter(Boolean)
-      : ['binance', 'bybit', 'okx'];
-    if (exchangeFilter.length === 0) exchangeFilter = ['binance', 'bybit', 'okx'];
-    
-    let marketFilter = req.query.markets
-      ? req.query.markets.split(',').map(m => m.trim().toLowerCase()).filter(Boolean)
-      : ['futures', 'spot'];
-    if (marketFilter.length === 0) marketFilter = ['futures', 'spot'];
-    
-    const minVolume = parseFloat(req.query.minVolume) || 100000;
-    const maxVolume = req.query.maxVolume ? parseFloat(req.query.maxVolume) : Infinity;
-    
-    const sideFilter = (req.query.side || 'Both').toUpperCase();
-    
-    const symbolFilter = req.query.symbols
-      ? req.query.symbols.split(',').map(s => s.trim().toUpperCase()).filter(Boolean)
-      : [];
-    
-    const excludeSymbols = req.query.excludeSymbols
-      ? new Set(req.query.excludeSymbols.split(',').map(s => s.trim().toUpperCase()).filter(Boolean))
-      : new Set();
-    
-    const minAgeSeconds = parseInt(req.query.minAge) || 0;
-    const minAgeMs = minAgeSeconds * 1000;
-    
-    const maxDistFromMid = parseFloat(req.query.maxDistFromMid) || 10;
-    
-    const sortField = req.query.sort || 'volumeUSD';
-    const sortOrder = (req.query.order || 'desc').toLowerCase();
-    
-    let limit = parseInt(req.query.limit) || 500;
-    if (limit > 2000) limit = 2000;
-    if (limit < 1) limit = 1;
-
-    // Get all walls from the in-memory store
-    let walls = densityScannerService.getWalls();
+    const filters = normalizeWallFilters(req.query, densityScannerService.getScannedExchanges());
 
-    // Apply filters in sequence (most selective first for performance)
-    walls = walls.filter(w => {
-      // Exchange filter
-      if (!exchangeFilter.includes(w.exchange)) return false;
-      
-      // Market filter
-      if (!marketFilter.includes(w.market)) return false;
-      
-      // Volume filter
-      if (w.volumeUSD < minVolume || w.volumeUSD > maxVolume) return false;
-      
-      // Side filter
-      if (sideFilter !== 'BOTH' && w.side !== sideFilter) return false;
-      
-      // Symbol filter (if provided)
-      if (symbolFilter.length > 0 && !symbolFilter.includes(w.symbol)) return false;
-      
-      // Exclude symbols (hidden tokens)
-      if (excludeSymbols.size > 0 && excludeSymbols.has(w.symbol)) return false;
-      
-      // Wall age filter
-      if (minAgeMs > 0 && w.wallAgeMs < minAgeMs) return false;
-      
-      // Distance from mid filter
-      if (Math.abs(w.percentFromMid) > maxDistFromMid) return false;
-      
-      return true;
-    });
-
-    // Sort
-    const validSortFields = ['volumeUSD', 'wallAgeMs', 'percentFromMid', 'price'];
-    const actualSortField = validSortFields.includes(sortField) ? sortField : 'volumeUSD';
-    
-    walls.sort((a, b) => {
-      const aVal = actualSortField === 'percentFromMid' ? Math.abs(a[actualSortField]) : a[actualSortField];
-      const bVal = actualSortField === 'percentFromMid' ? Math.abs(b[actualSortField]) : b[actualSortField];
-      return sortOrder === 'asc' ? aVal - bVal : bVal - aVal;
-    });
-
-    // Limit
-    walls = walls.slice(0, limit);
+    // Get all walls from the in-memory store, filter, sort, limit
+    const walls = sortWalls(
+      densityScannerService.getWalls().filter((wall) => matchesWallFilters(wall, filters)),
+      filters,
+    ).slice(0, filters.limit);
 
     res.json({
       walls,
@@ -115,14 +51,17 @@ async function getWalls(req, res, next) {
         total: walls.length,
         timestamp: new Date().toISOString(),
         filters: {
-          exchanges: exchangeFilter,
-          markets: marketFilter,
-          minVolume,
-          side: sideFilter,
-          symbols: symbolFilter,
-          excludeSymbols: [...excludeSymbols],
-          minAgeSeconds,
-          maxDistFromMid,
+          exchanges: filters.exchanges,
+          markets: filters.markets,
+          minVolume: filters.minVolume,
+          side: filters.side,
+          symbols: filters.symbols,
+          excludeSymbols: [...filters.excludeSymbols],
+          minAgeSeconds: filters.minAgeSeconds,
+          maxDistFromMid: filters.maxDistFromMid,
+          classes: filters.classes,
+          minDepthMultiple: filters.minDepthMultiple,
+          minPctOfDailyVolume: filters.minPctOfDailyVolume,
         },
       },
     });
@@ -161,8 +100,44 @@ async function getStatus(req, res, next) {
   }
 }
 
+/**
+ * GET /api/density-screener/history
+ *
+ * Wall lifecycle timelines for one symbol (appeared, resized, partial fills,
+ * refills, touches, bounces, filled / pulled), grouped per wall.
+ *
+ * Query params:
+ *   symbol   — required, e.g. BTCUSDT
+ *   exchange — optional exchange filter
+ *   market   — optional: futures | spot
+ *   side     — optional: BID | ASK
+ *   hours    — look-back window (default: 24, max 168)
+ */
+async function getHistory(req, res, next) {
+  try {
+    const symbol = String(req.query.symbol || '').trim().toUpperCase();
+    if (!symbol) {
+      return res.status(400).json({ error: 'symbol is required' });
+    }
+    const side = String(req.query.side || '').toUpperCase();
+    const hours = parseFloat(req.query.hours) || 24;
+
+    const history = await getWallHistory({
+      symbol,
+      exchange: req.query.exchange ? String(req.query.exchange).toLowerCase() : undefined,
+      market: req.query.market ? String(req.query.market).toLowerCase() : undefined,
+      side: side === 'BID' || side === 'ASK' ? side : undefined,
+      hours: Math.min(Math.max(hours, 1), MAX_HISTORY_HOURS),
+    });
+    res.json(history);
+  } catch (error) {
+    next(error);
+  }
+}
+
 module.exports = {
   getWalls,
   getSymbols,
   getStatus,
+  getHistory,
 };
@@ -1,13 +1,11 @@
 const priceService = require('../services/priceService');
-const binanceService = require('../services/binanceService');
-const bybitService = require('../services/bybitService');
-const okxService = require('../services/okxService');
-const gateService = require('../services/gateService');
-const bitgetService = require('../services/bitgetService');
-const mexcService = require('../services/mexcService');
+const { getExchangeAdapter, getExchangeIds } = require('../services/exchangeAdapters');
+const candleStore = require('../services/candleStoreService');
 const listingsService = require('../services/listingsService');
 const binanceMarketMapService = require('../services/binanceMarketMapService');
 const bybitMarketMapService = require('../services/bybitMarketMapService');
+const derivativesService = require('../services/derivativesService');
+const liquidationService = require('../services/liquidations');
 
 const BINANCE_FUTURES_BASE_URLS = [
   'https://fapi.binance.com/fapi/v1',
@@ -57,19 +55,6 @@ async function fetchBinanceFuturesKlinesWithFallback(searchParams) {
   throw lastError || new Error('All Binance futures hosts failed');
 }
 
-function isTemporaryBinanceUpstreamError(error) {
-  const status = error?.statusCode || error?.status || error?.response?.status;
-  if ([429, 502, 503, 504].includes(status)) return true;
-
-  const message = String(error?.message || '').toLowerCase();
-  return (
-    message.includes('rate limit exceeded') ||
-    message.includes('temporarily unavailable') ||
-    message.includes('server error') ||
-    message.includes('restricted location')
-  );
-}
-
 /**
  * Get top coins
  * Call priceService.fetchTopCoins, return cached/API result
@@ -129,27 +114,56 @@ async function getListings(req, res, next) {
 }
 
 /**
- * Get Binance tokens (Futures or Spot) with NATR
+ * Resolve the adapter for :exchange, answering 404 for unsupported exchanges.
+ */
+function resolveAdapter(req, res) {
+  const adapter = getExchangeAdapter(req.params.exchange);
+  if (!adapter) {
+    res.status(404).json({
+      error: `Unsupported exchange: ${req.params.exchange}. Supported: ${getExchangeIds().join(', ')}`,
+    });
+    return null;
+  }
+  return adapter;
+}
+
+function isValidExchangeType(exchangeType) {
+  return exchangeType === 'futures' || exchangeType === 'spot';
+}
+
+/**
+ * Futures-only exchanges (KuCoin, Kraken) reject spot requests with 400.
+ * @returns {boolean} true when a response was sent
+ */
+function rejectUnsupportedMarket(adapter, exchangeType, res) {
+  if (adapter.markets.includes(exchangeType)) return false;
+  res.status(400).json({
+    error: `${adapter.name} does not support ${exchangeType}. Supported: ${adapter.markets.join(', ')}`,
+  });
+  return true;
+}
+
+/**
+ * Get exchange tokens (Futures or Spot) with NATR
  * Supports search filtering
+ * GET /api/market/:exchange/tokens?exchangeType=futures|spot&search=&fresh=
  */
-async function getBinanceTokens(req, res, next) {
+async function getExchangeTokens(req, res, next) {
+  const adapter = resolveAdapter(req, res);
+  if (!adapter) return;
+
   try {
     const { exchangeType, search, fresh } = req.query;
 
-    // Validate exchangeType
-    if (!exchangeType || !['futures', 'spot'].includes(exchangeType)) {
-      return res
-        .status(400)
-        .json({
-          error: 'Invalid exchangeType. Must be "futures" or "spot"',
-        });
+    if (!isValidExchangeType(exchangeType)) {
+      return res.status(400).json({
+        error: 'Invalid exchangeType. Must be "futures" or "spot"',
+      });
     }
+    if (rejectUnsupportedMarket(adapter, exchangeType, res)) return;
 
-    // Fetch tokens with NATR
     const forceFresh = fresh === '1' || fresh === 'true';
-    let tokens = await binanceService.fetchTokensWithNATR(exchangeType, {
-      forceFresh,
-    });
+    let tokens = await adapter.fetchTokens(exchangeType, { forceFresh });
 
     // Filter by search query if provided
     if (search && search.trim()) {
@@ -167,7 +181,7 @@ async function getBinanceTokens(req, res, next) {
       totalCount: tokens.length,
     });
   } catch (error) {
-    if (isTemporaryBinanceUpstreamError(error)) {
+    if (adapter.isTemporaryUpstreamError(error)) {
       return res.json({
         tokens: [],
         exchangeType: req.query.exchangeType,
@@ -181,25 +195,23 @@ async function getBinanceTokens(req, res, next) {
 }
 
 /**
- * Get Binance token details with NATR
- * @param {string} symbol - Token symbol (e.g., "BTCUSDT")
- * @param {string} exchangeType - "futures" | "spot"
+ * Get exchange token details with NATR
+ * GET /api/market/:exchange/tokens/:symbol?exchangeType=futures|spot
  */
-async function getBinanceTokenDetails(req, res, next) {
+async function getExchangeTokenDetails(req, res, next) {
+  const adapter = resolveAdapter(req, res);
+  if (!adapter) return;
+
   try {
     const { symbol } = req.params;
     const { exchangeType } = req.query;
 
-    if (!exchangeType || !['futures', 'spot'].includes(exchangeType)) {
+    if (!isValidExchangeType(exchangeType)) {
       return res.status(400).json({ error: 'Invalid exchangeType' });
     }
+    if (rejectUnsupportedMarket(adapter, exchangeType, res)) return;
 
-    // Fetch token details + NATR
-    const token = await binanceService.fetchTokenWithNATR(
-      symbol,
-      exchangeType
-    );
-
+    const token = await adapter.fetchToken(symbol, exchangeType);
     res.json({ token });
   } catch (error) {
     next(error);
@@ -207,193 +219,72 @@ async function getBinanceTokenDetails(req, res, next) {
 }
 
 /**
- * Get Binance klines (candlestick data) for charting
- * @param {string} symbol - Token symbol (e.g., "BTCUSDT")
- * @param {string} exchangeType - "futures" | "spot"
- * @param {string} interval - Time interval (default: "15m")
- * @param {number} limit - Number of candles (default: 500)
+ * Get exchange klines (candlestick data) for charting
+ * GET /api/market/:exchange/klines?symbol=&exchangeType=&interval=15m&limit=500&before=
  */
-async function getBinanceKlines(req, res, next) {
-  // Performance monitoring: Track request start time
+async function getExchangeKlines(req, res, next) {
+  const adapter = resolveAdapter(req, res);
+  if (!adapter) return;
+
   const requestStartTime = Date.now();
-  const requestStartISO = new Date(requestStartTime).toISOString();
 
   try {
     const { symbol, exchangeType, interval, limit, before } = req.query;
 
-    // Log when /api/market/binance/klines endpoint is hit
-    console.log('[Klines] Endpoint hit: /api/market/binance/klines');
-    console.log('[Klines] Request parameters:', {
-      symbol,
-      exchangeType,
-      interval,
-      limit,
-      before,
-      startTime: requestStartISO,
-    });
-
-    // Validate required parameters
     if (!symbol) {
-      console.log('[Klines] Validation failed: Symbol is required');
       return res.status(400).json({ error: 'Symbol is required' });
     }
-
-    if (!exchangeType || !['futures', 'spot'].includes(exchangeType)) {
-      console.log('[Klines] Validation failed: Invalid exchangeType', {
-        exchangeType,
-      });
+    if (!isValidExchangeType(exchangeType)) {
       return res.status(400).json({
         error: 'Invalid exchangeType. Must be "futures" or "spot"',
       });
     }
+    if (rejectUnsupportedMarket(adapter, exchangeType, res)) return;
 
-    // Set defaults
     const klinesInterval = interval || '15m';
     const klinesLimit = limit ? parseInt(limit, 10) : 500;
     const beforeTimestamp = before ? parseInt(before, 10) : null;
 
-    // Validate limit
     if (isNaN(klinesLimit) || klinesLimit < 1 || klinesLimit > 1000) {
-      console.log('[Klines] Validation failed: Invalid limit', {
-        limit: klinesLimit,
-      });
       return res.status(400).json({
         error: 'Limit must be a number between 1 and 1000',
       });
     }
-
     if (before && (!Number.isFinite(beforeTimestamp) || beforeTimestamp <= 0)) {
       return res.status(400).json({
         error: 'before must be a positive unix timestamp in milliseconds',
       });
     }
 
-    // Log before calling service with timing
-    const serviceCallStartTime = Date.now();
-    const timeToServiceCall = ((serviceCallStartTime - requestStartTime) / 1000).toFixed(3);
-    console.log('[Klines] Calling binanceService.fetchKlines:', {
+    // Local candle store first, exchange for the missing tail
+    const klines = await candleStore.getKlines(adapter.id, {
       symbol,
       exchangeType,
       interval: klinesInterval,
       limit: klinesLimit,
       before: beforeTimestamp,
-      timeToServiceCall: `${timeToServiceCall}s`,
-      serviceCallStartTime: new Date(serviceCallStartTime).toISOString(),
     });
 
-    // Fetch klines
-    const klines = await binanceService.fetchKlines(
-      symbol,
-      exchangeType,
-      klinesInterval,
-      klinesLimit,
-      { before: beforeTimestamp }
-    );
-
-    // Calculate service call duration
-    const serviceCallEndTime = Date.now();
-    const serviceCallDuration = ((serviceCallEndTime - serviceCallStartTime) / 1000).toFixed(3);
-
-    // Verify response format
     if (!Array.isArray(klines)) {
-      console.error('[Klines] ERROR: klines is not an array:', typeof klines);
       throw new Error('Invalid response format: klines must be an array');
     }
 
-    // Verify kline structure (check first kline if available)
-    if (klines.length > 0) {
-      const firstKline = klines[0];
-      const requiredFields = ['time', 'open', 'high', 'low', 'close', 'volume'];
-      const missingFields = requiredFields.filter(
-        (field) => !(field in firstKline)
-      );
-
-      if (missingFields.length > 0) {
-        console.error(
-          '[Klines] ERROR: Missing required fields in kline:',
-          missingFields
-        );
-        throw new Error(
-          `Invalid kline format: missing fields ${missingFields.join(', ')}`
-        );
-      }
-    }
-
-    // Calculate total request duration
-    const responseSendTime = Date.now();
-    const totalDuration = ((responseSendTime - requestStartTime) / 1000).toFixed(3);
-    const serviceCallDurationMs = serviceCallEndTime - serviceCallStartTime;
-    const totalDurationMs = responseSendTime - requestStartTime;
-
-    // Log after receiving klines with performance metrics
-    console.log('[Klines] Returning:', {
-      count: klines.length,
-      symbol: symbol.toUpperCase(),
-      exchangeType,
-      interval: klinesInterval,
-      serviceCallDuration: `${serviceCallDuration}s`,
-      totalDuration: `${totalDuration}s`,
-      responseSendTime: new Date(responseSendTime).toISOString(),
-    });
-
-    // Performance warning for slow requests (> 3 seconds)
+    const totalDurationMs = Date.now() - requestStartTime;
     if (totalDurationMs > 3000) {
       console.warn(
-        `[Klines] ⚠️  Performance warning: Request took ${totalDuration}s (> 3s threshold)`,
-        {
-          symbol: symbol.toUpperCase(),
-          exchangeType,
-          interval: klinesInterval,
-          limit: klinesLimit,
-          serviceCallDuration: `${serviceCallDuration}s`,
-          totalDuration: `${totalDuration}s`,
-          breakdown: {
-            timeToServiceCall: `${timeToServiceCall}s`,
-            serviceCallDuration: `${serviceCallDuration}s`,
-            timeAfterServiceCall: `${((responseSendTime - serviceCallEndTime) / 1000).toFixed(3)}s`,
-          },
-        }
+        `[Klines] ⚠️  Performance warning: ${adapter.id} request took ${(totalDurationMs / 1000).toFixed(3)}s (> 3s threshold)`,
+        { symbol: symbol.toUpperCase(), exchangeType, interval: klinesInterval, limit: klinesLimit }
       );
     }
 
-    // Return response
-    const response = {
+    res.json({
       klines,
       symbol: symbol.toUpperCase(),
       exchangeType,
       interval: klinesInterval,
-    };
-
-    // Log response before sending
-    console.log('[Klines] Sending response:', {
-      klinesCount: klines.length,
-      symbol: symbol.toUpperCase(),
-      exchangeType,
-      interval: klinesInterval,
-      responseFormat: {
-        hasKlines: Array.isArray(klines),
-        klinesIsArray: Array.isArray(klines),
-        klinesLength: klines.length,
-        hasSymbol: !!response.symbol,
-        hasExchangeType: !!response.exchangeType,
-        hasInterval: !!response.interval,
-      },
-      sampleKline: klines.length > 0 ? {
-        time: klines[0].time,
-        open: klines[0].open,
-        high: klines[0].high,
-        low: klines[0].low,
-        close: klines[0].close,
-        volume: klines[0].volume,
-        hasAllFields: ['time', 'open', 'high', 'low', 'close', 'volume'].every(
-          (field) => field in klines[0]
-        ),
-      } : null,
     });
-
-    res.json(response);
   } catch (error) {
-    if (isTemporaryBinanceUpstreamError(error)) {
+    if (adapter.isTemporaryUpstreamError(error)) {
       return res.json({
         klines: [],
         symbol: String(req.query.symbol || '').toUpperCase(),
@@ -403,512 +294,215 @@ async function getBinanceKlines(req, res, next) {
         warning: error.message,
       });
     }
-    // Calculate error duration
-    const errorTime = Date.now();
-    const errorDuration = ((errorTime - requestStartTime) / 1000).toFixed(3);
-
-    // Log full error details with timing
-    console.error('[Klines] Error in getBinanceKlines:', {
+    console.error(`[Klines] Error in getExchangeKlines (${adapter.id}):`, {
       message: error.message,
-      stack: error.stack,
-      name: error.name,
       status: error.response?.status,
-      statusText: error.response?.statusText,
       data: error.response?.data,
-      duration: `${errorDuration}s`,
-      errorTime: new Date(errorTime).toISOString(),
     });
-
     next(error);
   }
 }
 
-async function getBinanceFuturesKlinesProxy(req, res) {
-  try {
-    const symbol = String(req.query?.symbol || '').trim().toUpperCase();
-    const interval = String(req.query?.interval || '15m').trim();
-    const limit = Number(req.query?.limit || 500);
-    const endTimeRaw = req.query?.endTime;
-
-    if (!/^[A-Z0-9]{4,20}$/.test(symbol)) {
-      return res.status(400).json({ error: 'Invalid symbol' });
-    }
-
-    if (!VALID_BINANCE_INTERVALS.has(interval)) {
-      return res.status(400).json({ error: 'Invalid interval' });
-    }
-
-    if (!Number.isFinite(limit) || limit < 1 || limit > 1000) {
-      return res.status(400).json({ error: 'Invalid limit' });
-    }
-
-    const searchParams = new URLSearchParams({
-      symbol,
-      interval,
-      limit: String(Math.floor(limit)),
-    });
-
-    if (endTimeRaw !== undefined && endTimeRaw !== null && endTimeRaw !== '') {
-      const endTime = Number(endTimeRaw);
-      if (!Number.isFinite(endTime) || endTime <= 0) {
-        return res.status(400).json({ error: 'Invalid endTime' });
-      }
-      searchParams.set('endTime', String(Math.floor(endTime)));
-    }
-
-    const result = await fetchBinanceFuturesKlinesWithFallback(searchParams);
-    return res.status(200).json(result);
-  } catch (error) {
-    return res.status(502).json({
-      error: error?.message || 'Failed to fetch Binance futures klines',
-    });
-  }
-}
-
 /**
- * Get Binance futures market-map ranking based on live 5m range % activity.
- * Query params:
- * - limit: optional number of rows to return
+ * Get an order book snapshot (quantities in base coin)
+ * GET /api/market/:exchange/orderbook?symbol=&exchangeType=&limit=100
  */
-async function getBinanceMarketMapRanking(req, res, next) {
-  try {
-    const { limit } = req.query;
-    const result = await binanceMarketMapService.getRanking({ limit });
-
-    res.json({
-      exchange: 'binance',
-      exchangeType: 'futures',
-      ...result,
-    });
-  } catch (error) {
-    next(error);
-  }
-}
+async function getExchangeOrderBook(req, res, next) {
+  const adapter = resolveAdapter(req, res);
+  if (!adapter) return;
 
-/**
- * Get Bybit futures market-map ranking based on live 5m range % activity.
- * Query params:
- * - limit: optional number of rows to return
- */
-async function getBybitMarketMapRanking(req, res, next) {
   try {
-    const { limit } = req.query;
-    const result = await bybitMarketMapService.getRanking({ limit });
+    const { symbol, exchangeType, limit } = req.query;
 
-    res.json({
-      exchange: 'bybit',
-      exchangeType: 'futures',
-      ...result,
-    });
-  } catch (error) {
-    next(error);
-  }
-}
-
-/**
- * Get Bybit tokens (Futures or Spot) with NATR. Same response shape as Binance.
- */
-async function getBybitTokens(req, res, next) {
-  try {
-    const { exchangeType, search } = req.query;
-    if (!exchangeType || !['futures', 'spot'].includes(exchangeType)) {
-      return res.status(400).json({
-        error: 'Invalid exchangeType. Must be "futures" or "spot"',
-      });
-    }
-    let tokens = await bybitService.fetchTokensWithNATR(exchangeType);
-    if (search && search.trim()) {
-      const searchLower = search.trim().toLowerCase();
-      tokens = tokens.filter(
-        (token) =>
-          token.symbol.toLowerCase().includes(searchLower) ||
-          token.fullSymbol.toLowerCase().includes(searchLower)
-      );
-    }
-    res.json({
-      tokens,
-      exchangeType,
-      totalCount: tokens.length,
-    });
-  } catch (error) {
-    next(error);
-  }
-}
-
-/**
- * Get Bybit token details with NATR
- */
-async function getBybitTokenDetails(req, res, next) {
-  try {
-    const { symbol } = req.params;
-    const { exchangeType } = req.query;
-    if (!exchangeType || !['futures', 'spot'].includes(exchangeType)) {
-      return res.status(400).json({ error: 'Invalid exchangeType' });
-    }
-    const token = await bybitService.fetchTokenWithNATR(symbol, exchangeType);
-    res.json({ token });
-  } catch (error) {
-    next(error);
-  }
-}
-
-/**
- * Get Bybit klines for charting. Same response shape as Binance.
- */
-async function getBybitKlines(req, res, next) {
-  try {
-    const { symbol, exchangeType, interval, limit, before } = req.query;
     if (!symbol) {
       return res.status(400).json({ error: 'Symbol is required' });
     }
-    if (!exchangeType || !['futures', 'spot'].includes(exchangeType)) {
+    if (!isValidExchangeType(exchangeType)) {
       return res.status(400).json({
         error: 'Invalid exchangeType. Must be "futures" or "spot"',
       });
     }
-    const klinesInterval = interval || '15m';
-    const klinesLimit = limit ? parseInt(limit, 10) : 500;
-    const beforeTimestamp = before ? parseInt(before, 10) : null;
-    if (isNaN(klinesLimit) || klinesLimit < 1 || klinesLimit > 1000) {
+    if (rejectUnsupportedMarket(adapter, exchangeType, res)) return;
+
+    const depthLimit = limit ? parseInt(limit, 10) : 100;
+    if (isNaN(depthLimit) || depthLimit < 1 || depthLimit > 1000) {
       return res.status(400).json({
         error: 'Limit must be a number between 1 and 1000',
       });
     }
-    if (before && (!Number.isFinite(beforeTimestamp) || beforeTimestamp <= 0)) {
-      return res.status(400).json({
-        error: 'before must be a positive unix timestamp in milliseconds',
-      });
-    }
-    const klines = await bybitService.fetchKlines(
-      symbol,
-      exchangeType,
-      klinesInterval,
-      klinesLimit,
-      { before: beforeTimestamp }
-    );
-    if (!Array.isArray(klines)) {
-      throw new Error('Invalid response format: klines must be an array');
-    }
+
+    const book = await adapter.fetchOrderBook(adapter.normalizeSymbol(symbol), exchangeType, { limit: depthLimit });
     res.json({
-      klines,
-      symbol: symbol.toUpperCase(),
+      exchange: adapter.id,
+      symbol: adapter.normalizeSymbol(symbol),
       exchangeType,
-      interval: klinesInterval,
+      ...book,
     });
   } catch (error) {
-    next(error);
-  }
-}
-
-/**
- * Get OKX tokens (Futures or Spot) with NATR. Same response shape as Binance.
- */
-async function getOkxTokens(req, res, next) {
-  try {
-    const { exchangeType, search } = req.query;
-    if (!exchangeType || !['futures', 'spot'].includes(exchangeType)) {
-      return res.status(400).json({
-        error: 'Invalid exchangeType. Must be "futures" or "spot"',
+    if (adapter.isTemporaryUpstreamError(error)) {
+      return res.json({
+        exchange: adapter.id,
+        symbol: String(req.query.symbol || '').toUpperCase(),
+        exchangeType: req.query.exchangeType,
+        bids: [],
+        asks: [],
+        upstreamUnavailable: true,
+        warning: error.message,
       });
     }
-    let tokens = await okxService.fetchTokensWithNATR(exchangeType);
-    if (search && search.trim()) {
-      const searchLower = search.trim().toLowerCase();
-      tokens = tokens.filter(
-        (token) =>
-          token.symbol.toLowerCase().includes(searchLower) ||
-          token.fullSymbol.toLowerCase().includes(searchLower)
-      );
-    }
-    res.json({
-      tokens,
-      exchangeType,
-      totalCount: tokens.length,
-    });
-  } catch (error) {
     next(error);
   }
 }
 
 /**
- * Get OKX token details with NATR
+ * Funding rate, open interest and long/short ratio for the exchange's perpetuals
+ * GET /api/market/:exchange/derivatives?symbol=
  */
-async function getOkxTokenDetails(req, res, next) {
-  try {
-    const { symbol } = req.params;
-    const { exchangeType } = req.query;
-    if (!exchangeType || !['futures', 'spot'].includes(exchangeType)) {
-      return res.status(400).json({ error: 'Invalid exchangeType' });
-    }
-    const token = await okxService.fetchTokenWithNATR(symbol, exchangeType);
-    res.json({ token });
-  } catch (error) {
-    next(error);
-  }
-}
+async function getExchangeDerivatives(req, res, next) {
+  const adapter = resolveAdapter(req, res);
+  if (!adapter) return;
 
-/**
- * Get OKX klines for charting. Same response shape as Binance.
- */
-async function getOkxKlines(req, res, next) {
-  try {
-    const { symbol, exchangeType, interval, limit, before } = req.query;
-    if (!symbol) {
-      return res.status(400).json({ error: 'Symbol is required' });
-    }
-    if (!exchangeType || !['futures', 'spot'].includes(exchangeType)) {
-      return res.status(400).json({
-        error: 'Invalid exchangeType. Must be "futures" or "spot"',
-      });
-    }
-    const klinesInterval = interval || '15m';
-    const klinesLimit = limit ? parseInt(limit, 10) : 500;
-    const beforeTimestamp = before ? parseInt(before, 10) : null;
-    if (isNaN(klinesLimit) || klinesLimit < 1 || klinesLimit > 1000) {
-      return res.status(400).json({
-        error: 'Limit must be a number between 1 and 1000',
-      });
-    }
-    if (before && (!Number.isFinite(beforeTimestamp) || beforeTimestamp <= 0)) {
-      return res.status(400).json({
-        error: 'before must be a positive unix timestamp in milliseconds',
-      });
-    }
-    const klines = await okxService.fetchKlines(
-      symbol,
-      exchangeType,
-      klinesInterval,
-      klinesLimit,
-      { before: beforeTimestamp }
-    );
-    if (!Array.isArray(klines)) {
-      throw new Error('Invalid response format: klines must be an array');
-    }
-    res.json({
-      klines,
-      symbol: symbol.toUpperCase(),
-      exchangeType,
-      interval: klinesInterval,
+  if (!derivativesService.supports(adapter.id)) {
+    return res.status(400).json({
+      error: `${adapter.name} does not provide funding / open interest data`,
     });
-  } catch (error) {
-    next(error);
   }
-}
 
-/**
- * Get Gate.io tokens (Futures or Spot) with NATR. Same response shape as Binance.
- */
-async function getGateTokens(req, res, next) {
   try {
-    const { exchangeType, search } = req.query;
-    if (!exchangeType || !['futures', 'spot'].includes(exchangeType)) {
-      return res.status(400).json({
-        error: 'Invalid exchangeType. Must be "futures" or "spot"',
+    const { symbol } = req.query;
+    const result = await derivativesService.getDerivatives(adapter.id);
+
+    if (symbol) {
+      const wanted = adapter.normalizeSymbol(symbol);
+      return res.json({
+        exchange: result.exchange,
+        updatedAt: result.updatedAt,
+        scanning: result.scanning,
+        data: result.rows.find((row) => row.symbol === wanted) || null,
       });
     }
-    let tokens = await gateService.fetchTokensWithNATR(exchangeType);
-    if (search && search.trim()) {
-      const searchLower = search.trim().toLowerCase();
-      tokens = tokens.filter(
-        (token) =>
-          token.symbol.toLowerCase().includes(searchLower) ||
-          token.fullSymbol.toLowerCase().includes(searchLower)
-      );
-    }
+
     res.json({
-      tokens,
-      exchangeType,
-      totalCount: tokens.length,
+      ...result,
+      totalCount: result.rows.length,
     });
   } catch (error) {
-    next(error);
-  }
-}
-
-/**
- * Get Gate.io token details with NATR
- */
-async function getGateTokenDetails(req, res, next) {
-  try {
-    const { symbol } = req.params;
-    const { exchangeType } = req.query;
-    if (!exchangeType || !['futures', 'spot'].includes(exchangeType)) {
-      return res.status(400).json({ error: 'Invalid exchangeType' });
+    if (adapter.isTemporaryUpstreamError(error)) {
+      return res.json({
+        exchange: adapter.id,
+        updatedAt: 0,
+        scanning: false,
+        rows: [],
+        totalCount: 0,
+        upstreamUnavailable: true,
+        warning: error.message,
+      });
     }
-    const token = await gateService.fetchTokenWithNATR(symbol, exchangeType);
-    res.json({ token });
-  } catch (error) {
     next(error);
   }
 }
 
 /**
- * Get Gate.io klines for charting. Same response shape as Binance.
+ * Rolling liquidation volume per symbol across the liquidation feeds.
+ * Query params:
+ * - exchange: optional binance | bybit | okx (default: all, summed per symbol)
+ * - window: 5m | 15m | 1h | 4h | 24h (default 1h)
+ * - limit: optional number of rows (default 50)
  */
-async function getGateKlines(req, res, next) {
-  try {
-    const { symbol, exchangeType, interval, limit, before } = req.query;
-    if (!symbol) {
-      return res.status(400).json({ error: 'Symbol is required' });
-    }
-    if (!exchangeType || !['futures', 'spot'].includes(exchangeType)) {
-      return res.status(400).json({
-        error: 'Invalid exchangeType. Must be "futures" or "spot"',
-      });
-    }
-    const klinesInterval = interval || '15m';
-    const klinesLimit = limit ? parseInt(limit, 10) : 500;
-    const beforeTimestamp = before ? parseInt(before, 10) : null;
-    if (isNaN(klinesLimit) || klinesLimit < 1 || klinesLimit > 1000) {
-      return res.status(400).json({
-        error: 'Limit must be a number between 1 and 1000',
-      });
-    }
-    if (before && (!Number.isFinite(beforeTimestamp) || beforeTimestamp <= 0)) {
-      return res.status(400).json({
-        error: 'before must be a positive unix timestamp in milliseconds',
-      });
-    }
-    const klines = await gateService.fetchKlines(
-      symbol,
-      exchangeType,
-      klinesInterval,
-      klinesLimit,
-      { before: beforeTimestamp }
-    );
-    if (!Array.isArray(klines)) {
-      throw new Error('Invalid response format: klines must be an array');
-    }
-    res.json({
-      klines,
-      symbol: symbol.toUpperCase(),
-      exchangeType,
-      interval: klinesInterval,
+function getLiquidations(req, res) {
+  const exchange = req.query.exchange ? String(req.query.exchange).toLowerCase() : null;
+  if (exchange && exchange !== 'all' && !liquidationService.supports(exchange)) {
+    return res.status(400).json({
+      error: `Liquidations are available for: ${liquidationService.LIQUIDATION_EXCHANGES.join(', ')}`,
     });
-  } catch (error) {
-    next(error);
   }
-}
-
-/**
- * Get Bitget tokens (Futures or Spot) with NATR. Same response shape as Binance.
- */
-async function getBitgetTokens(req, res, next) {
-  try {
-    const { exchangeType, search } = req.query;
-    if (!exchangeType || !['futures', 'spot'].includes(exchangeType)) {
-      return res.status(400).json({
-        error: 'Invalid exchangeType. Must be "futures" or "spot"',
-      });
-    }
-    let tokens = await bitgetService.fetchTokensWithNATR(exchangeType);
-    if (search && search.trim()) {
-      const searchLower = search.trim().toLowerCase();
-      tokens = tokens.filter(
-        (token) =>
-          token.symbol.toLowerCase().includes(searchLower) ||
-          token.fullSymbol.toLowerCase().includes(searchLower)
-      );
-    }
-    res.json({
-      tokens,
-      exchangeType,
-      totalCount: tokens.length,
+  const window = String(req.query.window || '1h');
+  if (!liquidationService.SUMMARY_WINDOWS[window]) {
+    return res.status(400).json({
+      error: `Invalid window. Use one of: ${Object.keys(liquidationService.SUMMARY_WINDOWS).join(', ')}`,
     });
-  } catch (error) {
-    next(error);
   }
+  res.json(liquidationService.getSummary({
+    exchange: exchange === 'all' ? null : exchange,
+    window,
+    limit: req.query.limit,
+  }));
 }
 
 /**
- * Get Bitget token details with NATR
+ * Liquidation minute buckets + recent events for one futures symbol (chart overlay).
+ * Query params: symbol (required), since (optional epoch ms)
  */
-async function getBitgetTokenDetails(req, res, next) {
-  try {
-    const { symbol } = req.params;
-    const { exchangeType } = req.query;
-    if (!exchangeType || !['futures', 'spot'].includes(exchangeType)) {
-      return res.status(400).json({ error: 'Invalid exchangeType' });
-    }
-    const token = await bitgetService.fetchTokenWithNATR(symbol, exchangeType);
-    res.json({ token });
-  } catch (error) {
-    next(error);
+function getExchangeLiquidations(req, res) {
+  const adapter = resolveAdapter(req, res);
+  if (!adapter) return;
+
+  if (!liquidationService.supports(adapter.id)) {
+    return res.status(400).json({ error: `${adapter.name} does not provide a liquidation feed` });
   }
+  const { symbol, since } = req.query;
+  if (!symbol) {
+    return res.status(400).json({ error: 'symbol is required' });
+  }
+  res.json(liquidationService.getSymbolLiquidations(adapter.id, adapter.normalizeSymbol(symbol), since));
 }
 
-/**
- * Get Bitget klines for charting. Same response shape as Binance.
- */
-async function getBitgetKlines(req, res, next) {
+async function getBinanceFuturesKlinesProxy(req, res) {
   try {
-    const { symbol, exchangeType, interval, limit, before } = req.query;
-    if (!symbol) {
-      return res.status(400).json({ error: 'Symbol is required' });
-    }
-    if (!exchangeType || !['futures', 'spot'].includes(exchangeType)) {
-      return res.status(400).json({
-        error: 'Invalid exchangeType. Must be "futures" or "spot"',
-      });
+    const symbol = String(req.query?.symbol || '').trim().toUpperCase();
+    const interval = String(req.query?.interval || '15m').trim();
+    const limit = Number(req.query?.limit || 500);
+    const endTimeRaw = req.query?.endTime;
+
+    if (!/^[A-Z0-9]{4,20}$/.test(symbol)) {
+      return res.status(400).json({ error: 'Invalid symbol' });
     }
-    const klinesInterval = interval || '15m';
-    const klinesLimit = limit ? parseInt(limit, 10) : 500;
-    const beforeTimestamp = before ? parseInt(before, 10) : null;
-    if (isNaN(klinesLimit) || klinesLimit < 1 || klinesLimit > 1000) {
-      return res.status(400).json({
-        error: 'Limit must be a number between 1 and 1000',
-      });
+
+    if (!VALID_BINANCE_INTERVALS.has(interval)) {
+      return res.status(400).json({ error: 'Invalid interval' });
     }
-    if (before && (!Number.isFinite(beforeTimestamp) || beforeTimestamp <= 0)) {
-      return res.status(400).json({
-        error: 'before must be a positive unix timestamp in milliseconds',
-      });
+
+    if (!Number.isFinite(limit) || limit < 1 || limit > 1000) {
+      return res.status(400).json({ error: 'Invalid limit' });
     }
-    const klines = await bitgetService.fetchKlines(
+
+    const searchParams = new URLSearchParams({
       symbol,
-      exchangeType,
-      klinesInterval,
-      klinesLimit,
-      { before: beforeTimestamp }
-    );
-    if (!Array.isArray(klines)) {
-      throw new Error('Invalid response format: klines must be an array');
-    }
-    res.json({
-      klines,
-      symbol: symbol.toUpperCase(),
-      exchangeType,
-      interval: klinesInterval,
+      interval,
+      limit: String(Math.floor(limit)),
     });
+
+    if (endTimeRaw !== undefined && endTimeRaw !== null && endTimeRaw !== '') {
+      const endTime = Number(endTimeRaw);
+      if (!Number.isFinite(endTime) || endTime <= 0) {
+        return res.status(400).json({ error: 'Invalid endTime' });
+      }
+      searchParams.set('endTime', String(Math.floor(endTime)));
+    }
+
+    const result = await fetchBinanceFuturesKlinesWithFallback(searchParams);
+    return res.status(200).json(result);
   } catch (error) {
-    next(error);
+    return res.status(502).json({
+      error: error?.message || 'Failed to fetch Binance futures klines',
+    });
   }
 }
 
 /**
- * Get MEXC tokens (Futures or Spot) with NATR. Same response shape as Binance.
+ * Get Binance futures market-map ranking based on live 5m range % activity.
+ * Query params:
+ * - limit: optional number of rows to return
  */
-async function getMexcTokens(req, res, next) {
+async function getBinanceMarketMapRanking(req, res, next) {
   try {
-    const { exchangeType, search } = req.query;
-    if (!exchangeType || !['futures', 'spot'].includes(exchangeType)) {
-      return res.status(400).json({
-        error: 'Invalid exchangeType. Must be "futures" or "spot"',
-      });
-    }
-    let tokens = await mexcService.fetchTokensWithNATR(exchangeType);
-    if (search && search.trim()) {
-      const searchLower = search.trim().toLowerCase();
-      tokens = tokens.filter(
-        (token) =>
-          token.symbol.toLowerCase().includes(searchLower) ||
-          token.fullSymbol.toLowerCase().includes(searchLower)
-      );
-    }
+    const { limit } = req.query;
+    const result = await binanceMarketMapService.getRanking({ limit });
+
     res.json({
-      tokens,
-      exchangeType,
-      totalCount: tokens.length,
+      exchange: 'binance',
+      exchangeType: 'futures',
+      ...result,
     });
   } catch (error) {
     next(error);
@@ -916,64 +510,19 @@ async function getMexcTokens(req, res, next) {
 }
 
 /**
- * Get MEXC token details with NATR
+ * Get Bybit futures market-map ranking based on live 5m range % activity.
+ * Query params:
+ * - limit: optional number of rows to return
  */
-async function getMexcTokenDetails(req, res, next) {
+async function getBybitMarketMapRanking(req, res, next) {
   try {
-    const { symbol } = req.params;
-    const { exchangeType } = req.query;
-    if (!exchangeType || !['futures', 'spot'].includes(exchangeType)) {
-      return res.status(400).json({ error: 'Invalid exchangeType' });
-    }
-    const token = await mexcService.fetchTokenWithNATR(symbol, exchangeType);
-    res.json({ token });
-  } catch (error) {
-    next(error);
-  }
-}
+    const { limit } = req.query;
+    const result = await bybitMarketMapService.getRanking({ limit });
 
-/**
- * Get MEXC klines for charting. Same response shape as Binance.
- */
-async function getMexcKlines(req, res, next) {
-  try {
-    const { symbol, exchangeType, interval, limit, before } = req.query;
-    if (!symbol) {
-      return res.status(400).json({ error: 'Symbol is required' });
-    }
-    if (!exchangeType || !['futures', 'spot'].includes(exchangeType)) {
-      return res.status(400).json({
-        error: 'Invalid exchangeType. Must be "futures" or "spot"',
-      });
-    }
-    const klinesInterval = interval || '15m';
-    const klinesLimit = limit ? parseInt(limit, 10) : 500;
-    const beforeTimestamp = before ? parseInt(before, 10) : null;
-    if (isNaN(klinesLimit) || klinesLimit < 1 || klinesLimit > 1000) {
-      return res.status(400).json({
-        error: 'Limit must be a number between 1 and 1000',
-      });
-    }
-    if (before && (!Number.isFinite(beforeTimestamp) || beforeTimestamp <= 0)) {
-      return res.status(400).json({
-        error: 'before must be a positive unix timestamp in milliseconds',
-      });
-    }
-    const klines = await mexcService.fetchKlines(
-      symbol,
-      exchangeType,
-      klinesInterval,
-      klinesLimit,
-      { before: beforeTimestamp }
-    );
-    if (!Array.isArray(klines)) {
-      throw new Error('Invalid response format: klines must be an array');
-    }
     res.json({
-      klines,
-      symbol: symbol.toUpperCase(),
-      exchangeType,
-      interval: klinesInterval,
+      exchange: 'bybit',
+      exchangeType: 'futures',
+      ...result,
     });
   } catch (error) {
     next(error);
@@ -986,24 +535,13 @@ module.exports = {
   searchCoins,
   getListings,
   getBinanceFuturesKlinesProxy,
-  getBinanceTokens,
-  getBinanceTokenDetails,
-  getBinanceKlines,
   getBinanceMarketMapRanking,
   getBybitMarketMapRanking,
-  getBybitTokens,
-  getBybitTokenDetails,
-  getBybitKlines,
-  getOkxTokens,
-  getOkxTokenDetails,
-  getOkxKlines,
-  getGateTokens,
-  getGateTokenDetails,
-  getGateKlines,
-  getBitgetTokens,
-  getBitgetTokenDetails,
-  getBitgetKlines,
-  getMexcTokens,
-  getMexcTokenDetails,
-  getMexcKlines,
+  getExchangeTokens,
+  getExchangeTokenDetails,
+  getExchangeKlines,
+  getExchangeOrderBook,
+  getExchangeDerivatives,
+  getLiquidations,
+  getExchangeLiquidations,
 };
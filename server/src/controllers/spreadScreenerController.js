@@ -0,0 +1,52 @@
+/**
+ * Spread Screener Controller
+ *
+ * Handlers read from the in-memory SpreadService singleton (priceWatcher maps
+ * + cached 24h volumes). A request keeps the price feeds warm for a few
+ * minutes, so the first call after an idle period may return few rows.
+ */
+const spreadService = require('../services/spreadService');
+
+/**
+ * GET /api/spread-screener/spreads
+ *
+ * Query params:
+ *   mode      — all | futures | spot | basis (default: all)
+ *   exchanges — comma-separated: binance,bybit,okx,gate,bitget,mexc (default: all six)
+ *   minVolume — minimum 24h USD volume on each leg (default: 0)
+ *   minSpread — minimum spread in percent (default: 0)
+ *   symbols   — comma-separated pairs, e.g. BTCUSDT,ETHUSDT (optional — all if empty)
+ *   limit     — max rows (default: 100, max 500)
+ */
+async function getSpreads(req, res, next) {
+  try {
+    const filters = spreadService.normalizeFilters(req.query);
+    spreadService.touch();
+    const result = spreadService.getSpreads(filters);
+    res.json({
+      ...result,
+      warm: spreadService.isWarm(),
+      filters,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/spread-screener/status
+ *
+ * Per-exchange feed freshness and symbol counts.
+ */
+async function getStatus(req, res, next) {
+  try {
+    res.json(spreadService.getStatus());
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getSpreads,
+  getStatus,
+};
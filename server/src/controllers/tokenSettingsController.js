@@ -5,9 +5,10 @@
  * Used by the "Individual Settings" modal in the density screener.
  */
 const prisma = require('../utils/prisma');
+const densityScannerService = require('../services/densityScanner');
 
-// Valid exchanges and markets
-const VALID_EXCHANGES = ['binance', 'bybit', 'okx'];
+// Valid exchanges (those with a density scan loop) and markets
+const VALID_EXCHANGES = densityScannerService.getScannedExchanges();
 const VALID_MARKETS = ['futures', 'spot'];
 
 /**
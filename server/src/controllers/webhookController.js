@@ -0,0 +1,186 @@
+const prisma = require('../utils/prisma');
+const {
+  MAX_ENDPOINTS_PER_USER,
+  generateWebhookSecret,
+  validateWebhookUrl,
+  sendTestWebhook,
+} = require('../services/webhookService');
+
+const DELIVERIES_DEFAULT_LIMIT = 20;
+const DELIVERIES_MAX_LIMIT = 100;
+
+function toEndpointResponse(endpoint) {
+  return {
+    id: endpoint.id,
+    name: endpoint.name,
+    url: endpoint.url,
+    secret: endpoint.secret,
+    isActive: endpoint.isActive,
+    createdAt: endpoint.createdAt,
+    updatedAt: endpoint.updatedAt,
+  };
+}
+
+async function findOwnEndpoint(req) {
+  const endpoint = await prisma.webhookEndpoint.findUnique({ where: { id: req.params.id } });
+  return endpoint && endpoint.userId === req.user.id ? endpoint : null;
+}
+
+/**
+ * List the user's webhook endpoints with their latest delivery
+ */
+async function getWebhooks(req, res, next) {
+  try {
+    const endpoints = await prisma.webhookEndpoint.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: 'asc' },
+      include: {
+        deliveries: { orderBy: { createdAt: 'desc' }, take: 1 },
+      },
+    });
+
+    res.json({
+      webhooks: endpoints.map((endpoint) => ({
+        ...toEndpointResponse(endpoint),
+        lastDelivery: endpoint.deliveries[0] || null,
+      })),
+      maxWebhooks: MAX_ENDPOINTS_PER_USER,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Create an endpoint; the signing secret is generated server-side
+ */
+async function createWebhook(req, res, next) {
+  try {
+    const url = String(req.body?.url || '').trim();
+    const name = String(req.body?.name || '').trim().slice(0, 100);
+
+    const urlError = validateWebhookUrl(url);
+    if (urlError) {
+      return res.status(400).json({ error: urlError });
+    }
+
+    const count = await prisma.webhookEndpoint.count({ where: { userId: req.user.id } });
+    if (count >= MAX_ENDPOINTS_PER_USER) {
+      return res.status(400).json({ error: `You can add up to ${MAX_ENDPOINTS_PER_USER} webhooks.` });
+    }
+
+    const endpoint = await prisma.webhookEndpoint.create({
+      data: {
+        userId: req.user.id,
+        name: name || new URL(url).hostname,
+        url,
+        secret: generateWebhookSecret(),
+      },
+    });
+
+    res.status(201).json({ webhook: toEndpointResponse(endpoint) });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Update name / url / isActive; { rotateSecret: true } issues a new secret
+ */
+async function updateWebhook(req, res, next) {
+  try {
+    const endpoint = await findOwnEndpoint(req);
+    if (!endpoint) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const body = req.body || {};
+    const data = {};
+    if (body.name !== undefined) data.name = String(body.name || '').trim().slice(0, 100);
+    if (body.url !== undefined) {
+      const url = String(body.url || '').trim();
+      const urlError = validateWebhookUrl(url);
+      if (urlError) {
+        return res.status(400).json({ error: urlError });
+      }
+      data.url = url;
+    }
+    if (typeof body.isActive === 'boolean') data.isActive = body.isActive;
+    if (body.rotateSecret === true) data.secret = generateWebhookSecret();
+
+    const updated = await prisma.webhookEndpoint.update({ where: { id: endpoint.id }, data });
+    res.json({ webhook: toEndpointResponse(updated) });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Delete an endpoint (its delivery log cascades)
+ */
+async function deleteWebhook(req, res, next) {
+  try {
+    const endpoint = await findOwnEndpoint(req);
+    if (!endpoint) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    await prisma.webhookEndpoint.delete({ where: { id: endpoint.id } });
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Send a signed test event and report the endpoint's response
+ */
+async function testWebhook(req, res, next) {
+  try {
+    const endpoint = await findOwnEndpoint(req);
+    if (!endpoint) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const result = await sendTestWebhook(endpoint);
+    res.json({ sent: result.ok, ...result });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Recent deliveries for one endpoint, newest first
+ */
+async function getWebhookDeliveries(req, res, next) {
+  try {
+    const endpoint = await findOwnEndpoint(req);
+    if (!endpoint) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const requested = Number.parseInt(req.query.limit, 10);
+    const limit = Number.isFinite(requested) && requested > 0
+      ? Math.min(requested, DELIVERIES_MAX_LIMIT)
+      : DELIVERIES_DEFAULT_LIMIT;
+
+    const deliveries = await prisma.webhookDelivery.findMany({
+      where: { endpointId: endpoint.id },
+      orderBy: { createdAt: 'desc' },
+      take: limit,
+    });
+
+    res.json({ deliveries });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  testWebhook,
+  getWebhookDeliveries,
+};
@@ -8,9 +8,14 @@ const binanceMarketMapService = require('./services/binanceMarketMapService');
 const bybitMarketMapService = require('./services/bybitMarketMapService');
 const { startAlertEngine, stopAlertEngine } = require('./services/alertEngine');
 const priceWatcher = require('./services/priceWatcher');
+const feedHealthService = require('./services/feedHealthService');
 const densityScannerService = require('./services/densityScanner');
 const telegramPolling = require('./services/telegramPolling');
 const listingsService = require('./services/listingsService');
+const derivativesService = require('./services/derivativesService');
+const liquidationService = require('./services/liquidations');
+const spreadService = require('./services/spreadService');
+const { startCandleStore, stopCandleStore } = require('./services/candleStoreService');
 const { ensureActivitySchema } = require('./services/activityService');
 
 const PORT = process.env.PORT || 5000;
@@ -47,15 +52,24 @@ async function bootstrap() {
       await priceWatcher.start();
       console.log('📊 Price watcher started (WebSocket ticker streams)');
 
+      feedHealthService.start();
+      console.log('🩺 Feed health supervisor started (REST / CCXT failover)');
+
       await densityScannerService.start();
       console.log('🔍 Density scanner started (continuous order book scanning)');
 
+      liquidationService.start();
+      console.log('💥 Liquidation feeds started (Binance, Bybit, OKX)');
+
       const { logEmailStatus } = require('./utils/email');
       logEmailStatus();
 
       listingsService.startListingsSyncScheduler();
       console.log('📋 Listings background sync started');
 
+      startCandleStore();
+      console.log('🕯️  Candle store started (write-through + gap backfill)');
+
       const telegramService = require('./services/telegramService');
       const hasToken = telegramService.hasTelegramBot();
       console.log(`📱 Telegram bot: ${hasToken ? 'configured' : 'not configured (set TELEGRAM_BOT_TOKEN in .env and restart)'}`);
@@ -68,6 +82,8 @@ async function bootstrap() {
           console.warn('📱 Telegram getMe failed or no username (check token or set TELEGRAM_BOT_USERNAME)');
         }
 
+        await telegramService.setMyCommands();
+
         const webhookUrl = process.env.TELEGRAM_WEBHOOK_URL;
         const useWebhook = webhookUrl && String(webhookUrl).trim().startsWith('https://');
         if (useWebhook) {
@@ -92,10 +108,15 @@ async function shutdown(signal) {
   console.log(`${signal} signal received: closing HTTP server`);
 
   klineManager.shutdown();
+  feedHealthService.stop();
   priceWatcher.stop();
   densityScannerService.stop();
+  derivativesService.stop();
+  liquidationService.stop();
+  spreadService.stop();
   telegramPolling.stopTelegramPolling();
   listingsService.stopListingsSyncScheduler();
+  await stopCandleStore();
   await stopAlertEngine();
 
   server.close(() => {
@@ -10,7 +10,7 @@ const authMiddleware = require('../middleware/auth');
  * - PUT /api/alerts/:id - Update alert
  * - DELETE /api/alerts/:id - Delete alert
  * - PATCH /api/alerts/:id/toggle - Toggle alert active state
- * - GET /api/alerts/history - Get alert history
+ * - GET /api/alerts/history - Get alert trigger history (paginated, filterable)
  * - GET /api/alerts/engine-status - Engine diagnostics (auth required)
  */
 router.get('/', authMiddleware, alertController.getAlerts);
@@ -13,6 +13,9 @@ router.get('/symbols', authMiddleware, densityScreenerController.getSymbols);
 // GET /api/density-screener/status — scanner health
 router.get('/status', authMiddleware, densityScreenerController.getStatus);
 
+// GET /api/density-screener/history?symbol= — wall lifecycle timelines
+router.get('/history', authMiddleware, densityScreenerController.getHistory);
+
 // ── Per-user token settings (Individual Settings) ──────────────────────────
 router.get('/token-settings', authMiddleware, tokenSettingsController.getTokenSettings);
 router.put('/token-settings', authMiddleware, tokenSettingsController.upsertTokenSetting);
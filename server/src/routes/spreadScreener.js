@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+const spreadScreenerController = require('../controllers/spreadScreenerController');
+
+// GET /api/spread-screener/spreads — ranked cross-exchange spreads / basis
+router.get('/spreads', authMiddleware, spreadScreenerController.getSpreads);
+
+// GET /api/spread-screener/status — price feed health
+router.get('/status', authMiddleware, spreadScreenerController.getStatus);
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth');
 const telegramService = require('../services/telegramService');
+const telegramBot = require('../services/telegramBot');
 
 /**
  * GET /api/telegram/connect-link
@@ -38,20 +39,33 @@ router.get('/connect-link', authMiddleware, async (req, res, next) => {
 
 /**
  * POST /api/telegram/webhook
- * No auth. Telegram sends Update objects here. Handle /start CONNECT_<token> to link user. Always 200.
+ * Telegram sends Update objects here, with the secret_token passed to setWebhook in
+ * X-Telegram-Bot-Api-Secret-Token; anything else gets 401 before a command runs.
+ * Handle /start CONNECT_<token> to link user; other commands and inline-button
+ * presses go to telegramBot. Always 200 for authenticated updates.
  */
 const START_INSTRUCTIONS =
   "To link your account: open the website → Telegram Bots page → click «Подключить» → then press Start in this chat when the link opens.";
 
 router.post('/webhook', async (req, res) => {
+  if (!telegramService.isValidWebhookSecret(req.get('X-Telegram-Bot-Api-Secret-Token'))) {
+    return res.status(401).json({ error: 'Invalid webhook secret' });
+  }
   try {
     const body = req.body || {};
+    if (body.callback_query) {
+      await telegramBot.handleCallbackQuery(body.callback_query);
+      return res.status(200).json({ ok: true });
+    }
     const message = body.message || body.edited_message;
     if (!message || !message.text) {
       return res.status(200).json({ ok: true });
     }
     const text = String(message.text).trim();
     const chatId = message.chat && message.chat.id;
+    if (await telegramBot.handleCommand(message)) {
+      return res.status(200).json({ ok: true });
+    }
     const match = text.match(/^\/start\s+CONNECT_(.+)$/);
     if (!match) {
       if (text.startsWith('/start') && chatId) {
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const authMiddleware = require('../middleware/auth');
+
+/**
+ * Webhook Routes (all protected)
+ * - GET /api/webhooks - List user's webhook endpoints
+ * - POST /api/webhooks - Add an endpoint (secret generated server-side)
+ * - PUT /api/webhooks/:id - Update name / url / isActive, or rotate the secret
+ * - DELETE /api/webhooks/:id - Remove an endpoint
+ * - POST /api/webhooks/:id/test - Send a signed test event
+ * - GET /api/webhooks/:id/deliveries - Recent delivery log
+ */
+router.get('/', authMiddleware, webhookController.getWebhooks);
+router.post('/', authMiddleware, webhookController.createWebhook);
+router.put('/:id', authMiddleware, webhookController.updateWebhook);
+router.delete('/:id', authMiddleware, webhookController.deleteWebhook);
+router.post('/:id/test', authMiddleware, webhookController.testWebhook);
+router.get('/:id/deliveries', authMiddleware, webhookController.getWebhookDeliveries);
+
+module.exports = router;
@@ -0,0 +1,199 @@
+jest.mock('../../utils/prisma', () => ({
+  alert: { updateMany: jest.fn(), findUnique: jest.fn(), update: jest.fn() },
+}));
+
+const prisma = require('../../utils/prisma');
+const {
+  DEFAULT_COMPLEX_COOLDOWN_SEC,
+  parseSymbols,
+  parseNotificationOptions,
+  normalizeNotificationOptions,
+  getAlertLimits,
+  isAlertExpired,
+  isAlertSnoozed,
+  hasFiresLeft,
+  isLastFire,
+  getComplexCooldownMs,
+  sanitizeLimitOptions,
+  fireLimitedAlert,
+} = require('../alertLimits');
+
+const NOW = Date.parse('2026-01-01T00:00:00Z');
+
+describe('getAlertLimits', () => {
+  it('reads limits from raw or parsed notificationOptions', () => {
+    const raw = JSON.stringify({ cooldownSec: 90, maxFires: 3.7, expiresAt: '2026-02-01T00:00:00Z', rearm: true });
+    expect(getAlertLimits(raw)).toEqual({
+      cooldownSec: 90,
+      expiresAt: new Date('2026-02-01T00:00:00Z'),
+      maxFires: 3,
+      rearm: true,
+      snoozedUntil: null,
+    });
+    expect(getAlertLimits({ snoozedUntil: '2026-01-01T01:00:00Z' }).snoozedUntil).toEqual(new Date('2026-01-01T01:00:00Z'));
+  });
+
+  it('ignores invalid values', () => {
+    expect(getAlertLimits({ cooldownSec: -5, maxFires: 0, expiresAt: 'soon', rearm: 'yes', snoozedUntil: 'later' })).toEqual({
+      cooldownSec: null,
+      expiresAt: null,
+      maxFires: null,
+      rearm: false,
+      snoozedUntil: null,
+    });
+    expect(getAlertLimits('not json').maxFires).toBeNull();
+    expect(getAlertLimits('[1,2]').rearm).toBe(false);
+  });
+
+  it('caps the cooldown at a week', () => {
+    expect(getAlertLimits({ cooldownSec: 1e9 }).cooldownSec).toBe(7 * 24 * 60 * 60);
+  });
+});
+
+describe('cooldown', () => {
+  it('falls back to the complex default', () => {
+    expect(getComplexCooldownMs(getAlertLimits({}))).toBe(DEFAULT_COMPLEX_COOLDOWN_SEC * 1000);
+    expect(getComplexCooldownMs(null)).toBe(DEFAULT_COMPLEX_COOLDOWN_SEC * 1000);
+  });
+
+  it('honours an explicit zero', () => {
+    expect(getComplexCooldownMs(getAlertLimits({ cooldownSec: 0 }))).toBe(0);
+    expect(getComplexCooldownMs(getAlertLimits({ cooldownSec: 300 }))).toBe(300_000);
+  });
+});
+
+describe('expiry and snooze', () => {
+  it('expires at the configured time', () => {
+    const limits = getAlertLimits({ expiresAt: new Date(NOW).toISOString() });
+    expect(isAlertExpired(limits, NOW - 1)).toBe(false);
+    expect(isAlertExpired(limits, NOW)).toBe(true);
+    expect(isAlertExpired(getAlertLimits({}), NOW)).toBe(false);
+  });
+
+  it('snoozes until the configured time', () => {
+    const limits = getAlertLimits({ snoozedUntil: new Date(NOW).toISOString() });
+    expect(isAlertSnoozed(limits, NOW - 1)).toBe(true);
+    expect(isAlertSnoozed(limits, NOW)).toBe(false);
+    expect(isAlertSnoozed(null, NOW)).toBe(false);
+  });
+});
+
+describe('maxFires', () => {
+  it('counts fires left and the last fire', () => {
+    const limits = getAlertLimits({ maxFires: 3 });
+    expect(hasFiresLeft(limits, 2)).toBe(true);
+    expect(hasFiresLeft(limits, 3)).toBe(false);
+    expect(isLastFire(limits, 1)).toBe(false);
+    expect(isLastFire(limits, 2)).toBe(true);
+    expect(hasFiresLeft(limits, null)).toBe(true);
+  });
+
+  it('never limits alerts without maxFires', () => {
+    const limits = getAlertLimits({});
+    expect(hasFiresLeft(limits, 1e6)).toBe(true);
+    expect(isLastFire(limits, 1e6)).toBe(false);
+  });
+});
+
+describe('sanitizeLimitOptions', () => {
+  it('only returns the fields that were sent', () => {
+    expect(sanitizeLimitOptions({ maxFires: '5' })).toEqual({ maxFires: 5 });
+    expect(sanitizeLimitOptions({})).toEqual({});
+  });
+
+  it('clears invalid or empty fields with null', () => {
+    expect(sanitizeLimitOptions({ cooldownSec: '', maxFires: -1, expiresAt: 'bad', rearm: 1 })).toEqual({
+      cooldownSec: null,
+      maxFires: null,
+      expiresAt: null,
+      rearm: false,
+    });
+  });
+
+  it('rounds the cooldown and normalizes the expiry to ISO', () => {
+    expect(sanitizeLimitOptions({ cooldownSec: 12.6, expiresAt: NOW, rearm: true })).toEqual({
+      cooldownSec: 13,
+      expiresAt: '2026-01-01T00:00:00.000Z',
+      rearm: true,
+    });
+  });
+});
+
+describe('option parsing', () => {
+  it('parses Alert.symbols in every stored shape', () => {
+    expect(parseSymbols(['BTCUSDT'])).toEqual(['BTCUSDT']);
+    expect(parseSymbols('["BTCUSDT","ETHUSDT"]')).toEqual(['BTCUSDT', 'ETHUSDT']);
+    expect(parseSymbols('" BTCUSDT "')).toEqual(['BTCUSDT']);
+    expect(parseSymbols(' ETHUSDT ')).toEqual(['ETHUSDT']);
+    expect(parseSymbols('')).toEqual([]);
+    expect(parseSymbols(null)).toEqual([]);
+  });
+
+  it('only returns plain objects from notificationOptions', () => {
+    expect(parseNotificationOptions('{"a":1}')).toEqual({ a: 1 });
+    expect(parseNotificationOptions('[1]')).toEqual({});
+    expect(parseNotificationOptions('42')).toEqual({});
+    expect(parseNotificationOptions('{')).toEqual({});
+    expect(parseNotificationOptions(['x'])).toEqual({});
+  });
+
+  it('fills in every channel flag', () => {
+    expect(normalizeNotificationOptions('{"maxFires":2,"channels":{"soundEnabled":false,"emailEnabled":"yes"}}')).toEqual({
+      maxFires: 2,
+      channels: {
+        soundEnabled: false,
+        inAppPopupEnabled: true,
+        browserPushEnabled: true,
+        telegramEnabled: true,
+        emailEnabled: false,
+      },
+    });
+  });
+});
+
+describe('fireLimitedAlert', () => {
+  const alert = { id: 'alert-1', limits: getAlertLimits({ maxFires: 2 }) };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('only increments while fireCount is below maxFires', async () => {
+    prisma.alert.updateMany.mockResolvedValue({ count: 1 });
+    prisma.alert.findUnique.mockResolvedValue({ id: 'alert-1', fireCount: 1, isActive: true });
+    const onDeactivate = jest.fn();
+
+    await expect(fireLimitedAlert(alert, onDeactivate)).resolves.toEqual({ id: 'alert-1', fireCount: 1, isActive: true });
+    expect(prisma.alert.updateMany).toHaveBeenCalledWith({
+      where: { id: 'alert-1', isActive: true, fireCount: { lt: 2 } },
+      data: { triggered: true, triggeredAt: expect.any(Date), fireCount: { increment: 1 } },
+    });
+    expect(prisma.alert.update).not.toHaveBeenCalled();
+    expect(onDeactivate).not.toHaveBeenCalled();
+  });
+
+  it('deactivates the alert on the last fire', async () => {
+    prisma.alert.updateMany.mockResolvedValue({ count: 1 });
+    prisma.alert.findUnique.mockResolvedValue({ id: 'alert-1', fireCount: 2, isActive: true });
+    prisma.alert.update.mockResolvedValue({ id: 'alert-1', fireCount: 2, isActive: false });
+    const onDeactivate = jest.fn();
+
+    await expect(fireLimitedAlert(alert, onDeactivate)).resolves.toEqual({ id: 'alert-1', fireCount: 2, isActive: false });
+    expect(prisma.alert.update).toHaveBeenCalledWith({ where: { id: 'alert-1' }, data: { isActive: false } });
+    expect(onDeactivate).toHaveBeenCalledTimes(1);
+  });
+
+  it('returns null when a concurrent fire used up the limit', async () => {
+    prisma.alert.updateMany.mockResolvedValue({ count: 0 });
+    await expect(fireLimitedAlert(alert)).resolves.toBeNull();
+    expect(prisma.alert.findUnique).not.toHaveBeenCalled();
+  });
+
+  it('does not bound alerts without maxFires', async () => {
+    prisma.alert.updateMany.mockResolvedValue({ count: 1 });
+    prisma.alert.findUnique.mockResolvedValue({ id: 'alert-2', fireCount: 50 });
+    await fireLimitedAlert({ id: 'alert-2', limits: getAlertLimits({}) });
+    expect(prisma.alert.updateMany.mock.calls[0][0].where).toEqual({ id: 'alert-2', isActive: true });
+    expect(prisma.alert.update).not.toHaveBeenCalled();
+  });
+});
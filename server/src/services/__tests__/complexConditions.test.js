@@ -0,0 +1,152 @@
+const {
+  MAX_TIMEFRAME_SEC,
+  normalizeConditionTree,
+  findUnsupportedTimeframe,
+  evaluateConditionTree,
+  getMaxTimeframeSec,
+  needsVolume,
+} = require('../complexConditions');
+
+const windowStats = (stats) => () => stats;
+
+describe('normalizeConditionTree', () => {
+  it('reads legacy arrays as an implicit AND', () => {
+    const tree = normalizeConditionTree(JSON.stringify([
+      { type: 'pct_change', value: '3', timeframe: '5m' },
+      { type: 'volume_24h', value: 1e6 },
+    ]));
+    expect(tree).toEqual({
+      op: 'and',
+      conditions: [
+        { type: 'pct_change', value: 3, timeframeSec: 300 },
+        { type: 'volume_24h', value: 1e6, operator: 'above' },
+      ],
+    });
+  });
+
+  it('keeps nested OR groups and collapses single-child groups', () => {
+    const tree = normalizeConditionTree({
+      op: 'or',
+      conditions: [
+        { op: 'and', conditions: [{ type: 'price_cross', value: 100, operator: 'below', timeframe: '1h' }] },
+        { type: 'pct_change', value: 2 },
+      ],
+    });
+    expect(tree).toEqual({
+      op: 'or',
+      conditions: [
+        { type: 'price_cross', value: 100, operator: 'below', timeframeSec: 3600 },
+        { type: 'pct_change', value: 2, timeframeSec: 60 },
+      ],
+    });
+  });
+
+  it('drops invalid leaves and returns null when nothing is left', () => {
+    expect(normalizeConditionTree([{ type: 'unknown', value: 1 }, { type: 'pct_change', value: 0 }])).toBeNull();
+    expect(normalizeConditionTree('not json')).toBeNull();
+    expect(normalizeConditionTree(null)).toBeNull();
+  });
+
+  it('drops leaves longer than the history retention', () => {
+    expect(normalizeConditionTree([{ type: 'pct_change', value: 1, timeframe: '1d' }])).toBeNull();
+    expect(normalizeConditionTree(
+      [{ type: 'pct_change', value: 1, timeframe: '1h' }],
+      { maxTimeframeSec: 15 * 60 },
+    )).toBeNull();
+  });
+
+  it('stops at the maximum depth', () => {
+    let node = { type: 'pct_change', value: 1 };
+    for (let i = 0; i < 6; i += 1) node = { op: 'and', conditions: [node] };
+    expect(normalizeConditionTree(node)).toBeNull();
+  });
+});
+
+describe('findUnsupportedTimeframe', () => {
+  it('reports unknown and over-long timeframes anywhere in the tree', () => {
+    expect(findUnsupportedTimeframe([{ type: 'pct_change', value: 1, timeframe: '1d' }])).toBe('1d');
+    expect(findUnsupportedTimeframe({
+      op: 'or',
+      conditions: [{ type: 'pct_change', value: 1, timeframe: '5m' }, { op: 'and', conditions: [{ type: 'price_cross', value: 1, timeframe: '2w' }] }],
+    })).toBe('2w');
+  });
+
+  it('accepts supported, missing and volume-only timeframes', () => {
+    expect(findUnsupportedTimeframe(JSON.stringify([
+      { type: 'pct_change', value: 1, timeframe: '4h' },
+      { type: 'pct_change', value: 1 },
+      { type: 'volume_24h', value: 1, timeframe: '1d' },
+    ]))).toBeNull();
+    expect(MAX_TIMEFRAME_SEC).toBe(4 * 60 * 60);
+  });
+});
+
+describe('evaluateConditionTree', () => {
+  it('matches pct_change on the window range', () => {
+    const tree = normalizeConditionTree([{ type: 'pct_change', value: 3, timeframe: '1m' }]);
+    const ctx = { getWindowStats: windowStats({ min: 100, max: 104, oldest: 100, current: 104 }), getVolume24h: () => 0 };
+    const matched = evaluateConditionTree(tree, ctx);
+    expect(matched).toHaveLength(1);
+    expect(matched[0].spanPct).toBeCloseTo(4);
+    ctx.getWindowStats = windowStats({ min: 100, max: 102, oldest: 100, current: 102 });
+    expect(evaluateConditionTree(tree, ctx)).toBeNull();
+  });
+
+  it('matches price_cross only when the window holds both sides of the level', () => {
+    const tree = normalizeConditionTree([{ type: 'price_cross', value: 100, operator: 'above', timeframe: '5m' }]);
+    expect(evaluateConditionTree(tree, { getWindowStats: windowStats({ min: 99, max: 101, oldest: 99, current: 101 }) })).not.toBeNull();
+    expect(evaluateConditionTree(tree, { getWindowStats: windowStats({ min: 100.5, max: 101, oldest: 100.5, current: 101 }) })).toBeNull();
+
+    const below = normalizeConditionTree([{ type: 'price_cross', value: 100, operator: 'below' }]);
+    expect(evaluateConditionTree(below, { getWindowStats: windowStats({ min: 99, max: 101, oldest: 101, current: 99 }) })).not.toBeNull();
+  });
+
+  it('compares volume_24h and ignores missing volume', () => {
+    const tree = normalizeConditionTree([{ type: 'volume_24h', value: 1000, operator: 'below' }]);
+    expect(evaluateConditionTree(tree, { getVolume24h: () => 500 })).toEqual([{ type: 'volume_24h', value: 1000, operator: 'below', volume24h: 500 }]);
+    expect(evaluateConditionTree(tree, { getVolume24h: () => 5000 })).toBeNull();
+    expect(evaluateConditionTree(tree, { getVolume24h: () => null })).toBeNull();
+  });
+
+  it('short-circuits AND and OR groups', () => {
+    const getWindowStats = jest.fn(windowStats({ min: 100, max: 110, oldest: 100, current: 110 }));
+    const and = normalizeConditionTree([
+      { type: 'volume_24h', value: 1000 },
+      { type: 'pct_change', value: 1 },
+    ]);
+    expect(evaluateConditionTree(and, { getVolume24h: () => 10, getWindowStats })).toBeNull();
+    expect(getWindowStats).not.toHaveBeenCalled();
+
+    const or = normalizeConditionTree({
+      op: 'or',
+      conditions: [{ type: 'volume_24h', value: 1 }, { type: 'pct_change', value: 1 }],
+    });
+    expect(evaluateConditionTree(or, { getVolume24h: () => 10, getWindowStats })).toHaveLength(1);
+    expect(getWindowStats).not.toHaveBeenCalled();
+  });
+
+  it('returns every matched leaf of an AND group', () => {
+    const tree = normalizeConditionTree([
+      { type: 'volume_24h', value: 1 },
+      { type: 'pct_change', value: 1 },
+    ]);
+    const matched = evaluateConditionTree(tree, {
+      getVolume24h: () => 10,
+      getWindowStats: windowStats({ min: 100, max: 110, oldest: 100, current: 110 }),
+    });
+    expect(matched.map((leaf) => leaf.type)).toEqual(['volume_24h', 'pct_change']);
+  });
+});
+
+describe('tree helpers', () => {
+  it('report the longest window and whether volume is needed', () => {
+    const tree = normalizeConditionTree({
+      op: 'or',
+      conditions: [{ type: 'pct_change', value: 1, timeframe: '15m' }, { type: 'price_cross', value: 1, timeframe: '4h' }],
+    });
+    expect(getMaxTimeframeSec(tree)).toBe(4 * 60 * 60);
+    expect(needsVolume(tree)).toBe(false);
+    expect(needsVolume(normalizeConditionTree([{ type: 'volume_24h', value: 1 }]))).toBe(true);
+    expect(getMaxTimeframeSec(normalizeConditionTree([{ type: 'volume_24h', value: 1 }]))).toBe(0);
+  });
+});
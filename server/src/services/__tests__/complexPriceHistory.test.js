@@ -0,0 +1,85 @@
+const { DownsampledPriceSeries, FINE_SPAN_SEC, MAX_RETENTION_SEC } = require('../complexPriceHistory');
+
+const T0 = 1_700_000_000_000;
+
+function feed(series, ticks) {
+  for (const [offsetSec, price] of ticks) series.append(T0 + offsetSec * 1000, price);
+}
+
+describe('DownsampledPriceSeries', () => {
+  it('reports min, max, oldest and current inside a short window', () => {
+    const series = new DownsampledPriceSeries();
+    feed(series, [[0, 100], [10, 104], [20, 98], [30, 101]]);
+    expect(series.getWindowStats(T0 + 30_000, 60)).toEqual({ min: 98, max: 104, oldest: 100, current: 101, points: 4 });
+    expect(series.getWindowStats(T0 + 30_000, 15)).toEqual({ min: 98, max: 101, oldest: 98, current: 101, points: 2 });
+  });
+
+  it('folds ticks of the same second into one bucket', () => {
+    const series = new DownsampledPriceSeries();
+    series.append(T0, 100);
+    series.append(T0 + 200, 103);
+    series.append(T0 + 400, 99);
+    series.append(T0 + 1000, 101);
+    expect(series.getWindowStats(T0 + 1000, 60)).toEqual({ min: 99, max: 103, oldest: 100, current: 101, points: 2 });
+  });
+
+  it('bridges to the last bucket before the window when the window holds one point', () => {
+    const series = new DownsampledPriceSeries();
+    feed(series, [[0, 100], [30, 105]]);
+    expect(series.getWindowStats(T0 + 30_000, 10)).toEqual({ min: 100, max: 105, oldest: 100, current: 105, points: 2 });
+  });
+
+  it('returns null without two points to compare', () => {
+    const series = new DownsampledPriceSeries();
+    expect(series.getWindowStats(T0, 60)).toBeNull();
+    feed(series, [[0, 100]]);
+    expect(series.getWindowStats(T0, 60)).toBeNull();
+  });
+
+  it('forgets fine buckets older than the fine span', () => {
+    const series = new DownsampledPriceSeries();
+    feed(series, [[0, 100], [FINE_SPAN_SEC + 60, 120]]);
+    expect(series.getWindowStats(T0 + (FINE_SPAN_SEC + 60) * 1000, 60)).toBeNull();
+  });
+
+  it('serves long windows from the coarse tier only when retention asks for it', () => {
+    const ticks = [];
+    for (let sec = 0; sec <= 3600; sec += 5) ticks.push([sec, sec === 0 ? 90 : 100 + (sec % 10)]);
+
+    const shortOnly = new DownsampledPriceSeries();
+    expect(shortOnly.coarse).toBeNull();
+    feed(shortOnly, ticks);
+    expect(shortOnly.getWindowStats(T0 + 3_600_000, 3600).oldest).not.toBe(90);
+
+    const hourly = new DownsampledPriceSeries(3600);
+    expect(hourly.coarse).not.toBeNull();
+    feed(hourly, ticks);
+    const stats = hourly.getWindowStats(T0 + 3_600_000, 3600);
+    expect(stats.oldest).toBe(90);
+    expect(stats.min).toBe(90);
+    expect(stats.max).toBe(105);
+  });
+
+  it('keeps coarse buckets when the retention grows and drops the tier when it shrinks', () => {
+    const series = new DownsampledPriceSeries(600);
+    feed(series, [[0, 90], [300, 100], [600, 100]]);
+    series.setRetention(3600, T0 + 600_000);
+    feed(series, [[1200, 100]]);
+    // The 600 s ring could no longer reach back to the first tick
+    expect(series.getWindowStats(T0 + 1_200_000, 1200)).toMatchObject({ min: 90, oldest: 90 });
+
+    series.setRetention(30, T0 + 600_000);
+    expect(series.coarse).toBeNull();
+  });
+
+  it('caps the retention at four hours', () => {
+    const series = new DownsampledPriceSeries(24 * 60 * 60);
+    expect(series.coarse.capacity).toBe(Math.ceil((MAX_RETENTION_SEC * 1000) / 5000) + 1);
+  });
+
+  it('trims Float32 artefacts from reported prices', () => {
+    const series = new DownsampledPriceSeries();
+    feed(series, [[0, 97000.1], [1, 0.00012345]]);
+    expect(series.getWindowStats(T0 + 1000, 60)).toMatchObject({ max: 97000.1, min: 0.00012345 });
+  });
+});
@@ -0,0 +1,135 @@
+const {
+  normalizeDerivativesCondition,
+  evaluateDerivativesCondition,
+  describeDerivativesMatch,
+} = require('../derivativesConditions');
+
+const sample = (fundingRate, openInterest = 1000, price = 100) => ({ fundingRate, openInterest, price });
+
+describe('normalizeDerivativesCondition', () => {
+  it('fills in defaults per metric', () => {
+    expect(normalizeDerivativesCondition({ metric: 'funding_rate', value: '0.1' })).toEqual({ metric: 'funding_rate', operator: 'above', value: 0.1 });
+    expect(normalizeDerivativesCondition({ metric: 'FUNDING_FLIP' })).toEqual({ metric: 'funding_flip', direction: 'any' });
+    expect(normalizeDerivativesCondition({ metric: 'oi_change' })).toEqual({ metric: 'oi_change', direction: 'increase', value: 10, windowMin: 60 });
+    expect(normalizeDerivativesCondition({ metric: 'oi_price_divergence', value: 5, windowMin: 15 })).toEqual({
+      metric: 'oi_price_divergence',
+      value: 5,
+      pricePct: 1,
+      windowMin: 15,
+    });
+  });
+
+  it('reads JSON strings and legacy single-item arrays', () => {
+    expect(normalizeDerivativesCondition('{"metric":"funding_flip","direction":"to_negative"}')).toEqual({ metric: 'funding_flip', direction: 'to_negative' });
+    expect(normalizeDerivativesCondition([{ metric: 'oi_change', direction: 'any', value: 3 }])).toMatchObject({ direction: 'any', value: 3 });
+    expect(normalizeDerivativesCondition('not json')).toBeNull();
+  });
+
+  it('rejects out-of-range values', () => {
+    expect(normalizeDerivativesCondition({ metric: 'funding_rate', value: 6 })).toBeNull();
+    expect(normalizeDerivativesCondition({ metric: 'funding_rate', value: 0.1, operator: 'equals' })).toBeNull();
+    expect(normalizeDerivativesCondition({ metric: 'funding_flip', direction: 'sideways' })).toBeNull();
+    expect(normalizeDerivativesCondition({ metric: 'oi_change', value: 0 })).toBeNull();
+    expect(normalizeDerivativesCondition({ metric: 'oi_change', windowMin: 1 })).toBeNull();
+    expect(normalizeDerivativesCondition({ metric: 'oi_change', windowMin: 7.5 })).toBeNull();
+    expect(normalizeDerivativesCondition({ metric: 'oi_change', direction: 'flat' })).toBeNull();
+    expect(normalizeDerivativesCondition({ metric: 'oi_price_divergence', pricePct: -1 })).toBeNull();
+    expect(normalizeDerivativesCondition({ metric: 'basis' })).toBeNull();
+  });
+});
+
+describe('evaluateDerivativesCondition', () => {
+  it('compares the funding rate in percent', () => {
+    const above = normalizeDerivativesCondition({ metric: 'funding_rate', value: 0.1 });
+    expect(evaluateDerivativesCondition(above, sample(0.0012))).toEqual({ fundingPct: expect.closeTo(0.12) });
+    expect(evaluateDerivativesCondition(above, sample(0.0005))).toBeNull();
+
+    const below = normalizeDerivativesCondition({ metric: 'funding_rate', operator: 'below', value: -0.05 });
+    expect(evaluateDerivativesCondition(below, sample(-0.001))).not.toBeNull();
+    expect(evaluateDerivativesCondition(below, sample(null))).toBeNull();
+  });
+
+  describe('funding_flip', () => {
+    const any = normalizeDerivativesCondition({ metric: 'funding_flip' });
+    const toPositive = normalizeDerivativesCondition({ metric: 'funding_flip', direction: 'to_positive' });
+    const toNegative = normalizeDerivativesCondition({ metric: 'funding_flip', direction: 'to_negative' });
+
+    it('fires when the sign changes in the requested direction', () => {
+      const flipUp = { previous: sample(-0.0001) };
+      expect(evaluateDerivativesCondition(any, sample(0.0002), flipUp)).toEqual({
+        fundingPct: expect.closeTo(0.02),
+        previousFundingPct: expect.closeTo(-0.01),
+      });
+      expect(evaluateDerivativesCondition(toPositive, sample(0.0002), flipUp)).not.toBeNull();
+      expect(evaluateDerivativesCondition(toNegative, sample(0.0002), flipUp)).toBeNull();
+
+      const flipDown = { previous: sample(0.0001) };
+      expect(evaluateDerivativesCondition(toNegative, sample(-0.0002), flipDown)).not.toBeNull();
+      expect(evaluateDerivativesCondition(toPositive, sample(-0.0002), flipDown)).toBeNull();
+    });
+
+    it('ignores same-sign moves, zero rates and a missing previous sample', () => {
+      expect(evaluateDerivativesCondition(any, sample(0.0003), { previous: sample(0.0001) })).toBeNull();
+      expect(evaluateDerivativesCondition(any, sample(0), { previous: sample(-0.0001) })).toBeNull();
+      expect(evaluateDerivativesCondition(any, sample(0.0001), { previous: sample(0) })).toBeNull();
+      expect(evaluateDerivativesCondition(any, sample(0.0001))).toBeNull();
+    });
+  });
+
+  describe('oi_change', () => {
+    const baseline = sample(0.0001, 1000);
+    const grew = sample(0.0001, 1120);
+    const shrank = sample(0.0001, 880);
+    const condition = (direction) => normalizeDerivativesCondition({ metric: 'oi_change', direction, value: 10 });
+
+    it('matches growth for increase and shrinkage for decrease', () => {
+      expect(evaluateDerivativesCondition(condition('increase'), grew, { baseline })).toEqual({ oiPct: expect.closeTo(12), openInterest: 1120 });
+      expect(evaluateDerivativesCondition(condition('increase'), shrank, { baseline })).toBeNull();
+      expect(evaluateDerivativesCondition(condition('decrease'), shrank, { baseline })).toEqual({ oiPct: expect.closeTo(-12), openInterest: 880 });
+      expect(evaluateDerivativesCondition(condition('decrease'), grew, { baseline })).toBeNull();
+    });
+
+    it('matches either way for any', () => {
+      expect(evaluateDerivativesCondition(condition('any'), grew, { baseline })).not.toBeNull();
+      expect(evaluateDerivativesCondition(condition('any'), shrank, { baseline })).not.toBeNull();
+      expect(evaluateDerivativesCondition(condition('any'), sample(0.0001, 1050), { baseline })).toBeNull();
+    });
+
+    it('needs a usable baseline', () => {
+      expect(evaluateDerivativesCondition(condition('any'), grew)).toBeNull();
+      expect(evaluateDerivativesCondition(condition('any'), grew, { baseline: sample(0.0001, 0) })).toBeNull();
+    });
+  });
+
+  describe('oi_price_divergence', () => {
+    const condition = normalizeDerivativesCondition({ metric: 'oi_price_divergence', value: 5, pricePct: 1 });
+    const baseline = sample(0.0001, 1000, 100);
+
+    it('fires when OI and price move apart by enough', () => {
+      expect(evaluateDerivativesCondition(condition, sample(0.0001, 1100, 98), { baseline })).toEqual({
+        oiPct: expect.closeTo(10),
+        pricePct: expect.closeTo(-2),
+        openInterest: 1100,
+      });
+      expect(evaluateDerivativesCondition(condition, sample(0.0001, 900, 102), { baseline })).not.toBeNull();
+    });
+
+    it('ignores moves in the same direction', () => {
+      expect(evaluateDerivativesCondition(condition, sample(0.0001, 1100, 102), { baseline })).toBeNull();
+      expect(evaluateDerivativesCondition(condition, sample(0.0001, 900, 98), { baseline })).toBeNull();
+    });
+
+    it('ignores moves below either threshold', () => {
+      expect(evaluateDerivativesCondition(condition, sample(0.0001, 1030, 98), { baseline })).toBeNull();
+      expect(evaluateDerivativesCondition(condition, sample(0.0001, 1100, 99.5), { baseline })).toBeNull();
+    });
+  });
+});
+
+describe('describeDerivativesMatch', () => {
+  it('formats signed OI and price moves', () => {
+    const condition = normalizeDerivativesCondition({ metric: 'oi_price_divergence', value: 5, windowMin: 60 });
+    expect(describeDerivativesMatch(condition, { oiPct: 12.4, pricePct: -2.1 })).toBe('OI +12.40% in 60m while price -2.10%');
+    expect(describeDerivativesMatch(null)).toBe('Derivatives condition');
+  });
+});
@@ -0,0 +1,74 @@
+const {
+  normalizeIndicatorCondition,
+  getMinCandles,
+  evaluateIndicatorCondition,
+  describeIndicatorCondition,
+} = require('../indicatorConditions');
+
+describe('normalizeIndicatorCondition', () => {
+  it('fills in default periods', () => {
+    expect(normalizeIndicatorCondition({ indicator: 'RSI', interval: '15m', operator: 'crosses_below', value: 30 }))
+      .toEqual({ indicator: 'rsi', interval: '15m', operator: 'crosses_below', period: 14, value: 30 });
+    expect(normalizeIndicatorCondition(JSON.stringify({ indicator: 'ema_cross', interval: '1h', operator: 'crosses_above' })))
+      .toEqual({ indicator: 'ema_cross', interval: '1h', operator: 'crosses_above', fastPeriod: 12, slowPeriod: 26 });
+    expect(normalizeIndicatorCondition([{ indicator: 'bollinger', interval: '1d', operator: 'crosses_above' }]))
+      .toEqual({ indicator: 'bollinger', interval: '1d', operator: 'crosses_above', period: 20, stdDev: 2 });
+  });
+
+  it('rejects out-of-range values', () => {
+    const base = { interval: '5m', operator: 'crosses_above' };
+    expect(normalizeIndicatorCondition({ ...base, indicator: 'rsi', value: 100 })).toBeNull();
+    expect(normalizeIndicatorCondition({ ...base, indicator: 'rsi', value: 50, period: 1 })).toBeNull();
+    expect(normalizeIndicatorCondition({ ...base, indicator: 'ema_cross', fastPeriod: 30, slowPeriod: 20 })).toBeNull();
+    expect(normalizeIndicatorCondition({ ...base, indicator: 'bollinger', stdDev: 6 })).toBeNull();
+    expect(normalizeIndicatorCondition({ ...base, indicator: 'macd' })).toBeNull();
+    expect(normalizeIndicatorCondition({ ...base, indicator: 'rsi', value: 50, interval: '2h' })).toBeNull();
+    expect(normalizeIndicatorCondition({ ...base, indicator: 'rsi', value: 50, operator: 'above' })).toBeNull();
+    expect(normalizeIndicatorCondition('{')).toBeNull();
+  });
+});
+
+describe('evaluateIndicatorCondition', () => {
+  it('waits for enough closed candles', () => {
+    const cond = normalizeIndicatorCondition({ indicator: 'rsi', interval: '1m', operator: 'crosses_below', period: 2, value: 30 });
+    expect(getMinCandles(cond)).toBe(4);
+    expect(evaluateIndicatorCondition(cond, [10, 11, 12])).toBeNull();
+  });
+
+  it('fires when RSI crosses the level on the last candle', () => {
+    const below = normalizeIndicatorCondition({ indicator: 'rsi', interval: '1m', operator: 'crosses_below', period: 2, value: 30 });
+    // RSI(2): 100, 50, 25
+    expect(evaluateIndicatorCondition(below, [10, 11, 12, 11, 10])).toMatchObject({ previous: 50, current: 25 });
+    expect(evaluateIndicatorCondition(below, [10, 11, 12, 11])).toBeNull();
+
+    const above = { ...below, operator: 'crosses_above' };
+    expect(evaluateIndicatorCondition(above, [10, 11, 12, 11, 10])).toBeNull();
+  });
+
+  it('fires when the fast EMA crosses the slow EMA', () => {
+    const cond = normalizeIndicatorCondition({ indicator: 'ema_cross', interval: '1m', operator: 'crosses_above', fastPeriod: 2, slowPeriod: 3 });
+    const match = evaluateIndicatorCondition(cond, [5, 5, 5, 5, 10]);
+    expect(match.fast).toBeCloseTo(25 / 3);
+    expect(match.slow).toBeCloseTo(7.5);
+    expect(evaluateIndicatorCondition({ ...cond, operator: 'crosses_below' }, [5, 5, 5, 5, 10])).toBeNull();
+    expect(evaluateIndicatorCondition({ ...cond, operator: 'crosses_below' }, [5, 5, 5, 5, 1])).not.toBeNull();
+  });
+
+  it('fires when the close breaks out of the Bollinger band', () => {
+    const cond = normalizeIndicatorCondition({ indicator: 'bollinger', interval: '1m', operator: 'crosses_above', period: 10, stdDev: 2 });
+    const closes = [...new Array(11).fill(10), 20];
+    expect(evaluateIndicatorCondition(cond, closes)).toMatchObject({ middle: 11, upper: 17, lower: 5 });
+    expect(evaluateIndicatorCondition({ ...cond, operator: 'crosses_below' }, closes)).toBeNull();
+    expect(evaluateIndicatorCondition(cond, new Array(12).fill(10))).toBeNull();
+  });
+});
+
+describe('describeIndicatorCondition', () => {
+  it('renders a short summary', () => {
+    expect(describeIndicatorCondition({ indicator: 'rsi', interval: '15m', operator: 'crosses_below', period: 14, value: 30 }))
+      .toBe('RSI(14) 15m crosses below 30');
+    expect(describeIndicatorCondition({ indicator: 'bollinger', interval: '1h', operator: 'crosses_above', period: 20, stdDev: 2 }))
+      .toBe('1h close breaks above upper Bollinger band (20, 2)');
+    expect(describeIndicatorCondition(null)).toBe('');
+  });
+});
@@ -0,0 +1,145 @@
+jest.mock('../priceWatcher', () => ({
+  isFresh: jest.fn(),
+  getPriceMap: jest.fn(),
+  retainMarket: jest.fn(),
+  releaseMarket: jest.fn(),
+}));
+jest.mock('../exchangeAdapters', () => ({ getExchangeAdapter: () => null }));
+
+const priceWatcher = require('../priceWatcher');
+const spreadService = require('../spreadService');
+
+// exchange|market → price map as the feeds publish it
+let priceMaps = {};
+function setPrices(maps, volumes = {}) {
+  priceMaps = maps;
+  spreadService.snapshot = null;
+  spreadService.volumes = new Map(
+    Object.entries(volumes).map(([key, bySymbol]) => [key, new Map(Object.entries(bySymbol))]),
+  );
+}
+
+beforeEach(() => {
+  priceWatcher.isFresh.mockImplementation((exchange, market) => `${exchange}|${market}` in priceMaps);
+  priceWatcher.getPriceMap.mockImplementation((exchange, market) => priceMaps[`${exchange}|${market}`] || {});
+  setPrices({});
+});
+
+describe('normalizeFilters', () => {
+  it('falls back to defaults', () => {
+    expect(spreadService.normalizeFilters()).toEqual({
+      mode: 'all',
+      exchanges: spreadService.SPREAD_EXCHANGES,
+      minVolume: 0,
+      minSpread: 0,
+      symbols: [],
+      limit: 100,
+    });
+    expect(spreadService.normalizeFilters({ mode: 'triangle', minVolume: -1, minSpread: 'wide', limit: 0 })).toMatchObject({
+      mode: 'all',
+      minVolume: 0,
+      minSpread: 0,
+      limit: 100,
+    });
+  });
+
+  it('reads lists from arrays or comma-separated strings', () => {
+    const filters = spreadService.normalizeFilters({
+      mode: 'BASIS',
+      exchanges: 'Binance, okx,kraken',
+      symbols: ['btcusdt', ' ethusdt '],
+      minVolume: '1000000',
+      minSpread: '0.5',
+      limit: '9999',
+    });
+    expect(filters).toEqual({
+      mode: 'basis',
+      exchanges: ['binance', 'okx'],
+      minVolume: 1_000_000,
+      minSpread: 0.5,
+      symbols: ['BTCUSDT', 'ETHUSDT'],
+      limit: 500,
+    });
+  });
+});
+
+describe('getSpreads', () => {
+  it('ranks the widest cross-exchange spread per pair', () => {
+    setPrices({
+      'binance|futures': { BTCUSDT: '100', ETHUSDT: '10' },
+      'bybit|futures': { BTCUSDT: '101' },
+      'gate|spot': { BTC_USDT: '102', ETH_USDT: '10.5' },
+      'okx|futures': { ETHUSDT: '10.1' },
+    });
+    const { rows } = spreadService.getSpreads();
+    expect(rows.map((row) => row.symbol)).toEqual(['ETHUSDT', 'BTCUSDT']);
+    expect(rows[0].spreadPct).toBeCloseTo(5);
+    expect(rows[1]).toMatchObject({ buy: { exchange: 'binance', price: 100 }, sell: { exchange: 'gate', market: 'spot', price: 102 } });
+    expect(rows[1].spreadPct).toBeCloseTo(2);
+  });
+
+  it('keeps both legs on different exchanges and in the requested market', () => {
+    setPrices({
+      'binance|futures': { BTCUSDT: '100' },
+      'binance|spot': { BTCUSDT: '110' },
+      'bybit|futures': { BTCUSDT: '101' },
+      'bybit|spot': { BTCUSDT: '104' },
+    });
+    // binance futures → binance spot is wider but is basis, not a cross-exchange spread
+    expect(spreadService.getSpreads().rows[0]).toMatchObject({ buy: { exchange: 'bybit', market: 'futures' }, sell: { exchange: 'binance', market: 'spot' } });
+    expect(spreadService.getSpreads({ mode: 'futures' }).rows[0].spreadPct).toBeCloseTo(1);
+    expect(spreadService.getSpreads({ mode: 'spot' }).rows[0]).toMatchObject({ buy: { exchange: 'bybit' }, sell: { exchange: 'binance' } });
+  });
+
+  it('drops spreads below minSpread or too wide to be the same coin', () => {
+    setPrices({
+      'binance|futures': { BTCUSDT: '100', ETHUSDT: '10' },
+      'bybit|futures': { BTCUSDT: '100.2', ETHUSDT: '20' },
+    });
+    expect(spreadService.getSpreads().rows.map((row) => row.symbol)).toEqual(['BTCUSDT']);
+    expect(spreadService.getSpreads({ minSpread: 0.5 }).rows).toEqual([]);
+  });
+
+  it('pairs spot and futures on the same exchange in basis mode', () => {
+    setPrices({
+      'binance|futures': { BTCUSDT: '101' },
+      'binance|spot': { BTCUSDT: '100' },
+      'bybit|futures': { BTCUSDT: '99' },
+      'bybit|spot': { BTCUSDT: '100' },
+      'okx|futures': { BTCUSDT: '150' },
+    });
+    const { rows } = spreadService.getSpreads({ mode: 'basis' });
+    expect(rows.map((row) => row.exchange)).toEqual(['binance', 'bybit']);
+    expect(rows[0]).toMatchObject({ basisPct: expect.closeTo(1), buy: { market: 'spot' }, sell: { market: 'futures' } });
+    expect(rows[1]).toMatchObject({ basisPct: expect.closeTo(-1), spreadPct: expect.closeTo(1), buy: { market: 'futures' }, sell: { market: 'spot' } });
+  });
+
+  it('needs both legs above minVolume', () => {
+    setPrices(
+      {
+        'binance|futures': { BTCUSDT: '100', ETHUSDT: '10' },
+        'bybit|futures': { BTCUSDT: '102', ETHUSDT: '10.2' },
+        'okx|futures': { BTCUSDT: '105' },
+      },
+      {
+        'binance|futures': { BTCUSDT: 5e6, ETHUSDT: 5e6 },
+        'bybit|futures': { BTCUSDT: 5e6, ETHUSDT: 1e5 },
+      },
+    );
+    const { rows } = spreadService.getSpreads({ minVolume: 1e6 });
+    // okx has no volume yet and ETH on bybit is too thin
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({ symbol: 'BTCUSDT', buy: { exchange: 'binance' }, sell: { exchange: 'bybit' } });
+    expect(spreadService.getSpreads().rows[0]).toMatchObject({ symbol: 'BTCUSDT', sell: { exchange: 'okx' } });
+  });
+
+  it('filters by exchange and symbol and applies the limit', () => {
+    setPrices({
+      'binance|futures': { BTCUSDT: '100', ETHUSDT: '10', SOLUSDT: '1' },
+      'bybit|futures': { BTCUSDT: '101', ETHUSDT: '10.2', SOLUSDT: '1.03' },
+      'okx|futures': { BTCUSDT: '104' },
+    });
+    expect(spreadService.getSpreads({ exchanges: ['binance', 'bybit'], symbols: ['BTCUSDT'] }).rows[0].spreadPct).toBeCloseTo(1);
+    expect(spreadService.getSpreads({ limit: 2 }).rows.map((row) => row.symbol)).toEqual(['BTCUSDT', 'SOLUSDT']);
+  });
+});
@@ -0,0 +1,102 @@
+const {
+  MIN_WALL_SIZE_USD,
+  normalizeWallCondition,
+  isWallInRange,
+  isWallQualified,
+  describeWallEvent,
+} = require('../wallConditions');
+
+const wall = (overrides = {}) => ({
+  side: 'BID',
+  price: 64000,
+  volumeUSD: 1_200_000,
+  percentFromMid: -0.85,
+  wallAgeMs: 120_000,
+  ...overrides,
+});
+
+describe('normalizeWallCondition', () => {
+  it('fills in defaults', () => {
+    expect(normalizeWallCondition({ events: ['appeared'] })).toEqual({
+      events: ['appeared'],
+      side: 'both',
+      minSizeUsd: 500_000,
+      maxDistancePct: 2,
+      minAgeSec: 60,
+      approachPct: 0.5,
+    });
+  });
+
+  it('keeps each known event once and drops the rest', () => {
+    const condition = normalizeWallCondition('{"events":["Appeared","removed","appeared","moved","approaching"]}');
+    expect(condition.events).toEqual(['appeared', 'removed', 'approaching']);
+    expect(normalizeWallCondition({ events: ['moved'] })).toBeNull();
+    expect(normalizeWallCondition({})).toBeNull();
+  });
+
+  it('keeps the size at or above the scanner floor', () => {
+    expect(normalizeWallCondition({ events: ['appeared'], minSizeUsd: MIN_WALL_SIZE_USD }).minSizeUsd).toBe(MIN_WALL_SIZE_USD);
+    expect(normalizeWallCondition({ events: ['appeared'], minSizeUsd: MIN_WALL_SIZE_USD - 1 })).toBeNull();
+  });
+
+  it('bounds the distance, age and approach thresholds', () => {
+    expect(normalizeWallCondition({ events: ['appeared'], maxDistancePct: 0 })).toBeNull();
+    expect(normalizeWallCondition({ events: ['appeared'], maxDistancePct: 11 })).toBeNull();
+    expect(normalizeWallCondition({ events: ['appeared'], minAgeSec: 1.5 })).toBeNull();
+    expect(normalizeWallCondition({ events: ['appeared'], minAgeSec: 25 * 60 * 60 })).toBeNull();
+    expect(normalizeWallCondition({ events: ['appeared'], maxDistancePct: 1, approachPct: 1.5 })).toBeNull();
+    expect(normalizeWallCondition({ events: ['appeared'], maxDistancePct: 0.3 }).approachPct).toBe(0.3);
+    expect(normalizeWallCondition({ events: ['appeared'], side: 'middle' })).toBeNull();
+  });
+});
+
+describe('isWallQualified', () => {
+  const condition = normalizeWallCondition({ events: ['appeared'], minSizeUsd: 1_000_000, maxDistancePct: 1, minAgeSec: 60 });
+
+  it('accepts a wall that meets every threshold', () => {
+    expect(isWallQualified(condition, wall())).toBe(true);
+    expect(isWallQualified(condition, wall({ volumeUSD: 1_000_000, percentFromMid: 1, wallAgeMs: 60_000 }))).toBe(true);
+  });
+
+  it('rejects walls below the minimum size', () => {
+    expect(isWallQualified(condition, wall({ volumeUSD: 999_999 }))).toBe(false);
+  });
+
+  it('rejects walls beyond the maximum distance on either side of mid', () => {
+    expect(isWallQualified(condition, wall({ percentFromMid: 1.01 }))).toBe(false);
+    expect(isWallQualified(condition, wall({ percentFromMid: -1.01 }))).toBe(false);
+  });
+
+  it('rejects walls younger than the minimum age', () => {
+    expect(isWallQualified(condition, wall({ wallAgeMs: 59_999 }))).toBe(false);
+    expect(isWallQualified(condition, wall({ wallAgeMs: undefined }))).toBe(false);
+  });
+
+  it('filters by side', () => {
+    const asks = normalizeWallCondition({ events: ['appeared'], side: 'ask', minSizeUsd: 1_000_000, maxDistancePct: 1 });
+    expect(isWallQualified(asks, wall())).toBe(false);
+    expect(isWallQualified(asks, wall({ side: 'ASK', percentFromMid: 0.5 }))).toBe(true);
+  });
+});
+
+describe('isWallInRange', () => {
+  it('ignores size and age so a shrinking wall stays tracked', () => {
+    const condition = normalizeWallCondition({ events: ['removed'], minSizeUsd: 1_000_000, maxDistancePct: 1 });
+    expect(isWallInRange(condition, wall({ volumeUSD: 10_000, wallAgeMs: 0 }))).toBe(true);
+    expect(isWallInRange(condition, wall({ percentFromMid: -2 }))).toBe(false);
+  });
+});
+
+describe('describeWallEvent', () => {
+  it('describes appeared, approaching and removed walls', () => {
+    expect(describeWallEvent('appeared', wall())).toBe('BID wall $1.20M at 64000 (0.85% from mid) appeared');
+    expect(describeWallEvent('approaching', wall({ side: 'ASK', volumeUSD: 250_000, percentFromMid: 0.1 })))
+      .toBe('ASK wall $250K at 64000 (0.10% from mid) is being approached by price');
+  });
+
+  it('tells eaten walls from pulled ones', () => {
+    expect(describeWallEvent('removed', wall({ likelyFilled: true }))).toMatch(/was eaten$/);
+    expect(describeWallEvent('removed', wall({ likelyFilled: false }))).toMatch(/was pulled$/);
+    expect(describeWallEvent('removed', null)).toBe('Wall removed');
+  });
+});
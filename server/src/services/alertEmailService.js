@@ -0,0 +1,159 @@
+/**
+ * Alert email delivery — digest batching + per-user rate limit.
+ *
+ * alertEngine queues every email-enabled trigger here instead of sending
+ * straight away.  The first trigger for a user opens a short digest window;
+ * everything queued for that user before it closes goes out as one email
+ * (a single alert, or a digest when several fired).
+ *
+ * Each user may receive at most ALERT_EMAIL_MAX_PER_HOUR emails in a rolling
+ * hour.  Once the limit is reached the pending digest is held until a slot
+ * frees up and keeps collecting triggers meanwhile (up to MAX_DIGEST_ITEMS;
+ * beyond that only a count is kept), so a noisy alert cannot flood an inbox.
+ */
+
+const { sendEmail, buildAlertEmailHtml } = require('../utils/email');
+
+const DIGEST_WINDOW_MS = Math.max(5_000, Number.parseInt(process.env.ALERT_EMAIL_DIGEST_MS || '60000', 10)); // 1 min
+const MAX_EMAILS_PER_HOUR = Math.max(1, Number.parseInt(process.env.ALERT_EMAIL_MAX_PER_HOUR || '10', 10));
+const RATE_WINDOW_MS = 60 * 60 * 1000;
+const MAX_DIGEST_ITEMS = 20;
+
+// Map(userId -> { email, items[], dropped, timer })
+const pending = new Map();
+
+// Map(userId -> sentAt[]) within the last RATE_WINDOW_MS
+const sentLog = new Map();
+
+const counters = {
+  queued: 0,
+  sent: 0,
+  digests: 0,
+  dropped: 0,
+  deferred: 0,
+  failed: 0,
+};
+
+function recentSends(userId, nowMs) {
+  const sends = (sentLog.get(userId) || []).filter((at) => nowMs - at < RATE_WINDOW_MS);
+  if (sends.length > 0) sentLog.set(userId, sends);
+  else sentLog.delete(userId);
+  return sends;
+}
+
+/** Ms until the user may be emailed again (0 when under the limit). */
+function rateLimitDelayMs(userId, nowMs) {
+  const sends = recentSends(userId, nowMs);
+  if (sends.length < MAX_EMAILS_PER_HOUR) return 0;
+  return sends[sends.length - MAX_EMAILS_PER_HOUR] + RATE_WINDOW_MS - nowMs;
+}
+
+function scheduleFlush(userId, delayMs) {
+  const batch = pending.get(userId);
+  if (!batch) return;
+  if (batch.timer) clearTimeout(batch.timer);
+  batch.timer = setTimeout(() => {
+    flushUser(userId).catch((err) => {
+      console.error('[alertEmail] flush failed:', err.message);
+    });
+  }, Math.max(0, delayMs));
+}
+
+async function flushUser(userId, { force = false } = {}) {
+  const batch = pending.get(userId);
+  if (!batch) return;
+
+  const nowMs = Date.now();
+  const delayMs = rateLimitDelayMs(userId, nowMs);
+  if (delayMs > 0 && !force) {
+    counters.deferred += 1;
+    scheduleFlush(userId, delayMs);
+    return;
+  }
+
+  if (batch.timer) clearTimeout(batch.timer);
+  pending.delete(userId);
+  if (delayMs > 0) {
+    // Shutdown flush while rate-limited: drop rather than exceed the limit.
+    counters.dropped += batch.items.length + batch.dropped;
+    return;
+  }
+
+  const { items, dropped } = batch;
+  const total = items.length + dropped;
+  const subject = total === 1 ? `Alert: ${items[0].title}` : `${total} alerts triggered`;
+  const text = items
+    .map((item) => item.text)
+    .concat(dropped > 0 ? [`…and ${dropped} more.`] : [])
+    .join('\n\n');
+  const html = buildAlertEmailHtml(
+    items.map((item) => ({ title: item.title, lines: item.text.split('\n').slice(1), triggeredAt: item.triggeredAt })),
+    dropped
+  );
+
+  // Count the attempt against the limit even if it fails, so a broken
+  // provider is not retried in a tight loop.
+  const sends = recentSends(userId, nowMs);
+  sends.push(nowMs);
+  sentLog.set(userId, sends);
+
+  try {
+    await sendEmail(batch.email, subject, text, html);
+    counters.sent += 1;
+    if (total > 1) counters.digests += 1;
+    console.log(`[alertEmail] Sent ${total > 1 ? `digest of ${total} alerts` : 'alert email'} for user ${userId}`);
+  } catch (err) {
+    counters.failed += 1;
+    console.error(`[alertEmail] Send failed for user ${userId}:`, err.message);
+  }
+}
+
+/**
+ * Queue a triggered alert for the user's next alert email.
+ * @param {string} userId
+ * @param {string} email recipient address
+ * @param {{ text: string, triggeredAt?: Date|string|number }} alert
+ *   text is the formatted alert message; its first line becomes the title
+ */
+function queueAlertEmail(userId, email, { text, triggeredAt }) {
+  const body = String(text || '');
+  const item = { title: body.split('\n')[0], text: body, triggeredAt: triggeredAt || new Date() };
+  counters.queued += 1;
+
+  let batch = pending.get(userId);
+  if (!batch) {
+    batch = { email, items: [], dropped: 0, timer: null };
+    batch.items.push(item);
+    pending.set(userId, batch);
+    scheduleFlush(userId, DIGEST_WINDOW_MS);
+    return;
+  }
+
+  batch.email = email;
+  if (batch.items.length < MAX_DIGEST_ITEMS) batch.items.push(item);
+  else batch.dropped += 1;
+}
+
+/** Send every pending digest now (engine shutdown). */
+async function flushAlertEmails() {
+  const userIds = Array.from(pending.keys());
+  for (const userId of userIds) {
+    await flushUser(userId, { force: true });
+  }
+}
+
+function getAlertEmailStatus() {
+  return {
+    digestWindowMs: DIGEST_WINDOW_MS,
+    maxPerHour: MAX_EMAILS_PER_HOUR,
+    pendingUsers: pending.size,
+    pendingItems: Array.from(pending.values()).reduce((sum, b) => sum + b.items.length + b.dropped, 0),
+    ...counters,
+  };
+}
+
+module.exports = {
+  queueAlertEmail,
+  flushAlertEmails,
+  getAlertEmailStatus,
+};
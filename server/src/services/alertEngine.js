@@ -1,15 +1,73 @@
 const cron = require('node-cron');
 const prisma = require('../utils/prisma');
-const binanceService = require('./binanceService');
-const bybitService = require('./bybitService');
-const okxService = require('./okxService');
-const gateService = require('./gateService');
-const mexcService = require('./mexcService');
-const bitgetService = require('./bitgetService');
+const { getExchangeAdapter } = require('./exchangeAdapters');
 const socketService = require('./socketService');
 const telegramService = require('./telegramService');
+const { isEmailConfigured } = require('../utils/email');
+const { queueAlertEmail, flushAlertEmails, getAlertEmailStatus } = require('./alertEmailService');
+const { deliverAlertWebhooks, sanitizeWebhookIds } = require('./webhookService');
 const { processPriceAlerts } = require('./priceAlertEngine');
+const { recordAlertTrigger } = require('./alertTriggerService');
+const {
+  normalizeConditionTree,
+  evaluateConditionTree,
+  getMaxTimeframeSec,
+  needsVolume,
+} = require('./complexConditions');
 const priceWatcher = require('./priceWatcher');
+const feedHealthService = require('./feedHealthService');
+const { DownsampledPriceSeries, FINE_SPAN_SEC } = require('./complexPriceHistory');
+const {
+  startIndicatorAlerts,
+  stopIndicatorAlerts,
+  refreshIndicatorAlerts,
+  getIndicatorStatus,
+} = require('./indicatorAlertEngine');
+const { describeIndicatorCondition } = require('./indicatorConditions');
+const {
+  startWallAlerts,
+  stopWallAlerts,
+  refreshWallAlerts,
+  getWallStatus,
+} = require('./wallAlertEngine');
+const { describeWallEvent } = require('./wallConditions');
+const { startWallHistory, stopWallHistory, getWallHistoryStatus } = require('./wallHistoryService');
+const {
+  startListingAlerts,
+  stopListingAlerts,
+  refreshListingAlerts,
+  getListingStatus,
+} = require('./listingAlertEngine');
+const {
+  startDerivativesAlerts,
+  stopDerivativesAlerts,
+  refreshDerivativesAlerts,
+  getDerivativesStatus,
+} = require('./derivativesAlertEngine');
+const {
+  startLiquidationAlerts,
+  stopLiquidationAlerts,
+  refreshLiquidationAlerts,
+  getLiquidationStatus,
+} = require('./liquidationAlertEngine');
+const {
+  startSpreadAlerts,
+  stopSpreadAlerts,
+  refreshSpreadAlerts,
+  getSpreadStatus,
+} = require('./spreadAlertEngine');
+const {
+  parseSymbols,
+  parseNotificationOptions,
+  normalizeNotificationOptions,
+  getAlertLimits,
+  isAlertExpired,
+  isAlertSnoozed,
+  hasFiresLeft,
+  isLastFire,
+  getComplexCooldownMs,
+  fireLimitedAlert,
+} = require('./alertLimits');
 
 let alertEngineRunning = false;
 let alertEngineShuttingDown = false;
@@ -24,12 +82,21 @@ let leaseOpInProgress = false;
 // ─── Complex alert in-memory cache ─────────────────────────────────────────
 // Pre-parsed active complex alerts. Refreshed every 30s + on alert CRUD.
 // Each entry: { id, userId, name, description, exchange, market,
-//               alertForMode, symbolSet (Set), threshold, timeframeSec }
+//               alertForMode, symbolSet (Set), conditionTree, timeframeSec, needsVolume,
+//               cooldownMs, limits }
+// timeframeSec is the longest price window any condition in the tree needs.
 let complexAlertsCache = [];
 let complexCacheRefreshedAt = 0;
 let complexCacheRefreshTimer = null;
 const COMPLEX_CACHE_REFRESH_MS = 30_000;
-const COMPLEX_HISTORY_LOOKBACK_SEC = 65; // slightly more than 60s window
+// History retention follows the longest timeframe among cached alerts (up to 4h);
+// see complexPriceHistory.js for the downsampling tiers.
+let complexHistoryKeepSec = FINE_SPAN_SEC;
+
+// 24h quote volume per 'exchange|market' for volume_24h conditions:
+// Map(key -> { bySymbol: Map(fullSymbol -> volume), fetchedAt })
+const complexVolumeCache = new Map();
+const COMPLEX_VOLUME_REFRESH_MS = 60_000;
 
 // Set of 'exchange|market' that have active complex alerts (for tick filter)
 let activeComplexExchangeMarkets = new Set();
@@ -57,6 +124,12 @@ const engineCounters = {
   priceSkippedReentry: 0,
   triggersPrice: 0,
   triggersComplex: 0,
+  triggersIndicator: 0,
+  triggersWall: 0,
+  triggersListing: 0,
+  triggersDerivatives: 0,
+  triggersLiquidation: 0,
+  triggersSpread: 0,
   transientErrors: 0,
 };
 
@@ -198,17 +271,17 @@ async function refreshComplexAlertsCache() {
     });
 
     const newCache = [];
+    const exhaustedIds = [];
     for (const a of alerts) {
       const notifOpts = parseNotificationOptions(a.notificationOptions);
       const alertForMode = notifOpts.alertForMode || 'all';
-      const conds = parseConditions(a.conditions);
-      const cond = conds.find((c) => c?.type === 'pct_change');
-      if (!cond) continue;
-
-      const threshold = Math.abs(Number(cond.value));
-      const timeframeSec = parseTimeframeSeconds(cond.timeframe);
-      if (!Number.isFinite(threshold) || threshold <= 0) continue;
-      if (!Number.isFinite(timeframeSec) || timeframeSec <= 0) continue;
+      const limits = getAlertLimits(notifOpts);
+      if (isAlertExpired(limits) || !hasFiresLeft(limits, a.fireCount)) {
+        exhaustedIds.push(a.id);
+        continue;
+      }
+      const conditionTree = normalizeConditionTree(a.conditions);
+      if (!conditionTree) continue;
 
       const rawSymbols = parseSymbols(a.symbols);
       const symbolSet = new Set(
@@ -229,17 +302,35 @@ async function refreshComplexAlertsCache() {
         market: (a.market || 'futures').toLowerCase() === 'spot' ? 'spot' : 'futures',
         alertForMode,
         symbolSet,
-        threshold,
-        timeframeSec,
+        conditionTree,
+        timeframeSec: getMaxTimeframeSec(conditionTree),
+        needsVolume: needsVolume(conditionTree),
+        cooldownMs: getComplexCooldownMs(limits),
+        limits,
       });
     }
 
+    if (exhaustedIds.length > 0) {
+      await prisma.alert.updateMany({
+        where: { id: { in: exhaustedIds }, isActive: true },
+        data: { isActive: false },
+      });
+      logEngine('info', 'complex.deactivate', { alertIds: exhaustedIds, reason: 'expired_or_max_fires' });
+    }
+
     complexAlertsCache = newCache;
     complexCacheRefreshedAt = Date.now();
     activeComplexExchangeMarkets = new Set(newCache.map((a) => `${a.exchange}|${a.market}`));
+    complexHistoryKeepSec = Math.max(
+      FINE_SPAN_SEC,
+      ...newCache.map((a) => a.timeframeSec + 5),
+    );
+    applyComplexHistoryRetention(Date.now());
+    refreshComplexVolumes().catch(() => {});
 
     logEngine('info', 'complex.cache.refresh', {
       count: newCache.length,
+      historyKeepSec: complexHistoryKeepSec,
       exchangeMarkets: Array.from(activeComplexExchangeMarkets),
     });
   } catch (err) {
@@ -247,27 +338,96 @@ async function refreshComplexAlertsCache() {
   }
 }
 
+/**
+ * Pull 24h quote volumes for every exchange+market that has a volume_24h
+ * condition.  Uses each exchange service's cached token list, so this costs
+ * at most one REST call per market per service cache TTL.
+ */
+async function refreshComplexVolumes() {
+  const keys = new Set(
+    complexAlertsCache.filter((a) => a.needsVolume).map((a) => `${a.exchange}|${a.market}`),
+  );
+  for (const key of complexVolumeCache.keys()) {
+    if (!keys.has(key)) complexVolumeCache.delete(key);
+  }
+
+  const nowMs = Date.now();
+  await Promise.allSettled(
+    Array.from(keys).map(async (key) => {
+      const cached = complexVolumeCache.get(key);
+      if (cached && nowMs - cached.fetchedAt < COMPLEX_VOLUME_REFRESH_MS) return;
+
+      const [exchange, market] = key.split('|');
+      const adapter = getExchangeAdapter(exchange);
+      if (!adapter?.markets.includes(market)) return;
+      try {
+        const tokens = await adapter.fetchTokens(market);
+        const bySymbol = new Map();
+        for (const t of Array.isArray(tokens) ? tokens : []) {
+          const volume = Number(t?.volume24h);
+          if (t?.fullSymbol && Number.isFinite(volume)) bySymbol.set(String(t.fullSymbol).toUpperCase(), volume);
+        }
+        complexVolumeCache.set(key, { bySymbol, fetchedAt: nowMs });
+      } catch (err) {
+        logEngine('warn', 'complex.volume.refresh.error', { key, message: err?.message || String(err) });
+      }
+    }),
+  );
+}
+
+function getComplexVolume24h(exchange, market, symbol) {
+  const entry = complexVolumeCache.get(`${exchange}|${market}`);
+  if (!entry) return null;
+  const bare = String(symbol || '').toUpperCase().replace(/\.P$/, '');
+  return entry.bySymbol.get(bare) ?? null;
+}
+
+/**
+ * Evaluate one cached complex alert's condition tree for one symbol.
+ * @returns {Array|null} matched leaves, or null when the alert should not fire
+ */
+function evaluateComplexAlert(alert, exchange, market, symbol, nowMs) {
+  return evaluateConditionTree(alert.conditionTree, {
+    getWindowStats: (timeframeSec) => getWindowStats(exchange, market, symbol, nowMs, timeframeSec),
+    getVolume24h: () => getComplexVolume24h(exchange, market, symbol),
+  });
+}
+
 /**
  * Fire a complex alert trigger asynchronously (non-blocking from tick handler).
  * Does a final cooldown check to handle races between rapid ticks.
+ * `matched` is the list of leaves that made the condition tree true; the first
+ * price-window leaf drives pctChange / windowSeconds / prices in the payload.
  */
-async function fireTriggerAsync(alert, symbol, stats, spanPct, nowMs) {
+async function fireTriggerAsync(alert, symbol, matched, nowMs) {
   try {
     // Double-check cooldown — multiple ticks may have queued this concurrently
-    if (!canEmitComplexTrigger(alert.id, symbol, nowMs)) return;
+    if (!canEmitComplexTrigger(alert.id, symbol, nowMs, alert.cooldownMs)) return;
+    if (isAlertExpired(alert.limits, nowMs) || isAlertSnoozed(alert.limits, nowMs)) return;
     markComplexTrigger(alert.id, symbol, nowMs);
 
-    const updatedAlert = await prisma.alert.update({
-      where: { id: alert.id },
-      data: {
-        triggered: true,
-        triggeredAt: new Date(),
-        isActive: true, // Keep active — complex alerts monitor continuously
-      },
+    const updatedAlert = await fireLimitedAlert(alert, () => {
+      complexAlertsCache = complexAlertsCache.filter((a) => a.id !== alert.id);
+      logEngine('info', 'complex.deactivate', { alertIds: [alert.id], reason: 'max_fires' });
     });
-
-    const direction = stats.current >= stats.oldest ? 1 : -1;
-    const reportedPct = direction * spanPct;
+    if (!updatedAlert) return;
+
+    const primary =
+      matched.find((leaf) => leaf.type === 'pct_change') ||
+      matched.find((leaf) => leaf.stats) ||
+      matched[0];
+    const stats = primary?.stats || null;
+    const volumeLeaf = matched.find((leaf) => leaf.type === 'volume_24h');
+
+    let pctChange = null;
+    let baselinePrice = null;
+    let currentPrice = stats ? stats.current : null;
+    if (primary?.type === 'pct_change') {
+      const direction = stats.current >= stats.oldest ? 1 : -1;
+      pctChange = direction * primary.spanPct;
+      baselinePrice = direction >= 0 ? stats.min : stats.max;
+      currentPrice = direction >= 0 ? stats.max : stats.min;
+    }
 
     const payload = {
       id: updatedAlert.id,
@@ -277,30 +437,34 @@ async function fireTriggerAsync(alert, symbol, stats, spanPct, nowMs) {
       triggered: true,
       triggeredAt: updatedAlert.triggeredAt,
       alertType: 'complex',
+      exchange: alert.exchange,
+      market: alert.market,
       symbol,
-      pctChange: reportedPct,
-      baselinePrice: direction >= 0 ? stats.min : stats.max,
-      currentPrice: direction >= 0 ? stats.max : stats.min,
-      windowSeconds: alert.timeframeSec,
+      pctChange,
+      baselinePrice,
+      currentPrice,
+      windowSeconds: primary?.timeframeSec ?? null,
+      ...(volumeLeaf ? { volume24h: volumeLeaf.volume24h } : {}),
+      matchedConditions: matched.map(({ stats: _stats, ...leaf }) => leaf),
+      fireCount: updatedAlert.fireCount,
       notificationOptions: normalizeNotificationOptions(updatedAlert.notificationOptions),
     };
 
-    socketService.emitAlertTriggered(updatedAlert.userId, payload);
-    await sendAlertToTelegram(updatedAlert.userId, payload);
+    await deliverAlertTrigger(updatedAlert.userId, payload);
     engineCounters.triggersComplex += 1;
 
     logEngine('info', 'trigger.complex', {
       alertId: updatedAlert.id,
       userId: updatedAlert.userId,
       symbol,
-      spanPct: Number(spanPct.toFixed(4)),
-      threshold: alert.threshold,
-      timeframeSec: alert.timeframeSec,
+      matched: matched.map((leaf) => leaf.type),
+      pctChange: pctChange != null ? Number(pctChange.toFixed(4)) : null,
+      windowSeconds: payload.windowSeconds,
     });
     console.log(
       `⚡⚡⚡ Complex alert ${alert.id} TRIGGERED: ${symbol} ` +
-      `span=${spanPct.toFixed(2)}% (threshold=${alert.threshold}%) in ${alert.timeframeSec}s | ` +
-      `oldest=${stats.oldest.toFixed(6)} current=${stats.current.toFixed(6)}`
+      `matched=[${matched.map((leaf) => leaf.type).join(', ')}]` +
+      (pctChange != null ? ` move=${pctChange.toFixed(2)}% in ${payload.windowSeconds}s` : '')
     );
   } catch (err) {
     logEngine('error', 'trigger.complex.fire.error', {
@@ -315,9 +479,10 @@ async function fireTriggerAsync(alert, symbol, stats, spanPct, nowMs) {
  * Tick-driven complex alert handler — called on EVERY WS message from priceWatcher.
  *
  * Flow:
- *   1. Append incoming prices to rolling 65-second history.
+ *   1. Append incoming prices to the rolling history (long enough for the
+ *      widest timeframe among cached alerts).
  *   2. For every symbol in this tick, check each cached complex alert.
- *   3. If price window span >= threshold → fire trigger immediately (setImmediate).
+ *   3. If the alert's condition tree is true → fire trigger immediately (setImmediate).
  *
  * This replaces the old 1-second cron evaluation, allowing sub-second detection.
  */
@@ -332,7 +497,7 @@ function handlePriceTick({ exchange, market, prices: tickPrices }) {
   if (!activeComplexExchangeMarkets.has(key)) return;
 
   const nowMs = Date.now();
-  appendComplexPricePoints(exchange, market, tickPrices, nowMs, COMPLEX_HISTORY_LOOKBACK_SEC);
+  appendComplexPricePoints(exchange, market, tickPrices, nowMs);
 
   complexTickCount += 1;
   if (nowMs - complexTickLogTs >= 30_000) {
@@ -386,18 +551,14 @@ function handlePriceTick({ exchange, market, prices: tickPrices }) {
       }
 
       // Quick cooldown check before expensive window stats
-      if (!canEmitComplexTrigger(alert.id, resolvedSymbol, nowMs)) continue;
-
-      const stats = getWindowStats(exchange, market, resolvedSymbol, nowMs, alert.timeframeSec);
-      if (!stats) continue;
+      if (!canEmitComplexTrigger(alert.id, resolvedSymbol, nowMs, alert.cooldownMs)) continue;
 
-      const spanPct = ((stats.max - stats.min) / stats.min) * 100;
-      if (spanPct < alert.threshold) continue;
+      const matched = evaluateComplexAlert(alert, exchange, market, resolvedSymbol, nowMs);
+      if (!matched) continue;
 
       // Trigger — fire async to avoid blocking tick processing
       const alertSnap = { ...alert };
-      const statsSnap = { ...stats };
-      setImmediate(() => fireTriggerAsync(alertSnap, resolvedSymbol, statsSnap, spanPct, nowMs));
+      setImmediate(() => fireTriggerAsync(alertSnap, resolvedSymbol, matched, nowMs));
     }
   }
 }
@@ -422,7 +583,7 @@ function seedHistoryFromPriceMaps() {
     if (priceMap && typeof priceMap === 'object') {
       const count = Object.keys(priceMap).length;
       if (count > 0) {
-        appendComplexPricePoints(exchange, market, priceMap, nowMs, COMPLEX_HISTORY_LOOKBACK_SEC);
+        appendComplexPricePoints(exchange, market, priceMap, nowMs);
         seeded += count;
       }
     }
@@ -466,17 +627,13 @@ function sweepAllComplexSymbols() {
           if (!bare.endsWith('USDT')) continue;
         }
 
-        if (!canEmitComplexTrigger(alert.id, symbol, nowMs)) continue;
+        if (!canEmitComplexTrigger(alert.id, symbol, nowMs, alert.cooldownMs)) continue;
 
-        const stats = getWindowStats(exchange, market, symbol, nowMs, alert.timeframeSec);
-        if (!stats) continue;
-
-        const spanPct = ((stats.max - stats.min) / stats.min) * 100;
-        if (spanPct < alert.threshold) continue;
+        const matched = evaluateComplexAlert(alert, exchange, market, symbol, nowMs);
+        if (!matched) continue;
 
         const alertSnap = { ...alert };
-        const statsSnap = { ...stats };
-        setImmediate(() => fireTriggerAsync(alertSnap, symbol, statsSnap, spanPct, nowMs));
+        setImmediate(() => fireTriggerAsync(alertSnap, symbol, matched, nowMs));
       }
     }
   }
@@ -532,6 +689,92 @@ function startWorkerLoops() {
   checkAlerts();
   // First klines sweep after a 30s delay to let caches warm up
   setTimeout(() => runKlinesSweep(), 30_000);
+  // Indicator alerts fire from closed klines; like price alerts they must run
+  // on one worker only, so they follow the lease (complex alerts do not).
+  startIndicatorAlerts({
+    onTriggered: async (alert, payload) => {
+      engineCounters.triggersIndicator += 1;
+      logEngine('info', 'trigger.indicator', {
+        alertId: alert.id,
+        userId: alert.userId,
+        symbol: payload.symbol,
+        condition: payload.conditionText,
+      });
+      await deliverAlertTrigger(alert.userId, payload);
+    },
+    log: logEngine,
+  });
+  // Wall alerts listen to the density scanner running in this process.
+  startWallAlerts({
+    onTriggered: async (alert, payload) => {
+      engineCounters.triggersWall += 1;
+      logEngine('info', 'trigger.wall', {
+        alertId: alert.id,
+        userId: alert.userId,
+        symbol: payload.symbol,
+        event: payload.wallEvent,
+      });
+      await deliverAlertTrigger(alert.userId, payload);
+    },
+    log: logEngine,
+  });
+  // Wall history is written by one instance too, so each event is logged once.
+  startWallHistory();
+  startListingAlerts({
+    onTriggered: async (alert, payload) => {
+      engineCounters.triggersListing += 1;
+      logEngine('info', 'trigger.listing', {
+        alertId: alert.id,
+        userId: alert.userId,
+        symbol: payload.symbol,
+        event: payload.listingEvent,
+      });
+      await deliverAlertTrigger(alert.userId, payload);
+    },
+    log: logEngine,
+  });
+  // Funding / OI alerts poll derivativesService in this process.
+  startDerivativesAlerts({
+    onTriggered: async (alert, payload) => {
+      engineCounters.triggersDerivatives += 1;
+      logEngine('info', 'trigger.derivatives', {
+        alertId: alert.id,
+        userId: alert.userId,
+        symbol: payload.symbol,
+        metric: payload.derivativesMetric,
+      });
+      await deliverAlertTrigger(alert.userId, payload);
+    },
+    log: logEngine,
+  });
+  // Large-liquidation alerts listen to the liquidation feeds in this process.
+  startLiquidationAlerts({
+    onTriggered: async (alert, payload) => {
+      engineCounters.triggersLiquidation += 1;
+      logEngine('info', 'trigger.liquidation', {
+        alertId: alert.id,
+        userId: alert.userId,
+        symbol: payload.symbol,
+        usd: payload.liquidation?.usd,
+      });
+      await deliverAlertTrigger(alert.userId, payload);
+    },
+    log: logEngine,
+  });
+  // Spread alerts poll the cross-exchange spread screener every few seconds.
+  startSpreadAlerts({
+    onTriggered: async (alert, payload) => {
+      engineCounters.triggersSpread += 1;
+      logEngine('info', 'trigger.spread', {
+        alertId: alert.id,
+        userId: alert.userId,
+        symbol: payload.symbol,
+        spreadPct: payload.spread?.spreadPct,
+      });
+      await deliverAlertTrigger(alert.userId, payload);
+    },
+    log: logEngine,
+  });
   engineWorkerActive = true;
   logEngine('info', 'worker.start', { fastIntervalMs: FAST_PRICE_ALERT_INTERVAL_MS, klinesSweepIntervalMs: KLINES_SWEEP_INTERVAL_MS });
 }
@@ -549,6 +792,13 @@ function stopWorkerLoops(reason = 'manual') {
     complexCronTask.stop();
     complexCronTask = null;
   }
+  stopIndicatorAlerts();
+  stopWallAlerts();
+  stopWallHistory().catch((error) => console.error('[WallHistory] Stop failed:', error.message));
+  stopListingAlerts();
+  stopDerivativesAlerts();
+  stopLiquidationAlerts();
+  stopSpreadAlerts();
   if (engineWorkerActive) {
     logEngine('info', 'worker.stop', { reason });
   }
@@ -612,7 +862,7 @@ function clearInitialPrice(alertId) {
 }
 
 // Complex alert runtime: price history per exchange + market (so exchanges don't mix)
-// complexPriceHistory[exchange][market] = Map(symbol -> [{ ts, price }])
+// complexPriceHistory[exchange][market] = Map(symbol -> DownsampledPriceSeries)
 const complexPriceHistory = {
   binance: { futures: new Map(), spot: new Map() },
   bybit: { futures: new Map(), spot: new Map() },
@@ -634,72 +884,53 @@ function getHistoryMapForExchangeMarket(exchange, market) {
   return market === 'spot' ? complexPriceHistory[ex].spot : complexPriceHistory[ex].futures;
 }
 
-function appendComplexPricePoints(exchange, market, priceMap, nowMs, keepSec) {
+function appendComplexPricePoints(exchange, market, priceMap, nowMs) {
   const historyMap = getHistoryMapForExchangeMarket(exchange, market);
-  const cutoff = nowMs - (keepSec * 1000 + 5000); // small buffer
 
   for (const [rawSymbol, rawPrice] of Object.entries(priceMap || {})) {
     const symbol = String(rawSymbol || '').toUpperCase();
     const price = Number(rawPrice);
     if (!symbol || !Number.isFinite(price) || price <= 0) continue;
 
-    const arr = historyMap.get(symbol) || [];
-    arr.push({ ts: nowMs, price });
-
-    let idx = 0;
-    while (idx < arr.length && arr[idx].ts < cutoff) idx += 1;
-    if (idx > 0) arr.splice(0, idx);
-
-    historyMap.set(symbol, arr);
+    let series = historyMap.get(symbol);
+    if (!series) {
+      series = new DownsampledPriceSeries(complexHistoryKeepSec);
+      historyMap.set(symbol, series);
+    }
+    series.append(nowMs, price);
   }
 }
 
-function getWindowStats(exchange, market, symbol, nowMs, lookbackSec) {
-  const historyMap = getHistoryMapForExchangeMarket(exchange, market);
-  const arr = historyMap.get(String(symbol || '').toUpperCase());
-  if (!arr || arr.length < 2) return null;
-
-  const cutoff = nowMs - lookbackSec * 1000;
-
-  // Track the most recent pre-cutoff point as a "bridge" baseline.
-  // This lets us detect moves that started just before the current window,
-  // which is critical after WS reconnects or data gaps.
-  let bridgePoint = null;
-  let min = Number.POSITIVE_INFINITY;
-  let max = Number.NEGATIVE_INFINITY;
-  let oldest = null;
-  let current = null;
-  let points = 0;
-
-  for (let i = 0; i < arr.length; i += 1) {
-    const p = arr[i];
-    if (!Number.isFinite(p.price) || p.price <= 0) continue;
-    if (p.ts < cutoff) {
-      bridgePoint = p; // keep updating — last one before cutoff wins
-      continue;
+/**
+ * Resize every series to the current retention, drop symbols that stopped
+ * ticking (delisted / unsubscribed) and free exchange+markets that no longer
+ * have complex alerts.
+ */
+function applyComplexHistoryRetention(nowMs) {
+  const staleBefore = nowMs - complexHistoryKeepSec * 1000;
+  for (const [exchange, markets] of Object.entries(complexPriceHistory)) {
+    for (const market of ['futures', 'spot']) {
+      const historyMap = markets[market];
+      if (!activeComplexExchangeMarkets.has(`${exchange}|${market}`)) {
+        historyMap.clear();
+        continue;
+      }
+      for (const [symbol, series] of historyMap) {
+        if (series.lastTs < staleBefore) {
+          historyMap.delete(symbol);
+          continue;
+        }
+        series.setRetention(complexHistoryKeepSec, nowMs);
+      }
     }
-    if (oldest == null) oldest = p.price;
-    if (p.price < min) min = p.price;
-    if (p.price > max) max = p.price;
-    current = p.price;
-    points += 1;
-  }
-
-  // If insufficient in-window points but we have a bridge point, include it
-  // as the baseline so we can detect moves that span the window boundary.
-  if (points < 2 && bridgePoint) {
-    if (oldest == null) oldest = bridgePoint.price;
-    if (bridgePoint.price < min) min = bridgePoint.price;
-    if (bridgePoint.price > max) max = bridgePoint.price;
-    if (current == null) current = bridgePoint.price;
-    points += 1;
-  }
-
-  if (!Number.isFinite(min) || !Number.isFinite(max) || min <= 0 || points < 2 || current == null || oldest == null) {
-    return null;
   }
+}
 
-  return { min, max, oldest, current, points };
+function getWindowStats(exchange, market, symbol, nowMs, lookbackSec) {
+  const historyMap = getHistoryMapForExchangeMarket(exchange, market);
+  const series = historyMap.get(String(symbol || '').toUpperCase());
+  if (!series) return null;
+  return series.getWindowStats(nowMs, lookbackSec);
 }
 
 function canEmitComplexTrigger(alertId, symbol, nowMs, cooldownMs = 30000) {
@@ -761,20 +992,85 @@ function formatAlertMessage(payload) {
   if (payload.alertType === 'complex') {
     const symbol = payload.symbol || '';
     const coinDisplay = shortSymbol(symbol) || coin || '—';
-    const pct = payload.pctChange != null && Number.isFinite(payload.pctChange)
-      ? `${payload.pctChange.toFixed(2)}%`
-      : '—';
-    const windowSec = payload.windowSeconds;
-    const timeframeLabel = formatTimeframeLabel(windowSec) || 'selected timeframe';
-    const what = `Complex alert hit: ${coinDisplay} moved ${pct} in ${timeframeLabel}`;
-    const fromTo =
-      payload.baselinePrice != null &&
-      payload.currentPrice != null &&
-      Number.isFinite(payload.baselinePrice) &&
-      Number.isFinite(payload.currentPrice)
-        ? ` (from $${Number(payload.baselinePrice).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 6 })} to $${Number(payload.currentPrice).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 6 })})`
-        : '';
-    return `${name}\n${coinDisplay}\n${what}${fromTo}`;
+    const fmtPrice = (v) => Number(v).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 6 });
+    const lines = [];
+
+    if (payload.pctChange != null && Number.isFinite(payload.pctChange)) {
+      const timeframeLabel = formatTimeframeLabel(payload.windowSeconds) || 'selected timeframe';
+      const fromTo =
+        payload.baselinePrice != null &&
+        payload.currentPrice != null &&
+        Number.isFinite(payload.baselinePrice) &&
+        Number.isFinite(payload.currentPrice)
+          ? ` (from $${fmtPrice(payload.baselinePrice)} to $${fmtPrice(payload.currentPrice)})`
+          : '';
+      lines.push(`Complex alert hit: ${coinDisplay} moved ${payload.pctChange.toFixed(2)}% in ${timeframeLabel}${fromTo}`);
+    } else {
+      lines.push(`Complex alert hit: ${coinDisplay}`);
+    }
+
+    for (const leaf of Array.isArray(payload.matchedConditions) ? payload.matchedConditions : []) {
+      if (leaf.type === 'price_cross') {
+        lines.push(`• price crossed ${leaf.operator} $${fmtPrice(leaf.value)}`);
+      } else if (leaf.type === 'volume_24h' && Number.isFinite(leaf.volume24h)) {
+        lines.push(`• 24h volume $${Math.round(leaf.volume24h).toLocaleString()} (${leaf.operator} $${Math.round(leaf.value).toLocaleString()})`);
+      }
+    }
+    return `${name}\n${coinDisplay}\n${lines.join('\n')}`;
+  }
+
+  if (payload.alertType === 'indicator') {
+    const coinDisplay = shortSymbol(payload.symbol || '') || coin || '—';
+    const condition = payload.conditionText || describeIndicatorCondition(payload.indicator) || 'indicator condition';
+    const current = Number(payload.currentPrice);
+    const closeStr = Number.isFinite(current)
+      ? ` (close: $${current.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 6 })})`
+      : '';
+    const rsiStr = payload.indicator?.indicator === 'rsi' && Number.isFinite(payload.indicator.current)
+      ? `\nRSI now ${payload.indicator.current.toFixed(2)}`
+      : '';
+    return `${name}\n${coinDisplay}\nIndicator alert hit: ${condition}${closeStr}${rsiStr}`;
+  }
+
+  if (payload.alertType === 'wall') {
+    const coinDisplay = shortSymbol(payload.symbol || '') || coin || '—';
+    const what = payload.conditionText || describeWallEvent(payload.wallEvent, payload.wall);
+    const current = Number(payload.currentPrice);
+    const midStr = Number.isFinite(current)
+      ? `\nMid price: $${current.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 6 })}`
+      : '';
+    const venue = [payload.exchange, payload.market].filter(Boolean).join(' ');
+    return `${name}\n${coinDisplay}${venue ? ` (${venue})` : ''}\nWall alert: ${what}${midStr}`;
+  }
+
+  if (payload.alertType === 'listing') {
+    const coinDisplay = payload.coinSymbol || coin || '—';
+    const what = payload.conditionText || `${payload.listingEvent === 'live' ? 'Now trading' : 'New listing'} on ${payload.exchange} ${payload.market}`;
+    return `${name}\n${coinDisplay}\nListing alert: ${what}`;
+  }
+
+  if (payload.alertType === 'derivatives') {
+    const coinDisplay = shortSymbol(payload.symbol || '') || coin || '—';
+    const what = payload.conditionText || 'derivatives condition met';
+    const current = Number(payload.currentPrice);
+    const priceStr = Number.isFinite(current)
+      ? `\nMark price: $${current.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 6 })}`
+      : '';
+    const venue = [payload.exchange, payload.market].filter(Boolean).join(' ');
+    return `${name}\n${coinDisplay}${venue ? ` (${venue})` : ''}\nFunding/OI alert: ${what}${priceStr}`;
+  }
+
+  if (payload.alertType === 'liquidation') {
+    const coinDisplay = shortSymbol(payload.symbol || '') || coin || '—';
+    const what = payload.conditionText || 'large liquidation';
+    const venue = [payload.exchange, payload.market].filter(Boolean).join(' ');
+    return `${name}\n${coinDisplay}${venue ? ` (${venue})` : ''}\nLiquidation alert: ${what}`;
+  }
+
+  if (payload.alertType === 'spread') {
+    const coinDisplay = shortSymbol(payload.symbol || '') || coin || '—';
+    const what = payload.conditionText || 'spread above threshold';
+    return `${name}\n${coinDisplay}\nSpread alert: ${what}`;
   }
 
   return `${name}\n${coin || '—'}\nAlert triggered.`;
@@ -782,82 +1078,107 @@ function formatAlertMessage(payload) {
 
 /**
  * If user has telegramChatId, send formatted alert to Telegram. Catches and logs errors; does not throw.
+ * @returns {Promise<boolean>} true when the message was delivered
  */
 async function sendAlertToTelegram(userId, payload) {
   try {
     const notifOpts = normalizeNotificationOptions(payload?.notificationOptions || null);
     if (notifOpts.channels.telegramEnabled === false) {
-      return;
+      return false;
     }
 
     const user = await prisma.user.findUnique({
       where: { id: userId },
-      select: { telegramChatId: true },
+      select: { telegramChatId: true, telegramMutedUntil: true },
     });
     if (!user || !user.telegramChatId) {
       console.log(`[alertEngine] User ${userId} has no telegramChatId, skipping Telegram send`);
-      return;
+      return false;
+    }
+    if (user.telegramMutedUntil && user.telegramMutedUntil.getTime() > Date.now()) {
+      return false; // /mute in the bot
     }
     const text = formatAlertMessage(payload);
-    await telegramService.sendMessage(user.telegramChatId, text);
-    console.log(`[alertEngine] Sent alert to Telegram for user ${userId}`);
+    // Snooze / Disable buttons only make sense while the alert can still fire
+    const alertId = payload?.alertId || payload?.id;
+    const alert = alertId
+      ? await prisma.alert.findUnique({ where: { id: alertId }, select: { isActive: true } })
+      : null;
+    const sent = await telegramService.sendMessage(user.telegramChatId, text, {
+      replyMarkup: alert?.isActive ? telegramService.buildAlertKeyboard(alertId) : undefined,
+    });
+    if (sent) console.log(`[alertEngine] Sent alert to Telegram for user ${userId}`);
+    return sent;
   } catch (err) {
     console.error('[alertEngine] sendAlertToTelegram failed:', err.message);
+    return false;
   }
 }
 
-function parseSymbols(symbols) {
-  if (Array.isArray(symbols)) return symbols;
-  if (typeof symbols !== 'string' || !symbols) return [];
+/**
+ * POST the alert to the webhook endpoints selected on it (notificationOptions.webhookIds).
+ * Deliveries and their retries run in the background (webhookService).
+ * Catches and logs errors; does not throw.
+ * @returns {Promise<boolean>} true when at least one delivery was started
+ */
+async function sendAlertToWebhooks(userId, payload) {
   try {
-    const p = JSON.parse(symbols);
-    if (Array.isArray(p)) return p;
-    if (typeof p === 'string' && p.trim()) return [p.trim()];
-    return p ? [p] : [];
-  } catch {
-    return [symbols.trim()].filter(Boolean);
+    const webhookIds = sanitizeWebhookIds(payload?.notificationOptions?.webhookIds);
+    if (webhookIds.length === 0) return false;
+    const started = await deliverAlertWebhooks(userId, webhookIds, {
+      text: formatAlertMessage(payload),
+      payload,
+    });
+    return started > 0;
+  } catch (err) {
+    console.error('[alertEngine] sendAlertToWebhooks failed:', err.message);
+    return false;
   }
 }
 
-function parseConditions(conditions) {
-  if (!conditions) return [];
-  if (Array.isArray(conditions)) return conditions;
-  if (typeof conditions === 'string') {
-    try {
-      return JSON.parse(conditions);
-    } catch {
-      return [];
+/**
+ * Queue the formatted alert for the user's next alert email when the alert opted
+ * in (emailEnabled is off by default).  alertEmailService batches and rate-limits.
+ * Catches and logs errors; does not throw.
+ * @returns {Promise<boolean>} true when the alert was queued for email
+ */
+async function sendAlertToEmail(userId, payload) {
+  try {
+    const notifOpts = normalizeNotificationOptions(payload?.notificationOptions || null);
+    if (!notifOpts.channels.emailEnabled || !isEmailConfigured()) {
+      return false;
     }
-  }
-  return [];
-}
 
-function parseNotificationOptions(notifOptions) {
-  if (!notifOptions) return {};
-  if (typeof notifOptions === 'object' && !Array.isArray(notifOptions)) return notifOptions;
-  if (typeof notifOptions === 'string') {
-    try {
-      return JSON.parse(notifOptions);
-    } catch {
-      return {};
-    }
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { email: true },
+    });
+    if (!user || !user.email) return false;
+
+    queueAlertEmail(userId, user.email, {
+      text: formatAlertMessage(payload),
+      triggeredAt: payload.triggeredAt,
+    });
+    return true;
+  } catch (err) {
+    console.error('[alertEngine] sendAlertToEmail failed:', err.message);
+    return false;
   }
-  return {};
 }
 
-function normalizeNotificationOptions(notifOptions) {
-  const parsed = parseNotificationOptions(notifOptions);
-  const channelsRaw = parsed.channels && typeof parsed.channels === 'object' ? parsed.channels : {};
-  const toBool = (v, fallback = true) => (typeof v === 'boolean' ? v : fallback);
-  return {
-    ...parsed,
-    channels: {
-      soundEnabled: toBool(channelsRaw.soundEnabled, true),
-      inAppPopupEnabled: toBool(channelsRaw.inAppPopupEnabled, true),
-      browserPushEnabled: toBool(channelsRaw.browserPushEnabled, true),
-      telegramEnabled: toBool(channelsRaw.telegramEnabled, true),
-    },
-  };
+/**
+ * Deliver a triggered alert on every channel, then log the fire to AlertTrigger.
+ * Every trigger path (tick handler, cron, klines sweep, HTTP sweep) goes through
+ * here so the history timeline records what the user was actually sent.
+ */
+async function deliverAlertTrigger(userId, payload) {
+  const channels = ['socket'];
+  socketService.emitAlertTriggered(userId, payload);
+  if (await sendAlertToTelegram(userId, payload)) channels.push('telegram');
+  if (await sendAlertToEmail(userId, payload)) channels.push('email');
+  if (await sendAlertToWebhooks(userId, payload)) channels.push('webhook');
+  await recordAlertTrigger(userId, payload, channels);
+  return channels;
 }
 
 const TIMEFRAME_TO_INTERVAL = {
@@ -870,21 +1191,6 @@ const TIMEFRAME_TO_INTERVAL = {
   '1d': '1d',
 };
 
-const TIMEFRAME_TO_SECONDS = {
-  '1m': 60,
-  '5m': 5 * 60,
-  '15m': 15 * 60,
-  '30m': 30 * 60,
-  '1h': 60 * 60,
-  '4h': 4 * 60 * 60,
-  '1d': 24 * 60 * 60,
-};
-
-function parseTimeframeSeconds(timeframe) {
-  if (typeof timeframe !== 'string' || !timeframe) return 60;
-  return TIMEFRAME_TO_SECONDS[timeframe] ?? 60;
-}
-
 /**
  * Check and trigger alerts. Uses Binance for price and complex alerts.
  * Price: alertType === 'price', first symbol vs targetValue.
@@ -895,6 +1201,9 @@ async function checkAlerts() {
     return;
   }
 
+  // The fast loop owns price alerts while it runs; nothing left to do here
+  if (fastPriceTimer) return;
+
   if (alertCheckInProgress) {
     engineCounters.evaluateSkippedReentry += 1;
     logEngine('warn', 'evaluate.skip.reentry');
@@ -904,26 +1213,17 @@ async function checkAlerts() {
   engineCounters.evaluateRuns += 1;
   alertCheckInProgress = true;
   try {
-    // Fetch active alerts: price alerts must not be triggered (they self-delete), complex alerts can be triggered (keep monitoring)
+    // Triggered-but-active price alerts are waiting to re-arm. Other alert
+    // types have their own engines, so only price rows are loaded.
     const activeAlerts = await prisma.alert.findMany({
-      where: {
-        isActive: true,
-        OR: [
-          { triggered: false }, // Price alerts and new complex alerts
-          { alertType: 'complex', triggered: true }, // Complex alerts that already triggered (keep monitoring)
-        ],
-      },
+      where: { isActive: true, alertType: 'price' },
     });
 
     if (activeAlerts.length === 0) return;
 
-    // ---- Price alerts ----
-    const priceAlerts = activeAlerts.filter((alert) => {
-      if (alert.alertType !== 'price') return false;
-      return parseSymbols(alert.symbols).length > 0;
-    });
+    const priceAlerts = activeAlerts.filter((alert) => parseSymbols(alert.symbols).length > 0);
 
-    if (priceAlerts.length > 0 && !fastPriceTimer) {
+    if (priceAlerts.length > 0) {
       await processPriceAlerts(priceAlerts, {
         onDeleted: async (alert) => {
           if (alert.condition === 'pct_change') {
@@ -933,8 +1233,7 @@ async function checkAlerts() {
         onTriggered: async (alert, payload) => {
           engineCounters.triggersPrice += 1;
           logEngine('info', 'trigger.price', { alertId: alert.id, userId: alert.userId, symbol: payload?.symbol || payload?.coinSymbol || null });
-          socketService.emitAlertTriggered(alert.userId, payload);
-          await sendAlertToTelegram(alert.userId, payload);
+          await deliverAlertTrigger(alert.userId, payload);
         },
         logger: console,
       });
@@ -995,8 +1294,7 @@ async function runKlinesSweep() {
         userId: alert.userId,
         symbol: payload?.symbol || payload?.coinSymbol || null,
       });
-      socketService.emitAlertTriggered(alert.userId, payload);
-      await sendAlertToTelegram(alert.userId, payload);
+      await deliverAlertTrigger(alert.userId, payload);
     }
 
     logEngine('info', 'klines.sweep.done', { checked: priceAlerts.length, triggered: triggeredCount });
@@ -1021,10 +1319,10 @@ async function checkPriceAlertsFast() {
   engineCounters.priceRuns += 1;
   fastPriceCheckInProgress = true;
   try {
+    // Includes triggered+active alerts: those are re-arming price alerts
     const priceAlerts = await prisma.alert.findMany({
       where: {
         isActive: true,
-        triggered: false,
         alertType: 'price',
       },
     });
@@ -1044,8 +1342,7 @@ async function checkPriceAlertsFast() {
         onTriggered: async (alert, payload) => {
           engineCounters.triggersPrice += 1;
           logEngine('info', 'trigger.price', { alertId: alert.id, userId: alert.userId, symbol: payload?.symbol || payload?.coinSymbol || null });
-          socketService.emitAlertTriggered(alert.userId, payload);
-          await sendAlertToTelegram(alert.userId, payload);
+          await deliverAlertTrigger(alert.userId, payload);
         },
         logger: console,
       }
@@ -1126,6 +1423,7 @@ async function stopAlertEngine() {
   stopComplexLoop();
   stopWorkerLoops('shutdown');
   await waitForInFlightChecks(5000);
+  await flushAlertEmails();
 
   try {
     await releaseLease('shutdown');
@@ -1148,6 +1446,15 @@ function getEngineStatus() {
     leaseOwner,
     instanceId: ENGINE_INSTANCE_ID,
     fastIntervalMs: FAST_PRICE_ALERT_INTERVAL_MS,
+    indicator: getIndicatorStatus(),
+    wall: getWallStatus(),
+    wallHistory: getWallHistoryStatus(),
+    listing: getListingStatus(),
+    derivatives: getDerivativesStatus(),
+    liquidation: getLiquidationStatus(),
+    spread: getSpreadStatus(),
+    feeds: feedHealthService.getStatus(),
+    email: getAlertEmailStatus(),
     counters: { ...engineCounters },
     ts: nowIso(),
   };
@@ -1161,4 +1468,11 @@ module.exports = {
   clearInitialPrice,
   getEngineStatus,
   refreshComplexAlertsCache,
+  refreshIndicatorAlerts,
+  refreshWallAlerts,
+  refreshListingAlerts,
+  refreshDerivativesAlerts,
+  refreshLiquidationAlerts,
+  refreshSpreadAlerts,
+  deliverAlertTrigger,
 };
@@ -0,0 +1,179 @@
+/**
+ * Per-alert fire limits stored in Alert.notificationOptions:
+ *
+ *   cooldownSec – minimum gap between fires (complex: per alert+symbol)
+ *   expiresAt   – ISO timestamp after which the alert is deactivated
+ *   maxFires    – deactivate after this many fires (counted in Alert.fireCount)
+ *   rearm       – price alerts only: stay active after firing and fire again
+ *                 once price has returned across the level and crosses it anew
+ *   snoozedUntil – ISO timestamp; the alert stays active but does not fire
+ *                 before it (set from the Telegram "Snooze" button)
+ *
+ * Shared by the price engine, the complex tick path, the klines sweep and the
+ * indicator/wall/listing/derivatives/liquidation/spread engines so every
+ * trigger path enforces the same rules. The Alert.symbols and
+ * notificationOptions parsers live here too for the same reason.
+ */
+
+const DEFAULT_COMPLEX_COOLDOWN_SEC = 30;
+const MAX_COOLDOWN_SEC = 7 * 24 * 60 * 60;
+
+/** Alert.symbols (JSON array, bare string or array) → array of symbols. */
+function parseSymbols(symbols) {
+  if (Array.isArray(symbols)) return symbols;
+  if (typeof symbols !== 'string' || !symbols) return [];
+  try {
+    const p = JSON.parse(symbols);
+    if (Array.isArray(p)) return p;
+    if (typeof p === 'string' && p.trim()) return [p.trim()];
+    return p ? [p] : [];
+  } catch {
+    return [symbols.trim()].filter(Boolean);
+  }
+}
+
+/** Alert.notificationOptions (raw or parsed) → plain object; anything else → {}. */
+function parseNotificationOptions(notifOptions) {
+  if (!notifOptions) return {};
+  if (typeof notifOptions === 'object' && !Array.isArray(notifOptions)) return notifOptions;
+  if (typeof notifOptions === 'string') {
+    try {
+      const parsed = JSON.parse(notifOptions);
+      return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch {
+      return {};
+    }
+  }
+  return {};
+}
+
+/**
+ * @param {string|object} notifOptions - Alert.notificationOptions (raw or parsed)
+ * @returns {{ cooldownSec: number|null, expiresAt: Date|null, maxFires: number|null, rearm: boolean, snoozedUntil: Date|null }}
+ */
+function getAlertLimits(notifOptions) {
+  const opts = parseNotificationOptions(notifOptions);
+
+  const cooldown = Number(opts.cooldownSec);
+  const maxFires = Math.floor(Number(opts.maxFires));
+  const expiresAt = opts.expiresAt ? new Date(opts.expiresAt) : null;
+  const snoozedUntil = opts.snoozedUntil ? new Date(opts.snoozedUntil) : null;
+
+  return {
+    cooldownSec: Number.isFinite(cooldown) && cooldown >= 0 ? Math.min(cooldown, MAX_COOLDOWN_SEC) : null,
+    expiresAt: expiresAt && !Number.isNaN(expiresAt.getTime()) ? expiresAt : null,
+    maxFires: Number.isFinite(maxFires) && maxFires > 0 ? maxFires : null,
+    rearm: opts.rearm === true,
+    snoozedUntil: snoozedUntil && !Number.isNaN(snoozedUntil.getTime()) ? snoozedUntil : null,
+  };
+}
+
+/** notificationOptions with every delivery channel flag filled in (email defaults off). */
+function normalizeNotificationOptions(notifOptions) {
+  const parsed = parseNotificationOptions(notifOptions);
+  const channelsRaw = parsed.channels && typeof parsed.channels === 'object' ? parsed.channels : {};
+  const toBool = (v, fallback = true) => (typeof v === 'boolean' ? v : fallback);
+  return {
+    ...parsed,
+    channels: {
+      soundEnabled: toBool(channelsRaw.soundEnabled, true),
+      inAppPopupEnabled: toBool(channelsRaw.inAppPopupEnabled, true),
+      browserPushEnabled: toBool(channelsRaw.browserPushEnabled, true),
+      telegramEnabled: toBool(channelsRaw.telegramEnabled, true),
+      emailEnabled: toBool(channelsRaw.emailEnabled, false),
+    },
+  };
+}
+
+function isAlertExpired(limits, nowMs = Date.now()) {
+  return Boolean(limits?.expiresAt) && limits.expiresAt.getTime() <= nowMs;
+}
+
+function isAlertSnoozed(limits, nowMs = Date.now()) {
+  return Boolean(limits?.snoozedUntil) && limits.snoozedUntil.getTime() > nowMs;
+}
+
+/** True when one more fire is allowed given the alert's current fireCount. */
+function hasFiresLeft(limits, fireCount) {
+  if (!limits?.maxFires) return true;
+  return (Number(fireCount) || 0) < limits.maxFires;
+}
+
+/** True when the fire about to happen is the last one allowed. */
+function isLastFire(limits, fireCount) {
+  if (!limits?.maxFires) return false;
+  return (Number(fireCount) || 0) + 1 >= limits.maxFires;
+}
+
+function getComplexCooldownMs(limits) {
+  return (limits?.cooldownSec ?? DEFAULT_COMPLEX_COOLDOWN_SEC) * 1000;
+}
+
+/**
+ * Record one fire of a monitoring alert (it stays active between fires).
+ * With maxFires set the increment only applies while fireCount is below the
+ * limit, so concurrent symbols cannot overshoot it; the fire that reaches the
+ * limit deactivates the alert and calls onDeactivate for engine cleanup.
+ *
+ * @param {{ id: string, limits?: object }} alert - cached alert with getAlertLimits() result
+ * @param {() => void} [onDeactivate]
+ * @returns {Promise<object|null>} the updated Alert row, or null when this fire was not allowed
+ */
+async function fireLimitedAlert(alert, onDeactivate) {
+  const prisma = require('../utils/prisma');
+  const maxFires = alert.limits?.maxFires;
+  const fireResult = await prisma.alert.updateMany({
+    where: { id: alert.id, isActive: true, ...(maxFires ? { fireCount: { lt: maxFires } } : {}) },
+    data: { triggered: true, triggeredAt: new Date(), fireCount: { increment: 1 } },
+  });
+  if (fireResult.count === 0) return null;
+
+  const updatedAlert = await prisma.alert.findUnique({ where: { id: alert.id } });
+  if (!updatedAlert) return null;
+  if (maxFires && !hasFiresLeft(alert.limits, updatedAlert.fireCount)) {
+    const deactivated = await prisma.alert.update({ where: { id: alert.id }, data: { isActive: false } });
+    if (onDeactivate) onDeactivate();
+    return deactivated;
+  }
+  return updatedAlert;
+}
+
+/**
+ * Validate user input for the limit fields; returns a cleaned subset to merge
+ * into notificationOptions (null clears a field).
+ */
+function sanitizeLimitOptions(input) {
+  const opts = parseNotificationOptions(input);
+  const out = {};
+  if ('cooldownSec' in opts) {
+    const n = Number(opts.cooldownSec);
+    out.cooldownSec = opts.cooldownSec === null || opts.cooldownSec === '' || !Number.isFinite(n) || n < 0
+      ? null
+      : Math.min(Math.round(n), MAX_COOLDOWN_SEC);
+  }
+  if ('maxFires' in opts) {
+    const n = Math.floor(Number(opts.maxFires));
+    out.maxFires = Number.isFinite(n) && n > 0 ? n : null;
+  }
+  if ('expiresAt' in opts) {
+    const d = opts.expiresAt ? new Date(opts.expiresAt) : null;
+    out.expiresAt = d && !Number.isNaN(d.getTime()) ? d.toISOString() : null;
+  }
+  if ('rearm' in opts) out.rearm = opts.rearm === true;
+  return out;
+}
+
+module.exports = {
+  DEFAULT_COMPLEX_COOLDOWN_SEC,
+  parseSymbols,
+  parseNotificationOptions,
+  normalizeNotificationOptions,
+  getAlertLimits,
+  isAlertExpired,
+  isAlertSnoozed,
+  hasFiresLeft,
+  isLastFire,
+  getComplexCooldownMs,
+  sanitizeLimitOptions,
+  fireLimitedAlert,
+};
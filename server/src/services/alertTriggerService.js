@@ -0,0 +1,108 @@
+/**
+ * Alert trigger log — one AlertTrigger row per alert fire.
+ *
+ * Alert.triggeredAt only remembers the latest fire (complex alerts keep firing
+ * and overwrite it), so the history timeline on the Alerts page reads from this
+ * table instead.  Writes never throw: a failed log insert must not block the
+ * socket/Telegram delivery that already happened.
+ */
+
+const prisma = require('../utils/prisma');
+
+const HISTORY_DEFAULT_LIMIT = 50;
+const HISTORY_MAX_LIMIT = 200;
+
+function toFiniteOrNull(value) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function toDateOrNull(value) {
+  if (value == null || value === '') return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * Persist one fire.
+ * @param {string} userId
+ * @param {object} payload - the same payload that was emitted over Socket.IO
+ * @param {string[]} channels - channels that were actually delivered
+ * @returns {Promise<object|null>} created row, or null when skipped/failed
+ */
+async function recordAlertTrigger(userId, payload, channels = []) {
+  const alertId = payload?.alertId || payload?.id || null;
+  if (!userId || !alertId) return null;
+
+  const alertType = String(payload?.alertType || 'price').toLowerCase();
+  const symbol = String(payload?.symbol || payload?.coinSymbol || '').toUpperCase();
+
+  try {
+    return await prisma.alertTrigger.create({
+      data: {
+        alertId,
+        userId,
+        alertName: typeof payload?.name === 'string' ? payload.name : '',
+        alertType,
+        exchange: String(payload?.exchange || 'binance').toLowerCase(),
+        market: String(payload?.market || 'futures').toLowerCase() === 'spot' ? 'spot' : 'futures',
+        symbol,
+        price: toFiniteOrNull(payload?.currentPrice),
+        targetValue: alertType === 'price' ? toFiniteOrNull(payload?.targetValue) : null,
+        pctChange: toFiniteOrNull(payload?.pctChange),
+        windowSeconds: toFiniteOrNull(payload?.windowSeconds),
+        channels: Array.from(new Set(channels.filter(Boolean))),
+        triggeredAt: toDateOrNull(payload?.triggeredAt) || new Date(),
+      },
+    });
+  } catch (err) {
+    console.warn('[alertTriggerService] recordAlertTrigger failed:', err?.message);
+    return null;
+  }
+}
+
+/**
+ * Paginated, filterable trigger history for one user (newest first).
+ * filters: { page, limit, alertId, symbol, exchange, market, type, from, to }
+ * @returns {Promise<{ triggers: object[], total: number, page: number, limit: number, hasMore: boolean }>}
+ */
+async function listAlertTriggers(userId, filters = {}) {
+  const page = Math.max(1, Math.floor(Number(filters.page)) || 1);
+  const limit = Math.max(1, Math.min(HISTORY_MAX_LIMIT, Math.floor(Number(filters.limit)) || HISTORY_DEFAULT_LIMIT));
+
+  const where = { userId };
+  const isSet = (v) => v != null && v !== '' && v !== 'all';
+
+  if (isSet(filters.alertId)) where.alertId = String(filters.alertId);
+  if (isSet(filters.symbol)) where.symbol = { contains: String(filters.symbol).toUpperCase() };
+  if (isSet(filters.exchange)) where.exchange = String(filters.exchange).toLowerCase();
+  if (isSet(filters.market)) where.market = String(filters.market).toLowerCase();
+  if (isSet(filters.type)) where.alertType = String(filters.type).toLowerCase();
+
+  const from = toDateOrNull(filters.from);
+  const to = toDateOrNull(filters.to);
+  if (from || to) {
+    where.triggeredAt = {
+      ...(from ? { gte: from } : {}),
+      ...(to ? { lte: to } : {}),
+    };
+  }
+
+  const [triggers, total] = await Promise.all([
+    prisma.alertTrigger.findMany({
+      where,
+      orderBy: { triggeredAt: 'desc' },
+      skip: (page - 1) * limit,
+      take: limit,
+    }),
+    prisma.alertTrigger.count({ where }),
+  ]);
+
+  return { triggers, total, page, limit, hasMore: page * limit < total };
+}
+
+module.exports = {
+  recordAlertTrigger,
+  listAlertTriggers,
+};
@@ -1507,4 +1507,5 @@ module.exports = {
   getLastPricesBySymbols,
   fetchCurrentPriceBySymbol,
   normalizeSymbol,
+  requestBinanceWithFallback,
 };
@@ -0,0 +1,401 @@
+/**
+ * Candle Store
+ * Persists closed OHLCV candles in Postgres, keyed by exchange / market /
+ * symbol / interval, so chart loads are served locally and only the missing
+ * tail is fetched from the exchange REST APIs.
+ *
+ * Writes come from three places:
+ *   - closed klines streamed through klineManager (write-through)
+ *   - closed candles in any REST response fetched by getKlines
+ *   - the gap scan, which backfills holes in recently used series
+ *
+ * Sub-minute intervals (1s/5s/15s) are resampled or aggregated on the fly
+ * and never stored.
+ */
+
+const prisma = require('../utils/prisma');
+const klineManager = require('./klineManager');
+const { getExchangeAdapter } = require('./exchangeAdapters');
+
+const INTERVAL_SEC = { '1m': 60, '5m': 300, '15m': 900, '30m': 1800, '1h': 3600, '4h': 14400, '1d': 86400 };
+// Short intervals grow fastest; longer ones are kept indefinitely
+const RETENTION_DAYS = { '1m': 14, '5m': 60, '15m': 180 };
+
+const STORE_ENABLED = String(process.env.CANDLE_STORE_ENABLED || 'true').toLowerCase() !== 'false';
+const WRITE_FLUSH_MS = 5000;
+const MAX_WRITE_BATCH = 5000;
+const MAX_WRITE_RETRY_MS = 5 * 60 * 1000;
+const MAX_PENDING_WRITES = 200_000; // ~a long outage's worth; the oldest rows go first, backfill repairs them
+const GAP_SCAN_INTERVAL_MS = Math.max(60_000, Number.parseInt(process.env.CANDLE_GAP_SCAN_MS || '600000', 10)); // 10 min
+const GAP_SCAN_CANDLES = 1000;
+const MAX_SERIES_PER_SCAN = 50;
+const BACKFILL_REQUEST_DELAY_MS = 250;
+// Series not read or written for this long drop out of the gap scan
+const SERIES_TRACK_TTL_MS = 24 * 60 * 60 * 1000;
+
+let gapScanTimer = null;
+let gapScanInFlight = null;
+let writeTimer = null;
+let writeRetryMs = WRITE_FLUSH_MS; // doubles while inserts keep failing
+let started = false;
+
+/** @type {Map<string, { exchange, market, symbol, interval, lastUsedAt, unfillable: Set<number> }>} */
+const trackedSeries = new Map();
+/** @type {Map<string, Object>} `${seriesKey}|${time}` -> Candle row */
+const pendingWrites = new Map();
+
+const stats = {
+  servedFromStore: 0,
+  tailFetches: 0,
+  fullFetches: 0,
+  storeErrors: 0,
+  droppedWrites: 0,
+  written: 0,
+  gapsFilled: 0,
+  lastGapScanAt: null,
+};
+
+/* ─── Helpers ─── */
+
+function seriesKey({ exchange, market, symbol, interval }) {
+  return `${exchange}:${market}:${symbol}:${interval}`;
+}
+
+function trackSeries(series) {
+  const key = seriesKey(series);
+  const entry = trackedSeries.get(key);
+  if (entry) {
+    entry.lastUsedAt = Date.now();
+  } else {
+    trackedSeries.set(key, { ...series, lastUsedAt: Date.now(), unfillable: new Set() });
+  }
+}
+
+function toRow(series, kline) {
+  return {
+    exchange: series.exchange,
+    market: series.market,
+    symbol: series.symbol,
+    interval: series.interval,
+    openTime: new Date(kline.time * 1000),
+    open: Number(kline.open),
+    high: Number(kline.high),
+    low: Number(kline.low),
+    close: Number(kline.close),
+    volume: Number(kline.volume) || 0,
+    turnover: Number(kline.turnover) || 0,
+  };
+}
+
+function toKline(row) {
+  return {
+    time: Math.floor(row.openTime.getTime() / 1000),
+    open: row.open,
+    high: row.high,
+    low: row.low,
+    close: row.close,
+    volume: row.volume,
+    turnover: row.turnover,
+  };
+}
+
+function isValidKline(kline) {
+  return kline
+    && Number.isFinite(kline.time)
+    && [kline.open, kline.high, kline.low, kline.close].every((v) => Number.isFinite(Number(v)) && Number(v) > 0);
+}
+
+/**
+ * Queue closed candles for a batched insert. Candles still open at `nowSec`
+ * are skipped: only final values are stored.
+ */
+function queueClosedKlines(series, klines, nowSec = Math.floor(Date.now() / 1000)) {
+  const intervalSec = INTERVAL_SEC[series.interval];
+  if (!STORE_ENABLED || !intervalSec || !Array.isArray(klines)) return;
+  const key = seriesKey(series);
+  for (const kline of klines) {
+    if (!isValidKline(kline) || kline.time + intervalSec > nowSec) continue;
+    pendingWrites.set(`${key}|${kline.time}`, toRow(series, kline));
+  }
+  scheduleWriteFlush();
+}
+
+function scheduleWriteFlush(delayMs = WRITE_FLUSH_MS) {
+  if (writeTimer || pendingWrites.size === 0) return;
+  writeTimer = setTimeout(() => {
+    writeTimer = null;
+    flushWrites().catch((error) => console.error('[CandleStore] Write flush failed:', error.message));
+  }, delayMs);
+}
+
+/**
+ * Put a failed batch back (rows queued since then are newer and win) and
+ * retry with backoff, so a short database outage does not leave holes.
+ */
+function requeueFailedBatch(batch) {
+  for (const [key, row] of batch) {
+    if (!pendingWrites.has(key)) pendingWrites.set(key, row);
+  }
+  for (const key of pendingWrites.keys()) {
+    if (pendingWrites.size <= MAX_PENDING_WRITES) break;
+    pendingWrites.delete(key);
+    stats.droppedWrites += 1;
+  }
+  // A flush queued meanwhile would retry without backoff
+  if (writeTimer) clearTimeout(writeTimer);
+  writeTimer = null;
+  scheduleWriteFlush(writeRetryMs);
+  writeRetryMs = Math.min(writeRetryMs * 2, MAX_WRITE_RETRY_MS);
+}
+
+async function flushWrites() {
+  while (pendingWrites.size > 0) {
+    const batch = [];
+    for (const entry of pendingWrites) {
+      batch.push(entry);
+      pendingWrites.delete(entry[0]);
+      if (batch.length >= MAX_WRITE_BATCH) break;
+    }
+    try {
+      const result = await prisma.candle.createMany({ data: batch.map(([, row]) => row), skipDuplicates: true });
+      stats.written += result.count;
+      writeRetryMs = WRITE_FLUSH_MS;
+    } catch (error) {
+      stats.storeErrors += 1;
+      console.error(`[CandleStore] Failed to write ${batch.length} candle(s), retrying:`, error.message);
+      requeueFailedBatch(batch);
+      return;
+    }
+  }
+}
+
+/**
+ * Newest candles before `beforeSec` (or latest), oldest first, trimmed to the
+ * contiguous run ending at the newest stored candle.
+ */
+async function readContiguousRun(series, intervalSec, limit, beforeSec) {
+  const rows = await prisma.candle.findMany({
+    where: {
+      exchange: series.exchange,
+      market: series.market,
+      symbol: series.symbol,
+      interval: series.interval,
+      ...(beforeSec ? { openTime: { lt: new Date(beforeSec * 1000) } } : {}),
+    },
+    orderBy: { openTime: 'desc' },
+    take: limit,
+  });
+
+  const run = [];
+  for (const row of rows) {
+    const kline = toKline(row);
+    if (run.length > 0 && run[run.length - 1].time - kline.time !== intervalSec) break;
+    run.push(kline);
+  }
+  return run.reverse();
+}
+
+function mergeKlines(stored, fetched, limit) {
+  const byTime = new Map();
+  for (const kline of stored) byTime.set(kline.time, kline);
+  for (const kline of fetched) byTime.set(kline.time, kline); // exchange wins for overlap
+  return [...byTime.values()].sort((a, b) => a.time - b.time).slice(-limit);
+}
+
+/* ─── Public API ─── */
+
+/**
+ * Klines for charting: served from the store when it holds a contiguous run,
+ * with only the missing tail (including the live candle) fetched from the
+ * exchange. Falls back to a full exchange fetch, whose closed candles are
+ * stored, when the store has gaps or too little history.
+ * @param {string} exchange - binance | bybit | okx | gate | bitget | mexc
+ * @param {{ symbol: string, exchangeType: string, interval: string, limit: number, before?: number|null }} params
+ * @returns {Promise<Array>} Klines in the service response shape (time in seconds)
+ */
+async function getKlines(exchange, { symbol, exchangeType, interval, limit, before = null }) {
+  const adapter = getExchangeAdapter(exchange);
+  if (!adapter) throw new Error(`Unsupported exchange: ${exchange}`);
+  const fetchKlines = adapter.fetchKlines;
+
+  const intervalSec = INTERVAL_SEC[interval];
+  if (!STORE_ENABLED || !intervalSec) {
+    return fetchKlines(symbol, exchangeType, interval, limit, { before });
+  }
+
+  const series = { exchange, market: exchangeType, symbol: symbol.toUpperCase(), interval };
+  trackSeries(series);
+  const nowSec = Math.floor(Date.now() / 1000);
+  const beforeSec = before ? Math.floor(before / 1000) : null;
+
+  let run = [];
+  try {
+    run = await readContiguousRun(series, intervalSec, limit, beforeSec);
+  } catch (error) {
+    stats.storeErrors += 1;
+    console.error('[CandleStore] Read failed, using exchange:', error.message);
+  }
+
+  if (run.length > 0) {
+    const newest = run[run.length - 1].time;
+    // Candles between the stored run and the bound (the live one included when unbounded)
+    const missing = beforeSec
+      ? Math.ceil((beforeSec - newest) / intervalSec) - 1
+      : Math.floor((nowSec - newest) / intervalSec);
+    if (missing <= 0 && run.length === limit) {
+      stats.servedFromStore += 1;
+      return run;
+    }
+    if (missing > 0 && missing < limit && run.length + missing >= limit) {
+      stats.tailFetches += 1;
+      const tail = await fetchKlines(symbol, exchangeType, interval, Math.min(limit, missing + 1), { before });
+      queueClosedKlines(series, tail, nowSec);
+      return mergeKlines(run, Array.isArray(tail) ? tail : [], limit);
+    }
+  }
+
+  stats.fullFetches += 1;
+  const klines = await fetchKlines(symbol, exchangeType, interval, limit, { before });
+  queueClosedKlines(series, klines, nowSec);
+  return klines;
+}
+
+/**
+ * klineManager listener: stores candles the exchange streams report as closed.
+ */
+function handleKlineUpdate(exchange, symbol, interval, exchangeType, kline) {
+  if (!kline || !kline.isClosed || !INTERVAL_SEC[interval]) return;
+  const series = { exchange, market: exchangeType, symbol: String(symbol).toUpperCase(), interval };
+  trackSeries(series);
+  queueClosedKlines(series, [kline]);
+}
+
+/* ─── Gap backfill ─── */
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function backfillSeries(entry) {
+  const intervalSec = INTERVAL_SEC[entry.interval];
+  const rows = await prisma.candle.findMany({
+    where: { exchange: entry.exchange, market: entry.market, symbol: entry.symbol, interval: entry.interval },
+    orderBy: { openTime: 'desc' },
+    take: GAP_SCAN_CANDLES,
+    select: { openTime: true },
+  });
+  const times = rows.map((row) => Math.floor(row.openTime.getTime() / 1000)).reverse();
+
+  let filled = 0;
+  for (let i = 1; i < times.length; i++) {
+    const gapCount = (times[i] - times[i - 1]) / intervalSec - 1;
+    if (gapCount < 1 || entry.unfillable.has(times[i])) continue;
+
+    const klines = await getExchangeAdapter(entry.exchange).fetchKlines(
+      entry.symbol,
+      entry.market,
+      entry.interval,
+      Math.min(1000, Math.ceil(gapCount)),
+      { before: times[i] * 1000 }
+    );
+    const inGap = (Array.isArray(klines) ? klines : []).filter((k) => k.time > times[i - 1] && k.time < times[i]);
+    if (inGap.length === 0) {
+      // Nothing traded (maintenance, delisting window); don't ask again
+      entry.unfillable.add(times[i]);
+    } else {
+      queueClosedKlines(entry, inGap);
+      filled += inGap.length;
+    }
+    await sleep(BACKFILL_REQUEST_DELAY_MS);
+  }
+  return filled;
+}
+
+async function pruneExpired() {
+  for (const [interval, days] of Object.entries(RETENTION_DAYS)) {
+    const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    await prisma.candle.deleteMany({ where: { interval, openTime: { lt: cutoff } } });
+  }
+}
+
+async function runGapScan() {
+  if (gapScanInFlight) return gapScanInFlight;
+  gapScanInFlight = (async () => {
+    const now = Date.now();
+    for (const [key, entry] of trackedSeries) {
+      if (now - entry.lastUsedAt > SERIES_TRACK_TTL_MS) trackedSeries.delete(key);
+    }
+
+    const series = [...trackedSeries.values()]
+      .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+      .slice(0, MAX_SERIES_PER_SCAN);
+
+    await flushWrites();
+    for (const entry of series) {
+      if (!started) break;
+      try {
+        const filled = await backfillSeries(entry);
+        if (filled > 0) {
+          stats.gapsFilled += filled;
+          console.log(`[CandleStore] Backfilled ${filled} candle(s) for ${seriesKey(entry)}`);
+        }
+      } catch (error) {
+        console.error(`[CandleStore] Gap scan failed for ${seriesKey(entry)}:`, error.message);
+      }
+    }
+    await flushWrites();
+    await pruneExpired();
+    stats.lastGapScanAt = new Date().toISOString();
+  })()
+    .catch((error) => {
+      stats.storeErrors += 1;
+      console.error('[CandleStore] Gap scan failed:', error.message);
+    })
+    .finally(() => {
+      gapScanInFlight = null;
+    });
+  return gapScanInFlight;
+}
+
+/* ─── Lifecycle ─── */
+
+function startCandleStore() {
+  if (started || !STORE_ENABLED) return;
+  started = true;
+  klineManager.addKlineListener(handleKlineUpdate);
+  gapScanTimer = setInterval(() => { runGapScan(); }, GAP_SCAN_INTERVAL_MS);
+  console.log(`[CandleStore] Started (gap scan every ${Math.round(GAP_SCAN_INTERVAL_MS / 1000)}s)`);
+}
+
+async function stopCandleStore() {
+  if (!started) return;
+  started = false;
+  klineManager.removeKlineListener(handleKlineUpdate);
+  if (gapScanTimer) clearInterval(gapScanTimer);
+  gapScanTimer = null;
+  if (writeTimer) clearTimeout(writeTimer);
+  writeTimer = null;
+  if (gapScanInFlight) await gapScanInFlight;
+  await flushWrites();
+  // Last attempt on shutdown: do not leave a retry timer behind
+  if (writeTimer) clearTimeout(writeTimer);
+  writeTimer = null;
+}
+
+function getCandleStoreStatus() {
+  return {
+    enabled: STORE_ENABLED,
+    running: started,
+    trackedSeries: trackedSeries.size,
+    pendingWrites: pendingWrites.size,
+    ...stats,
+  };
+}
+
+module.exports = {
+  getKlines,
+  startCandleStore,
+  stopCandleStore,
+  runGapScan,
+  getCandleStoreStatus,
+};
@@ -0,0 +1,212 @@
+/**
+ * Complex alert conditions — parse and evaluate AND/OR condition trees.
+ *
+ * Alert.conditions is stored as JSON in one of two shapes:
+ *   legacy – [{ type: 'pct_change', value: 3, timeframe: '1m' }]        (implicit AND)
+ *   tree   – { op: 'or', conditions: [{ op: 'and', conditions: [...] }, leaf] }
+ *
+ * Leaf types:
+ *   pct_change  – price range inside `timeframe` is at least `value` %
+ *   volume_24h  – 24h quote volume (USDT) is `operator` ('above' | 'below') `value`
+ *   price_cross – price crossed `value` in the `operator` direction inside `timeframe`
+ *
+ * Pure module: the engine supplies window stats and volumes through a context
+ * object, so nothing here touches the network or the price history directly.
+ */
+
+const LEAF_TYPES = new Set(['pct_change', 'volume_24h', 'price_cross']);
+const MAX_DEPTH = 4;
+const DEFAULT_TIMEFRAME_SEC = 60;
+// Longest window the downsampled tick history can serve (complexPriceHistory.js).
+const MAX_TIMEFRAME_SEC = 4 * 60 * 60;
+
+const TIMEFRAME_TO_SECONDS = {
+  '1m': 60,
+  '5m': 5 * 60,
+  '15m': 15 * 60,
+  '30m': 30 * 60,
+  '1h': 60 * 60,
+  '4h': 4 * 60 * 60,
+  '1d': 24 * 60 * 60,
+};
+
+function parseTimeframeSeconds(timeframe) {
+  if (typeof timeframe !== 'string' || !timeframe) return DEFAULT_TIMEFRAME_SEC;
+  return TIMEFRAME_TO_SECONDS[timeframe] ?? DEFAULT_TIMEFRAME_SEC;
+}
+
+function parseRawConditions(conditions) {
+  if (!conditions) return null;
+  if (typeof conditions === 'string') {
+    try {
+      return JSON.parse(conditions);
+    } catch {
+      return null;
+    }
+  }
+  return conditions;
+}
+
+function normalizeLeaf(raw, maxTimeframeSec) {
+  const type = String(raw?.type || '').toLowerCase();
+  if (!LEAF_TYPES.has(type)) return null;
+
+  const value = Number(raw.value);
+  if (!Number.isFinite(value) || value <= 0) return null;
+
+  if (type === 'volume_24h') {
+    return { type, value, operator: raw.operator === 'below' ? 'below' : 'above' };
+  }
+
+  const timeframeSec = parseTimeframeSeconds(raw.timeframe);
+  if (timeframeSec > maxTimeframeSec) return null;
+
+  if (type === 'pct_change') {
+    return { type, value: Math.abs(value), timeframeSec };
+  }
+  return { type, value, timeframeSec, operator: raw.operator === 'below' ? 'below' : 'above' };
+}
+
+function normalizeNode(raw, depth, maxTimeframeSec) {
+  if (!raw || typeof raw !== 'object' || depth > MAX_DEPTH) return null;
+
+  const isGroup = Array.isArray(raw) || Array.isArray(raw.conditions);
+  if (!isGroup) return normalizeLeaf(raw, maxTimeframeSec);
+
+  const op = !Array.isArray(raw) && String(raw.op || '').toLowerCase() === 'or' ? 'or' : 'and';
+  const children = (Array.isArray(raw) ? raw : raw.conditions)
+    .map((child) => normalizeNode(child, depth + 1, maxTimeframeSec))
+    .filter(Boolean);
+
+  if (children.length === 0) return null;
+  if (children.length === 1) return children[0];
+  return { op, conditions: children };
+}
+
+/**
+ * Parse Alert.conditions (string or object, legacy array or tree) into a
+ * normalized tree.  Invalid leaves (unknown type, bad value, timeframe above
+ * MAX_TIMEFRAME_SEC) are dropped; returns null when nothing evaluable is left.
+ * @param {string|object|Array} conditions
+ * @param {{ maxTimeframeSec?: number }} [options]
+ */
+function normalizeConditionTree(conditions, options = {}) {
+  const maxTimeframeSec = Number(options.maxTimeframeSec) || MAX_TIMEFRAME_SEC;
+  return normalizeNode(parseRawConditions(conditions), 0, maxTimeframeSec);
+}
+
+/**
+ * First timeframe in raw Alert.conditions that is unknown or longer than
+ * maxTimeframeSec, or null.  normalizeConditionTree drops such leaves (stored
+ * alerts keep loading), which would silently change what an AND group means,
+ * so the API rejects them instead.
+ * @param {string|object|Array} conditions
+ * @param {{ maxTimeframeSec?: number }} [options]
+ * @returns {string|null}
+ */
+function findUnsupportedTimeframe(conditions, options = {}) {
+  const maxTimeframeSec = Number(options.maxTimeframeSec) || MAX_TIMEFRAME_SEC;
+  const visit = (raw, depth) => {
+    if (!raw || typeof raw !== 'object' || depth > MAX_DEPTH) return null;
+    const children = Array.isArray(raw) ? raw : raw.conditions;
+    if (Array.isArray(children)) {
+      for (const child of children) {
+        const found = visit(child, depth + 1);
+        if (found) return found;
+      }
+      return null;
+    }
+    const type = String(raw.type || '').toLowerCase();
+    if (type === 'volume_24h' || raw.timeframe === undefined || raw.timeframe === null) return null;
+    const timeframeSec = TIMEFRAME_TO_SECONDS[raw.timeframe];
+    return timeframeSec && timeframeSec <= maxTimeframeSec ? null : String(raw.timeframe);
+  };
+  return visit(parseRawConditions(conditions), 0);
+}
+
+function collectLeaves(node, out = []) {
+  if (!node) return out;
+  if (Array.isArray(node.conditions)) {
+    for (const child of node.conditions) collectLeaves(child, out);
+  } else {
+    out.push(node);
+  }
+  return out;
+}
+
+/** Longest price window any leaf needs (seconds); 0 when the tree has no price leaves. */
+function getMaxTimeframeSec(node) {
+  return collectLeaves(node).reduce((max, leaf) => Math.max(max, leaf.timeframeSec || 0), 0);
+}
+
+function needsVolume(node) {
+  return collectLeaves(node).some((leaf) => leaf.type === 'volume_24h');
+}
+
+function evaluateLeaf(leaf, ctx) {
+  if (leaf.type === 'volume_24h') {
+    const volume24h = Number(ctx.getVolume24h());
+    if (!Number.isFinite(volume24h) || volume24h <= 0) return null;
+    const ok = leaf.operator === 'below' ? volume24h < leaf.value : volume24h > leaf.value;
+    return ok ? { ...leaf, volume24h } : null;
+  }
+
+  const stats = ctx.getWindowStats(leaf.timeframeSec);
+  if (!stats) return null;
+
+  if (leaf.type === 'pct_change') {
+    const spanPct = ((stats.max - stats.min) / stats.min) * 100;
+    return spanPct >= leaf.value ? { ...leaf, spanPct, stats } : null;
+  }
+
+  // price_cross: current price is past the level and the window still holds a
+  // price from the other side, i.e. the crossing happened inside the window.
+  const crossed = leaf.operator === 'below'
+    ? stats.current <= leaf.value && stats.max > leaf.value
+    : stats.current >= leaf.value && stats.min < leaf.value;
+  return crossed ? { ...leaf, stats } : null;
+}
+
+/**
+ * Evaluate a normalized tree for one symbol.
+ * ctx: { getWindowStats(timeframeSec) -> { min, max, oldest, current } | null,
+ *        getVolume24h() -> number | null }
+ * Both callbacks are only invoked for the leaves actually reached (AND and OR
+ * short-circuit), so cheap leaves placed first save window scans.
+ * @returns {Array|null} matched leaves (with observed values) or null when the tree is false
+ */
+function evaluateConditionTree(node, ctx) {
+  if (!node) return null;
+  if (!Array.isArray(node.conditions)) {
+    const result = evaluateLeaf(node, ctx);
+    return result ? [result] : null;
+  }
+
+  if (node.op === 'or') {
+    for (const child of node.conditions) {
+      const matched = evaluateConditionTree(child, ctx);
+      if (matched) return matched;
+    }
+    return null;
+  }
+
+  const matched = [];
+  for (const child of node.conditions) {
+    const childMatched = evaluateConditionTree(child, ctx);
+    if (!childMatched) return null;
+    matched.push(...childMatched);
+  }
+  return matched;
+}
+
+module.exports = {
+  MAX_TIMEFRAME_SEC,
+  TIMEFRAME_TO_SECONDS,
+  parseTimeframeSeconds,
+  normalizeConditionTree,
+  findUnsupportedTimeframe,
+  evaluateConditionTree,
+  collectLeaves,
+  getMaxTimeframeSec,
+  needsVolume,
+};
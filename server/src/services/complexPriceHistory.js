@@ -0,0 +1,171 @@
+/**
+ * Downsampled per-symbol price history for complex alerts.
+ *
+ * Raw ticks arrive ~1/s per symbol; keeping them for hours across every
+ * symbol of every exchange would not fit in memory.  Each symbol instead keeps
+ * two ring buffers of OHLC-style buckets:
+ *
+ *   fine   – 1 s buckets covering the last ~65 s   (windows up to 1 minute)
+ *   coarse – 5 s buckets covering the retention    (windows up to 4 hours)
+ *
+ * Every tick updates both tiers.  Buckets store first / last / min / max in
+ * Float32Array and the bucket index in Uint32Array (20 bytes per bucket), so a
+ * symbol costs ~1.3 KB for the fine tier plus ~57 KB for a full 4 h coarse
+ * tier.  The coarse tier is sized to the longest timeframe actually in use and
+ * is not allocated at all while every active alert fits in the fine tier.
+ */
+
+const FINE_BUCKET_MS = 1000;
+const FINE_SPAN_SEC = 65; // slightly more than a 60 s window, like the old raw history
+const COARSE_BUCKET_MS = 5000;
+const MAX_RETENTION_SEC = 4 * 60 * 60 + 5;
+
+// Float32 storage leaves artefacts like 97000.1171875; trim reported prices.
+function roundPrice(value) {
+  return Number(value.toPrecision(7));
+}
+
+class BucketRing {
+  constructor(bucketMs, spanSec) {
+    this.bucketMs = bucketMs;
+    this.capacity = Math.ceil((spanSec * 1000) / bucketMs) + 1;
+    this.keys = new Uint32Array(this.capacity); // bucket index + 1 (0 = empty)
+    this.first = new Float32Array(this.capacity);
+    this.last = new Float32Array(this.capacity);
+    this.min = new Float32Array(this.capacity);
+    this.max = new Float32Array(this.capacity);
+  }
+
+  append(ts, price) {
+    const idx = Math.floor(ts / this.bucketMs);
+    const slot = idx % this.capacity;
+    if (this.keys[slot] !== idx + 1) {
+      this.keys[slot] = idx + 1;
+      this.first[slot] = price;
+      this.last[slot] = price;
+      this.min[slot] = price;
+      this.max[slot] = price;
+      return;
+    }
+    this.last[slot] = price;
+    if (price < this.min[slot]) this.min[slot] = price;
+    if (price > this.max[slot]) this.max[slot] = price;
+  }
+
+  /** Copy every bucket still inside the new span into a ring of a different size. */
+  resized(spanSec, nowMs) {
+    const next = new BucketRing(this.bucketMs, spanSec);
+    const newestIdx = Math.floor(nowMs / this.bucketMs);
+    for (let slot = 0; slot < this.capacity; slot += 1) {
+      const idx = this.keys[slot] - 1;
+      if (idx < 0 || idx <= newestIdx - next.capacity) continue;
+      const to = idx % next.capacity;
+      next.keys[to] = idx + 1;
+      next.first[to] = this.first[slot];
+      next.last[to] = this.last[slot];
+      next.min[to] = this.min[slot];
+      next.max[to] = this.max[slot];
+    }
+    return next;
+  }
+
+  /**
+   * Same contract as the old raw-tick scan: buckets overlapping the window
+   * count as points; when fewer than two are present the most recent bucket
+   * before the window is used as a "bridge" baseline.
+   */
+  windowStats(nowMs, lookbackSec) {
+    const newestIdx = Math.floor(nowMs / this.bucketMs);
+    const cutoffIdx = Math.max(
+      Math.floor((nowMs - lookbackSec * 1000) / this.bucketMs),
+      newestIdx - this.capacity + 1,
+    );
+
+    let min = Number.POSITIVE_INFINITY;
+    let max = Number.NEGATIVE_INFINITY;
+    let oldest = null;
+    let current = null;
+    let points = 0;
+
+    for (let idx = cutoffIdx; idx <= newestIdx; idx += 1) {
+      const slot = idx % this.capacity;
+      if (this.keys[slot] !== idx + 1) continue;
+      if (oldest == null) oldest = this.first[slot];
+      if (this.min[slot] < min) min = this.min[slot];
+      if (this.max[slot] > max) max = this.max[slot];
+      current = this.last[slot];
+      points += 1;
+    }
+
+    // A single bucket can already hold a move (first != last); only bridge
+    // when the window has nothing to compare against.
+    if (points < 2) {
+      for (let idx = cutoffIdx - 1; idx > newestIdx - this.capacity; idx -= 1) {
+        const slot = idx % this.capacity;
+        if (this.keys[slot] !== idx + 1) continue;
+        const bridge = this.last[slot];
+        oldest = bridge;
+        if (bridge < min) min = bridge;
+        if (bridge > max) max = bridge;
+        if (current == null) current = bridge;
+        points += 1;
+        break;
+      }
+    }
+
+    if (!Number.isFinite(min) || !Number.isFinite(max) || min <= 0 || points < 2 || current == null || oldest == null) {
+      return null;
+    }
+
+    return {
+      min: roundPrice(min),
+      max: roundPrice(max),
+      oldest: roundPrice(oldest),
+      current: roundPrice(current),
+      points,
+    };
+  }
+}
+
+class DownsampledPriceSeries {
+  constructor(retentionSec = FINE_SPAN_SEC) {
+    this.fine = new BucketRing(FINE_BUCKET_MS, FINE_SPAN_SEC);
+    this.coarse = null;
+    this.lastTs = 0;
+    this.setRetention(retentionSec, Date.now());
+  }
+
+  /** Grow or shrink the coarse tier; drops it entirely when the fine tier suffices. */
+  setRetention(retentionSec, nowMs = Date.now()) {
+    const sec = Math.min(MAX_RETENTION_SEC, Math.max(0, Number(retentionSec) || 0));
+    if (sec <= FINE_SPAN_SEC) {
+      this.coarse = null;
+      return;
+    }
+    if (!this.coarse) {
+      this.coarse = new BucketRing(COARSE_BUCKET_MS, sec);
+    } else if (this.coarse.capacity !== Math.ceil((sec * 1000) / COARSE_BUCKET_MS) + 1) {
+      this.coarse = this.coarse.resized(sec, nowMs);
+    }
+  }
+
+  append(ts, price) {
+    this.fine.append(ts, price);
+    if (this.coarse) this.coarse.append(ts, price);
+    this.lastTs = ts;
+  }
+
+  /** { min, max, oldest, current, points } over the last `lookbackSec`, or null. */
+  getWindowStats(nowMs, lookbackSec) {
+    if (lookbackSec * 1000 < FINE_SPAN_SEC * 1000 - FINE_BUCKET_MS || !this.coarse) {
+      return this.fine.windowStats(nowMs, lookbackSec);
+    }
+    return this.coarse.windowStats(nowMs, lookbackSec);
+  }
+}
+
+module.exports = {
+  DownsampledPriceSeries,
+  FINE_SPAN_SEC,
+  MAX_RETENTION_SEC,
+};
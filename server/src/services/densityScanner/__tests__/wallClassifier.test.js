@@ -0,0 +1,117 @@
+const { WallClassifier } = require('../wallClassifier');
+
+function record(overrides = {}) {
+  return { exchange: 'binance', symbol: 'BTCUSDT', side: 'BID', percentFromMid: -2, volumeUSD: 100000, ...overrides };
+}
+
+/** Apply one scan's values to the record and let the classifier observe it. */
+function scan(classifier, rec, percentFromMid, volumeUSD = rec.volumeUSD) {
+  const previousPercentFromMid = rec.percentFromMid;
+  const previousVolumeUSD = rec.volumeUSD;
+  rec.percentFromMid = percentFromMid;
+  rec.volumeUSD = volumeUSD;
+  classifier.observe(rec, previousPercentFromMid, previousVolumeUSD);
+  return { wallClass: rec.wallClass, classConfidence: rec.classConfidence };
+}
+
+describe('WallClassifier', () => {
+  let classifier;
+
+  beforeEach(() => {
+    classifier = new WallClassifier();
+  });
+
+  it('leaves walls without price interaction unclassified', () => {
+    const rec = record();
+    expect(scan(classifier, rec, -1.8)).toEqual({ wallClass: null, classConfidence: 0 });
+    expect(classifier.classify(record())).toEqual({ wallClass: null, classConfidence: 0 });
+  });
+
+  it('flags a wall pulled while price approaches as a spoof', () => {
+    const rec = record({ percentFromMid: -0.8 });
+    expect(scan(classifier, rec, -0.5, 40000)).toEqual({ wallClass: 'spoof', classConfidence: 0.65 });
+  });
+
+  it('does not count a shrink far from price as a pull', () => {
+    const rec = record({ percentFromMid: -3 });
+    expect(scan(classifier, rec, -2.5, 40000).wallClass).toBeNull();
+  });
+
+  it('calls a wall traded into genuine and a refilled one an iceberg', () => {
+    const rec = record({ percentFromMid: -0.3 });
+    expect(scan(classifier, rec, -0.1, 70000)).toEqual({ wallClass: 'genuine', classConfidence: 0.65 });
+    expect(scan(classifier, rec, -0.1, 100000)).toEqual({ wallClass: 'iceberg', classConfidence: 0.65 });
+    scan(classifier, rec, -0.1, 60000);
+    expect(scan(classifier, rec, -0.1, 100000)).toEqual({ wallClass: 'iceberg', classConfidence: 0.8 });
+  });
+
+  it('counts one held touch per visit', () => {
+    const rec = record({ percentFromMid: -0.5 });
+    expect(scan(classifier, rec, -0.1)).toEqual({ wallClass: 'genuine', classConfidence: 0.45 });
+    expect(scan(classifier, rec, -0.05)).toEqual({ wallClass: 'genuine', classConfidence: 0.45 });
+    scan(classifier, rec, -0.5);
+    expect(scan(classifier, rec, -0.1)).toEqual({ wallClass: 'genuine', classConfidence: 0.55 });
+  });
+
+  it('caps confidence', () => {
+    const rec = record({ percentFromMid: -0.1, volumeUSD: 100000 });
+    for (let i = 0; i < 10; i += 1) {
+      scan(classifier, rec, -0.1, 50000);
+      scan(classifier, rec, -0.1, 100000);
+    }
+    expect(rec).toMatchObject({ wallClass: 'iceberg', classConfidence: 0.95 });
+  });
+
+  describe('noteRemoval', () => {
+    it('ignores walls withdrawn far from price', () => {
+      expect(classifier.noteRemoval(record({ percentFromMid: -5 }))).toEqual({ wallClass: null, classConfidence: 0 });
+      expect(classifier.spoofRate(record())).toBeNull();
+    });
+
+    it('calls a wall vanishing near price a spoof and one vanishing at price consumed', () => {
+      expect(classifier.noteRemoval(record({ percentFromMid: -0.6 }))).toEqual({ wallClass: 'spoof', classConfidence: 0.85 });
+      expect(classifier.noteRemoval(record({ percentFromMid: -0.2 }))).toEqual({ wallClass: 'genuine', classConfidence: 0.9 });
+    });
+
+    it('keeps a consumed iceberg an iceberg', () => {
+      const rec = record({ percentFromMid: -0.1 });
+      scan(classifier, rec, -0.1, 70000);
+      scan(classifier, rec, -0.1, 100000);
+      expect(classifier.noteRemoval(rec).wallClass).toBe('iceberg');
+    });
+
+    it('lowers confidence for a pulled wall that was already being filled', () => {
+      const rec = record({ percentFromMid: -0.1 });
+      scan(classifier, rec, -0.1, 70000);
+      rec.percentFromMid = -0.6;
+      expect(classifier.noteRemoval(rec)).toEqual({ wallClass: 'spoof', classConfidence: 0.6 });
+    });
+  });
+
+  describe('side history', () => {
+    it('needs enough recent removals before it counts', () => {
+      classifier.noteRemoval(record({ percentFromMid: -0.6 }));
+      classifier.noteRemoval(record({ percentFromMid: -0.6 }));
+      expect(classifier.spoofRate(record())).toBeNull();
+      classifier.noteRemoval(record({ percentFromMid: -0.6 }));
+      expect(classifier.spoofRate(record())).toBe(1);
+    });
+
+    it('makes the next wall on a spoofing side suspect, and only on that side', () => {
+      for (let i = 0; i < 3; i += 1) classifier.noteRemoval(record({ percentFromMid: -0.6 }));
+      expect(classifier.classify(record())).toEqual({ wallClass: 'spoof', classConfidence: 0.6 });
+      expect(classifier.classify(record({ side: 'ASK' }))).toEqual({ wallClass: null, classConfidence: 0 });
+      expect(classifier.classify(record({ symbol: 'ETHUSDT' }))).toEqual({ wallClass: null, classConfidence: 0 });
+
+      const rec = record({ percentFromMid: -0.8 });
+      expect(scan(classifier, rec, -0.5, 40000)).toEqual({ wallClass: 'spoof', classConfidence: 0.85 });
+    });
+
+    it('weighs recent removals more than old ones', () => {
+      for (let i = 0; i < 3; i += 1) classifier.noteRemoval(record({ percentFromMid: -0.6 }));
+      for (let i = 0; i < 4; i += 1) classifier.noteRemoval(record({ percentFromMid: -0.1 }));
+      expect(classifier.spoofRate(record())).toBeLessThan(0.5);
+      expect(classifier.classify(record()).wallClass).toBeNull();
+    });
+  });
+});
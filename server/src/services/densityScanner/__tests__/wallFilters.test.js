@@ -0,0 +1,211 @@
+const {
+  normalizeWallFilters,
+  matchesWallFilters,
+  sortWalls,
+  diffWalls,
+  resetSentWalls,
+} = require('../wallFilters');
+
+function wall(overrides = {}) {
+  return {
+    id: 'binance_futures_BTCUSDT_BID_60000',
+    exchange: 'binance',
+    market: 'futures',
+    symbol: 'BTCUSDT',
+    side: 'BID',
+    price: 60000,
+    volumeUSD: 500000,
+    percentFromMid: -1.5,
+    wallAgeMs: 120000,
+    wallClass: 'genuine',
+    classConfidence: 0.8,
+    depthMultiple: 4,
+    pctOfDailyVolume: 0.2,
+    ...overrides,
+  };
+}
+
+describe('normalizeWallFilters', () => {
+  it('applies defaults', () => {
+    const filters = normalizeWallFilters({}, ['binance', 'bybit']);
+    expect(filters).toMatchObject({
+      exchanges: ['binance', 'bybit'],
+      markets: ['futures', 'spot'],
+      minVolume: 100000,
+      maxVolume: Infinity,
+      side: 'BOTH',
+      symbols: [],
+      minAgeSeconds: 0,
+      classes: [],
+      maxDistFromMid: 10,
+      minDepthMultiple: 0,
+      minPctOfDailyVolume: 0,
+      sort: 'volumeUSD',
+      order: 'desc',
+      limit: 500,
+    });
+    expect(filters.excludeSymbols.size).toBe(0);
+  });
+
+  it('reads comma-separated query strings and socket arrays alike', () => {
+    const fromQuery = normalizeWallFilters({ exchanges: 'Binance, OKX', symbols: 'btcusdt,ethusdt', classes: 'Spoof,bogus' });
+    const fromSocket = normalizeWallFilters({ exchanges: ['binance', 'okx'], symbols: ['BTCUSDT', 'ETHUSDT'], classes: ['spoof'] });
+    for (const filters of [fromQuery, fromSocket]) {
+      expect(filters.exchanges).toEqual(['binance', 'okx']);
+      expect(filters.symbols).toEqual(['BTCUSDT', 'ETHUSDT']);
+      expect(filters.classes).toEqual(['spoof']);
+    }
+  });
+
+  it('clamps the limit and rejects unknown sort fields', () => {
+    expect(normalizeWallFilters({ limit: 99999 }).limit).toBe(2000);
+    expect(normalizeWallFilters({ limit: -3 }).limit).toBe(1);
+    expect(normalizeWallFilters({ sort: 'constructor', order: 'ASC' })).toMatchObject({ sort: 'volumeUSD', order: 'asc' });
+  });
+});
+
+describe('matchesWallFilters', () => {
+  const filters = (raw) => normalizeWallFilters(raw, ['binance']);
+
+  it('passes a wall inside every default bound', () => {
+    expect(matchesWallFilters(wall(), filters({}))).toBe(true);
+  });
+
+  it.each([
+    ['exchange', { exchanges: 'bybit' }],
+    ['market', { markets: 'spot' }],
+    ['min volume', { minVolume: 600000 }],
+    ['max volume', { maxVolume: 400000 }],
+    ['side', { side: 'ask' }],
+    ['symbol', { symbols: 'ETHUSDT' }],
+    ['excluded symbol', { excludeSymbols: 'BTCUSDT' }],
+    ['min age', { minAge: 300 }],
+    ['distance', { maxDistFromMid: 1 }],
+    ['class', { classes: 'spoof' }],
+    ['depth multiple', { minDepthMultiple: 5 }],
+    ['share of daily volume', { minPctOfDailyVolume: 0.5 }],
+  ])('rejects on %s', (_name, raw) => {
+    expect(matchesWallFilters(wall(), filters(raw))).toBe(false);
+  });
+
+  it('treats a missing class as unclassified', () => {
+    expect(matchesWallFilters(wall({ wallClass: null }), filters({ classes: 'unclassified' }))).toBe(true);
+  });
+
+  it('drops walls without a known ratio when a relative filter is on', () => {
+    expect(matchesWallFilters(wall({ depthMultiple: null }), filters({ minDepthMultiple: 1 }))).toBe(false);
+    expect(matchesWallFilters(wall({ depthMultiple: null }), filters({}))).toBe(true);
+  });
+});
+
+describe('sortWalls', () => {
+  it('sorts by the chosen field and order', () => {
+    const walls = [wall({ id: 'a', volumeUSD: 2 }), wall({ id: 'b', volumeUSD: 3 }), wall({ id: 'c', volumeUSD: 1 })];
+    expect(sortWalls(walls, { sort: 'volumeUSD', order: 'desc' }).map((w) => w.id)).toEqual(['b', 'a', 'c']);
+    expect(sortWalls(walls, { sort: 'volumeUSD', order: 'asc' }).map((w) => w.id)).toEqual(['c', 'a', 'b']);
+  });
+
+  it('sorts distance by magnitude', () => {
+    const walls = [wall({ id: 'a', percentFromMid: -3 }), wall({ id: 'b', percentFromMid: 1 }), wall({ id: 'c', percentFromMid: -0.5 })];
+    expect(sortWalls(walls, { sort: 'percentFromMid', order: 'asc' }).map((w) => w.id)).toEqual(['c', 'b', 'a']);
+  });
+
+  it('puts walls without a relative size last in both orders', () => {
+    const walls = [wall({ id: 'a', depthMultiple: null }), wall({ id: 'b', depthMultiple: 2 }), wall({ id: 'c', depthMultiple: 5 })];
+    expect(sortWalls(walls, { sort: 'depthMultiple', order: 'desc' }).map((w) => w.id)).toEqual(['c', 'b', 'a']);
+    expect(sortWalls(walls, { sort: 'depthMultiple', order: 'asc' }).map((w) => w.id)).toEqual(['b', 'c', 'a']);
+  });
+});
+
+describe('diffWalls', () => {
+  const filters = normalizeWallFilters({}, ['binance', 'bybit']);
+
+  it('reports added, updated and removed walls and records what was sent', () => {
+    const sent = new Map();
+    const first = [wall({ id: 'a' }), wall({ id: 'b' })];
+    expect(diffWalls(sent, first, filters, 'binance', 'futures')).toEqual({ added: first, updated: [], removed: [] });
+    expect([...sent.keys()]).toEqual(['a', 'b']);
+
+    const unchanged = diffWalls(sent, first, filters, 'binance', 'futures');
+    expect(unchanged).toEqual({ added: [], updated: [], removed: [] });
+
+    const grown = wall({ id: 'a', volumeUSD: 900000 });
+    expect(diffWalls(sent, [grown], filters, 'binance', 'futures')).toEqual({ added: [], updated: [grown], removed: ['b'] });
+  });
+
+  it('removes walls that stop matching', () => {
+    const sent = new Map();
+    diffWalls(sent, [wall({ id: 'a' })], filters, 'binance', 'futures');
+    const far = wall({ id: 'a', percentFromMid: -20 });
+    expect(diffWalls(sent, [far], filters, 'binance', 'futures').removed).toEqual(['a']);
+    expect(sent.size).toBe(0);
+  });
+
+  it('ignores age changes', () => {
+    const sent = new Map();
+    diffWalls(sent, [wall({ id: 'a' })], filters, 'binance', 'futures');
+    expect(diffWalls(sent, [wall({ id: 'a', wallAgeMs: 999999 })], filters, 'binance', 'futures').updated).toEqual([]);
+  });
+
+  it('only touches walls of the scanned exchange and market', () => {
+    const sent = new Map();
+    diffWalls(sent, [wall({ id: 'a' })], filters, 'binance', 'futures');
+    const other = wall({ id: 'x', exchange: 'bybit' });
+    expect(diffWalls(sent, [other], filters, 'bybit', 'futures')).toEqual({ added: [other], updated: [], removed: [] });
+    expect([...sent.keys()]).toEqual(['a', 'x']);
+  });
+
+  it('keeps the top limit walls in sort order', () => {
+    const limited = normalizeWallFilters({ limit: 2 }, ['binance']);
+    const sent = new Map();
+    const walls = [wall({ id: 'a', volumeUSD: 300000 }), wall({ id: 'b', volumeUSD: 500000 }), wall({ id: 'c', volumeUSD: 400000 })];
+    expect(diffWalls(sent, walls, limited, 'binance', 'futures').added.map((w) => w.id)).toEqual(['b', 'c']);
+    expect(sent.size).toBe(2);
+
+    // A freed slot is filled by the next-ranked wall in the same diff
+    expect(diffWalls(sent, [walls[0], walls[2]], limited, 'binance', 'futures'))
+      .toEqual({ added: [walls[0]], updated: [], removed: ['b'] });
+  });
+
+  it('lets a stronger wall push out the weakest one at the limit', () => {
+    const limited = normalizeWallFilters({ limit: 2 }, ['binance', 'bybit']);
+    const sent = new Map();
+    const small = wall({ id: 'small', volumeUSD: 200000 });
+    const other = wall({ id: 'other', exchange: 'bybit', volumeUSD: 300000 });
+    diffWalls(sent, [small], limited, 'binance', 'futures');
+    diffWalls(sent, [other], limited, 'bybit', 'futures');
+    expect([...sent.keys()]).toEqual(['small', 'other']);
+
+    const big = wall({ id: 'big', volumeUSD: 900000 });
+    expect(diffWalls(sent, [small, big], limited, 'binance', 'futures'))
+      .toEqual({ added: [big], updated: [], removed: ['small'] });
+
+    // Walls of other pairs are ranked too
+    const bigger = wall({ id: 'bigger', volumeUSD: 950000 });
+    expect(diffWalls(sent, [small, big, bigger], limited, 'binance', 'futures'))
+      .toEqual({ added: [bigger], updated: [], removed: ['other'] });
+    expect([...sent.keys()].sort()).toEqual(['big', 'bigger']);
+  });
+
+  it('matches the REST top N across pairs', () => {
+    const filters = normalizeWallFilters({ limit: 3, sort: 'percentFromMid', order: 'asc' }, ['binance', 'bybit']);
+    const binance = [1, 4, 6].map((d) => wall({ id: `bn${d}`, percentFromMid: -d }));
+    const bybit = [2, 3, 5].map((d) => wall({ id: `by${d}`, exchange: 'bybit', percentFromMid: d }));
+    const sent = new Map();
+    diffWalls(sent, binance, filters, 'binance', 'futures');
+    diffWalls(sent, bybit, filters, 'bybit', 'futures');
+    const rest = sortWalls([...binance, ...bybit], filters).slice(0, filters.limit).map((w) => w.id);
+    expect([...sent.keys()].sort()).toEqual(rest.sort());
+  });
+});
+
+describe('resetSentWalls', () => {
+  it('replaces the sent map with the snapshot', () => {
+    const sent = new Map([['old', { pair: 'okx_spot', signature: '' }]]);
+    resetSentWalls(sent, [wall({ id: 'a' })]);
+    expect([...sent.keys()]).toEqual(['a']);
+    expect(sent.get('a').pair).toBe('binance_futures');
+    const filters = normalizeWallFilters({}, ['binance']);
+    expect(diffWalls(sent, [wall({ id: 'a' })], filters, 'binance', 'futures')).toEqual({ added: [], updated: [], removed: [] });
+  });
+});
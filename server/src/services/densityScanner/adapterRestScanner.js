@@ -0,0 +1,133 @@
+const { getExchangeAdapter } = require('../exchangeAdapters');
+const { extractWalls, delay } = require('./utils');
+
+const CACHE_TTL = 30000; // 30 seconds
+
+/**
+ * Generic REST scanner for exchanges without a dedicated scanner.
+ *
+ * Works off the exchange adapter registry: the token list (already cached by
+ * the exchange service) supplies symbols and 24h volume, and
+ * adapter.fetchOrderBook returns base-coin quantities, so contract sizes are
+ * handled by the adapter. Symbols are scanned in rate-limit friendly batches,
+ * highest volume first.
+ */
+class AdapterRestScanner {
+  /**
+   * @param {string} exchange - Registry id, e.g. 'kucoin'
+   * @param {'futures'|'spot'} market
+   * @param {Object} [options]
+   * @param {number} [options.batchSize=10] - Order books fetched in parallel
+   * @param {number} [options.batchDelayMs=200] - Pause between batches
+   * @param {number} [options.maxSymbols=300] - Scan only the N most traded symbols
+   * @param {number} [options.bookLimit=200] - Levels per side to request
+   */
+  constructor(exchange, market = 'futures', options = {}) {
+    this.exchange = exchange;
+    this.market = market;
+    this.batchSize = options.batchSize || 10;
+    this.batchDelayMs = options.batchDelayMs ?? 200;
+    this.maxSymbols = options.maxSymbols || 300;
+    this.bookLimit = options.bookLimit || 200;
+    this.orderBookCache = new Map();
+    this.logPrefix = `[AdapterRest:${exchange}:${market}]`;
+  }
+
+  get adapter() {
+    const adapter = getExchangeAdapter(this.exchange);
+    if (!adapter) throw new Error(`Unknown exchange: ${this.exchange}`);
+    return adapter;
+  }
+
+  /**
+   * Symbols sorted by 24h volume descending.
+   * @returns {Promise<Array<{ symbol: string, volumeUSD: number }>>}
+   */
+  async getAllSymbols(minVolumeUSD = 0) {
+    try {
+      const tokens = await this.adapter.fetchTokens(this.market);
+      return tokens
+        .map((t) => ({ symbol: t.fullSymbol, volumeUSD: Number(t.volume24h) || 0 }))
+        .filter((s) => s.symbol && s.volumeUSD >= minVolumeUSD)
+        .sort((a, b) => b.volumeUSD - a.volumeUSD)
+        .slice(0, this.maxSymbols);
+    } catch (error) {
+      console.error(`${this.logPrefix} Failed to fetch tokens: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Fetch order book for a single symbol with 30s cache.
+   * Returns { bids: [[price, amount], ...], asks: [[price, amount], ...] }
+   */
+  async fetchOrderBook(symbol) {
+    const cached = this.orderBookCache.get(symbol);
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+      return cached.data;
+    }
+
+    try {
+      const { bids, asks } = await this.adapter.fetchOrderBook(symbol, this.market, { limit: this.bookLimit });
+      const orderBook = { bids, asks };
+      this.orderBookCache.set(symbol, { data: orderBook, timestamp: Date.now() });
+      return orderBook;
+    } catch (error) {
+      // Silent failure for individual symbols
+      return { bids: [], asks: [] };
+    }
+  }
+
+  /**
+   * Scan all symbols for walls. Same interface as the other scanners.
+   * Returns walls sorted by volumeUSD descending.
+   */
+  async scanForWalls({
+    minVolumeUSD = 0,
+    minWallSize = 300000,
+    depth = 10,
+    radius = 1,
+  } = {}) {
+    const startTime = Date.now();
+
+    const symbols = await this.getAllSymbols(minVolumeUSD);
+    if (symbols.length === 0) {
+      console.log(`${this.logPrefix} No symbols to scan`);
+      return [];
+    }
+
+    const allWalls = [];
+    for (let i = 0; i < symbols.length; i += this.batchSize) {
+      const batch = symbols.slice(i, i + this.batchSize);
+
+      const results = await Promise.all(
+        batch.map(async ({ symbol }) => {
+          const orderBook = await this.fetchOrderBook(symbol);
+          if (orderBook.bids.length === 0 && orderBook.asks.length === 0) return [];
+          return extractWalls(orderBook, {
+            exchange: this.exchange,
+            symbol,
+            originalSymbol: symbol,
+            depthPercent: depth,
+            minWallSize,
+            radius,
+            market: this.market,
+          }) || [];
+        })
+      );
+      for (const walls of results) allWalls.push(...walls);
+
+      if (i + this.batchSize < symbols.length && this.batchDelayMs > 0) {
+        await delay(this.batchDelayMs);
+      }
+    }
+
+    allWalls.sort((a, b) => (b.volumeUSD || 0) - (a.volumeUSD || 0));
+    console.log(
+      `${this.logPrefix} Scanned ${symbols.length} symbols in ${Date.now() - startTime}ms, found ${allWalls.length} walls`
+    );
+    return allWalls;
+  }
+}
+
+module.exports = { AdapterRestScanner };
@@ -1,8 +1,11 @@
 /**
  * DensityScannerService — Orchestrates continuous order-book scanning.
  *
- * Runs background scan loops for Binance, Bybit, and OKX (futures + spot).
+ * Runs background scan loops for Binance, Bybit, OKX, Gate, Bitget, MEXC and
+ * HTX (futures + spot) and KuCoin / Kraken (futures only).
  * Each exchange+market pair scans independently on its own interval.
+ * Each scan's walls are sized against their symbol's 24h volume (from the
+ * exchange adapter's token list) before going to the tracker.
  * Results are fed into WallTracker for identity/age tracking.
  * The API layer reads from latestWalls (pre-computed, instant response).
  *
@@ -12,24 +15,47 @@
 const { BinanceProxyScanner } = require('./binanceProxyScanner');
 const { BybitWsScanner } = require('./bybitWsScanner');
 const { OkxFastScanner } = require('./okxFastScanner');
+const { AdapterRestScanner } = require('./adapterRestScanner');
 const { WallTracker } = require('./wallTracker');
+const { applyDailyVolumes } = require('./utils');
+const { getExchangeAdapter } = require('../exchangeAdapters');
 
 // Default scan settings (server-wide, not per-user)
 const DEFAULT_DEPTH = 10;           // 10% from mid — wider scan catches walls that stakan.live shows at 5-10% from spread
 const DEFAULT_MIN_WALL_SIZE = 50000; // $50K minimum — low threshold, filtering is done per-user request
 const DEFAULT_RADIUS = 10;          // group levels within 0.5% of each other — tighter grouping preserves distinct nearby walls
+const DAILY_VOLUME_TTL_MS = 5 * 60 * 1000; // 24h volumes barely move between scans
+
+// Markets scanned per exchange
+const SCAN_TARGETS = {
+  binance: ['futures', 'spot'],
+  bybit:   ['futures', 'spot'],
+  okx:     ['futures', 'spot'],
+  gate:    ['futures', 'spot'],
+  bitget:  ['futures', 'spot'],
+  mexc:    ['futures', 'spot'],
+  kucoin:  ['futures'],
+  kraken:  ['futures'],
+  htx:     ['futures', 'spot'],
+};
 
 // How often each exchange rescans (milliseconds)
 const SCAN_INTERVALS = {
   binance: 15000, // 15s — Vercel proxy (multi-batch, ~2-4s for 640+ symbols)
   bybit:   15000, // 15s — WebSocket, instant memory reads
   okx:     30000, // 30s — REST, scans all symbols
+  gate:    30000, // 30s — REST via exchange adapter, top symbols by volume
+  bitget:  30000, // 30s — REST via exchange adapter, top symbols by volume
+  mexc:    30000, // 30s — REST via exchange adapter, top symbols by volume
+  kucoin:  30000, // 30s — REST via exchange adapter, top symbols by volume
+  kraken:  30000, // 30s — REST via exchange adapter
+  htx:     30000, // 30s — REST via exchange adapter, top symbols by volume
 };
 
 // Stagger start delays (ms).
 // Binance uses Vercel proxy (no warm-up needed).
 // Bybit uses WebSocket (needs 15s to connect + receive data).
-// OKX uses REST (start immediately).
+// OKX and the adapter-based REST scanners start right away, spread apart.
 const STAGGER_DELAYS = {
   binance_futures: 0,      // 0s — proxy works immediately
   binance_spot:    2000,   // 2s
@@ -37,6 +63,16 @@ const STAGGER_DELAYS = {
   bybit_spot:      17000,  // 17s
   okx_futures:     4000,   // 4s
   okx_spot:        6000,   // 6s
+  gate_futures:    3000,   // 3s
+  gate_spot:       5000,   // 5s
+  bitget_futures:  7000,   // 7s
+  bitget_spot:     9000,   // 9s
+  mexc_futures:    11000,  // 11s
+  mexc_spot:       13000,  // 13s
+  kucoin_futures:  8000,   // 8s
+  kraken_futures:  10000,  // 10s
+  htx_futures:     12000,  // 12s
+  htx_spot:        14000,  // 14s
 };
 
 class DensityScannerService {
@@ -55,6 +91,13 @@ class DensityScannerService {
     // Bybit: WebSocket scanner — 500 symbols, instant memory reads.
     //
     // OKX: REST scanner — works fine from all IPs, scans all symbols.
+    //
+    // Gate / Bitget / MEXC / KuCoin / Kraken / HTX: generic REST scanner over
+    //   the exchange adapter registry (order books already converted to base
+    //   coin). Batch sizes keep each venue under its public depth rate limit:
+    //   Gate 200 req/10s per endpoint, Bitget 20 req/s, MEXC futures
+    //   20 req/2s (spot is far looser). Gate and MEXC futures books also cost
+    //   one contract-size lookup per symbol on the first scan (cached 1h).
     this.scanners = {
       binance_futures: new BinanceProxyScanner('futures'),
       binance_spot:    new BinanceProxyScanner('spot'),
@@ -62,14 +105,27 @@ class DensityScannerService {
       bybit_spot:      new BybitWsScanner('spot'),
       okx_futures:     new OkxFastScanner('futures'),
       okx_spot:        new OkxFastScanner('spot'),
+      gate_futures:    new AdapterRestScanner('gate', 'futures', { batchSize: 10, batchDelayMs: 600 }),
+      gate_spot:       new AdapterRestScanner('gate', 'spot', { batchSize: 10, batchDelayMs: 600 }),
+      bitget_futures:  new AdapterRestScanner('bitget', 'futures', { batchSize: 8, batchDelayMs: 500, bookLimit: 100 }),
+      bitget_spot:     new AdapterRestScanner('bitget', 'spot', { batchSize: 8, batchDelayMs: 500, bookLimit: 150 }),
+      mexc_futures:    new AdapterRestScanner('mexc', 'futures', { batchSize: 8, batchDelayMs: 1000 }),
+      mexc_spot:       new AdapterRestScanner('mexc', 'spot', { batchSize: 15, batchDelayMs: 300 }),
+      kucoin_futures:  new AdapterRestScanner('kucoin', 'futures', { batchSize: 8, batchDelayMs: 300 }),
+      kraken_futures:  new AdapterRestScanner('kraken', 'futures', { batchSize: 10, batchDelayMs: 200 }),
+      htx_futures:     new AdapterRestScanner('htx', 'futures', { batchSize: 20, batchDelayMs: 100 }),
+      htx_spot:        new AdapterRestScanner('htx', 'spot', { batchSize: 20, batchDelayMs: 100 }),
     };
 
+    // exchange_market → { at, volumes: Map<symbol, 24h volume USD> }
+    this.dailyVolumes = new Map();
+
     // Per-exchange status tracking
     this.status = {};
 
     // Initialize status for each exchange+market pair
-    for (const exchange of ['binance', 'bybit', 'okx']) {
-      for (const market of ['futures', 'spot']) {
+    for (const [exchange, markets] of Object.entries(SCAN_TARGETS)) {
+      for (const market of markets) {
         const key = `${exchange}_${market}`;
         this.status[key] = {
           exchange,
@@ -103,8 +159,8 @@ class DensityScannerService {
     this.wallTracker.startPersistence();
 
     // Launch each exchange+market pair with staggered delays
-    for (const exchange of ['binance', 'bybit', 'okx']) {
-      for (const market of ['futures', 'spot']) {
+    for (const [exchange, markets] of Object.entries(SCAN_TARGETS)) {
+      for (const market of markets) {
         const key = `${exchange}_${market}`;
         const staggerDelay = STAGGER_DELAYS[key] || 0;
         const interval = SCAN_INTERVALS[exchange];
@@ -170,6 +226,8 @@ class DensityScannerService {
         radius: DEFAULT_RADIUS,
       });
 
+      applyDailyVolumes(walls, await this._getDailyVolumes(exchange, market));
+
       // Count unique symbols that have walls (not total symbols scanned)
       const symbolsWithWalls = new Set(walls.map(w => w.symbol));
 
@@ -194,15 +252,46 @@ class DensityScannerService {
     }
   }
 
+  /**
+   * 24h volume (USD) per symbol for one exchange+market, cached for
+   * DAILY_VOLUME_TTL_MS. On failure the previous map (or an empty one) is
+   * used, so walls just lose their volume ratio until the next refresh.
+   * @returns {Promise<Map<string, number>>}
+   */
+  async _getDailyVolumes(exchange, market) {
+    const key = `${exchange}_${market}`;
+    const cached = this.dailyVolumes.get(key);
+    if (cached && Date.now() - cached.at < DAILY_VOLUME_TTL_MS) return cached.volumes;
+
+    const volumes = new Map();
+    try {
+      const tokens = await getExchangeAdapter(exchange).fetchTokens(market);
+      for (const token of tokens || []) {
+        const volume = Number(token.volume24h);
+        if (token.fullSymbol && Number.isFinite(volume) && volume > 0) volumes.set(token.fullSymbol, volume);
+      }
+    } catch (error) {
+      console.warn(`[DensityScanner] ${key}: 24h volume fetch failed:`, error.message);
+      if (cached) {
+        cached.at = Date.now(); // retry after the TTL, not on every scan
+        return cached.volumes;
+      }
+    }
+    this.dailyVolumes.set(key, { at: Date.now(), volumes });
+    return volumes;
+  }
+
   // Scanner instances are created once in the constructor and reused.
   // No more _createScanner factory — this preserves caches across cycles.
 
   /**
    * Get all tracked walls (for the API layer to filter and return).
    * Returns the full array from WallTracker with age data.
+   * @param {string} [exchange] — only this exchange's walls
+   * @param {string} [market] — only this market's walls
    */
-  getWalls() {
-    return this.wallTracker.getAllWalls();
+  getWalls(exchange, market) {
+    return this.wallTracker.getAllWalls(exchange, market);
   }
 
   /**
@@ -226,6 +315,14 @@ class DensityScannerService {
     return result;
   }
 
+  /**
+   * Exchanges that have a scan loop (wall alerts can only target these).
+   * @returns {string[]}
+   */
+  getScannedExchanges() {
+    return [...new Set(Object.values(this.status).map((st) => st.exchange))];
+  }
+
   /**
    * Get scanner status for health monitoring.
    */
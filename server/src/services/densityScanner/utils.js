@@ -7,12 +7,16 @@
  *  - groupLevels()      – aggregate nearby order-book price levels
  *  - normalizeSymbol()   – unify exchange symbol formats to BASEUSDT
  *  - extractWalls()      – detect bid/ask walls from a raw order book
+ *  - applyDailyVolumes() – size walls against their symbol's 24h volume
  *  - formatDuration()    – human-readable elapsed time strings
  *  - delay()             – promise-based sleep helper
  *
  * @module densityScanner/utils
  */
 
+// Window (± % from mid) whose grouped levels define a symbol's typical depth
+const TYPICAL_DEPTH_PERCENT = 2;
+
 // ---------------------------------------------------------------------------
 // groupLevels
 // ---------------------------------------------------------------------------
@@ -112,6 +116,11 @@ function normalizeSymbol(symbol, exchange) {
 /**
  * Detects large bid/ask walls from a raw order book.
  *
+ * Besides the absolute size, each wall carries its size relative to the
+ * book: `typicalDepthUSD` is the average grouped level (both sides) within
+ * ±typicalDepthPercent of mid, and `depthMultiple` = volumeUSD / typicalDepthUSD.
+ * That makes "3× typical depth" mean the same for BTC and a small cap.
+ *
  * @param {{ bids: Array<[number, number]>, asks: Array<[number, number]> }} orderBook
  * @param {object}  opts
  * @param {string}  opts.exchange       – exchange name
@@ -121,11 +130,21 @@ function normalizeSymbol(symbol, exchange) {
  * @param {number}  opts.minWallSize    – minimum volumeUSD to qualify as a wall
  * @param {number}  opts.radius         – grouping radius passed to groupLevels()
  * @param {string}  opts.market         – market type (e.g. 'spot', 'futures')
+ * @param {number}  [opts.typicalDepthPercent] – window for typical depth (capped at depthPercent)
  * @returns {Array<object>} wall objects
  */
 function extractWalls(
   orderBook,
-  { exchange, symbol, originalSymbol, depthPercent, minWallSize, radius, market },
+  {
+    exchange,
+    symbol,
+    originalSymbol,
+    depthPercent,
+    minWallSize,
+    radius,
+    market,
+    typicalDepthPercent = TYPICAL_DEPTH_PERCENT,
+  },
 ) {
   const { bids = [], asks = [] } = orderBook;
 
@@ -151,6 +170,21 @@ function extractWalls(
   const groupedBids = groupLevels(filteredBids, radius);
   const groupedAsks = groupLevels(filteredAsks, radius);
 
+  // Typical depth: mean grouped level size within the (narrower) window
+  const typicalFraction = Math.min(typicalDepthPercent, depthPercent) / 100;
+  let nearVolumeUSD = 0;
+  let nearLevels = 0;
+  for (const g of [...groupedBids, ...groupedAsks]) {
+    if (Math.abs(g.price - midPrice) / midPrice <= typicalFraction) {
+      nearVolumeUSD += g.volumeUSD;
+      nearLevels += 1;
+    }
+  }
+  const typicalDepthUSD = nearLevels > 0 ? nearVolumeUSD / nearLevels : null;
+  const depthMultipleOf = (volumeUSD) => (typicalDepthUSD
+    ? Math.round((volumeUSD / typicalDepthUSD) * 100) / 100
+    : null);
+
   const walls = [];
 
   for (const g of groupedBids) {
@@ -166,6 +200,8 @@ function extractWalls(
         volumeUSD: g.volumeUSD,
         percentFromMid: ((g.price - midPrice) / midPrice) * 100,
         midPrice,
+        typicalDepthUSD,
+        depthMultiple: depthMultipleOf(g.volumeUSD),
       });
     }
   }
@@ -183,6 +219,8 @@ function extractWalls(
         volumeUSD: g.volumeUSD,
         percentFromMid: ((g.price - midPrice) / midPrice) * 100,
         midPrice,
+        typicalDepthUSD,
+        depthMultiple: depthMultipleOf(g.volumeUSD),
       });
     }
   }
@@ -190,6 +228,31 @@ function extractWalls(
   return walls;
 }
 
+// ---------------------------------------------------------------------------
+// applyDailyVolumes
+// ---------------------------------------------------------------------------
+
+/**
+ * Attaches the symbol's 24h volume to each wall and the wall's share of it
+ * (`pctOfDailyVolume`, in percent). Walls of symbols with no known volume
+ * get null for both.
+ *
+ * @param {Array<object>}       walls   – walls from extractWalls(), mutated
+ * @param {Map<string, number>} volumes – normalized symbol → 24h volume (USD)
+ * @returns {Array<object>} the same walls
+ */
+function applyDailyVolumes(walls, volumes) {
+  for (const wall of walls) {
+    const dailyVolumeUSD = volumes.get(wall.symbol);
+    const known = Number.isFinite(dailyVolumeUSD) && dailyVolumeUSD > 0;
+    wall.dailyVolumeUSD = known ? dailyVolumeUSD : null;
+    wall.pctOfDailyVolume = known
+      ? Math.round((wall.volumeUSD / dailyVolumeUSD) * 100 * 1000) / 1000
+      : null;
+  }
+  return walls;
+}
+
 // ---------------------------------------------------------------------------
 // formatDuration
 // ---------------------------------------------------------------------------
@@ -243,6 +306,7 @@ module.exports = {
   groupLevels,
   normalizeSymbol,
   extractWalls,
+  applyDailyVolumes,
   formatDuration,
   delay,
 };
@@ -0,0 +1,160 @@
+/**
+ * WallClassifier — spoof / iceberg / genuine heuristics for tracked walls.
+ *
+ * WallTracker calls observe() every time a scan re-confirms a wall, with the
+ * wall's distance from mid and size from the previous scan. That builds a
+ * per-wall behaviour record:
+ *
+ *   approachPulls — size dropped by PULL_DROP_RATIO while price was closing in
+ *                   (within APPROACH_PCT but not yet trading at the wall)
+ *   fills         — size dropped by FILL_DROP_RATIO with price at the wall
+ *   refills       — size restored by REFILL_RISE_RATIO after a fill
+ *   heldTouches   — price reached the wall and it stayed (no fill, no pull)
+ *
+ * When a wall disappears, noteRemoval() counts it per exchange+symbol+side as
+ * pulled (vanished while price approached) or consumed (vanished at the
+ * wall). That history is the prior for walls with no evidence of their own —
+ * a symbol whose walls keep vanishing on approach makes its next wall suspect.
+ *
+ * classify() turns both into { wallClass, classConfidence }:
+ *   'spoof'   — likely spoof: pulled (or shrinking) as price approaches
+ *   'iceberg' — refilling: size restored after being traded into
+ *   'genuine' — consumed by trades, or held when price touched it
+ *   null      — no price interaction yet and no telling history
+ *
+ * @module densityScanner/wallClassifier
+ */
+
+const APPROACH_PCT = 1.0;      // price this close (%) counts as approaching the wall
+const TOUCH_PCT = 0.15;        // price this close (%) is trading at the wall
+const CONSUMED_PCT = 0.3;      // a wall vanishing this close was eaten, not pulled
+const PULL_DROP_RATIO = 0.5;
+const FILL_DROP_RATIO = 0.2;
+const REFILL_RISE_RATIO = 0.25;
+const MIN_PRIOR_WEIGHT = 2.5;  // ≈ three recent near-price removals on that side
+const PRIOR_DECAY = 0.9;       // older removals weigh less (per new removal on that side)
+const MAX_SIDE_STATS = 20000;
+
+function emptyBehaviour() {
+  return { approachPulls: 0, fills: 0, refills: 0, heldTouches: 0, awaitingRefill: false, touching: false };
+}
+
+class WallClassifier {
+  constructor() {
+    /** @type {Map<string, { pulled: number, consumed: number }>} `${exchange}|${symbol}|${side}` → decayed counts */
+    this.sideStats = new Map();
+  }
+
+  _sideKey(record) {
+    return `${record.exchange}|${record.symbol}|${record.side}`;
+  }
+
+  /**
+   * Update a re-confirmed wall's behaviour from one scan to the next.
+   *
+   * @param {object} record — tracker record, already updated with this scan's values
+   * @param {number} previousPercentFromMid
+   * @param {number} previousVolumeUSD
+   */
+  observe(record, previousPercentFromMid, previousVolumeUSD) {
+    const behaviour = record.behaviour || (record.behaviour = emptyBehaviour());
+    const distance = Math.abs(record.percentFromMid);
+    const previousDistance = Math.abs(previousPercentFromMid);
+    const atWall = distance <= TOUCH_PCT || previousDistance <= TOUCH_PCT;
+    const change = previousVolumeUSD > 0 ? (record.volumeUSD - previousVolumeUSD) / previousVolumeUSD : 0;
+
+    if (change <= -FILL_DROP_RATIO && atWall) {
+      behaviour.fills += 1;
+      behaviour.awaitingRefill = true;
+    } else if (change <= -PULL_DROP_RATIO && distance <= APPROACH_PCT && distance < previousDistance) {
+      behaviour.approachPulls += 1;
+    } else if (change >= REFILL_RISE_RATIO && behaviour.awaitingRefill) {
+      behaviour.refills += 1;
+      behaviour.awaitingRefill = false;
+    }
+
+    // One held touch per visit: price must leave the wall before it counts again
+    if (distance <= TOUCH_PCT && !behaviour.touching) {
+      behaviour.touching = true;
+      if (change > -FILL_DROP_RATIO) behaviour.heldTouches += 1;
+    } else if (distance > TOUCH_PCT * 2) {
+      behaviour.touching = false;
+    }
+
+    Object.assign(record, this.classify(record));
+  }
+
+  /**
+   * Count a wall that just disappeared towards its side's history, and
+   * return its final classification.
+   *
+   * @param {object} record — tracker record (distance as of its last scan)
+   * @returns {{ wallClass: string|null, classConfidence: number }}
+   */
+  noteRemoval(record) {
+    const distance = Math.abs(record.percentFromMid);
+    if (distance > APPROACH_PCT) return this.classify(record); // withdrawn far from price: no signal
+
+    const key = this._sideKey(record);
+    const stats = this.sideStats.get(key) || { pulled: 0, consumed: 0 };
+    stats.pulled *= PRIOR_DECAY;
+    stats.consumed *= PRIOR_DECAY;
+    const consumed = distance <= CONSUMED_PCT;
+    if (consumed) stats.consumed += 1;
+    else stats.pulled += 1;
+    this.sideStats.delete(key); // re-insert: Map order doubles as LRU
+    this.sideStats.set(key, stats);
+    if (this.sideStats.size > MAX_SIDE_STATS) {
+      this.sideStats.delete(this.sideStats.keys().next().value);
+    }
+
+    const behaviour = record.behaviour || emptyBehaviour();
+    if (consumed) {
+      // Traded through in the end — a refilling wall stays an iceberg
+      return behaviour.refills > 0 ? this.classify(record) : { wallClass: 'genuine', classConfidence: 0.9 };
+    }
+    return { wallClass: 'spoof', classConfidence: behaviour.fills > 0 ? 0.6 : 0.85 };
+  }
+
+  /**
+   * Share of this side's recent near-price removals that were pulls, or null
+   * without enough history.
+   */
+  spoofRate(record) {
+    const stats = this.sideStats.get(this._sideKey(record));
+    if (!stats || stats.pulled + stats.consumed < MIN_PRIOR_WEIGHT) return null;
+    return stats.pulled / (stats.pulled + stats.consumed);
+  }
+
+  /**
+   * @param {object} record — tracker record
+   * @returns {{ wallClass: string|null, classConfidence: number }}
+   */
+  classify(record) {
+    const behaviour = record.behaviour || emptyBehaviour();
+    const prior = this.spoofRate(record);
+    const round = (value) => Math.round(Math.min(0.95, value) * 100) / 100;
+
+    if (behaviour.refills > 0) {
+      return { wallClass: 'iceberg', classConfidence: round(0.5 + 0.15 * behaviour.refills) };
+    }
+    if (behaviour.approachPulls > 0) {
+      return {
+        wallClass: 'spoof',
+        classConfidence: round(0.45 + 0.2 * behaviour.approachPulls + 0.2 * (prior || 0)),
+      };
+    }
+    if (behaviour.fills > 0) {
+      return { wallClass: 'genuine', classConfidence: round(0.5 + 0.15 * behaviour.fills) };
+    }
+    if (behaviour.heldTouches > 0) {
+      return { wallClass: 'genuine', classConfidence: round(0.35 + 0.1 * behaviour.heldTouches) };
+    }
+    if (prior != null && prior >= 0.5) {
+      return { wallClass: 'spoof', classConfidence: round(0.2 + 0.4 * prior) };
+    }
+    return { wallClass: null, classConfidence: 0 };
+  }
+}
+
+module.exports = { WallClassifier };
@@ -0,0 +1,179 @@
+/**
+ * Wall filters shared by the REST screener endpoint and the Socket.IO wall
+ * stream, so both return exactly the same walls for the same filter set.
+ *
+ * The stream keeps, per subscriber, the id → signature of every wall it has
+ * sent. After each scan of one exchange+market, diffWalls() re-ranks that
+ * pair's matching walls together with the walls the subscriber holds from
+ * other pairs, keeps the top filters.limit in sortWalls() order (the same
+ * top N the REST endpoint returns) and reports only what changed:
+ *   added   — in the top N now, not sent before (new wall, minAge reached, outranked another)
+ *   updated — sent before, price / size / relative size / distance / class changed
+ *   removed — sent before, gone from the tracker, no longer matching or outranked
+ *
+ * @module densityScanner/wallFilters
+ */
+
+const DEFAULT_MIN_VOLUME = 100000;
+const DEFAULT_MAX_DIST_FROM_MID = 10;
+const DEFAULT_LIMIT = 500;
+const MAX_LIMIT = 2000;
+const SORT_FIELDS = ['volumeUSD', 'wallAgeMs', 'percentFromMid', 'price', 'depthMultiple', 'pctOfDailyVolume'];
+// WallClassifier classes; 'unclassified' stands for wallClass null
+const WALL_CLASSES = ['genuine', 'iceberg', 'spoof', 'unclassified'];
+
+function toList(value) {
+  return (Array.isArray(value) ? value : String(value || '').split(','))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Normalize raw filters (REST query or socket payload; lists may be arrays
+ * or comma-separated strings).
+ *
+ * @param {object} raw
+ * @param {string[]} scannedExchanges — default when no exchange is given
+ */
+function normalizeWallFilters(raw = {}, scannedExchanges = []) {
+  const exchanges = toList(raw.exchanges).map((ex) => ex.toLowerCase());
+  const markets = toList(raw.markets).map((market) => market.toLowerCase());
+  const maxVolume = raw.maxVolume ? parseFloat(raw.maxVolume) : Infinity;
+  const order = String(raw.order || 'desc').toLowerCase();
+
+  let limit = parseInt(raw.limit) || DEFAULT_LIMIT;
+  if (limit > MAX_LIMIT) limit = MAX_LIMIT;
+  if (limit < 1) limit = 1;
+
+  return {
+    exchanges: exchanges.length > 0 ? exchanges : [...scannedExchanges],
+    markets: markets.length > 0 ? markets : ['futures', 'spot'],
+    minVolume: parseFloat(raw.minVolume) || DEFAULT_MIN_VOLUME,
+    maxVolume: Number.isNaN(maxVolume) ? Infinity : maxVolume,
+    side: String(raw.side || 'Both').toUpperCase(),
+    symbols: toList(raw.symbols).map((symbol) => symbol.toUpperCase()),
+    excludeSymbols: new Set(toList(raw.excludeSymbols).map((symbol) => symbol.toUpperCase())),
+    minAgeSeconds: parseInt(raw.minAge) || 0,
+    classes: toList(raw.classes).map((cls) => cls.toLowerCase()).filter((cls) => WALL_CLASSES.includes(cls)),
+    maxDistFromMid: parseFloat(raw.maxDistFromMid) || DEFAULT_MAX_DIST_FROM_MID,
+    // Relative size (0 = off): × typical book depth, % of the symbol's 24h volume
+    minDepthMultiple: parseFloat(raw.minDepthMultiple) || 0,
+    minPctOfDailyVolume: parseFloat(raw.minPctOfDailyVolume) || 0,
+    sort: SORT_FIELDS.includes(raw.sort) ? raw.sort : 'volumeUSD',
+    order: order === 'asc' ? 'asc' : 'desc',
+    limit,
+  };
+}
+
+/**
+ * @param {object} wall — tracker wall with wallAgeMs
+ * @param {object} filters — from normalizeWallFilters
+ */
+function matchesWallFilters(wall, filters) {
+  // Most selective first
+  if (!filters.exchanges.includes(wall.exchange)) return false;
+  if (!filters.markets.includes(wall.market)) return false;
+  if (wall.volumeUSD < filters.minVolume || wall.volumeUSD > filters.maxVolume) return false;
+  if (filters.side !== 'BOTH' && wall.side !== filters.side) return false;
+  if (filters.symbols.length > 0 && !filters.symbols.includes(wall.symbol)) return false;
+  if (filters.excludeSymbols.size > 0 && filters.excludeSymbols.has(wall.symbol)) return false;
+  if (filters.minAgeSeconds > 0 && wall.wallAgeMs < filters.minAgeSeconds * 1000) return false;
+  if (Math.abs(wall.percentFromMid) > filters.maxDistFromMid) return false;
+  if (filters.classes.length > 0 && !filters.classes.includes(wall.wallClass || 'unclassified')) return false;
+  // Walls without a known ratio can't be shown to pass a relative filter
+  if (filters.minDepthMultiple > 0 && !(wall.depthMultiple >= filters.minDepthMultiple)) return false;
+  if (filters.minPctOfDailyVolume > 0 && !(wall.pctOfDailyVolume >= filters.minPctOfDailyVolume)) return false;
+  return true;
+}
+
+/**
+ * Sort in place by filters.sort / filters.order (distance sorts by
+ * |percentFromMid|; walls without a relative size go last either way).
+ */
+function sortWalls(walls, { sort, order }) {
+  const value = (wall) => (sort === 'percentFromMid' ? Math.abs(wall.percentFromMid) : wall[sort]);
+  return walls.sort((a, b) => {
+    const left = value(a);
+    const right = value(b);
+    if (left == null || right == null) return (left == null) - (right == null);
+    return order === 'asc' ? left - right : right - left;
+  });
+}
+
+/** What a subscriber needs re-sent when it changes (age is derived client-side). */
+function wallSignature(wall) {
+  return [
+    wall.price,
+    wall.volumeUSD,
+    wall.percentFromMid,
+    wall.wallClass,
+    wall.classConfidence,
+    wall.depthMultiple,
+    wall.pctOfDailyVolume,
+  ].join('|');
+}
+
+/**
+ * Diff one exchange+market's current walls against what a subscriber was
+ * sent, and record the new state in `sent`. Walls of other pairs are ranked
+ * by the copy last sent; one pushed out of the top N is removed and only
+ * comes back after its own pair's next scan.
+ *
+ * @param {Map<string, {pair: string, signature: string, wall: object}>} sent — mutated
+ * @param {Array} walls — every tracked wall of this exchange+market
+ * @param {object} filters — from normalizeWallFilters
+ * @param {string} exchange
+ * @param {string} market
+ * @returns {{ added: Array, updated: Array, removed: string[] }}
+ */
+function diffWalls(sent, walls, filters, exchange, market) {
+  const pair = `${exchange}_${market}`;
+  const candidates = walls.filter((wall) => matchesWallFilters(wall, filters));
+  for (const entry of sent.values()) {
+    if (entry.pair !== pair) candidates.push(entry.wall);
+  }
+  const top = sortWalls(candidates, filters).slice(0, filters.limit);
+
+  const added = [];
+  const updated = [];
+  const kept = new Set();
+  for (const wall of top) {
+    kept.add(wall.id);
+    if (wall.exchange !== exchange || wall.market !== market) continue;
+    const signature = wallSignature(wall);
+    const previous = sent.get(wall.id);
+    if (!previous) added.push(wall);
+    else if (previous.signature !== signature) updated.push(wall);
+    sent.set(wall.id, { pair, signature, wall });
+  }
+
+  const removed = [];
+  for (const id of sent.keys()) {
+    if (kept.has(id)) continue;
+    sent.delete(id);
+    removed.push(id);
+  }
+
+  return { added, updated, removed };
+}
+
+/**
+ * Record a full snapshot as sent (replaces whatever the subscriber had).
+ *
+ * @param {Map<string, {pair: string, signature: string, wall: object}>} sent — mutated
+ * @param {Array} walls — walls included in the snapshot
+ */
+function resetSentWalls(sent, walls) {
+  sent.clear();
+  for (const wall of walls) {
+    sent.set(wall.id, { pair: `${wall.exchange}_${wall.market}`, signature: wallSignature(wall), wall });
+  }
+}
+
+module.exports = {
+  normalizeWallFilters,
+  matchesWallFilters,
+  sortWalls,
+  diffWalls,
+  resetSentWalls,
+};
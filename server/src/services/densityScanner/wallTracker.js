@@ -16,20 +16,40 @@
  * Persistence: saves wall state to PostgreSQL every SAVE_INTERVAL_MS.
  * On startup, restores previously-tracked walls so age survives restarts.
  *
+ * Events: after every processWalls() call a 'scan' event carries the walls
+ * seen in that scan (with their previous distance from mid and size) and the walls
+ * that just went missing for REMOVED_AFTER_MISSED_SCANS scans in a row.
+ * Each record keeps a stable `id` across re-keying so listeners can follow
+ * one wall from appearance to removal.
+ *
+ * Classification: every re-confirmed wall goes through WallClassifier, which
+ * sets `wallClass` ('spoof' | 'iceberg' | 'genuine' | null) and
+ * `classConfidence` (0..1) from its cycle-over-cycle size / distance changes.
+ *
  * @module densityScanner/wallTracker
  */
 
+const { EventEmitter } = require('events');
+const { WallClassifier } = require('./wallClassifier');
+
 const MAX_TRACKED_WALLS = 50000;
 const STALE_WALL_TTL_MS = 10 * 60 * 1000; // 10 minutes – remove walls not seen for this long
 const MATCH_BUCKET_RADIUS = 3;             // ±3 buckets ≈ ±0.3% price tolerance
 const PRICE_MATCH_TOLERANCE = 0.003;       // 0.3% — verify stored price is within this
 const SAVE_INTERVAL_MS = 60 * 1000;        // Save wall state to DB every 60s
 const SAVE_TABLE = 'density_wall_snapshots'; // raw SQL table (no Prisma model needed)
+const REMOVED_AFTER_MISSED_SCANS = 2;      // one missed scan is often just a book glitch
 
-class WallTracker {
+class WallTracker extends EventEmitter {
   constructor() {
+    super();
     /** @type {Map<string, object>} trackingKey → wallRecord */
     this.activeWalls = new Map();
+    this.classifier = new WallClassifier();
+  }
+
+  _makeWallId(key, now) {
+    return `${key}@${now}`;
   }
 
   /**
@@ -97,20 +117,25 @@ class WallTracker {
    *
    * For each wall in the new batch:
    *   - Try to find a matching existing wall (same exchange/symbol/side, price within 0.15%)
-   *   - If found: update lastSeenAt, volumeUSD, price, volume, percentFromMid
+   *   - If found: update lastSeenAt, volumeUSD, price, volume, percentFromMid and relative size
    *   - If not found: create new entry with firstSeenAt = now
    *
    * After processing, any walls not seen (whose exchange matches one in the batch's
    * exchanges set + market) and whose lastSeenAt is older than STALE_WALL_TTL_MS
    * are removed.
    *
+   * Emits 'scan' with { exchange, market, at, walls, removed } when anyone listens.
+   *
    * @param {Array} walls — array of wall objects from scanners:
-   *   { exchange, symbol, originalSymbol, market, side, price, volume, volumeUSD, percentFromMid, midPrice }
+   *   { exchange, symbol, originalSymbol, market, side, price, volume, volumeUSD, percentFromMid, midPrice,
+   *     typicalDepthUSD, depthMultiple, dailyVolumeUSD, pctOfDailyVolume }
    * @param {string} exchange — which exchange this batch is from (for stale cleanup scoping)
    * @param {string} market — which market type this batch is from
    */
   processWalls(walls, exchange, market) {
     const now = Date.now();
+    // record → { percentFromMid, volumeUSD } before this scan touched it (null for new walls)
+    const seen = new Map();
 
     // Process each new wall
     for (const wall of walls) {
@@ -127,13 +152,20 @@ class WallTracker {
           continue; // skip — keep the bigger wall in this bucket
         }
 
+        if (!seen.has(record)) seen.set(record, { percentFromMid: record.percentFromMid, volumeUSD: record.volumeUSD });
+
         // Update existing wall
         record.lastSeenAt = now;
+        record.missedScans = 0;
         record.price = wall.price;
         record.volume = wall.volume;
         record.volumeUSD = wall.volumeUSD;
         record.percentFromMid = wall.percentFromMid;
         record.midPrice = wall.midPrice;
+        record.typicalDepthUSD = wall.typicalDepthUSD ?? null;
+        record.depthMultiple = wall.depthMultiple ?? null;
+        record.dailyVolumeUSD = wall.dailyVolumeUSD ?? null;
+        record.pctOfDailyVolume = wall.pctOfDailyVolume ?? null;
         record.scansSeen += 1;
 
         // If the matching key changed (price drifted), re-key
@@ -145,7 +177,8 @@ class WallTracker {
       } else {
         // Create new wall
         const key = this._makeTrackingKey(wall.exchange, wall.symbol, wall.side, wall.price);
-        this.activeWalls.set(key, {
+        const record = {
+          id: this._makeWallId(key, now),
           exchange: wall.exchange,
           symbol: wall.symbol,
           originalSymbol: wall.originalSymbol,
@@ -156,13 +189,29 @@ class WallTracker {
           volumeUSD: wall.volumeUSD,
           percentFromMid: wall.percentFromMid,
           midPrice: wall.midPrice,
+          typicalDepthUSD: wall.typicalDepthUSD ?? null,
+          depthMultiple: wall.depthMultiple ?? null,
+          dailyVolumeUSD: wall.dailyVolumeUSD ?? null,
+          pctOfDailyVolume: wall.pctOfDailyVolume ?? null,
           firstSeenAt: now,
           lastSeenAt: now,
           scansSeen: 1,
-        });
+          missedScans: 0,
+        };
+        this.activeWalls.set(key, record);
+        seen.set(record, null);
       }
     }
 
+    for (const [record, previous] of seen) {
+      if (previous) this.classifier.observe(record, previous.percentFromMid, previous.volumeUSD);
+      else Object.assign(record, this.classifier.classify(record));
+    }
+
+    // An empty batch almost always means the feed failed, not that every
+    // wall vanished at once — don't count it as a missed scan.
+    const removed = walls.length > 0 ? this._countMissedScans(exchange, market, now) : [];
+
     // Remove stale walls for this exchange+market
     // Only remove walls that belong to the exchange+market we just scanned
     // (don't remove OKX walls just because Binance finished its scan)
@@ -170,6 +219,43 @@ class WallTracker {
 
     // Enforce memory cap
     this._enforceMemoryCap();
+
+    if (this.listenerCount('scan') > 0) {
+      const seenWalls = [];
+      for (const [record, previous] of seen) {
+        seenWalls.push({
+          ...record,
+          wallAgeMs: now - record.firstSeenAt,
+          previousPercentFromMid: previous ? previous.percentFromMid : null,
+          previousVolumeUSD: previous ? previous.volumeUSD : null,
+        });
+      }
+      this.emit('scan', { exchange, market, at: now, walls: seenWalls, removed });
+    }
+  }
+
+  /**
+   * Bump missedScans for this exchange+market's walls that were not in the
+   * batch and return snapshots of those that just reached
+   * REMOVED_AFTER_MISSED_SCANS. The records stay tracked until the stale
+   * TTL so a wall that comes back keeps its age.
+   *
+   * @param {string} exchange
+   * @param {string} market
+   * @param {number} now — timestamp of the current batch
+   * @returns {Array} removed wall snapshots (with wallAgeMs)
+   */
+  _countMissedScans(exchange, market, now) {
+    const removed = [];
+    for (const record of this.activeWalls.values()) {
+      if (record.exchange !== exchange || record.market !== market || record.lastSeenAt === now) continue;
+      record.missedScans = (record.missedScans || 0) + 1;
+      if (record.missedScans === REMOVED_AFTER_MISSED_SCANS) {
+        Object.assign(record, this.classifier.noteRemoval(record));
+        removed.push({ ...record, wallAgeMs: record.lastSeenAt - record.firstSeenAt });
+      }
+    }
+    return removed;
   }
 
   /**
@@ -216,12 +302,16 @@ class WallTracker {
 
   /**
    * Get all active walls as an array, enriched with wallAgeMs.
+   * @param {string} [exchange] — only this exchange's walls
+   * @param {string} [market] — only this market's walls
    * @returns {Array} — wall objects with added `wallAgeMs` field (ms since first seen)
    */
-  getAllWalls() {
+  getAllWalls(exchange, market) {
     const now = Date.now();
     const walls = [];
     for (const record of this.activeWalls.values()) {
+      if (exchange && record.exchange !== exchange) continue;
+      if (market && record.market !== market) continue;
       walls.push({
         ...record,
         wallAgeMs: now - record.firstSeenAt,
@@ -341,6 +431,8 @@ class WallTracker {
         // would immediately be evicted as "stale" since lastSeenAt
         // is from before the restart.
         record.lastSeenAt = now;
+        record.missedScans = 0;
+        if (!record.id) record.id = this._makeWallId(key, record.firstSeenAt || now);
         this.activeWalls.set(key, record);
         restored++;
       }
@@ -0,0 +1,384 @@
+/**
+ * Derivatives Alert Engine — funding-rate and open-interest alerts.
+ *
+ * Every POLL_INTERVAL_MS the engine reads derivativesService for each exchange
+ * with an active 'derivatives' alert (which also keeps that exchange's poller
+ * warm), keeps a per-symbol sample history long enough for the widest OI
+ * window, and evaluates each alert's condition (see derivativesConditions):
+ *
+ *   • funding_rate        — funding above / below a level,
+ *   • funding_flip        — funding changes sign between samples,
+ *   • oi_change           — OI moved N% over the window,
+ *   • oi_price_divergence — OI and price moved in opposite directions.
+ *
+ * Conditions are edge-triggered per alert + symbol: a symbol fires when its
+ * condition becomes true and re-arms once it is false again.  The first poll
+ * after an alert is loaded only seeds that state, so symbols already past the
+ * threshold do not all fire at once.  Fires go through the caller's
+ * onTriggered (socket + Telegram + email + AlertTrigger log in alertEngine).
+ *
+ * Runs only on the engine instance that holds the worker lease.
+ */
+
+const prisma = require('../utils/prisma');
+const derivativesService = require('./derivativesService');
+const {
+  MAX_DERIVATIVES_SYMBOLS,
+  normalizeDerivativesCondition,
+  evaluateDerivativesCondition,
+  describeDerivativesMatch,
+} = require('./derivativesConditions');
+const {
+  parseSymbols,
+  normalizeNotificationOptions,
+  getAlertLimits,
+  isAlertExpired,
+  isAlertSnoozed,
+  hasFiresLeft,
+  fireLimitedAlert,
+} = require('./alertLimits');
+
+const CACHE_REFRESH_MS = 30_000;
+const POLL_INTERVAL_MS = 30_000;
+const SAMPLE_INTERVAL_MS = 60_000; // history resolution for OI windows
+const WINDOW_SLACK_MS = 2 * 60_000; // a baseline up to 2 min younger than the window still counts
+const DEFAULT_DERIVATIVES_COOLDOWN_SEC = 15 * 60; // per alert + symbol, unless the alert sets its own
+const MAX_FIRES_PER_POLL = 5; // per alert — an "all symbols" alert must not flood the user
+
+let running = false;
+let hooks = { onTriggered: async () => {}, log: () => {} };
+let refreshTimer = null;
+let pollTimer = null;
+let pollInProgress = false;
+
+// Each entry: { id, userId, name, description, exchange, symbols[] (empty = all), condition, limits }
+let derivativesAlertsCache = [];
+
+// Map(exchange -> { updatedAt, series: Map(symbol -> [{ at, fundingRate, openInterest, price }]) })
+const exchangeHistory = new Map();
+
+// Map(alertId -> { signature, seeded, active: Set(symbol) }) — symbols whose condition currently holds
+const alertStates = new Map();
+
+// Map(`${alertId}|${symbol}` -> firedAt)
+const lastFires = new Map();
+
+// ---------------------------------------------------------------------------
+// Sample history
+// ---------------------------------------------------------------------------
+
+function toSample(row, at) {
+  return {
+    at,
+    fundingRate: Number.isFinite(row.fundingRate) ? row.fundingRate : null,
+    openInterest: Number.isFinite(row.openInterest) ? row.openInterest : null,
+    price: Number.isFinite(row.markPrice) ? row.markPrice : null,
+  };
+}
+
+/** Oldest sample that is at least windowMin old, or null while history is too short. */
+function findBaseline(series, windowMin, nowMs) {
+  const cutoff = nowMs - windowMin * 60_000;
+  let baseline = null;
+  for (const sample of series) {
+    if (sample.at > cutoff + WINDOW_SLACK_MS) break;
+    baseline = sample;
+  }
+  return baseline;
+}
+
+// ---------------------------------------------------------------------------
+// Polling & evaluation
+// ---------------------------------------------------------------------------
+
+async function pollDerivatives() {
+  if (!running || pollInProgress || derivativesAlertsCache.length === 0) return;
+  pollInProgress = true;
+  try {
+    const exchanges = [...new Set(derivativesAlertsCache.map((a) => a.exchange))];
+    for (const exchange of exchanges) {
+      if (!running) return;
+      try {
+        const result = await derivativesService.getDerivatives(exchange);
+        processExchange(exchange, result);
+      } catch (err) {
+        hooks.log('warn', 'derivatives.poll.error', { exchange, message: err?.message || String(err) });
+      }
+    }
+  } finally {
+    pollInProgress = false;
+  }
+}
+
+function processExchange(exchange, { updatedAt, rows }) {
+  const nowMs = Date.now();
+  const alerts = derivativesAlertsCache.filter((a) => a.exchange === exchange);
+  if (alerts.length === 0 || !Array.isArray(rows)) return;
+
+  let history = exchangeHistory.get(exchange);
+  if (!history) {
+    history = { updatedAt: 0, series: new Map() };
+    exchangeHistory.set(exchange, history);
+  }
+  // Same bulk snapshot as last poll — nothing new to evaluate
+  if (updatedAt && updatedAt === history.updatedAt) return;
+  history.updatedAt = updatedAt;
+
+  const watchAll = alerts.some((a) => a.symbols.length === 0);
+  const watched = new Set(alerts.flatMap((a) => a.symbols));
+  const samples = new Map();
+  for (const row of rows) {
+    if (!row?.symbol || (!watchAll && !watched.has(row.symbol))) continue;
+    samples.set(row.symbol, toSample(row, nowMs));
+  }
+
+  for (const alert of alerts) {
+    evaluateAlert(alert, history, samples, rows, nowMs);
+  }
+
+  // Append after evaluating so flips compare against the previous sample;
+  // funding-only alerts keep just that one
+  const maxWindowMs = Math.max(...alerts.map((a) => a.condition.windowMin || 0), 0) * 60_000;
+  for (const [symbol, sample] of samples) {
+    let series = history.series.get(symbol);
+    if (!series) {
+      series = [];
+      history.series.set(symbol, series);
+    }
+    const last = series[series.length - 1];
+    if (!last || sample.at - last.at >= SAMPLE_INTERVAL_MS) series.push(sample);
+    while (series.length > 1 && sample.at - series[0].at > maxWindowMs + WINDOW_SLACK_MS) series.shift();
+  }
+  for (const symbol of history.series.keys()) {
+    if (!samples.has(symbol)) history.series.delete(symbol);
+  }
+}
+
+function evaluateAlert(alert, history, samples, rows, nowMs) {
+  const state = alertStates.get(alert.id);
+  if (!state) return;
+  const { condition } = alert;
+  const symbols = alert.symbols.length > 0 ? alert.symbols : [...samples.keys()];
+  const candidates = [];
+
+  for (const symbol of symbols) {
+    const sample = samples.get(symbol);
+    if (!sample) continue;
+    const series = history.series.get(symbol) || [];
+    const match = evaluateDerivativesCondition(condition, sample, {
+      previous: series[series.length - 1] || null,
+      baseline: condition.windowMin ? findBaseline(series, condition.windowMin, nowMs) : null,
+    });
+    if (!match) {
+      state.active.delete(symbol);
+      continue;
+    }
+    if (state.active.has(symbol)) continue;
+    state.active.add(symbol);
+    candidates.push({ symbol, match });
+  }
+
+  const seeding = !state.seeded;
+  state.seeded = true;
+  if (seeding || isAlertExpired(alert.limits, nowMs) || isAlertSnoozed(alert.limits, nowMs)) return;
+
+  const rowBySymbol = new Map(rows.map((row) => [row.symbol, row]));
+  const cooldownMs = (alert.limits.cooldownSec || DEFAULT_DERIVATIVES_COOLDOWN_SEC) * 1000;
+  let budget = MAX_FIRES_PER_POLL;
+  let suppressed = 0;
+  for (const { symbol, match } of candidates) {
+    const fireKey = `${alert.id}|${symbol}`;
+    const previous = lastFires.get(fireKey);
+    if (previous && nowMs - previous < cooldownMs) continue;
+    if (budget <= 0) {
+      suppressed += 1;
+      continue;
+    }
+    budget -= 1;
+    lastFires.set(fireKey, nowMs);
+    const row = rowBySymbol.get(symbol) || { symbol };
+    setImmediate(() => fireDerivativesAlert(alert, row, match));
+  }
+  if (suppressed > 0) {
+    hooks.log('info', 'derivatives.fires.capped', { alertId: alert.id, suppressed, limit: MAX_FIRES_PER_POLL });
+  }
+}
+
+async function fireDerivativesAlert(alert, row, match) {
+  try {
+    const updatedAlert = await fireLimitedAlert(alert, () => {
+      derivativesAlertsCache = derivativesAlertsCache.filter((a) => a.id !== alert.id);
+      alertStates.delete(alert.id);
+      hooks.log('info', 'derivatives.deactivate', { alertIds: [alert.id], reason: 'max_fires' });
+    });
+    if (!updatedAlert) return;
+
+    const { condition } = alert;
+    const payload = {
+      id: updatedAlert.id,
+      alertId: updatedAlert.id,
+      name: updatedAlert.name,
+      description: updatedAlert.description ?? null,
+      triggered: true,
+      triggeredAt: updatedAlert.triggeredAt,
+      alertType: 'derivatives',
+      exchange: alert.exchange,
+      market: 'futures',
+      symbol: row.symbol,
+      currentPrice: Number.isFinite(row.markPrice) ? row.markPrice : null,
+      pctChange: Number.isFinite(match.pricePct) ? match.pricePct : null,
+      windowSeconds: condition.windowMin ? condition.windowMin * 60 : null,
+      derivativesMetric: condition.metric,
+      derivatives: {
+        fundingRate: row.fundingRate ?? null,
+        predictedFundingRate: row.predictedFundingRate ?? null,
+        nextFundingTime: row.nextFundingTime ?? null,
+        openInterest: row.openInterest ?? null,
+        openInterestUsd: row.openInterestUsd ?? null,
+        oiPct: Number.isFinite(match.oiPct) ? match.oiPct : null,
+        previousFundingPct: Number.isFinite(match.previousFundingPct) ? match.previousFundingPct : null,
+      },
+      conditionText: describeDerivativesMatch(condition, match),
+      fireCount: updatedAlert.fireCount,
+      notificationOptions: normalizeNotificationOptions(updatedAlert.notificationOptions),
+    };
+
+    await hooks.onTriggered(updatedAlert, payload);
+  } catch (err) {
+    hooks.log('error', 'trigger.derivatives.fire.error', {
+      alertId: alert.id,
+      symbol: row.symbol,
+      metric: alert.condition.metric,
+      message: err?.message || String(err),
+    });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Alert cache
+// ---------------------------------------------------------------------------
+
+async function refreshDerivativesAlerts() {
+  if (!running) return;
+  try {
+    const alerts = await prisma.alert.findMany({
+      where: { isActive: true, alertType: 'derivatives' },
+    });
+
+    const newCache = [];
+    const exhaustedIds = [];
+    for (const a of alerts) {
+      const limits = getAlertLimits(a.notificationOptions);
+      if (isAlertExpired(limits) || !hasFiresLeft(limits, a.fireCount)) {
+        exhaustedIds.push(a.id);
+        continue;
+      }
+      const condition = normalizeDerivativesCondition(a.conditions);
+      const exchange = String(a.exchange || '').toLowerCase();
+      if (!condition || !derivativesService.supports(exchange)) continue;
+      const symbols = Array.from(new Set(
+        parseSymbols(a.symbols).map((s) => String(s || '').toUpperCase().trim()).filter(Boolean)
+      )).slice(0, MAX_DERIVATIVES_SYMBOLS);
+
+      newCache.push({
+        id: a.id,
+        userId: a.userId,
+        name: a.name,
+        description: a.description ?? null,
+        exchange,
+        symbols,
+        condition,
+        limits,
+      });
+    }
+
+    if (exhaustedIds.length > 0) {
+      await prisma.alert.updateMany({
+        where: { id: { in: exhaustedIds }, isActive: true },
+        data: { isActive: false },
+      });
+      hooks.log('info', 'derivatives.deactivate', { alertIds: exhaustedIds, reason: 'expired_or_max_fires' });
+    }
+    if (!running) return;
+
+    derivativesAlertsCache = newCache;
+    syncAlertStates();
+
+    hooks.log('info', 'derivatives.cache.refresh', { count: newCache.length });
+  } catch (err) {
+    hooks.log('error', 'derivatives.cache.refresh.error', { message: err?.message || String(err) });
+  }
+}
+
+/** Keep state of unchanged alerts; edited alerts re-seed on their next poll. */
+function syncAlertStates() {
+  const alertIds = new Set();
+  const exchanges = new Set();
+  for (const alert of derivativesAlertsCache) {
+    alertIds.add(alert.id);
+    exchanges.add(alert.exchange);
+    const signature = JSON.stringify([alert.exchange, alert.symbols, alert.condition]);
+    const state = alertStates.get(alert.id);
+    if (state && state.signature === signature) continue;
+    alertStates.set(alert.id, { signature, seeded: false, active: new Set() });
+  }
+
+  for (const alertId of alertStates.keys()) {
+    if (!alertIds.has(alertId)) alertStates.delete(alertId);
+  }
+  for (const key of lastFires.keys()) {
+    if (!alertIds.has(key.split('|')[0])) lastFires.delete(key);
+  }
+  for (const exchange of exchangeHistory.keys()) {
+    if (!exchanges.has(exchange)) exchangeHistory.delete(exchange);
+  }
+}
+
+function startDerivativesAlerts(options = {}) {
+  if (running) return;
+  hooks = {
+    onTriggered: options.onTriggered || (async () => {}),
+    log: options.log || (() => {}),
+  };
+  running = true;
+  refreshDerivativesAlerts().then(() => pollDerivatives());
+  refreshTimer = setInterval(() => refreshDerivativesAlerts(), CACHE_REFRESH_MS);
+  pollTimer = setInterval(() => pollDerivatives(), POLL_INTERVAL_MS);
+  hooks.log('info', 'derivatives.loop.start', { pollIntervalMs: POLL_INTERVAL_MS });
+}
+
+function stopDerivativesAlerts() {
+  if (!running) return;
+  running = false;
+  if (refreshTimer) {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+  }
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+  alertStates.clear();
+  lastFires.clear();
+  exchangeHistory.clear();
+  derivativesAlertsCache = [];
+  hooks.log('info', 'derivatives.loop.stop');
+}
+
+function getDerivativesStatus() {
+  let trackedSymbols = 0;
+  for (const history of exchangeHistory.values()) trackedSymbols += history.series.size;
+  return {
+    running,
+    alerts: derivativesAlertsCache.length,
+    exchanges: [...exchangeHistory.keys()],
+    trackedSymbols,
+  };
+}
+
+module.exports = {
+  startDerivativesAlerts,
+  stopDerivativesAlerts,
+  refreshDerivativesAlerts,
+  getDerivativesStatus,
+};
@@ -0,0 +1,180 @@
+/**
+ * Funding-rate and open-interest alert conditions.
+ *
+ * Alert.conditions for alertType 'derivatives' holds one condition:
+ *
+ *   { metric: 'funding_rate', operator: 'above' | 'below', value }
+ *       value in percent per funding interval, e.g. 0.1 = 0.1%
+ *   { metric: 'funding_flip', direction: 'any' | 'to_positive' | 'to_negative' }
+ *   { metric: 'oi_change', direction: 'any' | 'increase' | 'decrease', value, windowMin }
+ *       open interest moved at least value % over the last windowMin minutes
+ *   { metric: 'oi_price_divergence', value, pricePct, windowMin }
+ *       OI moved at least value % while price moved at least pricePct % the
+ *       other way over the same window
+ *
+ * Scope (exchange, symbols) lives on the Alert row; market is always futures
+ * and an empty symbol list watches every perpetual on the exchange.
+ */
+
+const DERIVATIVES_METRICS = ['funding_rate', 'funding_flip', 'oi_change', 'oi_price_divergence'];
+const FLIP_DIRECTIONS = ['any', 'to_positive', 'to_negative'];
+const OI_DIRECTIONS = ['any', 'increase', 'decrease'];
+const MAX_FUNDING_PCT = 5;
+const MIN_WINDOW_MIN = 5;
+const MAX_WINDOW_MIN = 240;
+const MAX_DERIVATIVES_SYMBOLS = 50;
+
+function toNumber(value, fallback) {
+  if (value == null || value === '') return fallback;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function normalizeWindow(value) {
+  const windowMin = toNumber(value, 60);
+  if (windowMin == null || !Number.isInteger(windowMin)) return null;
+  if (windowMin < MIN_WINDOW_MIN || windowMin > MAX_WINDOW_MIN) return null;
+  return windowMin;
+}
+
+/**
+ * Validate a stored/incoming condition (object or JSON string).
+ * @returns {object|null} normalized condition, or null when invalid
+ */
+function normalizeDerivativesCondition(raw) {
+  let cond = raw;
+  if (typeof raw === 'string') {
+    try {
+      cond = JSON.parse(raw);
+    } catch {
+      return null;
+    }
+  }
+  if (Array.isArray(cond)) cond = cond[0];
+  if (!cond || typeof cond !== 'object') return null;
+
+  const metric = String(cond.metric || '').toLowerCase();
+  if (!DERIVATIVES_METRICS.includes(metric)) return null;
+
+  if (metric === 'funding_rate') {
+    const operator = String(cond.operator || 'above').toLowerCase();
+    if (operator !== 'above' && operator !== 'below') return null;
+    const value = toNumber(cond.value, null);
+    if (value == null || Math.abs(value) > MAX_FUNDING_PCT) return null;
+    return { metric, operator, value };
+  }
+
+  if (metric === 'funding_flip') {
+    const direction = String(cond.direction || 'any').toLowerCase();
+    if (!FLIP_DIRECTIONS.includes(direction)) return null;
+    return { metric, direction };
+  }
+
+  const windowMin = normalizeWindow(cond.windowMin);
+  if (windowMin == null) return null;
+  const value = toNumber(cond.value, 10);
+  if (value == null || value <= 0 || value > 1000) return null;
+
+  if (metric === 'oi_change') {
+    const direction = String(cond.direction || 'increase').toLowerCase();
+    if (!OI_DIRECTIONS.includes(direction)) return null;
+    return { metric, direction, value, windowMin };
+  }
+
+  const pricePct = toNumber(cond.pricePct, 1);
+  if (pricePct == null || pricePct < 0 || pricePct > 100) return null;
+  return { metric, value, pricePct, windowMin };
+}
+
+function pctChange(from, to) {
+  if (!Number.isFinite(from) || !Number.isFinite(to) || from === 0) return null;
+  return ((to - from) / Math.abs(from)) * 100;
+}
+
+/**
+ * Evaluate a condition for one symbol.
+ *
+ * @param {object} condition - normalized condition
+ * @param {object} sample - { fundingRate, openInterest, price } now
+ * @param {object} ctx
+ * @param {object|null} ctx.previous - previous sample (funding flips)
+ * @param {object|null} ctx.baseline - sample from windowMin ago (OI metrics)
+ * @returns {object|null} match details for the payload, or null when not met
+ */
+function evaluateDerivativesCondition(condition, sample, { previous = null, baseline = null } = {}) {
+  if (!sample) return null;
+  const fundingPct = Number.isFinite(sample.fundingRate) ? sample.fundingRate * 100 : null;
+
+  if (condition.metric === 'funding_rate') {
+    if (fundingPct == null) return null;
+    const hit = condition.operator === 'above' ? fundingPct > condition.value : fundingPct < condition.value;
+    return hit ? { fundingPct } : null;
+  }
+
+  if (condition.metric === 'funding_flip') {
+    const previousPct = Number.isFinite(previous?.fundingRate) ? previous.fundingRate * 100 : null;
+    if (fundingPct == null || previousPct == null || fundingPct === 0 || previousPct === 0) return null;
+    if (Math.sign(fundingPct) === Math.sign(previousPct)) return null;
+    const toPositive = fundingPct > 0;
+    if (condition.direction === 'to_positive' && !toPositive) return null;
+    if (condition.direction === 'to_negative' && toPositive) return null;
+    return { fundingPct, previousFundingPct: previousPct };
+  }
+
+  if (!baseline) return null;
+  const oiPct = pctChange(baseline.openInterest, sample.openInterest);
+  if (oiPct == null) return null;
+
+  if (condition.metric === 'oi_change') {
+    const hit =
+      (condition.direction !== 'decrease' && oiPct >= condition.value) ||
+      (condition.direction !== 'increase' && oiPct <= -condition.value);
+    return hit ? { oiPct, openInterest: sample.openInterest } : null;
+  }
+
+  const pricePctNow = pctChange(baseline.price, sample.price);
+  if (pricePctNow == null) return null;
+  if (Math.abs(oiPct) < condition.value || Math.abs(pricePctNow) < condition.pricePct) return null;
+  if (Math.sign(oiPct) === Math.sign(pricePctNow)) return null;
+  return { oiPct, pricePct: pricePctNow, openInterest: sample.openInterest };
+}
+
+function signed(value, digits) {
+  return `${value >= 0 ? '+' : ''}${value.toFixed(digits)}%`;
+}
+
+/**
+ * Short description of a fired condition, e.g.
+ * "funding 0.1200% (above 0.1%)" or "OI +12.40% in 60m while price -2.10%".
+ */
+function describeDerivativesMatch(condition, match) {
+  if (!condition) return 'Derivatives condition';
+  const m = match || {};
+  switch (condition.metric) {
+    case 'funding_rate':
+      return `funding ${Number.isFinite(m.fundingPct) ? `${m.fundingPct.toFixed(4)}%` : '—'} (${condition.operator} ${condition.value}%)`;
+    case 'funding_flip':
+      return Number.isFinite(m.fundingPct) && Number.isFinite(m.previousFundingPct)
+        ? `funding flipped from ${m.previousFundingPct.toFixed(4)}% to ${m.fundingPct.toFixed(4)}%`
+        : 'funding flipped sign';
+    case 'oi_change':
+      return Number.isFinite(m.oiPct)
+        ? `OI ${signed(m.oiPct, 2)} in ${condition.windowMin}m`
+        : `OI changed ${condition.value}% in ${condition.windowMin}m`;
+    case 'oi_price_divergence':
+      return Number.isFinite(m.oiPct) && Number.isFinite(m.pricePct)
+        ? `OI ${signed(m.oiPct, 2)} in ${condition.windowMin}m while price ${signed(m.pricePct, 2)}`
+        : 'OI / price divergence';
+    default:
+      return condition.metric;
+  }
+}
+
+module.exports = {
+  DERIVATIVES_METRICS,
+  MAX_WINDOW_MIN,
+  MAX_DERIVATIVES_SYMBOLS,
+  normalizeDerivativesCondition,
+  evaluateDerivativesCondition,
+  describeDerivativesMatch,
+};
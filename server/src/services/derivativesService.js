@@ -0,0 +1,222 @@
+/**
+ * DerivativesService — funding rate, open interest and top-trader long/short
+ * ratio for every USDT perpetual on the exchanges whose adapter implements
+ * fetchDerivatives (see exchangeAdapters/index.js).
+ *
+ * Polling is demand-driven: an exchange is only refreshed while something
+ * (the market table, alert engines) has asked for it in the last IDLE_TTL_MS.
+ *   1. Bulk refresh — one adapter.fetchDerivatives() call every BULK_REFRESH_MS
+ *   2. Symbol sweep — adapter.fetchSymbolDerivatives(symbol) for every symbol,
+ *      SYMBOL_CONCURRENCY at a time, at most once per SWEEP_INTERVAL_MS. Fills
+ *      what the bulk endpoints lack (long/short ratio, Binance OI, OKX funding).
+ * The first request for an exchange waits for the bulk refresh; later requests
+ * are served from cache.
+ */
+
+const { getExchangeAdapter, listExchangeAdapters } = require('./exchangeAdapters');
+
+const BULK_REFRESH_MS = 30 * 1000;
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+const IDLE_TTL_MS = 5 * 60 * 1000;
+const SYMBOL_CONCURRENCY = 5;
+const SWEEP_BATCH_DELAY_MS = 250;
+const TICK_MS = 5000;
+
+const SYMBOL_FIELDS = [
+  'markPrice',
+  'fundingRate',
+  'predictedFundingRate',
+  'nextFundingTime',
+  'openInterest',
+  'openInterestUsd',
+  'longShortRatio',
+];
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+class DerivativesService {
+  constructor() {
+    this.states = new Map(); // exchange → state (see getState)
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), TICK_MS);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * @param {string} exchange
+   * @returns {boolean} Whether the exchange exposes funding / OI data
+   */
+  supports(exchange) {
+    const adapter = getExchangeAdapter(exchange);
+    return Boolean(adapter && typeof adapter.fetchDerivatives === 'function');
+  }
+
+  /** Ids of the exchanges that expose funding / OI data. */
+  getSupportedExchanges() {
+    return listExchangeAdapters()
+      .filter((adapter) => typeof adapter.fetchDerivatives === 'function')
+      .map((adapter) => adapter.id);
+  }
+
+  getState(exchange) {
+    let state = this.states.get(exchange);
+    if (!state) {
+      state = {
+        bulk: new Map(), // symbol → row from fetchDerivatives
+        extras: new Map(), // symbol → partial row from fetchSymbolDerivatives
+        updatedAt: 0,
+        lastRequestedAt: 0,
+        lastError: null,
+        refreshing: null,
+        sweeping: false,
+        lastSweepAt: 0,
+      };
+      this.states.set(exchange, state);
+    }
+    return state;
+  }
+
+  /**
+   * All cached derivatives rows for an exchange (futures only).
+   * @param {string} exchange - Adapter id
+   * @returns {Promise<{ exchange: string, updatedAt: number, scanning: boolean, rows: Object[] }>}
+   */
+  async getDerivatives(exchange) {
+    const adapter = getExchangeAdapter(exchange);
+    if (!adapter || typeof adapter.fetchDerivatives !== 'function') {
+      throw new Error(`${exchange} does not provide derivatives data`);
+    }
+    const state = this.getState(adapter.id);
+    state.lastRequestedAt = Date.now();
+    this.start();
+
+    if (state.updatedAt === 0) {
+      await this.refreshBulk(adapter);
+      if (state.updatedAt === 0 && state.lastError) throw state.lastError;
+    } else if (Date.now() - state.updatedAt > BULK_REFRESH_MS) {
+      this.refreshBulk(adapter).catch(() => {});
+    }
+    this.maybeSweep(adapter);
+
+    return {
+      exchange: adapter.id,
+      updatedAt: state.updatedAt,
+      scanning: state.sweeping,
+      rows: [...state.bulk.keys()].map((symbol) => this.buildRow(state, symbol)),
+    };
+  }
+
+  /**
+   * Single merged row, or null when the symbol is not listed / not cached yet.
+   */
+  async getSymbolDerivatives(exchange, symbol) {
+    const { rows } = await this.getDerivatives(exchange);
+    const wanted = String(symbol || '').toUpperCase();
+    return rows.find((row) => row.symbol === wanted) || null;
+  }
+
+  buildRow(state, symbol) {
+    const row = { symbol };
+    const bulk = state.bulk.get(symbol) || {};
+    const extra = state.extras.get(symbol) || {};
+    for (const field of SYMBOL_FIELDS) {
+      row[field] = bulk[field] ?? extra[field] ?? null;
+    }
+    if (row.openInterestUsd == null && row.openInterest != null && row.markPrice != null) {
+      row.openInterestUsd = row.openInterest * row.markPrice;
+    }
+    return row;
+  }
+
+  refreshBulk(adapter) {
+    const state = this.getState(adapter.id);
+    if (state.refreshing) return state.refreshing;
+
+    state.refreshing = (async () => {
+      try {
+        const rows = await adapter.fetchDerivatives();
+        const bulk = new Map();
+        for (const row of rows || []) {
+          if (row?.symbol) bulk.set(row.symbol, row);
+        }
+        state.bulk = bulk;
+        state.updatedAt = Date.now();
+        state.lastError = null;
+      } catch (error) {
+        state.lastError = error;
+        console.warn(`[Derivatives] ${adapter.id} bulk refresh failed:`, error.message);
+      } finally {
+        state.refreshing = null;
+      }
+    })();
+    return state.refreshing;
+  }
+
+  maybeSweep(adapter) {
+    if (typeof adapter.fetchSymbolDerivatives !== 'function') return;
+    const state = this.getState(adapter.id);
+    if (state.sweeping || state.bulk.size === 0) return;
+    if (Date.now() - state.lastSweepAt < SWEEP_INTERVAL_MS) return;
+
+    state.sweeping = true;
+    state.lastSweepAt = Date.now();
+    this.sweep(adapter, state)
+      .catch((error) => console.warn(`[Derivatives] ${adapter.id} symbol sweep failed:`, error.message))
+      .finally(() => {
+        state.sweeping = false;
+      });
+  }
+
+  async sweep(adapter, state) {
+    const symbols = [...state.bulk.keys()];
+    let failures = 0;
+    for (let i = 0; i < symbols.length; i += SYMBOL_CONCURRENCY) {
+      if (!this.isWanted(state)) return;
+      const batch = symbols.slice(i, i + SYMBOL_CONCURRENCY);
+      const results = await Promise.allSettled(batch.map((symbol) => adapter.fetchSymbolDerivatives(symbol)));
+      results.forEach((result, index) => {
+        if (result.status === 'fulfilled' && result.value) {
+          state.extras.set(batch[index], result.value);
+        } else {
+          failures += 1;
+        }
+      });
+      await sleep(SWEEP_BATCH_DELAY_MS);
+    }
+    if (failures > 0) {
+      console.warn(`[Derivatives] ${adapter.id} sweep: ${failures}/${symbols.length} symbols failed`);
+    }
+  }
+
+  isWanted(state) {
+    return Date.now() - state.lastRequestedAt < IDLE_TTL_MS;
+  }
+
+  tick() {
+    let anyWanted = false;
+    for (const [exchange, state] of this.states.entries()) {
+      if (!this.isWanted(state)) continue;
+      anyWanted = true;
+      const adapter = getExchangeAdapter(exchange);
+      if (!adapter) continue;
+      if (Date.now() - state.updatedAt > BULK_REFRESH_MS) {
+        this.refreshBulk(adapter).catch(() => {});
+      }
+      this.maybeSweep(adapter);
+    }
+    // Nothing asked for data recently — go idle until the next request
+    if (!anyWanted) this.stop();
+  }
+}
+
+module.exports = new DerivativesService();
@@ -0,0 +1,181 @@
+/**
+ * ExchangeAdapter conformance suite.
+ *
+ * Every registered adapter runs against the REST responses recorded in
+ * ./fixtures/<id>.json and must return what the contract in ../index.js
+ * promises, whatever the exchange's wire format. A fixture file is
+ * { symbol, responses: [{ url, params?, data }] }; a request is answered by
+ * the first response whose url matches and whose params are a subset of the
+ * request's. Unmatched requests fail like an upstream 404.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('axios', () => ({ get: jest.fn(), post: jest.fn() }));
+jest.mock('../../priceWatcher', () => ({
+  onTick: jest.fn(),
+  offTick: jest.fn(),
+  retainMarket: jest.fn(),
+  releaseMarket: jest.fn(),
+}));
+
+const axios = require('axios');
+const priceWatcher = require('../../priceWatcher');
+const { listExchangeAdapters, REQUIRED_METHODS } = require('..');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const KLINE_LIMIT = 3;
+const BOOK_LIMIT = 5;
+
+function loadFixture(id) {
+  const file = path.join(FIXTURES_DIR, `${id}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+}
+
+const adapters = listExchangeAdapters();
+const fixtures = new Map(adapters.map((adapter) => [adapter.id, loadFixture(adapter.id)]));
+const recorded = [...fixtures.values()].filter(Boolean).flatMap((fixture) => fixture.responses);
+
+function replay(url, config = {}) {
+  const params = config.params || {};
+  const match = recorded.find((entry) => entry.url === url
+    && Object.entries(entry.params || {}).every(([key, value]) => String(params[key]) === String(value)));
+  if (match) return Promise.resolve({ status: 200, data: match.data });
+  const error = new Error(`No recorded response for GET ${url} ${JSON.stringify(params)}`);
+  error.response = { status: 404, data: {} };
+  return Promise.reject(error);
+}
+
+const isPositive = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+const isNumberOrNull = (value) => value === null || (typeof value === 'number' && Number.isFinite(value));
+
+beforeAll(() => {
+  // The services log every request
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+beforeEach(() => {
+  axios.get.mockImplementation(replay);
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+});
+
+describe.each(adapters.map((adapter) => [adapter.id, adapter]))('%s adapter', (id, adapter) => {
+  const fixture = fixtures.get(id);
+
+  it('has recorded fixtures', () => {
+    expect(fixture).not.toBeNull();
+    expect(typeof fixture.symbol).toBe('string');
+    expect(fixture.responses.length).toBeGreaterThan(0);
+  });
+
+  it('implements the contract', () => {
+    for (const method of REQUIRED_METHODS) {
+      expect(typeof adapter[method]).toBe('function');
+    }
+    expect(adapter.markets.every((market) => market === 'futures' || market === 'spot')).toBe(true);
+    expect(typeof adapter.name).toBe('string');
+  });
+
+  it('normalizes symbols to the BTCUSDT form', () => {
+    expect(adapter.normalizeSymbol(fixture.symbol)).toBe(fixture.symbol);
+    expect(adapter.normalizeSymbol(fixture.symbol.toLowerCase())).toBe(fixture.symbol);
+  });
+
+  it('classifies upstream errors as booleans', () => {
+    expect(typeof adapter.isTemporaryUpstreamError(new Error('boom'))).toBe('boolean');
+    expect(typeof adapter.isTemporaryUpstreamError({ response: { status: 503 } })).toBe('boolean');
+  });
+
+  describe.each(adapter.markets)('%s', (market) => {
+    it('lists tradable symbols', async () => {
+      const symbols = await adapter.listSymbols(market);
+      expect(Array.isArray(symbols)).toBe(true);
+      expect(symbols).toContain(fixture.symbol);
+      expect(new Set(symbols).size).toBe(symbols.length);
+      for (const symbol of symbols) {
+        expect(adapter.normalizeSymbol(symbol)).toBe(symbol);
+      }
+    });
+
+    it('returns a ticker snapshot keyed by symbol', async () => {
+      const snapshot = await adapter.fetchTickerSnapshot([fixture.symbol], market, { exchangeOnly: true });
+      expect(isPositive(snapshot[fixture.symbol])).toBe(true);
+    });
+
+    it('returns chronological klines in seconds', async () => {
+      const klines = await adapter.fetchKlines(fixture.symbol, market, '1m', KLINE_LIMIT);
+      expect(klines.length).toBeGreaterThan(0);
+      expect(klines.length).toBeLessThanOrEqual(KLINE_LIMIT);
+      klines.forEach((kline, index) => {
+        expect(Number.isInteger(kline.time)).toBe(true);
+        // Seconds, not milliseconds
+        expect(kline.time).toBeLessThan(1e11);
+        for (const field of ['open', 'high', 'low', 'close']) {
+          expect(isPositive(kline[field])).toBe(true);
+        }
+        expect(kline.high).toBeGreaterThanOrEqual(Math.max(kline.open, kline.close, kline.low));
+        expect(kline.low).toBeLessThanOrEqual(Math.min(kline.open, kline.close));
+        expect(kline.volume).toBeGreaterThanOrEqual(0);
+        if (index > 0) expect(kline.time).toBeGreaterThan(klines[index - 1].time);
+      });
+    });
+
+    it('returns a sorted order book in base coin', async () => {
+      const book = await adapter.fetchOrderBook(fixture.symbol, market, { limit: BOOK_LIMIT });
+      for (const side of ['bids', 'asks']) {
+        expect(book[side].length).toBeGreaterThan(0);
+        expect(book[side].length).toBeLessThanOrEqual(BOOK_LIMIT);
+        for (const [price, quantity] of book[side]) {
+          expect(isPositive(price)).toBe(true);
+          expect(isPositive(quantity)).toBe(true);
+        }
+      }
+      const bidPrices = book.bids.map(([price]) => price);
+      const askPrices = book.asks.map(([price]) => price);
+      expect(bidPrices).toEqual([...bidPrices].sort((a, b) => b - a));
+      expect(askPrices).toEqual([...askPrices].sort((a, b) => a - b));
+      expect(bidPrices[0]).toBeLessThan(askPrices[0]);
+      // Contract-quoted books are converted: every fixture's best level is a few coins at most
+      expect(book.bids[0][1] * bidPrices[0]).toBeLessThan(1e6);
+      expect(book.timestamp).toBeGreaterThan(1e12);
+    });
+
+    it('forwards live ticks for its own exchange and market only', () => {
+      const onTick = jest.fn();
+      const unsubscribe = adapter.watchTicker(market, onTick);
+      expect(priceWatcher.retainMarket).toHaveBeenCalledWith(id, market);
+
+      const listener = priceWatcher.onTick.mock.calls[priceWatcher.onTick.mock.calls.length - 1][0];
+      listener({ exchange: id, market, prices: { [fixture.symbol]: 1 } });
+      listener({ exchange: `${id}-other`, market, prices: { [fixture.symbol]: 2 } });
+      listener({ exchange: id, market: market === 'spot' ? 'futures' : 'spot', prices: { [fixture.symbol]: 3 } });
+      expect(onTick).toHaveBeenCalledTimes(1);
+      expect(onTick).toHaveBeenCalledWith({ [fixture.symbol]: 1 });
+
+      unsubscribe();
+      expect(priceWatcher.offTick).toHaveBeenCalledWith(listener);
+      expect(priceWatcher.releaseMarket).toHaveBeenCalledWith(id, market);
+    });
+  });
+
+  const derivativesIt = adapter.fetchDerivatives ? it : it.skip;
+  derivativesIt('returns derivatives rows in contract units', async () => {
+    const rows = await adapter.fetchDerivatives();
+    expect(rows.map((row) => row.symbol)).toContain(fixture.symbol);
+    for (const row of rows) {
+      expect(adapter.normalizeSymbol(row.symbol)).toBe(row.symbol);
+      for (const field of ['markPrice', 'fundingRate', 'predictedFundingRate', 'nextFundingTime', 'openInterest', 'openInterestUsd']) {
+        expect(isNumberOrNull(row[field])).toBe(true);
+      }
+      // Fractions, not percent
+      if (row.fundingRate != null) expect(Math.abs(row.fundingRate)).toBeLessThan(0.05);
+      if (row.nextFundingTime != null) expect(row.nextFundingTime).toBeGreaterThan(1e12);
+    }
+  });
+});
@@ -0,0 +1,82 @@
+const axios = require('axios');
+const binanceService = require('../binanceService');
+const { createServiceAdapter, toLevels, toNumberOrNull } = require('./createServiceAdapter');
+
+const BINANCE_FUTURES_DATA_URL = 'https://fapi.binance.com/futures/data';
+
+const DEPTH_LIMITS = [5, 10, 20, 50, 100, 500, 1000];
+
+function isTemporaryUpstreamError(error) {
+  const status = error?.statusCode || error?.status || error?.response?.status;
+  if ([429, 502, 503, 504].includes(status)) return true;
+
+  const message = String(error?.message || '').toLowerCase();
+  return (
+    message.includes('rate limit exceeded') ||
+    message.includes('temporarily unavailable') ||
+    message.includes('server error') ||
+    message.includes('restricted location')
+  );
+}
+
+async function fetchOrderBook(symbol, market, { limit = 100 } = {}) {
+  const depthLimit = DEPTH_LIMITS.find((n) => n >= limit) || 1000;
+  const response = await binanceService.requestBinanceWithFallback(
+    market,
+    '/depth',
+    { params: { symbol: symbol.toUpperCase(), limit: depthLimit }, timeout: 10000 },
+    (data) => Array.isArray(data?.bids) && Array.isArray(data?.asks)
+  );
+  const data = response.data;
+  return {
+    bids: toLevels(data.bids).slice(0, limit),
+    asks: toLevels(data.asks).slice(0, limit),
+    timestamp: Number(data.T || data.E) || Date.now(),
+  };
+}
+
+async function fetchDerivatives() {
+  const response = await binanceService.requestBinanceWithFallback(
+    'futures',
+    '/premiumIndex',
+    { timeout: 15000 },
+    (data) => Array.isArray(data)
+  );
+  return response.data
+    .filter((row) => typeof row.symbol === 'string' && row.symbol.endsWith('USDT'))
+    .map((row) => ({
+      symbol: row.symbol,
+      markPrice: toNumberOrNull(row.markPrice),
+      fundingRate: toNumberOrNull(row.lastFundingRate),
+      predictedFundingRate: null,
+      nextFundingTime: toNumberOrNull(row.nextFundingTime) || null,
+      // premiumIndex has no OI; filled per symbol below
+      openInterest: null,
+      openInterestUsd: null,
+    }));
+}
+
+async function fetchSymbolDerivatives(symbol) {
+  const [openInterest, ratio] = await Promise.all([
+    binanceService.requestBinanceWithFallback('futures', '/openInterest', { params: { symbol }, timeout: 10000 }),
+    axios.get(`${BINANCE_FUTURES_DATA_URL}/topLongShortPositionRatio`, {
+      params: { symbol, period: '5m', limit: 1 },
+      timeout: 10000,
+    }),
+  ]);
+  const latest = Array.isArray(ratio.data) ? ratio.data[ratio.data.length - 1] : null;
+  return {
+    openInterest: toNumberOrNull(openInterest.data?.openInterest),
+    longShortRatio: toNumberOrNull(latest?.longShortRatio),
+  };
+}
+
+module.exports = createServiceAdapter({
+  id: 'binance',
+  name: 'Binance',
+  service: binanceService,
+  fetchOrderBook,
+  isTemporaryUpstreamError,
+  fetchDerivatives,
+  fetchSymbolDerivatives,
+});
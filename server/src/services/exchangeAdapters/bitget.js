@@ -0,0 +1,74 @@
+const axios = require('axios');
+const bitgetService = require('../bitgetService');
+const { createServiceAdapter, toLevels, toNumberOrNull } = require('./createServiceAdapter');
+
+const BITGET_BASE_URL = 'https://api.bitget.com/api/v2';
+
+async function fetchOrderBook(symbol, market, { limit = 100 } = {}) {
+  const response = market === 'futures'
+    ? await axios.get(`${BITGET_BASE_URL}/mix/market/merge-depth`, {
+      params: { symbol: symbol.toUpperCase(), productType: 'usdt-futures', limit: String(Math.min(limit, 100)) },
+      timeout: 10000,
+    })
+    : await axios.get(`${BITGET_BASE_URL}/spot/market/orderbook`, {
+      params: { symbol: symbol.toUpperCase(), type: 'step0', limit: Math.min(limit, 150) },
+      timeout: 10000,
+    });
+  if (response.data?.code !== '00000') {
+    throw new Error(`Bitget orderbook error: ${response.data?.msg || 'unknown'}`);
+  }
+  const book = response.data.data || {};
+  return {
+    bids: toLevels(book.bids).slice(0, limit),
+    asks: toLevels(book.asks).slice(0, limit),
+    timestamp: Number(book.ts) || Date.now(),
+  };
+}
+
+async function getBitgetData(path, params) {
+  const response = await axios.get(`${BITGET_BASE_URL}${path}`, { params, timeout: 15000 });
+  if (response.data?.code !== '00000') {
+    throw new Error(`Bitget ${path} error: ${response.data?.msg || 'unknown'}`);
+  }
+  return response.data.data || [];
+}
+
+async function fetchDerivatives() {
+  const tickers = await getBitgetData('/mix/market/tickers', { productType: 'USDT-FUTURES' });
+  return tickers
+    .filter((row) => typeof row.symbol === 'string' && row.symbol.endsWith('USDT'))
+    .map((row) => ({
+      symbol: row.symbol,
+      markPrice: toNumberOrNull(row.markPrice),
+      fundingRate: toNumberOrNull(row.fundingRate),
+      predictedFundingRate: null,
+      // funding time is per symbol only; filled below
+      nextFundingTime: null,
+      openInterest: toNumberOrNull(row.holdingAmount),
+      openInterestUsd: null,
+    }));
+}
+
+async function fetchSymbolDerivatives(symbol) {
+  const params = { symbol, productType: 'USDT-FUTURES' };
+  const [fundingTime, ratio] = await Promise.all([
+    getBitgetData('/mix/market/funding-time', params),
+    getBitgetData('/mix/market/position-long-short', { symbol, period: '5m' }),
+  ]);
+  const latest = Array.isArray(ratio) ? ratio[ratio.length - 1] : null;
+  const long = toNumberOrNull(latest?.longPositionRatio);
+  const short = toNumberOrNull(latest?.shortPositionRatio);
+  return {
+    nextFundingTime: toNumberOrNull(fundingTime[0]?.nextFundingTime) || null,
+    longShortRatio: toNumberOrNull(latest?.longShortPositionRatio) ?? (long != null && short ? long / short : null),
+  };
+}
+
+module.exports = createServiceAdapter({
+  id: 'bitget',
+  name: 'Bitget',
+  service: bitgetService,
+  fetchOrderBook,
+  fetchDerivatives,
+  fetchSymbolDerivatives,
+});
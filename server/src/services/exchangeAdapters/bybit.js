@@ -0,0 +1,70 @@
+const axios = require('axios');
+const bybitService = require('../bybitService');
+const { createServiceAdapter, toLevels, toNumberOrNull } = require('./createServiceAdapter');
+
+const BYBIT_BASE_URL = 'https://api.bybit.com';
+
+async function fetchOrderBook(symbol, market, { limit = 100 } = {}) {
+  const response = await axios.get(`${BYBIT_BASE_URL}/v5/market/orderbook`, {
+    params: {
+      category: market === 'spot' ? 'spot' : 'linear',
+      symbol: symbol.toUpperCase(),
+      limit: Math.min(limit, market === 'spot' ? 200 : 500),
+    },
+    timeout: 10000,
+  });
+  if (response.data?.retCode !== 0) {
+    throw new Error(`Bybit orderbook error: ${response.data?.retMsg || 'unknown'}`);
+  }
+  const result = response.data.result || {};
+  return {
+    bids: toLevels(result.b).slice(0, limit),
+    asks: toLevels(result.a).slice(0, limit),
+    timestamp: Number(result.ts) || Date.now(),
+  };
+}
+
+async function fetchDerivatives() {
+  const response = await axios.get(`${BYBIT_BASE_URL}/v5/market/tickers`, {
+    params: { category: 'linear' },
+    timeout: 15000,
+  });
+  if (response.data?.retCode !== 0) {
+    throw new Error(`Bybit tickers error: ${response.data?.retMsg || 'unknown'}`);
+  }
+  const list = response.data.result?.list || [];
+  return list
+    .filter((row) => typeof row.symbol === 'string' && row.symbol.endsWith('USDT'))
+    .map((row) => ({
+      symbol: row.symbol,
+      markPrice: toNumberOrNull(row.markPrice),
+      fundingRate: toNumberOrNull(row.fundingRate),
+      predictedFundingRate: null,
+      nextFundingTime: toNumberOrNull(row.nextFundingTime) || null,
+      openInterest: toNumberOrNull(row.openInterest),
+      openInterestUsd: toNumberOrNull(row.openInterestValue),
+    }));
+}
+
+async function fetchSymbolDerivatives(symbol) {
+  const response = await axios.get(`${BYBIT_BASE_URL}/v5/market/account-ratio`, {
+    params: { category: 'linear', symbol, period: '5min', limit: 1 },
+    timeout: 10000,
+  });
+  if (response.data?.retCode !== 0) {
+    throw new Error(`Bybit account-ratio error: ${response.data?.retMsg || 'unknown'}`);
+  }
+  const latest = response.data.result?.list?.[0];
+  const buy = toNumberOrNull(latest?.buyRatio);
+  const sell = toNumberOrNull(latest?.sellRatio);
+  return { longShortRatio: buy != null && sell ? buy / sell : null };
+}
+
+module.exports = createServiceAdapter({
+  id: 'bybit',
+  name: 'Bybit',
+  service: bybitService,
+  fetchOrderBook,
+  fetchDerivatives,
+  fetchSymbolDerivatives,
+});
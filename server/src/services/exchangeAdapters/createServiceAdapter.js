@@ -0,0 +1,159 @@
+/**
+ * Wraps one of the per-exchange REST services (binanceService, bybitService, ...)
+ * into the ExchangeAdapter contract described in ./index.js. Pieces the services
+ * don't provide — order books, upstream error classification, derivatives — are
+ * passed in by the adapter module.
+ */
+
+const priceWatcher = require('../priceWatcher');
+
+const MARKETS = ['futures', 'spot'];
+
+function normalizeMarket(market) {
+  return String(market || 'futures').toLowerCase() === 'spot' ? 'spot' : 'futures';
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.id - Route / registry key, e.g. 'binance'
+ * @param {string} options.name - Display name, e.g. 'Binance'
+ * @param {Object} options.service - REST service module
+ * @param {(symbol: string, market: string, options?: { limit?: number }) => Promise<Object>} options.fetchOrderBook
+ * @param {(error: Error) => boolean} [options.isTemporaryUpstreamError]
+ * @param {string[]} [options.markets] - Subset of MARKETS for futures-only exchanges
+ * @param {() => Promise<Object[]>} [options.fetchDerivatives] - Bulk funding / OI rows for all perpetuals
+ * @param {(symbol: string) => Promise<Object>} [options.fetchSymbolDerivatives] - Per-symbol extras (long/short ratio, ...)
+ */
+function createServiceAdapter({
+  id,
+  name,
+  service,
+  fetchOrderBook,
+  isTemporaryUpstreamError = null,
+  markets = MARKETS,
+  fetchDerivatives = null,
+  fetchSymbolDerivatives = null,
+}) {
+  return {
+    id,
+    name,
+    markets,
+
+    normalizeSymbol(symbol) {
+      return service.normalizeSymbol(symbol);
+    },
+
+    async listSymbols(market) {
+      const normalizedMarket = normalizeMarket(market);
+      // Services already list BTCUSDT-form symbols
+      const listed = await service.fetchActiveSymbols(normalizedMarket);
+      return listed ? [...listed] : [];
+    },
+
+    fetchTokens(market, options = {}) {
+      return service.fetchTokensWithNATR(normalizeMarket(market), options);
+    },
+
+    fetchToken(symbol, market) {
+      return service.fetchTokenWithNATR(symbol, normalizeMarket(market));
+    },
+
+    fetchTickerSnapshot(symbols, market, options = {}) {
+      return service.getLastPricesBySymbols(symbols || [], normalizeMarket(market), options);
+    },
+
+    fetchCurrentPrice: typeof service.fetchCurrentPriceBySymbol === 'function'
+      ? (symbol, market, options = {}) => service.fetchCurrentPriceBySymbol(symbol, normalizeMarket(market), options)
+      : null,
+
+    fetchKlines(symbol, market, interval, limit, options = {}) {
+      return service.fetchKlines(symbol, normalizeMarket(market), interval, limit, options);
+    },
+
+    fetchOrderBook(symbol, market, options = {}) {
+      return fetchOrderBook(symbol, normalizeMarket(market), options);
+    },
+
+    /**
+     * Live ticker prices from priceWatcher. Keeps the feed connected until the
+     * returned function is called.
+     * @returns {() => void} unsubscribe
+     */
+    watchTicker(market, onTick) {
+      const normalizedMarket = normalizeMarket(market);
+      const listener = (event) => {
+        if (event.exchange === id && event.market === normalizedMarket) onTick(event.prices);
+      };
+      priceWatcher.onTick(listener);
+      priceWatcher.retainMarket(id, normalizedMarket);
+      return () => {
+        priceWatcher.offTick(listener);
+        priceWatcher.releaseMarket(id, normalizedMarket);
+      };
+    },
+
+    isTemporaryUpstreamError(error) {
+      return isTemporaryUpstreamError ? isTemporaryUpstreamError(error) : false;
+    },
+
+    fetchDerivatives,
+    fetchSymbolDerivatives,
+  };
+}
+
+/**
+ * Normalize raw [price, qty] levels, dropping anything unparseable.
+ * @param {Array} levels
+ * @param {number} [multiplier=1] - Contract size for exchanges that quote books in contracts
+ */
+function toLevels(levels, multiplier = 1) {
+  if (!Array.isArray(levels)) return [];
+  const out = [];
+  for (const level of levels) {
+    const price = Number(Array.isArray(level) ? level[0] : level?.p);
+    const quantity = Number(Array.isArray(level) ? level[1] : level?.s) * multiplier;
+    if (Number.isFinite(price) && price > 0 && Number.isFinite(quantity) && quantity > 0) {
+      out.push([price, quantity]);
+    }
+  }
+  return out;
+}
+
+/**
+ * Parse an upstream numeric field; null when missing or unparseable so
+ * derivatives rows can tell "no data" apart from a real zero.
+ */
+function toNumberOrNull(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Small per-key TTL cache for contract multipliers (OKX ctVal, Gate quanto
+ * multiplier, MEXC contractSize). Falls back to 1 when the lookup fails.
+ */
+function createMultiplierCache(lookup, ttlMs = 60 * 60 * 1000) {
+  const cache = new Map();
+  return async (key) => {
+    const hit = cache.get(key);
+    if (hit && Date.now() - hit.at < ttlMs) return hit.value;
+    let value = 1;
+    try {
+      const found = Number(await lookup(key));
+      if (Number.isFinite(found) && found > 0) value = found;
+    } catch (error) {
+      console.warn(`[ExchangeAdapter] Contract size lookup failed for ${key}:`, error.message);
+    }
+    cache.set(key, { value, at: Date.now() });
+    return value;
+  };
+}
+
+module.exports = {
+  MARKETS,
+  createServiceAdapter,
+  toLevels,
+  createMultiplierCache,
+  toNumberOrNull,
+};
@@ -0,0 +1,79 @@
+const axios = require('axios');
+const gateService = require('../gateService');
+const { createServiceAdapter, toLevels, createMultiplierCache, toNumberOrNull } = require('./createServiceAdapter');
+
+const GATE_BASE_URL = 'https://api.gateio.ws/api/v4';
+
+// Futures books are quoted in contracts; quanto_multiplier converts to base coin
+const getQuantoMultiplier = createMultiplierCache(async (contract) => {
+  const response = await axios.get(`${GATE_BASE_URL}/futures/usdt/contracts/${contract}`, { timeout: 10000 });
+  return response.data?.quanto_multiplier;
+});
+
+async function fetchOrderBook(symbol, market, { limit = 100 } = {}) {
+  const pair = gateService.symbolToGatePair(symbol, market);
+  if (!pair) throw new Error(`Invalid symbol for Gate.io: ${symbol}`);
+
+  const isFutures = market === 'futures';
+  const response = isFutures
+    ? await axios.get(`${GATE_BASE_URL}/futures/usdt/order_book`, {
+      params: { contract: pair, limit: Math.min(limit, 300) },
+      timeout: 10000,
+    })
+    : await axios.get(`${GATE_BASE_URL}/spot/order_book`, {
+      params: { currency_pair: pair, limit: Math.min(limit, 1000) },
+      timeout: 10000,
+    });
+  const book = response.data || {};
+  const multiplier = isFutures ? await getQuantoMultiplier(pair) : 1;
+  // `current` is seconds (float) on futures, milliseconds on spot
+  const current = Number(book.current);
+  return {
+    bids: toLevels(book.bids, multiplier).slice(0, limit),
+    asks: toLevels(book.asks, multiplier).slice(0, limit),
+    timestamp: Number.isFinite(current) && current > 0 ? Math.floor(current < 1e12 ? current * 1000 : current) : Date.now(),
+  };
+}
+
+async function fetchDerivatives() {
+  const response = await axios.get(`${GATE_BASE_URL}/futures/usdt/contracts`, { timeout: 15000 });
+  const contracts = Array.isArray(response.data) ? response.data : [];
+  return contracts
+    .filter((contract) => !contract.in_delisting && typeof contract.name === 'string')
+    .map((contract) => {
+      const markPrice = toNumberOrNull(contract.mark_price);
+      const multiplier = toNumberOrNull(contract.quanto_multiplier) || 1;
+      const positionSize = toNumberOrNull(contract.position_size);
+      const nextApply = toNumberOrNull(contract.funding_next_apply);
+      return {
+        symbol: contract.name.replace(/_/g, ''),
+        markPrice,
+        fundingRate: toNumberOrNull(contract.funding_rate),
+        predictedFundingRate: toNumberOrNull(contract.funding_rate_indicative),
+        nextFundingTime: nextApply ? nextApply * 1000 : null,
+        // position_size is total open contracts
+        openInterest: positionSize != null ? positionSize * multiplier : null,
+        openInterestUsd: null,
+      };
+    });
+}
+
+async function fetchSymbolDerivatives(symbol) {
+  const contract = gateService.symbolToGatePair(symbol, 'futures');
+  if (!contract) throw new Error(`Invalid symbol for Gate.io: ${symbol}`);
+  const response = await axios.get(`${GATE_BASE_URL}/futures/usdt/contract_stats`, {
+    params: { contract, interval: '5m', limit: 1 },
+    timeout: 10000,
+  });
+  const latest = Array.isArray(response.data) ? response.data[response.data.length - 1] : null;
+  return { longShortRatio: toNumberOrNull(latest?.top_lsr_size) };
+}
+
+module.exports = createServiceAdapter({
+  id: 'gate',
+  name: 'Gate.io',
+  service: gateService,
+  fetchOrderBook,
+  fetchDerivatives,
+  fetchSymbolDerivatives,
+});
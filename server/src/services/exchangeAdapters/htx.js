@@ -0,0 +1,42 @@
+const axios = require('axios');
+const htxService = require('../htxService');
+const { createServiceAdapter, toLevels, createMultiplierCache } = require('./createServiceAdapter');
+
+// Swap books are quoted in contracts; contract_size converts to base coin
+const getContractSize = createMultiplierCache(async (contractCode) => {
+  const response = await axios.get(`${htxService.HTX_FUTURES_BASE_URL}/linear-swap-api/v1/swap_contract_info`, {
+    params: { contract_code: contractCode },
+    timeout: 10000,
+  });
+  return response.data?.data?.[0]?.contract_size;
+});
+
+async function fetchOrderBook(symbol, market, { limit = 100 } = {}) {
+  const htxSymbol = htxService.toHtxSymbol(symbol, market);
+  const response = market === 'spot'
+    ? await axios.get(`${htxService.HTX_SPOT_BASE_URL}/market/depth`, {
+      params: { symbol: htxSymbol, type: 'step0' },
+      timeout: 10000,
+    })
+    : await axios.get(`${htxService.HTX_FUTURES_BASE_URL}/linear-swap-ex/market/depth`, {
+      params: { contract_code: htxSymbol, type: 'step0' },
+      timeout: 10000,
+    });
+  if (response.data?.status !== 'ok') {
+    throw new Error(`HTX orderbook error: ${response.data?.['err-msg'] || response.data?.err_msg || 'unknown'}`);
+  }
+  const book = response.data.tick || {};
+  const multiplier = market === 'futures' ? await getContractSize(htxSymbol) : 1;
+  return {
+    bids: toLevels(book.bids, multiplier).slice(0, limit),
+    asks: toLevels(book.asks, multiplier).slice(0, limit),
+    timestamp: Number(book.ts) || Date.now(),
+  };
+}
+
+module.exports = createServiceAdapter({
+  id: 'htx',
+  name: 'HTX',
+  service: htxService,
+  fetchOrderBook,
+});
@@ -0,0 +1,103 @@
+/**
+ * Exchange adapter registry.
+ *
+ * Every supported exchange is exposed through the same ExchangeAdapter contract
+ * so routes, alert engines and the candle store can work off an exchange id
+ * instead of switching over every service. Adding an exchange means writing one
+ * adapter module and registering it here.
+ *
+ * ExchangeAdapter:
+ * - id, name, markets                                   ('futures' | 'spot')
+ * - normalizeSymbol(symbol)                             → 'BTCUSDT'
+ * - listSymbols(market)                                 → ['BTCUSDT', ...] (tradable only; [] if unknown)
+ * - fetchTokens(market, options)                        → token rows with NATR (market table shape)
+ * - fetchToken(symbol, market)                          → single token row
+ * - fetchTickerSnapshot(symbols, market, options)       → { BTCUSDT: 65000.1, ... }
+ * - fetchCurrentPrice(symbol, market, options) | null   → number | null
+ * - fetchKlines(symbol, market, interval, limit, opts)  → [{ time, open, high, low, close, volume, turnover }]
+ * - fetchOrderBook(symbol, market, { limit })           → { bids: [[price, qty]], asks, timestamp } (qty in base coin)
+ * - watchTicker(market, onTick)                         → unsubscribe()
+ * - isTemporaryUpstreamError(error)                     → boolean
+ *
+ * Optional (futures venues with funding / open interest data, null otherwise):
+ * - fetchDerivatives()                                  → [{ symbol, markPrice, fundingRate, predictedFundingRate,
+ *                                                          nextFundingTime, openInterest, openInterestUsd }]
+ *                                                          (rates as fractions, times in ms, OI in base coin)
+ * - fetchSymbolDerivatives(symbol)                      → partial row, e.g. { longShortRatio }
+ */
+
+const REQUIRED_METHODS = [
+  'normalizeSymbol',
+  'listSymbols',
+  'fetchTokens',
+  'fetchToken',
+  'fetchTickerSnapshot',
+  'fetchKlines',
+  'fetchOrderBook',
+  'watchTicker',
+  'isTemporaryUpstreamError',
+];
+
+const OPTIONAL_METHODS = ['fetchCurrentPrice', 'fetchDerivatives', 'fetchSymbolDerivatives'];
+
+const adapters = new Map();
+
+function assertExchangeAdapter(adapter) {
+  if (!adapter || typeof adapter.id !== 'string' || !adapter.id) {
+    throw new Error('Exchange adapter must have a string id');
+  }
+  const missing = REQUIRED_METHODS.filter((method) => typeof adapter[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Exchange adapter "${adapter.id}" is missing: ${missing.join(', ')}`);
+  }
+  for (const method of OPTIONAL_METHODS) {
+    if (adapter[method] != null && typeof adapter[method] !== 'function') {
+      throw new Error(`Exchange adapter "${adapter.id}" has a non-function ${method}`);
+    }
+  }
+  if (!Array.isArray(adapter.markets) || adapter.markets.length === 0) {
+    throw new Error(`Exchange adapter "${adapter.id}" must list its markets`);
+  }
+}
+
+function registerExchangeAdapter(adapter) {
+  assertExchangeAdapter(adapter);
+  adapters.set(adapter.id, adapter);
+  return adapter;
+}
+
+/**
+ * @param {string} exchange - Exchange id (case-insensitive)
+ * @returns {Object|null} Adapter or null when the exchange is not supported
+ */
+function getExchangeAdapter(exchange) {
+  return adapters.get(String(exchange || '').toLowerCase()) || null;
+}
+
+function listExchangeAdapters() {
+  return [...adapters.values()];
+}
+
+function getExchangeIds() {
+  return [...adapters.keys()];
+}
+
+registerExchangeAdapter(require('./binance'));
+registerExchangeAdapter(require('./bybit'));
+registerExchangeAdapter(require('./okx'));
+registerExchangeAdapter(require('./gate'));
+registerExchangeAdapter(require('./bitget'));
+registerExchangeAdapter(require('./mexc'));
+registerExchangeAdapter(require('./kucoin'));
+registerExchangeAdapter(require('./kraken'));
+registerExchangeAdapter(require('./htx'));
+
+module.exports = {
+  REQUIRED_METHODS,
+  OPTIONAL_METHODS,
+  assertExchangeAdapter,
+  registerExchangeAdapter,
+  getExchangeAdapter,
+  listExchangeAdapters,
+  getExchangeIds,
+};
@@ -0,0 +1,30 @@
+const axios = require('axios');
+const krakenService = require('../krakenService');
+const { createServiceAdapter, toLevels } = require('./createServiceAdapter');
+
+// Perpetual books are quoted in base coin already
+async function fetchOrderBook(symbol, market, { limit = 100 } = {}) {
+  if (market !== 'futures') throw new Error('Kraken supports futures only');
+  const response = await axios.get(`${krakenService.KRAKEN_FUTURES_BASE_URL}/derivatives/api/v3/orderbook`, {
+    params: { symbol: krakenService.toContractSymbol(symbol) },
+    timeout: 10000,
+  });
+  if (response.data?.result !== 'success') {
+    throw new Error(`Kraken orderbook error: ${response.data?.error || 'unknown'}`);
+  }
+  const book = response.data.orderBook || {};
+  const serverTime = Date.parse(response.data.serverTime);
+  return {
+    bids: toLevels(book.bids).sort((a, b) => b[0] - a[0]).slice(0, limit),
+    asks: toLevels(book.asks).sort((a, b) => a[0] - b[0]).slice(0, limit),
+    timestamp: Number.isFinite(serverTime) ? serverTime : Date.now(),
+  };
+}
+
+module.exports = createServiceAdapter({
+  id: 'kraken',
+  name: 'Kraken',
+  service: krakenService,
+  fetchOrderBook,
+  markets: ['futures'],
+});
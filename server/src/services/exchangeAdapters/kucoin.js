@@ -0,0 +1,33 @@
+const axios = require('axios');
+const kucoinService = require('../kucoinService');
+const { createServiceAdapter, toLevels } = require('./createServiceAdapter');
+
+// Books are quoted in lots; the contract multiplier converts to base coin
+async function fetchOrderBook(symbol, market, { limit = 100 } = {}) {
+  if (market !== 'futures') throw new Error('KuCoin supports futures only');
+  await kucoinService.ensureContracts();
+  const contract = kucoinService.toContractSymbol(symbol);
+  const response = await axios.get(`${kucoinService.KUCOIN_FUTURES_BASE_URL}/api/v1/level2/depth100`, {
+    params: { symbol: contract },
+    timeout: 10000,
+  });
+  if (response.data?.code !== '200000') {
+    throw new Error(`KuCoin orderbook error: ${response.data?.msg || response.data?.code || 'unknown'}`);
+  }
+  const book = response.data.data || {};
+  const multiplier = kucoinService.getContractMultiplier(symbol);
+  return {
+    bids: toLevels(book.bids, multiplier).slice(0, limit),
+    asks: toLevels(book.asks, multiplier).slice(0, limit),
+    // ts is in nanoseconds
+    timestamp: Number(book.ts) ? Math.floor(Number(book.ts) / 1e6) : Date.now(),
+  };
+}
+
+module.exports = createServiceAdapter({
+  id: 'kucoin',
+  name: 'KuCoin',
+  service: kucoinService,
+  fetchOrderBook,
+  markets: ['futures'],
+});
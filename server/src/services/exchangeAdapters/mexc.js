@@ -0,0 +1,95 @@
+const axios = require('axios');
+const mexcService = require('../mexcService');
+const { createServiceAdapter, toLevels, createMultiplierCache, toNumberOrNull } = require('./createServiceAdapter');
+
+const MEXC_BASE_URL = 'https://api.mexc.com';
+
+// Futures books are quoted in contracts; contractSize converts to base coin
+const getContractSize = createMultiplierCache(async (futuresSymbol) => {
+  const response = await axios.get(`${MEXC_BASE_URL}/api/v1/contract/detail`, {
+    params: { symbol: futuresSymbol },
+    timeout: 10000,
+  });
+  return response.data?.data?.contractSize;
+});
+
+async function fetchOrderBook(symbol, market, { limit = 100 } = {}) {
+  if (market === 'spot') {
+    const response = await axios.get(`${MEXC_BASE_URL}/api/v3/depth`, {
+      params: { symbol: symbol.toUpperCase(), limit: Math.min(limit, 5000) },
+      timeout: 10000,
+    });
+    const book = response.data || {};
+    return {
+      bids: toLevels(book.bids).slice(0, limit),
+      asks: toLevels(book.asks).slice(0, limit),
+      timestamp: Number(book.timestamp) || Date.now(),
+    };
+  }
+
+  const futuresSymbol = symbol.toUpperCase().replace('USDT', '_USDT');
+  const response = await axios.get(`${MEXC_BASE_URL}/api/v1/contract/depth/${futuresSymbol}`, {
+    params: { limit: Math.min(limit, 1000) },
+    timeout: 10000,
+  });
+  if (!response.data?.success) {
+    throw new Error(`MEXC orderbook error: ${response.data?.message || response.data?.code || 'unknown'}`);
+  }
+  const book = response.data.data || {};
+  const multiplier = await getContractSize(futuresSymbol);
+  return {
+    bids: toLevels(book.bids, multiplier).slice(0, limit),
+    asks: toLevels(book.asks, multiplier).slice(0, limit),
+    timestamp: Number(book.timestamp) || Date.now(),
+  };
+}
+
+async function fetchDerivatives() {
+  const [tickers, details] = await Promise.all([
+    axios.get(`${MEXC_BASE_URL}/api/v1/contract/ticker`, { timeout: 15000 }),
+    axios.get(`${MEXC_BASE_URL}/api/v1/contract/detail`, { timeout: 15000 }),
+  ]);
+  if (!tickers.data?.success) {
+    throw new Error(`MEXC ticker error: ${tickers.data?.message || tickers.data?.code || 'unknown'}`);
+  }
+  const contractSizes = new Map(
+    (Array.isArray(details.data?.data) ? details.data.data : []).map((row) => [row.symbol, toNumberOrNull(row.contractSize)])
+  );
+  return (tickers.data.data || [])
+    .filter((row) => typeof row.symbol === 'string' && row.symbol.endsWith('_USDT'))
+    .map((row) => {
+      const holdVol = toNumberOrNull(row.holdVol);
+      const contractSize = contractSizes.get(row.symbol) || 1;
+      return {
+        symbol: row.symbol.replace('_', ''),
+        markPrice: toNumberOrNull(row.fairPrice) ?? toNumberOrNull(row.lastPrice),
+        fundingRate: toNumberOrNull(row.fundingRate),
+        predictedFundingRate: null,
+        // next settle time is per symbol only; filled below
+        nextFundingTime: null,
+        openInterest: holdVol != null ? holdVol * contractSize : null,
+        openInterestUsd: null,
+      };
+    });
+}
+
+// MEXC has no public long/short ratio endpoint
+async function fetchSymbolDerivatives(symbol) {
+  const futuresSymbol = symbol.toUpperCase().replace('USDT', '_USDT');
+  const response = await axios.get(`${MEXC_BASE_URL}/api/v1/contract/funding_rate/${futuresSymbol}`, {
+    timeout: 10000,
+  });
+  if (!response.data?.success) {
+    throw new Error(`MEXC funding rate error: ${response.data?.message || response.data?.code || 'unknown'}`);
+  }
+  return { nextFundingTime: toNumberOrNull(response.data.data?.nextSettleTime) || null };
+}
+
+module.exports = createServiceAdapter({
+  id: 'mexc',
+  name: 'MEXC',
+  service: mexcService,
+  fetchOrderBook,
+  fetchDerivatives,
+  fetchSymbolDerivatives,
+});
@@ -0,0 +1,97 @@
+const axios = require('axios');
+const okxService = require('../okxService');
+const { createServiceAdapter, toLevels, createMultiplierCache, toNumberOrNull } = require('./createServiceAdapter');
+
+const OKX_BASE_URL = 'https://www.okx.com';
+
+// Swap books are quoted in contracts; ctVal converts to base coin
+const getContractValue = createMultiplierCache(async (instId) => {
+  const response = await axios.get(`${OKX_BASE_URL}/api/v5/public/instruments`, {
+    params: { instType: 'SWAP', instId },
+    timeout: 10000,
+  });
+  return response.data?.data?.[0]?.ctVal;
+});
+
+async function fetchOrderBook(symbol, market, { limit = 100 } = {}) {
+  const instId = okxService.symbolToInstId(symbol, market);
+  if (!instId) throw new Error(`Invalid symbol for OKX: ${symbol}`);
+
+  const response = await axios.get(`${OKX_BASE_URL}/api/v5/market/books`, {
+    params: { instId, sz: Math.min(limit, 400) },
+    timeout: 10000,
+  });
+  if (response.data?.code !== '0') {
+    throw new Error(`OKX orderbook error: ${response.data?.msg || 'unknown'}`);
+  }
+  const book = response.data.data?.[0] || {};
+  const multiplier = market === 'futures' ? await getContractValue(instId) : 1;
+  return {
+    bids: toLevels(book.bids, multiplier).slice(0, limit),
+    asks: toLevels(book.asks, multiplier).slice(0, limit),
+    timestamp: Number(book.ts) || Date.now(),
+  };
+}
+
+async function getOkxData(path, params) {
+  const response = await axios.get(`${OKX_BASE_URL}${path}`, { params, timeout: 15000 });
+  if (response.data?.code !== '0') {
+    throw new Error(`OKX ${path} error: ${response.data?.msg || 'unknown'}`);
+  }
+  return response.data.data || [];
+}
+
+async function fetchDerivatives() {
+  const [openInterest, markPrices] = await Promise.all([
+    getOkxData('/api/v5/public/open-interest', { instType: 'SWAP' }),
+    getOkxData('/api/v5/public/mark-price', { instType: 'SWAP' }),
+  ]);
+  const markByInstId = new Map(markPrices.map((row) => [row.instId, toNumberOrNull(row.markPx)]));
+  const rows = [];
+  for (const row of openInterest) {
+    const symbol = okxService.instIdToFullSymbol(row.instId, 'futures');
+    if (!symbol) continue;
+    rows.push({
+      symbol,
+      markPrice: markByInstId.get(row.instId) ?? null,
+      // OKX has no bulk funding endpoint; filled per symbol below
+      fundingRate: null,
+      predictedFundingRate: null,
+      nextFundingTime: null,
+      openInterest: toNumberOrNull(row.oiCcy),
+      openInterestUsd: toNumberOrNull(row.oiUsd),
+    });
+  }
+  return rows;
+}
+
+async function fetchSymbolDerivatives(symbol) {
+  const instId = okxService.symbolToInstId(symbol, 'futures');
+  if (!instId) throw new Error(`Invalid symbol for OKX: ${symbol}`);
+  const [funding, ratio] = await Promise.all([
+    getOkxData('/api/v5/public/funding-rate', { instId }),
+    getOkxData('/api/v5/rubik/stat/contracts/long-short-account-ratio-contract-top-trader', {
+      instId,
+      period: '5m',
+      limit: 1,
+    }),
+  ]);
+  const current = funding[0] || {};
+  // Rubik rows are [ts, ratio], newest first
+  const latest = ratio[0];
+  return {
+    fundingRate: toNumberOrNull(current.fundingRate),
+    predictedFundingRate: toNumberOrNull(current.nextFundingRate),
+    nextFundingTime: toNumberOrNull(current.fundingTime) || null,
+    longShortRatio: toNumberOrNull(Array.isArray(latest) ? latest[1] : latest?.longShortAcctRatio),
+  };
+}
+
+module.exports = createServiceAdapter({
+  id: 'okx',
+  name: 'OKX',
+  service: okxService,
+  fetchOrderBook,
+  fetchDerivatives,
+  fetchSymbolDerivatives,
+});
@@ -6,10 +6,28 @@ const marketLoadPromises = new Map();
 const coingeckoSymbolCache = new Map();
 const COINGECKO_CACHE_TTL_MS = 60000;
 
+// CCXT class per exchange; KuCoin and Kraken list perpetuals under a separate class
+const CCXT_CLASSES = {
+  binance: 'binance',
+  bybit: 'bybit',
+  okx: 'okx',
+  gate: 'gate',
+  bitget: 'bitget',
+  mexc: 'mexc',
+  htx: 'htx',
+  kucoin: { spot: 'kucoin', futures: 'kucoinfutures' },
+  kraken: { spot: 'kraken', futures: 'krakenfutures' },
+};
+
 function normalizeExchange(exchange) {
   const key = String(exchange || '').trim().toLowerCase();
-  if (key === 'binance' || key === 'bybit') return key;
-  return null;
+  return CCXT_CLASSES[key] ? key : null;
+}
+
+function resolveCcxtClass(exchangeId, market) {
+  const entry = CCXT_CLASSES[exchangeId];
+  if (typeof entry === 'string') return entry;
+  return market === 'spot' ? entry.spot : entry.futures;
 }
 
 function extractBaseAsset(symbol) {
@@ -38,7 +56,7 @@ function getCcxtInstance(exchange, market) {
   if (!exchangeInstances.has(key)) {
     exchangeInstances.set(
       key,
-      new ccxt[exchangeId]({
+      new ccxt[resolveCcxtClass(exchangeId, market)]({
         enableRateLimit: true,
         timeout: 15000,
         options: {
@@ -57,7 +75,11 @@ async function ensureMarkets(exchange, market) {
   const marketType = market === 'spot' ? 'spot' : 'swap';
   const key = `${instance.id}:${marketType}`;
   if (!marketLoadPromises.has(key)) {
-    marketLoadPromises.set(key, instance.loadMarkets());
+    // Forget a failed load so the next call retries instead of rethrowing forever
+    marketLoadPromises.set(key, instance.loadMarkets().catch((error) => {
+      marketLoadPromises.delete(key);
+      throw error;
+    }));
   }
 
   await marketLoadPromises.get(key);
@@ -139,6 +161,35 @@ async function fetchPriceViaCcxt({ exchange, symbol, market }) {
   return fetchCoinGeckoPriceByBase(baseAsset);
 }
 
+/**
+ * Every USDT / USD ticker of one exchange+market in a single CCXT call, keyed
+ * like the priceWatcher maps (BTCUSDT). Throws when CCXT cannot reach the exchange.
+ * @param {string} exchange
+ * @param {'futures'|'spot'} market
+ * @returns {Promise<Record<string, number>>}
+ */
+async function fetchTickersViaCcxt(exchange, market) {
+  const exchangeId = normalizeExchange(exchange);
+  if (!exchangeId) return {};
+
+  const instance = await ensureMarkets(exchangeId, market);
+  const wantSpot = market === 'spot';
+  const tickers = await instance.fetchTickers(undefined, { type: wantSpot ? 'spot' : 'swap' });
+
+  const prices = {};
+  for (const [unified, ticker] of Object.entries(tickers || {})) {
+    const info = instance.markets?.[unified];
+    const isSpot = info ? Boolean(info.spot) : !unified.includes(':');
+    if (isSpot !== wantSpot) continue;
+    const [base, quote] = unified.split(':')[0].split('/');
+    if (!base || (quote !== 'USDT' && quote !== 'USD')) continue;
+    const price = Number(ticker?.last ?? ticker?.close);
+    if (Number.isFinite(price) && price > 0) prices[`${base}${quote}`] = price;
+  }
+  return prices;
+}
+
 module.exports = {
   fetchPriceViaCcxt,
+  fetchTickersViaCcxt,
 };
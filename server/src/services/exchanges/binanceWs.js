@@ -2,159 +2,76 @@
  * Binance WebSocket Adapter
  * Handles WebSocket connections to Binance for real-time kline data.
  *
+ * Streams are multiplexed over combined-stream connections (up to 200
+ * streams each) and added/removed with SUBSCRIBE/UNSUBSCRIBE messages;
+ * see WsStreamPool for health tracking and rebalancing on drops.
+ *
  * For sub-minute intervals (1s, 5s, 15s) subscribes to the aggTrade stream
  * and aggregates real trades into OHLCV candles via CandleAggregator.
- * For minute+ intervals, subscribes to native kline streams as before.
+ * For minute+ intervals, subscribes to native kline streams.
  */
 
-const WebSocket = require('ws');
-const CandleAggregator = require('../../utils/CandleAggregator');
+const WsStreamPool = require('./wsStreamPool');
+const PooledKlineAdapter = require('./pooledKlineAdapter');
 
-// WebSocket URLs
-const FUTURES_WS_URL = 'wss://fstream.binance.com/ws';
-const SPOT_WS_URL = 'wss://stream.binance.com:9443/ws';
+// Combined-stream endpoints: pushes arrive as { stream, data }
+const FUTURES_WS_URL = 'wss://fstream.binance.com/stream';
+const SPOT_WS_URL = 'wss://stream.binance.com:9443/stream';
 
-// Reconnection settings
-const RECONNECT_DELAY_MS = 5000;
-const MAX_RECONNECT_ATTEMPTS = 10;
+// Futures allows 200 streams per connection (spot 1024); use the lower for both
+const MAX_STREAMS_PER_CONNECTION = 200;
+// Binance caps incoming messages at 5/s (spot); batching every 500ms keeps us well under
+const FLUSH_DELAY_MS = 500;
 
-class BinanceWsAdapter {
+class BinanceWsAdapter extends PooledKlineAdapter {
   constructor(onKlineUpdate) {
-    this.onKlineUpdate = onKlineUpdate;
-    this.subscriptions = new Map();
-    this.aggregators = new Map();
-    console.log('[BinanceWs] Adapter initialized');
+    super('BinanceWs', onKlineUpdate);
   }
 
-  subscribe(symbol, interval, exchangeType) {
-    const subscriptionKey = `${symbol}:${interval}:${exchangeType}`;
-    if (this.subscriptions.has(subscriptionKey)) {
-      console.log(`[BinanceWs] Already subscribed: ${subscriptionKey}`);
-      return;
-    }
-    console.log(`[BinanceWs] Subscribing: ${subscriptionKey}`);
-    const isSubMinute = ['1s', '5s', '15s'].includes(interval);
-    if (isSubMinute) {
-      this._connectTradeStream(symbol, interval, exchangeType, subscriptionKey);
-    } else {
-      this._connectKlineStream(symbol, interval, exchangeType, subscriptionKey);
-    }
+  _resolveStream(symbol, interval, exchangeType, isTrade) {
+    const streamName = isTrade
+      ? `${symbol.toLowerCase()}@aggTrade`
+      : `${symbol.toLowerCase()}@kline_${interval}`;
+    return { poolKey: exchangeType === 'futures' ? 'futures' : 'spot', topic: streamName };
   }
 
-  // ---- Trade stream (sub-minute) ----
-  _connectTradeStream(symbol, interval, exchangeType, subscriptionKey) {
-    const baseUrl = exchangeType === 'futures' ? FUTURES_WS_URL : SPOT_WS_URL;
-    const streamName = `${symbol.toLowerCase()}@aggTrade`;
-    const url = `${baseUrl}/${streamName}`;
-    const spanSec = { '1s': 1, '5s': 5, '15s': 15 }[interval];
-    const aggregator = new CandleAggregator(spanSec);
-    aggregator.on('candle', (candle) => {
-      this.onKlineUpdate(symbol, interval, exchangeType, candle);
-    });
-    this.aggregators.set(subscriptionKey, aggregator);
-
-    let ws;
-    try { ws = new WebSocket(url); } catch (error) {
-      console.error(`[BinanceWs] Failed to create trade WS for ${subscriptionKey}:`, error.message);
-      this._scheduleReconnect(symbol, interval, exchangeType, subscriptionKey, 0, true);
-      return;
-    }
-    const subscription = { ws, reconnectAttempts: 0, reconnectTimer: null, symbol, targetInterval: interval, exchangeType, isTrade: true };
-    this.subscriptions.set(subscriptionKey, subscription);
-
-    ws.on('open', () => { console.log(`[BinanceWs] Trade stream connected: ${subscriptionKey}`); subscription.reconnectAttempts = 0; });
-    ws.on('message', (data) => {
-      try {
-        const msg = JSON.parse(data.toString());
-        if (msg.e === 'aggTrade') {
-          aggregator.addTrade({ price: parseFloat(msg.p), quantity: parseFloat(msg.q), timestampMs: msg.T });
-        }
-      } catch (err) { console.error(`[BinanceWs] Trade parse error:`, err.message); }
-    });
-    ws.on('close', (code) => {
-      console.warn(`[BinanceWs] Trade stream closed: ${subscriptionKey} (code: ${code})`);
-      if (this.subscriptions.has(subscriptionKey)) this._scheduleReconnect(symbol, interval, exchangeType, subscriptionKey, subscription.reconnectAttempts, true);
+  _createPool(poolKey) {
+    return new WsStreamPool({
+      name: `BinanceWs:${poolKey}`,
+      url: poolKey === 'futures' ? FUTURES_WS_URL : SPOT_WS_URL,
+      maxStreamsPerConnection: MAX_STREAMS_PER_CONNECTION,
+      maxTopicsPerMessage: MAX_STREAMS_PER_CONNECTION,
+      flushDelayMs: FLUSH_DELAY_MS,
+      // Binance pings every few minutes and answers protocol pings; no app-level ping
+      pingIntervalMs: 30000,
+      staleTimeoutMs: 90000,
+      buildSubscribe: (topics, id) => JSON.stringify({ method: 'SUBSCRIBE', params: topics, id }),
+      buildUnsubscribe: (topics, id) => JSON.stringify({ method: 'UNSUBSCRIBE', params: topics, id }),
+      onMessage: (raw) => this._handleMessage(poolKey, raw),
     });
-    ws.on('error', (error) => { console.error(`[BinanceWs] Trade WS error for ${subscriptionKey}:`, error.message); });
   }
 
-  // ---- Kline stream (minute+) ----
-  _connectKlineStream(symbol, interval, exchangeType, subscriptionKey) {
-    const baseUrl = exchangeType === 'futures' ? FUTURES_WS_URL : SPOT_WS_URL;
-    const streamName = `${symbol.toLowerCase()}@kline_${interval}`;
-    const url = `${baseUrl}/${streamName}`;
-
-    let ws;
-    try { ws = new WebSocket(url); } catch (error) {
-      console.error(`[BinanceWs] Failed to create kline WS for ${subscriptionKey}:`, error.message);
-      this._scheduleReconnect(symbol, interval, exchangeType, subscriptionKey, 0, false);
+  _handleMessage(poolKey, raw) {
+    let message;
+    try { message = JSON.parse(raw); } catch (error) {
+      console.error(`[BinanceWs] Parse error:`, error.message);
       return;
     }
-    const subscription = { ws, reconnectAttempts: 0, reconnectTimer: null, symbol, targetInterval: interval, exchangeType, isTrade: false };
-    this.subscriptions.set(subscriptionKey, subscription);
-
-    ws.on('open', () => { console.log(`[BinanceWs] Kline stream connected: ${subscriptionKey}`); subscription.reconnectAttempts = 0; });
-    ws.on('message', (data) => {
-      try {
-        const message = JSON.parse(data.toString());
-        const k = message.k;
-        if (!k) return;
-        const kline = { time: Math.floor(k.t / 1000), open: parseFloat(k.o), high: parseFloat(k.h), low: parseFloat(k.l), close: parseFloat(k.c), volume: parseFloat(k.v), turnover: parseFloat(k.q) || 0, isClosed: k.x };
-        this.onKlineUpdate(k.s, interval, exchangeType, kline);
-      } catch (error) { console.error(`[BinanceWs] Kline parse error:`, error.message); }
-    });
-    ws.on('close', (code) => {
-      console.warn(`[BinanceWs] Kline stream closed: ${subscriptionKey} (code: ${code})`);
-      if (this.subscriptions.has(subscriptionKey)) this._scheduleReconnect(symbol, interval, exchangeType, subscriptionKey, subscription.reconnectAttempts, false);
-    });
-    ws.on('error', (error) => { console.error(`[BinanceWs] Kline WS error for ${subscriptionKey}:`, error.message); });
-  }
-
-  // ---- Reconnection ----
-  _scheduleReconnect(symbol, interval, exchangeType, subscriptionKey, attempts, isTrade) {
-    if (!this.subscriptions.has(subscriptionKey)) return;
-    const subscription = this.subscriptions.get(subscriptionKey);
-    subscription.reconnectAttempts = attempts + 1;
-    if (subscription.reconnectAttempts > MAX_RECONNECT_ATTEMPTS) {
-      console.error(`[BinanceWs] Max reconnection attempts reached for ${subscriptionKey}`);
-      this.subscriptions.delete(subscriptionKey);
-      const agg = this.aggregators.get(subscriptionKey);
-      if (agg) { agg.reset(); this.aggregators.delete(subscriptionKey); }
+    if (message.error) {
+      console.error(`[BinanceWs] Request ${message.id} failed:`, message.error.msg || message.error);
       return;
     }
-    const delay = RECONNECT_DELAY_MS * Math.min(subscription.reconnectAttempts, 5);
-    console.log(`[BinanceWs] Reconnecting ${subscriptionKey} in ${delay}ms (attempt ${subscription.reconnectAttempts})`);
-    subscription.reconnectTimer = setTimeout(() => {
-      if (!this.subscriptions.has(subscriptionKey)) return;
-      this.subscriptions.delete(subscriptionKey);
-      if (isTrade) this._connectTradeStream(symbol, interval, exchangeType, subscriptionKey);
-      else this._connectKlineStream(symbol, interval, exchangeType, subscriptionKey);
-    }, delay);
-  }
+    if (!message.stream || !message.data) return;
 
-  // ---- Unsubscribe / close ----
-  unsubscribe(symbol, interval, exchangeType) {
-    const subscriptionKey = `${symbol}:${interval}:${exchangeType}`;
-    const subscription = this.subscriptions.get(subscriptionKey);
-    if (!subscription) { console.log(`[BinanceWs] Not subscribed: ${subscriptionKey}`); return; }
-    console.log(`[BinanceWs] Unsubscribing: ${subscriptionKey}`);
-    if (subscription.reconnectTimer) clearTimeout(subscription.reconnectTimer);
-    if (subscription.ws) { try { subscription.ws.close(); } catch (e) { /* ignore */ } }
-    this.subscriptions.delete(subscriptionKey);
-    const agg = this.aggregators.get(subscriptionKey);
-    if (agg) { agg.flush(); agg.reset(); this.aggregators.delete(subscriptionKey); }
-  }
-
-  close() {
-    console.log('[BinanceWs] Closing all connections...');
-    for (const [, subscription] of this.subscriptions) {
-      if (subscription.reconnectTimer) clearTimeout(subscription.reconnectTimer);
-      if (subscription.ws) { try { subscription.ws.close(); } catch (e) { /* ignore */ } }
+    const data = message.data;
+    if (data.e === 'aggTrade') {
+      this._emitTrade(poolKey, message.stream, { price: parseFloat(data.p), quantity: parseFloat(data.q), timestampMs: data.T });
+      return;
     }
-    for (const [, agg] of this.aggregators) { agg.reset(); }
-    this.subscriptions.clear();
-    this.aggregators.clear();
-    console.log('[BinanceWs] All connections closed');
+    const k = data.k;
+    if (!k) return;
+    const kline = { time: Math.floor(k.t / 1000), open: parseFloat(k.o), high: parseFloat(k.h), low: parseFloat(k.l), close: parseFloat(k.c), volume: parseFloat(k.v), turnover: parseFloat(k.q) || 0, isClosed: k.x };
+    this._emitKline(poolKey, message.stream, kline);
   }
 }
 
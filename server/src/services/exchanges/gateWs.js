@@ -1,16 +1,17 @@
 /**
  * Gate.io WebSocket Adapter
+ * Channels are multiplexed over pooled connections (see WsStreamPool);
+ * Gate takes one payload per subscribe request, so each topic is its own message.
  * Sub-minute (1s/5s/15s): subscribes to trades stream and aggregates via CandleAggregator
- * Minute+: subscribes to candlesticks channel (as before)
+ * Minute+: subscribes to candlesticks channel
  */
 
-const WebSocket = require('ws');
-const CandleAggregator = require('../../utils/CandleAggregator');
+const WsStreamPool = require('./wsStreamPool');
+const PooledKlineAdapter = require('./pooledKlineAdapter');
 
 const FUTURES_WS_URL = 'wss://fx-ws.gateio.ws/v4/ws/usdt';
 const SPOT_WS_URL = 'wss://api.gateio.ws/ws/v4/';
-const RECONNECT_DELAY_MS = 5000;
-const MAX_RECONNECT_ATTEMPTS = 10;
+const MAX_STREAMS_PER_CONNECTION = 200;
 const PING_INTERVAL_MS = 15000;
 
 function mapIntervalToGate(interval) {
@@ -22,183 +23,84 @@ function formatSymbolForGate(symbol) {
   return symbol.replace('USDT', '_USDT');
 }
 
-class GateWsAdapter {
-  constructor(onKlineUpdate) {
-    this.onKlineUpdate = onKlineUpdate;
-    this.subscriptions = new Map();
-    this.aggregators = new Map();
-    console.log('[GateWs] Adapter initialized');
-  }
+// Topics are `${channel}|${payload.join(',')}`
+function buildChannelMessages(event, topics) {
+  const time = Math.floor(Date.now() / 1000);
+  return topics.map((topic) => {
+    const [channel, payload] = topic.split('|');
+    return JSON.stringify({ time, channel, event, payload: payload.split(',') });
+  });
+}
 
-  subscribe(symbol, interval, exchangeType) {
-    const normalizedSymbol = symbol.toUpperCase();
-    const subscriptionKey = `${normalizedSymbol}:${interval}:${exchangeType}`;
-    if (this.subscriptions.has(subscriptionKey)) return;
-    console.log(`[GateWs] Subscribing: ${subscriptionKey}`);
-    const isSubMinute = ['1s', '5s', '15s'].includes(interval);
-    if (isSubMinute) {
-      this._connectTradeStream(normalizedSymbol, interval, exchangeType, subscriptionKey);
-    } else {
-      this._connectKlineStream(normalizedSymbol, interval, exchangeType, subscriptionKey);
-    }
+class GateWsAdapter extends PooledKlineAdapter {
+  constructor(onKlineUpdate) {
+    super('GateWs', onKlineUpdate);
   }
 
-  // ---- Trade stream (sub-minute) ----
-  _connectTradeStream(symbol, interval, exchangeType, subscriptionKey) {
-    const baseUrl = exchangeType === 'futures' ? FUTURES_WS_URL : SPOT_WS_URL;
+  _resolveStream(symbol, interval, exchangeType, isTrade) {
+    const prefix = exchangeType === 'futures' ? 'futures' : 'spot';
     const gateSymbol = formatSymbolForGate(symbol);
-    const spanSec = { '1s': 1, '5s': 5, '15s': 15 }[interval];
-    const aggregator = new CandleAggregator(spanSec);
-    aggregator.on('candle', (candle) => { this.onKlineUpdate(symbol, interval, exchangeType, candle); });
-    this.aggregators.set(subscriptionKey, aggregator);
-
-    let ws;
-    try { ws = new WebSocket(baseUrl); } catch (error) {
-      console.error(`[GateWs] Failed to create trade WS for ${subscriptionKey}:`, error.message);
-      this._scheduleReconnect(symbol, interval, exchangeType, subscriptionKey, 0, true);
-      return;
-    }
-    const channel = exchangeType === 'futures' ? 'futures.trades' : 'spot.trades';
-    const sub = { ws, reconnectAttempts: 0, reconnectTimer: null, pingTimer: null, subscriptionTimeout: null, confirmed: false, symbol, targetInterval: interval, exchangeType, isTrade: true, channel };
-    this.subscriptions.set(subscriptionKey, sub);
+    const topic = isTrade
+      ? `${prefix}.trades|${gateSymbol}`
+      : `${prefix}.candlesticks|${mapIntervalToGate(interval)},${gateSymbol}`;
+    return { poolKey: prefix, topic };
+  }
 
-    ws.on('open', () => {
-      console.log(`[GateWs] Trade stream connected: ${subscriptionKey}`);
-      sub.reconnectAttempts = 0;
-      ws.send(JSON.stringify({ time: Math.floor(Date.now() / 1000), channel, event: 'subscribe', payload: [gateSymbol] }));
-      sub.subscriptionTimeout = setTimeout(() => { if (!sub.confirmed) { console.error(`[GateWs] Trade sub timeout: ${subscriptionKey}`); ws.close(); } }, 10000);
-      sub.pingTimer = setInterval(() => { if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ channel, event: 'ping' })); }, PING_INTERVAL_MS);
-    });
-    ws.on('message', (data) => {
-      try {
-        const message = JSON.parse(data.toString());
-        if (message.event === 'pong') return;
-        if (message.event === 'subscribe') {
-          sub.confirmed = true;
-          if (sub.subscriptionTimeout) { clearTimeout(sub.subscriptionTimeout); sub.subscriptionTimeout = null; }
-          return;
-        }
-        if (message.event === 'error') { console.error(`[GateWs] Trade error:`, message); return; }
-        if (message.event === 'update' && message.result) {
-          const trades = Array.isArray(message.result) ? message.result : [message.result];
-          for (const trade of trades) {
-            const price = parseFloat(trade.price);
-            const qty = parseFloat(trade.size || trade.amount || 0);
-            const ts = exchangeType === 'futures'
-              ? Math.floor(parseFloat(trade.create_time) * 1000)
-              : Math.floor(parseFloat(trade.create_time) * 1000);
-            if (price > 0 && qty > 0) {
-              aggregator.addTrade({ price, quantity: qty, timestampMs: ts });
-            }
-          }
-        }
-      } catch (err) { console.error(`[GateWs] Trade parse error:`, err.message); }
-    });
-    ws.on('close', (code) => {
-      if (sub.pingTimer) clearInterval(sub.pingTimer);
-      if (sub.subscriptionTimeout) clearTimeout(sub.subscriptionTimeout);
-      if (this.subscriptions.has(subscriptionKey)) this._scheduleReconnect(symbol, interval, exchangeType, subscriptionKey, sub.reconnectAttempts, true);
+  _createPool(poolKey) {
+    return new WsStreamPool({
+      name: `GateWs:${poolKey}`,
+      url: poolKey === 'futures' ? FUTURES_WS_URL : SPOT_WS_URL,
+      maxStreamsPerConnection: MAX_STREAMS_PER_CONNECTION,
+      pingIntervalMs: PING_INTERVAL_MS,
+      staleTimeoutMs: PING_INTERVAL_MS * 4,
+      buildPing: () => JSON.stringify({ time: Math.floor(Date.now() / 1000), channel: `${poolKey}.ping` }),
+      buildSubscribe: (topics) => buildChannelMessages('subscribe', topics),
+      buildUnsubscribe: (topics) => buildChannelMessages('unsubscribe', topics),
+      onMessage: (raw) => this._handleMessage(poolKey, raw),
     });
-    ws.on('error', (error) => { console.error(`[GateWs] Trade WS error: ${subscriptionKey}:`, error.message); });
   }
 
-  // ---- Kline stream (minute+) ----
-  _connectKlineStream(symbol, interval, exchangeType, subscriptionKey) {
-    const baseUrl = exchangeType === 'futures' ? FUTURES_WS_URL : SPOT_WS_URL;
-    const gateSymbol = formatSymbolForGate(symbol);
-    let ws;
-    try { ws = new WebSocket(baseUrl); } catch (error) {
-      console.error(`[GateWs] Failed to create kline WS for ${subscriptionKey}:`, error.message);
-      this._scheduleReconnect(symbol, interval, exchangeType, subscriptionKey, 0, false);
+  _handleMessage(poolKey, raw) {
+    let message;
+    try { message = JSON.parse(raw); } catch (error) {
+      console.error(`[GateWs] Parse error:`, error.message);
       return;
     }
-    const channel = exchangeType === 'futures' ? 'futures.candlesticks' : 'spot.candlesticks';
-    const sub = { ws, reconnectAttempts: 0, reconnectTimer: null, pingTimer: null, subscriptionTimeout: null, confirmed: false, symbol, targetInterval: interval, exchangeType, isTrade: false, channel };
-    this.subscriptions.set(subscriptionKey, sub);
+    if (message.error) { console.error(`[GateWs] ${message.channel} ${message.event} error:`, message.error.message || message.error); return; }
+    if (message.event !== 'update' || !message.result) return;
 
-    ws.on('open', () => {
-      sub.reconnectAttempts = 0;
-      const gateInterval = mapIntervalToGate(interval);
-      ws.send(JSON.stringify({ time: Math.floor(Date.now() / 1000), channel, event: 'subscribe', payload: [gateInterval, gateSymbol] }));
-      sub.subscriptionTimeout = setTimeout(() => { if (!sub.confirmed) ws.close(); }, 10000);
-      sub.pingTimer = setInterval(() => { if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ channel, event: 'ping' })); }, PING_INTERVAL_MS);
-    });
-    ws.on('message', (data) => {
-      try {
-        const message = JSON.parse(data.toString());
-        if (message.event === 'pong') return;
-        if (message.event === 'subscribe') { sub.confirmed = true; if (sub.subscriptionTimeout) { clearTimeout(sub.subscriptionTimeout); sub.subscriptionTimeout = null; } return; }
-        if (message.event === 'error') { console.error(`[GateWs] Kline error:`, message); return; }
-        if (message.event === 'update' && message.result) {
-          const candleData = Array.isArray(message.result) ? message.result[0] : message.result;
-          if (!candleData || !candleData.t) return;
-          const kline = {
-            time: parseInt(candleData.t),
-            open: parseFloat(candleData.o),
-            high: parseFloat(candleData.h),
-            low: parseFloat(candleData.l),
-            close: parseFloat(candleData.c),
-            volume: parseFloat(candleData.v || candleData.a || 0),
-            turnover: parseFloat(candleData.a || 0),
-            isClosed: candleData.w === true,
-          };
-          this.onKlineUpdate(symbol, interval, exchangeType, kline);
+    if (message.channel === `${poolKey}.trades`) {
+      const trades = Array.isArray(message.result) ? message.result : [message.result];
+      for (const trade of trades) {
+        const price = parseFloat(trade.price);
+        const qty = Math.abs(parseFloat(trade.size || trade.amount || 0));
+        const ts = Math.floor(parseFloat(trade.create_time_ms || trade.create_time * 1000));
+        const gateSymbol = trade.contract || trade.currency_pair;
+        if (price > 0 && qty > 0 && gateSymbol) {
+          this._emitTrade(poolKey, `${message.channel}|${gateSymbol}`, { price, quantity: qty, timestampMs: ts });
         }
-      } catch (error) { console.error(`[GateWs] Kline parse error:`, error.message); }
-    });
-    ws.on('close', (code) => {
-      if (sub.pingTimer) clearInterval(sub.pingTimer);
-      if (sub.subscriptionTimeout) clearTimeout(sub.subscriptionTimeout);
-      if (this.subscriptions.has(subscriptionKey)) this._scheduleReconnect(symbol, interval, exchangeType, subscriptionKey, sub.reconnectAttempts, false);
-    });
-    ws.on('error', (error) => { console.error(`[GateWs] Kline WS error: ${subscriptionKey}:`, error.message); });
-  }
-
-  // ---- Reconnection ----
-  _scheduleReconnect(symbol, interval, exchangeType, subscriptionKey, attempts, isTrade) {
-    if (!this.subscriptions.has(subscriptionKey)) return;
-    const sub = this.subscriptions.get(subscriptionKey);
-    sub.reconnectAttempts = attempts + 1;
-    if (sub.reconnectAttempts > MAX_RECONNECT_ATTEMPTS) {
-      console.error(`[GateWs] Max reconnect attempts for ${subscriptionKey}`);
-      this.subscriptions.delete(subscriptionKey);
-      const agg = this.aggregators.get(subscriptionKey); if (agg) { agg.reset(); this.aggregators.delete(subscriptionKey); }
+      }
       return;
     }
-    const delay = RECONNECT_DELAY_MS * Math.min(sub.reconnectAttempts, 5);
-    sub.reconnectTimer = setTimeout(() => {
-      if (!this.subscriptions.has(subscriptionKey)) return;
-      this.subscriptions.delete(subscriptionKey);
-      if (isTrade) this._connectTradeStream(symbol, interval, exchangeType, subscriptionKey);
-      else this._connectKlineStream(symbol, interval, exchangeType, subscriptionKey);
-    }, delay);
-  }
-
-  unsubscribe(symbol, interval, exchangeType) {
-    const subscriptionKey = `${symbol}:${interval}:${exchangeType}`;
-    const sub = this.subscriptions.get(subscriptionKey);
-    if (!sub) return;
-    if (sub.reconnectTimer) clearTimeout(sub.reconnectTimer);
-    if (sub.pingTimer) clearInterval(sub.pingTimer);
-    if (sub.subscriptionTimeout) clearTimeout(sub.subscriptionTimeout);
-    if (sub.ws) { try { sub.ws.close(); } catch (e) { /* ignore */ } }
-    this.subscriptions.delete(subscriptionKey);
-    const agg = this.aggregators.get(subscriptionKey);
-    if (agg) { agg.flush(); agg.reset(); this.aggregators.delete(subscriptionKey); }
-  }
 
-  close() {
-    console.log('[GateWs] Closing all connections...');
-    for (const [, sub] of this.subscriptions) {
-      if (sub.reconnectTimer) clearTimeout(sub.reconnectTimer);
-      if (sub.pingTimer) clearInterval(sub.pingTimer);
-      if (sub.subscriptionTimeout) clearTimeout(sub.subscriptionTimeout);
-      if (sub.ws) { try { sub.ws.close(); } catch (e) { /* ignore */ } }
+    if (message.channel === `${poolKey}.candlesticks`) {
+      const candleData = Array.isArray(message.result) ? message.result[0] : message.result;
+      if (!candleData || !candleData.t || !candleData.n) return;
+      // n is `${interval}_${symbol}`, e.g. 1m_BTC_USDT
+      const separator = candleData.n.indexOf('_');
+      const topic = `${message.channel}|${candleData.n.slice(0, separator)},${candleData.n.slice(separator + 1)}`;
+      const kline = {
+        time: parseInt(candleData.t),
+        open: parseFloat(candleData.o),
+        high: parseFloat(candleData.h),
+        low: parseFloat(candleData.l),
+        close: parseFloat(candleData.c),
+        volume: parseFloat(candleData.v || candleData.a || 0),
+        turnover: parseFloat(candleData.a || 0),
+        isClosed: candleData.w === true,
+      };
+      this._emitKline(poolKey, topic, kline);
     }
-    for (const [, agg] of this.aggregators) { agg.reset(); }
-    this.subscriptions.clear();
-    this.aggregators.clear();
-    console.log('[GateWs] All connections closed');
   }
 }
 
@@ -0,0 +1,102 @@
+/**
+ * HTX WebSocket Adapter
+ * Channels are multiplexed over pooled connections (see WsStreamPool);
+ * HTX takes one `sub` per message and gzips every frame.
+ * The server pings with { ping: ts } and expects { pong: ts } back.
+ * Sub-minute (1s/5s/15s): subscribes to trade.detail and aggregates via CandleAggregator
+ * Minute+: subscribes to kline channel (pushes carry no closed flag)
+ */
+
+const zlib = require('zlib');
+const WsStreamPool = require('./wsStreamPool');
+const PooledKlineAdapter = require('./pooledKlineAdapter');
+const { toHtxSymbol } = require('../htxService');
+
+const FUTURES_WS_URL = 'wss://api.hbdm.com/linear-swap-ws';
+const SPOT_WS_URL = 'wss://api.huobi.pro/ws';
+const MAX_STREAMS_PER_CONNECTION = 100;
+
+function mapIntervalToHtx(interval) {
+  const map = { '1m': '1min', '5m': '5min', '15m': '15min', '30m': '30min', '1h': '60min', '4h': '4hour', '1d': '1day' };
+  return map[interval] || interval;
+}
+
+class HtxWsAdapter extends PooledKlineAdapter {
+  constructor(onKlineUpdate) {
+    super('HtxWs', onKlineUpdate);
+  }
+
+  // Topics are the HTX channel names, e.g. market.BTC-USDT.kline.1min
+  _resolveStream(symbol, interval, exchangeType, isTrade) {
+    const poolKey = exchangeType === 'futures' ? 'futures' : 'spot';
+    const htxSymbol = toHtxSymbol(symbol, poolKey);
+    const topic = isTrade
+      ? `market.${htxSymbol}.trade.detail`
+      : `market.${htxSymbol}.kline.${mapIntervalToHtx(interval)}`;
+    return { poolKey, topic };
+  }
+
+  _createPool(poolKey) {
+    return new WsStreamPool({
+      name: `HtxWs:${poolKey}`,
+      url: poolKey === 'futures' ? FUTURES_WS_URL : SPOT_WS_URL,
+      maxStreamsPerConnection: MAX_STREAMS_PER_CONNECTION,
+      // HTX pings every 5s; a socket silent for 30s is dead
+      staleTimeoutMs: 30000,
+      decodeMessage: (data) => zlib.gunzipSync(data).toString(),
+      buildSubscribe: (topics, id) => topics.map((sub, i) => JSON.stringify({ sub, id: `${id}-${i}` })),
+      buildUnsubscribe: (topics, id) => topics.map((unsub, i) => JSON.stringify({ unsub, id: `${id}-${i}` })),
+      onMessage: (raw, connection) => this._handleMessage(poolKey, raw, connection),
+    });
+  }
+
+  _handleMessage(poolKey, raw, connection) {
+    let message;
+    try { message = JSON.parse(raw); } catch (error) {
+      console.error(`[HtxWs] Parse error:`, error.message);
+      return;
+    }
+    if (message.ping != null) {
+      if (connection.ws?.readyState === 1) connection.ws.send(JSON.stringify({ pong: message.ping }));
+      return;
+    }
+    if (message.status === 'error' || message['err-code']) {
+      console.error(`[HtxWs] ${poolKey} error:`, message['err-msg'] || message.err_msg || message['err-code']);
+      return;
+    }
+    if (!message.ch || !message.tick) return;
+
+    if (message.ch.endsWith('.trade.detail')) {
+      const trades = Array.isArray(message.tick.data) ? message.tick.data : [];
+      for (const trade of trades) {
+        const price = parseFloat(trade.price);
+        // Swaps report contracts in amount and base coin in quantity
+        const qty = parseFloat(trade.quantity ?? trade.amount);
+        const ts = Number(trade.ts);
+        if (price > 0 && qty > 0 && ts) {
+          this._emitTrade(poolKey, message.ch, { price, quantity: qty, timestampMs: ts });
+        }
+      }
+      return;
+    }
+
+    if (message.ch.includes('.kline.')) {
+      const tick = message.tick;
+      const volume = parseFloat(tick.amount || 0);
+      const turnover = poolKey === 'spot' ? parseFloat(tick.vol) : parseFloat(tick.trade_turnover);
+      const kline = {
+        time: Number(tick.id),
+        open: parseFloat(tick.open),
+        high: parseFloat(tick.high),
+        low: parseFloat(tick.low),
+        close: parseFloat(tick.close),
+        volume,
+        turnover: Number.isFinite(turnover) ? turnover : 0,
+      };
+      if (!Number.isFinite(kline.time) || !Number.isFinite(kline.close)) return;
+      this._emitInferredKline(poolKey, message.ch, kline);
+    }
+  }
+}
+
+module.exports = HtxWsAdapter;
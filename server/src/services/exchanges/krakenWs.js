@@ -0,0 +1,96 @@
+/**
+ * Kraken Futures WebSocket Adapter
+ * Feeds are multiplexed over pooled connections (see WsStreamPool);
+ * one subscribe message per feed carries every product on it.
+ * Sub-minute (1s/5s/15s): subscribes to the trade feed and aggregates via CandleAggregator
+ * Minute+: subscribes to candles_trade_<interval> (pushes carry no closed flag)
+ */
+
+const WsStreamPool = require('./wsStreamPool');
+const PooledKlineAdapter = require('./pooledKlineAdapter');
+const { toContractSymbol } = require('../krakenService');
+
+const FUTURES_WS_URL = 'wss://futures.kraken.com/ws/v1';
+const MAX_STREAMS_PER_CONNECTION = 200;
+// Kraken drops connections idle for 60s
+const PING_INTERVAL_MS = 30000;
+
+const CANDLE_FEEDS = ['1m', '5m', '15m', '30m', '1h', '4h', '1d'];
+
+// Topics are `${feed}|${productId}`; group them into one message per feed
+function buildFeedMessages(event, topics) {
+  const byFeed = new Map();
+  for (const topic of topics) {
+    const [feed, productId] = topic.split('|');
+    if (!byFeed.has(feed)) byFeed.set(feed, []);
+    byFeed.get(feed).push(productId);
+  }
+  return [...byFeed].map(([feed, productIds]) => JSON.stringify({ event, feed, product_ids: productIds }));
+}
+
+class KrakenWsAdapter extends PooledKlineAdapter {
+  constructor(onKlineUpdate) {
+    super('KrakenWs', onKlineUpdate);
+  }
+
+  _resolveStream(symbol, interval, exchangeType, isTrade) {
+    const productId = toContractSymbol(symbol);
+    const feed = isTrade ? 'trade' : `candles_trade_${CANDLE_FEEDS.includes(interval) ? interval : '1m'}`;
+    return { poolKey: 'futures', topic: `${feed}|${productId}` };
+  }
+
+  _createPool(poolKey) {
+    return new WsStreamPool({
+      name: `KrakenWs:${poolKey}`,
+      url: FUTURES_WS_URL,
+      maxStreamsPerConnection: MAX_STREAMS_PER_CONNECTION,
+      pingIntervalMs: PING_INTERVAL_MS,
+      staleTimeoutMs: PING_INTERVAL_MS * 4,
+      buildSubscribe: (topics) => buildFeedMessages('subscribe', topics),
+      buildUnsubscribe: (topics) => buildFeedMessages('unsubscribe', topics),
+      onMessage: (raw) => this._handleMessage(poolKey, raw),
+    });
+  }
+
+  _handleMessage(poolKey, raw) {
+    let message;
+    try { message = JSON.parse(raw); } catch (error) {
+      console.error(`[KrakenWs] Parse error:`, error.message);
+      return;
+    }
+    if (message.event === 'error' || message.event === 'alert') {
+      console.error(`[KrakenWs] ${message.event}:`, message.message);
+      return;
+    }
+    if (message.event || !message.feed || !message.product_id) return;
+
+    if (message.feed === 'trade') {
+      const price = parseFloat(message.price);
+      const qty = parseFloat(message.qty);
+      const ts = Number(message.time);
+      if (price > 0 && qty > 0 && ts) {
+        this._emitTrade(poolKey, `trade|${message.product_id}`, { price, quantity: qty, timestampMs: ts });
+      }
+      return;
+    }
+
+    if (message.feed.startsWith('candles_trade_') && message.candle && !message.feed.endsWith('_snapshot')) {
+      const candle = message.candle;
+      const close = parseFloat(candle.close);
+      const volume = parseFloat(candle.volume || 0);
+      const kline = {
+        time: Math.floor(Number(candle.time) / 1000),
+        open: parseFloat(candle.open),
+        high: parseFloat(candle.high),
+        low: parseFloat(candle.low),
+        close,
+        volume,
+        turnover: volume * close,
+      };
+      if (!Number.isFinite(kline.time) || !Number.isFinite(kline.close)) return;
+      this._emitInferredKline(poolKey, `${message.feed}|${message.product_id}`, kline);
+    }
+  }
+}
+
+module.exports = KrakenWsAdapter;
@@ -0,0 +1,111 @@
+/**
+ * KuCoin Futures WebSocket Adapter
+ * Topics are multiplexed over pooled connections (see WsStreamPool).
+ * Every connection needs a fresh token from POST /api/v1/bullet-public, so the
+ * pool URL is an async resolver.
+ * Sub-minute (1s/5s/15s): subscribes to /contractMarket/execution and aggregates via CandleAggregator
+ * Minute+: subscribes to /contractMarket/limitCandle (pushes carry no closed flag)
+ * Quantities are in lots and are converted to base coin with the contract multiplier.
+ */
+
+const axios = require('axios');
+const WsStreamPool = require('./wsStreamPool');
+const PooledKlineAdapter = require('./pooledKlineAdapter');
+const kucoinService = require('../kucoinService');
+
+// KuCoin caps a connection at 100 topics
+const MAX_STREAMS_PER_CONNECTION = 100;
+const PING_INTERVAL_MS = 18000;
+
+function mapIntervalToKucoin(interval) {
+  const map = { '1m': '1min', '5m': '5min', '15m': '15min', '30m': '30min', '1h': '1hour', '4h': '4hour', '1d': '1day' };
+  return map[interval] || interval;
+}
+
+async function resolveEndpoint() {
+  const response = await axios.post(`${kucoinService.KUCOIN_FUTURES_BASE_URL}/api/v1/bullet-public`, null, {
+    timeout: 10000,
+  });
+  const { token, instanceServers } = response.data?.data || {};
+  const endpoint = instanceServers?.[0]?.endpoint;
+  if (!token || !endpoint) throw new Error('KuCoin bullet-public returned no endpoint');
+  return `${endpoint}?token=${token}&connectId=${Date.now()}`;
+}
+
+function buildTopicMessages(type, topics, id) {
+  return topics.map((topic, i) => JSON.stringify({ id: `${id}-${i}`, type, topic, response: true }));
+}
+
+class KucoinWsAdapter extends PooledKlineAdapter {
+  constructor(onKlineUpdate) {
+    super('KucoinWs', onKlineUpdate);
+  }
+
+  _resolveStream(symbol, interval, exchangeType, isTrade) {
+    const contract = kucoinService.toContractSymbol(symbol);
+    const topic = isTrade
+      ? `/contractMarket/execution:${contract}`
+      : `/contractMarket/limitCandle:${contract}_${mapIntervalToKucoin(interval)}`;
+    return { poolKey: 'futures', topic };
+  }
+
+  _createPool(poolKey) {
+    kucoinService.ensureContracts();
+    return new WsStreamPool({
+      name: `KucoinWs:${poolKey}`,
+      url: resolveEndpoint,
+      maxStreamsPerConnection: MAX_STREAMS_PER_CONNECTION,
+      pingIntervalMs: PING_INTERVAL_MS,
+      staleTimeoutMs: PING_INTERVAL_MS * 4,
+      buildPing: () => JSON.stringify({ id: String(Date.now()), type: 'ping' }),
+      buildSubscribe: (topics, id) => buildTopicMessages('subscribe', topics, id),
+      buildUnsubscribe: (topics, id) => buildTopicMessages('unsubscribe', topics, id),
+      onMessage: (raw) => this._handleMessage(poolKey, raw),
+    });
+  }
+
+  _handleMessage(poolKey, raw) {
+    let message;
+    try { message = JSON.parse(raw); } catch (error) {
+      console.error(`[KucoinWs] Parse error:`, error.message);
+      return;
+    }
+    if (message.type === 'error') {
+      console.error(`[KucoinWs] ${poolKey} error:`, message.data || message.code);
+      return;
+    }
+    if (message.type !== 'message' || !message.topic || !message.data) return;
+
+    const data = message.data;
+    if (message.topic.startsWith('/contractMarket/execution:')) {
+      const multiplier = kucoinService.getContractMultiplier(data.symbol);
+      const price = parseFloat(data.price);
+      const qty = parseFloat(data.size) * multiplier;
+      // ts is in nanoseconds
+      const ts = Math.floor(Number(data.ts) / 1e6);
+      if (price > 0 && qty > 0 && ts) {
+        this._emitTrade(poolKey, message.topic, { price, quantity: qty, timestampMs: ts });
+      }
+      return;
+    }
+
+    if (message.topic.startsWith('/contractMarket/limitCandle:') && Array.isArray(data.candles)) {
+      // [time (sec), open, close, high, low, volume (lots), turnover]
+      const [time, open, close, high, low, volume, turnover] = data.candles;
+      const multiplier = kucoinService.getContractMultiplier(data.symbol);
+      const kline = {
+        time: Number(time),
+        open: parseFloat(open),
+        high: parseFloat(high),
+        low: parseFloat(low),
+        close: parseFloat(close),
+        volume: (parseFloat(volume) || 0) * multiplier,
+        turnover: parseFloat(turnover) || 0,
+      };
+      if (!Number.isFinite(kline.time) || !Number.isFinite(kline.close)) return;
+      this._emitInferredKline(poolKey, message.topic, kline);
+    }
+  }
+}
+
+module.exports = KucoinWsAdapter;
@@ -1,16 +1,20 @@
 /**
  * OKX WebSocket Adapter
- * Sub-minute (1s/5s/15s): subscribes to trades on public WS and aggregates via CandleAggregator
- * Minute+: subscribes to candle channel on business WS (as before)
+ * Channels are multiplexed over pooled connections (see WsStreamPool):
+ * candles on the business WS, trades on the public WS, both shared by
+ * spot and swap instruments.
+ * Sub-minute (1s/5s/15s): subscribes to trades and aggregates via CandleAggregator
+ * Minute+: subscribes to the candle channel
  */
 
-const WebSocket = require('ws');
-const CandleAggregator = require('../../utils/CandleAggregator');
+const WsStreamPool = require('./wsStreamPool');
+const PooledKlineAdapter = require('./pooledKlineAdapter');
 
 const BUSINESS_WS_URL = 'wss://ws.okx.com:8443/ws/v5/business';
 const PUBLIC_WS_URL   = 'wss://ws.okx.com:8443/ws/v5/public';
-const RECONNECT_DELAY_MS = 5000;
-const MAX_RECONNECT_ATTEMPTS = 10;
+const MAX_STREAMS_PER_CONNECTION = 200;
+const MAX_ARGS_PER_MESSAGE = 50;
+// OKX drops connections that see no traffic for 30s
 const PING_INTERVAL_MS = 25000;
 
 function mapIntervalToOKX(interval) {
@@ -23,163 +27,60 @@ function formatSymbolForOKX(symbol, exchangeType) {
   return exchangeType === 'futures' ? `${base}-USDT-SWAP` : `${base}-USDT`;
 }
 
-class OkxWsAdapter {
+// Topics are `${channel}|${instId}`
+function topicToArg(topic) {
+  const [channel, instId] = topic.split('|');
+  return { channel, instId };
+}
+
+class OkxWsAdapter extends PooledKlineAdapter {
   constructor(onKlineUpdate) {
-    this.onKlineUpdate = onKlineUpdate;
-    this.subscriptions = new Map();
-    this.aggregators = new Map();
-    console.log('[OkxWs] Adapter initialized');
+    super('OkxWs', onKlineUpdate);
   }
 
-  subscribe(symbol, interval, exchangeType) {
-    const normalizedSymbol = symbol.toUpperCase();
-    const subscriptionKey = `${normalizedSymbol}:${interval}:${exchangeType}`;
-    if (this.subscriptions.has(subscriptionKey)) return;
-    console.log(`[OkxWs] Subscribing: ${subscriptionKey}`);
-    const isSubMinute = ['1s', '5s', '15s'].includes(interval);
-    if (isSubMinute) {
-      this._connectTradeStream(normalizedSymbol, interval, exchangeType, subscriptionKey);
-    } else {
-      this._connectKlineStream(normalizedSymbol, interval, exchangeType, subscriptionKey);
-    }
+  _resolveStream(symbol, interval, exchangeType, isTrade) {
+    const instId = formatSymbolForOKX(symbol, exchangeType);
+    if (isTrade) return { poolKey: 'public', topic: `trades|${instId}` };
+    return { poolKey: 'business', topic: `candle${mapIntervalToOKX(interval)}|${instId}` };
   }
 
-  // ---- Trade stream (sub-minute) ----
-  _connectTradeStream(symbol, interval, exchangeType, subscriptionKey) {
-    const okxSymbol = formatSymbolForOKX(symbol, exchangeType);
-    const spanSec = { '1s': 1, '5s': 5, '15s': 15 }[interval];
-    const aggregator = new CandleAggregator(spanSec);
-    aggregator.on('candle', (candle) => { this.onKlineUpdate(symbol, interval, exchangeType, candle); });
-    this.aggregators.set(subscriptionKey, aggregator);
-
-    let ws;
-    try { ws = new WebSocket(PUBLIC_WS_URL); } catch (error) {
-      console.error(`[OkxWs] Failed to create trade WS for ${subscriptionKey}:`, error.message);
-      this._scheduleReconnect(symbol, interval, exchangeType, subscriptionKey, 0, true);
-      return;
-    }
-    const sub = { ws, reconnectAttempts: 0, reconnectTimer: null, pingTimer: null, subscriptionTimeout: null, confirmed: false, symbol, targetInterval: interval, exchangeType, isTrade: true, okxSymbol };
-    this.subscriptions.set(subscriptionKey, sub);
-
-    ws.on('open', () => {
-      console.log(`[OkxWs] Trade stream connected: ${subscriptionKey}`);
-      sub.reconnectAttempts = 0;
-      ws.send(JSON.stringify({ op: 'subscribe', args: [{ channel: 'trades', instId: okxSymbol }] }));
-      sub.subscriptionTimeout = setTimeout(() => { if (!sub.confirmed) { console.error(`[OkxWs] Trade sub timeout: ${subscriptionKey}`); ws.close(); } }, 10000);
-      sub.pingTimer = setInterval(() => { if (ws.readyState === WebSocket.OPEN) ws.send('ping'); }, PING_INTERVAL_MS);
-    });
-    ws.on('message', (data) => {
-      try {
-        const raw = data.toString();
-        if (raw === 'pong') return;
-        const message = JSON.parse(raw);
-        if (message.event === 'subscribe') {
-          if (!message.code || message.code === '0') { sub.confirmed = true; if (sub.subscriptionTimeout) { clearTimeout(sub.subscriptionTimeout); sub.subscriptionTimeout = null; } }
-          return;
-        }
-        if (message.event === 'error') { console.error(`[OkxWs] Trade error: ${subscriptionKey}`, message); return; }
-        if (message.arg && message.arg.channel === 'trades' && message.data) {
-          for (const trade of message.data) {
-            aggregator.addTrade({ price: parseFloat(trade.px), quantity: parseFloat(trade.sz), timestampMs: parseInt(trade.ts) });
-          }
-        }
-      } catch (err) { console.error(`[OkxWs] Trade parse error:`, err.message); }
+  _createPool(poolKey) {
+    return new WsStreamPool({
+      name: `OkxWs:${poolKey}`,
+      url: poolKey === 'business' ? BUSINESS_WS_URL : PUBLIC_WS_URL,
+      maxStreamsPerConnection: MAX_STREAMS_PER_CONNECTION,
+      maxTopicsPerMessage: MAX_ARGS_PER_MESSAGE,
+      pingIntervalMs: PING_INTERVAL_MS,
+      staleTimeoutMs: PING_INTERVAL_MS * 3,
+      buildPing: () => 'ping',
+      buildSubscribe: (topics) => JSON.stringify({ op: 'subscribe', args: topics.map(topicToArg) }),
+      buildUnsubscribe: (topics) => JSON.stringify({ op: 'unsubscribe', args: topics.map(topicToArg) }),
+      onMessage: (raw) => this._handleMessage(poolKey, raw),
     });
-    ws.on('close', (code) => {
-      if (sub.pingTimer) clearInterval(sub.pingTimer);
-      if (sub.subscriptionTimeout) clearTimeout(sub.subscriptionTimeout);
-      if (this.subscriptions.has(subscriptionKey)) this._scheduleReconnect(symbol, interval, exchangeType, subscriptionKey, sub.reconnectAttempts, true);
-    });
-    ws.on('error', (error) => { console.error(`[OkxWs] Trade WS error: ${subscriptionKey}:`, error.message); });
   }
 
-  // ---- Kline stream (minute+) ----
-  _connectKlineStream(symbol, interval, exchangeType, subscriptionKey) {
-    const okxSymbol = formatSymbolForOKX(symbol, exchangeType);
-    let ws;
-    try { ws = new WebSocket(BUSINESS_WS_URL); } catch (error) {
-      console.error(`[OkxWs] Failed to create kline WS for ${subscriptionKey}:`, error.message);
-      this._scheduleReconnect(symbol, interval, exchangeType, subscriptionKey, 0, false);
+  _handleMessage(poolKey, raw) {
+    if (raw === 'pong') return;
+    let message;
+    try { message = JSON.parse(raw); } catch (error) {
+      console.error(`[OkxWs] Parse error:`, error.message);
       return;
     }
-    const sub = { ws, reconnectAttempts: 0, reconnectTimer: null, pingTimer: null, subscriptionTimeout: null, confirmed: false, symbol, targetInterval: interval, exchangeType, isTrade: false, okxSymbol };
-    this.subscriptions.set(subscriptionKey, sub);
+    if (message.event === 'error') { console.error(`[OkxWs] Error:`, message.msg || message); return; }
+    if (message.event || !message.arg || !Array.isArray(message.data)) return;
 
-    ws.on('open', () => {
-      sub.reconnectAttempts = 0;
-      const okxInterval = mapIntervalToOKX(interval);
-      ws.send(JSON.stringify({ op: 'subscribe', args: [{ channel: `candle${okxInterval}`, instId: okxSymbol }] }));
-      sub.subscriptionTimeout = setTimeout(() => { if (!sub.confirmed) ws.close(); }, 10000);
-      sub.pingTimer = setInterval(() => { if (ws.readyState === WebSocket.OPEN) ws.send('ping'); }, PING_INTERVAL_MS);
-    });
-    ws.on('message', (data) => {
-      try {
-        const raw = data.toString();
-        if (raw === 'pong') return;
-        const message = JSON.parse(raw);
-        if (message.event === 'subscribe') { if (!message.code || message.code === '0') { sub.confirmed = true; if (sub.subscriptionTimeout) { clearTimeout(sub.subscriptionTimeout); sub.subscriptionTimeout = null; } } return; }
-        if (message.event === 'error') { console.error(`[OkxWs] Kline error:`, message); return; }
-        if (message.data && Array.isArray(message.data) && message.data.length > 0) {
-          const d = message.data[0];
-          if (!Array.isArray(d) || d.length < 9) return;
-          const kline = { time: Math.floor(parseInt(d[0]) / 1000), open: parseFloat(d[1]), high: parseFloat(d[2]), low: parseFloat(d[3]), close: parseFloat(d[4]), volume: parseFloat(d[5]), turnover: parseFloat(d[7]) || parseFloat(d[6]) || 0, isClosed: d[8] === '1' };
-          this.onKlineUpdate(symbol, interval, exchangeType, kline);
-        }
-      } catch (error) { console.error(`[OkxWs] Kline parse error:`, error.message); }
-    });
-    ws.on('close', (code) => {
-      if (sub.pingTimer) clearInterval(sub.pingTimer);
-      if (sub.subscriptionTimeout) clearTimeout(sub.subscriptionTimeout);
-      if (this.subscriptions.has(subscriptionKey)) this._scheduleReconnect(symbol, interval, exchangeType, subscriptionKey, sub.reconnectAttempts, false);
-    });
-    ws.on('error', (error) => { console.error(`[OkxWs] Kline WS error: ${subscriptionKey}:`, error.message); });
-  }
-
-  // ---- Reconnection ----
-  _scheduleReconnect(symbol, interval, exchangeType, subscriptionKey, attempts, isTrade) {
-    if (!this.subscriptions.has(subscriptionKey)) return;
-    const sub = this.subscriptions.get(subscriptionKey);
-    sub.reconnectAttempts = attempts + 1;
-    if (sub.reconnectAttempts > MAX_RECONNECT_ATTEMPTS) {
-      console.error(`[OkxWs] Max reconnect attempts for ${subscriptionKey}`);
-      this.subscriptions.delete(subscriptionKey);
-      const agg = this.aggregators.get(subscriptionKey); if (agg) { agg.reset(); this.aggregators.delete(subscriptionKey); }
+    const { channel, instId } = message.arg;
+    const topic = `${channel}|${instId}`;
+    if (channel === 'trades') {
+      for (const trade of message.data) {
+        this._emitTrade(poolKey, topic, { price: parseFloat(trade.px), quantity: parseFloat(trade.sz), timestampMs: parseInt(trade.ts) });
+      }
       return;
     }
-    const delay = RECONNECT_DELAY_MS * Math.min(sub.reconnectAttempts, 5);
-    sub.reconnectTimer = setTimeout(() => {
-      if (!this.subscriptions.has(subscriptionKey)) return;
-      this.subscriptions.delete(subscriptionKey);
-      if (isTrade) this._connectTradeStream(symbol, interval, exchangeType, subscriptionKey);
-      else this._connectKlineStream(symbol, interval, exchangeType, subscriptionKey);
-    }, delay);
-  }
-
-  unsubscribe(symbol, interval, exchangeType) {
-    const subscriptionKey = `${symbol}:${interval}:${exchangeType}`;
-    const sub = this.subscriptions.get(subscriptionKey);
-    if (!sub) return;
-    if (sub.reconnectTimer) clearTimeout(sub.reconnectTimer);
-    if (sub.pingTimer) clearInterval(sub.pingTimer);
-    if (sub.subscriptionTimeout) clearTimeout(sub.subscriptionTimeout);
-    if (sub.ws) { try { sub.ws.close(); } catch (e) { /* ignore */ } }
-    this.subscriptions.delete(subscriptionKey);
-    const agg = this.aggregators.get(subscriptionKey);
-    if (agg) { agg.flush(); agg.reset(); this.aggregators.delete(subscriptionKey); }
-  }
-
-  close() {
-    console.log('[OkxWs] Closing all connections...');
-    for (const [, sub] of this.subscriptions) {
-      if (sub.reconnectTimer) clearTimeout(sub.reconnectTimer);
-      if (sub.pingTimer) clearInterval(sub.pingTimer);
-      if (sub.subscriptionTimeout) clearTimeout(sub.subscriptionTimeout);
-      if (sub.ws) { try { sub.ws.close(); } catch (e) { /* ignore */ } }
-    }
-    for (const [, agg] of this.aggregators) { agg.reset(); }
-    this.subscriptions.clear();
-    this.aggregators.clear();
-    console.log('[OkxWs] All connections closed');
+    const d = message.data[0];
+    if (!Array.isArray(d) || d.length < 9) return;
+    const kline = { time: Math.floor(parseInt(d[0]) / 1000), open: parseFloat(d[1]), high: parseFloat(d[2]), low: parseFloat(d[3]), close: parseFloat(d[4]), volume: parseFloat(d[5]), turnover: parseFloat(d[7]) || parseFloat(d[6]) || 0, isClosed: d[8] === '1' };
+    this._emitKline(poolKey, topic, kline);
   }
 }
 
@@ -0,0 +1,164 @@
+/**
+ * PooledKlineAdapter
+ *
+ * Shared bookkeeping for exchange kline adapters built on WsStreamPool.
+ * Subclasses map a subscription to a (pool, topic) pair and parse the
+ * exchange's pushes; this class keeps the klineManager-facing API
+ * (subscribe / unsubscribe / close) and routes parsed data back to the
+ * subscriptions sharing a topic.
+ *
+ * Sub-minute intervals (1s/5s/15s) ride on the trade stream and are
+ * aggregated into OHLCV candles via CandleAggregator; several intervals of the
+ * same symbol share one trade topic.
+ *
+ * Subclasses implement:
+ *   _resolveStream(symbol, interval, exchangeType, isTrade) -> { poolKey, topic }
+ *   _createPool(poolKey) -> WsStreamPool
+ *
+ * Exchanges whose candle pushes carry no "closed" flag (Kraken, HTX, KuCoin)
+ * emit through _emitInferredKline, which closes a candle when the next opens.
+ */
+
+const CandleAggregator = require('../../utils/CandleAggregator');
+
+const SUB_MINUTE_SPANS = { '1s': 1, '5s': 5, '15s': 15 };
+
+class PooledKlineAdapter {
+  constructor(name, onKlineUpdate) {
+    this.name = name;
+    this.onKlineUpdate = onKlineUpdate;
+    /** @type {Map<string, { symbol, interval, exchangeType, isTrade, routeKey }>} */
+    this.subscriptions = new Map();
+    this.aggregators = new Map();
+    /** @type {Map<string, Set<string>>} `${poolKey}|${topic}` -> subscription keys */
+    this.routes = new Map();
+    this.pools = new Map();
+    /** @type {Map<string, Object>} routeKey -> last open candle (see _emitInferredKline) */
+    this.openKlines = new Map();
+    console.log(`[${name}] Adapter initialized`);
+  }
+
+  subscribe(symbol, interval, exchangeType) {
+    const normalizedSymbol = symbol.toUpperCase();
+    const subscriptionKey = `${normalizedSymbol}:${interval}:${exchangeType}`;
+    if (this.subscriptions.has(subscriptionKey)) {
+      console.log(`[${this.name}] Already subscribed: ${subscriptionKey}`);
+      return;
+    }
+    console.log(`[${this.name}] Subscribing: ${subscriptionKey}`);
+
+    const spanSec = SUB_MINUTE_SPANS[interval];
+    const isTrade = Boolean(spanSec);
+    const { poolKey, topic } = this._resolveStream(normalizedSymbol, interval, exchangeType, isTrade);
+    const routeKey = `${poolKey}|${topic}`;
+
+    if (isTrade) {
+      const aggregator = new CandleAggregator(spanSec);
+      aggregator.on('candle', (candle) => {
+        this.onKlineUpdate(normalizedSymbol, interval, exchangeType, candle);
+      });
+      this.aggregators.set(subscriptionKey, aggregator);
+    }
+
+    this.subscriptions.set(subscriptionKey, { symbol: normalizedSymbol, interval, exchangeType, isTrade, routeKey });
+    if (!this.routes.has(routeKey)) this.routes.set(routeKey, new Set());
+    this.routes.get(routeKey).add(subscriptionKey);
+    this._getPool(poolKey).add(topic);
+  }
+
+  unsubscribe(symbol, interval, exchangeType) {
+    const subscriptionKey = `${symbol.toUpperCase()}:${interval}:${exchangeType}`;
+    const subscription = this.subscriptions.get(subscriptionKey);
+    if (!subscription) {
+      console.log(`[${this.name}] Not subscribed: ${subscriptionKey}`);
+      return;
+    }
+    console.log(`[${this.name}] Unsubscribing: ${subscriptionKey}`);
+    this.subscriptions.delete(subscriptionKey);
+
+    const { routeKey } = subscription;
+    const route = this.routes.get(routeKey);
+    if (route) {
+      route.delete(subscriptionKey);
+      if (route.size === 0) {
+        this.routes.delete(routeKey);
+        this.openKlines.delete(routeKey);
+      }
+    }
+    const separator = routeKey.indexOf('|');
+    const pool = this.pools.get(routeKey.slice(0, separator));
+    if (pool) pool.remove(routeKey.slice(separator + 1));
+
+    const agg = this.aggregators.get(subscriptionKey);
+    if (agg) { agg.flush(); agg.reset(); this.aggregators.delete(subscriptionKey); }
+  }
+
+  close() {
+    console.log(`[${this.name}] Closing all connections...`);
+    for (const [, pool] of this.pools) pool.close();
+    for (const [, agg] of this.aggregators) agg.reset();
+    this.pools.clear();
+    this.subscriptions.clear();
+    this.aggregators.clear();
+    this.routes.clear();
+    this.openKlines.clear();
+    console.log(`[${this.name}] All connections closed`);
+  }
+
+  /**
+   * Connection pool health, keyed by pool
+   */
+  getConnectionStats() {
+    const stats = {};
+    for (const [poolKey, pool] of this.pools) stats[poolKey] = pool.getStats();
+    return stats;
+  }
+
+  // ---- Routing helpers for subclasses ----
+
+  _getPool(poolKey) {
+    if (!this.pools.has(poolKey)) this.pools.set(poolKey, this._createPool(poolKey));
+    return this.pools.get(poolKey);
+  }
+
+  /** Deliver a native (minute+) kline to the subscription(s) on a topic. */
+  _emitKline(poolKey, topic, kline) {
+    const route = this.routes.get(`${poolKey}|${topic}`);
+    if (!route) return;
+    for (const subscriptionKey of route) {
+      const subscription = this.subscriptions.get(subscriptionKey);
+      if (subscription && !subscription.isTrade) {
+        this.onKlineUpdate(subscription.symbol, subscription.interval, subscription.exchangeType, kline);
+      }
+    }
+  }
+
+  /**
+   * Deliver a kline from a feed without a "closed" flag. When a push opens a
+   * later candle, the previous one is re-emitted once with isClosed: true.
+   * Late pushes for an already-closed candle are dropped.
+   */
+  _emitInferredKline(poolKey, topic, kline) {
+    const routeKey = `${poolKey}|${topic}`;
+    const previous = this.openKlines.get(routeKey);
+    if (previous && kline.time < previous.time) return;
+    if (previous && kline.time > previous.time) {
+      this._emitKline(poolKey, topic, { ...previous, isClosed: true });
+    }
+    const open = { ...kline, isClosed: false };
+    this.openKlines.set(routeKey, open);
+    this._emitKline(poolKey, topic, open);
+  }
+
+  /** Feed a trade ({ price, quantity, timestampMs }) to every aggregator on a topic. */
+  _emitTrade(poolKey, topic, trade) {
+    const route = this.routes.get(`${poolKey}|${topic}`);
+    if (!route) return;
+    for (const subscriptionKey of route) {
+      const aggregator = this.aggregators.get(subscriptionKey);
+      if (aggregator) aggregator.addTrade(trade);
+    }
+  }
+}
+
+module.exports = PooledKlineAdapter;
@@ -0,0 +1,427 @@
+/**
+ * WsStreamPool
+ *
+ * Multiplexes many exchange streams ("topics") over a small pool of WebSocket
+ * connections instead of opening one socket per stream. Each connection
+ * carries up to `maxStreamsPerConnection` topics which are added and removed
+ * with subscribe/unsubscribe messages on the live socket; bursts of changes
+ * are batched into as few messages as the exchange allows.
+ *
+ * Health: every connection is pinged on an interval and is considered stale
+ * when nothing (data or pong) arrived for `staleTimeoutMs`; stale sockets are
+ * terminated. When a connection drops, its topics are rebalanced onto the
+ * remaining connections with spare capacity and the rest onto a fresh
+ * connection, opened with backoff.
+ *
+ * Usage:
+ *   const pool = new WsStreamPool({
+ *     name: 'BinanceWs:futures',
+ *     url: 'wss://fstream.binance.com/stream',
+ *     maxStreamsPerConnection: 200,
+ *     buildSubscribe: (topics, id) => JSON.stringify({ method: 'SUBSCRIBE', params: topics, id }),
+ *     buildUnsubscribe: (topics, id) => JSON.stringify({ method: 'UNSUBSCRIBE', params: topics, id }),
+ *     onMessage: (raw, connection) => { ... },
+ *   });
+ *   pool.add('btcusdt@kline_1m');      // ref-counted
+ *   pool.remove('btcusdt@kline_1m');
+ */
+
+'use strict';
+
+const WebSocket = require('ws');
+
+const DEFAULT_OPTIONS = {
+  maxStreamsPerConnection: 200,
+  // Topics per subscribe/unsubscribe message
+  maxTopicsPerMessage: 50,
+  // Window for batching add/remove bursts into one message
+  flushDelayMs: 250,
+  connectTimeoutMs: 15000,
+  pingIntervalMs: 20000,
+  staleTimeoutMs: 60000,
+  reconnectDelayMs: 5000,
+  // Build an application-level ping; protocol ping frames are used when omitted
+  buildPing: null,
+  // Turn a raw frame into the string handed to onMessage (e.g. gunzip); defaults to toString()
+  decodeMessage: null,
+};
+
+class WsStreamPool {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Log prefix, e.g. 'BybitWs:spot'
+   * @param {string|(() => string|Promise<string>)} options.url - WebSocket endpoint, or a resolver
+   *   called for every new connection (tokenized endpoints)
+   * @param {(topics: string[], id: number) => string|string[]} options.buildSubscribe
+   * @param {(topics: string[], id: number) => string|string[]} options.buildUnsubscribe
+   * @param {(raw: string, connection: Object) => void} options.onMessage
+   */
+  constructor(options) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.name = this.options.name;
+
+    /** @type {Map<number, Object>} connection id -> connection */
+    this.connections = new Map();
+    /** @type {Map<string, number>} topic -> reference count */
+    this.refCounts = new Map();
+    /** @type {Map<string, Object>} topic -> connection carrying it */
+    this.topicConnections = new Map();
+    /** @type {Set<string>} topics waiting for a connection (reconnect backoff) */
+    this.pending = new Set();
+
+    this.failures = 0;
+    this.reconnectTimer = null;
+    this.nextConnectionId = 1;
+    this.nextRequestId = 1;
+    this.drops = 0;
+    this.rebalanced = 0;
+    this.closed = false;
+  }
+
+  // -----------------------------------------------------------------------
+  // Public API
+  // -----------------------------------------------------------------------
+
+  /**
+   * Reference a topic; the first reference subscribes it.
+   * @returns {boolean} true when the topic was newly subscribed
+   */
+  add(topic) {
+    if (this.closed) return false;
+    const count = this.refCounts.get(topic) || 0;
+    this.refCounts.set(topic, count + 1);
+    if (count > 0) return false;
+    this._assign([topic], { openNew: true });
+    return true;
+  }
+
+  /**
+   * Release a topic; the last reference unsubscribes it.
+   * @returns {boolean} true when the topic was unsubscribed
+   */
+  remove(topic) {
+    const count = this.refCounts.get(topic) || 0;
+    if (count === 0) return false;
+    if (count > 1) {
+      this.refCounts.set(topic, count - 1);
+      return false;
+    }
+
+    this.refCounts.delete(topic);
+    this.pending.delete(topic);
+    const connection = this.topicConnections.get(topic);
+    if (!connection) return true;
+
+    this.topicConnections.delete(topic);
+    connection.topics.delete(topic);
+    // Never sent (still queued or socket not open yet) -> nothing to undo remotely
+    if (!connection.queuedSubscribe.delete(topic) && connection.state === 'open') {
+      connection.queuedUnsubscribe.add(topic);
+    }
+
+    if (connection.topics.size === 0) {
+      this._retire(connection);
+    } else {
+      this._scheduleFlush(connection);
+    }
+    return true;
+  }
+
+  has(topic) {
+    return this.refCounts.has(topic);
+  }
+
+  get size() {
+    return this.refCounts.size;
+  }
+
+  close() {
+    this.closed = true;
+    if (this.reconnectTimer) clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    for (const connection of [...this.connections.values()]) {
+      this._retire(connection);
+    }
+    this.refCounts.clear();
+    this.topicConnections.clear();
+    this.pending.clear();
+  }
+
+  getStats() {
+    return {
+      name: this.name,
+      streams: this.refCounts.size,
+      pending: this.pending.size,
+      failures: this.failures,
+      drops: this.drops,
+      rebalanced: this.rebalanced,
+      connections: [...this.connections.values()].map((connection) => ({
+        id: connection.id,
+        state: connection.state,
+        streams: connection.topics.size,
+        messages: connection.messages,
+        openedAt: connection.openedAt,
+        lastMessageAt: connection.lastMessageAt,
+      })),
+    };
+  }
+
+  // -----------------------------------------------------------------------
+  // Placement
+  // -----------------------------------------------------------------------
+
+  /**
+   * Place topics on connections with spare capacity; when `openNew` is set the
+   * remainder goes to new connections, otherwise it waits for the reconnect.
+   */
+  _assign(topics, { openNew }) {
+    const { maxStreamsPerConnection } = this.options;
+    const remaining = topics.filter((topic) => this.refCounts.has(topic) && !this.topicConnections.has(topic));
+
+    for (const connection of this.connections.values()) {
+      if (remaining.length === 0) break;
+      const free = maxStreamsPerConnection - connection.topics.size;
+      if (free > 0) this._attach(connection, remaining.splice(0, free));
+    }
+    if (remaining.length === 0) return;
+
+    if (!openNew || this.reconnectTimer) {
+      for (const topic of remaining) this.pending.add(topic);
+      this._scheduleReconnect();
+      return;
+    }
+
+    while (remaining.length > 0) {
+      const connection = this._openConnection();
+      if (!connection) {
+        for (const topic of remaining) this.pending.add(topic);
+        this._scheduleReconnect();
+        return;
+      }
+      this._attach(connection, remaining.splice(0, maxStreamsPerConnection));
+    }
+  }
+
+  _attach(connection, topics) {
+    for (const topic of topics) {
+      connection.topics.add(topic);
+      this.topicConnections.set(topic, connection);
+      // Still subscribed remotely if its unsubscribe has not gone out yet
+      if (!connection.queuedUnsubscribe.delete(topic)) {
+        connection.queuedSubscribe.add(topic);
+      }
+    }
+    this._scheduleFlush(connection);
+  }
+
+  _scheduleReconnect() {
+    if (this.reconnectTimer || this.closed || this.pending.size === 0) return;
+    const delay = this.options.reconnectDelayMs * Math.min(Math.max(this.failures, 1), 5);
+    console.log(`[${this.name}] Reconnecting ${this.pending.size} stream(s) in ${delay}ms (failures: ${this.failures})`);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      const topics = [...this.pending];
+      this.pending.clear();
+      this._assign(topics, { openNew: true });
+    }, delay);
+  }
+
+  // -----------------------------------------------------------------------
+  // Connections
+  // -----------------------------------------------------------------------
+
+  _openConnection() {
+    const connection = {
+      id: this.nextConnectionId++,
+      ws: null,
+      state: 'connecting',
+      topics: new Set(),
+      queuedSubscribe: new Set(),
+      queuedUnsubscribe: new Set(),
+      flushTimer: null,
+      pingTimer: null,
+      connectTimer: null,
+      openedAt: null,
+      lastMessageAt: null,
+      messages: 0,
+      retired: false,
+    };
+
+    const { url } = this.options;
+    if (typeof url !== 'function') {
+      if (!this._connectSocket(connection, url)) return null;
+      this.connections.set(connection.id, connection);
+      return connection;
+    }
+
+    // Tokenized endpoints (e.g. KuCoin) resolve a fresh URL per connection
+    this.connections.set(connection.id, connection);
+    Promise.resolve()
+      .then(() => url())
+      .then((resolvedUrl) => {
+        if (connection.retired || connection.state === 'closed') return;
+        if (!this._connectSocket(connection, resolvedUrl)) this._handleDrop(connection, 'create failed');
+      })
+      .catch((error) => {
+        console.error(`[${this.name}] Failed to resolve WS URL:`, error.message);
+        this._handleDrop(connection, 'url resolve failed');
+      });
+    return connection;
+  }
+
+  _connectSocket(connection, url) {
+    let ws;
+    try {
+      ws = new WebSocket(url);
+    } catch (error) {
+      console.error(`[${this.name}] Failed to create WS:`, error.message);
+      this.failures += 1;
+      return false;
+    }
+    connection.ws = ws;
+
+    connection.connectTimer = setTimeout(() => {
+      if (connection.state === 'connecting') {
+        console.warn(`[${this.name}] Connection #${connection.id} timed out while connecting`);
+        ws.terminate();
+      }
+    }, this.options.connectTimeoutMs);
+
+    ws.on('open', () => {
+      if (connection.retired) return;
+      clearTimeout(connection.connectTimer);
+      connection.connectTimer = null;
+      connection.state = 'open';
+      connection.openedAt = Date.now();
+      connection.lastMessageAt = Date.now();
+      console.log(`[${this.name}] Connection #${connection.id} open (${connection.topics.size} stream(s))`);
+      // Anything attached while connecting is subscribed now
+      connection.queuedSubscribe = new Set(connection.topics);
+      connection.queuedUnsubscribe.clear();
+      this._flush(connection);
+      connection.pingTimer = setInterval(() => this._checkHealth(connection), this.options.pingIntervalMs);
+    });
+
+    ws.on('message', (data) => {
+      connection.lastMessageAt = Date.now();
+      connection.messages += 1;
+      if (connection.messages === 1) this.failures = 0;
+      try {
+        const raw = this.options.decodeMessage ? this.options.decodeMessage(data) : data.toString();
+        this.options.onMessage(raw, connection);
+      } catch (error) {
+        console.error(`[${this.name}] Message handler error:`, error.message);
+      }
+    });
+
+    ws.on('pong', () => { connection.lastMessageAt = Date.now(); });
+    ws.on('ping', () => { connection.lastMessageAt = Date.now(); });
+
+    ws.on('close', (code) => this._handleDrop(connection, `code ${code}`));
+    ws.on('error', (error) => {
+      if (!connection.retired) console.error(`[${this.name}] Connection #${connection.id} error:`, error.message);
+    });
+
+    return true;
+  }
+
+  _checkHealth(connection) {
+    if (connection.state !== 'open') return;
+    const silentMs = Date.now() - (connection.lastMessageAt || 0);
+    if (silentMs > this.options.staleTimeoutMs) {
+      console.warn(`[${this.name}] Connection #${connection.id} stale (${Math.round(silentMs / 1000)}s silent), terminating`);
+      connection.ws.terminate();
+      return;
+    }
+    try {
+      if (this.options.buildPing) connection.ws.send(this.options.buildPing());
+      else connection.ws.ping();
+    } catch (error) {
+      console.error(`[${this.name}] Ping failed on #${connection.id}:`, error.message);
+    }
+  }
+
+  _scheduleFlush(connection) {
+    if (connection.state !== 'open' || connection.flushTimer) return;
+    connection.flushTimer = setTimeout(() => {
+      connection.flushTimer = null;
+      this._flush(connection);
+    }, this.options.flushDelayMs);
+  }
+
+  _flush(connection) {
+    if (connection.state !== 'open') return;
+    const { maxTopicsPerMessage, buildSubscribe, buildUnsubscribe } = this.options;
+    const unsubscribe = [...connection.queuedUnsubscribe];
+    const subscribe = [...connection.queuedSubscribe];
+    connection.queuedUnsubscribe.clear();
+    connection.queuedSubscribe.clear();
+
+    for (let i = 0; i < unsubscribe.length; i += maxTopicsPerMessage) {
+      this._send(connection, buildUnsubscribe(unsubscribe.slice(i, i + maxTopicsPerMessage), this.nextRequestId++));
+    }
+    for (let i = 0; i < subscribe.length; i += maxTopicsPerMessage) {
+      this._send(connection, buildSubscribe(subscribe.slice(i, i + maxTopicsPerMessage), this.nextRequestId++));
+    }
+  }
+
+  _send(connection, payload) {
+    const messages = Array.isArray(payload) ? payload : [payload];
+    try {
+      for (const message of messages) connection.ws.send(message);
+    } catch (error) {
+      console.error(`[${this.name}] Send failed on #${connection.id}:`, error.message);
+    }
+  }
+
+  _clearTimers(connection) {
+    if (connection.flushTimer) clearTimeout(connection.flushTimer);
+    if (connection.pingTimer) clearInterval(connection.pingTimer);
+    if (connection.connectTimer) clearTimeout(connection.connectTimer);
+    connection.flushTimer = null;
+    connection.pingTimer = null;
+    connection.connectTimer = null;
+  }
+
+  /** Close a connection on purpose (idle or pool shutdown); its topics are not rehomed. */
+  _retire(connection) {
+    connection.retired = true;
+    connection.state = 'closed';
+    this._clearTimers(connection);
+    this.connections.delete(connection.id);
+    for (const topic of connection.topics) {
+      if (this.topicConnections.get(topic) === connection) this.topicConnections.delete(topic);
+    }
+    connection.topics.clear();
+    if (!connection.ws) return;
+    try {
+      if (connection.ws.readyState === WebSocket.CONNECTING) connection.ws.terminate();
+      else connection.ws.close();
+    } catch (e) { /* ignore */ }
+  }
+
+  /** Connection lost: move its topics to healthy connections, or queue them for a reconnect. */
+  _handleDrop(connection, reason) {
+    if (connection.retired || connection.state === 'closed') return;
+    const wasOpen = connection.state === 'open';
+    connection.state = 'closed';
+    this._clearTimers(connection);
+    this.connections.delete(connection.id);
+    if (this.closed) return;
+
+    const orphaned = [...connection.topics].filter((topic) => this.topicConnections.get(topic) === connection);
+    for (const topic of orphaned) this.topicConnections.delete(topic);
+    connection.topics.clear();
+
+    this.drops += 1;
+    // A socket that never delivered anything counts against the backoff
+    if (!wasOpen || connection.messages === 0) this.failures += 1;
+    console.warn(`[${this.name}] Connection #${connection.id} dropped (${reason}); rebalancing ${orphaned.length} stream(s)`);
+    if (orphaned.length === 0) return;
+
+    this.rebalanced += orphaned.length;
+    this._assign(orphaned, { openNew: false });
+  }
+}
+
+module.exports = WsStreamPool;
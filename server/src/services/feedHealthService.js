@@ -0,0 +1,262 @@
+/**
+ * FeedHealthService — supervises priceWatcher's ticker feeds and fails over to
+ * polled snapshots while one goes silent.
+ *
+ * Every tick priceWatcher emits with source 'feed' updates the exchange+market
+ * record: last tick time and a smoothed inter-tick interval. A feed is silent
+ * when nothing arrived for SILENCE_FACTOR × its usual interval (clamped to
+ * MIN_SILENCE_MS..MAX_SILENCE_MS), or it never ticked within STARTUP_GRACE_MS.
+ * While failed over:
+ *   1. Snapshots are polled every FALLBACK_POLL_MS — the exchange's own REST
+ *      tickers for WS feeds, CCXT fetchTickers when that is empty and for
+ *      feeds that are REST-polled already — and written into priceWatcher's
+ *      maps, so price / complex / spread evaluation keeps running unchanged.
+ *   2. WS feeds are restarted every RESTART_EVERY_MS (half-open sockets never
+ *      close on their own).
+ *   3. RECOVERY_TICKS feed ticks within RECOVERY_WINDOW_MS switch it back.
+ * Each switch is kept in a ring buffer (getStatus) and emitted as 'change'.
+ */
+
+const EventEmitter = require('events');
+const priceWatcher = require('./priceWatcher');
+const { getExchangeAdapter } = require('./exchangeAdapters');
+const { fetchTickersViaCcxt } = require('./exchangeFallbackPriceService');
+
+const CHECK_INTERVAL_MS = 2000;
+const STARTUP_GRACE_MS = 30 * 1000;
+const SILENCE_FACTOR = 5;
+const MIN_SILENCE_MS = 10 * 1000;
+const MAX_SILENCE_MS = 60 * 1000;
+const FALLBACK_POLL_MS = 3000;
+const RESTART_EVERY_MS = 60 * 1000;
+const RECOVERY_TICKS = 3;
+const RECOVERY_WINDOW_MS = 10 * 1000;
+const INTERVAL_SMOOTHING = 0.1;
+const MAX_EVENTS = 100;
+
+class FeedHealthService extends EventEmitter {
+  constructor() {
+    super();
+    this.feeds = new Map(); // 'exchange|market' → entry (see track)
+    this.events = []; // newest last
+    this.timer = null;
+    this.onTick = (event) => this.recordTick(event);
+  }
+
+  start() {
+    if (this.timer) return;
+    priceWatcher.onTick(this.onTick);
+    this.timer = setInterval(() => this.check(), CHECK_INTERVAL_MS);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+    priceWatcher.offTick(this.onTick);
+    this.feeds.clear();
+  }
+
+  track(exchange, market, transport) {
+    const key = `${exchange}|${market}`;
+    let entry = this.feeds.get(key);
+    if (!entry) {
+      entry = {
+        exchange,
+        market,
+        transport,
+        state: 'live', // 'live' | 'failover'
+        openedAt: Date.now(),
+        lastTickAt: 0,
+        avgIntervalMs: null,
+        failoverSince: null,
+        failovers: 0,
+        recoveryTicks: [],
+        lastRestartAt: 0,
+        lastFallbackAt: 0,
+        fallbackSource: null, // 'rest' | 'ccxt'
+        fallbackError: null,
+        polling: false,
+      };
+      this.feeds.set(key, entry);
+    }
+    if (transport) entry.transport = transport;
+    return entry;
+  }
+
+  recordTick({ exchange, market, source }) {
+    if (source !== 'feed') return;
+    const entry = this.track(exchange, market, null); // transport is filled in by check()
+    const now = Date.now();
+    if (entry.lastTickAt) {
+      const interval = now - entry.lastTickAt;
+      entry.avgIntervalMs = entry.avgIntervalMs == null
+        ? interval
+        : entry.avgIntervalMs * (1 - INTERVAL_SMOOTHING) + interval * INTERVAL_SMOOTHING;
+    }
+    entry.lastTickAt = now;
+    if (entry.state === 'failover') entry.recoveryTicks.push(now);
+  }
+
+  silenceThreshold(entry) {
+    if (!entry.lastTickAt || entry.avgIntervalMs == null) return STARTUP_GRACE_MS;
+    return Math.min(MAX_SILENCE_MS, Math.max(MIN_SILENCE_MS, entry.avgIntervalMs * SILENCE_FACTOR));
+  }
+
+  check() {
+    const now = Date.now();
+    const active = new Set();
+    for (const { exchange, market, transport } of priceWatcher.getFeeds()) {
+      const entry = this.track(exchange, market, transport);
+      active.add(`${exchange}|${market}`);
+
+      if (entry.state === 'live') {
+        const silentMs = now - (entry.lastTickAt || entry.openedAt);
+        if (silentMs > this.silenceThreshold(entry)) {
+          this.failover(entry, `no ticks for ${Math.round(silentMs / 1000)}s`);
+        }
+        continue;
+      }
+
+      entry.recoveryTicks = entry.recoveryTicks.filter((t) => now - t < RECOVERY_WINDOW_MS);
+      if (entry.recoveryTicks.length >= RECOVERY_TICKS) {
+        this.recover(entry);
+        continue;
+      }
+      if (entry.transport === 'ws' && now - entry.lastRestartAt >= RESTART_EVERY_MS) {
+        entry.lastRestartAt = now;
+        priceWatcher.restartFeed(entry.exchange, entry.market);
+      }
+      if (now - entry.lastFallbackAt >= FALLBACK_POLL_MS) this.pollFallback(entry);
+    }
+
+    // Feeds priceWatcher closed (no alerts / consumers left)
+    for (const [key, entry] of this.feeds) {
+      if (active.has(key)) continue;
+      this.feeds.delete(key);
+      if (entry.state === 'failover') this.record(entry, 'closed', 'feed no longer needed');
+    }
+  }
+
+  failover(entry, reason) {
+    const now = Date.now();
+    entry.state = 'failover';
+    entry.failoverSince = now;
+    entry.failovers += 1;
+    entry.recoveryTicks = [];
+    entry.fallbackSource = null;
+    entry.fallbackError = null;
+    console.warn(`[FeedHealth] ${entry.exchange}|${entry.market} failing over to polled snapshots (${reason})`);
+    this.record(entry, 'failover', reason);
+    if (entry.transport === 'ws') {
+      entry.lastRestartAt = now;
+      priceWatcher.restartFeed(entry.exchange, entry.market);
+    }
+    this.pollFallback(entry);
+  }
+
+  recover(entry) {
+    const downMs = Date.now() - entry.failoverSince;
+    entry.state = 'live';
+    entry.failoverSince = null;
+    entry.recoveryTicks = [];
+    entry.fallbackSource = null;
+    entry.fallbackError = null;
+    console.log(`[FeedHealth] ${entry.exchange}|${entry.market} feed recovered after ${Math.round(downMs / 1000)}s`);
+    this.record(entry, 'recovered', `feed back after ${Math.round(downMs / 1000)}s`);
+  }
+
+  async pollFallback(entry) {
+    if (entry.polling) return;
+    entry.polling = true;
+    entry.lastFallbackAt = Date.now();
+    try {
+      let snapshot = null;
+      let source = null;
+      // A REST-polled feed already is the exchange's REST — only CCXT adds anything
+      if (entry.transport === 'ws') {
+        try {
+          const adapter = getExchangeAdapter(entry.exchange);
+          snapshot = await adapter?.fetchTickerSnapshot([], entry.market, { strict: false, exchangeOnly: true });
+          source = 'rest';
+        } catch {
+          snapshot = null;
+        }
+      }
+      if (!snapshot || Object.keys(snapshot).length === 0) {
+        snapshot = await fetchTickersViaCcxt(entry.exchange, entry.market);
+        source = 'ccxt';
+      }
+      if (entry.state !== 'failover') return; // recovered while the poll was in flight
+      if (Object.keys(snapshot || {}).length === 0) {
+        entry.fallbackError = 'empty snapshot';
+        return;
+      }
+      priceWatcher.ingestFallbackPrices(entry.exchange, entry.market, snapshot);
+      if (entry.fallbackSource !== source) {
+        entry.fallbackSource = source;
+        this.emit('change', this.getDegraded());
+      }
+      entry.fallbackError = null;
+    } catch (error) {
+      entry.fallbackError = error.message;
+    } finally {
+      entry.polling = false;
+    }
+  }
+
+  record(entry, type, reason) {
+    this.events.push({
+      exchange: entry.exchange,
+      market: entry.market,
+      type, // 'failover' | 'recovered' | 'closed'
+      reason,
+      at: new Date().toISOString(),
+    });
+    if (this.events.length > MAX_EVENTS) this.events.splice(0, this.events.length - MAX_EVENTS);
+    this.emit('change', this.getDegraded());
+  }
+
+  /** Feeds currently served by polled snapshots — the payload pushed to clients. */
+  getDegraded() {
+    const degraded = [];
+    for (const entry of this.feeds.values()) {
+      if (entry.state !== 'failover') continue;
+      degraded.push({
+        exchange: entry.exchange,
+        market: entry.market,
+        since: new Date(entry.failoverSince).toISOString(),
+        source: entry.fallbackSource,
+      });
+    }
+    return { degraded, updatedAt: new Date().toISOString() };
+  }
+
+  getStatus() {
+    const now = Date.now();
+    const feeds = [];
+    for (const entry of this.feeds.values()) {
+      feeds.push({
+        exchange: entry.exchange,
+        market: entry.market,
+        transport: entry.transport,
+        state: entry.state,
+        lastTickAt: entry.lastTickAt ? new Date(entry.lastTickAt).toISOString() : null,
+        silentMs: now - (entry.lastTickAt || entry.openedAt),
+        avgIntervalMs: entry.avgIntervalMs != null ? Math.round(entry.avgIntervalMs) : null,
+        silenceThresholdMs: Math.round(this.silenceThreshold(entry)),
+        failoverSince: entry.failoverSince ? new Date(entry.failoverSince).toISOString() : null,
+        fallbackSource: entry.fallbackSource,
+        fallbackError: entry.fallbackError,
+        failovers: entry.failovers,
+      });
+    }
+    return {
+      running: Boolean(this.timer),
+      feeds,
+      degraded: feeds.filter((feed) => feed.state === 'failover').length,
+      events: this.events.slice(-20).reverse(),
+    };
+  }
+}
+
+module.exports = new FeedHealthService();
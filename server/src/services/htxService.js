@@ -0,0 +1,358 @@
+const axios = require('axios');
+
+// HTX (formerly Huobi): spot and USDT-margined linear swaps
+const HTX_SPOT_BASE_URL = 'https://api.huobi.pro';
+const HTX_FUTURES_BASE_URL = 'https://api.hbdm.com';
+
+const CACHE_TTL = 300000; // 5 minutes
+const cache = {
+  futures: { data: null, timestamp: null },
+  spot: { data: null, timestamp: null },
+};
+const klinesCache = {};
+const KLINES_CACHE_TTL = 300000;
+
+// Alert engine: last prices cache (short TTL, same as other exchanges)
+const lastPricesCache = {
+  futures: { data: null, timestamp: null },
+  spot: { data: null, timestamp: null },
+};
+const LAST_PRICES_CACHE_TTL = 2000; // 2 seconds
+
+// Spot history has no time cursor; scroll-back filters the deepest page
+const MAX_SPOT_HISTORY = 2000;
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Normalize symbol to our format (uppercase, no separators) – same as other exchanges.
+ * e.g. "btcusdt" -> "BTCUSDT", "BTC-USDT" -> "BTCUSDT"
+ */
+function normalizeSymbol(symbol) {
+  if (typeof symbol !== 'string') return '';
+  return symbol.trim().toUpperCase()
+    .replace(/\.P$/i, '')
+    .replace(/-PERP(ETUAL)?$/i, '')
+    .replace(/PERP$/i, '')
+    .replace(/-SWAP$/i, '')
+    .replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * BTCUSDT -> "BTC-USDT" (futures contract_code) / "btcusdt" (spot symbol)
+ */
+function toHtxSymbol(symbol, exchangeType) {
+  const fullSymbol = normalizeSymbol(symbol);
+  if (exchangeType === 'spot') return fullSymbol.toLowerCase();
+  return `${fullSymbol.replace(/USDT$/, '')}-USDT`;
+}
+
+/**
+ * Calculate NATR approximation from 24h high/low/lastPrice (same as other exchanges)
+ */
+function calculateInstantNATR(token) {
+  if (
+    token.high24h == null ||
+    token.low24h == null ||
+    token.lastPrice == null ||
+    token.lastPrice === 0
+  ) {
+    return null;
+  }
+  const trueRange = token.high24h - token.low24h;
+  const natr = (trueRange / token.lastPrice) * 100;
+  return parseFloat(natr.toFixed(2));
+}
+
+function toToken(fullSymbol, { open, close, high, low, volumeUsdt }) {
+  const lastPrice = parseFloat(close);
+  const open24h = parseFloat(open);
+  const high24h = parseFloat(high);
+  const low24h = parseFloat(low);
+  const changePercent = open24h > 0 ? ((lastPrice - open24h) / open24h) * 100 : NaN;
+  const token = {
+    symbol: fullSymbol.replace(/USDT$/, ''),
+    fullSymbol,
+    lastPrice: Number(lastPrice),
+    volume24h: Number(volumeUsdt),
+    priceChangePercent24h: Number.isFinite(changePercent) ? Number(changePercent.toFixed(2)) : null,
+    high24h: Number.isFinite(high24h) ? Number(high24h) : null,
+    low24h: Number.isFinite(low24h) ? Number(low24h) : null,
+  };
+  const natrVal = calculateInstantNATR(token);
+  token.natr = natrVal != null && Number.isFinite(natrVal) ? Number(natrVal) : null;
+  return token;
+}
+
+/**
+ * Fetch tickers from HTX
+ * Spot:    GET https://api.huobi.pro/market/tickers
+ *          { status: 'ok', data: [{ symbol: 'btcusdt', open, close, high, low, amount (base), vol (quote) }] }
+ * Futures: GET https://api.hbdm.com/linear-swap-ex/market/detail/batch_merged?business_type=swap
+ *          { status: 'ok', ticks: [{ contract_code: 'BTC-USDT', open, close, high, low, amount (base), trade_turnover (USDT) }] }
+ */
+async function fetchTickers(exchangeType, retries = 3) {
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      const isSpot = exchangeType === 'spot';
+      const response = isSpot
+        ? await axios.get(`${HTX_SPOT_BASE_URL}/market/tickers`, { timeout: 15000 })
+        : await axios.get(`${HTX_FUTURES_BASE_URL}/linear-swap-ex/market/detail/batch_merged`, {
+          params: { business_type: 'swap' },
+          timeout: 15000,
+        });
+      if (response.data?.status !== 'ok') {
+        throw new Error(response.data?.['err-msg'] || response.data?.err_msg || 'HTX API error');
+      }
+
+      const tokens = [];
+      if (isSpot) {
+        for (const t of response.data.data || []) {
+          if (!t.symbol || !t.symbol.endsWith('usdt')) continue;
+          const lastPrice = parseFloat(t.close);
+          const volumeUsdt = parseFloat(t.vol);
+          if (!(lastPrice > 0) || !(volumeUsdt > 0)) continue;
+          tokens.push(toToken(t.symbol.toUpperCase(), { ...t, volumeUsdt }));
+        }
+      } else {
+        for (const t of response.data.ticks || []) {
+          if (!t.contract_code || !t.contract_code.endsWith('-USDT')) continue;
+          const lastPrice = parseFloat(t.close);
+          const volumeUsdt = parseFloat(t.trade_turnover) || (parseFloat(t.amount) || 0) * lastPrice;
+          if (!(lastPrice > 0) || !(volumeUsdt > 0)) continue;
+          tokens.push(toToken(t.contract_code.replace('-', ''), { ...t, volumeUsdt }));
+        }
+      }
+
+      console.log(`[HTX ${exchangeType.toUpperCase()}] Fetched ${tokens.length} tokens`);
+      return tokens;
+    } catch (error) {
+      if (error.response?.status === 429 && attempt < retries) {
+        const waitTime = Math.pow(2, attempt) * 1000;
+        console.warn(`[HTX] Rate limit, retrying in ${waitTime}ms...`);
+        await wait(waitTime);
+        continue;
+      }
+      if (!error.response && attempt < retries) {
+        await wait(Math.pow(2, attempt) * 1000);
+        continue;
+      }
+      console.error(`[HTX] Error fetching ${exchangeType} tickers:`, error.message);
+      throw new Error(error.message || `Failed to fetch HTX ${exchangeType} tokens`);
+    }
+  }
+}
+
+/**
+ * Fetch tokens with NATR (cached). Same interface as binanceService.fetchTokensWithNATR
+ */
+async function fetchTokensWithNATR(exchangeType) {
+  const cacheKey = exchangeType === 'spot' ? 'spot' : 'futures';
+  const now = Date.now();
+  if (cache[cacheKey].data && cache[cacheKey].timestamp && now - cache[cacheKey].timestamp < CACHE_TTL) {
+    return cache[cacheKey].data;
+  }
+  const tokens = await fetchTickers(cacheKey);
+  cache[cacheKey].data = tokens;
+  cache[cacheKey].timestamp = now;
+  return tokens;
+}
+
+/**
+ * Fetch single token details (same as Binance fetchTokenWithNATR)
+ */
+async function fetchTokenWithNATR(symbol, exchangeType) {
+  const tokens = await fetchTokensWithNATR(exchangeType);
+  const fullSymbol = normalizeSymbol(symbol);
+  const token = tokens.find((t) => t.fullSymbol === fullSymbol);
+  if (!token) throw new Error(`Token ${symbol} not found on HTX`);
+  return token;
+}
+
+/**
+ * Get last price per symbol (for alert engine).
+ * Same interface as binanceService.getLastPricesBySymbols. Keys are fullSymbol (e.g. BTCUSDT).
+ * @param {string[]} symbols - e.g. ["BTCUSDT"] or [] for full map
+ * @param {'futures'|'spot'} exchangeType
+ * @returns {Promise<Record<string, number>>} symbol -> lastPrice
+ */
+async function getLastPricesBySymbols(symbols, exchangeType, options = {}) {
+  const { strict = false } = options;
+  const cacheKey = exchangeType === 'spot' ? 'spot' : 'futures';
+  const hasRequestedSymbols = Array.isArray(symbols) && symbols.length > 0;
+  const pick = (fullMap) => {
+    if (!hasRequestedSymbols) return fullMap;
+    const out = {};
+    for (const sym of new Set(symbols)) {
+      if (typeof sym !== 'string') continue;
+      const price = fullMap[sym] ?? fullMap[sym.toUpperCase()];
+      if (price != null) out[sym] = price;
+    }
+    return out;
+  };
+
+  const now = Date.now();
+  const cached = lastPricesCache[cacheKey];
+  if (cached.data && cached.timestamp && now - cached.timestamp < LAST_PRICES_CACHE_TTL) {
+    return pick(cached.data);
+  }
+
+  try {
+    // Bypass the 5-minute token cache: alert prices must be fresh
+    const tokens = await fetchTickers(cacheKey, 0);
+    cache[cacheKey].data = tokens;
+    cache[cacheKey].timestamp = now;
+    const fullMap = {};
+    for (const t of tokens) fullMap[t.fullSymbol] = t.lastPrice;
+    cached.data = fullMap;
+    cached.timestamp = now;
+    return pick(fullMap);
+  } catch (error) {
+    console.warn(`[HTX getLastPricesBySymbols] ${exchangeType} failed:`, error.message);
+    if (strict && hasRequestedSymbols) {
+      const upstreamError = new Error(`HTX ${exchangeType} price feed unavailable: ${error.message}`);
+      upstreamError.statusCode = error?.statusCode || error?.response?.status || 503;
+      upstreamError.code = 'UPSTREAM_PRICE_UNAVAILABLE';
+      throw upstreamError;
+    }
+    return {};
+  }
+}
+
+/**
+ * Fetch active USDT symbol set for "all coins" complex alerts (same as other exchanges).
+ * @param {'futures'|'spot'} exchangeType
+ * @returns {Promise<Set<string>|null>}
+ */
+async function fetchActiveSymbols(exchangeType) {
+  try {
+    const tokens = await fetchTokensWithNATR(exchangeType);
+    return new Set(tokens.map((t) => t.fullSymbol));
+  } catch (error) {
+    console.warn('[HTX] fetchActiveSymbols failed:', error.message);
+    return null;
+  }
+}
+
+const { resample1mToSeconds: _resample1m } = require('../utils/resampleKlines');
+function resample1mToSeconds(klines1m, secondInterval) {
+  const result = [];
+  for (const candle of klines1m) {
+    result.push(..._resample1m(candle, secondInterval));
+  }
+  return result;
+}
+
+const HTX_PERIODS = { '1m': '1min', '5m': '5min', '15m': '15min', '30m': '30min', '1h': '60min', '4h': '4hour', '1d': '1day' };
+const INTERVAL_SEC = { '1m': 60, '5m': 300, '15m': 900, '30m': 1800, '1h': 3600, '4h': 14400, '1d': 86400 };
+
+/**
+ * Fetch klines from HTX. Same output shape as other exchanges: { time, open, high, low, close, volume, turnover }, time in seconds
+ * Spot:    GET /market/history/kline?symbol=btcusdt&period=1min&size=N (newest first, no time cursor)
+ * Futures: GET /linear-swap-ex/market/history/kline?contract_code=BTC-USDT&period=1min&from=sec&to=sec
+ * Rows: { id (open time, sec), open, close, low, high, amount (base), vol, trade_turnover? }
+ */
+async function fetchKlines(symbol, exchangeType, interval = '15m', limit = 500, options = {}) {
+  const { retries = 1, before = null, maxAge = null } = options || {};
+  const effectiveCacheTTL = (Number.isFinite(maxAge) && maxAge > 0) ? maxAge : KLINES_CACHE_TTL;
+  const validIntervals = ['1s', '5s', '15s', '1m', '5m', '15m', '30m', '1h', '4h', '1d'];
+  if (!validIntervals.includes(interval)) {
+    throw new Error(`Invalid interval. Must be one of: ${validIntervals.join(', ')}`);
+  }
+  if (limit < 1 || limit > 1000) {
+    throw new Error('Limit must be between 1 and 1000');
+  }
+  if (!['futures', 'spot'].includes(exchangeType)) {
+    throw new Error('Invalid exchangeType. Must be "futures" or "spot"');
+  }
+
+  const hasBefore = before !== null && before !== undefined && before !== '' && Number.isFinite(Number(before)) && Number(before) > 0;
+  const beforeKey = hasBefore ? String(Math.floor(Number(before))) : 'latest';
+  const cacheKey = `htx_${symbol}_${exchangeType}_${interval}_${limit}_${beforeKey}`;
+  const now = Date.now();
+  if (klinesCache[cacheKey]?.timestamp && now - klinesCache[cacheKey].timestamp < effectiveCacheTTL) {
+    return klinesCache[cacheKey].data;
+  }
+
+  // For second-level intervals, fetch 1m candles and resample after.
+  const isSecondInterval = ['1s', '5s', '15s'].includes(interval);
+  const baseInterval = isSecondInterval ? '1m' : interval;
+  const count = isSecondInterval ? { '1s': 50, '5s': 84, '15s': 125 }[interval] : limit;
+  const beforeSec = hasBefore ? Math.floor(Number(before) / 1000) : null;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      let response;
+      if (exchangeType === 'spot') {
+        response = await axios.get(`${HTX_SPOT_BASE_URL}/market/history/kline`, {
+          params: {
+            symbol: toHtxSymbol(symbol, 'spot'),
+            period: HTX_PERIODS[baseInterval],
+            size: hasBefore ? MAX_SPOT_HISTORY : count,
+          },
+          timeout: 10000,
+        });
+      } else {
+        const toSec = beforeSec != null ? beforeSec - 1 : Math.floor(now / 1000);
+        response = await axios.get(`${HTX_FUTURES_BASE_URL}/linear-swap-ex/market/history/kline`, {
+          params: {
+            contract_code: toHtxSymbol(symbol, 'futures'),
+            period: HTX_PERIODS[baseInterval],
+            from: toSec - count * INTERVAL_SEC[baseInterval],
+            to: toSec,
+          },
+          timeout: 10000,
+        });
+      }
+      if (response.data?.status !== 'ok') {
+        throw new Error(response.data?.['err-msg'] || response.data?.err_msg || 'HTX API error');
+      }
+
+      const klines = (Array.isArray(response.data.data) ? response.data.data : [])
+        .map((k) => {
+          const close = parseFloat(k.close);
+          const volume = parseFloat(k.amount) || 0;
+          const turnover = exchangeType === 'spot' ? parseFloat(k.vol) : parseFloat(k.trade_turnover);
+          return {
+            time: Number(k.id),
+            open: parseFloat(k.open),
+            high: parseFloat(k.high),
+            low: parseFloat(k.low),
+            close,
+            volume,
+            turnover: Number.isFinite(turnover) ? turnover : volume * close,
+          };
+        })
+        .filter((k) => [k.time, k.open, k.high, k.low, k.close].every(Number.isFinite))
+        .filter((k) => beforeSec == null || k.time < beforeSec)
+        .sort((a, b) => a.time - b.time)
+        .slice(-count);
+
+      const finalKlines = isSecondInterval ? resample1mToSeconds(klines, interval) : klines;
+      klinesCache[cacheKey] = { data: finalKlines, timestamp: now };
+      console.log(`[HTX] Fetched ${finalKlines.length} klines for ${symbol} (${interval})`);
+      return finalKlines;
+    } catch (error) {
+      if ((error.response?.status === 429 || !error.response) && attempt < retries) {
+        await wait(Math.pow(2, attempt) * 500);
+        continue;
+      }
+      throw new Error(error.message || `Failed to fetch HTX klines for ${symbol}`);
+    }
+  }
+}
+
+module.exports = {
+  HTX_SPOT_BASE_URL,
+  HTX_FUTURES_BASE_URL,
+  fetchTokensWithNATR,
+  fetchTokenWithNATR,
+  fetchKlines,
+  calculateInstantNATR,
+  normalizeSymbol,
+  toHtxSymbol,
+  getLastPricesBySymbols,
+  fetchActiveSymbols,
+};
@@ -0,0 +1,387 @@
+/**
+ * Indicator Alert Engine — RSI / EMA cross / Bollinger alerts on closed klines.
+ *
+ * Every (exchange, market, symbol, interval) used by an active indicator alert
+ * gets a rolling series of closed candles:
+ *
+ *   • backfilled from the exchange REST klines when the series is created,
+ *   • kept current by klineManager (the same WS adapters the chart uses —
+ *     the engine subscribes as an internal client and listens for updates),
+ *   • re-synced from REST whenever the WS has not delivered an expected
+ *     candle close (disconnects, adapters that never flag isClosed).
+ *
+ * Conditions are evaluated once per newly closed candle; each alert fires at
+ * most once per candle and symbol, then through the caller's onTriggered
+ * (socket + Telegram + AlertTrigger log in alertEngine).
+ *
+ * Runs only on the engine instance that holds the worker lease.
+ */
+
+const prisma = require('../utils/prisma');
+const klineManager = require('./klineManager');
+const { getExchangeAdapter } = require('./exchangeAdapters');
+const {
+  INTERVAL_TO_SECONDS,
+  normalizeIndicatorCondition,
+  evaluateIndicatorCondition,
+  describeIndicatorCondition,
+} = require('./indicatorConditions');
+const {
+  parseSymbols,
+  normalizeNotificationOptions,
+  getAlertLimits,
+  isAlertExpired,
+  isAlertSnoozed,
+  hasFiresLeft,
+  fireLimitedAlert,
+} = require('./alertLimits');
+
+const KLINE_SUBSCRIBER_ID = `${klineManager.INTERNAL_CLIENT_PREFIX}indicator-alerts`;
+const CACHE_REFRESH_MS = 30_000;
+const STALE_CHECK_MS = 20_000;
+const CLOSE_GRACE_MS = 15_000; // how late a WS candle close may be before REST re-sync
+const SERIES_MAX_CANDLES = 300; // enough warm-up for Wilder RSI / slow EMAs
+const MAX_INDICATOR_SYMBOLS = 10;
+
+let running = false;
+let hooks = { onTriggered: async () => {}, log: () => {} };
+let refreshTimer = null;
+let staleTimer = null;
+let staleCheckInProgress = false;
+
+// Each entry: { id, userId, name, description, exchange, market, symbols[],
+//               condition, limits, activeSinceMs }
+let indicatorAlertsCache = [];
+
+// Map(seriesKey -> { exchange, market, symbol, interval, candles: [{ time, close }],
+//                    pending: { time, close } | null, backfilling: Promise | null })
+const seriesByKey = new Map();
+
+// Map(`${alertId}|${symbol}` -> { candleTime, firedAt })
+const lastFires = new Map();
+
+function seriesKey(exchange, market, symbol, interval) {
+  return `${exchange}|${market}|${symbol}|${interval}`;
+}
+
+function intervalMs(interval) {
+  return (INTERVAL_TO_SECONDS[interval] || 60) * 1000;
+}
+
+// ---------------------------------------------------------------------------
+// Series maintenance
+// ---------------------------------------------------------------------------
+
+function lastCandle(series) {
+  return series.candles.length > 0 ? series.candles[series.candles.length - 1] : null;
+}
+
+/** Merge closed candles by open time (incoming wins), keep the newest SERIES_MAX_CANDLES. */
+function mergeCandles(existing, incoming) {
+  const byTime = new Map(existing.map((c) => [c.time, c]));
+  for (const c of incoming) byTime.set(c.time, c);
+  return Array.from(byTime.values())
+    .sort((a, b) => a.time - b.time)
+    .slice(-SERIES_MAX_CANDLES);
+}
+
+async function backfillSeries(series) {
+  if (series.backfilling) return series.backfilling;
+  const adapter = getExchangeAdapter(series.exchange);
+  if (!adapter?.markets.includes(series.market)) return null;
+
+  series.backfilling = (async () => {
+    const spanMs = intervalMs(series.interval);
+    try {
+      const klines = await adapter.fetchKlines(series.symbol, series.market, series.interval, SERIES_MAX_CANDLES, { maxAge: 5_000 });
+      const nowMs = Date.now();
+      const closed = (Array.isArray(klines) ? klines : [])
+        .map((k) => ({ time: Number(k.time), close: Number(k.close) }))
+        .filter((k) => Number.isFinite(k.time) && Number.isFinite(k.close) && k.close > 0 && k.time * 1000 + spanMs <= nowMs);
+      if (!seriesByKey.has(seriesKey(series.exchange, series.market, series.symbol, series.interval))) return;
+      if (closed.length === 0) return;
+
+      const prevLastTime = lastCandle(series)?.time ?? null;
+      series.candles = mergeCandles(series.candles, closed);
+      if (prevLastTime == null || lastCandle(series).time > prevLastTime) evaluateSeries(series);
+    } catch (err) {
+      hooks.log('warn', 'indicator.backfill.error', {
+        exchange: series.exchange,
+        market: series.market,
+        symbol: series.symbol,
+        interval: series.interval,
+        message: err?.message || String(err),
+      });
+    } finally {
+      series.backfilling = null;
+    }
+  })();
+  return series.backfilling;
+}
+
+function appendClosedCandle(series, candle) {
+  const last = lastCandle(series);
+  if (last && candle.time < last.time) return;
+  if (last && candle.time === last.time) {
+    last.close = candle.close;
+    return;
+  }
+  // A skipped candle would distort every indicator — re-sync from REST instead.
+  if (last && candle.time * 1000 - last.time * 1000 > intervalMs(series.interval)) {
+    backfillSeries(series);
+    return;
+  }
+  series.candles.push(candle);
+  if (series.candles.length > SERIES_MAX_CANDLES) series.candles.shift();
+  evaluateSeries(series);
+}
+
+/** klineManager listener — sees every kline update of every stream. */
+function handleKlineUpdate(exchange, symbol, interval, exchangeType, kline) {
+  if (!running || !kline) return;
+  const series = seriesByKey.get(seriesKey(exchange, exchangeType, String(symbol || '').toUpperCase(), interval));
+  if (!series) return;
+
+  const time = Number(kline.time);
+  const close = Number(kline.close);
+  if (!Number.isFinite(time) || !Number.isFinite(close) || close <= 0) return;
+
+  // Bitget and MEXC never flag isClosed: a candle is final once the next one starts.
+  if (series.pending && time > series.pending.time) {
+    appendClosedCandle(series, series.pending);
+    series.pending = null;
+  }
+  if (kline.isClosed) {
+    series.pending = null;
+    appendClosedCandle(series, { time, close });
+  } else {
+    series.pending = { time, close };
+  }
+}
+
+/** REST re-sync for series whose latest expected close never arrived over WS. */
+async function resyncStaleSeries() {
+  if (!running || staleCheckInProgress) return;
+  staleCheckInProgress = true;
+  try {
+    for (const series of Array.from(seriesByKey.values())) {
+      const spanMs = intervalMs(series.interval);
+      const expectedLastOpenMs = Math.floor((Date.now() - CLOSE_GRACE_MS) / spanMs) * spanMs - spanMs;
+      const last = lastCandle(series);
+      if (last && last.time * 1000 >= expectedLastOpenMs) continue;
+      await backfillSeries(series);
+    }
+  } finally {
+    staleCheckInProgress = false;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Evaluation & firing
+// ---------------------------------------------------------------------------
+
+function evaluateSeries(series) {
+  const last = lastCandle(series);
+  if (!last) return;
+  const closeMs = last.time * 1000 + intervalMs(series.interval);
+  const nowMs = Date.now();
+  let closes = null;
+
+  for (const alert of indicatorAlertsCache) {
+    if (alert.exchange !== series.exchange || alert.market !== series.market) continue;
+    if (alert.condition.interval !== series.interval || !alert.symbols.includes(series.symbol)) continue;
+    // Only candles that closed while the alert existed can fire it.
+    if (closeMs <= alert.activeSinceMs) continue;
+    if (isAlertExpired(alert.limits, nowMs) || isAlertSnoozed(alert.limits, nowMs)) continue;
+
+    const fireKey = `${alert.id}|${series.symbol}`;
+    const previous = lastFires.get(fireKey);
+    if (previous && previous.candleTime >= last.time) continue;
+    if (previous && alert.limits.cooldownSec && nowMs - previous.firedAt < alert.limits.cooldownSec * 1000) continue;
+
+    if (!closes) closes = series.candles.map((c) => c.close);
+    const match = evaluateIndicatorCondition(alert.condition, closes);
+    if (!match) continue;
+
+    lastFires.set(fireKey, { candleTime: last.time, firedAt: nowMs });
+    setImmediate(() => fireIndicatorAlert(alert, series.symbol, match, last));
+  }
+}
+
+async function fireIndicatorAlert(alert, symbol, match, candle) {
+  try {
+    const updatedAlert = await fireLimitedAlert(alert, () => {
+      indicatorAlertsCache = indicatorAlertsCache.filter((a) => a.id !== alert.id);
+      hooks.log('info', 'indicator.deactivate', { alertIds: [alert.id], reason: 'max_fires' });
+    });
+    if (!updatedAlert) return;
+
+    const payload = {
+      id: updatedAlert.id,
+      alertId: updatedAlert.id,
+      name: updatedAlert.name,
+      description: updatedAlert.description ?? null,
+      triggered: true,
+      triggeredAt: updatedAlert.triggeredAt,
+      alertType: 'indicator',
+      exchange: alert.exchange,
+      market: alert.market,
+      symbol,
+      currentPrice: candle.close,
+      candleTime: candle.time,
+      indicator: match,
+      conditionText: describeIndicatorCondition(match),
+      fireCount: updatedAlert.fireCount,
+      notificationOptions: normalizeNotificationOptions(updatedAlert.notificationOptions),
+    };
+
+    await hooks.onTriggered(updatedAlert, payload);
+  } catch (err) {
+    hooks.log('error', 'trigger.indicator.fire.error', {
+      alertId: alert.id,
+      symbol,
+      message: err?.message || String(err),
+    });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Alert cache & subscriptions
+// ---------------------------------------------------------------------------
+
+async function refreshIndicatorAlerts() {
+  if (!running) return;
+  try {
+    const alerts = await prisma.alert.findMany({
+      where: { isActive: true, alertType: 'indicator' },
+    });
+
+    const newCache = [];
+    const exhaustedIds = [];
+    for (const a of alerts) {
+      const limits = getAlertLimits(a.notificationOptions);
+      if (isAlertExpired(limits) || !hasFiresLeft(limits, a.fireCount)) {
+        exhaustedIds.push(a.id);
+        continue;
+      }
+      const condition = normalizeIndicatorCondition(a.conditions);
+      if (!condition) continue;
+      const symbols = Array.from(new Set(
+        parseSymbols(a.symbols).map((s) => String(s || '').toUpperCase().trim()).filter(Boolean)
+      )).slice(0, MAX_INDICATOR_SYMBOLS);
+      if (symbols.length === 0) continue;
+
+      newCache.push({
+        id: a.id,
+        userId: a.userId,
+        name: a.name,
+        description: a.description ?? null,
+        exchange: (a.exchange || 'binance').toLowerCase(),
+        market: (a.market || 'futures').toLowerCase() === 'spot' ? 'spot' : 'futures',
+        symbols,
+        condition,
+        limits,
+        activeSinceMs: new Date(a.createdAt).getTime() || 0,
+      });
+    }
+
+    if (exhaustedIds.length > 0) {
+      await prisma.alert.updateMany({
+        where: { id: { in: exhaustedIds }, isActive: true },
+        data: { isActive: false },
+      });
+      hooks.log('info', 'indicator.deactivate', { alertIds: exhaustedIds, reason: 'expired_or_max_fires' });
+    }
+    if (!running) return;
+
+    indicatorAlertsCache = newCache;
+    syncSeries();
+
+    const alertIds = new Set(newCache.map((a) => a.id));
+    for (const key of lastFires.keys()) {
+      if (!alertIds.has(key.split('|')[0])) lastFires.delete(key);
+    }
+
+    hooks.log('info', 'indicator.cache.refresh', { count: newCache.length, series: seriesByKey.size });
+  } catch (err) {
+    hooks.log('error', 'indicator.cache.refresh.error', { message: err?.message || String(err) });
+  }
+}
+
+/** Subscribe series newly needed by the cache, drop the ones no alert uses anymore. */
+function syncSeries() {
+  const wanted = new Map();
+  for (const alert of indicatorAlertsCache) {
+    for (const symbol of alert.symbols) {
+      const key = seriesKey(alert.exchange, alert.market, symbol, alert.condition.interval);
+      if (!wanted.has(key)) {
+        wanted.set(key, { exchange: alert.exchange, market: alert.market, symbol, interval: alert.condition.interval });
+      }
+    }
+  }
+
+  for (const [key, series] of seriesByKey) {
+    if (wanted.has(key)) continue;
+    seriesByKey.delete(key);
+    klineManager.unsubscribe(KLINE_SUBSCRIBER_ID, series.exchange, series.symbol, series.interval, series.market);
+  }
+
+  for (const [key, spec] of wanted) {
+    if (seriesByKey.has(key)) continue;
+    const series = { ...spec, candles: [], pending: null, backfilling: null };
+    seriesByKey.set(key, series);
+    klineManager.subscribe(KLINE_SUBSCRIBER_ID, spec.exchange, spec.symbol, spec.interval, spec.market);
+    backfillSeries(series);
+  }
+}
+
+function startIndicatorAlerts(options = {}) {
+  if (running) return;
+  hooks = {
+    onTriggered: options.onTriggered || (async () => {}),
+    log: options.log || (() => {}),
+  };
+  running = true;
+  klineManager.addKlineListener(handleKlineUpdate);
+  refreshIndicatorAlerts();
+  refreshTimer = setInterval(() => refreshIndicatorAlerts(), CACHE_REFRESH_MS);
+  staleTimer = setInterval(() => resyncStaleSeries(), STALE_CHECK_MS);
+  hooks.log('info', 'indicator.loop.start');
+}
+
+function stopIndicatorAlerts() {
+  if (!running) return;
+  running = false;
+  klineManager.removeKlineListener(handleKlineUpdate);
+  if (refreshTimer) {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+  }
+  if (staleTimer) {
+    clearInterval(staleTimer);
+    staleTimer = null;
+  }
+  for (const series of seriesByKey.values()) {
+    klineManager.unsubscribe(KLINE_SUBSCRIBER_ID, series.exchange, series.symbol, series.interval, series.market);
+  }
+  seriesByKey.clear();
+  lastFires.clear();
+  indicatorAlertsCache = [];
+  hooks.log('info', 'indicator.loop.stop');
+}
+
+function getIndicatorStatus() {
+  return {
+    running,
+    alerts: indicatorAlertsCache.length,
+    series: seriesByKey.size,
+  };
+}
+
+module.exports = {
+  MAX_INDICATOR_SYMBOLS,
+  startIndicatorAlerts,
+  stopIndicatorAlerts,
+  refreshIndicatorAlerts,
+  getIndicatorStatus,
+};
@@ -0,0 +1,153 @@
+/**
+ * Indicator alert conditions.
+ *
+ * Alert.conditions for alertType 'indicator' holds one condition:
+ *
+ *   { indicator: 'rsi',       interval, operator, period = 14, value }        RSI crosses a level
+ *   { indicator: 'ema_cross', interval, operator, fastPeriod = 12, slowPeriod = 26 }
+ *                                                                           fast EMA crosses slow EMA
+ *   { indicator: 'bollinger', interval, operator, period = 20, stdDev = 2 }  close breaks a band
+ *
+ * operator is 'crosses_above' | 'crosses_below' (for Bollinger: above the upper
+ * band / below the lower band).  Conditions are evaluated on closed candles
+ * only, comparing the last closed candle against the one before it.
+ */
+
+const { ema, rsi, bollinger } = require('../utils/indicators');
+
+const INDICATOR_TYPES = ['rsi', 'ema_cross', 'bollinger'];
+const INDICATOR_OPERATORS = ['crosses_above', 'crosses_below'];
+
+const INTERVAL_TO_SECONDS = {
+  '1m': 60,
+  '5m': 300,
+  '15m': 900,
+  '30m': 1800,
+  '1h': 3600,
+  '4h': 14400,
+  '1d': 86400,
+};
+const INDICATOR_INTERVALS = Object.keys(INTERVAL_TO_SECONDS);
+
+function toInt(value, fallback, min, max) {
+  if (value == null || value === '') return fallback;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) return null;
+  return n;
+}
+
+/**
+ * Validate a stored/incoming condition (object or JSON string).
+ * @returns {object|null} normalized condition, or null when invalid
+ */
+function normalizeIndicatorCondition(raw) {
+  let cond = raw;
+  if (typeof raw === 'string') {
+    try {
+      cond = JSON.parse(raw);
+    } catch {
+      return null;
+    }
+  }
+  if (Array.isArray(cond)) cond = cond[0];
+  if (!cond || typeof cond !== 'object') return null;
+
+  const indicator = String(cond.indicator || '').toLowerCase();
+  const interval = String(cond.interval || '');
+  const operator = String(cond.operator || '').toLowerCase();
+  if (!INDICATOR_TYPES.includes(indicator)) return null;
+  if (!INTERVAL_TO_SECONDS[interval]) return null;
+  if (!INDICATOR_OPERATORS.includes(operator)) return null;
+
+  if (indicator === 'rsi') {
+    const period = toInt(cond.period, 14, 2, 100);
+    const value = Number(cond.value);
+    if (period == null || !Number.isFinite(value) || value <= 0 || value >= 100) return null;
+    return { indicator, interval, operator, period, value };
+  }
+
+  if (indicator === 'ema_cross') {
+    const fastPeriod = toInt(cond.fastPeriod, 12, 2, 200);
+    const slowPeriod = toInt(cond.slowPeriod, 26, 3, 250);
+    if (fastPeriod == null || slowPeriod == null || fastPeriod >= slowPeriod) return null;
+    return { indicator, interval, operator, fastPeriod, slowPeriod };
+  }
+
+  const period = toInt(cond.period, 20, 5, 100);
+  const stdDev = cond.stdDev == null || cond.stdDev === '' ? 2 : Number(cond.stdDev);
+  if (period == null || !Number.isFinite(stdDev) || stdDev < 0.5 || stdDev > 5) return null;
+  return { indicator, interval, operator, period, stdDev };
+}
+
+/** Closed candles needed before the condition can be evaluated at all. */
+function getMinCandles(cond) {
+  if (cond.indicator === 'rsi') return cond.period + 2;
+  if (cond.indicator === 'ema_cross') return cond.slowPeriod + 1;
+  return cond.period + 1;
+}
+
+/**
+ * Evaluate on closes of closed candles (oldest first).
+ * @returns {object|null} match details for the trigger payload, or null
+ */
+function evaluateIndicatorCondition(cond, closes) {
+  const n = closes.length;
+  if (n < getMinCandles(cond)) return null;
+  const above = cond.operator === 'crosses_above';
+
+  if (cond.indicator === 'rsi') {
+    const series = rsi(closes, cond.period);
+    const previous = series[n - 2];
+    const current = series[n - 1];
+    if (previous == null || current == null) return null;
+    const crossed = above
+      ? previous < cond.value && current >= cond.value
+      : previous > cond.value && current <= cond.value;
+    return crossed ? { ...cond, previous, current } : null;
+  }
+
+  if (cond.indicator === 'ema_cross') {
+    const fast = ema(closes, cond.fastPeriod);
+    const slow = ema(closes, cond.slowPeriod);
+    if (fast[n - 2] == null || slow[n - 2] == null) return null;
+    const prevDiff = fast[n - 2] - slow[n - 2];
+    const diff = fast[n - 1] - slow[n - 1];
+    const crossed = above ? prevDiff <= 0 && diff > 0 : prevDiff >= 0 && diff < 0;
+    return crossed ? { ...cond, fast: fast[n - 1], slow: slow[n - 1] } : null;
+  }
+
+  const bands = bollinger(closes, cond.period, cond.stdDev);
+  const band = above ? bands.upper : bands.lower;
+  if (band[n - 2] == null) return null;
+  const crossed = above
+    ? closes[n - 2] <= band[n - 2] && closes[n - 1] > band[n - 1]
+    : closes[n - 2] >= band[n - 2] && closes[n - 1] < band[n - 1];
+  return crossed
+    ? { ...cond, upper: bands.upper[n - 1], middle: bands.middle[n - 1], lower: bands.lower[n - 1] }
+    : null;
+}
+
+/** Short human-readable form, e.g. "RSI(14) 15m crosses below 30". */
+function describeIndicatorCondition(cond) {
+  if (!cond) return '';
+  const direction = cond.operator === 'crosses_above' ? 'above' : 'below';
+  if (cond.indicator === 'rsi') {
+    return `RSI(${cond.period}) ${cond.interval} crosses ${direction} ${cond.value}`;
+  }
+  if (cond.indicator === 'ema_cross') {
+    return `EMA${cond.fastPeriod} crosses ${direction} EMA${cond.slowPeriod} on ${cond.interval}`;
+  }
+  return `${cond.interval} close breaks ${direction === 'above' ? 'above upper' : 'below lower'} ` +
+    `Bollinger band (${cond.period}, ${cond.stdDev})`;
+}
+
+module.exports = {
+  INDICATOR_TYPES,
+  INDICATOR_OPERATORS,
+  INDICATOR_INTERVALS,
+  INTERVAL_TO_SECONDS,
+  normalizeIndicatorCondition,
+  getMinCandles,
+  evaluateIndicatorCondition,
+  describeIndicatorCondition,
+};
@@ -10,6 +10,13 @@ const OkxWsAdapter = require('./exchanges/okxWs');
 const GateWsAdapter = require('./exchanges/gateWs');
 const BitgetWsAdapter = require('./exchanges/bitgetWs');
 const MexcWsAdapter = require('./exchanges/mexcWs');
+const KucoinWsAdapter = require('./exchanges/kucoinWs');
+const KrakenWsAdapter = require('./exchanges/krakenWs');
+const HtxWsAdapter = require('./exchanges/htxWs');
+
+// Client ids with this prefix are server-side consumers (e.g. indicator alerts)
+// that read updates through addKlineListener instead of a Socket.IO room.
+const INTERNAL_CLIENT_PREFIX = 'internal:';
 
 class KlineManager {
   constructor() {
@@ -27,6 +34,9 @@ class KlineManager {
     // Socket.IO instance for emitting updates
     this.io = null;
 
+    // Server-side listeners: fn(exchange, symbol, interval, exchangeType, klineData)
+    this.klineListeners = new Set();
+
     console.log('[KlineManager] Initialized');
   }
 
@@ -39,9 +49,22 @@ class KlineManager {
     console.log('[KlineManager] Connected to Socket.IO');
   }
 
+  /**
+   * Register a server-side listener for every kline update.  Streams are still
+   * opened by subscribe(); use an INTERNAL_CLIENT_PREFIX client id for that.
+   * @param {Function} listener - (exchange, symbol, interval, exchangeType, klineData) => void
+   */
+  addKlineListener(listener) {
+    this.klineListeners.add(listener);
+  }
+
+  removeKlineListener(listener) {
+    this.klineListeners.delete(listener);
+  }
+
   /**
    * Get or create exchange adapter
-   * @param {string} exchange - Exchange name (binance, bybit, okx, gate, bitget, mexc)
+   * @param {string} exchange - Exchange name (binance, bybit, okx, gate, bitget, mexc, kucoin, kraken, htx)
    * @returns {Object} Exchange adapter instance
    */
   getExchangeAdapter(exchange) {
@@ -74,6 +97,15 @@ class KlineManager {
       case 'mexc':
         adapter = new MexcWsAdapter(onKlineUpdate);
         break;
+      case 'kucoin':
+        adapter = new KucoinWsAdapter(onKlineUpdate);
+        break;
+      case 'kraken':
+        adapter = new KrakenWsAdapter(onKlineUpdate);
+        break;
+      case 'htx':
+        adapter = new HtxWsAdapter(onKlineUpdate);
+        break;
       default:
         throw new Error(`Unsupported exchange: ${exchange}`);
     }
@@ -212,6 +244,14 @@ class KlineManager {
       isClosed: klineData.isClosed,
     });
     
+    for (const listener of this.klineListeners) {
+      try {
+        listener(exchange, symbol, interval, exchangeType, klineData);
+      } catch (error) {
+        console.error(`[KlineManager] Kline listener failed for ${subscriptionKey}:`, error.message);
+      }
+    }
+
     const clients = this.subscriptionClients.get(subscriptionKey);
 
     if (!clients || clients.size === 0) {
@@ -219,6 +259,9 @@ class KlineManager {
       return;
     }
 
+    const socketClients = Array.from(clients).filter((clientId) => !clientId.startsWith(INTERNAL_CLIENT_PREFIX));
+    if (socketClients.length === 0) return;
+
     if (!this.io) {
       console.error('[KlineManager] Socket.IO not initialized!');
       return;
@@ -233,9 +276,9 @@ class KlineManager {
       kline: klineData,
     };
 
-    console.log(`[KlineManager] Emitting kline-update to ${clients.size} client(s): ${Array.from(clients).join(', ')}`);
+    console.log(`[KlineManager] Emitting kline-update to ${socketClients.length} client(s): ${socketClients.join(', ')}`);
     
-    clients.forEach((clientId) => {
+    socketClients.forEach((clientId) => {
       this.io.to(clientId).emit('kline-update', updateData);
       console.log(`[KlineManager] Emitted to client: ${clientId}`);
     });
@@ -252,6 +295,7 @@ class KlineManager {
       activeExchanges: this.exchangeAdapters.size,
       subscriptionsByExchange: this.getSubscriptionsByExchange(),
       detailedSubscriptions: this.getDetailedSubscriptions(),
+      connections: this.getConnectionStats(),
     };
     
     console.log('[KlineManager] 📊 Stats:', JSON.stringify(stats, null, 2));
@@ -271,6 +315,20 @@ class KlineManager {
     return byExchange;
   }
 
+  /**
+   * Get WebSocket pool health for adapters that multiplex streams
+   * @returns {Object} Connection stats by exchange
+   */
+  getConnectionStats() {
+    const byExchange = {};
+    for (const [exchange, adapter] of this.exchangeAdapters) {
+      if (typeof adapter.getConnectionStats === 'function') {
+        byExchange[exchange] = adapter.getConnectionStats();
+      }
+    }
+    return byExchange;
+  }
+
   /**
    * Get detailed list of all active subscriptions
    * @returns {Array} Array of subscription details
@@ -319,4 +377,5 @@ class KlineManager {
 
 // Export singleton instance
 const klineManager = new KlineManager();
+klineManager.INTERNAL_CLIENT_PREFIX = INTERNAL_CLIENT_PREFIX;
 module.exports = klineManager;
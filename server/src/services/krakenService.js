@@ -0,0 +1,325 @@
+const axios = require('axios');
+
+// Kraken Futures (USD-margined linear perpetuals, PF_*). Kraken spot is not covered.
+const KRAKEN_FUTURES_BASE_URL = 'https://futures.kraken.com';
+
+const CACHE_TTL = 300000; // 5 minutes
+const cache = { data: null, timestamp: null };
+const klinesCache = {};
+const KLINES_CACHE_TTL = 300000;
+
+// Alert engine: last prices cache (short TTL, same as other exchanges)
+const lastPricesCache = { data: null, timestamp: null };
+const LAST_PRICES_CACHE_TTL = 2000; // 2 seconds
+
+// Kraken quotes bitcoin as XBT
+const BASE_ALIASES = { XBT: 'BTC' };
+const CONTRACT_BASES = { BTC: 'XBT' };
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function assertFutures(exchangeType) {
+  if (exchangeType !== 'futures') {
+    const error = new Error('Kraken supports futures only');
+    error.statusCode = 400;
+    throw error;
+  }
+}
+
+/**
+ * Normalize symbol to our format (uppercase, no separators).
+ * Kraken perpetuals settle in USD, so fullSymbols end in USD: "PF_XBTUSD" -> "BTCUSD".
+ */
+function normalizeSymbol(symbol) {
+  if (typeof symbol !== 'string') return '';
+  let normalized = symbol.trim().toUpperCase()
+    .replace(/^P[FI]_/, '')
+    .replace(/\.P$/i, '')
+    .replace(/-PERP(ETUAL)?$/i, '')
+    .replace(/PERP$/i, '')
+    .replace(/[^A-Z0-9]/g, '');
+  if (normalized.startsWith('XBT')) normalized = `BTC${normalized.slice(3)}`;
+  return normalized;
+}
+
+/**
+ * BTCUSD -> PF_XBTUSD (a USDT suffix is read as USD)
+ */
+function toContractSymbol(symbol) {
+  const base = normalizeSymbol(symbol).replace(/USDT?$/, '');
+  return `PF_${CONTRACT_BASES[base] || base}USD`;
+}
+
+/**
+ * Calculate NATR approximation from 24h high/low/lastPrice (same as other exchanges)
+ */
+function calculateInstantNATR(token) {
+  if (
+    token.high24h == null ||
+    token.low24h == null ||
+    token.lastPrice == null ||
+    token.lastPrice === 0
+  ) {
+    return null;
+  }
+  const trueRange = token.high24h - token.low24h;
+  const natr = (trueRange / token.lastPrice) * 100;
+  return parseFloat(natr.toFixed(2));
+}
+
+/**
+ * Fetch perpetual tickers from Kraken Futures
+ * GET /derivatives/api/v3/tickers
+ * Response: { result: 'success', tickers: [{ symbol, tag, pair, last, open24h, high24h, low24h,
+ *   vol24h, volumeQuote, change24h, suspended }] }
+ */
+async function fetchFuturesTickers(retries = 3) {
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      const response = await axios.get(`${KRAKEN_FUTURES_BASE_URL}/derivatives/api/v3/tickers`, {
+        timeout: 15000,
+      });
+      if (response.data?.result !== 'success') {
+        throw new Error(response.data?.error || 'Kraken API error');
+      }
+
+      const list = Array.isArray(response.data.tickers) ? response.data.tickers : [];
+      const tokens = [];
+      for (const t of list) {
+        if (!t.symbol || !t.symbol.startsWith('PF_') || t.suspended || t.tag !== 'perpetual') continue;
+        const lastPrice = parseFloat(t.last);
+        if (!Number.isFinite(lastPrice) || lastPrice <= 0) continue;
+        const volumeBase = parseFloat(t.vol24h);
+        const volumeQuote = parseFloat(t.volumeQuote);
+        const volume24h = Number.isFinite(volumeQuote) && volumeQuote > 0
+          ? volumeQuote
+          : (Number.isFinite(volumeBase) ? volumeBase * lastPrice : 0);
+        if (!volume24h) continue;
+
+        const fullSymbol = normalizeSymbol(t.symbol);
+        const high24h = parseFloat(t.high24h);
+        const low24h = parseFloat(t.low24h);
+        const open24h = parseFloat(t.open24h);
+        const changePercent = Number.isFinite(parseFloat(t.change24h))
+          ? parseFloat(t.change24h)
+          : (open24h > 0 ? ((lastPrice - open24h) / open24h) * 100 : NaN);
+
+        const token = {
+          symbol: fullSymbol.replace(/USD$/, ''),
+          fullSymbol,
+          lastPrice: Number(lastPrice),
+          volume24h: Number(volume24h),
+          priceChangePercent24h: Number.isFinite(changePercent) ? Number(changePercent.toFixed(2)) : null,
+          high24h: Number.isFinite(high24h) ? Number(high24h) : null,
+          low24h: Number.isFinite(low24h) ? Number(low24h) : null,
+        };
+        const natrVal = calculateInstantNATR(token);
+        token.natr = natrVal != null && Number.isFinite(natrVal) ? Number(natrVal) : null;
+        tokens.push(token);
+      }
+
+      console.log(`[Kraken FUTURES] Fetched ${tokens.length} tokens`);
+      return tokens;
+    } catch (error) {
+      if (error.response?.status === 429 && attempt < retries) {
+        const waitTime = Math.pow(2, attempt) * 1000;
+        console.warn(`[Kraken] Rate limit, retrying in ${waitTime}ms...`);
+        await wait(waitTime);
+        continue;
+      }
+      if (!error.response && attempt < retries) {
+        await wait(Math.pow(2, attempt) * 1000);
+        continue;
+      }
+      console.error('[Kraken] Error fetching futures tickers:', error.message);
+      throw new Error(error.message || 'Failed to fetch Kraken futures tokens');
+    }
+  }
+}
+
+/**
+ * Fetch tokens with NATR (cached). Same interface as binanceService.fetchTokensWithNATR
+ */
+async function fetchTokensWithNATR(exchangeType) {
+  assertFutures(exchangeType);
+  const now = Date.now();
+  if (cache.data && cache.timestamp && now - cache.timestamp < CACHE_TTL) {
+    return cache.data;
+  }
+  const tokens = await fetchFuturesTickers();
+  cache.data = tokens;
+  cache.timestamp = now;
+  return tokens;
+}
+
+/**
+ * Fetch single token details (same as Binance fetchTokenWithNATR)
+ */
+async function fetchTokenWithNATR(symbol, exchangeType) {
+  const tokens = await fetchTokensWithNATR(exchangeType);
+  const fullSymbol = normalizeSymbol(toContractSymbol(symbol));
+  const token = tokens.find((t) => t.fullSymbol === fullSymbol);
+  if (!token) throw new Error(`Token ${symbol} not found on Kraken`);
+  return token;
+}
+
+/**
+ * Get last price per symbol (for alert engine).
+ * Same interface as binanceService.getLastPricesBySymbols. Keys are fullSymbol (e.g. BTCUSD).
+ * @param {string[]} symbols - e.g. ["BTCUSD"] or [] for full map
+ * @param {'futures'} exchangeType
+ * @returns {Promise<Record<string, number>>} symbol -> lastPrice
+ */
+async function getLastPricesBySymbols(symbols, exchangeType, options = {}) {
+  const { strict = false } = options;
+  const hasRequestedSymbols = Array.isArray(symbols) && symbols.length > 0;
+  const pick = (fullMap) => {
+    if (!hasRequestedSymbols) return fullMap;
+    const out = {};
+    for (const sym of new Set(symbols)) {
+      if (typeof sym !== 'string') continue;
+      const price = fullMap[sym] ?? fullMap[sym.toUpperCase()];
+      if (price != null) out[sym] = price;
+    }
+    return out;
+  };
+
+  if (exchangeType !== 'futures') return {};
+  const now = Date.now();
+  if (lastPricesCache.data && lastPricesCache.timestamp && now - lastPricesCache.timestamp < LAST_PRICES_CACHE_TTL) {
+    return pick(lastPricesCache.data);
+  }
+
+  try {
+    // Bypass the 5-minute token cache: alert prices must be fresh
+    const tokens = await fetchFuturesTickers(0);
+    cache.data = tokens;
+    cache.timestamp = now;
+    const fullMap = {};
+    for (const t of tokens) fullMap[t.fullSymbol] = t.lastPrice;
+    lastPricesCache.data = fullMap;
+    lastPricesCache.timestamp = now;
+    return pick(fullMap);
+  } catch (error) {
+    console.warn(`[Kraken getLastPricesBySymbols] ${exchangeType} failed:`, error.message);
+    if (strict && hasRequestedSymbols) {
+      const upstreamError = new Error(`Kraken ${exchangeType} price feed unavailable: ${error.message}`);
+      upstreamError.statusCode = error?.statusCode || error?.response?.status || 503;
+      upstreamError.code = 'UPSTREAM_PRICE_UNAVAILABLE';
+      throw upstreamError;
+    }
+    return {};
+  }
+}
+
+/**
+ * Fetch active perpetual symbol set for "all coins" complex alerts (same as other exchanges).
+ * @param {'futures'|'spot'} exchangeType
+ * @returns {Promise<Set<string>|null>}
+ */
+async function fetchActiveSymbols(exchangeType) {
+  if (exchangeType !== 'futures') return new Set();
+  try {
+    const tokens = await fetchTokensWithNATR('futures');
+    return new Set(tokens.map((t) => t.fullSymbol));
+  } catch (error) {
+    console.warn('[Kraken] fetchActiveSymbols failed:', error.message);
+    return null;
+  }
+}
+
+const { resample1mToSeconds: _resample1m } = require('../utils/resampleKlines');
+function resample1mToSeconds(klines1m, secondInterval) {
+  const result = [];
+  for (const candle of klines1m) {
+    result.push(..._resample1m(candle, secondInterval));
+  }
+  return result;
+}
+
+const INTERVAL_SEC = { '1m': 60, '5m': 300, '15m': 900, '30m': 1800, '1h': 3600, '4h': 14400, '1d': 86400 };
+
+/**
+ * Fetch klines from Kraken Futures. Same output shape as other exchanges: { time, open, high, low, close, volume, turnover }, time in seconds
+ * GET /api/charts/v1/trade/PF_XBTUSD/1m?from=sec&to=sec
+ * Returns { candles: [{ time(ms), open, high, low, close, volume }], more_candles } oldest first
+ */
+async function fetchKlines(symbol, exchangeType, interval = '15m', limit = 500, options = {}) {
+  const { retries = 1, before = null, maxAge = null } = options || {};
+  const effectiveCacheTTL = (Number.isFinite(maxAge) && maxAge > 0) ? maxAge : KLINES_CACHE_TTL;
+  const validIntervals = ['1s', '5s', '15s', '1m', '5m', '15m', '30m', '1h', '4h', '1d'];
+  if (!validIntervals.includes(interval)) {
+    throw new Error(`Invalid interval. Must be one of: ${validIntervals.join(', ')}`);
+  }
+  if (limit < 1 || limit > 1000) {
+    throw new Error('Limit must be between 1 and 1000');
+  }
+  assertFutures(exchangeType);
+
+  const hasBefore = before !== null && before !== undefined && before !== '' && Number.isFinite(Number(before)) && Number(before) > 0;
+  const beforeKey = hasBefore ? String(Math.floor(Number(before))) : 'latest';
+  const cacheKey = `kraken_${symbol}_${exchangeType}_${interval}_${limit}_${beforeKey}`;
+  const now = Date.now();
+  if (klinesCache[cacheKey]?.timestamp && now - klinesCache[cacheKey].timestamp < effectiveCacheTTL) {
+    return klinesCache[cacheKey].data;
+  }
+
+  // For second-level intervals, fetch 1m candles and resample after.
+  const isSecondInterval = ['1s', '5s', '15s'].includes(interval);
+  const resolution = isSecondInterval ? '1m' : interval;
+  const count = isSecondInterval ? { '1s': 50, '5s': 84, '15s': 125 }[interval] : limit;
+  const toSec = Math.floor((hasBefore ? Number(before) - 1 : now) / 1000);
+  const fromSec = toSec - count * INTERVAL_SEC[resolution];
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      const response = await axios.get(
+        `${KRAKEN_FUTURES_BASE_URL}/api/charts/v1/trade/${toContractSymbol(symbol)}/${resolution}`,
+        { params: { from: fromSec, to: toSec }, timeout: 10000 }
+      );
+      const candles = Array.isArray(response.data?.candles) ? response.data.candles : [];
+      const klines = candles
+        .map((c) => {
+          const close = parseFloat(c.close);
+          const volume = parseFloat(c.volume) || 0;
+          return {
+            time: Math.floor(Number(c.time) / 1000),
+            open: parseFloat(c.open),
+            high: parseFloat(c.high),
+            low: parseFloat(c.low),
+            close,
+            volume,
+            turnover: volume * close,
+          };
+        })
+        .filter((k) => [k.time, k.open, k.high, k.low, k.close].every(Number.isFinite))
+        .sort((a, b) => a.time - b.time)
+        .slice(-count);
+
+      const finalKlines = isSecondInterval ? resample1mToSeconds(klines, interval) : klines;
+      klinesCache[cacheKey] = { data: finalKlines, timestamp: now };
+      console.log(`[Kraken] Fetched ${finalKlines.length} klines for ${symbol} (${interval})`);
+      return finalKlines;
+    } catch (error) {
+      if ((error.response?.status === 429 || !error.response) && attempt < retries) {
+        await wait(Math.pow(2, attempt) * 500);
+        continue;
+      }
+      throw new Error(error.response?.data?.error || error.message || `Failed to fetch Kraken klines for ${symbol}`);
+    }
+  }
+}
+
+module.exports = {
+  KRAKEN_FUTURES_BASE_URL,
+  fetchTokensWithNATR,
+  fetchTokenWithNATR,
+  fetchKlines,
+  calculateInstantNATR,
+  normalizeSymbol,
+  toContractSymbol,
+  getLastPricesBySymbols,
+  fetchActiveSymbols,
+};
@@ -0,0 +1,374 @@
+const axios = require('axios');
+
+// KuCoin Futures (USDT-margined perpetuals). KuCoin spot is not covered.
+const KUCOIN_FUTURES_BASE_URL = 'https://api-futures.kucoin.com';
+
+const CACHE_TTL = 300000; // 5 minutes
+const cache = { data: null, timestamp: null };
+const klinesCache = {};
+const KLINES_CACHE_TTL = 300000;
+
+// Alert engine: last prices cache (short TTL, same as other exchanges)
+const lastPricesCache = { data: null, timestamp: null };
+const LAST_PRICES_CACHE_TTL = 2000; // 2 seconds
+
+// KuCoin contract symbol (XBTUSDTM) <-> our fullSymbol (BTCUSDT), plus lot size
+const contractsBySymbol = new Map(); // fullSymbol -> { contract, multiplier }
+const symbolsByContract = new Map(); // contract -> fullSymbol
+
+// KuCoin quotes bitcoin as XBT
+const BASE_ALIASES = { XBT: 'BTC' };
+const CONTRACT_BASES = { BTC: 'XBT' };
+
+const MAX_KLINES_PER_REQUEST = 500;
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function assertFutures(exchangeType) {
+  if (exchangeType !== 'futures') {
+    const error = new Error('KuCoin supports futures only');
+    error.statusCode = 400;
+    throw error;
+  }
+}
+
+/**
+ * Normalize symbol to our format (uppercase, no separators) – same as other exchanges.
+ * e.g. "XBTUSDTM" -> "BTCUSDT", "btc-usdt" -> "BTCUSDT"
+ */
+function normalizeSymbol(symbol) {
+  if (typeof symbol !== 'string') return '';
+  const raw = symbol.trim().toUpperCase();
+  if (!raw) return '';
+  if (symbolsByContract.has(raw)) return symbolsByContract.get(raw);
+
+  let normalized = raw
+    .replace(/\.P$/i, '')
+    .replace(/-PERP(ETUAL)?$/i, '')
+    .replace(/PERP$/i, '')
+    .replace(/USDTM$/i, 'USDT')
+    .replace(/[^A-Z0-9]/g, '');
+  if (normalized.startsWith('XBT')) normalized = `BTC${normalized.slice(3)}`;
+  return normalized;
+}
+
+/**
+ * BTCUSDT -> XBTUSDTM
+ */
+function toContractSymbol(symbol) {
+  const fullSymbol = normalizeSymbol(symbol);
+  const known = contractsBySymbol.get(fullSymbol);
+  if (known) return known.contract;
+  const base = fullSymbol.replace(/USDT$/, '');
+  return `${CONTRACT_BASES[base] || base}USDTM`;
+}
+
+/**
+ * Base-coin amount per contract lot, from the last contracts fetch (1 when unknown).
+ */
+function getContractMultiplier(symbol) {
+  return contractsBySymbol.get(normalizeSymbol(symbol))?.multiplier || 1;
+}
+
+/**
+ * Make sure the contract map is populated (lot sizes are needed to convert
+ * contract quantities to base coin). Failures leave the defaults in place.
+ */
+async function ensureContracts() {
+  if (contractsBySymbol.size > 0) return;
+  try {
+    await fetchTokensWithNATR('futures');
+  } catch (error) {
+    console.warn('[KuCoin] Contract list unavailable:', error.message);
+  }
+}
+
+/**
+ * Calculate NATR approximation from 24h high/low/lastPrice (same as other exchanges)
+ */
+function calculateInstantNATR(token) {
+  if (
+    token.high24h == null ||
+    token.low24h == null ||
+    token.lastPrice == null ||
+    token.lastPrice === 0
+  ) {
+    return null;
+  }
+  const trueRange = token.high24h - token.low24h;
+  const natr = (trueRange / token.lastPrice) * 100;
+  return parseFloat(natr.toFixed(2));
+}
+
+/**
+ * Fetch active USDT perpetuals with 24h stats from KuCoin Futures
+ * GET /api/v1/contracts/active
+ * Response: { code: '200000', data: [{ symbol, baseCurrency, quoteCurrency, multiplier, type, status,
+ *   lastTradePrice, highPrice, lowPrice, priceChgPct, volumeOf24h, turnoverOf24h, isInverse }] }
+ */
+async function fetchFuturesTickers(retries = 3) {
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      const response = await axios.get(`${KUCOIN_FUTURES_BASE_URL}/api/v1/contracts/active`, {
+        timeout: 15000,
+      });
+      if (response.data?.code !== '200000') {
+        throw new Error(response.data?.msg || `KuCoin API error code: ${response.data?.code}`);
+      }
+
+      const list = Array.isArray(response.data.data) ? response.data.data : [];
+      const tokens = [];
+      for (const c of list) {
+        if (c.quoteCurrency !== 'USDT' || c.isInverse || c.status !== 'Open' || c.type !== 'FFWCSX') continue;
+        const lastPrice = parseFloat(c.lastTradePrice);
+        const volumeUsdt = parseFloat(c.turnoverOf24h);
+        if (!Number.isFinite(lastPrice) || lastPrice <= 0) continue;
+        if (!Number.isFinite(volumeUsdt) || volumeUsdt <= 0) continue;
+
+        const base = BASE_ALIASES[c.baseCurrency] || c.baseCurrency;
+        const fullSymbol = `${base}USDT`;
+        contractsBySymbol.set(fullSymbol, { contract: c.symbol, multiplier: Math.abs(parseFloat(c.multiplier)) || 1 });
+        symbolsByContract.set(c.symbol, fullSymbol);
+
+        const high24h = parseFloat(c.highPrice);
+        const low24h = parseFloat(c.lowPrice);
+        // priceChgPct is a fraction (0.0123 = 1.23%)
+        const changePercent = parseFloat(c.priceChgPct) * 100;
+
+        const token = {
+          symbol: String(base),
+          fullSymbol,
+          lastPrice: Number(lastPrice),
+          volume24h: Number(volumeUsdt),
+          priceChangePercent24h: Number.isFinite(changePercent) ? Number(changePercent.toFixed(2)) : null,
+          high24h: Number.isFinite(high24h) ? Number(high24h) : null,
+          low24h: Number.isFinite(low24h) ? Number(low24h) : null,
+        };
+        const natrVal = calculateInstantNATR(token);
+        token.natr = natrVal != null && Number.isFinite(natrVal) ? Number(natrVal) : null;
+        tokens.push(token);
+      }
+
+      console.log(`[KuCoin FUTURES] Fetched ${tokens.length} tokens`);
+      return tokens;
+    } catch (error) {
+      if (error.response?.status === 429 && attempt < retries) {
+        const waitTime = Math.pow(2, attempt) * 1000;
+        console.warn(`[KuCoin] Rate limit, retrying in ${waitTime}ms...`);
+        await wait(waitTime);
+        continue;
+      }
+      if (!error.response && attempt < retries) {
+        await wait(Math.pow(2, attempt) * 1000);
+        continue;
+      }
+      console.error('[KuCoin] Error fetching futures tickers:', error.message);
+      throw new Error(error.message || 'Failed to fetch KuCoin futures tokens');
+    }
+  }
+}
+
+/**
+ * Fetch tokens with NATR (cached). Same interface as binanceService.fetchTokensWithNATR
+ */
+async function fetchTokensWithNATR(exchangeType) {
+  assertFutures(exchangeType);
+  const now = Date.now();
+  if (cache.data && cache.timestamp && now - cache.timestamp < CACHE_TTL) {
+    return cache.data;
+  }
+  const tokens = await fetchFuturesTickers();
+  cache.data = tokens;
+  cache.timestamp = now;
+  return tokens;
+}
+
+/**
+ * Fetch single token details (same as Binance fetchTokenWithNATR)
+ */
+async function fetchTokenWithNATR(symbol, exchangeType) {
+  const tokens = await fetchTokensWithNATR(exchangeType);
+  const fullSymbol = normalizeSymbol(symbol);
+  const token = tokens.find((t) => t.fullSymbol === fullSymbol);
+  if (!token) throw new Error(`Token ${symbol} not found on KuCoin`);
+  return token;
+}
+
+/**
+ * Get last price per symbol (for alert engine).
+ * Same interface as binanceService.getLastPricesBySymbols. Keys are fullSymbol (e.g. BTCUSDT).
+ * @param {string[]} symbols - e.g. ["BTCUSDT"] or [] for full map
+ * @param {'futures'} exchangeType
+ * @returns {Promise<Record<string, number>>} symbol -> lastPrice
+ */
+async function getLastPricesBySymbols(symbols, exchangeType, options = {}) {
+  const { strict = false } = options;
+  const hasRequestedSymbols = Array.isArray(symbols) && symbols.length > 0;
+  const pick = (fullMap) => {
+    if (!hasRequestedSymbols) return fullMap;
+    const out = {};
+    for (const sym of new Set(symbols)) {
+      if (typeof sym !== 'string') continue;
+      const price = fullMap[sym] ?? fullMap[sym.toUpperCase()];
+      if (price != null) out[sym] = price;
+    }
+    return out;
+  };
+
+  if (exchangeType !== 'futures') return {};
+  const now = Date.now();
+  if (lastPricesCache.data && lastPricesCache.timestamp && now - lastPricesCache.timestamp < LAST_PRICES_CACHE_TTL) {
+    return pick(lastPricesCache.data);
+  }
+
+  try {
+    // Bypass the 5-minute token cache: alert prices must be fresh
+    const tokens = await fetchFuturesTickers(0);
+    cache.data = tokens;
+    cache.timestamp = now;
+    const fullMap = {};
+    for (const t of tokens) fullMap[t.fullSymbol] = t.lastPrice;
+    lastPricesCache.data = fullMap;
+    lastPricesCache.timestamp = now;
+    return pick(fullMap);
+  } catch (error) {
+    console.warn(`[KuCoin getLastPricesBySymbols] ${exchangeType} failed:`, error.message);
+    if (strict && hasRequestedSymbols) {
+      const upstreamError = new Error(`KuCoin ${exchangeType} price feed unavailable: ${error.message}`);
+      upstreamError.statusCode = error?.statusCode || error?.response?.status || 503;
+      upstreamError.code = 'UPSTREAM_PRICE_UNAVAILABLE';
+      throw upstreamError;
+    }
+    return {};
+  }
+}
+
+/**
+ * Fetch active USDT symbol set for "all coins" complex alerts (same as other exchanges).
+ * @param {'futures'|'spot'} exchangeType
+ * @returns {Promise<Set<string>|null>}
+ */
+async function fetchActiveSymbols(exchangeType) {
+  if (exchangeType !== 'futures') return new Set();
+  try {
+    const tokens = await fetchTokensWithNATR('futures');
+    return new Set(tokens.map((t) => t.fullSymbol));
+  } catch (error) {
+    console.warn('[KuCoin] fetchActiveSymbols failed:', error.message);
+    return null;
+  }
+}
+
+const { resample1mToSeconds: _resample1m } = require('../utils/resampleKlines');
+function resample1mToSeconds(klines1m, secondInterval) {
+  const result = [];
+  for (const candle of klines1m) {
+    result.push(..._resample1m(candle, secondInterval));
+  }
+  return result;
+}
+
+// Granularity in minutes
+const INTERVAL_MINUTES = { '1m': 1, '5m': 5, '15m': 15, '30m': 30, '1h': 60, '4h': 240, '1d': 1440 };
+
+/**
+ * Fetch klines from KuCoin Futures. Same output shape as other exchanges: { time, open, high, low, close, volume, turnover }, time in seconds
+ * GET /api/v1/kline/query?symbol=XBTUSDTM&granularity=1&from=ms&to=ms (max 500 per request)
+ * Returns [[ time(ms), open, high, low, close, volume(lots), turnover ], ...] oldest first
+ */
+async function fetchKlines(symbol, exchangeType, interval = '15m', limit = 500, options = {}) {
+  const { retries = 1, before = null, maxAge = null } = options || {};
+  const effectiveCacheTTL = (Number.isFinite(maxAge) && maxAge > 0) ? maxAge : KLINES_CACHE_TTL;
+  const validIntervals = ['1s', '5s', '15s', '1m', '5m', '15m', '30m', '1h', '4h', '1d'];
+  if (!validIntervals.includes(interval)) {
+    throw new Error(`Invalid interval. Must be one of: ${validIntervals.join(', ')}`);
+  }
+  if (limit < 1 || limit > 1000) {
+    throw new Error('Limit must be between 1 and 1000');
+  }
+  assertFutures(exchangeType);
+
+  const hasBefore = before !== null && before !== undefined && before !== '' && Number.isFinite(Number(before)) && Number(before) > 0;
+  const beforeKey = hasBefore ? String(Math.floor(Number(before))) : 'latest';
+  const cacheKey = `kucoin_${symbol}_${exchangeType}_${interval}_${limit}_${beforeKey}`;
+  const now = Date.now();
+  if (klinesCache[cacheKey]?.timestamp && now - klinesCache[cacheKey].timestamp < effectiveCacheTTL) {
+    return klinesCache[cacheKey].data;
+  }
+
+  // For second-level intervals, fetch 1m candles and resample after.
+  const isSecondInterval = ['1s', '5s', '15s'].includes(interval);
+  const minutes = isSecondInterval ? 1 : INTERVAL_MINUTES[interval];
+  const count = isSecondInterval ? { '1s': 50, '5s': 84, '15s': 125 }[interval] : limit;
+  const spanMs = minutes * 60000;
+  await ensureContracts();
+  const contract = toContractSymbol(symbol);
+  const multiplier = getContractMultiplier(symbol);
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      const byTime = new Map();
+      let to = hasBefore ? Math.floor(Number(before)) - 1 : now;
+      let remaining = count;
+      while (remaining > 0) {
+        const batch = Math.min(remaining, MAX_KLINES_PER_REQUEST);
+        const response = await axios.get(`${KUCOIN_FUTURES_BASE_URL}/api/v1/kline/query`, {
+          params: { symbol: contract, granularity: minutes, from: to - batch * spanMs, to },
+          timeout: 10000,
+        });
+        if (response.data?.code !== '200000') {
+          throw new Error(response.data?.msg || `KuCoin API error code: ${response.data?.code}`);
+        }
+        const rows = Array.isArray(response.data.data) ? response.data.data : [];
+        for (const row of rows) {
+          const open = parseFloat(row[1]);
+          const high = parseFloat(row[2]);
+          const low = parseFloat(row[3]);
+          const close = parseFloat(row[4]);
+          const time = Math.floor(Number(row[0]) / 1000);
+          if (![time, open, high, low, close].every(Number.isFinite)) continue;
+          byTime.set(time, {
+            time,
+            open,
+            high,
+            low,
+            close,
+            volume: (parseFloat(row[5]) || 0) * multiplier,
+            turnover: parseFloat(row[6]) || 0,
+          });
+        }
+        if (rows.length < batch) break;
+        remaining -= batch;
+        to -= batch * spanMs;
+      }
+
+      const klines = [...byTime.values()].sort((a, b) => a.time - b.time).slice(-count);
+      const finalKlines = isSecondInterval ? resample1mToSeconds(klines, interval) : klines;
+      klinesCache[cacheKey] = { data: finalKlines, timestamp: now };
+      console.log(`[KuCoin] Fetched ${finalKlines.length} klines for ${symbol} (${interval})`);
+      return finalKlines;
+    } catch (error) {
+      if ((error.response?.status === 429 || !error.response) && attempt < retries) {
+        await wait(Math.pow(2, attempt) * 500);
+        continue;
+      }
+      throw new Error(error.response?.data?.msg || error.message || `Failed to fetch KuCoin klines for ${symbol}`);
+    }
+  }
+}
+
+module.exports = {
+  KUCOIN_FUTURES_BASE_URL,
+  fetchTokensWithNATR,
+  fetchTokenWithNATR,
+  fetchKlines,
+  calculateInstantNATR,
+  normalizeSymbol,
+  toContractSymbol,
+  getContractMultiplier,
+  ensureContracts,
+  getLastPricesBySymbols,
+  fetchActiveSymbols,
+};
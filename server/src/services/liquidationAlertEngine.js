@@ -0,0 +1,270 @@
+/**
+ * Liquidation Alert Engine — "large liquidation" alerts from the live
+ * liquidation feeds (see services/liquidations).
+ *
+ * Each active liquidation alert watches one exchange (binance | bybit | okx),
+ * optionally a symbol whitelist, and fires when a single liquidation of at
+ * least minUsd hits the chosen side (long / short positions, or both).
+ * Liquidation cascades arrive in bursts, so every alert + symbol has a
+ * cooldown and each alert fires at most MAX_FIRES_PER_MINUTE times a minute.
+ * Fires go through the caller's onTriggered (socket + Telegram + email +
+ * AlertTrigger log in alertEngine).
+ *
+ * Runs only on the engine instance that holds the worker lease.
+ */
+
+const prisma = require('../utils/prisma');
+const liquidationService = require('./liquidations');
+const {
+  parseSymbols,
+  normalizeNotificationOptions,
+  getAlertLimits,
+  isAlertExpired,
+  isAlertSnoozed,
+  hasFiresLeft,
+  fireLimitedAlert,
+} = require('./alertLimits');
+
+const { LIQUIDATION_EXCHANGES } = liquidationService;
+const LIQUIDATION_SIDES = ['both', 'long', 'short'];
+const MIN_LIQUIDATION_USD = 10_000;
+const MAX_LIQUIDATION_SYMBOLS = 50;
+
+const CACHE_REFRESH_MS = 30_000;
+const DEFAULT_LIQUIDATION_COOLDOWN_SEC = 60; // per alert + symbol, unless the alert sets its own
+const MAX_FIRES_PER_MINUTE = 5; // per alert — an "all symbols" alert must not flood the user
+
+let running = false;
+let hooks = { onTriggered: async () => {}, log: () => {} };
+let refreshTimer = null;
+
+// Each entry: { id, userId, name, description, exchange, symbols: Set (empty = all), condition, limits }
+let liquidationAlertsCache = [];
+
+// Map(`${alertId}|${symbol}` -> firedAt)
+const lastFires = new Map();
+
+// Map(alertId -> [firedAt, ...]) within the last minute
+const recentFires = new Map();
+
+/**
+ * Validate a stored/incoming condition (object or JSON string):
+ * { side: 'both' | 'long' | 'short', minUsd }.
+ * @returns {object|null} normalized condition, or null when invalid
+ */
+function normalizeLiquidationCondition(raw) {
+  let cond = raw;
+  if (typeof raw === 'string') {
+    try {
+      cond = JSON.parse(raw);
+    } catch {
+      return null;
+    }
+  }
+  if (Array.isArray(cond)) cond = cond[0];
+  if (!cond || typeof cond !== 'object') return null;
+  const side = String(cond.side || 'both').toLowerCase();
+  if (!LIQUIDATION_SIDES.includes(side)) return null;
+  const minUsd = Number(cond.minUsd);
+  if (!Number.isFinite(minUsd) || minUsd < MIN_LIQUIDATION_USD || minUsd > 1e9) return null;
+  return { side, minUsd };
+}
+
+function formatUsd(value) {
+  if (value >= 1e6) return `$${(value / 1e6).toFixed(2)}M`;
+  if (value >= 1e3) return `$${(value / 1e3).toFixed(1)}K`;
+  return `$${value.toFixed(0)}`;
+}
+
+/** e.g. "$1.25M long liquidated @ 64210.5" */
+function describeLiquidationEvent(event) {
+  return `${formatUsd(event.usd)} ${event.side} liquidated @ ${event.price}`;
+}
+
+// ---------------------------------------------------------------------------
+// Event matching
+// ---------------------------------------------------------------------------
+
+function handleLiquidation(event) {
+  if (!running || liquidationAlertsCache.length === 0) return;
+  const nowMs = Date.now();
+
+  for (const alert of liquidationAlertsCache) {
+    if (alert.exchange !== event.exchange) continue;
+    if (alert.symbols.size > 0 && !alert.symbols.has(event.symbol)) continue;
+    const { condition } = alert;
+    if (condition.side !== 'both' && condition.side !== event.side) continue;
+    if (event.usd < condition.minUsd) continue;
+    if (isAlertExpired(alert.limits, nowMs) || isAlertSnoozed(alert.limits, nowMs)) continue;
+
+    const fireKey = `${alert.id}|${event.symbol}`;
+    const cooldownMs = (alert.limits.cooldownSec || DEFAULT_LIQUIDATION_COOLDOWN_SEC) * 1000;
+    const previous = lastFires.get(fireKey);
+    if (previous && nowMs - previous < cooldownMs) continue;
+
+    const fires = (recentFires.get(alert.id) || []).filter((at) => nowMs - at < 60_000);
+    if (fires.length >= MAX_FIRES_PER_MINUTE) {
+      recentFires.set(alert.id, fires);
+      hooks.log('info', 'liquidation.fires.capped', { alertId: alert.id, symbol: event.symbol, limit: MAX_FIRES_PER_MINUTE });
+      continue;
+    }
+    fires.push(nowMs);
+    recentFires.set(alert.id, fires);
+    lastFires.set(fireKey, nowMs);
+    setImmediate(() => fireLiquidationAlert(alert, event));
+  }
+}
+
+async function fireLiquidationAlert(alert, event) {
+  try {
+    const updatedAlert = await fireLimitedAlert(alert, () => {
+      liquidationAlertsCache = liquidationAlertsCache.filter((a) => a.id !== alert.id);
+      hooks.log('info', 'liquidation.deactivate', { alertIds: [alert.id], reason: 'max_fires' });
+    });
+    if (!updatedAlert) return;
+
+    const payload = {
+      id: updatedAlert.id,
+      alertId: updatedAlert.id,
+      name: updatedAlert.name,
+      description: updatedAlert.description ?? null,
+      triggered: true,
+      triggeredAt: updatedAlert.triggeredAt,
+      alertType: 'liquidation',
+      exchange: alert.exchange,
+      market: 'futures',
+      symbol: event.symbol,
+      currentPrice: event.price,
+      liquidation: {
+        side: event.side,
+        price: event.price,
+        quantity: event.quantity,
+        usd: event.usd,
+        time: event.time,
+      },
+      conditionText: describeLiquidationEvent(event),
+      fireCount: updatedAlert.fireCount,
+      notificationOptions: normalizeNotificationOptions(updatedAlert.notificationOptions),
+    };
+
+    await hooks.onTriggered(updatedAlert, payload);
+  } catch (err) {
+    hooks.log('error', 'trigger.liquidation.fire.error', {
+      alertId: alert.id,
+      symbol: event.symbol,
+      message: err?.message || String(err),
+    });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Alert cache
+// ---------------------------------------------------------------------------
+
+async function refreshLiquidationAlerts() {
+  if (!running) return;
+  try {
+    const alerts = await prisma.alert.findMany({
+      where: { isActive: true, alertType: 'liquidation' },
+    });
+
+    const newCache = [];
+    const exhaustedIds = [];
+    for (const a of alerts) {
+      const limits = getAlertLimits(a.notificationOptions);
+      if (isAlertExpired(limits) || !hasFiresLeft(limits, a.fireCount)) {
+        exhaustedIds.push(a.id);
+        continue;
+      }
+      const condition = normalizeLiquidationCondition(a.conditions);
+      const exchange = String(a.exchange || '').toLowerCase();
+      if (!condition || !LIQUIDATION_EXCHANGES.includes(exchange)) continue;
+      const symbols = new Set(
+        parseSymbols(a.symbols)
+          .map((s) => String(s || '').toUpperCase().trim())
+          .filter(Boolean)
+          .slice(0, MAX_LIQUIDATION_SYMBOLS)
+      );
+
+      newCache.push({
+        id: a.id,
+        userId: a.userId,
+        name: a.name,
+        description: a.description ?? null,
+        exchange,
+        symbols,
+        condition,
+        limits,
+      });
+    }
+
+    if (exhaustedIds.length > 0) {
+      await prisma.alert.updateMany({
+        where: { id: { in: exhaustedIds }, isActive: true },
+        data: { isActive: false },
+      });
+      hooks.log('info', 'liquidation.deactivate', { alertIds: exhaustedIds, reason: 'expired_or_max_fires' });
+    }
+    if (!running) return;
+
+    liquidationAlertsCache = newCache;
+    const alertIds = new Set(newCache.map((a) => a.id));
+    for (const key of lastFires.keys()) {
+      if (!alertIds.has(key.split('|')[0])) lastFires.delete(key);
+    }
+    for (const alertId of recentFires.keys()) {
+      if (!alertIds.has(alertId)) recentFires.delete(alertId);
+    }
+
+    hooks.log('info', 'liquidation.cache.refresh', { count: newCache.length });
+  } catch (err) {
+    hooks.log('error', 'liquidation.cache.refresh.error', { message: err?.message || String(err) });
+  }
+}
+
+function startLiquidationAlerts(options = {}) {
+  if (running) return;
+  hooks = {
+    onTriggered: options.onTriggered || (async () => {}),
+    log: options.log || (() => {}),
+  };
+  running = true;
+  liquidationService.on('liquidation', handleLiquidation);
+  refreshLiquidationAlerts();
+  refreshTimer = setInterval(() => refreshLiquidationAlerts(), CACHE_REFRESH_MS);
+  hooks.log('info', 'liquidation.loop.start', { exchanges: LIQUIDATION_EXCHANGES });
+}
+
+function stopLiquidationAlerts() {
+  if (!running) return;
+  running = false;
+  liquidationService.off('liquidation', handleLiquidation);
+  if (refreshTimer) {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+  }
+  lastFires.clear();
+  recentFires.clear();
+  liquidationAlertsCache = [];
+  hooks.log('info', 'liquidation.loop.stop');
+}
+
+function getLiquidationStatus() {
+  return {
+    running,
+    alerts: liquidationAlertsCache.length,
+    feed: liquidationService.getStatus(),
+  };
+}
+
+module.exports = {
+  LIQUIDATION_EXCHANGES,
+  MIN_LIQUIDATION_USD,
+  MAX_LIQUIDATION_SYMBOLS,
+  normalizeLiquidationCondition,
+  describeLiquidationEvent,
+  startLiquidationAlerts,
+  stopLiquidationAlerts,
+  refreshLiquidationAlerts,
+  getLiquidationStatus,
+};
@@ -0,0 +1,76 @@
+/**
+ * BinanceLiquidationFeed — USDT-M futures force orders.
+ *
+ * One `!forceOrder@arr` stream carries every symbol; Binance pushes at most
+ * the latest liquidation per symbol per second. A SELL force order closes a
+ * long position, a BUY closes a short.
+ *
+ * @module liquidations/binanceLiquidationFeed
+ */
+
+const WsStreamPool = require('../exchanges/wsStreamPool');
+
+const WS_URL = 'wss://fstream.binance.com/stream';
+const STREAM = '!forceOrder@arr';
+
+class BinanceLiquidationFeed {
+  /**
+   * @param {(event: Object) => void} onLiquidation - receives normalized events
+   */
+  constructor(onLiquidation) {
+    this.exchange = 'binance';
+    this.onLiquidation = onLiquidation;
+    this.pool = null;
+    this.received = 0;
+  }
+
+  start() {
+    if (this.pool) return;
+    this.pool = new WsStreamPool({
+      name: 'Liquidations:binance',
+      url: WS_URL,
+      maxStreamsPerConnection: 1,
+      buildSubscribe: (topics, id) => JSON.stringify({ method: 'SUBSCRIBE', params: topics, id }),
+      buildUnsubscribe: (topics, id) => JSON.stringify({ method: 'UNSUBSCRIBE', params: topics, id }),
+      onMessage: (raw) => this.handleMessage(raw),
+    });
+    this.pool.add(STREAM);
+  }
+
+  stop() {
+    if (this.pool) this.pool.close();
+    this.pool = null;
+  }
+
+  handleMessage(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch {
+      return;
+    }
+    const order = message?.data?.o;
+    if (message?.data?.e !== 'forceOrder' || !order?.s) return;
+
+    const price = Number(order.ap) || Number(order.p);
+    const quantity = Number(order.z) || Number(order.q);
+    if (!(price > 0) || !(quantity > 0)) return;
+
+    this.received += 1;
+    this.onLiquidation({
+      exchange: this.exchange,
+      symbol: order.s,
+      side: order.S === 'SELL' ? 'long' : 'short',
+      price,
+      quantity,
+      usd: price * quantity,
+      time: Number(order.T) || Date.now(),
+    });
+  }
+
+  getStats() {
+    return { exchange: this.exchange, received: this.received, pool: this.pool ? this.pool.getStats() : null };
+  }
+}
+
+module.exports = { BinanceLiquidationFeed };
@@ -0,0 +1,115 @@
+/**
+ * BybitLiquidationFeed — linear perpetual liquidations.
+ *
+ * Bybit only publishes per-symbol `allLiquidation.{symbol}` topics, so the
+ * feed subscribes every active USDT perpetual (from the exchange adapter) and
+ * re-syncs the list every SYMBOL_REFRESH_MS to pick up new listings. Side
+ * "Buy" means a long position was liquidated, "Sell" a short.
+ *
+ * @module liquidations/bybitLiquidationFeed
+ */
+
+const WsStreamPool = require('../exchanges/wsStreamPool');
+const { getExchangeAdapter } = require('../exchangeAdapters');
+
+const WS_URL = 'wss://stream.bybit.com/v5/public/linear';
+const MAX_STREAMS_PER_CONNECTION = 200;
+const MAX_ARGS_PER_MESSAGE = 10;
+const PING_INTERVAL_MS = 20000;
+const SYMBOL_REFRESH_MS = 30 * 60 * 1000;
+
+class BybitLiquidationFeed {
+  /**
+   * @param {(event: Object) => void} onLiquidation - receives normalized events
+   */
+  constructor(onLiquidation) {
+    this.exchange = 'bybit';
+    this.onLiquidation = onLiquidation;
+    this.pool = null;
+    this.symbols = new Set();
+    this.refreshTimer = null;
+    this.received = 0;
+  }
+
+  start() {
+    if (this.pool) return;
+    this.pool = new WsStreamPool({
+      name: 'Liquidations:bybit',
+      url: WS_URL,
+      maxStreamsPerConnection: MAX_STREAMS_PER_CONNECTION,
+      maxTopicsPerMessage: MAX_ARGS_PER_MESSAGE,
+      pingIntervalMs: PING_INTERVAL_MS,
+      staleTimeoutMs: PING_INTERVAL_MS * 3,
+      buildPing: () => JSON.stringify({ op: 'ping' }),
+      buildSubscribe: (topics, id) => JSON.stringify({ req_id: String(id), op: 'subscribe', args: topics }),
+      buildUnsubscribe: (topics, id) => JSON.stringify({ req_id: String(id), op: 'unsubscribe', args: topics }),
+      onMessage: (raw) => this.handleMessage(raw),
+    });
+    this.syncSymbols();
+    this.refreshTimer = setInterval(() => this.syncSymbols(), SYMBOL_REFRESH_MS);
+  }
+
+  stop() {
+    if (this.refreshTimer) clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+    if (this.pool) this.pool.close();
+    this.pool = null;
+    this.symbols.clear();
+  }
+
+  async syncSymbols() {
+    let listed;
+    try {
+      listed = await getExchangeAdapter('bybit').listSymbols('futures');
+    } catch (error) {
+      console.warn('[Liquidations:bybit] Symbol list failed:', error.message);
+      return;
+    }
+    if (!this.pool || listed.length === 0) return;
+
+    const next = new Set(listed);
+    for (const symbol of next) {
+      if (!this.symbols.has(symbol)) this.pool.add(`allLiquidation.${symbol}`);
+    }
+    for (const symbol of this.symbols) {
+      if (!next.has(symbol)) this.pool.remove(`allLiquidation.${symbol}`);
+    }
+    this.symbols = next;
+  }
+
+  handleMessage(raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch {
+      return;
+    }
+    if (message.op === 'subscribe' && message.success === false) {
+      console.error('[Liquidations:bybit] subscribe failed:', message.ret_msg);
+      return;
+    }
+    if (!String(message.topic || '').startsWith('allLiquidation.') || !Array.isArray(message.data)) return;
+
+    for (const item of message.data) {
+      const price = Number(item.p);
+      const quantity = Number(item.v);
+      if (!item.s || !(price > 0) || !(quantity > 0)) continue;
+      this.received += 1;
+      this.onLiquidation({
+        exchange: this.exchange,
+        symbol: item.s,
+        side: item.S === 'Buy' ? 'long' : 'short',
+        price,
+        quantity,
+        usd: price * quantity,
+        time: Number(item.T) || Date.now(),
+      });
+    }
+  }
+
+  getStats() {
+    return { exchange: this.exchange, received: this.received, pool: this.pool ? this.pool.getStats() : null };
+  }
+}
+
+module.exports = { BybitLiquidationFeed };
@@ -0,0 +1,206 @@
+/**
+ * LiquidationService — aggregates futures liquidations from Binance, Bybit
+ * and OKX into rolling per-symbol long / short volume.
+ *
+ * Each feed normalizes its stream into
+ *   { exchange, symbol, side: 'long' | 'short', price, quantity, usd, time }
+ * where side is the position that was liquidated. The service keeps:
+ *   • per exchange+symbol one-minute buckets for the last RETENTION_MS
+ *     (rolling volume, chart overlay),
+ *   • the last MAX_EVENTS_PER_SYMBOL events per exchange+symbol (chart markers),
+ * and emits every event as 'liquidation' (Socket.IO fan-out, alert engine).
+ *
+ * Data lives in memory only, so history starts when the server starts.
+ *
+ * @module liquidations
+ */
+
+const EventEmitter = require('events');
+const { BinanceLiquidationFeed } = require('./binanceLiquidationFeed');
+const { BybitLiquidationFeed } = require('./bybitLiquidationFeed');
+const { OkxLiquidationFeed } = require('./okxLiquidationFeed');
+
+const LIQUIDATION_EXCHANGES = ['binance', 'bybit', 'okx'];
+const BUCKET_MS = 60 * 1000;
+const RETENTION_MS = 24 * 60 * 60 * 1000;
+const MAX_EVENTS_PER_SYMBOL = 200;
+const PRUNE_INTERVAL_MS = 5 * 60 * 1000;
+
+// Rolling windows accepted by getSummary
+const SUMMARY_WINDOWS = {
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '24h': RETENTION_MS,
+};
+
+function emptyTotals() {
+  return { longUsd: 0, shortUsd: 0, longCount: 0, shortCount: 0 };
+}
+
+class LiquidationService extends EventEmitter {
+  constructor() {
+    super();
+    this.feeds = [];
+    // `${exchange}:${symbol}` -> { exchange, symbol, buckets: [{ time, ...totals }], events: [] }
+    this.series = new Map();
+    this.pruneTimer = null;
+    this.startedAt = null;
+    this.lastEventAt = null;
+  }
+
+  start() {
+    if (this.feeds.length > 0) return;
+    const onLiquidation = (event) => this.record(event);
+    this.feeds = [
+      new BinanceLiquidationFeed(onLiquidation),
+      new BybitLiquidationFeed(onLiquidation),
+      new OkxLiquidationFeed(onLiquidation),
+    ];
+    for (const feed of this.feeds) feed.start();
+    this.pruneTimer = setInterval(() => this.prune(), PRUNE_INTERVAL_MS);
+    this.startedAt = Date.now();
+  }
+
+  stop() {
+    for (const feed of this.feeds) feed.stop();
+    this.feeds = [];
+    if (this.pruneTimer) clearInterval(this.pruneTimer);
+    this.pruneTimer = null;
+  }
+
+  supports(exchange) {
+    return LIQUIDATION_EXCHANGES.includes(String(exchange || '').toLowerCase());
+  }
+
+  record(event) {
+    const key = `${event.exchange}:${event.symbol}`;
+    let entry = this.series.get(key);
+    if (!entry) {
+      entry = { exchange: event.exchange, symbol: event.symbol, buckets: [], events: [] };
+      this.series.set(key, entry);
+    }
+
+    const bucketTime = Math.floor(event.time / BUCKET_MS) * BUCKET_MS;
+    let bucket = entry.buckets[entry.buckets.length - 1];
+    if (!bucket || bucket.time < bucketTime) {
+      bucket = { time: bucketTime, ...emptyTotals() };
+      entry.buckets.push(bucket);
+    } else if (bucket.time > bucketTime) {
+      // Late event for an older minute — find (or insert) its bucket
+      let index = entry.buckets.length - 1;
+      while (index >= 0 && entry.buckets[index].time > bucketTime) index -= 1;
+      if (index >= 0 && entry.buckets[index].time === bucketTime) {
+        bucket = entry.buckets[index];
+      } else {
+        bucket = { time: bucketTime, ...emptyTotals() };
+        entry.buckets.splice(index + 1, 0, bucket);
+      }
+    }
+    if (event.side === 'long') {
+      bucket.longUsd += event.usd;
+      bucket.longCount += 1;
+    } else {
+      bucket.shortUsd += event.usd;
+      bucket.shortCount += 1;
+    }
+
+    entry.events.push(event);
+    if (entry.events.length > MAX_EVENTS_PER_SYMBOL) entry.events.shift();
+
+    this.lastEventAt = Date.now();
+    this.emit('liquidation', event);
+  }
+
+  prune() {
+    const cutoff = Date.now() - RETENTION_MS;
+    for (const [key, entry] of this.series) {
+      while (entry.buckets.length > 0 && entry.buckets[0].time < cutoff) entry.buckets.shift();
+      while (entry.events.length > 0 && entry.events[0].time < cutoff) entry.events.shift();
+      if (entry.buckets.length === 0) this.series.delete(key);
+    }
+  }
+
+  /**
+   * Rolling long / short liquidation volume per symbol, largest first.
+   * @param {Object} [options]
+   * @param {string} [options.exchange] - Limit to one exchange; omitted = all, summed per symbol
+   * @param {string} [options.window='1h'] - Key of SUMMARY_WINDOWS
+   * @param {number} [options.limit=50]
+   * @returns {{ exchange: string, window: string, since: number, startedAt: number|null, rows: Object[] }}
+   */
+  getSummary({ exchange = null, window = '1h', limit = 50 } = {}) {
+    const windowMs = SUMMARY_WINDOWS[window] || SUMMARY_WINDOWS['1h'];
+    const since = Date.now() - windowMs;
+    const rows = new Map();
+
+    for (const entry of this.series.values()) {
+      if (exchange && entry.exchange !== exchange) continue;
+      let row = rows.get(entry.symbol);
+      if (!row) {
+        row = { symbol: entry.symbol, exchanges: [], ...emptyTotals() };
+        rows.set(entry.symbol, row);
+      }
+      let touched = false;
+      for (let i = entry.buckets.length - 1; i >= 0 && entry.buckets[i].time >= since - BUCKET_MS + 1; i -= 1) {
+        const bucket = entry.buckets[i];
+        row.longUsd += bucket.longUsd;
+        row.shortUsd += bucket.shortUsd;
+        row.longCount += bucket.longCount;
+        row.shortCount += bucket.shortCount;
+        touched = true;
+      }
+      if (touched) row.exchanges.push(entry.exchange);
+    }
+
+    const sorted = [...rows.values()]
+      .filter((row) => row.exchanges.length > 0)
+      .map((row) => ({ ...row, totalUsd: row.longUsd + row.shortUsd }))
+      .sort((a, b) => b.totalUsd - a.totalUsd)
+      .slice(0, Math.max(1, Math.min(Number(limit) || 50, 500)));
+
+    return {
+      exchange: exchange || 'all',
+      window: SUMMARY_WINDOWS[window] ? window : '1h',
+      since,
+      startedAt: this.startedAt,
+      rows: sorted,
+    };
+  }
+
+  /**
+   * Minute buckets and recent events for one symbol (chart overlay / markers).
+   * @param {string} exchange
+   * @param {string} symbol - e.g. 'BTCUSDT'
+   * @param {number} [since] - Epoch ms; defaults to the full retention window
+   */
+  getSymbolLiquidations(exchange, symbol, since = 0) {
+    const entry = this.series.get(`${exchange}:${String(symbol || '').toUpperCase()}`);
+    const from = Math.max(Number(since) || 0, Date.now() - RETENTION_MS);
+    return {
+      exchange,
+      symbol: String(symbol || '').toUpperCase(),
+      bucketMs: BUCKET_MS,
+      startedAt: this.startedAt,
+      buckets: entry ? entry.buckets.filter((bucket) => bucket.time + BUCKET_MS > from) : [],
+      events: entry ? entry.events.filter((event) => event.time >= from) : [],
+    };
+  }
+
+  getStatus() {
+    return {
+      running: this.feeds.length > 0,
+      startedAt: this.startedAt,
+      lastEventAt: this.lastEventAt,
+      symbols: this.series.size,
+      feeds: this.feeds.map((feed) => feed.getStats()),
+    };
+  }
+}
+
+const liquidationService = new LiquidationService();
+
+module.exports = liquidationService;
+module.exports.LIQUIDATION_EXCHANGES = LIQUIDATION_EXCHANGES;
+module.exports.SUMMARY_WINDOWS = SUMMARY_WINDOWS;
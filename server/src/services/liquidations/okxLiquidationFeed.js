@@ -0,0 +1,117 @@
+/**
+ * OkxLiquidationFeed — USDT swap liquidations.
+ *
+ * The public `liquidation-orders` channel (instType SWAP) covers every swap.
+ * Sizes arrive in contracts and are converted with each instrument's ctVal,
+ * loaded in bulk and refreshed every CONTRACT_REFRESH_MS. A sell order (or
+ * posSide "long") closes a long position.
+ *
+ * @module liquidations/okxLiquidationFeed
+ */
+
+const axios = require('axios');
+const WsStreamPool = require('../exchanges/wsStreamPool');
+const okxService = require('../okxService');
+
+const WS_URL = 'wss://ws.okx.com:8443/ws/v5/public';
+const INSTRUMENTS_URL = 'https://www.okx.com/api/v5/public/instruments';
+const TOPIC = 'liquidation-orders|SWAP';
+// OKX drops connections that see no traffic for 30s
+const PING_INTERVAL_MS = 25000;
+const CONTRACT_REFRESH_MS = 60 * 60 * 1000;
+
+class OkxLiquidationFeed {
+  /**
+   * @param {(event: Object) => void} onLiquidation - receives normalized events
+   */
+  constructor(onLiquidation) {
+    this.exchange = 'okx';
+    this.onLiquidation = onLiquidation;
+    this.pool = null;
+    this.contractValues = new Map(); // instId -> ctVal (base coin per contract)
+    this.contractsLoadedAt = 0;
+    this.received = 0;
+  }
+
+  start() {
+    if (this.pool) return;
+    this.loadContractValues();
+    this.pool = new WsStreamPool({
+      name: 'Liquidations:okx',
+      url: WS_URL,
+      maxStreamsPerConnection: 1,
+      pingIntervalMs: PING_INTERVAL_MS,
+      staleTimeoutMs: PING_INTERVAL_MS * 3,
+      buildPing: () => 'ping',
+      buildSubscribe: () => JSON.stringify({ op: 'subscribe', args: [{ channel: 'liquidation-orders', instType: 'SWAP' }] }),
+      buildUnsubscribe: () => JSON.stringify({ op: 'unsubscribe', args: [{ channel: 'liquidation-orders', instType: 'SWAP' }] }),
+      onMessage: (raw) => this.handleMessage(raw),
+    });
+    this.pool.add(TOPIC);
+  }
+
+  stop() {
+    if (this.pool) this.pool.close();
+    this.pool = null;
+  }
+
+  async loadContractValues() {
+    this.contractsLoadedAt = Date.now();
+    try {
+      const response = await axios.get(INSTRUMENTS_URL, { params: { instType: 'SWAP' }, timeout: 10000 });
+      for (const inst of response.data?.data || []) {
+        const ctVal = Number(inst.ctVal);
+        if (inst.instId && ctVal > 0) this.contractValues.set(inst.instId, ctVal);
+      }
+    } catch (error) {
+      console.warn('[Liquidations:okx] Contract values failed:', error.message);
+    }
+  }
+
+  handleMessage(raw) {
+    if (raw === 'pong') return;
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch {
+      return;
+    }
+    if (message.event === 'error') {
+      console.error('[Liquidations:okx] Error:', message.msg || message);
+      return;
+    }
+    if (message.arg?.channel !== 'liquidation-orders' || !Array.isArray(message.data)) return;
+    if (Date.now() - this.contractsLoadedAt > CONTRACT_REFRESH_MS) this.loadContractValues();
+
+    for (const item of message.data) {
+      if (!String(item.instId || '').endsWith('-USDT-SWAP')) continue;
+      const symbol = okxService.instIdToFullSymbol(item.instId, 'futures');
+      const ctVal = this.contractValues.get(item.instId);
+      // Unknown contract size → skip rather than report a wrong notional
+      if (!symbol || !ctVal) continue;
+
+      for (const detail of item.details || []) {
+        const price = Number(detail.bkPx);
+        const quantity = Number(detail.sz) * ctVal;
+        if (!(price > 0) || !(quantity > 0)) continue;
+        const closesLong = detail.posSide === 'long' || (detail.posSide !== 'short' && detail.side === 'sell');
+        this.received += 1;
+        this.onLiquidation({
+          exchange: this.exchange,
+          symbol,
+          side: closesLong ? 'long' : 'short',
+          price,
+          quantity,
+          usd: price * quantity,
+          time: Number(detail.ts) || Date.now(),
+        });
+      }
+    }
+  }
+
+  getStats() {
+    return { exchange: this.exchange, received: this.received, pool: this.pool ? this.pool.getStats() : null };
+  }
+}
+
+module.exports = { OkxLiquidationFeed };
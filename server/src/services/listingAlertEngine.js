@@ -0,0 +1,263 @@
+/**
+ * Listing Alert Engine — new-listing alerts from listingsService snapshots.
+ *
+ * listingsService diffs every refresh against the previous one and emits
+ * 'listings' events:
+ *
+ *   • new  — a coin appears in an exchange's listing feed,
+ *   • live — an announced (upcoming) listing starts trading.
+ *
+ * Each active listing alert subscribes to one exchange + market and any of
+ * the two event types.  While at least one alert is active the engine asks
+ * listingsService to refresh on its shorter subscribed cadence.  Fires go
+ * through the caller's onTriggered (socket + Telegram + email + AlertTrigger
+ * log in alertEngine).
+ *
+ * Runs only on the engine instance that holds the worker lease.
+ */
+
+const prisma = require('../utils/prisma');
+const listingsService = require('./listingsService');
+const {
+  normalizeNotificationOptions,
+  getAlertLimits,
+  isAlertExpired,
+  isAlertSnoozed,
+  hasFiresLeft,
+  fireLimitedAlert,
+} = require('./alertLimits');
+
+const LISTING_EVENTS = ['new', 'live'];
+
+// listingsService exchange names -> Alert.exchange ids
+const LISTING_EXCHANGE_IDS = {
+  Binance: 'binance',
+  Bybit: 'bybit',
+  OKX: 'okx',
+  MEXC: 'mexc',
+  Bitget: 'bitget',
+  'Gate.io': 'gate',
+  KuCoin: 'kucoin',
+  Kraken: 'kraken',
+  HTX: 'htx',
+};
+const LISTING_EXCHANGES = Object.values(LISTING_EXCHANGE_IDS);
+
+const CACHE_REFRESH_MS = 60_000;
+const FIRED_TTL_MS = 7 * 24 * 60 * 60 * 1000; // a listing that flaps in the feed fires once a week at most
+
+let running = false;
+let hooks = { onTriggered: async () => {}, log: () => {} };
+let refreshTimer = null;
+
+// Each entry: { id, userId, exchange, market, events[], limits }
+let listingAlertsCache = [];
+
+// Map(`${alertId}|${type}|${exchange}|${market}|${coin}` -> firedAt)
+const firedEvents = new Map();
+
+// Map(alertId -> lastFiredAt) for the optional per-alert cooldown
+const lastFireAt = new Map();
+
+/**
+ * Validate a stored/incoming condition (object or JSON string): { events: ['new', 'live'] }.
+ * @returns {object|null} normalized condition, or null when invalid
+ */
+function normalizeListingCondition(raw) {
+  let cond = raw;
+  if (typeof raw === 'string') {
+    try {
+      cond = JSON.parse(raw);
+    } catch {
+      return null;
+    }
+  }
+  if (Array.isArray(cond)) cond = cond[0];
+  if (!cond || typeof cond !== 'object' || !Array.isArray(cond.events)) return null;
+  const events = LISTING_EVENTS.filter((e) => cond.events.map((v) => String(v || '').toLowerCase()).includes(e));
+  return events.length > 0 ? { events } : null;
+}
+
+function describeListingEvent(event) {
+  const venue = `${event.exchange} ${event.market}`;
+  if (event.type === 'live') return `${event.coin} is now trading on ${venue}`;
+  return `New ${venue} listing: ${event.coin}${event.date ? ` (${event.date} UTC)` : ''}`;
+}
+
+// ---------------------------------------------------------------------------
+// Event handling & firing
+// ---------------------------------------------------------------------------
+
+/** listingsService 'listings' listener. */
+function handleListingEvents({ at, events }) {
+  if (!running || !Array.isArray(events)) return;
+  const nowMs = at || Date.now();
+
+  for (const [key, firedAt] of firedEvents) {
+    if (nowMs - firedAt > FIRED_TTL_MS) firedEvents.delete(key);
+  }
+
+  for (const event of events) {
+    const exchange = LISTING_EXCHANGE_IDS[event.exchange];
+    if (!exchange) continue;
+
+    for (const alert of listingAlertsCache) {
+      if (alert.exchange !== exchange || alert.market !== event.market) continue;
+      if (!alert.events.includes(event.type)) continue;
+      if (isAlertExpired(alert.limits, nowMs) || isAlertSnoozed(alert.limits, nowMs)) continue;
+
+      const fireKey = `${alert.id}|${event.type}|${exchange}|${event.market}|${event.coin}`;
+      if (firedEvents.has(fireKey)) continue;
+      const previous = lastFireAt.get(alert.id);
+      if (previous && alert.limits.cooldownSec && nowMs - previous < alert.limits.cooldownSec * 1000) continue;
+
+      firedEvents.set(fireKey, nowMs);
+      lastFireAt.set(alert.id, nowMs);
+      setImmediate(() => fireListingAlert(alert, event));
+    }
+  }
+}
+
+async function fireListingAlert(alert, event) {
+  try {
+    const updatedAlert = await fireLimitedAlert(alert, () => {
+      listingAlertsCache = listingAlertsCache.filter((a) => a.id !== alert.id);
+      listingsService.setListingSubscriberCount(listingAlertsCache.length);
+      hooks.log('info', 'listing.deactivate', { alertIds: [alert.id], reason: 'max_fires' });
+    });
+    if (!updatedAlert) return;
+
+    const payload = {
+      id: updatedAlert.id,
+      alertId: updatedAlert.id,
+      name: updatedAlert.name,
+      description: updatedAlert.description ?? null,
+      triggered: true,
+      triggeredAt: updatedAlert.triggeredAt,
+      alertType: 'listing',
+      exchange: alert.exchange,
+      market: alert.market,
+      symbol: `${event.coin}USDT`,
+      coinSymbol: event.coin,
+      listingEvent: event.type,
+      listedAt: event.listedAt,
+      listingDate: event.date,
+      conditionText: describeListingEvent(event),
+      fireCount: updatedAlert.fireCount,
+      notificationOptions: normalizeNotificationOptions(updatedAlert.notificationOptions),
+    };
+
+    await hooks.onTriggered(updatedAlert, payload);
+  } catch (err) {
+    hooks.log('error', 'trigger.listing.fire.error', {
+      alertId: alert.id,
+      coin: event.coin,
+      event: event.type,
+      message: err?.message || String(err),
+    });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Alert cache
+// ---------------------------------------------------------------------------
+
+async function refreshListingAlerts() {
+  if (!running) return;
+  try {
+    const alerts = await prisma.alert.findMany({
+      where: { isActive: true, alertType: 'listing' },
+    });
+
+    const newCache = [];
+    const exhaustedIds = [];
+    for (const a of alerts) {
+      const limits = getAlertLimits(a.notificationOptions);
+      if (isAlertExpired(limits) || !hasFiresLeft(limits, a.fireCount)) {
+        exhaustedIds.push(a.id);
+        continue;
+      }
+      const condition = normalizeListingCondition(a.conditions);
+      const exchange = String(a.exchange || '').toLowerCase();
+      if (!condition || !LISTING_EXCHANGES.includes(exchange)) continue;
+
+      newCache.push({
+        id: a.id,
+        userId: a.userId,
+        exchange,
+        market: (a.market || 'futures').toLowerCase() === 'spot' ? 'spot' : 'futures',
+        events: condition.events,
+        limits,
+      });
+    }
+
+    if (exhaustedIds.length > 0) {
+      await prisma.alert.updateMany({
+        where: { id: { in: exhaustedIds }, isActive: true },
+        data: { isActive: false },
+      });
+      hooks.log('info', 'listing.deactivate', { alertIds: exhaustedIds, reason: 'expired_or_max_fires' });
+    }
+    if (!running) return;
+
+    listingAlertsCache = newCache;
+    listingsService.setListingSubscriberCount(newCache.length);
+
+    const alertIds = new Set(newCache.map((a) => a.id));
+    for (const key of firedEvents.keys()) {
+      if (!alertIds.has(key.split('|')[0])) firedEvents.delete(key);
+    }
+    for (const alertId of lastFireAt.keys()) {
+      if (!alertIds.has(alertId)) lastFireAt.delete(alertId);
+    }
+
+    hooks.log('info', 'listing.cache.refresh', { count: newCache.length });
+  } catch (err) {
+    hooks.log('error', 'listing.cache.refresh.error', { message: err?.message || String(err) });
+  }
+}
+
+function startListingAlerts(options = {}) {
+  if (running) return;
+  hooks = {
+    onTriggered: options.onTriggered || (async () => {}),
+    log: options.log || (() => {}),
+  };
+  running = true;
+  listingsService.listingEvents.on('listings', handleListingEvents);
+  refreshListingAlerts();
+  refreshTimer = setInterval(() => refreshListingAlerts(), CACHE_REFRESH_MS);
+  hooks.log('info', 'listing.loop.start');
+}
+
+function stopListingAlerts() {
+  if (!running) return;
+  running = false;
+  listingsService.listingEvents.off('listings', handleListingEvents);
+  if (refreshTimer) {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+  }
+  listingAlertsCache = [];
+  listingsService.setListingSubscriberCount(0);
+  firedEvents.clear();
+  lastFireAt.clear();
+  hooks.log('info', 'listing.loop.stop');
+}
+
+function getListingStatus() {
+  return {
+    running,
+    alerts: listingAlertsCache.length,
+  };
+}
+
+module.exports = {
+  LISTING_EXCHANGES,
+  normalizeListingCondition,
+  describeListingEvent,
+  startListingAlerts,
+  stopListingAlerts,
+  refreshListingAlerts,
+  getListingStatus,
+};
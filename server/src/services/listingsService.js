@@ -1,12 +1,28 @@
+const { EventEmitter } = require('events');
 const axios = require('axios');
 const prisma = require('../utils/prisma');
 
 /* ─── Constants ─── */
-const MONITORED_EXCHANGES = ['Binance', 'Bybit', 'OKX', 'MEXC', 'Bitget', 'Gate.io'];
+const MONITORED_EXCHANGES = ['Binance', 'Bybit', 'OKX', 'MEXC', 'Bitget', 'Gate.io', 'KuCoin', 'Kraken', 'HTX'];
 const REFRESH_INTERVAL_MS = Math.max(60_000, Number.parseInt(process.env.LISTINGS_REFRESH_MS || '3600000', 10)); // 1 hour
+// Used instead while at least one listing alert is active
+const SUBSCRIBED_REFRESH_INTERVAL_MS = Math.max(60_000, Number.parseInt(process.env.LISTINGS_SUBSCRIBED_REFRESH_MS || '300000', 10)); // 5 min
+// An upcoming listing that drops out of the feed this close to (or after) its launch time went live
+const LIVE_TOLERANCE_MS = 10 * 60_000;
 
 let refreshTimer = null;
 let refreshInFlight = null;
+let subscriberCount = 0;
+
+// Rows (with listedAt) of the last successful refresh, the base for the next diff.
+// null until seeded from the DB or the first refresh.
+let previousRows = null;
+
+/**
+ * Emits 'listings' with { at, events: [{ type: 'new' | 'live', exchange, market, coin, listedAt, date }] }
+ * after every refresh that changed something.
+ */
+const listingEvents = new EventEmitter();
 let memorySnapshot = {
   listings: [],
   meta: {
@@ -116,7 +132,7 @@ async function persistSnapshot(rows) {
   });
 }
 
-async function loadSnapshotFromDb() {
+async function loadRowsFromDb() {
   await ensureListingsTable();
   const nowMs = Date.now();
   // Only load rows that are status-based (detected recently) or have a future timestamp.
@@ -129,7 +145,7 @@ async function loadSnapshotFromDb() {
     orderBy: [{ firstSeenAt: 'asc' }, { exchange: 'asc' }],
   });
 
-  const listings = rows.map((row) => {
+  return rows.map((row) => {
     const parsed = fromDbSymbol(row.symbol);
     const listedAt = new Date(row.firstSeenAt).getTime();
     return {
@@ -142,13 +158,17 @@ async function loadSnapshotFromDb() {
       listedAt,
     };
   });
+}
+
+async function loadSnapshotFromDb() {
+  const listings = await loadRowsFromDb();
 
   const normalized = dedup(listings)
     .sort((a, b) => (a.listedAt || 0) - (b.listedAt || 0))
     .map(({ listedAt, ...rest }) => rest);
 
-  const lastUpdatedAt = rows.length > 0
-    ? new Date(Math.max(...rows.map((r) => new Date(r.firstSeenAt).getTime()))).toISOString()
+  const lastUpdatedAt = listings.length > 0
+    ? new Date(Math.max(...listings.map((r) => r.listedAt))).toISOString()
     : null;
 
   return addSourceMeta(normalized, lastUpdatedAt);
@@ -437,33 +457,202 @@ async function fetchGateFutures(nowMs) {
     .filter((item) => item.coin);
 }
 
+// KuCoin Futures: contracts whose first open date is still ahead
+async function fetchKucoinFutures(nowMs) {
+  const { data } = await axios.get('https://api-futures.kucoin.com/api/v1/contracts/active', { timeout: 20000 });
+  if (String(data?.code) !== '200000') {
+    throw new Error(data?.msg || 'KuCoin API error');
+  }
+  return (Array.isArray(data?.data) ? data.data : [])
+    .filter((item) => {
+      const listedAt = toMs(item?.firstOpenDate);
+      return String(item?.quoteCurrency || '').toUpperCase() === 'USDT' && isUpcoming(listedAt, nowMs);
+    })
+    .map((item) => {
+      const listedAt = toMs(item?.firstOpenDate);
+      const coin = String(item?.baseCurrency || '').toUpperCase();
+      return {
+        exchange: 'KuCoin',
+        market: 'futures',
+        type: 'futures',
+        coin: coin === 'XBT' ? 'BTC' : coin,
+        status: 'upcoming',
+        listedAt,
+        date: isoDateTime(listedAt),
+      };
+    })
+    .filter((item) => item.coin);
+}
+
+// Kraken Futures: perpetuals with an opening date in the future
+async function fetchKrakenFutures(nowMs) {
+  const { data } = await axios.get('https://futures.kraken.com/derivatives/api/v3/instruments', { timeout: 20000 });
+  if (data?.result !== 'success') {
+    throw new Error(data?.error || 'Kraken API error');
+  }
+  return (Array.isArray(data?.instruments) ? data.instruments : [])
+    .filter((item) => {
+      const listedAt = Date.parse(item?.openingDate);
+      return String(item?.symbol || '').startsWith('PF_') && isUpcoming(listedAt, nowMs);
+    })
+    .map((item) => {
+      const listedAt = Date.parse(item?.openingDate);
+      const coin = String(item?.base || item?.symbol || '').toUpperCase().replace(/^PF_/, '').replace(/USD$/, '');
+      return {
+        exchange: 'Kraken',
+        market: 'futures',
+        type: 'futures',
+        coin: coin === 'XBT' ? 'BTC' : coin,
+        status: 'upcoming',
+        listedAt,
+        date: isoDateTime(listedAt),
+      };
+    })
+    .filter((item) => item.coin);
+}
+
+// HTX Spot: pre-online symbols or an online time still ahead
+async function fetchHtxSpot(nowMs) {
+  const { data } = await axios.get('https://api.huobi.pro/v2/settings/common/symbols', { timeout: 20000 });
+  if (data?.status !== 'ok') {
+    throw new Error(data?.['err-msg'] || 'HTX API error');
+  }
+  return (Array.isArray(data?.data) ? data.data : [])
+    .filter((item) => {
+      const listedAt = toMs(item?.toa);
+      return String(item?.qc || '').toLowerCase() === 'usdt' &&
+        (item?.state === 'pre-online' || isUpcoming(listedAt, nowMs));
+    })
+    .map((item) => {
+      const listedAt = isUpcoming(toMs(item?.toa), nowMs) ? toMs(item?.toa) : null;
+      return {
+        exchange: 'HTX',
+        market: 'spot',
+        type: 'spot',
+        coin: String(item?.bc || '').toUpperCase(),
+        status: 'upcoming',
+        listedAt,
+        date: isoDateTime(listedAt) || 'TBA',
+      };
+    })
+    .filter((item) => item.coin);
+}
+
+// HTX Futures: linear swaps in "pending listing" status (contract_status 2)
+async function fetchHtxFutures() {
+  const { data } = await axios.get('https://api.hbdm.com/linear-swap-api/v1/swap_contract_info', { timeout: 20000 });
+  if (data?.status !== 'ok') {
+    throw new Error(data?.err_msg || 'HTX API error');
+  }
+  return (Array.isArray(data?.data) ? data.data : [])
+    .filter((item) => Number(item?.contract_status) === 2 && String(item?.contract_code || '').endsWith('-USDT'))
+    .map((item) => ({
+      exchange: 'HTX',
+      market: 'futures',
+      type: 'futures',
+      coin: String(item?.symbol || '').toUpperCase(),
+      status: 'upcoming', // pending listing status IS the signal
+      listedAt: null,
+      date: 'TBA',
+    }))
+    .filter((item) => item.coin);
+}
+
 /* ─── Collection & scheduling ─── */
+/**
+ * @returns {Promise<{ rows: object[], failedExchanges: Set<string> }>} failedExchanges
+ *   lists exchanges with at least one failed source — their rows are incomplete
+ */
 async function collectRows() {
   const nowMs = Date.now();
-  const settled = await Promise.allSettled([
-    fetchBinanceFutures(),
-    fetchBinanceSpotAnnouncements(nowMs),
-    fetchBybitFutures(),
-    fetchOkxFutures(nowMs),
-    fetchMexcSpot(nowMs),
-    fetchMexcFutures(nowMs),
-    fetchBitgetSpot(nowMs),
-    fetchBitgetFutures(nowMs),
-    fetchGateFutures(nowMs),
-  ]);
+  const sources = [
+    ['Binance', fetchBinanceFutures()],
+    ['Binance', fetchBinanceSpotAnnouncements(nowMs)],
+    ['Bybit', fetchBybitFutures()],
+    ['OKX', fetchOkxFutures(nowMs)],
+    ['MEXC', fetchMexcSpot(nowMs)],
+    ['MEXC', fetchMexcFutures(nowMs)],
+    ['Bitget', fetchBitgetSpot(nowMs)],
+    ['Bitget', fetchBitgetFutures(nowMs)],
+    ['Gate.io', fetchGateFutures(nowMs)],
+    ['KuCoin', fetchKucoinFutures(nowMs)],
+    ['Kraken', fetchKrakenFutures(nowMs)],
+    ['HTX', fetchHtxSpot(nowMs)],
+    ['HTX', fetchHtxFutures()],
+  ];
+  const settled = await Promise.allSettled(sources.map(([, promise]) => promise));
 
   const rows = [];
-  for (const item of settled) {
+  const failedExchanges = new Set();
+  settled.forEach((item, index) => {
     if (item.status === 'fulfilled' && Array.isArray(item.value)) {
       rows.push(...item.value);
     } else if (item.status === 'rejected') {
+      failedExchanges.add(sources[index][0]);
       console.warn('[listingsService] source failed:', item.reason?.message || String(item.reason));
     }
+  });
+
+  return {
+    rows: dedup(rows)
+      .sort((a, b) => (a.listedAt || 0) - (b.listedAt || 0))
+      .map(({ listedAt, ...rest }) => ({ ...rest, listedAt })),
+    failedExchanges,
+  };
+}
+
+function listingKey(row) {
+  return `${row.exchange}|${row.market}|${row.coin}`;
+}
+
+/**
+ * Compare two refreshes.  Exchanges with a failed source are skipped (their
+ * missing rows are a fetch problem, not a change) and carried over as-is.
+ *
+ *   new  — a coin that was not in the previous refresh
+ *   live — an upcoming coin that is now 'listed', or dropped out of the
+ *          upcoming feed around/after its launch time (or with no known time)
+ *
+ * @returns {{ events: object[], nextRows: object[] }}
+ */
+function diffListings(prevRows, rows, failedExchanges, nowMs) {
+  const current = new Map(rows.map((row) => [listingKey(row), row]));
+  const previous = new Map(prevRows.map((row) => [listingKey(row), row]));
+  const events = [];
+
+  for (const row of rows) {
+    if (failedExchanges.has(row.exchange)) continue;
+    const prev = previous.get(listingKey(row));
+    if (!prev) {
+      events.push({ type: row.status === 'listed' ? 'live' : 'new', row });
+    } else if (prev.status === 'upcoming' && row.status === 'listed') {
+      events.push({ type: 'live', row });
+    }
   }
 
-  return dedup(rows)
-    .sort((a, b) => (a.listedAt || 0) - (b.listedAt || 0))
-    .map(({ listedAt, ...rest }) => ({ ...rest, listedAt }));
+  const carried = [];
+  for (const prev of prevRows) {
+    if (current.has(listingKey(prev))) continue;
+    if (failedExchanges.has(prev.exchange)) {
+      carried.push(prev);
+      continue;
+    }
+    if (prev.status === 'upcoming' && (!prev.listedAt || prev.listedAt <= nowMs + LIVE_TOLERANCE_MS)) {
+      events.push({ type: 'live', row: prev });
+    }
+  }
+
+  return {
+    events: events.map(({ type, row }) => ({
+      type,
+      exchange: row.exchange,
+      market: row.market,
+      coin: row.coin,
+      listedAt: row.listedAt || null,
+      date: row.date || null,
+    })),
+    nextRows: [...rows, ...carried],
+  };
 }
 
 async function refreshListingsSnapshot() {
@@ -471,7 +660,33 @@ async function refreshListingsSnapshot() {
 
   refreshInFlight = (async () => {
     await ensureListingsTable();
-    const rows = await collectRows();
+    if (previousRows == null) {
+      // Diff the first refresh after a restart against the persisted snapshot.
+      // The DB does not keep status: only rows still in the future are known
+      // to be upcoming, the rest must not produce 'live' events.
+      const dbRows = await loadRowsFromDb().catch(() => []);
+      if (dbRows.length > 0) {
+        const loadedAt = Date.now();
+        previousRows = dbRows.map((row) => ({ ...row, status: row.listedAt > loadedAt ? 'upcoming' : 'unknown' }));
+      }
+    }
+    const { rows, failedExchanges } = await collectRows();
+    const nowMs = Date.now();
+
+    // A refresh where every source failed says nothing about listings
+    if (failedExchanges.size < MONITORED_EXCHANGES.length) {
+      if (previousRows) {
+        const { events, nextRows } = diffListings(previousRows, rows, failedExchanges, nowMs);
+        previousRows = nextRows;
+        if (events.length > 0) {
+          console.log(`[listingsService] ${events.length} listing event(s): ${events.map((e) => `${e.type}:${e.exchange}:${e.market}:${e.coin}`).join(', ')}`);
+          listingEvents.emit('listings', { at: nowMs, events });
+        }
+      } else {
+        previousRows = rows;
+      }
+    }
+
     if (rows.length > 0) {
       await persistSnapshot(rows);
       const outputRows = rows.map(({ listedAt, ...rest }) => rest);
@@ -498,6 +713,22 @@ async function getListingsSnapshot() {
   return refreshListingsSnapshot();
 }
 
+function getRefreshIntervalMs() {
+  return subscriberCount > 0 ? Math.min(SUBSCRIBED_REFRESH_INTERVAL_MS, REFRESH_INTERVAL_MS) : REFRESH_INTERVAL_MS;
+}
+
+function scheduleNextRefresh() {
+  refreshTimer = setTimeout(() => {
+    refreshListingsSnapshot()
+      .catch((error) => {
+        console.warn('[listingsService] scheduled refresh failed:', error.message || String(error));
+      })
+      .finally(() => {
+        if (refreshTimer) scheduleNextRefresh();
+      });
+  }, getRefreshIntervalMs());
+}
+
 function startListingsSyncScheduler() {
   if (refreshTimer) return;
 
@@ -505,22 +736,34 @@ function startListingsSyncScheduler() {
     console.warn('[listingsService] initial refresh failed:', error.message || String(error));
   });
 
-  refreshTimer = setInterval(() => {
-    refreshListingsSnapshot().catch((error) => {
-      console.warn('[listingsService] scheduled refresh failed:', error.message || String(error));
-    });
-  }, REFRESH_INTERVAL_MS);
+  scheduleNextRefresh();
 }
 
 function stopListingsSyncScheduler() {
   if (!refreshTimer) return;
-  clearInterval(refreshTimer);
+  clearTimeout(refreshTimer);
   refreshTimer = null;
 }
 
+/**
+ * Number of active listing alerts; any subscriber switches the scheduler to
+ * SUBSCRIBED_REFRESH_INTERVAL_MS (takes effect immediately).
+ */
+function setListingSubscriberCount(count) {
+  const previousInterval = getRefreshIntervalMs();
+  subscriberCount = Math.max(0, Number(count) || 0);
+  if (refreshTimer && getRefreshIntervalMs() !== previousInterval) {
+    clearTimeout(refreshTimer);
+    scheduleNextRefresh();
+  }
+}
+
 module.exports = {
+  MONITORED_EXCHANGES,
+  listingEvents,
   getListingsSnapshot,
   refreshListingsSnapshot,
   startListingsSyncScheduler,
   stopListingsSyncScheduler,
+  setListingSubscriberCount,
 };
@@ -10,27 +10,29 @@
  *   Phase 2 – read priceWatcher maps; REST fallback only for stale maps.
  *             NEVER crosses market types (futures stays futures).
  *   Phase 3 – evaluate every alert against the in-memory maps.
+ *
+ * Per-alert limits (cooldown, expiry, max fires, re-arm) come from
+ * alertLimits.js.  A re-arming alert stays isActive=true with triggered=true
+ * after a fire; Phase 3 flips it back to triggered=false (new initialPrice,
+ * armedAt) once price is back on the arming side of the level.
  */
 
+const {
+  parseSymbols,
+  normalizeNotificationOptions,
+  getAlertLimits,
+  isAlertExpired,
+  isAlertSnoozed,
+  hasFiresLeft,
+  isLastFire,
+} = require('./alertLimits');
+
 const inFlightAlertIds = new Set();
 
 // ---------------------------------------------------------------------------
 // Pure helpers (no I/O)
 // ---------------------------------------------------------------------------
 
-function parseSymbols(symbols) {
-  if (Array.isArray(symbols)) return symbols;
-  if (typeof symbols !== 'string' || !symbols) return [];
-  try {
-    const parsed = JSON.parse(symbols);
-    if (Array.isArray(parsed)) return parsed;
-    if (typeof parsed === 'string' && parsed.trim()) return [parsed.trim()];
-    return parsed ? [parsed] : [];
-  } catch {
-    return [symbols.trim()].filter(Boolean);
-  }
-}
-
 function normalizeMarket(market) {
   return String(market || 'futures').toLowerCase() === 'spot' ? 'spot' : 'futures';
 }
@@ -84,47 +86,13 @@ function deriveCoinSymbol(alert, resolvedSymbol) {
     .trim();
 }
 
-function parseNotificationOptions(notifOptions) {
-  if (!notifOptions) return {};
-  if (typeof notifOptions === 'object' && !Array.isArray(notifOptions)) return notifOptions;
-  if (typeof notifOptions === 'string') {
-    try {
-      const parsed = JSON.parse(notifOptions);
-      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
-    } catch {
-      return {};
-    }
-  }
-  return {};
-}
-
-function normalizeNotificationOptions(notifOptions) {
-  const parsed = parseNotificationOptions(notifOptions);
-  const channelsRaw = parsed.channels && typeof parsed.channels === 'object' ? parsed.channels : {};
-  const toBool = (v, fallback = true) => (typeof v === 'boolean' ? v : fallback);
-  return {
-    ...parsed,
-    channels: {
-      soundEnabled: toBool(channelsRaw.soundEnabled, true),
-      inAppPopupEnabled: toBool(channelsRaw.inAppPopupEnabled, true),
-      browserPushEnabled: toBool(channelsRaw.browserPushEnabled, true),
-      telegramEnabled: toBool(channelsRaw.telegramEnabled, true),
-    },
-  };
-}
-
 // ---------------------------------------------------------------------------
-// Exchange service accessor
+// Exchange adapter accessor
 // ---------------------------------------------------------------------------
 
-function getExchangeService(exchange) {
-  const key = String(exchange || '').toLowerCase();
-  if (key === 'bybit') return require('./bybitService');
-  if (key === 'okx') return require('./okxService');
-  if (key === 'gate') return require('./gateService');
-  if (key === 'mexc') return require('./mexcService');
-  if (key === 'bitget') return require('./bitgetService');
-  return require('./binanceService');
+function getExchangeAdapter(exchange) {
+  const { getExchangeAdapter: lookup } = require('./exchangeAdapters');
+  return lookup(exchange) || lookup('binance');
 }
 
 /**
@@ -179,6 +147,19 @@ function createPriceAlertProcessor(deps = {}) {
         : Infinity;
       if (alertAgeMs < 10_000) continue; // 10 s grace for brand-new alerts
 
+      const limits = getAlertLimits(alert.notificationOptions);
+      if (isAlertExpired(limits) || !hasFiresLeft(limits, alert.fireCount)) {
+        await prismaClient.alert.updateMany({
+          where: { id: alert.id, isActive: true },
+          data: { isActive: false },
+        });
+        logger.log?.(`[priceAlertV3] DEACTIVATED alert=${alert.id} (expired or max fires reached)`);
+        continue;
+      }
+      // Fired and not re-arming (e.g. toggled back on by hand) — nothing to evaluate
+      if (alert.triggered && !limits.rearm) continue;
+      if (isAlertSnoozed(limits)) continue;
+
       const symbols = parseSymbols(alert.symbols);
       const firstSymbol = symbols[0];
       if (!firstSymbol) continue;
@@ -189,7 +170,7 @@ function createPriceAlertProcessor(deps = {}) {
       const exchange = String(alert.exchange || 'binance').toLowerCase();
       const market = normalizeMarket(alert.market);
 
-      validAlerts.push({ alert, firstSymbol, exchange, market, targetValue });
+      validAlerts.push({ alert, firstSymbol, exchange, market, targetValue, limits });
 
       // Only register the EXACT market the alert was created for — NO cross-market fallback
       neededMaps.add(`${exchange}|${market}`);
@@ -216,9 +197,9 @@ function createPriceAlertProcessor(deps = {}) {
         staleKeys.map(async (key) => {
           const [exchange, market] = key.split('|');
           try {
-            const service = getExchangeService(exchange);
+            const adapter = getExchangeAdapter(exchange);
             const exchangeType = market === 'spot' ? 'spot' : 'futures';
-            const map = await service.getLastPricesBySymbols(
+            const map = await adapter.fetchTickerSnapshot(
               [], // empty → returns the FULL cached ticker map
               exchangeType,
               { strict: false, exchangeOnly: true },
@@ -232,7 +213,7 @@ function createPriceAlertProcessor(deps = {}) {
     }
 
     // ── PHASE 3: evaluate every alert (pure in-memory) ─────────────────────
-    for (const { alert, firstSymbol, exchange, market, targetValue } of validAlerts) {
+    for (const { alert, firstSymbol, exchange, market, targetValue, limits } of validAlerts) {
       if (inFlightAlertIds.has(alert.id)) continue;
       inFlightAlertIds.add(alert.id);
 
@@ -249,6 +230,26 @@ function createPriceAlertProcessor(deps = {}) {
         if (!Number.isFinite(currentPrice) || currentPrice <= 0) continue;
 
         const condition = resolveCondition(alert, targetValue);
+
+        if (alert.triggered) {
+          // Waiting to re-arm: price must come back across the level first.
+          const backOnArmingSide = condition === 'below' ? currentPrice > targetValue : currentPrice < targetValue;
+          if (!backOnArmingSide) continue;
+          const rearmResult = await prismaClient.alert.updateMany({
+            where: { id: alert.id, triggered: true, isActive: true },
+            data: { triggered: false, initialPrice: currentPrice, armedAt: new Date() },
+          });
+          if (rearmResult.count > 0) {
+            logger.log?.(`[priceAlertV3] RE-ARMED alert=${alert.id} ${resolved.symbol || firstSymbol} current=${currentPrice}`);
+          }
+          continue;
+        }
+
+        if (limits.cooldownSec && alert.triggeredAt &&
+          Date.now() - new Date(alert.triggeredAt).getTime() < limits.cooldownSec * 1000) {
+          continue;
+        }
+
         const initialPrice =
           alert?.initialPrice != null ? Number(alert.initialPrice) : null;
         const triggered = shouldTriggerAtCurrentPrice(
@@ -262,6 +263,7 @@ function createPriceAlertProcessor(deps = {}) {
 
         // ── Trigger the alert ──────────────────────────────────────────────
         const triggeredAt = new Date();
+        const keepArmed = limits.rearm && !isLastFire(limits, alert.fireCount);
 
         const payload = {
           id: alert.id,
@@ -275,8 +277,12 @@ function createPriceAlertProcessor(deps = {}) {
           condition,
           coinSymbol: deriveCoinSymbol(alert, resolved.symbol || firstSymbol),
           symbol: resolved.symbol || firstSymbol,
+          exchange,
+          market,
           alertType: 'price',
           priceSource: source,
+          fireCount: (Number(alert.fireCount) || 0) + 1,
+          rearm: keepArmed,
           notificationOptions: normalizeNotificationOptions(alert.notificationOptions),
           ...(initialPrice != null && Number.isFinite(initialPrice)
             ? { initialPrice }
@@ -284,9 +290,10 @@ function createPriceAlertProcessor(deps = {}) {
         };
 
         // Atomic guard: only succeeds if no other process set triggered=true first.
+        // Re-arming alerts stay active and wait for price to come back.
         const updateResult = await prismaClient.alert.updateMany({
           where: { id: alert.id, triggered: false, isActive: true },
-          data: { triggered: true, isActive: false, triggeredAt },
+          data: { triggered: true, isActive: keepArmed, triggeredAt, fireCount: { increment: 1 } },
         });
 
         if (updateResult.count === 0) continue; // lost the race — already triggered
@@ -1,21 +1,4 @@
-const binanceService = require('./binanceService');
-const bybitService = require('./bybitService');
-const okxService = require('./okxService');
-const gateService = require('./gateService');
-const mexcService = require('./mexcService');
-const bitgetService = require('./bitgetService');
-
-function getExchangeService(exchange, { allowDefault = true } = {}) {
-  const key = String(exchange || '').toLowerCase();
-  if (!key) return allowDefault ? binanceService : null;
-  if (key === 'bybit') return bybitService;
-  if (key === 'okx') return okxService;
-  if (key === 'gate') return gateService;
-  if (key === 'mexc') return mexcService;
-  if (key === 'bitget') return bitgetService;
-  if (key === 'binance') return binanceService;
-  return allowDefault ? binanceService : null;
-}
+const { getExchangeAdapter } = require('./exchangeAdapters');
 
 function normalizeRawSymbol(rawSymbol) {
   if (typeof rawSymbol !== 'string') return '';
@@ -23,7 +6,7 @@ function normalizeRawSymbol(rawSymbol) {
 }
 
 function normalizeBaseForExchange(exchange, symbol) {
-  const service = getExchangeService(exchange, { allowDefault: false });
+  const adapter = getExchangeAdapter(exchange);
   const cleanedRaw = normalizeRawSymbol(symbol)
     .replace(/\.P$/i, '')
     .replace(/-PERP(ETUAL)?$/i, '')
@@ -32,9 +15,9 @@ function normalizeBaseForExchange(exchange, symbol) {
     .replace(/_PERP(ETUAL)?$/i, '');
   if (!cleanedRaw) return '';
 
-  if (typeof service.normalizeSymbol === 'function') {
+  if (adapter) {
     try {
-      const normalized = service.normalizeSymbol(cleanedRaw);
+      const normalized = adapter.normalizeSymbol(cleanedRaw);
       if (typeof normalized === 'string' && normalized) {
         return normalized.toUpperCase();
       }
@@ -94,7 +77,7 @@ function resolvePriceFromMap(priceMap, candidates) {
 
 async function fetchExchangePriceSnapshot({ exchange, market, symbol, strict = true, exchangeOnly, logger = console }) {
   const exchangeKey = String(exchange || '').toLowerCase();
-  const service = getExchangeService(exchangeKey, { allowDefault: false });
+  const adapter = getExchangeAdapter(exchangeKey);
   const normalizedMarket = String(market || 'futures').toLowerCase() === 'spot' ? 'spot' : 'futures';
   const exchangeType = normalizedMarket === 'spot' ? 'spot' : 'futures';
 
@@ -103,7 +86,7 @@ async function fetchExchangePriceSnapshot({ exchange, market, symbol, strict = t
   // ticker without CoinGecko, while still failing gracefully (ok:false) on errors.
   const useExchangeOnly = typeof exchangeOnly === 'boolean' ? exchangeOnly : (strict === true);
 
-  if (!service) {
+  if (!adapter) {
     return {
       ok: false,
       status: 'unresolved',
@@ -144,11 +127,11 @@ async function fetchExchangePriceSnapshot({ exchange, market, symbol, strict = t
   // cycle repeats indefinitely.  The bulk cached ticker below (getLastPricesBySymbols)
   // fetches prices for ALL symbols in ONE call cached for 2 seconds — zero per-alert
   // overhead regardless of how many alerts are active.
-  if (strict && typeof service.fetchCurrentPriceBySymbol === 'function') {
+  if (strict && adapter.fetchCurrentPrice) {
     for (const candidate of candidates) {
       try {
         const directPrice = Number(
-          await service.fetchCurrentPriceBySymbol(candidate, exchangeType, {
+          await adapter.fetchCurrentPrice(candidate, exchangeType, {
             strict,
             exchangeOnly: useExchangeOnly,
           })
@@ -175,7 +158,7 @@ async function fetchExchangePriceSnapshot({ exchange, market, symbol, strict = t
   }
 
   try {
-    const priceMap = await service.getLastPricesBySymbols(candidates, exchangeType, {
+    const priceMap = await adapter.fetchTickerSnapshot(candidates, exchangeType, {
       strict,
       exchangeOnly: useExchangeOnly,
     });
@@ -242,7 +225,7 @@ async function fetchExchangePriceSnapshot({ exchange, market, symbol, strict = t
   const fallbackExchangeType = fallbackMarket; // 'spot' | 'futures' — same string
 
   try {
-    const fallbackMap = await service.getLastPricesBySymbols(candidates, fallbackExchangeType, {
+    const fallbackMap = await adapter.fetchTickerSnapshot(candidates, fallbackExchangeType, {
       strict,
       exchangeOnly: useExchangeOnly,
     });
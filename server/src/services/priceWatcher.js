@@ -11,17 +11,25 @@
  *   OKX      – tickers channel with instType SWAP/SPOT (all tickers)
  *   Gate     – futures.tickers / spot.tickers with !all wildcard
  *   Bitget   – ticker channel (per-symbol subscription)
- *   MEXC     – REST polling fallback (their WS is unreliable)
+ *   MEXC     – spot@public.miniTickers protobuf stream (spot) and sub.tickers
+ *              (futures), both ALL tickers
+ *   KuCoin, Kraken, HTX – REST polling of the all-tickers endpoints (their
+ *              ticker WS feeds are per-symbol or tokenized)
+ *
+ * feedHealthService watches the tick rate of every feed and, while one is
+ * silent, writes REST / CCXT snapshots in through ingestFallbackPrices().
  */
 
+const path = require('path');
 const WebSocket = require('ws');
+const protobuf = require('protobufjs');
 
 // ─── Configuration ──────────────────────────────────────────────────────────
 const RECONNECT_BASE_MS = 2000;
 const RECONNECT_MAX_MS = 10000;
 const PING_INTERVAL_MS = 20000;
 const STALE_THRESHOLD_MS = 30000; // map considered stale after 30 s without update
-const REST_POLL_INTERVAL_MS = 3000; // for MEXC REST polling
+const REST_POLL_INTERVAL_MS = 3000; // for KuCoin / Kraken / HTX REST polling
 const SUBSCRIPTION_REFRESH_MS = 60000; // how often to reconcile subscriptions with active alerts
 
 // ─── In-memory price store ──────────────────────────────────────────────────
@@ -33,6 +41,9 @@ const prices = {
   gate:     { futures: {}, spot: {} },
   bitget:   { futures: {}, spot: {} },
   mexc:     { futures: {}, spot: {} },
+  kucoin:   { futures: {}, spot: {} },
+  kraken:   { futures: {}, spot: {} },
+  htx:      { futures: {}, spot: {} },
 };
 
 // Last update timestamps per exchange+market
@@ -43,19 +54,32 @@ const lastUpdated = {
   gate:     { futures: 0, spot: 0 },
   bitget:   { futures: 0, spot: 0 },
   mexc:     { futures: 0, spot: 0 },
+  kucoin:   { futures: 0, spot: 0 },
+  kraken:   { futures: 0, spot: 0 },
+  htx:      { futures: 0, spot: 0 },
 };
 
 // Connection state
 const connections = new Map(); // key "exchange|market" → { ws, reconnectAttempts, pingTimer, reconnectTimer }
 let running = false;
 let refreshTimer = null;
-let mexcFuturesPollTimer = null;
-let mexcSpotPollTimer = null;
+
+// Exchanges served entirely by REST ticker polling: exchange -> service module
+const REST_POLLED_SERVICES = {
+  kucoin: './kucoinService',
+  kraken: './krakenService',
+  htx: './htxService',
+};
+const restPollTimers = new Map(); // 'exchange|market' -> intervalId
 
 // REST polling for per-symbol exchanges (Bybit/Bitget) in "all coins" mode
 const allCoinsRestPollers = new Map(); // 'exchange|market' -> intervalId
 const ALL_COINS_REST_POLL_MS = 2000; // 2 seconds
 
+// Markets kept connected for in-process consumers (ExchangeAdapter.watchTicker)
+// even without alerts: 'exchange|market' -> reference count
+const retainedMarkets = new Map();
+
 // Symbols that need monitoring (set by refreshSubscriptions)
 const watchedSymbols = {
   bybit:  { futures: new Set(), spot: new Set() },
@@ -63,16 +87,18 @@ const watchedSymbols = {
 };
 
 // ─── Tick listeners (event-driven price push) ───────────────────────────────
-// Listeners receive { exchange, market, prices: { SYMBOL: price, ... } } on
-// every WS batch / REST poll — no sampling loss, no polling delay.
+// Listeners receive { exchange, market, prices: { SYMBOL: price, ... }, source }
+// on every WS batch / REST poll — no sampling loss, no polling delay.
+// source is 'feed' for the exchange's own stream / poll and 'fallback' for
+// snapshots written in by feedHealthService during a failover.
 const tickListeners = new Set();
 
 function onTick(fn) { if (typeof fn === 'function') tickListeners.add(fn); }
 function offTick(fn) { tickListeners.delete(fn); }
 
-function emitTick(exchange, market, tickPrices) {
+function emitTick(exchange, market, tickPrices, source = 'feed') {
   if (tickListeners.size === 0) return;
-  const event = { exchange, market, prices: tickPrices };
+  const event = { exchange, market, prices: tickPrices, source };
   for (const fn of tickListeners) {
     try { fn(event); } catch { /* listener error must not crash WS handler */ }
   }
@@ -127,8 +153,8 @@ async function start() {
 function stop() {
   running = false;
   if (refreshTimer) { clearInterval(refreshTimer); refreshTimer = null; }
-  if (mexcFuturesPollTimer) { clearInterval(mexcFuturesPollTimer); mexcFuturesPollTimer = null; }
-  if (mexcSpotPollTimer) { clearInterval(mexcSpotPollTimer); mexcSpotPollTimer = null; }
+  for (const [, timer] of restPollTimers) { clearInterval(timer); }
+  restPollTimers.clear();
 
   // Clean up all-coins REST pollers (Bybit/Bitget)
   for (const [, timer] of allCoinsRestPollers) { clearInterval(timer); }
@@ -141,6 +167,80 @@ function stop() {
   console.log('[PriceWatcher] Stopped');
 }
 
+/**
+ * Keep an exchange+market feed connected while a consumer needs its ticks.
+ * Reference counted; pair every call with releaseMarket().
+ */
+function retainMarket(exchange, market) {
+  const key = `${String(exchange).toLowerCase()}|${market === 'spot' ? 'spot' : 'futures'}`;
+  retainedMarkets.set(key, (retainedMarkets.get(key) || 0) + 1);
+  if (retainedMarkets.get(key) === 1) {
+    refreshSubscriptions().catch(err =>
+      console.error('[PriceWatcher] refreshSubscriptions error:', err.message)
+    );
+  }
+}
+
+function releaseMarket(exchange, market) {
+  const key = `${String(exchange).toLowerCase()}|${market === 'spot' ? 'spot' : 'futures'}`;
+  const count = retainedMarkets.get(key) || 0;
+  if (count <= 1) {
+    retainedMarkets.delete(key);
+    // Dropped on the next periodic refresh unless alerts still need it
+  } else {
+    retainedMarkets.set(key, count - 1);
+  }
+}
+
+/**
+ * Feeds currently supplying prices.
+ * @returns {{ exchange: string, market: 'futures'|'spot', transport: 'ws'|'rest' }[]}
+ */
+function getFeeds() {
+  const transports = new Map();
+  for (const key of [...restPollTimers.keys(), ...allCoinsRestPollers.keys()]) transports.set(key, 'rest');
+  for (const key of connections.keys()) transports.set(key, 'ws');
+  return Array.from(transports, ([key, transport]) => {
+    const [exchange, market] = key.split('|');
+    return { exchange, market, transport };
+  });
+}
+
+/**
+ * Write a REST / CCXT snapshot into the price map while the exchange's own
+ * feed is silent. Ticks go out with source 'fallback'.
+ */
+function ingestFallbackPrices(exchange, market, snapshot) {
+  const ex = String(exchange || '').toLowerCase();
+  const mkt = market === 'spot' ? 'spot' : 'futures';
+  if (!prices[ex]) return;
+  const map = prices[ex][mkt];
+  const batch = {};
+  for (const [sym, val] of Object.entries(snapshot || {})) {
+    const p = Number(val);
+    if (Number.isFinite(p) && p > 0) { map[sym] = p; batch[sym] = p; }
+  }
+  if (Object.keys(batch).length === 0) return;
+  lastUpdated[ex][mkt] = Date.now();
+  emitTick(ex, mkt, batch, 'fallback');
+}
+
+/**
+ * Drop and reopen an exchange+market WebSocket (half-open sockets never fire
+ * 'close', so a silent feed does not reconnect on its own).
+ * @returns {boolean} false when the feed is not WS-backed
+ */
+function restartFeed(exchange, market) {
+  const key = `${String(exchange).toLowerCase()}|${market === 'spot' ? 'spot' : 'futures'}`;
+  const conn = connections.get(key);
+  if (!conn) return false;
+  closeConnection(key, conn, 'restart');
+  connections.delete(key);
+  const [ex, mkt] = key.split('|');
+  connectExchange(ex, mkt);
+  return true;
+}
+
 // ─── Subscription management ────────────────────────────────────────────────
 
 /**
@@ -224,6 +324,8 @@ async function refreshSubscriptions() {
     }
   }
 
+  for (const key of retainedMarkets.keys()) needed.add(key);
+
   // Update watched symbols
   watchedSymbols.bybit.futures = bybitFuturesSyms;
   watchedSymbols.bybit.spot = bybitSpotSyms;
@@ -246,7 +348,7 @@ async function refreshSubscriptions() {
     }
   }
 
-  // Disconnect from unneeded pairs (except keep MEXC poll timers managed separately)
+  // Disconnect from unneeded pairs (REST-polled exchanges are managed separately)
   for (const key of connections.keys()) {
     if (!needed.has(key)) {
       const conn = connections.get(key);
@@ -255,20 +357,19 @@ async function refreshSubscriptions() {
     }
   }
 
-  // Manage MEXC REST polling
-  const needMexcFutures = needed.has('mexc|futures');
-  const needMexcSpot = needed.has('mexc|spot');
-  if (needMexcFutures && !mexcFuturesPollTimer) {
-    mexcFuturesPollTimer = setInterval(() => pollMexcREST('futures'), REST_POLL_INTERVAL_MS);
-    pollMexcREST('futures'); // immediate first poll
-  } else if (!needMexcFutures && mexcFuturesPollTimer) {
-    clearInterval(mexcFuturesPollTimer); mexcFuturesPollTimer = null;
+  // Manage REST ticker polling (KuCoin, Kraken, HTX)
+  for (const key of needed) {
+    const [exchange, market] = key.split('|');
+    if (REST_POLLED_SERVICES[exchange] && !restPollTimers.has(key)) {
+      restPollTimers.set(key, setInterval(() => pollTickersREST(exchange, market), REST_POLL_INTERVAL_MS));
+      pollTickersREST(exchange, market); // immediate first poll
+    }
   }
-  if (needMexcSpot && !mexcSpotPollTimer) {
-    mexcSpotPollTimer = setInterval(() => pollMexcREST('spot'), REST_POLL_INTERVAL_MS);
-    pollMexcREST('spot');
-  } else if (!needMexcSpot && mexcSpotPollTimer) {
-    clearInterval(mexcSpotPollTimer); mexcSpotPollTimer = null;
+  for (const [key, timer] of restPollTimers) {
+    if (!needed.has(key)) {
+      clearInterval(timer);
+      restPollTimers.delete(key);
+    }
   }
 
   // Manage REST polling for per-symbol exchanges in "all coins" mode (Bybit/Bitget)
@@ -288,6 +389,10 @@ async function refreshSubscriptions() {
       needAllCoinsREST.add(`${ex}|${mkt}`);
     }
   }
+  // Retained per-symbol markets have no symbol list to subscribe, so poll them whole
+  for (const key of retainedMarkets.keys()) {
+    if (key.startsWith('bybit|') || key.startsWith('bitget|')) needAllCoinsREST.add(key);
+  }
   for (const key of needAllCoinsREST) {
     if (!allCoinsRestPollers.has(key)) {
       const [ex, mkt] = key.split('|');
@@ -317,7 +422,10 @@ function connectExchange(exchange, market) {
     case 'okx':     return connectOKX(market);
     case 'gate':    return connectGate(market);
     case 'bitget':  return connectBitget(market);
-    case 'mexc':    return; // handled by REST polling
+    case 'mexc':    return connectMexc(market);
+    case 'kucoin':
+    case 'kraken':
+    case 'htx':     return; // handled by REST polling
     default:        console.warn(`[PriceWatcher] Unknown exchange: ${exchange}`);
   }
 }
@@ -549,30 +657,102 @@ function connectBitget(market) {
   connections.set(key, ws);
 }
 
-// ─── MEXC (REST polling) ────────────────────────────────────────────────────
-// MEXC WebSocket is unreliable; use REST polling with the existing service cache
+// ─── MEXC ───────────────────────────────────────────────────────────────────
+// Spot: spot@public.miniTickers protobuf stream → ALL tickers in one batch
+// Futures: sub.tickers on the contract edge → ALL tickers as JSON
+
+let mexcSpotWrapper = null;
+
+function getMexcSpotWrapper() {
+  if (!mexcSpotWrapper) {
+    const root = protobuf.loadSync(path.join(__dirname, '../proto/mexc-spot.proto'));
+    mexcSpotWrapper = root.lookupType('PushDataV3ApiWrapper');
+  }
+  return mexcSpotWrapper;
+}
+
+function connectMexc(market) {
+  const key = `mexc|${market}`;
+
+  const ws = market === 'spot'
+    ? createWs('wss://wbs-api.mexc.com/ws', key, {
+      binary: true,
+      pingInterval: 20000,
+      pingPayload: JSON.stringify({ method: 'PING' }),
+      onOpen(rawWs) {
+        rawWs.send(JSON.stringify({
+          method: 'SUBSCRIPTION',
+          params: ['spot@public.miniTickers.v3.api.pb@UTC+8'],
+        }));
+      },
+      onMessage(data, isBinary) {
+        // Subscription acks and PONGs arrive as JSON text frames
+        if (!isBinary) return;
+        try {
+          const items = getMexcSpotWrapper().decode(data).publicMiniTickers?.items;
+          if (Array.isArray(items)) applyMexcTickers(market, items.map(t => [t.symbol, t.price]));
+        } catch { /* ignore malformed */ }
+      },
+    })
+    : createWs('wss://contract.mexc.com/edge', key, {
+      pingInterval: 15000,
+      pingPayload: JSON.stringify({ method: 'ping' }),
+      onOpen(rawWs) {
+        rawWs.send(JSON.stringify({ method: 'sub.tickers', param: {} }));
+      },
+      onMessage(data) {
+        try {
+          const msg = JSON.parse(data);
+          if (msg.channel === 'push.tickers' && Array.isArray(msg.data)) {
+            applyMexcTickers(market, msg.data.map(t => [t.symbol, t.lastPrice]));
+          }
+        } catch { /* ignore */ }
+      },
+    });
+
+  connections.set(key, ws);
+}
+
+function applyMexcTickers(market, entries) {
+  const map = prices.mexc[market];
+  const batch = {};
+  for (const [rawSymbol, rawPrice] of entries) {
+    const sym = String(rawSymbol || '').replace(/_/g, '');
+    const p = Number(rawPrice);
+    if (sym && Number.isFinite(p) && p > 0) {
+      map[sym] = p;
+      batch[sym] = p;
+    }
+  }
+  lastUpdated.mexc[market] = Date.now();
+  emitTick('mexc', market, batch);
+}
 
-async function pollMexcREST(market) {
+// ─── KuCoin / Kraken / HTX (REST polling) ───────────────────────────────────
+// These only stream tickers per symbol (or behind a token handshake); poll
+// the all-tickers endpoints through the existing service caches instead
+
+async function pollTickersREST(exchange, market) {
   if (!running) return;
   try {
-    const mexcService = require('./mexcService');
+    const service = require(REST_POLLED_SERVICES[exchange]);
     const exchangeType = market === 'spot' ? 'spot' : 'futures';
-    const map = await mexcService.getLastPricesBySymbols([], exchangeType, {
+    const map = await service.getLastPricesBySymbols([], exchangeType, {
       strict: false,
       exchangeOnly: true,
     });
     if (map && typeof map === 'object') {
-      prices.mexc[market] = {};
+      prices[exchange][market] = {};
       const batch = {};
       for (const [sym, val] of Object.entries(map)) {
         const p = Number(val);
-        if (Number.isFinite(p) && p > 0) { prices.mexc[market][sym] = p; batch[sym] = p; }
+        if (Number.isFinite(p) && p > 0) { prices[exchange][market][sym] = p; batch[sym] = p; }
       }
-      lastUpdated.mexc[market] = Date.now();
-      emitTick('mexc', market, batch);
+      lastUpdated[exchange][market] = Date.now();
+      emitTick(exchange, market, batch);
     }
   } catch (err) {
-    console.warn(`[PriceWatcher] MEXC ${market} REST poll failed:`, err.message);
+    console.warn(`[PriceWatcher] ${exchange} ${market} REST poll failed:`, err.message);
   }
 }
 
@@ -613,8 +793,9 @@ async function pollExchangeREST(exchange, market) {
 // ─── Generic WebSocket wrapper ──────────────────────────────────────────────
 
 function createWs(url, connectionKey, opts = {}) {
-  const { onMessage, onOpen, pingInterval, pingPayload } = opts;
-  const state = { ws: null, reconnectAttempts: 0, pingTimer: null, reconnectTimer: null };
+  // binary: hand onMessage the raw Buffer plus the isBinary flag (protobuf feeds)
+  const { onMessage, onOpen, pingInterval, pingPayload, binary = false } = opts;
+  const state = { ws: null, reconnectAttempts: 0, pingTimer: null, reconnectTimer: null, closed: false };
 
   function connect() {
     if (!running) return;
@@ -645,14 +826,16 @@ function createWs(url, connectionKey, opts = {}) {
       if (onOpen) onOpen(ws);
     });
 
-    ws.on('message', (raw) => {
-      const data = typeof raw === 'string' ? raw : raw.toString();
-      if (onMessage) onMessage(data);
+    ws.on('message', (raw, isBinary) => {
+      if (!onMessage) return;
+      if (binary) { onMessage(raw, isBinary); return; }
+      onMessage(typeof raw === 'string' ? raw : raw.toString());
     });
 
     ws.on('close', (code) => {
       cleanup();
-      if (running && connections.has(connectionKey)) {
+      // closed: replaced by restartFeed / dropped — don't resurrect the old socket
+      if (running && !state.closed && connections.has(connectionKey)) {
         console.warn(`[PriceWatcher] ${connectionKey} closed (code=${code}), reconnecting...`);
         scheduleReconnect();
       }
@@ -673,7 +856,7 @@ function createWs(url, connectionKey, opts = {}) {
     const delay = Math.min(RECONNECT_BASE_MS * Math.pow(2, state.reconnectAttempts), RECONNECT_MAX_MS);
     state.reconnectAttempts++;
     state.reconnectTimer = setTimeout(() => {
-      if (running && connections.has(connectionKey)) connect();
+      if (running && !state.closed && connections.has(connectionKey)) connect();
     }, delay);
   }
 
@@ -683,6 +866,7 @@ function createWs(url, connectionKey, opts = {}) {
 
 function closeConnection(key, conn, reason) {
   if (!conn) return;
+  conn.closed = true;
   if (conn.pingTimer) clearInterval(conn.pingTimer);
   if (conn.reconnectTimer) clearTimeout(conn.reconnectTimer);
   if (conn.ws) {
@@ -702,4 +886,9 @@ module.exports = {
   refreshSubscriptions,
   onTick,
   offTick,
+  retainMarket,
+  releaseMarket,
+  getFeeds,
+  ingestFallbackPrices,
+  restartFeed,
 };
@@ -2,9 +2,70 @@ const { Server } = require('socket.io');
 const { verifyAccessToken } = require('../utils/jwt');
 const prisma = require('../utils/prisma');
 const klineManager = require('./klineManager');
+const liquidationService = require('./liquidations');
+const spreadService = require('./spreadService');
+const feedHealthService = require('./feedHealthService');
+const densityScannerService = require('./densityScanner');
+const {
+  normalizeWallFilters,
+  matchesWallFilters,
+  sortWalls,
+  diffWalls,
+  resetSentWalls,
+} = require('./densityScanner/wallFilters');
 
 let io = null;
 
+// Socket.IO rooms for the liquidation feed
+const LIQUIDATIONS_ROOM = 'liquidations';
+const LIQUIDATION_SUMMARY_MS = 10 * 1000;
+const LIQUIDATION_SYMBOL_ROOM_PREFIX = 'liquidations:';
+const MAX_LIQUIDATION_SYMBOL_ROOMS = 20; // per socket; each open chart holds one
+const LIQUIDATION_SYMBOL_PATTERN = /^[A-Z0-9]{2,30}$/;
+
+// Spread screener subscribers: socket.id → { socket, filters }; each gets its own filtered rows
+const SPREAD_PUSH_MS = 3 * 1000;
+const spreadSubscribers = new Map();
+
+function unsubscribeSpreads(socket) {
+  if (!spreadSubscribers.delete(socket.id)) return;
+  spreadService.release();
+}
+
+// Density screener subscribers: socket.id → { socket, filters, sent }; `sent` is
+// wall id → { pair, signature, wall } of every wall the socket holds, so each
+// scan only pushes what changed for that subscriber
+const wallSubscribers = new Map();
+
+// Same selection as GET /api/density-screener/walls: filter, sort, limit
+function sendWallSnapshot(subscriber) {
+  const { filters } = subscriber;
+  const walls = sortWalls(
+    densityScannerService.getWalls().filter((wall) => matchesWallFilters(wall, filters)),
+    filters
+  ).slice(0, filters.limit);
+  resetSentWalls(subscriber.sent, walls);
+  subscriber.socket.emit('walls-snapshot', { at: Date.now(), walls });
+}
+
+// Client payloads are untrusted: a throw inside a handler takes the process down
+function isObjectPayload(payload) {
+  return payload !== null && typeof payload === 'object' && !Array.isArray(payload);
+}
+
+function liquidationSymbolRoom(exchange, symbol) {
+  return `${LIQUIDATION_SYMBOL_ROOM_PREFIX}${String(exchange || '').toLowerCase()}:${String(symbol || '').toUpperCase()}`;
+}
+
+/** Room for a client's { exchange, symbol }, or null unless a liquidation feed serves it. */
+function clientLiquidationRoom({ exchange, symbol }) {
+  if (typeof exchange !== 'string' || typeof symbol !== 'string') return null;
+  if (!liquidationService.supports(exchange)) return null;
+  const normalized = symbol.trim().toUpperCase();
+  if (!LIQUIDATION_SYMBOL_PATTERN.test(normalized)) return null;
+  return liquidationSymbolRoom(exchange, normalized);
+}
+
 const configuredFrontendOrigins = String(process.env.FRONTEND_URLS || process.env.FRONTEND_URL || '')
   .split(',')
   .map((origin) => origin.trim())
@@ -77,6 +138,36 @@ function initializeSocket(server) {
   // Initialize klineManager with Socket.IO instance
   klineManager.initialize(io);
 
+  // Fan liquidations out to the feed room and the per-symbol chart rooms
+  liquidationService.on('liquidation', (event) => {
+    io.to(LIQUIDATIONS_ROOM).to(liquidationSymbolRoom(event.exchange, event.symbol)).emit('liquidation', event);
+  });
+  setInterval(() => {
+    if ((io.sockets.adapter.rooms.get(LIQUIDATIONS_ROOM)?.size || 0) === 0) return;
+    io.to(LIQUIDATIONS_ROOM).emit('liquidation-summary', liquidationService.getSummary({ window: '1h', limit: 20 }));
+  }, LIQUIDATION_SUMMARY_MS);
+
+  // Price feeds currently served by REST / CCXT snapshots (RealtimeIndicator banner)
+  feedHealthService.on('change', (payload) => io.emit('feed-health', payload));
+
+  // After every scan of one exchange+market, push each subscriber its delta
+  densityScannerService.wallTracker.on('scan', ({ exchange, market, at }) => {
+    if (wallSubscribers.size === 0) return;
+    const walls = densityScannerService.getWalls(exchange, market);
+    for (const { socket, filters, sent } of wallSubscribers.values()) {
+      if (!filters.exchanges.includes(exchange) || !filters.markets.includes(market)) continue;
+      const { added, updated, removed } = diffWalls(sent, walls, filters, exchange, market);
+      if (added.length === 0 && updated.length === 0 && removed.length === 0) continue;
+      socket.emit('walls-diff', { exchange, market, at, added, updated, removed });
+    }
+  });
+
+  setInterval(() => {
+    for (const { socket, filters } of spreadSubscribers.values()) {
+      socket.emit('spreads', { ...spreadService.getSpreads(filters), warm: spreadService.isWarm() });
+    }
+  }, SPREAD_PUSH_MS);
+
   // Handle connection
   io.on('connection', (socket) => {
     console.log(`User ${socket.user.username} (${socket.user.id}) connected`);
@@ -84,6 +175,8 @@ function initializeSocket(server) {
     // Join user-specific room (room name = userId)
     socket.join(socket.user.id);
 
+    socket.emit('feed-health', feedHealthService.getDegraded());
+
     // Handle kline subscription
     socket.on('subscribe-kline', ({ exchange, symbol, interval, exchangeType }) => {
       try {
@@ -105,9 +198,61 @@ function initializeSocket(server) {
       }
     });
 
+    // Liquidations: { exchange, symbol } joins one symbol's room (chart markers),
+    // no symbol joins the all-symbols feed + rolling summary
+    socket.on('subscribe-liquidations', (payload = {}) => {
+      if (!isObjectPayload(payload)) return;
+      if (!payload.symbol) {
+        socket.join(LIQUIDATIONS_ROOM);
+        return;
+      }
+      const room = clientLiquidationRoom(payload);
+      if (!room || socket.rooms.has(room)) return;
+      const symbolRooms = [...socket.rooms].filter((name) => name.startsWith(LIQUIDATION_SYMBOL_ROOM_PREFIX)).length;
+      if (symbolRooms >= MAX_LIQUIDATION_SYMBOL_ROOMS) return;
+      socket.join(room);
+    });
+
+    socket.on('unsubscribe-liquidations', (payload = {}) => {
+      if (!isObjectPayload(payload)) return;
+      if (!payload.symbol) {
+        socket.leave(LIQUIDATIONS_ROOM);
+        return;
+      }
+      const room = clientLiquidationRoom(payload);
+      if (room) socket.leave(room);
+    });
+
+    // Spread screener: re-subscribing just replaces the socket's filters
+    socket.on('subscribe-spreads', (filters = {}) => {
+      if (!isObjectPayload(filters)) return;
+      if (!spreadSubscribers.has(socket.id)) spreadService.acquire();
+      const normalized = spreadService.normalizeFilters(filters);
+      spreadSubscribers.set(socket.id, { socket, filters: normalized });
+      socket.emit('spreads', { ...spreadService.getSpreads(normalized), warm: spreadService.isWarm() });
+    });
+
+    socket.on('unsubscribe-spreads', () => unsubscribeSpreads(socket));
+
+    // Density screener: (re-)subscribing replaces the filters and resends a full snapshot
+    socket.on('subscribe-walls', (filters = {}) => {
+      if (!isObjectPayload(filters)) return;
+      const subscriber = {
+        socket,
+        filters: normalizeWallFilters(filters, densityScannerService.getScannedExchanges()),
+        sent: new Map(),
+      };
+      wallSubscribers.set(socket.id, subscriber);
+      sendWallSnapshot(subscriber);
+    });
+
+    socket.on('unsubscribe-walls', () => wallSubscribers.delete(socket.id));
+
     // Handle disconnect
     socket.on('disconnect', () => {
       console.log(`User ${socket.user.username} (${socket.user.id}) disconnected`);
+      unsubscribeSpreads(socket);
+      wallSubscribers.delete(socket.id);
       
       // Clean up all kline subscriptions for this client
       klineManager.handleClientDisconnect(socket.id);
@@ -0,0 +1,353 @@
+/**
+ * Spread Alert Engine — "spread above X%" alerts on the cross-exchange spread
+ * screener (see spreadService).
+ *
+ * Each active spread alert picks a mode (all | futures | spot | basis), the
+ * exchanges to compare, a minimum 24h volume per leg and optionally a symbol
+ * whitelist.  Every POLL_INTERVAL_MS the engine ranks spreads with those
+ * filters and fires for symbols whose spread reaches minSpreadPct.
+ *
+ * Conditions are edge-triggered per alert + symbol: a symbol fires when its
+ * spread crosses the threshold and re-arms once it is back below.  The first
+ * poll after an alert is loaded only seeds that state, so spreads that are
+ * already wide do not all fire at once.  Fires go through the caller's
+ * onTriggered (socket + Telegram + email + AlertTrigger log in alertEngine).
+ *
+ * Runs only on the engine instance that holds the worker lease.
+ */
+
+const prisma = require('../utils/prisma');
+const spreadService = require('./spreadService');
+const {
+  parseSymbols,
+  normalizeNotificationOptions,
+  getAlertLimits,
+  isAlertExpired,
+  isAlertSnoozed,
+  hasFiresLeft,
+  fireLimitedAlert,
+} = require('./alertLimits');
+
+const { SPREAD_EXCHANGES, SPREAD_MODES, MAX_SANE_SPREAD_PCT } = spreadService;
+const MIN_SPREAD_PCT = 0.05;
+const MAX_SPREAD_SYMBOLS = 50;
+
+const CACHE_REFRESH_MS = 30_000;
+const POLL_INTERVAL_MS = 5_000;
+const DEFAULT_SPREAD_COOLDOWN_SEC = 15 * 60; // per alert + symbol, unless the alert sets its own
+const MAX_FIRES_PER_POLL = 5; // per alert — an "all symbols" alert must not flood the user
+
+let running = false;
+let hooks = { onTriggered: async () => {}, log: () => {} };
+let refreshTimer = null;
+let pollTimer = null;
+let holdingFeeds = false;
+
+// Each entry: { id, userId, name, description, symbols[] (empty = all), condition, limits }
+let spreadAlertsCache = [];
+
+// Map(alertId -> { signature, seeded, active: Set(symbol) }) — symbols currently above the threshold
+const alertStates = new Map();
+
+// Map(`${alertId}|${symbol}` -> firedAt)
+const lastFires = new Map();
+
+/**
+ * Validate a stored/incoming condition (object or JSON string):
+ * { mode, minSpreadPct, minVolumeUsd, exchanges[] }.
+ * @returns {object|null} normalized condition, or null when invalid
+ */
+function normalizeSpreadCondition(raw) {
+  let cond = raw;
+  if (typeof raw === 'string') {
+    try {
+      cond = JSON.parse(raw);
+    } catch {
+      return null;
+    }
+  }
+  if (Array.isArray(cond)) cond = cond[0];
+  if (!cond || typeof cond !== 'object') return null;
+
+  const mode = String(cond.mode || 'all').toLowerCase();
+  if (!SPREAD_MODES.includes(mode)) return null;
+  const minSpreadPct = Number(cond.minSpreadPct);
+  if (!Number.isFinite(minSpreadPct) || minSpreadPct < MIN_SPREAD_PCT || minSpreadPct > MAX_SANE_SPREAD_PCT) return null;
+  const minVolumeUsd = cond.minVolumeUsd == null || cond.minVolumeUsd === '' ? 0 : Number(cond.minVolumeUsd);
+  if (!Number.isFinite(minVolumeUsd) || minVolumeUsd < 0 || minVolumeUsd > 1e11) return null;
+
+  const requested = Array.isArray(cond.exchanges) && cond.exchanges.length > 0 ? cond.exchanges : SPREAD_EXCHANGES;
+  const exchanges = SPREAD_EXCHANGES.filter((ex) => requested.map((e) => String(e).toLowerCase()).includes(ex));
+  // Cross-exchange modes need two venues; basis compares spot and futures on one
+  if (exchanges.length < (mode === 'basis' ? 1 : 2)) return null;
+
+  return { mode, minSpreadPct, minVolumeUsd, exchanges };
+}
+
+function formatPrice(value) {
+  return Number(value.toPrecision(6)).toString();
+}
+
+/**
+ * e.g. "spread 1.24% — buy gate spot @ 0.1234, sell binance futures @ 0.12493"
+ * or "basis +0.85% on bybit (spot 64010, futures 64554)"
+ */
+function describeSpreadRow(row) {
+  if (row.basisPct != null) {
+    const spot = row.quotes.find((q) => q.market === 'spot');
+    const futures = row.quotes.find((q) => q.market === 'futures');
+    const sign = row.basisPct >= 0 ? '+' : '';
+    return `basis ${sign}${row.basisPct.toFixed(2)}% on ${row.exchange} (spot ${formatPrice(spot.price)}, futures ${formatPrice(futures.price)})`;
+  }
+  return `spread ${row.spreadPct.toFixed(2)}% — buy ${row.buy.exchange} ${row.buy.market} @ ${formatPrice(row.buy.price)}, `
+    + `sell ${row.sell.exchange} ${row.sell.market} @ ${formatPrice(row.sell.price)}`;
+}
+
+// ---------------------------------------------------------------------------
+// Polling & evaluation
+// ---------------------------------------------------------------------------
+
+function pollSpreads() {
+  if (!running || spreadAlertsCache.length === 0 || !spreadService.isWarm()) return;
+  const nowMs = Date.now();
+  for (const alert of spreadAlertsCache) {
+    try {
+      evaluateAlert(alert, nowMs);
+    } catch (err) {
+      hooks.log('warn', 'spread.poll.error', { alertId: alert.id, message: err?.message || String(err) });
+    }
+  }
+}
+
+function evaluateAlert(alert, nowMs) {
+  const state = alertStates.get(alert.id);
+  if (!state) return;
+  const { condition } = alert;
+  const { rows } = spreadService.getSpreads({
+    mode: condition.mode,
+    exchanges: condition.exchanges,
+    minVolume: condition.minVolumeUsd,
+    minSpread: condition.minSpreadPct,
+    symbols: alert.symbols,
+    limit: 500,
+  });
+
+  // Rows are sorted widest first; basis rows are per exchange, keep one per symbol
+  const widest = new Map();
+  for (const row of rows) {
+    if (!widest.has(row.symbol)) widest.set(row.symbol, row);
+  }
+
+  const candidates = [];
+  for (const [symbol, row] of widest) {
+    if (state.active.has(symbol)) continue;
+    candidates.push(row);
+  }
+  state.active = new Set(widest.keys());
+
+  const seeding = !state.seeded;
+  state.seeded = true;
+  if (seeding || isAlertExpired(alert.limits, nowMs) || isAlertSnoozed(alert.limits, nowMs)) return;
+
+  const cooldownMs = (alert.limits.cooldownSec || DEFAULT_SPREAD_COOLDOWN_SEC) * 1000;
+  let budget = MAX_FIRES_PER_POLL;
+  let suppressed = 0;
+  for (const row of candidates) {
+    const fireKey = `${alert.id}|${row.symbol}`;
+    const previous = lastFires.get(fireKey);
+    if (previous && nowMs - previous < cooldownMs) continue;
+    if (budget <= 0) {
+      suppressed += 1;
+      continue;
+    }
+    budget -= 1;
+    lastFires.set(fireKey, nowMs);
+    setImmediate(() => fireSpreadAlert(alert, row));
+  }
+  if (suppressed > 0) {
+    hooks.log('info', 'spread.fires.capped', { alertId: alert.id, suppressed, limit: MAX_FIRES_PER_POLL });
+  }
+}
+
+async function fireSpreadAlert(alert, row) {
+  try {
+    const updatedAlert = await fireLimitedAlert(alert, () => {
+      spreadAlertsCache = spreadAlertsCache.filter((a) => a.id !== alert.id);
+      alertStates.delete(alert.id);
+      syncFeedHold();
+      hooks.log('info', 'spread.deactivate', { alertIds: [alert.id], reason: 'max_fires' });
+    });
+    if (!updatedAlert) return;
+
+    const toLeg = (quote) => ({
+      exchange: quote.exchange,
+      market: quote.market,
+      price: quote.price,
+      volume24h: quote.volume24h,
+    });
+    const payload = {
+      id: updatedAlert.id,
+      alertId: updatedAlert.id,
+      name: updatedAlert.name,
+      description: updatedAlert.description ?? null,
+      triggered: true,
+      triggeredAt: updatedAlert.triggeredAt,
+      alertType: 'spread',
+      exchange: row.exchange || row.sell.exchange,
+      market: row.sell.market,
+      symbol: row.symbol,
+      currentPrice: row.sell.price,
+      spread: {
+        mode: alert.condition.mode,
+        spreadPct: row.spreadPct,
+        basisPct: row.basisPct ?? null,
+        buy: toLeg(row.buy),
+        sell: toLeg(row.sell),
+      },
+      conditionText: describeSpreadRow(row),
+      fireCount: updatedAlert.fireCount,
+      notificationOptions: normalizeNotificationOptions(updatedAlert.notificationOptions),
+    };
+
+    await hooks.onTriggered(updatedAlert, payload);
+  } catch (err) {
+    hooks.log('error', 'trigger.spread.fire.error', {
+      alertId: alert.id,
+      symbol: row.symbol,
+      message: err?.message || String(err),
+    });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Alert cache
+// ---------------------------------------------------------------------------
+
+/** Keep the screener's price feeds connected only while spread alerts exist. */
+function syncFeedHold() {
+  const wanted = running && spreadAlertsCache.length > 0;
+  if (wanted && !holdingFeeds) spreadService.acquire();
+  if (!wanted && holdingFeeds) spreadService.release();
+  holdingFeeds = wanted;
+}
+
+async function refreshSpreadAlerts() {
+  if (!running) return;
+  try {
+    const alerts = await prisma.alert.findMany({
+      where: { isActive: true, alertType: 'spread' },
+    });
+
+    const newCache = [];
+    const exhaustedIds = [];
+    for (const a of alerts) {
+      const limits = getAlertLimits(a.notificationOptions);
+      if (isAlertExpired(limits) || !hasFiresLeft(limits, a.fireCount)) {
+        exhaustedIds.push(a.id);
+        continue;
+      }
+      const condition = normalizeSpreadCondition(a.conditions);
+      if (!condition) continue;
+      const symbols = Array.from(new Set(
+        parseSymbols(a.symbols).map((s) => String(s || '').toUpperCase().trim()).filter(Boolean)
+      )).slice(0, MAX_SPREAD_SYMBOLS);
+
+      newCache.push({
+        id: a.id,
+        userId: a.userId,
+        name: a.name,
+        description: a.description ?? null,
+        symbols,
+        condition,
+        limits,
+      });
+    }
+
+    if (exhaustedIds.length > 0) {
+      await prisma.alert.updateMany({
+        where: { id: { in: exhaustedIds }, isActive: true },
+        data: { isActive: false },
+      });
+      hooks.log('info', 'spread.deactivate', { alertIds: exhaustedIds, reason: 'expired_or_max_fires' });
+    }
+    if (!running) return;
+
+    spreadAlertsCache = newCache;
+    syncAlertStates();
+    syncFeedHold();
+
+    hooks.log('info', 'spread.cache.refresh', { count: newCache.length });
+  } catch (err) {
+    hooks.log('error', 'spread.cache.refresh.error', { message: err?.message || String(err) });
+  }
+}
+
+/** Keep state of unchanged alerts; edited alerts re-seed on their next poll. */
+function syncAlertStates() {
+  const alertIds = new Set();
+  for (const alert of spreadAlertsCache) {
+    alertIds.add(alert.id);
+    const signature = JSON.stringify([alert.symbols, alert.condition]);
+    const state = alertStates.get(alert.id);
+    if (state && state.signature === signature) continue;
+    alertStates.set(alert.id, { signature, seeded: false, active: new Set() });
+  }
+
+  for (const alertId of alertStates.keys()) {
+    if (!alertIds.has(alertId)) alertStates.delete(alertId);
+  }
+  for (const key of lastFires.keys()) {
+    if (!alertIds.has(key.split('|')[0])) lastFires.delete(key);
+  }
+}
+
+function startSpreadAlerts(options = {}) {
+  if (running) return;
+  hooks = {
+    onTriggered: options.onTriggered || (async () => {}),
+    log: options.log || (() => {}),
+  };
+  running = true;
+  refreshSpreadAlerts();
+  refreshTimer = setInterval(() => refreshSpreadAlerts(), CACHE_REFRESH_MS);
+  pollTimer = setInterval(() => pollSpreads(), POLL_INTERVAL_MS);
+  hooks.log('info', 'spread.loop.start', { pollIntervalMs: POLL_INTERVAL_MS });
+}
+
+function stopSpreadAlerts() {
+  if (!running) return;
+  running = false;
+  if (refreshTimer) {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+  }
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+  alertStates.clear();
+  lastFires.clear();
+  spreadAlertsCache = [];
+  syncFeedHold();
+  hooks.log('info', 'spread.loop.stop');
+}
+
+function getSpreadStatus() {
+  return {
+    running,
+    alerts: spreadAlertsCache.length,
+    screener: spreadService.getStatus(),
+  };
+}
+
+module.exports = {
+  SPREAD_EXCHANGES,
+  MIN_SPREAD_PCT,
+  MAX_SPREAD_SYMBOLS,
+  normalizeSpreadCondition,
+  describeSpreadRow,
+  startSpreadAlerts,
+  stopSpreadAlerts,
+  refreshSpreadAlerts,
+  getSpreadStatus,
+};
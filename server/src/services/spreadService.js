@@ -0,0 +1,304 @@
+/**
+ * SpreadService — cross-exchange price spreads and spot/futures basis.
+ *
+ * Lines up the same USDT pair across SPREAD_EXCHANGES × (futures, spot) from
+ * the live priceWatcher maps. Exchange-specific keys are mapped onto one
+ * canonical pair with priceSourceResolver.buildCandidates, so 'BTC_USDT',
+ * 'BTC-USDT-SWAP' and 'BTCUSDT' all land on BTCUSDT.
+ *
+ * Modes:
+ *   all     — cheapest vs dearest quote across every exchange and market,
+ *             with the two legs on different exchanges
+ *   futures — cross-exchange, perpetuals only
+ *   spot    — cross-exchange, spot only
+ *   basis   — futures vs spot on the same exchange (one row per exchange)
+ *
+ * Liquidity comes from the adapters' 24h quote volume (fetchTokens), refreshed
+ * every VOLUME_REFRESH_MS. Like derivativesService, the service is
+ * demand-driven: price feeds are retained only while something (screener
+ * sockets, spread alerts) holds a reference via acquire()/release().
+ */
+
+const priceWatcher = require('./priceWatcher');
+const { buildCandidates } = require('./priceSourceResolver');
+const { getExchangeAdapter } = require('./exchangeAdapters');
+
+const SPREAD_EXCHANGES = ['binance', 'bybit', 'okx', 'gate', 'bitget', 'mexc'];
+const SPREAD_MARKETS = ['futures', 'spot'];
+const SPREAD_MODES = ['all', 'futures', 'spot', 'basis'];
+
+const VOLUME_REFRESH_MS = 2 * 60 * 1000;
+const SNAPSHOT_TTL_MS = 1000;
+const WARMUP_MS = 15 * 1000; // feeds connecting one by one would look like spreads opening
+// Same ticker, different coin (or a dead market): anything wider is not an arbitrage
+const MAX_SANE_SPREAD_PCT = 30;
+const MAX_LIMIT = 500;
+const REST_IDLE_TTL_MS = 5 * 60 * 1000; // REST readers hold the feeds this long after their last request
+
+function pctSpread(low, high) {
+  return ((high - low) / low) * 100;
+}
+
+/**
+ * Cheapest / dearest quotes on two different exchanges (same-exchange spot vs
+ * futures is basis, not a cross-exchange spread). At most 12 quotes per pair.
+ * @returns {[Object, Object]|null} [buy, sell]
+ */
+function widestCrossExchangePair(quotes) {
+  let best = null;
+  for (const buy of quotes) {
+    for (const sell of quotes) {
+      if (buy.exchange === sell.exchange || sell.price <= buy.price) continue;
+      if (!best || sell.price / buy.price > best[1].price / best[0].price) best = [buy, sell];
+    }
+  }
+  return best;
+}
+
+class SpreadService {
+  constructor() {
+    this.refCount = 0;
+    this.acquiredAt = 0;
+    this.volumes = new Map(); // 'exchange|market' → Map(symbol → volume24h USD)
+    this.volumeTimer = null;
+    this.volumesUpdatedAt = 0;
+    this.symbolKeys = new Map(); // 'exchange|market|rawKey' → canonical pair ('' when not a USDT pair)
+    this.snapshot = null;
+    this.snapshotAt = 0;
+    this.restHoldTimer = null;
+    this.lastRestRequestAt = 0;
+  }
+
+  /** Keep the price feeds and volume refresh running. Pair with release(). */
+  acquire() {
+    this.refCount += 1;
+    if (this.refCount > 1) return;
+    this.acquiredAt = Date.now();
+    for (const exchange of SPREAD_EXCHANGES) {
+      for (const market of SPREAD_MARKETS) priceWatcher.retainMarket(exchange, market);
+    }
+    this.refreshVolumes().catch(() => {});
+    this.volumeTimer = setInterval(() => this.refreshVolumes().catch(() => {}), VOLUME_REFRESH_MS);
+  }
+
+  release() {
+    if (this.refCount === 0) return;
+    this.refCount -= 1;
+    if (this.refCount > 0) return;
+    for (const exchange of SPREAD_EXCHANGES) {
+      for (const market of SPREAD_MARKETS) priceWatcher.releaseMarket(exchange, market);
+    }
+    if (this.volumeTimer) clearInterval(this.volumeTimer);
+    this.volumeTimer = null;
+    this.snapshot = null;
+  }
+
+  /**
+   * Hold the feeds on behalf of REST readers until they go quiet for
+   * REST_IDLE_TTL_MS (sockets and alerts use acquire/release directly).
+   */
+  touch() {
+    this.lastRestRequestAt = Date.now();
+    if (this.restHoldTimer) return;
+    this.acquire();
+    this.restHoldTimer = setInterval(() => {
+      if (Date.now() - this.lastRestRequestAt < REST_IDLE_TTL_MS) return;
+      clearInterval(this.restHoldTimer);
+      this.restHoldTimer = null;
+      this.release();
+    }, 30 * 1000);
+  }
+
+  stop() {
+    if (this.restHoldTimer) clearInterval(this.restHoldTimer);
+    this.restHoldTimer = null;
+    while (this.refCount > 0) this.release();
+  }
+
+  async refreshVolumes() {
+    const jobs = [];
+    for (const exchange of SPREAD_EXCHANGES) {
+      const adapter = getExchangeAdapter(exchange);
+      if (!adapter) continue;
+      for (const market of SPREAD_MARKETS) {
+        jobs.push((async () => {
+          const tokens = await adapter.fetchTokens(market);
+          const byPair = new Map();
+          for (const token of tokens || []) {
+            const symbol = this.canonicalSymbol(exchange, market, token.fullSymbol || token.symbol);
+            const volume = Number(token.volume24h);
+            if (symbol && Number.isFinite(volume)) byPair.set(symbol, volume);
+          }
+          this.volumes.set(`${exchange}|${market}`, byPair);
+        })().catch((error) => {
+          console.warn(`[Spreads] ${exchange} ${market} volume refresh failed:`, error.message);
+        }));
+      }
+    }
+    await Promise.all(jobs);
+    this.volumesUpdatedAt = Date.now();
+  }
+
+  /**
+   * Screener filters from a query string or socket payload. Lists may be
+   * arrays or comma-separated strings; unknown values fall back to defaults.
+   * @returns {{ mode: string, exchanges: string[], minVolume: number, minSpread: number, symbols: string[], limit: number }}
+   */
+  normalizeFilters(raw = {}) {
+    const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+      .map((item) => String(item).trim())
+      .filter(Boolean);
+    const mode = String(raw.mode || 'all').toLowerCase();
+    const exchanges = toList(raw.exchanges).map((ex) => ex.toLowerCase()).filter((ex) => SPREAD_EXCHANGES.includes(ex));
+    const minVolume = Number(raw.minVolume);
+    const minSpread = Number(raw.minSpread);
+    const limit = parseInt(raw.limit, 10);
+    return {
+      mode: SPREAD_MODES.includes(mode) ? mode : 'all',
+      exchanges: exchanges.length > 0 ? exchanges : [...SPREAD_EXCHANGES],
+      minVolume: Number.isFinite(minVolume) && minVolume > 0 ? minVolume : 0,
+      minSpread: Number.isFinite(minSpread) && minSpread > 0 ? minSpread : 0,
+      symbols: toList(raw.symbols).map((symbol) => symbol.toUpperCase()),
+      limit: Number.isFinite(limit) && limit > 0 ? Math.min(limit, MAX_LIMIT) : 100,
+    };
+  }
+
+  /** Feeds had time to connect and volumes are loaded. */
+  isWarm() {
+    return this.refCount > 0 && this.volumesUpdatedAt > 0 && Date.now() - this.acquiredAt >= WARMUP_MS;
+  }
+
+  /**
+   * Exchange price-map key → canonical USDT pair, or '' when the key is not a
+   * USDT-quoted pair (USD / USDC quotes would skew the spread).
+   */
+  canonicalSymbol(exchange, market, rawKey) {
+    const cacheKey = `${exchange}|${market}|${rawKey}`;
+    let symbol = this.symbolKeys.get(cacheKey);
+    if (symbol === undefined) {
+      const [candidate = ''] = buildCandidates(exchange, String(rawKey || ''), market);
+      symbol = candidate.endsWith('USDT') && candidate.length > 4 ? candidate : '';
+      this.symbolKeys.set(cacheKey, symbol);
+    }
+    return symbol;
+  }
+
+  /**
+   * Every fresh quote grouped by canonical pair, cached for SNAPSHOT_TTL_MS.
+   * @returns {{ updatedAt: number, quotes: Map<string, Object[]> }} quotes: symbol → [{ exchange, market, price, volume24h }]
+   */
+  getSnapshot() {
+    const now = Date.now();
+    if (this.snapshot && now - this.snapshotAt < SNAPSHOT_TTL_MS) return this.snapshot;
+
+    const quotes = new Map();
+    for (const exchange of SPREAD_EXCHANGES) {
+      for (const market of SPREAD_MARKETS) {
+        if (!priceWatcher.isFresh(exchange, market)) continue;
+        const volumes = this.volumes.get(`${exchange}|${market}`);
+        for (const [rawKey, value] of Object.entries(priceWatcher.getPriceMap(exchange, market))) {
+          const price = Number(value);
+          if (!Number.isFinite(price) || price <= 0) continue;
+          const symbol = this.canonicalSymbol(exchange, market, rawKey);
+          if (!symbol) continue;
+          let list = quotes.get(symbol);
+          if (!list) {
+            list = [];
+            quotes.set(symbol, list);
+          }
+          list.push({ exchange, market, price, volume24h: volumes?.get(symbol) ?? null });
+        }
+      }
+    }
+
+    this.snapshot = { updatedAt: now, quotes };
+    this.snapshotAt = now;
+    return this.snapshot;
+  }
+
+  /**
+   * Ranked spread rows.
+   * @param {Object} [options]
+   * @param {string} [options.mode='all'] - One of SPREAD_MODES
+   * @param {string[]} [options.exchanges] - Subset of SPREAD_EXCHANGES (default: all)
+   * @param {number} [options.minVolume=0] - Minimum 24h USD volume on both legs
+   * @param {number} [options.minSpread=0] - Minimum spread in percent
+   * @param {string[]} [options.symbols] - Canonical pairs to keep (default: all)
+   * @param {number} [options.limit=100]
+   * @returns {{ mode: string, updatedAt: number, volumesUpdatedAt: number, rows: Object[] }}
+   */
+  getSpreads({ mode = 'all', exchanges = null, minVolume = 0, minSpread = 0, symbols = null, limit = 100 } = {}) {
+    const exchangeSet = new Set(exchanges && exchanges.length > 0 ? exchanges : SPREAD_EXCHANGES);
+    const symbolSet = symbols && symbols.length > 0 ? new Set(symbols) : null;
+    const { updatedAt, quotes } = this.getSnapshot();
+    const rows = [];
+
+    const liquid = (quote) => minVolume <= 0 || (quote.volume24h != null && quote.volume24h >= minVolume);
+
+    for (const [symbol, allQuotes] of quotes.entries()) {
+      if (symbolSet && !symbolSet.has(symbol)) continue;
+      const usable = allQuotes.filter((quote) => exchangeSet.has(quote.exchange) && liquid(quote));
+
+      if (mode === 'basis') {
+        const byExchange = new Map();
+        for (const quote of usable) {
+          const legs = byExchange.get(quote.exchange) || {};
+          legs[quote.market] = quote;
+          byExchange.set(quote.exchange, legs);
+        }
+        for (const [exchange, legs] of byExchange.entries()) {
+          if (!legs.futures || !legs.spot) continue;
+          const basisPct = pctSpread(legs.spot.price, legs.futures.price);
+          const spreadPct = Math.abs(basisPct);
+          if (spreadPct < minSpread || spreadPct > MAX_SANE_SPREAD_PCT) continue;
+          const [buy, sell] = basisPct >= 0 ? [legs.spot, legs.futures] : [legs.futures, legs.spot];
+          rows.push({ symbol, exchange, spreadPct, basisPct, buy, sell, quotes: [legs.spot, legs.futures] });
+        }
+        continue;
+      }
+
+      const inMode = mode === 'all' ? usable : usable.filter((quote) => quote.market === mode);
+      const pair = widestCrossExchangePair(inMode);
+      if (!pair) continue;
+      const [buy, sell] = pair;
+      const spreadPct = pctSpread(buy.price, sell.price);
+      if (spreadPct < minSpread || spreadPct > MAX_SANE_SPREAD_PCT) continue;
+      rows.push({ symbol, spreadPct, buy, sell, quotes: inMode });
+    }
+
+    rows.sort((a, b) => b.spreadPct - a.spreadPct);
+    return {
+      mode,
+      updatedAt,
+      volumesUpdatedAt: this.volumesUpdatedAt,
+      rows: rows.slice(0, Math.max(1, Math.min(MAX_LIMIT, limit))),
+    };
+  }
+
+  getStatus() {
+    const feeds = {};
+    for (const exchange of SPREAD_EXCHANGES) {
+      feeds[exchange] = {};
+      for (const market of SPREAD_MARKETS) {
+        feeds[exchange][market] = {
+          fresh: priceWatcher.isFresh(exchange, market),
+          symbols: Object.keys(priceWatcher.getPriceMap(exchange, market)).length,
+        };
+      }
+    }
+    return {
+      active: this.refCount > 0,
+      warm: this.isWarm(),
+      consumers: this.refCount,
+      volumesUpdatedAt: this.volumesUpdatedAt,
+      feeds,
+    };
+  }
+}
+
+const spreadService = new SpreadService();
+spreadService.SPREAD_EXCHANGES = SPREAD_EXCHANGES;
+spreadService.SPREAD_MODES = SPREAD_MODES;
+spreadService.MAX_SANE_SPREAD_PCT = MAX_SANE_SPREAD_PCT;
+
+module.exports = spreadService;
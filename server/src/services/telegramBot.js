@@ -0,0 +1,351 @@
+/**
+ * Telegram bot commands and inline-keyboard actions for linked users.
+ *
+ * Shared by the polling loop (telegramPolling) and the webhook route
+ * (/api/telegram/webhook) so both modes behave the same.  The chat is resolved
+ * to a user through User.telegramChatId; unlinked chats get the connect
+ * instructions.
+ *
+ *   /alerts                        list alerts with short ids
+ *   /pause <id>, /resume <id>      toggle Alert.isActive
+ *   /delete <id>                   delete an alert
+ *   /price BTCUSDT [exchange] [spot|futures]
+ *   /alert BTCUSDT above 70000 [exchange] [spot|futures]
+ *   /mute 1h | 30m | 1d | off      pause all Telegram alerts for a while
+ *
+ * Trigger messages carry "Snooze 1h" / "Disable" buttons
+ * (telegramService.buildAlertKeyboard) whose callback data is
+ * `snooze:<alertId>:<seconds>` or `disable:<alertId>`.
+ */
+
+const prisma = require('../utils/prisma');
+const telegramService = require('./telegramService');
+const { fetchExchangePriceSnapshot } = require('./priceSourceResolver');
+const { getExchangeAdapter, getExchangeIds } = require('./exchangeAdapters');
+const { parseNotificationOptions } = require('./alertLimits');
+const {
+  clearInitialPrice,
+  refreshComplexAlertsCache,
+  refreshIndicatorAlerts,
+  refreshWallAlerts,
+  refreshListingAlerts,
+  refreshDerivativesAlerts,
+  refreshLiquidationAlerts,
+  refreshSpreadAlerts,
+} = require('./alertEngine');
+
+const SHORT_ID_LENGTH = 8;
+const MIN_ID_PREFIX = 4;
+const ALERTS_LIST_LIMIT = 20;
+const MAX_MUTE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const START_INSTRUCTIONS =
+  "To link your account: open the website → Telegram Bots page → click «Подключить» → then press Start in this chat when the link opens.";
+
+const HELP_TEXT = [
+  'Commands:',
+  '/alerts — list your alerts',
+  '/pause <id> — pause an alert',
+  '/resume <id> — resume an alert',
+  '/delete <id> — delete an alert',
+  '/price BTCUSDT [exchange] [spot|futures] — current price',
+  '/alert BTCUSDT above 70000 [exchange] [spot|futures] — new price alert',
+  '/mute 1h — mute Telegram alerts (30m, 4h, 1d, off)',
+].join('\n');
+
+const DEFAULT_CHANNELS = {
+  soundEnabled: true,
+  inAppPopupEnabled: true,
+  browserPushEnabled: true,
+  telegramEnabled: true,
+  emailEnabled: false,
+};
+
+function shortId(id) {
+  return String(id).slice(0, SHORT_ID_LENGTH);
+}
+
+function formatUtc(date) {
+  return `${new Date(date).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+/** "30m" / "1h" / "1d" / "90" (minutes) -> ms, or null */
+function parseDuration(value) {
+  const match = String(value || '').trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(m|min|h|d)?$/);
+  if (!match) return null;
+  const n = Number(match[1]);
+  const unitMs = { h: 3_600_000, d: 86_400_000 }[match[2]] || 60_000;
+  const ms = Math.round(n * unitMs);
+  return ms > 0 ? Math.min(ms, MAX_MUTE_MS) : null;
+}
+
+function describeAlert(alert) {
+  if (alert.name) return alert.name;
+  if (alert.alertType === 'price') return `${alert.coinSymbol} ${alert.condition} ${alert.targetValue}`;
+  return `${alert.alertType} alert`;
+}
+
+function refreshAlertCache(alertType) {
+  if (alertType === 'complex') setImmediate(() => refreshComplexAlertsCache());
+  if (alertType === 'indicator') setImmediate(() => refreshIndicatorAlerts());
+  if (alertType === 'wall') setImmediate(() => refreshWallAlerts());
+  if (alertType === 'listing') setImmediate(() => refreshListingAlerts());
+  if (alertType === 'derivatives') setImmediate(() => refreshDerivativesAlerts());
+  if (alertType === 'liquidation') setImmediate(() => refreshLiquidationAlerts());
+  if (alertType === 'spread') setImmediate(() => refreshSpreadAlerts());
+}
+
+function findLinkedUser(chatId) {
+  return prisma.user.findUnique({ where: { telegramChatId: String(chatId) } });
+}
+
+/**
+ * Resolve a full id or a short-id prefix among the user's alerts.
+ * @returns {Promise<{ alert?: object, error?: string }>}
+ */
+async function findUserAlert(userId, ref) {
+  const prefix = String(ref || '').trim().toLowerCase();
+  if (prefix.length < MIN_ID_PREFIX) {
+    return { error: 'Give the alert id from /alerts, e.g. /pause a1b2c3d4' };
+  }
+  const matches = await prisma.alert.findMany({
+    where: { userId, id: { startsWith: prefix } },
+    take: 2,
+  });
+  if (matches.length === 0) return { error: `No alert with id ${prefix}. See /alerts.` };
+  if (matches.length > 1) return { error: `Id ${prefix} matches several alerts — use more characters.` };
+  return { alert: matches[0] };
+}
+
+/** Optional trailing "[exchange] [spot|futures]" arguments. */
+function parseVenue(args) {
+  let exchange = 'binance';
+  let market = 'futures';
+  for (const arg of args) {
+    const value = String(arg).toLowerCase();
+    if (value === 'spot' || value === 'futures') market = value;
+    else if (getExchangeIds().includes(value)) exchange = value;
+    else return { error: `Unknown exchange or market: ${arg}` };
+  }
+  const adapter = getExchangeAdapter(exchange);
+  if (!adapter.markets.includes(market)) return { error: `${adapter.name} has no ${market} market` };
+  return { exchange, market };
+}
+
+// ---------------------------------------------------------------------------
+// Commands
+// ---------------------------------------------------------------------------
+
+async function cmdAlerts(user) {
+  const [alerts, total] = await Promise.all([
+    prisma.alert.findMany({
+      where: { userId: user.id },
+      orderBy: { createdAt: 'desc' },
+      take: ALERTS_LIST_LIMIT,
+    }),
+    prisma.alert.count({ where: { userId: user.id } }),
+  ]);
+  if (alerts.length === 0) return 'You have no alerts yet. Create one with /alert BTCUSDT above 70000.';
+
+  const now = Date.now();
+  const lines = alerts.map((alert) => {
+    const snoozedUntil = parseNotificationOptions(alert.notificationOptions).snoozedUntil;
+    const snoozed = snoozedUntil && new Date(snoozedUntil).getTime() > now;
+    const status = !alert.isActive ? '⏸' : snoozed ? '💤' : '🟢';
+    return `${status} ${shortId(alert.id)}  ${describeAlert(alert)} · ${alert.exchange} ${alert.market}`;
+  });
+  const header = total > alerts.length ? `Your alerts (latest ${alerts.length} of ${total}):` : 'Your alerts:';
+  return `${header}\n${lines.join('\n')}\n\n/pause <id> · /resume <id> · /delete <id>`;
+}
+
+async function cmdSetActive(user, ref, isActive) {
+  const { alert, error } = await findUserAlert(user.id, ref);
+  if (error) return error;
+  if (alert.isActive === isActive) {
+    return `${describeAlert(alert)} is already ${isActive ? 'active' : 'paused'}.`;
+  }
+  await prisma.alert.update({ where: { id: alert.id }, data: { isActive } });
+  refreshAlertCache(alert.alertType);
+  return `${isActive ? '▶️ Resumed' : '⏸ Paused'}: ${describeAlert(alert)}`;
+}
+
+async function cmdDelete(user, ref) {
+  const { alert, error } = await findUserAlert(user.id, ref);
+  if (error) return error;
+  await prisma.alert.delete({ where: { id: alert.id } });
+  if (alert.condition === 'pct_change') clearInitialPrice(alert.id);
+  refreshAlertCache(alert.alertType);
+  return `🗑 Deleted: ${describeAlert(alert)}`;
+}
+
+async function cmdPrice(args) {
+  const [symbol, ...rest] = args;
+  if (!symbol) return 'Usage: /price BTCUSDT [exchange] [spot|futures]';
+  const venue = parseVenue(rest);
+  if (venue.error) return venue.error;
+
+  const snapshot = await fetchExchangePriceSnapshot({
+    exchange: venue.exchange,
+    market: venue.market,
+    symbol,
+    strict: false,
+    exchangeOnly: true,
+  });
+  if (!snapshot?.ok || !Number.isFinite(Number(snapshot.price))) {
+    return `Could not get a price for ${symbol.toUpperCase()} on ${venue.exchange} ${venue.market}.`;
+  }
+  return `${snapshot.symbol || symbol.toUpperCase()} (${venue.exchange} ${snapshot.resolvedMarket || venue.market}): ${Number(snapshot.price)}`;
+}
+
+async function cmdCreateAlert(user, args) {
+  const [symbolRaw, directionRaw, targetRaw, ...rest] = args;
+  const direction = { above: 'above', '>': 'above', below: 'below', '<': 'below' }[String(directionRaw || '').toLowerCase()];
+  const targetValue = Number(String(targetRaw || '').replace(',', '.'));
+  if (!symbolRaw || !direction || !Number.isFinite(targetValue) || targetValue <= 0) {
+    return 'Usage: /alert BTCUSDT above 70000 [exchange] [spot|futures]';
+  }
+  const venue = parseVenue(rest);
+  if (venue.error) return venue.error;
+
+  const snapshot = await fetchExchangePriceSnapshot({
+    exchange: venue.exchange,
+    market: venue.market,
+    symbol: symbolRaw,
+    strict: true,
+  });
+  const initialPrice = Number(snapshot?.price);
+  if (!snapshot?.ok || !Number.isFinite(initialPrice) || initialPrice <= 0) {
+    return `Could not get a price for ${symbolRaw.toUpperCase()} on ${venue.exchange} ${venue.market}, alert not created.`;
+  }
+
+  // Same rule as the website: direction follows the current price.
+  const condition = initialPrice > targetValue ? 'below' : 'above';
+  const symbol = snapshot.symbol || symbolRaw.toUpperCase();
+  if (condition !== direction) {
+    return `${symbol} is already ${direction} ${targetValue} (now ${initialPrice}). Alert not created.`;
+  }
+
+  const coinSymbol = symbol.replace(/USDT$/i, '').replace(/USD$/i, '') || symbol;
+  const market = snapshot.resolvedMarket || venue.market;
+  const alert = await prisma.alert.create({
+    data: {
+      userId: user.id,
+      name: `${symbol} ${condition} ${targetValue}`,
+      exchange: venue.exchange,
+      market,
+      alertType: 'price',
+      symbols: JSON.stringify([symbol]),
+      notificationOptions: JSON.stringify({ channels: DEFAULT_CHANNELS }),
+      coinId: coinSymbol.toLowerCase(),
+      coinSymbol,
+      condition,
+      targetValue,
+      initialPrice,
+      isActive: true,
+      triggered: false,
+    },
+  });
+  return `✅ Alert ${shortId(alert.id)} created: ${symbol} ${condition} ${targetValue} on ${venue.exchange} ${market} (now ${initialPrice}).`;
+}
+
+async function cmdMute(user, args) {
+  const arg = String(args[0] || '1h').toLowerCase();
+  if (arg === 'off' || arg === '0') {
+    await prisma.user.update({ where: { id: user.id }, data: { telegramMutedUntil: null } });
+    return '🔔 Telegram alerts unmuted.';
+  }
+  const durationMs = parseDuration(arg);
+  if (!durationMs) return 'Usage: /mute 1h (or 30m, 4h, 1d, off)';
+  const until = new Date(Date.now() + durationMs);
+  await prisma.user.update({ where: { id: user.id }, data: { telegramMutedUntil: until } });
+  return `🔕 Telegram alerts muted until ${formatUtc(until)}. Alerts still show on the website. /mute off to undo.`;
+}
+
+/**
+ * Handle a bot command from a message.  /start is left to the connect flow.
+ * @param {object} message - Telegram Message
+ * @returns {Promise<boolean>} true when the message was a command handled here
+ */
+async function handleCommand(message) {
+  const text = String(message?.text || '').trim();
+  const chatId = message?.chat?.id;
+  if (!text.startsWith('/') || chatId == null) return false;
+
+  const [rawCommand, ...args] = text.split(/\s+/);
+  const command = rawCommand.slice(1).split('@')[0].toLowerCase();
+  if (command === 'start') return false;
+
+  let reply;
+  try {
+    const user = await findLinkedUser(chatId);
+    if (!user) {
+      reply = START_INSTRUCTIONS;
+    } else if (command === 'alerts') {
+      reply = await cmdAlerts(user);
+    } else if (command === 'pause') {
+      reply = await cmdSetActive(user, args[0], false);
+    } else if (command === 'resume') {
+      reply = await cmdSetActive(user, args[0], true);
+    } else if (command === 'delete') {
+      reply = await cmdDelete(user, args[0]);
+    } else if (command === 'price') {
+      reply = await cmdPrice(args);
+    } else if (command === 'alert') {
+      reply = await cmdCreateAlert(user, args);
+    } else if (command === 'mute') {
+      reply = await cmdMute(user, args);
+    } else {
+      reply = HELP_TEXT;
+    }
+  } catch (err) {
+    console.error(`[telegramBot] /${command} failed:`, err.message);
+    reply = 'Something went wrong, please try again.';
+  }
+  await telegramService.sendMessage(chatId, reply);
+  return true;
+}
+
+/**
+ * Handle an inline-keyboard press on a trigger message.
+ * @param {object} callbackQuery - Telegram CallbackQuery
+ */
+async function handleCallbackQuery(callbackQuery) {
+  const chatId = callbackQuery?.message?.chat?.id;
+  const messageId = callbackQuery?.message?.message_id;
+  const [action, alertId, secondsRaw] = String(callbackQuery?.data || '').split(':');
+
+  let answer = 'Unknown action';
+  try {
+    const user = chatId != null ? await findLinkedUser(chatId) : null;
+    const alert = user && alertId ? await prisma.alert.findUnique({ where: { id: alertId } }) : null;
+    if (!user) {
+      answer = 'This chat is not linked to an account';
+    } else if (!alert || alert.userId !== user.id) {
+      answer = 'Alert not found';
+    } else if (action === 'disable') {
+      await prisma.alert.update({ where: { id: alert.id }, data: { isActive: false } });
+      refreshAlertCache(alert.alertType);
+      await telegramService.editMessageReplyMarkup(chatId, messageId, null);
+      answer = `Disabled: ${describeAlert(alert)}`;
+    } else if (action === 'snooze') {
+      const seconds = Number.parseInt(secondsRaw, 10) || telegramService.DEFAULT_SNOOZE_SEC;
+      const until = new Date(Date.now() + Math.min(seconds * 1000, MAX_MUTE_MS));
+      const options = parseNotificationOptions(alert.notificationOptions);
+      await prisma.alert.update({
+        where: { id: alert.id },
+        data: { notificationOptions: JSON.stringify({ ...options, snoozedUntil: until.toISOString() }) },
+      });
+      refreshAlertCache(alert.alertType);
+      answer = `Snoozed until ${formatUtc(until)}`;
+    }
+  } catch (err) {
+    console.error('[telegramBot] callback failed:', err.message);
+    answer = 'Something went wrong';
+  }
+  await telegramService.answerCallbackQuery(callbackQuery?.id, answer);
+}
+
+module.exports = {
+  handleCommand,
+  handleCallbackQuery,
+};
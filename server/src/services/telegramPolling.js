@@ -1,9 +1,11 @@
 /**
  * Long-polling for Telegram Updates when TELEGRAM_WEBHOOK_URL is not set.
- * Processes /start CONNECT_<token> the same way as the webhook to link users.
+ * Processes /start CONNECT_<token> the same way as the webhook to link users;
+ * other commands and inline-button presses go to telegramBot.
  * Telegram allows either webhook or getUpdates, not both.
  */
 const telegramService = require('./telegramService');
+const telegramBot = require('./telegramBot');
 
 const GET_UPDATES_TIMEOUT_SEC = 30;
 let pollingLoopPromise = null;
@@ -16,16 +18,22 @@ const START_INSTRUCTIONS =
 /**
  * Process a single Telegram Update: if message.text is /start CONNECT_<token>, consume token and link user.
  * If /start without token, reply with instructions so user gets a response and knows how to link.
+ * Other commands and callback queries are handled by telegramBot.
  * @param {object} update - Telegram Update object
  */
 async function processUpdate(update) {
   if (!update || !telegramService.hasTelegramBot()) return;
+  if (update.callback_query) {
+    await telegramBot.handleCallbackQuery(update.callback_query);
+    return;
+  }
   const message = update.message || update.edited_message;
   if (!message || !message.text) return;
 
   const text = String(message.text).trim();
   const chatId = message.chat && message.chat.id;
   if (chatId == null) return;
+  if (await telegramBot.handleCommand(message)) return;
 
   const match = text.match(/^\/start\s+CONNECT_(.+)$/);
   if (!match) {
@@ -3,14 +3,41 @@ const prisma = require('../utils/prisma');
 
 const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 const TELEGRAM_BOT_USERNAME = process.env.TELEGRAM_BOT_USERNAME;
+const TELEGRAM_WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET;
 
 const CONNECT_TOKEN_TTL_MINUTES = 15;
+const DEFAULT_SNOOZE_SEC = 60 * 60;
 let cachedBotUsername = null;
 
 function hasTelegramBot() {
   return Boolean(TELEGRAM_BOT_TOKEN && TELEGRAM_BOT_TOKEN.trim());
 }
 
+/**
+ * Secret Telegram echoes in X-Telegram-Bot-Api-Secret-Token on every webhook
+ * call: TELEGRAM_WEBHOOK_SECRET, or derived from the bot token so every
+ * instance agrees without extra config. Null without a bot.
+ * @returns {string|null}
+ */
+function getWebhookSecret() {
+  if (TELEGRAM_WEBHOOK_SECRET && TELEGRAM_WEBHOOK_SECRET.trim()) return TELEGRAM_WEBHOOK_SECRET.trim();
+  if (!hasTelegramBot()) return null;
+  return crypto.createHmac('sha256', TELEGRAM_BOT_TOKEN.trim()).update('telegram-webhook').digest('hex');
+}
+
+/**
+ * Whether a webhook request carries our secret token (constant-time compare).
+ * @param {string|undefined} headerValue
+ * @returns {boolean}
+ */
+function isValidWebhookSecret(headerValue) {
+  const secret = getWebhookSecret();
+  if (!secret || typeof headerValue !== 'string') return false;
+  const expected = Buffer.from(secret);
+  const received = Buffer.from(headerValue);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
 /**
  * Get bot username: from env, or from Telegram getMe (cached).
  * @returns {Promise<string|null>}
@@ -105,33 +132,87 @@ async function unlinkUserTelegram(userId) {
 }
 
 /**
- * Send a text message to a Telegram chat. Logs errors; does not throw.
- * @param {string} chatId
- * @param {string} text
+ * Call a Bot API method with a JSON body. Logs errors; does not throw.
+ * @returns {Promise<object|null>} the `result` field, or null on failure
  */
-async function sendMessage(chatId, text) {
-  if (!hasTelegramBot()) return;
-  if (!chatId || text == null) return;
-  const url = `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/sendMessage`;
+async function callBotApi(method, body) {
+  if (!hasTelegramBot()) return null;
+  const url = `https://api.telegram.org/bot${TELEGRAM_BOT_TOKEN}/${method}`;
   try {
     const res = await fetch(url, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        chat_id: String(chatId),
-        text: String(text),
-      }),
+      body: JSON.stringify(body),
     });
     const data = await res.json().catch(() => ({}));
     if (!data.ok) {
       const msg = data.description ? ` ${data.description}` : '';
-      console.warn('[telegramService] sendMessage error:', res.status, msg, data);
+      console.warn(`[telegramService] ${method} error:`, res.status, msg, data);
+      return null;
     }
+    return data.result ?? true;
   } catch (err) {
-    console.error('[telegramService] sendMessage failed:', err.message);
+    console.error(`[telegramService] ${method} failed:`, err.message);
+    return null;
   }
 }
 
+/**
+ * Send a text message to a Telegram chat. Logs errors; does not throw.
+ * @param {string} chatId
+ * @param {string} text
+ * @param {{ replyMarkup?: object }} [options] - replyMarkup e.g. { inline_keyboard: [[...]] }
+ * @returns {Promise<boolean>} true when Telegram accepted the message
+ */
+async function sendMessage(chatId, text, options = {}) {
+  if (!hasTelegramBot()) return false;
+  if (!chatId || text == null) return false;
+  const result = await callBotApi('sendMessage', {
+    chat_id: String(chatId),
+    text: String(text),
+    ...(options.replyMarkup ? { reply_markup: options.replyMarkup } : {}),
+  });
+  return result != null;
+}
+
+/**
+ * Acknowledge an inline-keyboard press (stops the button spinner; optional toast text).
+ */
+async function answerCallbackQuery(callbackQueryId, text) {
+  if (!callbackQueryId) return false;
+  const result = await callBotApi('answerCallbackQuery', {
+    callback_query_id: String(callbackQueryId),
+    ...(text ? { text: String(text) } : {}),
+  });
+  return result != null;
+}
+
+/**
+ * Replace (or with null, remove) the inline keyboard of a sent message.
+ */
+async function editMessageReplyMarkup(chatId, messageId, replyMarkup = null) {
+  if (!chatId || messageId == null) return false;
+  const result = await callBotApi('editMessageReplyMarkup', {
+    chat_id: String(chatId),
+    message_id: messageId,
+    reply_markup: replyMarkup || { inline_keyboard: [] },
+  });
+  return result != null;
+}
+
+/**
+ * Inline keyboard for alert trigger messages; presses are handled by telegramBot.handleCallbackQuery.
+ * @param {string} alertId
+ */
+function buildAlertKeyboard(alertId) {
+  return {
+    inline_keyboard: [[
+      { text: '💤 Snooze 1h', callback_data: `snooze:${alertId}:${DEFAULT_SNOOZE_SEC}` },
+      { text: '⛔ Disable', callback_data: `disable:${alertId}` },
+    ]],
+  };
+}
+
 /**
  * Delete the webhook. Required when using getUpdates (polling) - Telegram sends updates to only one destination.
  * @returns {Promise<boolean>} true if delete succeeded or no webhook was set
@@ -165,7 +246,11 @@ async function setWebhook(webhookUrl) {
     const res = await fetch(url, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ url: webhookUrl }),
+      body: JSON.stringify({
+        url: webhookUrl,
+        secret_token: getWebhookSecret(),
+        allowed_updates: ['message', 'edited_message', 'callback_query'],
+      }),
     });
     const data = await res.json().catch(() => ({}));
     if (data.ok) {
@@ -178,14 +263,39 @@ async function setWebhook(webhookUrl) {
   }
 }
 
+/**
+ * Publish the bot command menu shown in Telegram clients (see telegramBot).
+ */
+async function setMyCommands() {
+  const result = await callBotApi('setMyCommands', {
+    commands: [
+      { command: 'alerts', description: 'List your alerts' },
+      { command: 'pause', description: 'Pause an alert: /pause <id>' },
+      { command: 'resume', description: 'Resume an alert: /resume <id>' },
+      { command: 'delete', description: 'Delete an alert: /delete <id>' },
+      { command: 'price', description: 'Current price: /price BTCUSDT' },
+      { command: 'alert', description: 'New price alert: /alert BTCUSDT above 70000' },
+      { command: 'mute', description: 'Mute Telegram alerts: /mute 1h' },
+    ],
+  });
+  return result != null;
+}
+
 module.exports = {
+  DEFAULT_SNOOZE_SEC,
   hasTelegramBot,
+  getWebhookSecret,
+  isValidWebhookSecret,
   getBotUsername,
   createConnectToken,
   consumeConnectToken,
   linkUserTelegram,
   unlinkUserTelegram,
   sendMessage,
+  answerCallbackQuery,
+  editMessageReplyMarkup,
+  buildAlertKeyboard,
   deleteWebhook,
   setWebhook,
+  setMyCommands,
 };
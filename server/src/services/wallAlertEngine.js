@@ -0,0 +1,322 @@
+/**
+ * Wall Alert Engine — order-book wall alerts driven by the density scanner.
+ *
+ * DensityScannerService feeds every scan into its WallTracker, which emits a
+ * 'scan' event with the walls seen in that scan and the walls that went
+ * missing.  For each active wall alert on that exchange+market the engine
+ * keeps the set of walls that qualified (side, size, distance, age) and fires:
+ *
+ *   • appeared    — a wall starts to qualify,
+ *   • approaching — a qualified wall comes within approachPct of mid,
+ *   • removed     — a qualified wall disappears from the book
+ *                   (likelyFilled when price was at the wall, i.e. eaten).
+ *
+ * The first scan after an alert is loaded only seeds its wall set, so walls
+ * that already existed (or were restored from the tracker snapshot) do not
+ * fire.  Fires go through the caller's onTriggered (socket + Telegram + email
+ * + AlertTrigger log in alertEngine).
+ *
+ * Runs only on the engine instance that holds the worker lease.
+ */
+
+const prisma = require('../utils/prisma');
+const densityScannerService = require('./densityScanner');
+const {
+  MAX_WALL_SYMBOLS,
+  normalizeWallCondition,
+  isWallInRange,
+  isWallQualified,
+  describeWallEvent,
+} = require('./wallConditions');
+const {
+  parseSymbols,
+  normalizeNotificationOptions,
+  getAlertLimits,
+  isAlertExpired,
+  isAlertSnoozed,
+  hasFiresLeft,
+  fireLimitedAlert,
+} = require('./alertLimits');
+
+const CACHE_REFRESH_MS = 30_000;
+const DEFAULT_WALL_COOLDOWN_SEC = 60; // per alert + symbol + event, unless the alert sets its own
+const MAX_FIRES_PER_SCAN = 5; // per alert — an "all symbols" alert must not flood the user
+const TRACKED_WALL_TTL_MS = 15 * 60 * 1000; // drop walls the tracker forgot without a removal event
+const APPROACH_REARM_FACTOR = 1.5; // price must back off to 1.5× approachPct before re-firing
+
+let running = false;
+let hooks = { onTriggered: async () => {}, log: () => {} };
+let refreshTimer = null;
+
+// Each entry: { id, userId, name, description, exchange, market, symbols[] (empty = all),
+//               condition, limits }
+let wallAlertsCache = [];
+
+// Map(alertId -> { signature, seeded, walls: Map(wallId -> { wall, approached, lastSeenAt }) })
+const alertStates = new Map();
+
+// Map(`${alertId}|${symbol}|${event}` -> firedAt)
+const lastFires = new Map();
+
+// ---------------------------------------------------------------------------
+// Scan handling
+// ---------------------------------------------------------------------------
+
+/** WallTracker 'scan' listener — runs synchronously inside the scanner loop, must not throw. */
+function handleScan(scan) {
+  if (!running || !scan) return;
+  try {
+    for (const alert of wallAlertsCache) {
+      if (alert.exchange !== scan.exchange || alert.market !== scan.market) continue;
+      processAlertScan(alert, scan);
+    }
+  } catch (err) {
+    hooks.log('error', 'wall.scan.error', {
+      exchange: scan.exchange,
+      market: scan.market,
+      message: err?.message || String(err),
+    });
+  }
+}
+
+function processAlertScan(alert, scan) {
+  const state = alertStates.get(alert.id);
+  if (!state) return;
+  const { condition } = alert;
+  const inScope = (wall) => alert.symbols.length === 0 || alert.symbols.includes(wall.symbol);
+  const candidates = [];
+
+  for (const wall of scan.walls) {
+    if (!wall.id || !inScope(wall)) continue;
+    const distance = Math.abs(Number(wall.percentFromMid));
+    const tracked = state.walls.get(wall.id);
+
+    if (!tracked) {
+      if (!isWallQualified(condition, wall)) continue;
+      const near = distance <= condition.approachPct;
+      state.walls.set(wall.id, { wall, approached: near, lastSeenAt: scan.at });
+      candidates.push({ event: 'appeared', wall });
+      if (near && !condition.events.includes('appeared')) candidates.push({ event: 'approaching', wall });
+      continue;
+    }
+
+    // A tracked wall stays tracked while it is in range even if it shrinks
+    // below minSizeUsd — that is usually the wall being eaten.
+    if (!isWallInRange(condition, wall)) {
+      state.walls.delete(wall.id);
+      continue;
+    }
+    tracked.wall = wall;
+    tracked.lastSeenAt = scan.at;
+    if (!tracked.approached && distance <= condition.approachPct) {
+      tracked.approached = true;
+      candidates.push({ event: 'approaching', wall });
+    } else if (tracked.approached && distance > condition.approachPct * APPROACH_REARM_FACTOR) {
+      tracked.approached = false;
+    }
+  }
+
+  for (const removed of scan.removed) {
+    const tracked = state.walls.get(removed.id);
+    if (!tracked) continue;
+    state.walls.delete(removed.id);
+    const lastDistance = Math.abs(Number(tracked.wall.percentFromMid));
+    candidates.push({
+      event: 'removed',
+      wall: { ...tracked.wall, likelyFilled: lastDistance <= condition.approachPct },
+    });
+  }
+
+  for (const [wallId, tracked] of state.walls) {
+    if (scan.at - tracked.lastSeenAt > TRACKED_WALL_TTL_MS) state.walls.delete(wallId);
+  }
+
+  const seeding = !state.seeded;
+  state.seeded = true;
+  if (seeding || isAlertExpired(alert.limits, scan.at) || isAlertSnoozed(alert.limits, scan.at)) return;
+
+  const cooldownMs = (alert.limits.cooldownSec || DEFAULT_WALL_COOLDOWN_SEC) * 1000;
+  let budget = MAX_FIRES_PER_SCAN;
+  let suppressed = 0;
+  for (const { event, wall } of candidates) {
+    if (!condition.events.includes(event)) continue;
+    const fireKey = `${alert.id}|${wall.symbol}|${event}`;
+    const previous = lastFires.get(fireKey);
+    if (previous && scan.at - previous < cooldownMs) continue;
+    if (budget <= 0) {
+      suppressed += 1;
+      continue;
+    }
+    budget -= 1;
+    lastFires.set(fireKey, scan.at);
+    setImmediate(() => fireWallAlert(alert, event, wall));
+  }
+  if (suppressed > 0) {
+    hooks.log('info', 'wall.fires.capped', { alertId: alert.id, suppressed, limit: MAX_FIRES_PER_SCAN });
+  }
+}
+
+async function fireWallAlert(alert, event, wall) {
+  try {
+    const updatedAlert = await fireLimitedAlert(alert, () => {
+      wallAlertsCache = wallAlertsCache.filter((a) => a.id !== alert.id);
+      alertStates.delete(alert.id);
+      hooks.log('info', 'wall.deactivate', { alertIds: [alert.id], reason: 'max_fires' });
+    });
+    if (!updatedAlert) return;
+
+    const payload = {
+      id: updatedAlert.id,
+      alertId: updatedAlert.id,
+      name: updatedAlert.name,
+      description: updatedAlert.description ?? null,
+      triggered: true,
+      triggeredAt: updatedAlert.triggeredAt,
+      alertType: 'wall',
+      exchange: alert.exchange,
+      market: alert.market,
+      symbol: wall.symbol,
+      currentPrice: wall.midPrice,
+      wallEvent: event,
+      wall: {
+        side: wall.side,
+        price: wall.price,
+        volumeUSD: wall.volumeUSD,
+        percentFromMid: wall.percentFromMid,
+        wallAgeMs: wall.wallAgeMs,
+        likelyFilled: Boolean(wall.likelyFilled),
+      },
+      conditionText: describeWallEvent(event, wall),
+      fireCount: updatedAlert.fireCount,
+      notificationOptions: normalizeNotificationOptions(updatedAlert.notificationOptions),
+    };
+
+    await hooks.onTriggered(updatedAlert, payload);
+  } catch (err) {
+    hooks.log('error', 'trigger.wall.fire.error', {
+      alertId: alert.id,
+      symbol: wall.symbol,
+      event,
+      message: err?.message || String(err),
+    });
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Alert cache
+// ---------------------------------------------------------------------------
+
+async function refreshWallAlerts() {
+  if (!running) return;
+  try {
+    const alerts = await prisma.alert.findMany({
+      where: { isActive: true, alertType: 'wall' },
+    });
+
+    const newCache = [];
+    const exhaustedIds = [];
+    for (const a of alerts) {
+      const limits = getAlertLimits(a.notificationOptions);
+      if (isAlertExpired(limits) || !hasFiresLeft(limits, a.fireCount)) {
+        exhaustedIds.push(a.id);
+        continue;
+      }
+      const condition = normalizeWallCondition(a.conditions);
+      if (!condition) continue;
+      const symbols = Array.from(new Set(
+        parseSymbols(a.symbols).map((s) => String(s || '').toUpperCase().trim()).filter(Boolean)
+      )).slice(0, MAX_WALL_SYMBOLS);
+
+      newCache.push({
+        id: a.id,
+        userId: a.userId,
+        name: a.name,
+        description: a.description ?? null,
+        exchange: (a.exchange || 'binance').toLowerCase(),
+        market: (a.market || 'futures').toLowerCase() === 'spot' ? 'spot' : 'futures',
+        symbols,
+        condition,
+        limits,
+      });
+    }
+
+    if (exhaustedIds.length > 0) {
+      await prisma.alert.updateMany({
+        where: { id: { in: exhaustedIds }, isActive: true },
+        data: { isActive: false },
+      });
+      hooks.log('info', 'wall.deactivate', { alertIds: exhaustedIds, reason: 'expired_or_max_fires' });
+    }
+    if (!running) return;
+
+    wallAlertsCache = newCache;
+    syncAlertStates();
+
+    hooks.log('info', 'wall.cache.refresh', { count: newCache.length });
+  } catch (err) {
+    hooks.log('error', 'wall.cache.refresh.error', { message: err?.message || String(err) });
+  }
+}
+
+/** Keep wall sets of unchanged alerts; edited alerts re-seed on their next scan. */
+function syncAlertStates() {
+  const alertIds = new Set();
+  for (const alert of wallAlertsCache) {
+    alertIds.add(alert.id);
+    const signature = JSON.stringify([alert.exchange, alert.market, alert.symbols, alert.condition]);
+    const state = alertStates.get(alert.id);
+    if (state && state.signature === signature) continue;
+    alertStates.set(alert.id, { signature, seeded: false, walls: new Map() });
+  }
+
+  for (const alertId of alertStates.keys()) {
+    if (!alertIds.has(alertId)) alertStates.delete(alertId);
+  }
+  for (const key of lastFires.keys()) {
+    if (!alertIds.has(key.split('|')[0])) lastFires.delete(key);
+  }
+}
+
+function startWallAlerts(options = {}) {
+  if (running) return;
+  hooks = {
+    onTriggered: options.onTriggered || (async () => {}),
+    log: options.log || (() => {}),
+  };
+  running = true;
+  densityScannerService.wallTracker.on('scan', handleScan);
+  refreshWallAlerts();
+  refreshTimer = setInterval(() => refreshWallAlerts(), CACHE_REFRESH_MS);
+  hooks.log('info', 'wall.loop.start');
+}
+
+function stopWallAlerts() {
+  if (!running) return;
+  running = false;
+  densityScannerService.wallTracker.off('scan', handleScan);
+  if (refreshTimer) {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+  }
+  alertStates.clear();
+  lastFires.clear();
+  wallAlertsCache = [];
+  hooks.log('info', 'wall.loop.stop');
+}
+
+function getWallStatus() {
+  let trackedWalls = 0;
+  for (const state of alertStates.values()) trackedWalls += state.walls.size;
+  return {
+    running,
+    alerts: wallAlertsCache.length,
+    trackedWalls,
+  };
+}
+
+module.exports = {
+  startWallAlerts,
+  stopWallAlerts,
+  refreshWallAlerts,
+  getWallStatus,
+};
@@ -0,0 +1,121 @@
+/**
+ * Order-book wall alert conditions.
+ *
+ * Alert.conditions for alertType 'wall' holds one condition:
+ *
+ *   {
+ *     events: ['appeared', 'removed', 'approaching'],  any non-empty subset
+ *     side: 'both' | 'bid' | 'ask',
+ *     minSizeUsd,       wall notional, at least the scanner floor ($50K)
+ *     maxDistancePct,   |distance from mid| the wall must be within
+ *     minAgeSec,        how long the wall must have persisted to count
+ *     approachPct,      'approaching' fires when price comes this close
+ *   }
+ *
+ * Scope (exchange, market, symbols) lives on the Alert row; an empty symbol
+ * list watches every symbol the density scanner covers.
+ */
+
+const WALL_EVENTS = ['appeared', 'removed', 'approaching'];
+const WALL_SIDES = ['both', 'bid', 'ask'];
+const MIN_WALL_SIZE_USD = 50_000; // DensityScannerService DEFAULT_MIN_WALL_SIZE
+const MAX_WALL_DISTANCE_PCT = 10; // DensityScannerService DEFAULT_DEPTH
+const MAX_WALL_AGE_SEC = 24 * 60 * 60;
+const MAX_WALL_SYMBOLS = 50;
+
+function toNumber(value, fallback) {
+  if (value == null || value === '') return fallback;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Validate a stored/incoming condition (object or JSON string).
+ * @returns {object|null} normalized condition, or null when invalid
+ */
+function normalizeWallCondition(raw) {
+  let cond = raw;
+  if (typeof raw === 'string') {
+    try {
+      cond = JSON.parse(raw);
+    } catch {
+      return null;
+    }
+  }
+  if (Array.isArray(cond)) cond = cond[0];
+  if (!cond || typeof cond !== 'object') return null;
+
+  const events = Array.from(new Set(
+    (Array.isArray(cond.events) ? cond.events : []).map((e) => String(e || '').toLowerCase())
+  )).filter((e) => WALL_EVENTS.includes(e));
+  if (events.length === 0) return null;
+
+  const side = String(cond.side || 'both').toLowerCase();
+  if (!WALL_SIDES.includes(side)) return null;
+
+  const minSizeUsd = toNumber(cond.minSizeUsd, 500_000);
+  const maxDistancePct = toNumber(cond.maxDistancePct, 2);
+  const minAgeSec = toNumber(cond.minAgeSec, 60);
+  if (minSizeUsd == null || minSizeUsd < MIN_WALL_SIZE_USD) return null;
+  if (maxDistancePct == null || maxDistancePct <= 0 || maxDistancePct > MAX_WALL_DISTANCE_PCT) return null;
+  if (minAgeSec == null || !Number.isInteger(minAgeSec) || minAgeSec < 0 || minAgeSec > MAX_WALL_AGE_SEC) return null;
+
+  const approachPct = toNumber(cond.approachPct, Math.min(0.5, maxDistancePct));
+  if (approachPct == null || approachPct <= 0 || approachPct > maxDistancePct) return null;
+
+  return { events, side, minSizeUsd, maxDistancePct, minAgeSec, approachPct };
+}
+
+function sideMatches(condition, wall) {
+  if (condition.side === 'both') return true;
+  return String(wall.side || '').toLowerCase() === condition.side;
+}
+
+/** Wall is inside the alert's side / distance window (size and age aside). */
+function isWallInRange(condition, wall) {
+  return sideMatches(condition, wall) && Math.abs(Number(wall.percentFromMid)) <= condition.maxDistancePct;
+}
+
+/** Wall satisfies every threshold of the condition. */
+function isWallQualified(condition, wall) {
+  return (
+    isWallInRange(condition, wall) &&
+    Number(wall.volumeUSD) >= condition.minSizeUsd &&
+    Number(wall.wallAgeMs) >= condition.minAgeSec * 1000
+  );
+}
+
+function formatUsd(value) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return '$—';
+  if (n >= 1e6) return `$${(n / 1e6).toFixed(2)}M`;
+  if (n >= 1e3) return `$${(n / 1e3).toFixed(0)}K`;
+  return `$${n.toFixed(0)}`;
+}
+
+/**
+ * Short description of a fired wall event, e.g.
+ * "BID wall $1.20M at 64000 (0.85% from mid) appeared".
+ */
+function describeWallEvent(event, wall) {
+  if (!wall) return `Wall ${event}`;
+  const pct = Number(wall.percentFromMid);
+  const pctStr = Number.isFinite(pct) ? ` (${Math.abs(pct).toFixed(2)}% from mid)` : '';
+  const what = {
+    appeared: 'appeared',
+    removed: wall.likelyFilled ? 'was eaten' : 'was pulled',
+    approaching: 'is being approached by price',
+  }[event] || event;
+  return `${wall.side} wall ${formatUsd(wall.volumeUSD)} at ${wall.price}${pctStr} ${what}`;
+}
+
+module.exports = {
+  WALL_EVENTS,
+  WALL_SIDES,
+  MIN_WALL_SIZE_USD,
+  MAX_WALL_SYMBOLS,
+  normalizeWallCondition,
+  isWallInRange,
+  isWallQualified,
+  describeWallEvent,
+};
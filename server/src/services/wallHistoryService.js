@@ -0,0 +1,306 @@
+/**
+ * Wall History
+ * Records the lifecycle of order-book walls in Postgres (WallEvent) so the
+ * density screener can show how long a wall lived, how often it was refilled
+ * and whether price bounced off it — WallTracker itself forgets a wall
+ * STALE_WALL_TTL_MS after it disappears.
+ *
+ * Every WallTracker 'scan' is turned into events for walls of at least
+ * MIN_WALL_USD:
+ *   appeared     — wall enters history (new wall, or grew past MIN_WALL_USD)
+ *   resized      — size changed by SIZE_CHANGE_RATIO with price away from it
+ *   partial_fill — shrank by SIZE_CHANGE_RATIO while price was at the wall
+ *   refilled     — grew back by SIZE_CHANGE_RATIO after a partial fill
+ *   touched      — price came within TOUCH_PCT of the wall
+ *   bounced      — after a touch, price moved BOUNCE_PCT away and the wall held
+ *   filled       — removed while price was at the wall (eaten)
+ *   pulled       — removed with price away from it
+ *
+ * Events are written in batches; rows older than RETENTION_DAYS are pruned.
+ * Recording runs on the alert-engine lease holder only, so multi-instance
+ * deployments log each event once.
+ */
+
+const prisma = require('../utils/prisma');
+const densityScannerService = require('./densityScanner');
+
+const MIN_WALL_USD = Math.max(50_000, Number.parseInt(process.env.WALL_HISTORY_MIN_USD || '250000', 10));
+const RETENTION_DAYS = 7;
+const SIZE_CHANGE_RATIO = 0.25;
+const TOUCH_PCT = 0.15;
+const BOUNCE_PCT = 0.5;
+const FILL_DISTANCE_PCT = 0.3; // last distance at which a vanished wall counts as eaten
+const STATE_TTL_MS = 15 * 60 * 1000; // drop walls the tracker forgot without a removal event
+const WRITE_FLUSH_MS = 5000;
+const MAX_WRITE_BATCH = 2000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const MAX_HISTORY_WALLS = 50;
+const MAX_HISTORY_EVENTS = 5000;
+
+let started = false;
+let writeTimer = null;
+let pruneTimer = null;
+
+/** @type {Map<string, { touched: boolean, partiallyFilled: boolean, lastPercentFromMid: number, lastSeenAt: number }>} wallId → state */
+const wallStates = new Map();
+/** @type {Array<Object>} WallEvent rows waiting for the next flush */
+let pendingWrites = [];
+
+const stats = {
+  recorded: 0,
+  written: 0,
+  writeErrors: 0,
+  lastPruneAt: null,
+};
+
+/* ─── Event detection ─── */
+
+function toRow(wall, type, at, previousVolumeUSD = null) {
+  return {
+    wallId: wall.id,
+    exchange: wall.exchange,
+    market: wall.market,
+    symbol: wall.symbol,
+    side: wall.side,
+    type,
+    price: wall.price,
+    volumeUSD: wall.volumeUSD,
+    previousVolumeUSD,
+    percentFromMid: wall.percentFromMid,
+    firstSeenAt: new Date(wall.firstSeenAt),
+    at: new Date(at),
+  };
+}
+
+function record(row) {
+  pendingWrites.push(row);
+  stats.recorded += 1;
+  scheduleWriteFlush();
+}
+
+function handleSeenWall(wall, at) {
+  const distance = Math.abs(wall.percentFromMid);
+  let state = wallStates.get(wall.id);
+
+  if (!state) {
+    if (wall.volumeUSD < MIN_WALL_USD) return;
+    state = { touched: false, partiallyFilled: false, lastPercentFromMid: wall.percentFromMid, lastSeenAt: at };
+    wallStates.set(wall.id, state);
+    record(toRow(wall, 'appeared', at));
+  } else if (wall.previousVolumeUSD > 0) {
+    const change = (wall.volumeUSD - wall.previousVolumeUSD) / wall.previousVolumeUSD;
+    const atWall = distance <= TOUCH_PCT || Math.abs(state.lastPercentFromMid) <= TOUCH_PCT;
+    if (change <= -SIZE_CHANGE_RATIO) {
+      if (atWall) state.partiallyFilled = true;
+      record(toRow(wall, atWall ? 'partial_fill' : 'resized', at, wall.previousVolumeUSD));
+    } else if (change >= SIZE_CHANGE_RATIO) {
+      record(toRow(wall, state.partiallyFilled ? 'refilled' : 'resized', at, wall.previousVolumeUSD));
+      state.partiallyFilled = false;
+    }
+  }
+
+  if (!state.touched && distance <= TOUCH_PCT) {
+    state.touched = true;
+    record(toRow(wall, 'touched', at));
+  } else if (state.touched && distance >= BOUNCE_PCT) {
+    state.touched = false;
+    record(toRow(wall, 'bounced', at));
+  }
+
+  state.lastPercentFromMid = wall.percentFromMid;
+  state.lastSeenAt = at;
+}
+
+function handleScan({ at, walls, removed }) {
+  for (const wall of walls) handleSeenWall(wall, at);
+
+  for (const wall of removed) {
+    const state = wallStates.get(wall.id);
+    if (!state) continue;
+    wallStates.delete(wall.id);
+    const eaten = Math.abs(state.lastPercentFromMid) <= FILL_DISTANCE_PCT;
+    // Dated at the last scan that still saw it — removal is only confirmed scans later
+    record(toRow({ ...wall, percentFromMid: state.lastPercentFromMid }, eaten ? 'filled' : 'pulled', wall.lastSeenAt));
+  }
+
+  for (const [id, state] of wallStates) {
+    if (at - state.lastSeenAt > STATE_TTL_MS) wallStates.delete(id);
+  }
+}
+
+/* ─── Persistence ─── */
+
+function scheduleWriteFlush() {
+  if (writeTimer || pendingWrites.length === 0) return;
+  writeTimer = setTimeout(() => {
+    writeTimer = null;
+    flushWrites().catch((error) => console.error('[WallHistory] Write flush failed:', error.message));
+  }, WRITE_FLUSH_MS);
+}
+
+async function flushWrites() {
+  while (pendingWrites.length > 0) {
+    const batch = pendingWrites.slice(0, MAX_WRITE_BATCH);
+    pendingWrites = pendingWrites.slice(batch.length);
+    try {
+      const result = await prisma.wallEvent.createMany({ data: batch });
+      stats.written += result.count;
+    } catch (error) {
+      stats.writeErrors += 1;
+      console.error(`[WallHistory] Failed to write ${batch.length} event(s):`, error.message);
+    }
+  }
+}
+
+async function pruneExpired() {
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  await prisma.wallEvent.deleteMany({ where: { at: { lt: cutoff } } });
+  stats.lastPruneAt = new Date().toISOString();
+}
+
+/* ─── Queries ─── */
+
+/**
+ * Wall timelines for one symbol: events grouped per wall, newest wall first,
+ * with lifetime / refill / touch / bounce counts.
+ *
+ * Pages by wall, not by event: the MAX_HISTORY_WALLS most recently active
+ * walls are picked first and then loaded in full, so a busy symbol cannot
+ * cut the start off older walls. A wall whose loaded history does not begin
+ * with 'appeared' (it appeared before the window, or hit MAX_HISTORY_EVENTS)
+ * is marked partial — its counts only cover what was loaded.
+ *
+ * @param {{ symbol: string, exchange?: string, market?: string, side?: string, hours?: number }} params
+ */
+async function getWallHistory({ symbol, exchange, market, side, hours = 24 }) {
+  const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+  const where = { symbol, at: { gte: since } };
+  if (exchange) where.exchange = exchange;
+  if (market) where.market = market;
+  if (side) where.side = side;
+
+  const recentWalls = await prisma.wallEvent.groupBy({
+    by: ['wallId'],
+    where,
+    _max: { at: true },
+    orderBy: { _max: { at: 'desc' } },
+    take: MAX_HISTORY_WALLS + 1,
+  });
+  const wallIds = recentWalls.slice(0, MAX_HISTORY_WALLS).map((group) => group.wallId);
+
+  const events = wallIds.length === 0 ? [] : await prisma.wallEvent.findMany({
+    where: { ...where, wallId: { in: wallIds } },
+    orderBy: { at: 'desc' },
+    take: MAX_HISTORY_EVENTS,
+  });
+
+  // Walls the tracker still holds; a removal event already ended the others
+  const live = new Map();
+  for (const wall of densityScannerService.getWalls(exchange, market)) {
+    if (wall.symbol === symbol) live.set(wall.id, wall);
+  }
+
+  const now = Date.now();
+  const byWall = new Map();
+  for (const event of events.reverse()) {
+    let entry = byWall.get(event.wallId);
+    if (!entry) {
+      entry = {
+        wallId: event.wallId,
+        exchange: event.exchange,
+        market: event.market,
+        symbol: event.symbol,
+        side: event.side,
+        price: event.price,
+        firstSeenAt: event.firstSeenAt,
+        endedAt: null,
+        outcome: null, // 'filled' | 'pulled' while ended
+        partial: event.type !== 'appeared',
+        maxVolumeUSD: 0,
+        partialFills: 0,
+        refills: 0,
+        touches: 0,
+        bounces: 0,
+        events: [],
+      };
+      byWall.set(event.wallId, entry);
+    }
+    entry.price = event.price;
+    entry.maxVolumeUSD = Math.max(entry.maxVolumeUSD, event.volumeUSD);
+    if (event.type === 'partial_fill') entry.partialFills += 1;
+    if (event.type === 'refilled') entry.refills += 1;
+    if (event.type === 'touched') entry.touches += 1;
+    if (event.type === 'bounced') entry.bounces += 1;
+    if (event.type === 'filled' || event.type === 'pulled') {
+      entry.endedAt = event.at;
+      entry.outcome = event.type;
+    } else if (event.type === 'appeared') {
+      entry.endedAt = null; // came back after a removal
+      entry.outcome = null;
+    }
+    entry.events.push({
+      type: event.type,
+      at: event.at,
+      price: event.price,
+      volumeUSD: event.volumeUSD,
+      previousVolumeUSD: event.previousVolumeUSD,
+      percentFromMid: event.percentFromMid,
+    });
+  }
+
+  const walls = [...byWall.values()].map((entry) => {
+    const liveWall = live.get(entry.wallId);
+    const alive = !entry.outcome && Boolean(liveWall);
+    const endMs = entry.endedAt ? entry.endedAt.getTime() : (liveWall ? liveWall.lastSeenAt : now);
+    return {
+      ...entry,
+      alive,
+      volumeUSD: liveWall ? liveWall.volumeUSD : entry.events[entry.events.length - 1].volumeUSD,
+      lifetimeMs: Math.max(0, endMs - entry.firstSeenAt.getTime()),
+    };
+  });
+  walls.sort((a, b) => b.firstSeenAt - a.firstSeenAt);
+
+  const truncated = recentWalls.length > MAX_HISTORY_WALLS || events.length >= MAX_HISTORY_EVENTS;
+  return { symbol, since: since.toISOString(), truncated, walls };
+}
+
+/* ─── Lifecycle ─── */
+
+function startWallHistory() {
+  if (started) return;
+  started = true;
+  densityScannerService.wallTracker.on('scan', handleScan);
+  pruneTimer = setInterval(() => {
+    pruneExpired().catch((error) => console.error('[WallHistory] Prune failed:', error.message));
+  }, PRUNE_INTERVAL_MS);
+  console.log(`[WallHistory] Recording walls >= $${MIN_WALL_USD} (retention ${RETENTION_DAYS}d)`);
+}
+
+async function stopWallHistory() {
+  if (!started) return;
+  started = false;
+  densityScannerService.wallTracker.off('scan', handleScan);
+  if (pruneTimer) clearInterval(pruneTimer);
+  pruneTimer = null;
+  if (writeTimer) clearTimeout(writeTimer);
+  writeTimer = null;
+  wallStates.clear();
+  await flushWrites();
+}
+
+function getWallHistoryStatus() {
+  return {
+    running: started,
+    trackedWalls: wallStates.size,
+    pendingWrites: pendingWrites.length,
+    ...stats,
+  };
+}
+
+module.exports = {
+  startWallHistory,
+  stopWallHistory,
+  getWallHistory,
+  getWallHistoryStatus,
+};
@@ -0,0 +1,322 @@
+/**
+ * Webhook delivery for triggered alerts.
+ *
+ * Users register up to MAX_ENDPOINTS_PER_USER endpoints; an alert opts into any
+ * of them through notificationOptions.webhookIds.  Each fire POSTs a JSON body:
+ *
+ *   { event: 'alert.triggered', sentAt, text, content, alert: { ...payload } }
+ *
+ * `text` (Slack) and `content` (Discord) carry the formatted message so incoming
+ * webhooks of those services work without an adapter.  Every request is signed:
+ *
+ *   X-Webhook-Timestamp: <unix seconds>
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256(secret, `${timestamp}.${body}`)>
+ *
+ * Failed attempts (network error, timeout, 429, 5xx) are retried with
+ * exponential backoff up to MAX_ATTEMPTS; each retry re-reads the endpoint, so
+ * URL / secret changes apply and a deleted or disabled endpoint stops them.
+ * Each POST is logged to WebhookDelivery and updated as retries run; retries
+ * live in memory, so a restart abandons them (the row stays 'pending').
+ *
+ * The host is resolved when each request is sent and the connection is refused
+ * if any address is private, loopback, link-local, CGNAT or otherwise
+ * non-public, so a public name pointing at an internal service can't be used.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const prisma = require('../utils/prisma');
+
+const MAX_ENDPOINTS_PER_USER = 5;
+const MAX_ATTEMPTS = 5;
+const BASE_RETRY_DELAY_MS = 5_000; // 5s, 10s, 20s, 40s
+const REQUEST_TIMEOUT_MS = 10_000;
+const DELIVERY_LOG_KEEP = 100; // per endpoint
+const MAX_TEXT_LENGTH = 2000; // Discord content limit
+
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function signWebhookBody(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Non-public ranges; BlockList also matches IPv4-mapped IPv6 (::ffff:7f00:1) against the IPv4 rules
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // CGNAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, cloud metadata
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.0.2.0', 24], // documentation
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['198.51.100.0', 24], // documentation
+  ['203.0.113.0', 24], // documentation
+  ['224.0.0.0', 3], // multicast, reserved, broadcast
+].forEach(([prefix, bits]) => blockedAddresses.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['64:ff9b::', 96], // NAT64
+  ['100::', 64], // discard
+  ['2001:db8::', 32], // documentation
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8], // multicast
+].forEach(([prefix, bits]) => blockedAddresses.addSubnet(prefix, bits, 'ipv6'));
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  return blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.internal')) return true;
+  return isPrivateAddress(host);
+}
+
+function nonPublicHostError() {
+  const error = new Error('Webhook host is not a public address');
+  error.code = 'ENONPUBLIC';
+  return error;
+}
+
+/** dns.lookup for webhook requests: fails if the name resolves to any non-public address. */
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(nonPublicHostError());
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * @returns {string|null} error message, or null when the URL is acceptable
+ */
+function validateWebhookUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value || '').trim());
+  } catch {
+    return 'Webhook URL is not a valid URL';
+  }
+  if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+    return 'Webhook URL must start with https://';
+  }
+  if (process.env.NODE_ENV === 'production' && url.protocol !== 'https:') {
+    return 'Webhook URL must start with https://';
+  }
+  // Names are checked again when they resolve (publicOnlyLookup)
+  if (isPrivateHost(url.hostname)) return 'Webhook URL must point to a public host';
+  return null;
+}
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * POST without following redirects; resolves with the status code only (the
+ * response body is discarded, never surfaced to the endpoint owner).
+ * @returns {Promise<number>}
+ */
+function postOnce(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    // IP literals never reach the lookup
+    if (isPrivateHost(target.hostname)) {
+      reject(nonPublicHostError());
+      return;
+    }
+    const transport = target.protocol === 'https:' ? https : http;
+    const req = transport.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicOnlyLookup,
+    });
+    const timer = setTimeout(() => {
+      req.destroy(new Error(`Timed out after ${REQUEST_TIMEOUT_MS / 1000}s`));
+    }, REQUEST_TIMEOUT_MS);
+    req.on('response', (res) => {
+      clearTimeout(timer);
+      res.resume();
+      resolve(res.statusCode);
+    });
+    req.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    req.end(body);
+  });
+}
+
+/**
+ * POST one signed body.
+ * @returns {Promise<{ ok: boolean, status: number|null, error: string|null, retryable: boolean }>}
+ */
+async function postSigned(endpoint, event, deliveryId, body) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  try {
+    const status = await postOnce(endpoint.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'CryptoAlerts-Webhook/1.0',
+      'X-Webhook-Event': event,
+      'X-Webhook-Delivery': deliveryId,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': `sha256=${signWebhookBody(endpoint.secret, timestamp, body)}`,
+    }, body);
+    if (status >= 200 && status < 300) return { ok: true, status, error: null, retryable: false };
+    return { ok: false, status, error: `HTTP ${status}`, retryable: isRetryableStatus(status) };
+  } catch (err) {
+    // A blocked address won't start resolving elsewhere on retry
+    return { ok: false, status: null, error: err?.message || String(err), retryable: err?.code !== 'ENONPUBLIC' };
+  }
+}
+
+async function pruneDeliveries(endpointId) {
+  const stale = await prisma.webhookDelivery.findMany({
+    where: { endpointId },
+    orderBy: { createdAt: 'desc' },
+    skip: DELIVERY_LOG_KEEP,
+    select: { id: true },
+  });
+  if (stale.length > 0) {
+    await prisma.webhookDelivery.deleteMany({ where: { id: { in: stale.map((d) => d.id) } } });
+  }
+}
+
+/**
+ * Run attempt `attempt` of a delivery; schedules the next one on a retryable failure.
+ * @returns {Promise<object>} the attempt result
+ */
+async function attemptDelivery(endpoint, delivery, body, attempt, { retry = true } = {}) {
+  const result = await postSigned(endpoint, delivery.event, delivery.id, body);
+  const willRetry = !result.ok && result.retryable && retry && attempt < MAX_ATTEMPTS;
+
+  await prisma.webhookDelivery.update({
+    where: { id: delivery.id },
+    data: {
+      attempts: attempt,
+      responseStatus: result.status,
+      error: result.error,
+      status: result.ok ? 'success' : willRetry ? 'pending' : 'failed',
+      deliveredAt: result.ok ? new Date() : null,
+    },
+  }).catch((err) => {
+    console.error('[webhook] Failed to update delivery log:', err.message);
+  });
+
+  if (willRetry) {
+    const delayMs = BASE_RETRY_DELAY_MS * 2 ** (attempt - 1);
+    setTimeout(() => {
+      retryDelivery(endpoint.id, delivery, body, attempt + 1).catch((err) => {
+        console.error('[webhook] Retry failed:', err.message);
+      });
+    }, delayMs);
+  } else if (!result.ok) {
+    console.warn(`[webhook] Delivery ${delivery.id} to endpoint ${endpoint.id} failed after ${attempt} attempt(s): ${result.error}`);
+  }
+  return result;
+}
+
+/** Re-read the endpoint so edits apply; a deleted or disabled endpoint ends the delivery. */
+async function retryDelivery(endpointId, delivery, body, attempt) {
+  const endpoint = await prisma.webhookEndpoint.findUnique({ where: { id: endpointId } });
+  if (!endpoint || !endpoint.isActive) {
+    await prisma.webhookDelivery.update({
+      where: { id: delivery.id },
+      data: { status: 'failed', error: 'Webhook was deleted or disabled before the retry' },
+    }).catch(() => {});
+    return;
+  }
+  await attemptDelivery(endpoint, delivery, body, attempt);
+}
+
+function buildBody(event, text, alert) {
+  const message = String(text || '').slice(0, MAX_TEXT_LENGTH);
+  return JSON.stringify({
+    event,
+    sentAt: new Date().toISOString(),
+    text: message,
+    content: message,
+    ...(alert ? { alert } : {}),
+  });
+}
+
+async function startDelivery(endpoint, event, alertId, body, options) {
+  const delivery = await prisma.webhookDelivery.create({
+    data: { endpointId: endpoint.id, alertId, event },
+  });
+  pruneDeliveries(endpoint.id).catch(() => {});
+  const result = await attemptDelivery(endpoint, delivery, body, 1, options);
+  return { deliveryId: delivery.id, ...result };
+}
+
+/**
+ * Deliver a triggered alert to the user's selected endpoints.  Returns once the
+ * deliveries are logged; attempts and retries run in the background.
+ * @param {string} userId
+ * @param {string[]} webhookIds endpoints selected on the alert
+ * @param {{ text: string, payload: object }} alert formatted message + socket payload
+ * @returns {Promise<number>} number of endpoints a delivery was started for
+ */
+async function deliverAlertWebhooks(userId, webhookIds, { text, payload }) {
+  if (!Array.isArray(webhookIds) || webhookIds.length === 0) return 0;
+  const endpoints = await prisma.webhookEndpoint.findMany({
+    where: { id: { in: webhookIds }, userId, isActive: true },
+  });
+  if (endpoints.length === 0) return 0;
+
+  const { notificationOptions, ...alert } = payload || {};
+  const body = buildBody('alert.triggered', text, alert);
+  for (const endpoint of endpoints) {
+    startDelivery(endpoint, 'alert.triggered', payload?.alertId || payload?.id || null, body).catch((err) => {
+      console.error(`[webhook] Delivery to endpoint ${endpoint.id} failed:`, err.message);
+    });
+  }
+  return endpoints.length;
+}
+
+/**
+ * Send a single signed test event (no retries) and wait for the result.
+ * @returns {Promise<{ deliveryId: string, ok: boolean, status: number|null, error: string|null }>}
+ */
+async function sendTestWebhook(endpoint) {
+  const body = buildBody(
+    'test',
+    'CryptoAlerts: test webhook. If you see this, the endpoint can receive alerts.',
+    null
+  );
+  const { deliveryId, ok, status, error } = await startDelivery(endpoint, 'test', null, body, { retry: false });
+  return { deliveryId, ok, status, error };
+}
+
+/** Pick webhookIds out of notificationOptions: unique non-empty strings, at most MAX_ENDPOINTS_PER_USER. */
+function sanitizeWebhookIds(value) {
+  if (!Array.isArray(value)) return [];
+  const ids = value.map((id) => String(id || '').trim()).filter(Boolean);
+  return Array.from(new Set(ids)).slice(0, MAX_ENDPOINTS_PER_USER);
+}
+
+module.exports = {
+  MAX_ENDPOINTS_PER_USER,
+  generateWebhookSecret,
+  signWebhookBody,
+  validateWebhookUrl,
+  deliverAlertWebhooks,
+  sendTestWebhook,
+  sanitizeWebhookIds,
+};
@@ -0,0 +1,41 @@
+const { ema, rsi, bollinger } = require('../indicators');
+
+describe('ema', () => {
+  it('seeds with the SMA and then smooths', () => {
+    expect(ema([1, 2, 3, 4, 5], 3)).toEqual([null, null, 2, 3, 4]);
+  });
+
+  it('returns nulls without enough data or with a bad period', () => {
+    expect(ema([1, 2], 3)).toEqual([null, null]);
+    expect(ema([1, 2, 3], 1.5)).toEqual([null, null, null]);
+  });
+});
+
+describe('rsi', () => {
+  it('uses Wilder smoothing', () => {
+    expect(rsi([1, 2, 3, 2], 2)).toEqual([null, null, 100, 50]);
+  });
+
+  it('is 50 when flat, 100 when rising and 0 when falling', () => {
+    expect(rsi([5, 5, 5, 5], 2)[3]).toBe(50);
+    expect(rsi([1, 2, 3, 4, 5], 3)[4]).toBe(100);
+    expect(rsi([5, 4, 3, 2, 1], 3)[4]).toBe(0);
+  });
+
+  it('needs more values than the period', () => {
+    expect(rsi([1, 2], 2)).toEqual([null, null]);
+  });
+});
+
+describe('bollinger', () => {
+  it('uses the population standard deviation', () => {
+    const { middle, upper, lower } = bollinger([1, 3, 5], 2, 2);
+    expect(middle).toEqual([null, 2, 4]);
+    expect(upper).toEqual([null, 4, 6]);
+    expect(lower).toEqual([null, 0, 2]);
+  });
+
+  it('rejects periods below two', () => {
+    expect(bollinger([1, 2, 3], 1).middle).toEqual([null, null, null]);
+  });
+});
@@ -222,6 +222,111 @@ function buildResetEmailHtml(resetLink) {
 </html>`;
 }
 
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Returns the branded HTML body for an alert email.
+ * One item renders as a single alert; several render as a digest.
+ * @param {{ title: string, lines: string[], triggeredAt: Date|string|number }[]} items
+ * @param {number} [droppedCount] triggers left out of the digest (queue overflow)
+ */
+function buildAlertEmailHtml(items, droppedCount = 0) {
+  const alertsLink = `${getFrontendUrl().replace(/\/$/, '')}/alerts`;
+  const heading = items.length === 1 ? 'Alert triggered' : `${items.length + droppedCount} alerts triggered`;
+  const rows = items
+    .map((item) => {
+      const time = new Date(item.triggeredAt).toISOString().replace('T', ' ').slice(0, 19);
+      const details = item.lines.map(escapeHtml).join('<br />');
+      return `
+              <tr>
+                <td style="padding:16px 0;border-bottom:1px solid #2a2d3a;">
+                  <p style="margin:0 0 4px;font-size:16px;font-weight:600;color:#ffffff;">${escapeHtml(item.title)}</p>
+                  <p style="margin:0 0 8px;font-size:12px;color:#5a5d72;">${time} UTC</p>
+                  <p style="margin:0;font-size:14px;color:#c4c7d4;line-height:1.6;">${details}</p>
+                </td>
+              </tr>`;
+    })
+    .join('');
+  const droppedNote = droppedCount > 0
+    ? `
+              <p style="margin:16px 0 0;font-size:13px;color:#8b8fa8;text-align:center;">
+                …and ${droppedCount} more. See the full list in your alert history.
+              </p>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  <title>${heading}</title>
+</head>
+<body style="margin:0;padding:0;background-color:#0f1117;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="background-color:#0f1117;padding:40px 16px;">
+    <tr>
+      <td align="center">
+        <table width="100%" cellpadding="0" cellspacing="0" style="max-width:520px;">
+
+          <!-- Header -->
+          <tr>
+            <td align="center" style="padding-bottom:24px;">
+              <span style="font-size:22px;font-weight:700;color:#ffffff;letter-spacing:-0.5px;">
+                📈 CryptoAlerts
+              </span>
+            </td>
+          </tr>
+
+          <!-- Card -->
+          <tr>
+            <td style="background-color:#1a1d27;border:1px solid #2a2d3a;border-radius:16px;padding:32px 36px;">
+
+              <!-- Title -->
+              <p style="margin:0 0 8px;font-size:24px;font-weight:700;color:#ffffff;text-align:center;">
+                ${heading}
+              </p>
+
+              <!-- Alerts -->
+              <table width="100%" cellpadding="0" cellspacing="0">${rows}
+              </table>${droppedNote}
+
+              <!-- CTA Button -->
+              <table width="100%" cellpadding="0" cellspacing="0">
+                <tr>
+                  <td align="center" style="padding-top:28px;">
+                    <a href="${alertsLink}"
+                       style="display:inline-block;padding:14px 36px;background-color:#6366f1;color:#ffffff;font-size:15px;font-weight:600;text-decoration:none;border-radius:10px;letter-spacing:0.2px;">
+                      Open my alerts
+                    </a>
+                  </td>
+                </tr>
+              </table>
+
+            </td>
+          </tr>
+
+          <!-- Footer -->
+          <tr>
+            <td align="center" style="padding-top:24px;">
+              <p style="margin:0;font-size:12px;color:#4a4d62;">
+                © ${new Date().getFullYear()} CryptoAlerts · You are receiving this email because email notifications are enabled for these alerts.
+              </p>
+            </td>
+          </tr>
+
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>`;
+}
+
 /**
  * Call a SendGrid API GET endpoint.
  * Returns parsed JSON body.
@@ -1048,24 +1153,16 @@ async function sendViaSmtp(toEmail, subject, text, html) {
 }
 
 /**
- * Send password reset email.
- * Priority: SendGrid → Brevo → Mailjet → Resend → SMTP.
+ * Send an email through the first provider that accepts it.
+ * Priority: Gmail API → SendGrid → Brevo → Mailjet → Resend → SMTP.
  *
- * @param {string} toEmail  - Recipient email address
- * @param {string} resetLink - Full reset URL containing the token
- * @returns {Promise<void>}
+ * @param {string} toEmail - Recipient email address
+ * @param {string} subject
+ * @param {string} text    - Plain-text body
+ * @param {string} html    - HTML body
+ * @returns {Promise<void>} throws when no provider is configured or all of them fail
  */
-async function sendPasswordResetEmail(toEmail, resetLink) {
-  const subject = 'Reset your CryptoAlerts password';
-  const text = [
-    'You requested a password reset for your CryptoAlerts account.',
-    '',
-    `Reset link (valid for 1 hour): ${resetLink}`,
-    '',
-    "If you didn't request this, you can safely ignore this email — your password will not change.",
-  ].join('\n');
-  const html = buildResetEmailHtml(resetLink);
-
+async function sendEmail(toEmail, subject, text, html) {
   const errors = [];
 
   // 1. Gmail REST API (HTTPS port 443 — not blocked by any cloud host, 100% deliverability)
@@ -1143,6 +1240,26 @@ async function sendPasswordResetEmail(toEmail, resetLink) {
   throw new Error(`All email providers failed — ${errors.join(' | ')}`);
 }
 
+/**
+ * Send password reset email.
+ *
+ * @param {string} toEmail  - Recipient email address
+ * @param {string} resetLink - Full reset URL containing the token
+ * @returns {Promise<void>}
+ */
+async function sendPasswordResetEmail(toEmail, resetLink) {
+  const subject = 'Reset your CryptoAlerts password';
+  const text = [
+    'You requested a password reset for your CryptoAlerts account.',
+    '',
+    `Reset link (valid for 1 hour): ${resetLink}`,
+    '',
+    "If you didn't request this, you can safely ignore this email — your password will not change.",
+  ].join('\n');
+  const html = buildResetEmailHtml(resetLink);
+  await sendEmail(toEmail, subject, text, html);
+}
+
 /**
  * Diagnostic: try each email provider independently and report results.
  */
@@ -1227,7 +1344,9 @@ async function debugEmailProviders(toEmail) {
 }
 
 module.exports = {
+  sendEmail,
   sendPasswordResetEmail,
+  buildAlertEmailHtml,
   debugEmailProviders,
   isEmailConfigured,
   isGmailApiConfigured,
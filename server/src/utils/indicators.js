@@ -0,0 +1,74 @@
+/**
+ * Technical indicators over an array of closes (oldest first).
+ *
+ * Each function returns an array aligned with the input; entries before the
+ * indicator has enough data are null.  EMA is seeded with an SMA, RSI uses
+ * Wilder smoothing, Bollinger bands use the population standard deviation.
+ */
+
+function ema(values, period) {
+  const out = new Array(values.length).fill(null);
+  if (!Number.isInteger(period) || period < 1 || values.length < period) return out;
+
+  const k = 2 / (period + 1);
+  let sum = 0;
+  for (let i = 0; i < period; i += 1) sum += values[i];
+  let prev = sum / period;
+  out[period - 1] = prev;
+  for (let i = period; i < values.length; i += 1) {
+    prev = values[i] * k + prev * (1 - k);
+    out[i] = prev;
+  }
+  return out;
+}
+
+function rsi(values, period = 14) {
+  const out = new Array(values.length).fill(null);
+  if (!Number.isInteger(period) || period < 1 || values.length <= period) return out;
+
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= period; i += 1) {
+    const diff = values[i] - values[i - 1];
+    if (diff >= 0) gain += diff;
+    else loss -= diff;
+  }
+  let avgGain = gain / period;
+  let avgLoss = loss / period;
+  const toRsi = () => (avgLoss === 0 ? (avgGain === 0 ? 50 : 100) : 100 - 100 / (1 + avgGain / avgLoss));
+  out[period] = toRsi();
+
+  for (let i = period + 1; i < values.length; i += 1) {
+    const diff = values[i] - values[i - 1];
+    avgGain = (avgGain * (period - 1) + Math.max(diff, 0)) / period;
+    avgLoss = (avgLoss * (period - 1) + Math.max(-diff, 0)) / period;
+    out[i] = toRsi();
+  }
+  return out;
+}
+
+function bollinger(values, period = 20, multiplier = 2) {
+  const middle = new Array(values.length).fill(null);
+  const upper = new Array(values.length).fill(null);
+  const lower = new Array(values.length).fill(null);
+  if (!Number.isInteger(period) || period < 2 || values.length < period) return { middle, upper, lower };
+
+  for (let i = period - 1; i < values.length; i += 1) {
+    let sum = 0;
+    for (let j = i - period + 1; j <= i; j += 1) sum += values[j];
+    const mean = sum / period;
+    let variance = 0;
+    for (let j = i - period + 1; j <= i; j += 1) variance += (values[j] - mean) ** 2;
+    const sd = Math.sqrt(variance / period);
+    middle[i] = mean;
+    upper[i] = mean + multiplier * sd;
+    lower[i] = mean - multiplier * sd;
+  }
+  return { middle, upper, lower };
+}
+
+module.exports = {
+  ema,
+  rsi,
+  bollinger,
+};
@@ -17,12 +17,94 @@ const loginSchema = z.object({
   password: z.string().min(1),
 });
 
+/**
+ * Complex alert condition: a leaf ({ type, value, timeframe?, operator? }) or an
+ * AND/OR group of nested conditions.  Semantics are checked by complexConditions.
+ */
+const conditionLeafSchema = z.object({
+  type: z.string(),
+  value: z.union([z.number(), z.string()]),
+  timeframe: z.string().optional(),
+  operator: z.enum(['above', 'below']).optional(),
+});
+
+const conditionNodeSchema = z.lazy(() => z.union([
+  z.object({
+    op: z.enum(['and', 'or']),
+    conditions: z.array(conditionNodeSchema).min(1),
+  }),
+  conditionLeafSchema,
+]));
+
+/**
+ * Indicator alert condition.  Ranges and defaults are checked by indicatorConditions.
+ */
+const indicatorConditionSchema = z.object({
+  indicator: z.enum(['rsi', 'ema_cross', 'bollinger']),
+  interval: z.string(),
+  operator: z.enum(['crosses_above', 'crosses_below']),
+  period: z.number().optional(),
+  value: z.number().optional(),
+  fastPeriod: z.number().optional(),
+  slowPeriod: z.number().optional(),
+  stdDev: z.number().optional(),
+});
+
+/**
+ * Order-book wall alert condition.  Ranges and defaults are checked by wallConditions.
+ */
+const wallConditionSchema = z.object({
+  events: z.array(z.enum(['appeared', 'removed', 'approaching'])).min(1),
+  side: z.enum(['both', 'bid', 'ask']).optional(),
+  minSizeUsd: z.number().optional(),
+  maxDistancePct: z.number().optional(),
+  minAgeSec: z.number().optional(),
+  approachPct: z.number().optional(),
+});
+
+/**
+ * Listing alert condition: which listingsService events to notify about.
+ */
+const listingConditionSchema = z.object({
+  events: z.array(z.enum(['new', 'live'])).min(1),
+});
+
+/**
+ * Funding-rate / open-interest alert condition.  Ranges and defaults are checked by derivativesConditions.
+ */
+const derivativesConditionSchema = z.object({
+  metric: z.enum(['funding_rate', 'funding_flip', 'oi_change', 'oi_price_divergence']),
+  operator: z.enum(['above', 'below']).optional(),
+  direction: z.enum(['any', 'to_positive', 'to_negative', 'increase', 'decrease']).optional(),
+  value: z.number().optional(),
+  pricePct: z.number().optional(),
+  windowMin: z.number().optional(),
+});
+
+/**
+ * Large-liquidation alert condition.  Minimum size is checked by liquidationAlertEngine.
+ */
+const liquidationConditionSchema = z.object({
+  side: z.enum(['both', 'long', 'short']).optional(),
+  minUsd: z.number(),
+});
+
+/**
+ * Cross-exchange spread alert condition.  Ranges and defaults are checked by spreadAlertEngine.
+ */
+const spreadConditionSchema = z.object({
+  mode: z.enum(['all', 'futures', 'spot', 'basis']).optional(),
+  minSpreadPct: z.number(),
+  minVolumeUsd: z.number().optional(),
+  exchanges: z.array(z.string()).optional(),
+});
+
 /**
  * Create alert validation schema
- * Supports both price and complex alerts
+ * Supports price, complex, indicator, wall, listing, derivatives, liquidation and spread alerts
  */
 const alertBaseSchema = z.object({
-  alertType: z.enum(['price', 'complex']).default('price'),
+  alertType: z.enum(['price', 'complex', 'indicator', 'wall', 'listing', 'derivatives', 'liquidation', 'spread']).default('price'),
   name: z.string().optional(),
   exchange: z.string().optional(),
   exchanges: z.array(z.string()).optional(),
@@ -33,11 +115,14 @@ const alertBaseSchema = z.object({
     z.string(), // JSON string
   ]).optional(),
   conditions: z.union([
-    z.array(z.object({
-      type: z.string(),
-      value: z.union([z.number(), z.string()]),
-      timeframe: z.string(),
-    })),
+    indicatorConditionSchema, // must come first: the complex leaf schema would strip its fields
+    wallConditionSchema,
+    listingConditionSchema,
+    derivativesConditionSchema,
+    liquidationConditionSchema,
+    spreadConditionSchema,
+    z.array(conditionNodeSchema), // legacy: implicit AND
+    conditionNodeSchema,
     z.string(), // JSON string
   ]).optional(),
   notificationOptions: z.union([
@@ -51,6 +136,22 @@ const alertBaseSchema = z.object({
 });
 
 const createAlertSchema = alertBaseSchema.superRefine((data, ctx) => {
+  if (data.alertType === 'indicator') {
+    const hasSymbols = Array.isArray(data.symbols) ? data.symbols.length > 0 : Boolean(data.symbols || data.symbol);
+    if (!data.exchange || !String(data.exchange).trim()) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['exchange'], message: 'Exchange is required for indicator alerts.' });
+    }
+    if (!hasSymbols) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['symbols'], message: 'At least one symbol is required for indicator alerts.' });
+    }
+    return;
+  }
+  if (['wall', 'listing', 'derivatives', 'liquidation'].includes(data.alertType)) {
+    if (!data.exchange || !String(data.exchange).trim()) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['exchange'], message: `Exchange is required for ${data.alertType} alerts.` });
+    }
+    return;
+  }
   if (data.alertType !== 'price') return;
 
   const hasExchange = typeof data.exchange === 'string' && data.exchange.trim() !== '';